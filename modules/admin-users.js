@@ -0,0 +1,502 @@
+/**
+ * Admin Users Module
+ *
+ * Stores the admin console accounts and decides which /admin/api/* areas
+ * each account may read or change.  Passwords are never stored in plain
+ * text: callers hash them (see hashPassword in server.js) and pass the
+ * resulting "salt:hash" string in.
+ *
+ * Storage layout:
+ *   config/admin-users.json   (override with config.adminUsers.dataFilePath)
+ *
+ * Schema:
+ * {
+ *   users: [
+ *     {
+ *       id:                 string   – UUID
+ *       username:           string   – display form
+ *       usernameKey:        string   – lower-cased username for lookups
+ *       passwordHash:       string   – "salt:hash" PBKDF2 string
+ *       role:               string   – see ROLES
+ *       isDefaultPassword:  boolean  – true while the factory password is in use
+ *       createdAt:          string   – ISO timestamp
+ *       updatedAt:          string   – ISO timestamp
+ *       lastLoginAt:        string   – ISO timestamp or null
+ *       twoFactor:          object   – optional TOTP settings (see modules/totp.js)
+ *         { enabled, secret, recoveryCodeHashes: string[], lastUsedStep, enabledAt }
+ *         lastUsedStep is the time step of the last TOTP code accepted; older
+ *         and equal steps are refused so a code cannot be replayed
+ *     }
+ *   ]
+ * }
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const logger = require('./logger');
+
+// ---------------------------------------------------------------------------
+// Roles
+// ---------------------------------------------------------------------------
+
+/**
+ * Each role maps an API area (the first path segment after /admin/api/) to
+ * an access level: "read" allows GET/HEAD/OPTIONS, "write" allows everything.
+ * "*" applies to every area that is not listed in RESTRICTED_AREAS.
+ */
+const ROLES = {
+  owner: {
+    label: 'Owner',
+    description: 'Full access, including user management, encryption keys, backups and the audit log',
+    areas: { '*': 'write', users: 'write', secrets: 'write', backup: 'write', audit: 'write' }
+  },
+  finance: {
+    label: 'Finance only',
+    description: 'Manage finance data; no access to other areas',
+    areas: { finance: 'write' }
+  },
+  'house-manager': {
+    label: 'House manager',
+    description: 'Manage house data (cars, bills, medications, lists, vacation)',
+    areas: { house: 'write' }
+  },
+  'read-only': {
+    label: 'Read-only',
+    description: 'View every area except user management, encryption keys, backups and the audit log; cannot change anything',
+    areas: { '*': 'read' }
+  }
+};
+
+// Areas that "*" never grants; a role must list them explicitly.
+// Backup exports carry every stored credential, so they are restricted too.
+const RESTRICTED_AREAS = new Set(['users', 'secrets', 'backup', 'audit']);
+
+// Areas every signed-in account may use regardless of role (own session/password).
+const SELF_SERVICE_AREAS = new Set(['session', 'password-status', 'change-password', 'two-factor']);
+
+// Path segments that belong to another area.
+const AREA_ALIASES = {
+  vacation: 'house',
+  'remote-devices': 'remote',
+  'api-tokens': 'users',
+  sessions: 'users'
+};
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+let config = null;
+
+// Parsed users file, read once and replaced on save ({ filePath, data })
+let usersCache = null;
+
+// Initialize the admin users module with config
+function init(serverConfig) {
+  config = serverConfig;
+  usersCache = null;
+}
+
+function getUsersFilePath() {
+  const usersConfig = config?.adminUsers || {};
+  return usersConfig.dataFilePath || path.join(__dirname, '..', 'config', 'admin-users.json');
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim();
+}
+
+function getUsernameKey(username) {
+  return normalizeUsername(username).toLowerCase();
+}
+
+/**
+ * Users file contents.  requireAuth calls this on every request, so the file
+ * is read once and kept in memory; callers get a copy they may change and
+ * pass to saveUsersData.
+ */
+function loadUsersData() {
+  const dataFilePath = getUsersFilePath();
+  if (!usersCache || usersCache.filePath !== dataFilePath) {
+    usersCache = { filePath: dataFilePath, data: readUsersFile(dataFilePath) };
+  }
+  return structuredClone(usersCache.data);
+}
+
+function readUsersFile(dataFilePath) {
+  try {
+    if (fs.existsSync(dataFilePath)) {
+      const data = JSON.parse(fs.readFileSync(dataFilePath, 'utf8'));
+      return { users: Array.isArray(data.users) ? data.users : [] };
+    }
+  } catch (error) {
+    logger.error(logger.categories.SYSTEM, `[Admin Users] Error loading users file: ${error.message}`);
+  }
+  return { users: [] };
+}
+
+function saveUsersData(data) {
+  const dataFilePath = getUsersFilePath();
+  try {
+    const dataDir = path.dirname(dataFilePath);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(dataFilePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    usersCache = { filePath: dataFilePath, data: structuredClone(data) };
+    return { success: true };
+  } catch (error) {
+    usersCache = null;
+    logger.error(logger.categories.SYSTEM, `[Admin Users] Error saving users file: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Strip secrets from a stored user record before it leaves the module.
+ */
+function serializeUser(user) {
+  if (!user) return null;
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    isDefaultPassword: user.isDefaultPassword === true,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+    lastLoginAt: user.lastLoginAt || null,
+    twoFactorEnabled: user.twoFactor?.enabled === true,
+    recoveryCodesRemaining: user.twoFactor?.enabled ? (user.twoFactor.recoveryCodeHashes || []).length : 0
+  };
+}
+
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+function countOwners(users) {
+  return users.filter(user => user.role === 'owner').length;
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+function hasUsers() {
+  return loadUsersData().users.length > 0;
+}
+
+function listUsers() {
+  return loadUsersData().users.map(serializeUser);
+}
+
+function getUserById(id) {
+  if (!id) return null;
+  return loadUsersData().users.find(user => user.id === id) || null;
+}
+
+function getUserByUsername(username) {
+  const usernameKey = getUsernameKey(username);
+  if (!usernameKey) return null;
+  return loadUsersData().users.find(user => user.usernameKey === usernameKey) || null;
+}
+
+// ---------------------------------------------------------------------------
+// Mutations
+// ---------------------------------------------------------------------------
+
+function createUser(user) {
+  const username = normalizeUsername(user?.username);
+  const usernameKey = getUsernameKey(username);
+  const passwordHash = String(user?.passwordHash || '');
+  const role = String(user?.role || '');
+
+  if (!username) {
+    return { success: false, error: 'Username is required' };
+  }
+  if (!/^[A-Za-z0-9_.@-]{3,64}$/.test(username)) {
+    return { success: false, error: 'Username must be 3-64 characters and use only letters, numbers, ., _, @, or -' };
+  }
+  if (!passwordHash) {
+    return { success: false, error: 'Password is required' };
+  }
+  if (!isValidRole(role)) {
+    return { success: false, error: `Unknown role: ${role || '(blank)'}` };
+  }
+
+  const data = loadUsersData();
+  if (data.users.some(existingUser => existingUser.usernameKey === usernameKey)) {
+    return { success: false, error: 'Username already exists' };
+  }
+
+  const now = new Date().toISOString();
+  const newUser = {
+    id: randomUUID(),
+    username,
+    usernameKey,
+    passwordHash,
+    role,
+    isDefaultPassword: user.isDefaultPassword === true,
+    createdAt: now,
+    updatedAt: now,
+    lastLoginAt: null
+  };
+
+  data.users.push(newUser);
+  const saveResult = saveUsersData(data);
+  return saveResult.success ? { success: true, user: serializeUser(newUser) } : saveResult;
+}
+
+function updateUser(id, updates = {}) {
+  const data = loadUsersData();
+  const user = data.users.find(existingUser => existingUser.id === id);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+
+  if (updates.role !== undefined) {
+    if (!isValidRole(updates.role)) {
+      return { success: false, error: `Unknown role: ${updates.role || '(blank)'}` };
+    }
+    if (user.role === 'owner' && updates.role !== 'owner' && countOwners(data.users) === 1) {
+      return { success: false, error: 'At least one owner account is required' };
+    }
+    user.role = updates.role;
+  }
+
+  if (updates.username !== undefined) {
+    const username = normalizeUsername(updates.username);
+    const usernameKey = getUsernameKey(username);
+    if (!/^[A-Za-z0-9_.@-]{3,64}$/.test(username)) {
+      return { success: false, error: 'Username must be 3-64 characters and use only letters, numbers, ., _, @, or -' };
+    }
+    if (data.users.some(existingUser => existingUser.id !== id && existingUser.usernameKey === usernameKey)) {
+      return { success: false, error: 'Username already exists' };
+    }
+    user.username = username;
+    user.usernameKey = usernameKey;
+  }
+
+  user.updatedAt = new Date().toISOString();
+  const saveResult = saveUsersData(data);
+  return saveResult.success ? { success: true, user: serializeUser(user) } : saveResult;
+}
+
+function setUserPassword(id, passwordHash, { isDefaultPassword = false } = {}) {
+  if (!passwordHash) {
+    return { success: false, error: 'Password is required' };
+  }
+  const data = loadUsersData();
+  const user = data.users.find(existingUser => existingUser.id === id);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+  user.passwordHash = String(passwordHash);
+  user.isDefaultPassword = isDefaultPassword === true;
+  user.updatedAt = new Date().toISOString();
+  const saveResult = saveUsersData(data);
+  return saveResult.success ? { success: true, user: serializeUser(user) } : saveResult;
+}
+
+function deleteUser(id) {
+  const data = loadUsersData();
+  const user = data.users.find(existingUser => existingUser.id === id);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+  if (user.role === 'owner' && countOwners(data.users) === 1) {
+    return { success: false, error: 'Cannot delete the last owner account' };
+  }
+  data.users = data.users.filter(existingUser => existingUser.id !== id);
+  const saveResult = saveUsersData(data);
+  return saveResult.success ? { success: true, user: serializeUser(user) } : saveResult;
+}
+
+/**
+ * Turn on TOTP two-factor login for an account.
+ * @param {Object} twoFactor - { secret, recoveryCodeHashes, lastUsedStep }
+ *   lastUsedStep is the step of the code that confirmed the enrollment
+ */
+function enableTwoFactor(id, { secret, recoveryCodeHashes, lastUsedStep = null }) {
+  if (!secret) {
+    return { success: false, error: 'Two-factor secret is required' };
+  }
+  const data = loadUsersData();
+  const user = data.users.find(existingUser => existingUser.id === id);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+  user.twoFactor = {
+    enabled: true,
+    secret,
+    recoveryCodeHashes: Array.isArray(recoveryCodeHashes) ? recoveryCodeHashes : [],
+    lastUsedStep: Number.isInteger(lastUsedStep) ? lastUsedStep : null,
+    enabledAt: new Date().toISOString()
+  };
+  user.updatedAt = new Date().toISOString();
+  const saveResult = saveUsersData(data);
+  return saveResult.success ? { success: true, user: serializeUser(user) } : saveResult;
+}
+
+function disableTwoFactor(id) {
+  const data = loadUsersData();
+  const user = data.users.find(existingUser => existingUser.id === id);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+  delete user.twoFactor;
+  user.updatedAt = new Date().toISOString();
+  const saveResult = saveUsersData(data);
+  return saveResult.success ? { success: true, user: serializeUser(user) } : saveResult;
+}
+
+// Replace the stored recovery code hashes (after one is used or a new set is generated)
+function setRecoveryCodeHashes(id, recoveryCodeHashes) {
+  const data = loadUsersData();
+  const user = data.users.find(existingUser => existingUser.id === id);
+  if (!user || !user.twoFactor?.enabled) {
+    return { success: false, error: 'Two-factor authentication is not enabled for this user' };
+  }
+  user.twoFactor.recoveryCodeHashes = Array.isArray(recoveryCodeHashes) ? recoveryCodeHashes : [];
+  return saveUsersData(data);
+}
+
+// Remember the time step of an accepted TOTP code so it cannot be used again
+function recordTwoFactorStep(id, step) {
+  const data = loadUsersData();
+  const user = data.users.find(existingUser => existingUser.id === id);
+  if (!user || !user.twoFactor?.enabled) {
+    return { success: false, error: 'Two-factor authentication is not enabled for this user' };
+  }
+  user.twoFactor.lastUsedStep = step;
+  return saveUsersData(data);
+}
+
+function recordLogin(id) {
+  const data = loadUsersData();
+  const user = data.users.find(existingUser => existingUser.id === id);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+  user.lastLoginAt = new Date().toISOString();
+  return saveUsersData(data);
+}
+
+/**
+ * Upgrade path from the single config.server.admin login: when no accounts
+ * exist yet, create an owner account from the legacy username/password.
+ * @param {Object} legacyAdmin - config.server.admin
+ * @param {Function} hashFn - password hashing function (plain text → "salt:hash")
+ * @returns {Object} { success, migrated, user?, error? }
+ */
+function migrateLegacyAdmin(legacyAdmin, hashFn) {
+  if (hasUsers()) {
+    return { success: true, migrated: false };
+  }
+  const username = normalizeUsername(legacyAdmin?.username) || 'admin';
+  const password = typeof legacyAdmin?.password === 'string' ? legacyAdmin.password : '';
+  if (!password) {
+    return { success: false, migrated: false, error: 'Legacy admin password is empty; cannot create owner account' };
+  }
+
+  const result = createUser({
+    username,
+    passwordHash: hashFn(password),
+    role: 'owner',
+    isDefaultPassword: password === 'admin123'
+  });
+  return result.success ? { success: true, migrated: true, user: result.user } : { ...result, migrated: false };
+}
+
+// ---------------------------------------------------------------------------
+// Authorization
+// ---------------------------------------------------------------------------
+
+/**
+ * Work out which area an admin API path belongs to.
+ * @param {string} requestPath - e.g. "/admin/api/finance/accounts"
+ * @returns {string|null} area name, or null for non-API paths
+ */
+function resolveArea(requestPath) {
+  const match = String(requestPath || '').match(/^\/admin\/api\/([^/?#]+)/);
+  if (!match) return null;
+  const segment = match[1].toLowerCase();
+  return AREA_ALIASES[segment] || segment;
+}
+
+function isRestrictedArea(area) {
+  return RESTRICTED_AREAS.has(area);
+}
+
+function isSelfServiceArea(area) {
+  return SELF_SERVICE_AREAS.has(area);
+}
+
+function getAccessLevel(role, area) {
+  const roleDef = ROLES[role];
+  if (!roleDef) return null;
+  if (roleDef.areas[area]) return roleDef.areas[area];
+  if (RESTRICTED_AREAS.has(area)) return null;
+  return roleDef.areas['*'] || null;
+}
+
+/**
+ * Decide whether a role may perform a request.
+ * Non-API admin pages (/admin, /admin/webhooks) only require a valid session.
+ * @returns {boolean}
+ */
+function canAccess(role, requestPath, method = 'GET') {
+  if (!isValidRole(role)) return false;
+  const area = resolveArea(requestPath);
+  if (area === null || SELF_SERVICE_AREAS.has(area)) return true;
+
+  const level = getAccessLevel(role, area);
+  if (!level) return false;
+  if (level === 'write') return true;
+  return READ_METHODS.has(String(method).toUpperCase());
+}
+
+/**
+ * Describe a role for the dashboard so it can hide tabs the user cannot open.
+ */
+function describeRole(role) {
+  const roleDef = ROLES[role];
+  if (!roleDef) return null;
+  return {
+    id: role,
+    label: roleDef.label,
+    description: roleDef.description,
+    areas: { ...roleDef.areas }
+  };
+}
+
+function getRoles() {
+  return Object.keys(ROLES).map(describeRole);
+}
+
+module.exports = {
+  init,
+  ROLES,
+  getRoles,
+  describeRole,
+  hasUsers,
+  listUsers,
+  getUserById,
+  getUserByUsername,
+  serializeUser,
+  createUser,
+  updateUser,
+  setUserPassword,
+  deleteUser,
+  enableTwoFactor,
+  disableTwoFactor,
+  setRecoveryCodeHashes,
+  recordTwoFactorStep,
+  recordLogin,
+  migrateLegacyAdmin,
+  resolveArea,
+  isRestrictedArea,
+  isSelfServiceArea,
+  canAccess
+};
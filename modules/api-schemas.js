@@ -0,0 +1,2653 @@
+/**
+ * API Schemas
+ *
+ * Request and response bodies of the HTTP API as JSON Schema (the subset
+ * OpenAPI 3.1 uses), published under components.schemas in
+ * /api/openapi.json.  A route checks its request body against one of these
+ * with openapi.validateBody('<SchemaName>').
+ *
+ * Request schemas describe the shape a route needs (types, required fields,
+ * allowed values).  Checks that depend on stored data, such as duplicate
+ * names or unknown ids, stay in the modules.  Extra properties are allowed
+ * unless a schema says otherwise, so older clients keep working.
+ *
+ * ROUTE_DOCS adds what cannot be read from a route itself: its response
+ * schema and status, the body of an upload or other non-JSON request, or
+ * authentication that happens inside the handler.  UNVALIDATED_BODIES lists
+ * the write routes without validateBody and the reason for each.
+ */
+
+'use strict';
+
+const adminUsers = require('./admin-users');
+const inboundHooks = require('./inbound-hooks');
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+const SCHEMAS = {
+  // -------------------------------------------------------------------------
+  // Shared responses
+  // -------------------------------------------------------------------------
+  Success: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' }
+    }
+  },
+  OperationResult: {
+    type: 'object',
+    description: 'Outcome of an operation that can fail without an HTTP error status; other fields depend on the operation',
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      error: { type: 'string' }
+    }
+  },
+  ConfigSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      persistent: { type: 'boolean', description: 'false when the change only lasts until the server restarts' }
+    }
+  },
+  ConnectionTest: {
+    type: 'object',
+    description: 'Result of testing a connection or settings; success is false when the test failed',
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      error: { type: 'string' },
+      data: {},
+      details: {},
+      results: {},
+      summary: {}
+    }
+  },
+  BinaryFile: {
+    type: 'string',
+    format: 'binary'
+  },
+  Error: {
+    type: 'object',
+    required: ['success', 'error', 'code'],
+    properties: {
+      success: { type: 'boolean', const: false },
+      error: { type: 'string' },
+      code: { type: 'string', description: 'Stable machine-readable code, e.g. FINANCE_ACCOUNT_NOT_FOUND (see modules/error-codes.js)' },
+      hint: { type: 'string', description: 'What the user can do to fix the problem' },
+      requestId: { type: 'string', description: 'Also in the X-Request-Id header and on the log entries of the request' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['success', 'error', 'code', 'details'],
+    properties: {
+      success: { type: 'boolean', const: false },
+      error: { type: 'string', description: 'The first problem, e.g. "Invalid request body: name is required"' },
+      code: { type: 'string', const: 'VALIDATION_ERROR' },
+      hint: { type: 'string' },
+      requestId: { type: 'string' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', description: 'Field path such as "rules[0].action"; empty for the body itself' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Status and health
+  // -------------------------------------------------------------------------
+  Status: {
+    type: 'object',
+    properties: {
+      timestamp: { type: 'string', format: 'date-time' },
+      server: {
+        type: 'object',
+        properties: {
+          uptime: { type: 'number' },
+          port: { type: 'integer' },
+          status: { type: 'string' }
+        }
+      },
+      memory: {
+        type: 'object',
+        properties: {
+          rss: { type: 'integer' },
+          heapTotal: { type: 'integer' },
+          heapUsed: { type: 'integer' },
+          external: { type: 'integer' }
+        }
+      },
+      version: { type: 'string' }
+    }
+  },
+  Liveness: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', const: 'ok' },
+      timestamp: { type: 'string', format: 'date-time' },
+      uptime: { type: 'integer' }
+    }
+  },
+  Readiness: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ok', 'degraded', 'fail'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      checks: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['ok', 'degraded', 'fail'] },
+            durationMs: { type: 'integer' }
+          }
+        }
+      }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Admin accounts and access
+  // -------------------------------------------------------------------------
+  AdminLogin: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string' },
+      password: { type: 'string' }
+    }
+  },
+  TwoFactorCode: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', description: 'Six-digit code from the authenticator app, or a recovery code' }
+    }
+  },
+  PasswordConfirmation: {
+    type: 'object',
+    required: ['password'],
+    properties: {
+      password: { type: 'string', description: 'Current password' }
+    }
+  },
+  TwoFactorEnrollment: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      secret: { type: 'string' },
+      otpauthUrl: { type: 'string' },
+      qrCodeDataUrl: { type: 'string', description: 'PNG data URL of otpauthUrl' }
+    }
+  },
+  RecoveryCodes: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      recoveryCodes: { type: 'array', items: { type: 'string' }, description: 'Shown once; only their hashes are stored' }
+    }
+  },
+  ChangePassword: {
+    type: 'object',
+    required: ['currentPassword', 'newPassword'],
+    properties: {
+      currentPassword: { type: 'string', minLength: 1 },
+      newPassword: { type: 'string', minLength: 1 }
+    }
+  },
+  AdminUserCreate: {
+    type: 'object',
+    required: ['username', 'password', 'role'],
+    properties: {
+      username: { type: 'string', minLength: 1 },
+      password: { type: 'string', minLength: 1 },
+      role: { type: 'string', enum: Object.keys(adminUsers.ROLES) }
+    }
+  },
+  AdminUserUpdate: {
+    type: 'object',
+    properties: {
+      username: { type: 'string', minLength: 1 },
+      role: { type: 'string', enum: Object.keys(adminUsers.ROLES) }
+    }
+  },
+  AdminPasswordReset: {
+    type: 'object',
+    required: ['password'],
+    properties: {
+      password: { type: 'string', minLength: 1 }
+    }
+  },
+  ApiTokenCreate: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      scopes: {
+        type: ['array', 'string'],
+        items: { type: 'string' },
+        description: 'e.g. ["house:read", "remote:command"]; a comma separated string is also accepted'
+      },
+      expiresInDays: { type: ['number', 'string', 'null'], description: '1-3650; blank or null never expires' }
+    }
+  },
+  SessionSettings: {
+    type: 'object',
+    required: ['lifetimeHours'],
+    properties: {
+      lifetimeHours: { type: ['number', 'string'] }
+    }
+  },
+  SessionSettingsSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      lifetimeHours: { type: 'number' },
+      persistent: { type: 'boolean' }
+    }
+  },
+  AdminUser: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      username: { type: 'string' },
+      role: { type: 'string', enum: Object.keys(adminUsers.ROLES) },
+      isDefaultPassword: { type: 'boolean' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      lastLoginAt: { type: ['string', 'null'], format: 'date-time' },
+      twoFactorEnabled: { type: 'boolean' },
+      recoveryCodesRemaining: { type: 'integer' }
+    }
+  },
+  AdminUserSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      user: ref('AdminUser')
+    }
+  },
+  ApiToken: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      tokenPrefix: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string' } },
+      createdBy: { type: ['object', 'null'] },
+      createdAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: ['string', 'null'], format: 'date-time' },
+      expired: { type: 'boolean' },
+      lastUsedAt: { type: ['string', 'null'], format: 'date-time' },
+      lastUsedIp: { type: ['string', 'null'] }
+    }
+  },
+  ApiTokenCreated: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      token: { type: 'string', description: 'Shown once; only its hash is stored' },
+      record: ref('ApiToken')
+    }
+  },
+  SecretsRotated: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      keyId: { type: 'string' },
+      error: { type: 'string' },
+      status: { type: 'object', description: 'Same as GET /admin/api/secrets/status' }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Configuration
+  // -------------------------------------------------------------------------
+  AdminConfig: {
+    type: 'object',
+    required: ['server'],
+    description: 'The whole configuration, as returned by GET /admin/api/config',
+    properties: {
+      server: {
+        type: 'object',
+        required: ['admin'],
+        properties: {
+          admin: { type: 'object' }
+        }
+      }
+    }
+  },
+  UsefulLinkInput: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      name: { type: 'string', description: 'Defaults to the URL' },
+      url: { type: 'string', minLength: 1 }
+    }
+  },
+  UsefulLinksSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      persistent: { type: 'boolean' },
+      links: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { id: { type: 'number' }, name: { type: 'string' }, url: { type: 'string' } }
+        }
+      }
+    }
+  },
+  RegeneratePublic: {
+    type: 'object',
+    properties: {
+      force: { type: 'boolean', description: 'Regenerate even when nothing changed' }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Parties
+  // -------------------------------------------------------------------------
+  PartyDateTime: {
+    type: 'object',
+    properties: {
+      date: { type: 'string', description: 'YYYY-MM-DD; empty until the party is scheduled' },
+      startTime: { type: 'string' },
+      endTime: { type: 'string' }
+    }
+  },
+  PartyInvitee: {
+    type: 'object',
+    properties: {
+      id: { type: ['number', 'string'] },
+      name: { type: 'string' },
+      rsvp: { type: 'string', description: 'pending, coming or not-coming' }
+    }
+  },
+  PartyMenuItem: {
+    type: 'object',
+    properties: {
+      id: { type: ['number', 'string'] },
+      item: { type: 'string' },
+      description: { type: 'string' },
+      assignee: { type: 'string' }
+    }
+  },
+  PartyTask: {
+    type: 'object',
+    properties: {
+      id: { type: ['number', 'string'] },
+      name: { type: 'string' },
+      assignee: { type: 'string' },
+      completed: { type: 'boolean' }
+    }
+  },
+  PartyEvent: {
+    type: 'object',
+    properties: {
+      id: { type: ['number', 'string'] },
+      time: { type: 'string' },
+      title: { type: 'string' },
+      description: { type: 'string' }
+    }
+  },
+  Party: {
+    type: 'object',
+    properties: {
+      id: { type: 'number' },
+      name: { type: 'string' },
+      status: { type: 'string', enum: ['draft', 'scheduled', 'archived'] },
+      dateTime: ref('PartyDateTime'),
+      invitees: { type: 'array', items: ref('PartyInvitee') },
+      menu: { type: 'array', items: ref('PartyMenuItem') },
+      tasks: { type: 'array', items: ref('PartyTask') },
+      events: { type: 'array', items: ref('PartyEvent') },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  PartyList: {
+    type: 'object',
+    properties: {
+      parties: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'number' },
+            name: { type: 'string' },
+            status: { type: 'string' },
+            date: { type: 'string' },
+            inviteeCount: { type: 'integer' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  },
+  PartyCreate: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 }
+    }
+  },
+  PartyUpdate: {
+    type: 'object',
+    description: 'Fields to change; omitted fields keep their value',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      status: { type: 'string', enum: ['draft', 'scheduled', 'archived'] },
+      dateTime: ref('PartyDateTime'),
+      invitees: { type: 'array', items: ref('PartyInvitee') },
+      menu: { type: 'array', items: ref('PartyMenuItem') },
+      tasks: { type: 'array', items: ref('PartyTask') },
+      events: { type: 'array', items: ref('PartyEvent') }
+    }
+  },
+  PartySchedule: {
+    type: 'object',
+    required: ['dateTime'],
+    properties: {
+      id: { type: ['number', 'null'], description: 'Party to update; defaults to the first party that is not archived' },
+      dateTime: ref('PartyDateTime'),
+      invitees: { type: 'array', items: ref('PartyInvitee') },
+      menu: { type: 'array', items: ref('PartyMenuItem') },
+      tasks: { type: 'array', items: ref('PartyTask') },
+      events: { type: 'array', items: ref('PartyEvent') }
+    }
+  },
+  PartySaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      persistent: { type: 'boolean' },
+      party: ref('Party')
+    }
+  },
+  PartyScheduleSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      persistent: { type: 'boolean' },
+      data: ref('Party')
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Scheduled jobs
+  // -------------------------------------------------------------------------
+  JobSchedule: {
+    type: 'object',
+    required: ['schedule'],
+    properties: {
+      schedule: { type: ['string', 'null'], description: 'Cron expression; null or "" restores the default' }
+    }
+  },
+  JobRun: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      jobId: { type: 'string' },
+      trigger: { type: 'string', enum: ['schedule', 'manual', 'deferred', 'startup'] },
+      startedAt: { type: 'string', format: 'date-time' },
+      finishedAt: { type: 'string', format: 'date-time' },
+      durationMs: { type: 'integer' },
+      outcome: { type: 'string', enum: ['success', 'failed', 'skipped'] },
+      message: { type: ['string', 'null'] },
+      error: { type: ['string', 'null'] }
+    }
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      category: { type: 'string' },
+      description: { type: 'string' },
+      schedule: { type: ['string', 'null'] },
+      defaultSchedule: { type: ['string', 'null'] },
+      scheduleOverridden: { type: 'boolean' },
+      timezone: { type: ['string', 'null'] },
+      enabled: { type: 'boolean' },
+      paused: { type: 'boolean' },
+      running: { type: 'boolean' },
+      nextRun: { type: ['string', 'null'], format: 'date-time' },
+      lastRun: { oneOf: [ref('JobRun'), { type: 'null' }] }
+    }
+  },
+  JobList: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      jobs: { type: 'array', items: ref('Job') }
+    }
+  },
+  JobSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      job: ref('Job')
+    }
+  },
+  JobRunResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', description: 'Whether the run succeeded' },
+      run: ref('JobRun'),
+      job: ref('Job')
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Optional modules
+  // -------------------------------------------------------------------------
+  ModuleToggle: {
+    type: 'object',
+    required: ['enabled'],
+    properties: {
+      enabled: { type: 'boolean' }
+    }
+  },
+  Module: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      enabled: { type: 'boolean' },
+      routes: { type: 'array', items: { type: 'string' }, description: 'Path prefixes unmounted while the module is disabled' },
+      routeCount: { type: 'integer' }
+    }
+  },
+  ModuleList: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      modules: { type: 'array', items: ref('Module') }
+    }
+  },
+  ModuleSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      module: ref('Module')
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Audit log
+  // -------------------------------------------------------------------------
+  AuditChange: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', description: 'Entity type, e.g. car, bill, party, webhook' },
+      collection: { type: 'string' },
+      entityId: { type: ['string', 'number'] },
+      entityLabel: { type: 'string' },
+      action: { type: 'string', enum: ['created', 'updated', 'deleted'] },
+      before: { type: ['object', 'null'], description: 'Secrets, tokens and password hashes are redacted' },
+      after: { type: ['object', 'null'] },
+      diff: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { path: { type: 'string' }, before: {}, after: {} }
+        }
+      }
+    }
+  },
+  AuditEvent: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      requestId: { type: ['string', 'null'] },
+      actor: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['admin', 'api-token', 'portal-user', 'hook', 'anonymous'] },
+          id: { type: ['string', 'null'] },
+          name: { type: 'string' },
+          ip: { type: ['string', 'null'] }
+        }
+      },
+      method: { type: 'string' },
+      path: { type: 'string' },
+      route: { type: 'string' },
+      status: { type: 'integer' },
+      changes: { type: 'array', items: ref('AuditChange') },
+      revertOf: { type: 'string', description: 'Set on events recorded by a revert' },
+      revertedBy: { type: 'object' },
+      revertible: { type: 'boolean' },
+      revertBlocker: { type: ['string', 'null'], description: 'Why the event cannot be reverted' }
+    }
+  },
+  AuditEventList: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      events: { type: 'array', items: ref('AuditEvent') },
+      total: { type: 'integer' },
+      actors: { type: 'array', items: { type: 'string' } },
+      collections: {
+        type: 'array',
+        items: { type: 'object', properties: { type: { type: 'string' }, label: { type: 'string' } } }
+      }
+    }
+  },
+  AuditRevertResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      event: ref('AuditEvent')
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Webhooks and inbound hooks
+  // -------------------------------------------------------------------------
+  WebhookInput: {
+    type: 'object',
+    required: ['name', 'url'],
+    properties: {
+      id: { type: 'string', description: 'Set to update an existing webhook' },
+      name: { type: 'string', minLength: 1 },
+      url: { type: 'string', format: 'uri' },
+      highImpact: { type: 'boolean' },
+      events: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  InboundHookRule: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      name: { type: 'string' },
+      action: { type: 'string', enum: inboundHooks.getActions().map(entry => entry.action) },
+      params: { type: 'object', description: 'Action parameters; "{{path}}" placeholders are filled from the request body' },
+      when: {
+        type: ['object', 'null'],
+        properties: {
+          path: { type: 'string' },
+          equals: {}
+        }
+      }
+    }
+  },
+  InboundHookInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      enabled: { type: 'boolean' },
+      rules: { type: 'array', items: ref('InboundHookRule') }
+    }
+  },
+  InboundHookTest: {
+    type: 'object',
+    properties: {
+      payload: { type: 'object', description: 'Sample request body to evaluate the rules against' }
+    }
+  },
+  InboundHookPayload: {
+    type: ['object', 'array'],
+    description: 'Any JSON body; the hook\'s rules read values from it with "{{path}}" placeholders'
+  },
+  WebhookTrigger: {
+    type: 'object',
+    properties: {
+      payload: { type: 'object', description: 'Body to send; defaults to a test payload' }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      url: { type: 'string' },
+      highImpact: { type: 'boolean' },
+      events: { type: 'array', items: { type: 'string' } },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      secretPreview: { type: 'string' }
+    }
+  },
+  WebhookSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      webhook: ref('Webhook'),
+      secret: { type: 'string', description: 'Signing secret; only returned when the webhook is created' }
+    }
+  },
+  WebhookSecret: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      secret: { type: 'string', description: 'New signing secret, shown once' }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      status: { type: ['integer', 'null'], description: 'HTTP status of the receiver' },
+      data: {},
+      error: { type: 'string' }
+    }
+  },
+  InboundHook: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      enabled: { type: 'boolean' },
+      secretPrefix: { type: 'string' },
+      rules: { type: 'array', items: ref('InboundHookRule') },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      lastUsedAt: { type: ['string', 'null'], format: 'date-time' }
+    }
+  },
+  InboundHookSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      hook: ref('InboundHook'),
+      secret: { type: 'string', description: 'Bearer secret; only returned when the hook is created or its secret rotated' }
+    }
+  },
+  InboundHookDelivery: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      executionId: { type: 'string' },
+      status: { type: 'string', enum: ['success', 'failed', 'no-match'] },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            rule: { type: 'string' },
+            action: { type: 'string' },
+            success: { type: 'boolean' },
+            detail: {},
+            error: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  InboundHookTestResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      execution: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          hookId: { type: 'string' },
+          hookName: { type: 'string' },
+          receivedAt: { type: 'string', format: 'date-time' },
+          ip: { type: ['string', 'null'] },
+          status: { type: 'string' },
+          durationMs: { type: 'integer' },
+          dryRun: { type: 'boolean' },
+          payload: {},
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                ruleId: { type: 'string' },
+                rule: { type: 'string' },
+                action: { type: 'string' },
+                matched: { type: 'boolean' },
+                success: { type: 'boolean' },
+                params: { type: 'object' },
+                detail: {},
+                error: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Smart mirror
+  // -------------------------------------------------------------------------
+  SmartMirrorProfileCreate: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,39}$', description: 'Served at /smart-mirror/<id>' },
+      name: { type: 'string' },
+      from: { type: 'string', description: 'Profile to copy (default: the default profile)' }
+    }
+  },
+  SmartMirrorProfileCreated: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      profile: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          isDefault: { type: 'boolean' }
+        }
+      }
+    }
+  },
+  SmartMirrorConfig: {
+    type: 'object',
+    description: 'The whole mirror configuration, as returned by GET /admin/api/smart-mirror/config',
+    properties: {
+      enabled: { type: 'boolean' },
+      theme: { type: 'string' },
+      widgets: { type: 'object' },
+      layouts: { type: 'object' },
+      gridSize: { type: 'object' },
+      flightApi: { type: 'object' }
+    }
+  },
+  SmartMirrorConfigSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      config: ref('SmartMirrorConfig')
+    }
+  },
+  WeatherTest: {
+    type: 'object',
+    description: 'Omitted fields fall back to the saved weather widget settings',
+    properties: {
+      apiKey: { type: 'string' },
+      location: { type: 'string' },
+      units: { type: 'string' }
+    }
+  },
+  FeedTest: {
+    type: 'object',
+    required: ['feedUrls'],
+    properties: {
+      feedUrls: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  MediaTest: {
+    type: 'object',
+    properties: {
+      entityIds: { type: 'array', items: { type: 'string' }, description: 'Home Assistant media players; defaults to all' }
+    }
+  },
+  ApiKeyTest: {
+    type: 'object',
+    properties: {
+      apiKey: { type: 'string', description: 'Defaults to the saved key' }
+    }
+  },
+  LocationTest: {
+    type: 'object',
+    required: ['location'],
+    properties: {
+      location: { type: 'string', minLength: 1 }
+    }
+  },
+  FlightLookup: {
+    type: 'object',
+    required: ['flightNumber', 'airline', 'date'],
+    properties: {
+      flightNumber: { type: 'string', minLength: 1 },
+      airline: { type: 'string', minLength: 1 },
+      date: { type: 'string', minLength: 1 }
+    }
+  },
+  FlightValidated: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      flightInfo: { type: 'object' }
+    }
+  },
+  FlightTrackingToggle: {
+    type: 'object',
+    required: ['vacationId'],
+    properties: {
+      vacationId: { type: 'string', minLength: 1 },
+      enabled: { type: 'boolean' }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Remote devices
+  // -------------------------------------------------------------------------
+  RemoteDeviceCreate: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 }
+    }
+  },
+  RemoteCommand: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { type: 'string', minLength: 1 },
+      payload: { type: 'object' }
+    }
+  },
+  RemoteSshConfig: {
+    type: 'object',
+    required: ['host', 'username'],
+    properties: {
+      host: { type: 'string', minLength: 1 },
+      port: { type: ['integer', 'string'] },
+      username: { type: 'string', minLength: 1 },
+      privateKey: { type: 'string', description: 'Required unless a key is already stored' },
+      daemonConfigPath: { type: 'string' }
+    }
+  },
+  RemoteMirrorProfile: {
+    type: 'object',
+    required: ['profile'],
+    properties: {
+      profile: { type: ['string', 'null'], description: 'Mirror profile to show; null for the default profile' }
+    }
+  },
+  DeviceHeartbeat: {
+    type: 'object',
+    properties: {
+      platform: { type: 'string' },
+      version: { type: 'string' }
+    }
+  },
+  DeviceCommandResult: {
+    type: 'object',
+    required: ['commandId'],
+    properties: {
+      commandId: { type: 'string', minLength: 1 },
+      success: { type: 'boolean' },
+      output: { type: ['string', 'null'] },
+      error: { type: ['string', 'null'] }
+    }
+  },
+  RemoteDevice: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      lastSeen: { type: ['string', 'null'], format: 'date-time' },
+      status: { type: 'string' },
+      platform: { type: ['string', 'null'] },
+      version: { type: ['string', 'null'] }
+    }
+  },
+  RemoteDeviceCreated: {
+    type: 'object',
+    properties: {
+      device: ref('RemoteDevice'),
+      token: { type: 'string', description: 'Bearer token for the device daemon, shown once' }
+    }
+  },
+  RemoteDeviceToken: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      token: { type: 'string', description: 'New bearer token, shown once; the old one stops working' }
+    }
+  },
+  RemoteCommandQueued: {
+    type: 'object',
+    properties: {
+      command: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          deviceId: { type: 'string' },
+          type: { type: 'string' },
+          payload: { type: 'object' },
+          status: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          deliveredAt: { type: ['string', 'null'], format: 'date-time' },
+          completedAt: { type: ['string', 'null'], format: 'date-time' },
+          result: {}
+        }
+      },
+      executedVia: { type: 'string', enum: ['ssh', 'poll'], description: 'ssh when it ran right away, poll when the daemon picks it up' }
+    }
+  },
+  RemoteMirrorProfileSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      profile: { type: ['string', 'null'] },
+      browserUrl: { type: 'string' },
+      commands: { type: 'array', items: { type: 'object' }, description: 'Commands queued to apply the profile' }
+    }
+  },
+  DeviceHeartbeatAck: {
+    type: 'object',
+    properties: {
+      ok: { type: 'boolean', const: true },
+      serverTime: { type: 'string', format: 'date-time' }
+    }
+  },
+  DeviceAck: {
+    type: 'object',
+    properties: {
+      ok: { type: 'boolean', const: true }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // House
+  // -------------------------------------------------------------------------
+  HouseListCategory: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 }
+    }
+  },
+  HouseList: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      category: { type: 'string' }
+    }
+  },
+  HouseListItem: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: { type: 'string' }
+    }
+  },
+  VacationDate: {
+    type: 'object',
+    required: ['startDate', 'endDate'],
+    properties: {
+      startDate: { type: 'string', format: 'date' },
+      endDate: { type: 'string', format: 'date' },
+      destination: { type: 'string' },
+      destinations: { type: 'array', items: { type: 'object' } },
+      notes: { type: 'string' },
+      flights: { type: 'array', items: { type: 'object' } },
+      flightTrackingEnabled: { type: 'boolean' },
+      addToDashboardClock: { type: 'boolean' },
+      clockCity: { type: 'string' },
+      clockTimezone: { type: 'string' },
+      listIds: { type: 'array', items: { type: 'string' } },
+      houseSitting: { type: 'boolean' },
+      dogWatching: { type: 'object' }
+    }
+  },
+  VacationClockSync: {
+    type: 'object',
+    description: 'Vacation timezones on the mirror clock after the change',
+    properties: {
+      success: { type: 'boolean' },
+      added: { type: 'integer' },
+      removed: { type: 'integer' },
+      active: { type: 'integer' },
+      skipped: { type: 'integer' },
+      slotsUsed: { type: 'integer' },
+      slotsAvailable: { type: 'integer' }
+    }
+  },
+  VacationDateSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      clockSync: ref('VacationClockSync')
+    }
+  },
+  VacationData: {
+    type: 'object',
+    description: 'The whole vacation section, as returned by GET /admin/api/house/vacation',
+    properties: {
+      dates: { type: 'array', items: { type: 'object' } },
+      pets: { type: 'array', items: { type: 'object' } },
+      travelInfo: { type: 'string' },
+      emergencyContact: { type: 'object' }
+    }
+  },
+  HousePet: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      type: { type: 'string' },
+      breed: { type: 'string' },
+      age: { type: ['string', 'number'] },
+      feedingSchedule: { type: 'string' },
+      medications: { type: 'string' },
+      vetContact: { type: 'string' },
+      specialInstructions: { type: 'string' }
+    }
+  },
+  HouseDocumentation: {
+    type: 'object',
+    description: 'The whole documentation section, as returned by GET /admin/api/house/documentation',
+    properties: {
+      documents: { type: 'array', items: { type: 'object' } },
+      instructions: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  HouseDocument: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      type: { type: 'string' },
+      url: { type: 'string' }
+    }
+  },
+  HouseInstruction: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      content: { type: 'string' },
+      category: { type: 'string' }
+    }
+  },
+  MediaCenter: {
+    type: 'object',
+    description: 'The whole media center diagram, as returned by GET /admin/api/house/mediacenter',
+    properties: {
+      devices: { type: 'array', items: { type: 'object' } },
+      connections: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  MediaCenterDevice: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      type: { type: 'string' },
+      description: { type: 'string' },
+      x: { type: 'number' },
+      y: { type: 'number' },
+      color: { type: 'string' },
+      icon: { type: 'string' },
+      customIcon: { type: 'string', description: 'Image data URL' }
+    }
+  },
+  MediaCenterConnection: {
+    type: 'object',
+    required: ['sourceDeviceId', 'targetDeviceId'],
+    properties: {
+      sourceDeviceId: { type: 'string', minLength: 1 },
+      targetDeviceId: { type: 'string', minLength: 1 },
+      sourcePort: { type: 'string' },
+      targetPort: { type: 'string' },
+      connectionType: { type: 'string' },
+      description: { type: 'string' }
+    }
+  },
+  HouseCar: {
+    type: 'object',
+    required: ['make', 'model', 'year'],
+    properties: {
+      make: { type: ['string', 'number'], minLength: 1 },
+      model: { type: ['string', 'number'], minLength: 1 },
+      year: { type: ['string', 'number'], minLength: 1 },
+      odometer: { type: ['number', 'string', 'null'] },
+      oilChangeIntervalMiles: { type: ['number', 'string', 'null'], description: 'Defaults to 5000' }
+    }
+  },
+  CarMaintenanceRecord: {
+    type: 'object',
+    required: ['date', 'description'],
+    properties: {
+      date: { type: 'string', minLength: 1 },
+      description: { type: 'string', minLength: 1 },
+      mileage: { type: ['number', 'string', 'null'] },
+      notes: { type: ['string', 'null'] }
+    }
+  },
+  CarOdometerReading: {
+    type: 'object',
+    required: ['date', 'mileage'],
+    properties: {
+      date: { type: 'string', minLength: 1 },
+      mileage: { type: ['number', 'string'] },
+      notes: { type: ['string', 'null'] }
+    }
+  },
+  CarInsurancePolicy: {
+    type: 'object',
+    required: ['provider', 'startDate', 'endDate', 'annualMileageAllowance'],
+    properties: {
+      provider: { type: 'string', minLength: 1 },
+      policyNumber: { type: ['string', 'null'] },
+      startDate: { type: 'string', minLength: 1 },
+      endDate: { type: 'string', minLength: 1 },
+      monthlyPremium: { type: ['number', 'string', 'null'] },
+      termMonths: { type: ['number', 'string', 'null'], description: 'Defaults to the months between the start and end dates' },
+      annualMileageAllowance: { type: ['number', 'string'] },
+      notes: { type: ['string', 'null'] }
+    }
+  },
+  HouseBillUpload: {
+    type: 'object',
+    required: ['billFile'],
+    properties: {
+      billFile: { type: 'string', format: 'binary', description: 'PDF bill; its date and amounts are read from the text' },
+      attachments: { type: 'array', maxItems: 10, items: { type: 'string', format: 'binary' } },
+      billDate: { type: 'string', format: 'date', description: 'Overrides the date read from the bill' },
+      notes: { type: 'string' }
+    }
+  },
+  HouseBillSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      bill: { type: 'object' }
+    }
+  },
+  HouseBillBatchUpload: {
+    type: 'object',
+    required: ['billFiles'],
+    properties: {
+      billFiles: { type: 'array', maxItems: 20, items: { type: 'string', format: 'binary' } }
+    }
+  },
+  HouseBillBatchStaged: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            originalName: { type: 'string' },
+            storedFilename: { type: 'string' },
+            stagingDir: { type: 'string' },
+            extractedData: { type: ['object', 'null'] },
+            duplicates: { type: 'array', items: { type: 'object' } },
+            error: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  HouseBillBatchConfirm: {
+    type: 'object',
+    required: ['bills'],
+    properties: {
+      bills: {
+        type: 'array',
+        description: 'One decision per staged bill; invalid decisions are reported in errors and the rest are still applied',
+        items: {
+          type: 'object',
+          properties: {
+            stagingDir: { type: 'string' },
+            storedFilename: { type: 'string' },
+            action: { type: 'string', description: 'save, skip or replace' },
+            replaceId: { type: 'string', description: 'Bill to replace when action is replace' },
+            notes: { type: 'string' },
+            billDate: { type: 'string', description: 'YYYY-MM-DD; overrides the date read from the bill' }
+          }
+        }
+      }
+    }
+  },
+  HouseBillBatchConfirmed: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      saved: { type: 'integer' },
+      replaced: { type: 'integer' },
+      skipped: { type: 'integer' },
+      errors: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  HouseBillBatchCancel: {
+    type: 'object',
+    required: ['stagingDirs'],
+    properties: {
+      stagingDirs: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  Medication: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 }
+    }
+  },
+  MedicationAdherence: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { type: 'string', enum: ['took', 'not_taken'] },
+      date: { type: 'string', format: 'date', description: 'Defaults to today; future dates are rejected' }
+    }
+  },
+  MedicationAdherenceSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      record: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          userId: { type: 'string' },
+          medicationId: { type: 'string' },
+          date: { type: 'string', format: 'date' },
+          status: { type: 'string', enum: ['took', 'not_taken'] },
+          recordedAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  },
+  MedicationAssignments: {
+    type: 'object',
+    required: ['userIds'],
+    properties: {
+      userIds: { type: 'array', items: { type: 'string' }, description: 'Medication portal users who see the medication' }
+    }
+  },
+  MedicationPortalCredentials: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string', minLength: 1 },
+      password: { type: 'string', description: 'At least 6 characters when registering' }
+    }
+  },
+  MedicationPortalSession: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      twoFactorRequired: { type: 'boolean', description: 'Send the code to POST /medications/api/login/2fa' },
+      user: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          username: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          twoFactorEnabled: { type: 'boolean' }
+        }
+      },
+      recoveryCodesRemaining: { type: 'integer' },
+      csrfToken: { type: 'string', description: 'Send as X-Medications-CSRF-Token on later writes' }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Client devices and visitors
+  // -------------------------------------------------------------------------
+  ClientAuthenticate: {
+    type: 'object',
+    properties: {
+      password: { type: 'string', description: 'Not needed when no client password is set' }
+    }
+  },
+  ClientSetPassword: {
+    type: 'object',
+    required: ['newPassword'],
+    properties: {
+      newPassword: { type: 'string', minLength: 1 }
+    }
+  },
+  ClientRemovePassword: {
+    type: 'object',
+    required: ['currentPassword'],
+    properties: {
+      currentPassword: { type: 'string', minLength: 1 }
+    }
+  },
+  ClientRegister: {
+    type: 'object',
+    required: ['deviceId'],
+    properties: {
+      deviceId: { type: 'string', minLength: 1 },
+      deviceType: { type: 'string' },
+      browserInfo: { type: 'string' },
+      userAgent: { type: 'string' }
+    }
+  },
+  ClientRegistered: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      deviceName: { type: 'string' }
+    }
+  },
+  ClientDeviceName: {
+    type: 'object',
+    required: ['deviceId'],
+    properties: {
+      deviceId: { type: 'string', minLength: 1 },
+      name: { type: 'string', description: 'Empty clears the custom name' }
+    }
+  },
+  VisitorRegister: {
+    type: 'object',
+    required: ['name', 'deviceId'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      deviceId: { type: 'string', minLength: 1 },
+      deviceType: { type: 'string' },
+      userAgent: { type: 'string' },
+      password: { type: 'string', description: 'Client password, when one is set' }
+    }
+  },
+  VisitorRegistered: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      deviceId: { type: 'string' },
+      name: { type: 'string' },
+      hasPassword: { type: 'boolean' },
+      unlockFeatures: { type: 'boolean' }
+    }
+  },
+  ClientSettings: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      showServerStatus: { type: 'boolean' },
+      showUsefulLinks: { type: 'boolean' },
+      welcomeMessage: { type: 'string' }
+    }
+  },
+  ClientFileUpload: {
+    type: 'object',
+    required: ['file'],
+    properties: {
+      file: { type: 'string', format: 'binary' },
+      sharing: { type: 'string', enum: ['none', 'admin', 'all'] },
+      deviceId: { type: 'string' },
+      password: { type: 'string' }
+    }
+  },
+  ClientFileUploaded: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      file: {
+        type: 'object',
+        properties: {
+          filename: { type: 'string' },
+          originalName: { type: 'string' },
+          size: { type: 'integer' },
+          sharing: { type: 'string', enum: ['none', 'admin', 'all'] }
+        }
+      }
+    }
+  },
+  ClientFileSharing: {
+    type: 'object',
+    required: ['sharing'],
+    properties: {
+      sharing: { type: 'string', enum: ['none', 'admin', 'all'] }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Media streaming and Vidiots
+  // -------------------------------------------------------------------------
+  MediaStreamingConfig: {
+    type: 'object',
+    required: ['homeAssistant'],
+    properties: {
+      homeAssistant: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          url: { type: 'string' },
+          token: { type: 'string' },
+          mediaPlayers: {
+            type: 'object',
+            properties: {
+              enabled: { type: 'boolean' },
+              refreshInterval: { type: 'number' },
+              includeDevices: { type: 'array', items: { type: 'string' } },
+              excludeDevices: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        }
+      }
+    }
+  },
+  VidiotsConfig: {
+    type: 'object',
+    required: ['vidiots'],
+    properties: {
+      vidiots: { type: 'object' }
+    }
+  },
+  GitIdentity: {
+    type: 'object',
+    required: ['userName', 'userEmail'],
+    properties: {
+      userName: { type: 'string', minLength: 1, maxLength: 100 },
+      userEmail: { type: 'string', minLength: 1, maxLength: 100 }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Drink mixer
+  // -------------------------------------------------------------------------
+  DrinkMixerItemInput: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      available: { type: 'boolean', description: 'Defaults to true' }
+    }
+  },
+  DrinkMixerItem: {
+    type: 'object',
+    properties: {
+      id: { type: 'number' },
+      name: { type: 'string' },
+      available: { type: 'boolean' }
+    }
+  },
+  DrinkAlcoholSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      alcohol: ref('DrinkMixerItem')
+    }
+  },
+  DrinkMixerSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      mixer: ref('DrinkMixerItem')
+    }
+  },
+  DrinkRecipeInput: {
+    type: 'object',
+    required: ['name', 'ingredients'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      ingredients: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['name', 'amount', 'unit'],
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            amount: { type: 'number' },
+            unit: { type: 'string', enum: ['oz', 'dash', 'unit'] }
+          }
+        }
+      },
+      directions: { type: 'string' }
+    }
+  },
+  DrinkRecipeSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      recipe: { type: 'object' }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Tournaments
+  // -------------------------------------------------------------------------
+  TournamentCreate: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      tournamentType: { type: 'string' },
+      maxParticipants: { type: ['integer', 'null'] }
+    }
+  },
+  TournamentParticipantInput: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      linkedClientId: { type: ['string', 'number', 'null'] },
+      teamMembers: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  MatchResult: {
+    type: 'object',
+    required: ['winnerId'],
+    properties: {
+      winnerId: { type: 'number' },
+      score: { type: ['string', 'null'] }
+    }
+  },
+  TournamentParticipant: {
+    type: 'object',
+    properties: {
+      id: { type: 'number' },
+      name: { type: 'string' },
+      linkedClientId: { type: ['string', 'number', 'null'] },
+      teamMembers: { type: 'array', items: { type: 'string' } },
+      wins: { type: 'integer' },
+      losses: { type: 'integer' },
+      addedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Tournament: {
+    type: 'object',
+    properties: {
+      id: { type: 'number' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      tournamentType: { type: 'string' },
+      maxParticipants: { type: ['integer', 'null'] },
+      participants: { type: 'array', items: ref('TournamentParticipant') },
+      bracket: {},
+      currentRound: { type: 'integer' },
+      status: { type: 'string', enum: ['setup', 'active', 'completed'] },
+      winner: {},
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  TournamentSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      tournament: ref('Tournament')
+    }
+  },
+  TournamentParticipantSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      participant: ref('TournamentParticipant'),
+      tournament: ref('Tournament')
+    }
+  },
+  MatchResultSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      tournament: ref('Tournament'),
+      roundComplete: { type: 'boolean' }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Finance
+  // -------------------------------------------------------------------------
+  FinanceAccountInput: {
+    type: 'object',
+    description: 'New account, or the whole edited account when id is set',
+    required: ['name'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string', minLength: 1 },
+      type: { type: 'string' },
+      currentValue: { type: 'number' },
+      startDate: { type: ['string', 'null'] },
+      notes: { type: ['string', 'null'] },
+      displayName: { type: ['string', 'null'] },
+      linkedProperty: { type: ['string', 'null'] },
+      linkedPropertyId: { type: ['string', 'null'] },
+      monthlyPayment: { type: ['number', 'null'] },
+      expectedMonthlyPayment: { type: ['number', 'null'] },
+      startAge: { type: ['number', 'null'] }
+    }
+  },
+  FinanceBalance: {
+    type: 'object',
+    required: ['balance'],
+    properties: {
+      balance: { type: 'number' },
+      balanceDate: { type: 'string', description: 'Defaults to today' }
+    }
+  },
+  FinanceDisplayName: {
+    type: 'object',
+    properties: {
+      displayName: { type: ['string', 'null'], description: 'Empty or null clears it' }
+    }
+  },
+  FinanceMerge: {
+    type: 'object',
+    required: ['accountIds'],
+    properties: {
+      accountIds: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  FinanceMerged: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      survivingAccount: { type: 'object' },
+      mergedCount: { type: 'integer' },
+      mergedAccountNames: { type: 'array', items: { type: 'string' } },
+      previousNames: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  FinanceUnmerge: {
+    type: 'object',
+    properties: {
+      manualBalances: {
+        type: 'object',
+        description: 'Balance per recreated account name; accounts without one start from their last recorded balance',
+        additionalProperties: { type: 'number' }
+      }
+    }
+  },
+  FinanceUnmerged: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      sourceAccount: { type: 'object' },
+      recreatedAccounts: { type: 'array', items: { type: 'object' } },
+      recreatedAccountIds: { type: 'array', items: { type: 'string' } },
+      recreatedCount: { type: 'integer' },
+      recreatedAccountNames: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  FinanceDemographics: {
+    type: 'object',
+    properties: {
+      age: { type: ['number', 'null'] },
+      retirementAge: { type: ['number', 'null'] },
+      annualIncome: { type: ['number', 'null'] },
+      retirementYear: { type: ['number', 'null'] },
+      annualRetirementSpending: { type: ['number', 'null'] },
+      riskTolerance: { type: 'string' }
+    }
+  },
+  FinanceNumberMap: {
+    type: 'object',
+    description: 'Numbers keyed by account or setting name',
+    additionalProperties: { type: 'number' }
+  },
+  FinanceSocialSecurity: {
+    type: 'object',
+    properties: {
+      monthlyAmount: { type: 'number' },
+      startAge: { type: 'integer' }
+    }
+  },
+  FinanceHistoryEntry: {
+    type: 'object',
+    properties: {
+      accountId: { type: 'string' },
+      accountName: { type: 'string' },
+      type: { type: 'string' },
+      oldBalance: { type: 'number' },
+      newBalance: { type: 'number' },
+      balanceDate: { type: 'string' },
+      timestamp: { type: 'string' },
+      note: { type: 'string' }
+    }
+  },
+  FinanceHistoryEdit: {
+    type: 'object',
+    description: 'accountId, balanceDate and timestamp identify the entry to change',
+    required: ['accountId', 'balanceDate', 'timestamp'],
+    properties: {
+      accountId: { type: 'string' },
+      balanceDate: { type: 'string' },
+      timestamp: { type: 'string' },
+      newBalanceDate: { type: 'string' },
+      newBalance: { type: ['number', 'string'] }
+    }
+  },
+  FinanceScreenshotUpload: {
+    type: 'object',
+    required: ['screenshot', 'asOfDate'],
+    properties: {
+      screenshot: { type: 'string', format: 'binary' },
+      asOfDate: { type: 'string', description: 'Date the balances in the screenshot are from' }
+    }
+  },
+  FinanceScreenshotParsed: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      accounts: { type: 'array', items: { type: 'object' } },
+      groups: { type: 'object' },
+      netWorth: { type: ['number', 'null'] },
+      rawText: { type: 'string' }
+    }
+  },
+  FinanceImportConfirm: {
+    type: 'object',
+    required: ['parsedAccounts', 'asOfDate'],
+    properties: {
+      parsedAccounts: { type: 'array', minItems: 1, items: { type: 'object' } },
+      groups: { type: 'object' },
+      netWorth: { type: ['number', 'null'] },
+      asOfDate: { type: 'string', minLength: 1 },
+      decisions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            rowIndex: { type: ['integer', 'string'] },
+            action: { type: 'string' },
+            accountId: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  FinanceImportResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      accountsCreated: { type: 'integer' },
+      accountsUpdated: { type: 'integer' },
+      rowsSkipped: { type: 'integer' },
+      totalAccounts: { type: 'integer' },
+      updatedAccountIds: { type: 'array', items: { type: 'string' } },
+      newAccounts: { type: 'array', items: { type: 'object' } },
+      unchangedAccounts: { type: 'array', items: { type: 'object' } },
+      updatedAccounts: { type: 'array', items: { type: 'object' } },
+      groups: { type: 'object' },
+      netWorth: { type: ['number', 'null'] }
+    }
+  },
+  ApartmentInput: {
+    type: 'object',
+    description: 'New apartment, or the edited apartment when id is set',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      address: { type: 'string' },
+      purchaseDate: { type: 'string' },
+      purchasePrice: { type: ['number', 'string', 'null'] },
+      mortgageAmount: { type: ['number', 'string', 'null'] },
+      mortgageRate: { type: ['number', 'string', 'null'] },
+      mortgageTermMonths: { type: ['number', 'string', 'null'] },
+      rentIncreaseMonth: { type: ['number', 'string', 'null'] },
+      mortgageAccountId: { type: ['string', 'null'] },
+      propertyAccountId: { type: ['string', 'null'] },
+      reconcileDate: { type: ['string', 'null'] },
+      financialGoal: { type: 'object' }
+    }
+  },
+  ApartmentSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      apartment: { type: 'object' }
+    }
+  },
+  ApartmentExpense: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      amount: { type: ['number', 'string'] },
+      type: { type: 'string' },
+      category: { type: 'string' },
+      date: { type: 'string' },
+      notes: { type: 'string' },
+      annualIncreasePercent: { type: ['number', 'string'] }
+    }
+  },
+  ApartmentExpenseSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      expense: { type: 'object' }
+    }
+  },
+  ApartmentIncome: {
+    type: 'object',
+    properties: {
+      amount: { type: ['number', 'string'] },
+      type: { type: 'string' },
+      month: { type: 'string' },
+      notes: { type: 'string' }
+    }
+  },
+  ApartmentIncomeSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      income: { type: 'object' }
+    }
+  },
+  ForecastedRent: {
+    oneOf: [
+      ref('ForecastedRentPeriods'),
+      {
+        type: 'object',
+        required: ['forecastedRent'],
+        properties: {
+          forecastedRent: ref('ForecastedRentPeriods')
+        }
+      }
+    ]
+  },
+  ForecastedRentPeriods: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        startMonth: { type: 'string' },
+        endMonth: { type: 'string' },
+        amount: { type: ['number', 'string'] }
+      }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Backup and SFTP
+  // -------------------------------------------------------------------------
+  BackupFile: {
+    type: 'object',
+    description: 'A backup file as downloaded from GET /admin/api/backup/export',
+    properties: {
+      metadata: { type: 'object' },
+      data: { type: 'object' }
+    }
+  },
+  BackupPreview: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      valid: { type: 'boolean' },
+      errors: { type: 'array', items: { type: 'string' } },
+      warnings: { type: 'array', items: { type: 'string' } },
+      summary: { type: 'object' },
+      diff: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  BackupImportResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      results: { type: 'object' },
+      warnings: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  BackupArchiveRequest: {
+    type: 'object',
+    properties: {
+      password: { type: 'string', description: 'Encrypts the archive when set' },
+      modules: { type: ['array', 'string'], items: { type: 'string' }, description: 'Modules to include; all when missing' }
+    }
+  },
+  SftpConfigInput: {
+    type: 'object',
+    required: ['host', 'port', 'username', 'authMethod'],
+    properties: {
+      host: { type: 'string', minLength: 1 },
+      port: { type: ['integer', 'string'], minimum: 1, maximum: 65535 },
+      username: { type: 'string', minLength: 1 },
+      authMethod: { type: 'string', enum: ['password', 'key'] },
+      password: { type: 'string' },
+      privateKey: { type: 'string' },
+      passphrase: { type: 'string', description: 'For an encrypted private key' },
+      remotePath: { type: 'string' },
+      enabled: { type: 'boolean' }
+    }
+  },
+  SftpTest: {
+    type: 'object',
+    properties: {
+      config: { type: ['object', 'null'], description: 'Settings to test; the saved settings when missing' }
+    }
+  },
+  SftpDownload: {
+    type: 'object',
+    required: ['filename'],
+    properties: {
+      filename: { type: 'string', minLength: 1 }
+    }
+  },
+  SftpDownloaded: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      backup: ref('BackupFile')
+    }
+  },
+  SftpRestore: {
+    type: 'object',
+    required: ['filename'],
+    properties: {
+      filename: { type: 'string', minLength: 1 },
+      password: { type: 'string', description: 'Needed for encrypted archives' },
+      modules: { type: ['array', 'string'], items: { type: 'string' } }
+    }
+  },
+  BackupScheduleInput: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      cronSchedule: { type: 'string' },
+      retention: {
+        type: 'object',
+        properties: {
+          daily: { type: ['integer', 'string'] },
+          weekly: { type: ['integer', 'string'] },
+          monthly: { type: ['integer', 'string'] }
+        }
+      },
+      archivePassword: { type: 'string', description: 'Encrypts scheduled archives; empty keeps the stored one' },
+      clearArchivePassword: { type: 'boolean' }
+    }
+  },
+  BackupScheduleSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      schedule: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          cronSchedule: { type: 'string' },
+          retention: { type: 'object' },
+          hasArchivePassword: { type: 'boolean' },
+          skippedModules: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  },
+  BackupScheduleRun: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      run: { type: 'object' },
+      error: { type: 'string' }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Ollama
+  // -------------------------------------------------------------------------
+  OllamaConfig: {
+    type: 'object',
+    description: 'Missing fields keep their stored value',
+    properties: {
+      webUIUrl: { type: 'string' },
+      apiKey: { type: 'string' },
+      model: { type: 'string' },
+      enabled: { type: 'boolean' }
+    }
+  },
+  OllamaPrompt: {
+    type: 'object',
+    required: ['prompt'],
+    properties: {
+      prompt: { type: 'string', minLength: 1 },
+      conversationHistory: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', description: 'user or assistant' },
+            content: { type: 'string' },
+            timestamp: { type: 'string' },
+            responseTime: { type: 'number' }
+          }
+        }
+      }
+    }
+  },
+  OllamaReply: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      response: { type: 'string' },
+      responseTime: { type: 'number' },
+      model: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  // -------------------------------------------------------------------------
+  // Espresso
+  // -------------------------------------------------------------------------
+  EspressoData: {
+    type: 'object',
+    description: 'Fields to merge into the espresso data (text values, image paths); { "reset": true } restores the defaults'
+  },
+  EspressoDataSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      htmlGenerated: { type: 'boolean' },
+      outputPath: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  EspressoConfig: {
+    type: 'object',
+    required: ['espresso'],
+    properties: {
+      espresso: { type: 'object', description: 'Merged into the current settings; a missing githubPages.accessToken keeps the stored one' }
+    }
+  },
+  EspressoConfigSaved: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      config: { type: 'object' },
+      warning: { type: 'string', description: 'Set when the settings could not be written to config.json' }
+    }
+  },
+  EspressoGenerated: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      outputPath: { type: 'string' }
+    }
+  },
+  EspressoTemplateUpload: {
+    type: 'object',
+    required: ['templateFile'],
+    properties: {
+      templateFile: { type: 'string', format: 'binary', description: 'HTML template (saved as index.html) or an image' }
+    }
+  },
+  EspressoTemplateUploaded: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      filename: { type: 'string' },
+      originalName: { type: 'string' },
+      size: { type: 'integer' }
+    }
+  },
+  TemplateRepository: {
+    type: 'object',
+    required: ['repoUrl', 'localPath'],
+    properties: {
+      repoUrl: { type: 'string', minLength: 1 },
+      branch: { type: 'string', description: 'Defaults to main' },
+      localPath: { type: 'string', minLength: 1 }
+    }
+  },
+  TemplateRepositoryUpdated: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      message: { type: 'string' },
+      action: { type: 'string', description: 'cloned or pulled' },
+      filesCopied: { type: 'integer' },
+      output: { type: 'string' }
+    }
+  }
+};
+
+// Updating an entry merges the fields sent into the stored one, so the PUT
+// routes take the same fields as the POST routes with none of them required
+for (const name of [
+  'HousePet', 'HouseDocument', 'HouseInstruction', 'MediaCenterDevice', 'MediaCenterConnection',
+  'HouseCar', 'CarMaintenanceRecord', 'CarOdometerReading', 'CarInsurancePolicy'
+]) {
+  const { required, ...schema } = SCHEMAS[name];
+  SCHEMAS[`${name}Update`] = schema;
+}
+
+// Keyed by "METHOD /express/path"
+//   request:             request body schema of a route that does not check it with
+//                        validateBody (form posts, uploads, archives, hook payloads)
+//   requestContentType:  media type of that body when it is not application/json
+//   response:            schema of the success body
+//   responseContentType: media type of the success body when it is not application/json
+//   status:              success status code when it is not 200
+//   security:            security requirements for routes that authenticate in the handler
+//   deprecated:          the route only answers 410 Gone
+// "ALL /path" applies to every method of a path
+const ROUTE_DOCS = {
+  // Status, monitoring and hooks
+  'GET /api/status': { response: 'Status' },
+  'GET /healthz': { response: 'Liveness' },
+  'GET /readyz': { response: 'Readiness' },
+  'GET /metrics': { security: [{ metricsToken: [] }, {}] },
+  'POST /api/hooks/:id': { security: [{ hookSecret: [] }], request: 'InboundHookPayload', response: 'InboundHookDelivery' },
+  'ALL /api/webhook': { deprecated: true, status: 410, response: 'Error' },
+  'ALL /api/data': { deprecated: true, status: 410, response: 'Error' },
+
+  // Admin sign-in and accounts
+  'POST /admin/login': { request: 'AdminLogin', requestContentType: 'application/x-www-form-urlencoded', status: 302 },
+  'POST /admin/login/2fa': { request: 'TwoFactorCode', requestContentType: 'application/x-www-form-urlencoded', status: 302 },
+  'POST /admin/logout': { status: 302 },
+  'POST /admin/api/change-password': { response: 'ConfigSaved' },
+  'POST /admin/api/two-factor/setup': { response: 'TwoFactorEnrollment' },
+  'POST /admin/api/two-factor/enable': { response: 'RecoveryCodes' },
+  'POST /admin/api/two-factor/disable': { response: 'Success' },
+  'POST /admin/api/two-factor/recovery-codes': { response: 'RecoveryCodes' },
+  'POST /admin/api/users': { status: 201, response: 'AdminUserSaved' },
+  'PUT /admin/api/users/:id': { response: 'AdminUserSaved' },
+  'POST /admin/api/users/:id/password': { response: 'AdminUserSaved' },
+  'DELETE /admin/api/users/:id/two-factor': { response: 'AdminUserSaved' },
+  'DELETE /admin/api/users/:id': { response: 'Success' },
+  'POST /admin/api/secrets/rotate': { response: 'SecretsRotated' },
+  'POST /admin/api/api-tokens': { response: 'ApiTokenCreated' },
+  'DELETE /admin/api/api-tokens/:id': { response: 'Success' },
+  'PUT /admin/api/sessions/settings': { response: 'SessionSettingsSaved' },
+  'DELETE /admin/api/sessions/:id': { response: 'Success' },
+
+  // Medication portal
+  'POST /medications/api/register': { status: 201, response: 'MedicationPortalSession' },
+  'POST /medications/api/login': { response: 'MedicationPortalSession' },
+  'POST /medications/api/login/2fa': { response: 'MedicationPortalSession' },
+  'POST /medications/api/two-factor/setup': { response: 'TwoFactorEnrollment' },
+  'POST /medications/api/two-factor/enable': { response: 'RecoveryCodes' },
+  'POST /medications/api/two-factor/disable': { response: 'Success' },
+  'POST /medications/api/logout': { response: 'Success' },
+  'POST /medications/api/medications/:id/adherence': { response: 'MedicationAdherenceSaved' },
+
+  // Configuration, links and parties
+  'POST /admin/api/config': { response: 'ConfigSaved' },
+  'POST /admin/api/links': { response: 'UsefulLinksSaved' },
+  'DELETE /admin/api/links/:id': { response: 'UsefulLinksSaved' },
+  'GET /admin/api/parties': { response: 'PartyList' },
+  'GET /admin/api/parties/:id': { response: 'Party' },
+  'POST /admin/api/parties': { response: 'PartySaved' },
+  'PUT /admin/api/parties/:id': { response: 'PartySaved' },
+  'DELETE /admin/api/parties/:id': { response: 'ConfigSaved' },
+  'POST /admin/api/party/scheduling': { response: 'PartyScheduleSaved' },
+
+  // Maintenance: logs, public site, jobs, modules and audit
+  'POST /admin/api/logs/clear': { response: 'Success' },
+  'POST /admin/api/regenerate-public': { response: 'OperationResult' },
+  'POST /admin/api/regenerate-public/logs/clear': { response: 'Success' },
+  'GET /admin/api/jobs': { response: 'JobList' },
+  'POST /admin/api/jobs/:id/pause': { response: 'JobSaved' },
+  'POST /admin/api/jobs/:id/resume': { response: 'JobSaved' },
+  'POST /admin/api/jobs/:id/run': { response: 'JobRunResult' },
+  'PUT /admin/api/jobs/:id/schedule': { response: 'JobSaved' },
+  'GET /admin/api/modules': { response: 'ModuleList' },
+  'PUT /admin/api/modules/:id': { response: 'ModuleSaved' },
+  'GET /admin/api/audit': { response: 'AuditEventList' },
+  'POST /admin/api/audit/:id/revert': { response: 'AuditRevertResult' },
+
+  // Client devices and visitors
+  'POST /api/client/authenticate': { response: 'Success' },
+  'POST /api/client/set-password': { response: 'Success' },
+  'POST /api/client/change-password': { response: 'Success' },
+  'POST /api/client/remove-password': { response: 'Success' },
+  'POST /api/client/register': { response: 'ClientRegistered' },
+  'POST /api/client/update-name': { response: 'Success' },
+  'POST /api/visitor/register': { response: 'VisitorRegistered' },
+  'POST /admin/api/client': { response: 'ConfigSaved' },
+  'DELETE /admin/api/client/device/:deviceId': { response: 'Success' },
+  'DELETE /admin/api/client/:deviceId': { response: 'Success' },
+  'POST /api/client/files/upload': {
+    security: [{ clientSession: [] }],
+    request: 'ClientFileUpload',
+    requestContentType: 'multipart/form-data',
+    response: 'ClientFileUploaded'
+  },
+  'PATCH /api/client/files/:filename/sharing': { response: 'Success' },
+  'DELETE /api/client/files/:filename': { response: 'Success' },
+
+  // Media streaming and Vidiots
+  'POST /admin/api/media-streaming/config': { response: 'ConfigSaved' },
+  'POST /admin/api/vidiots/config': { response: 'Success' },
+  'POST /admin/api/vidiots/trigger': { response: 'OperationResult' },
+  'POST /admin/api/vidiots/github/test': { response: 'OperationResult' },
+  'POST /admin/api/vidiots/github/upload': { response: 'OperationResult' },
+  'POST /admin/api/vidiots/github/clone': { response: 'OperationResult' },
+  'DELETE /admin/api/vidiots/github/delete': { response: 'OperationResult' },
+  'POST /admin/api/vidiots/github/git-config': { response: 'OperationResult' },
+
+  // Espresso
+  'POST /update-texts': { response: 'EspressoDataSaved' },
+  'POST /api/espresso': { response: 'EspressoDataSaved' },
+  'POST /admin/api/espresso/config': { response: 'EspressoConfigSaved' },
+  'POST /admin/api/espresso/generate': { response: 'EspressoGenerated' },
+  'POST /admin/api/espresso/data': { response: 'EspressoDataSaved' },
+  'POST /api/espresso/data': { response: 'EspressoDataSaved' },
+  'POST /admin/api/espresso/upload-template': {
+    request: 'EspressoTemplateUpload',
+    requestContentType: 'multipart/form-data',
+    response: 'EspressoTemplateUploaded'
+  },
+  'DELETE /admin/api/espresso/template-files/:filename': { response: 'Success' },
+  'POST /admin/api/espresso/github/upload': { response: 'OperationResult' },
+  'POST /admin/api/espresso/clone-template': { response: 'TemplateRepositoryUpdated' },
+
+  // Drink mixer and tournaments
+  'POST /admin/api/drink-mixer/alcohols': { response: 'DrinkAlcoholSaved' },
+  'DELETE /admin/api/drink-mixer/alcohols/:id': { response: 'Success' },
+  'POST /admin/api/drink-mixer/mixers': { response: 'DrinkMixerSaved' },
+  'DELETE /admin/api/drink-mixer/mixers/:id': { response: 'Success' },
+  'POST /admin/api/drink-mixer/recipes': { response: 'DrinkRecipeSaved' },
+  'DELETE /admin/api/drink-mixer/recipes/:id': { response: 'Success' },
+  'POST /admin/api/tournaments': { response: 'TournamentSaved' },
+  'POST /admin/api/tournaments/:id/participants': { response: 'TournamentParticipantSaved' },
+  'POST /admin/api/tournaments/:id/generate-bracket': { response: 'TournamentSaved' },
+  'POST /admin/api/tournaments/:id/matches/:matchId/result': { response: 'MatchResultSaved' },
+
+  // Finance
+  'POST /admin/api/finance/accounts': { response: 'Success' },
+  'DELETE /admin/api/finance/accounts/:id': { response: 'Success' },
+  'DELETE /admin/api/finance/import-rules/:ruleId': { response: 'Success' },
+  'POST /admin/api/finance/accounts/:id/balance': { response: 'Success' },
+  'POST /admin/api/finance/accounts/:id/display-name': { response: 'Success' },
+  'POST /admin/api/finance/accounts/merge': { response: 'FinanceMerged' },
+  'POST /admin/api/finance/accounts/:id/unmerge': { response: 'FinanceUnmerged' },
+  'POST /admin/api/finance/accounts/:id/clear-merge-link': { response: 'OperationResult' },
+  'POST /admin/api/finance/demographics': { response: 'Success' },
+  'POST /admin/api/finance/history': { response: 'Success' },
+  'PUT /admin/api/finance/history/entry': { response: 'Success' },
+  'DELETE /admin/api/finance/history/entry': { response: 'Success' },
+  'POST /admin/api/finance/demo/demographics': { response: 'Success' },
+  'POST /admin/api/finance/demo/accounts': { response: 'Success' },
+  'POST /admin/api/finance/demo/forecasts': { response: 'Success' },
+  'POST /admin/api/finance/demo/social-security': { response: 'Success' },
+  'POST /admin/api/finance/advanced-settings': { response: 'Success' },
+  'POST /admin/api/finance/upload-screenshot': {
+    request: 'FinanceScreenshotUpload',
+    requestContentType: 'multipart/form-data',
+    response: 'FinanceScreenshotParsed'
+  },
+  'POST /admin/api/finance/upload-screenshot/confirm': { response: 'FinanceImportResult' },
+  'POST /admin/api/finance/apartments': { response: 'ApartmentSaved' },
+  'DELETE /admin/api/finance/apartments/:id': { response: 'Success' },
+  'POST /admin/api/finance/apartments/:id/expenses': { response: 'ApartmentExpenseSaved' },
+  'DELETE /admin/api/finance/apartments/:id/expenses/:expenseId': { response: 'Success' },
+  'POST /admin/api/finance/apartments/:id/income': { response: 'ApartmentIncomeSaved' },
+  'DELETE /admin/api/finance/apartments/:id/income/:incomeId': { response: 'Success' },
+  'POST /admin/api/finance/apartments/:id/forecasted-rent': { response: 'Success' },
+
+  // Backup and SFTP
+  'POST /admin/api/backup/preview': { response: 'BackupPreview' },
+  'POST /admin/api/backup/import': { response: 'BackupImportResult' },
+  'POST /admin/api/backup/archive': { response: 'BinaryFile', responseContentType: 'application/octet-stream' },
+  'POST /admin/api/backup/archive/preview': {
+    request: 'BinaryFile',
+    requestContentType: 'application/octet-stream',
+    response: 'BackupPreview'
+  },
+  'POST /admin/api/backup/archive/import': {
+    request: 'BinaryFile',
+    requestContentType: 'application/octet-stream',
+    response: 'BackupImportResult'
+  },
+  'POST /admin/api/sftp/config': { response: 'OperationResult' },
+  'DELETE /admin/api/sftp/config': { response: 'Success' },
+  'POST /admin/api/sftp/test': { response: 'ConnectionTest' },
+  'POST /admin/api/sftp/upload': { response: 'OperationResult' },
+  'POST /admin/api/sftp/download': { response: 'SftpDownloaded' },
+  'POST /admin/api/sftp/restore': { response: 'BackupImportResult' },
+  'POST /admin/api/sftp/schedule': { response: 'BackupScheduleSaved' },
+  'POST /admin/api/sftp/schedule/run': { response: 'BackupScheduleRun' },
+
+  // Webhooks and inbound hooks
+  'POST /admin/api/webhooks': { response: 'WebhookSaved' },
+  'DELETE /admin/api/webhooks/:id': { response: 'Success' },
+  'POST /admin/api/webhooks/:id/secret': { response: 'WebhookSecret' },
+  'POST /admin/api/webhooks/dead-letters/:id/retry': { response: 'WebhookDelivery' },
+  'DELETE /admin/api/webhooks/dead-letters/:id': { response: 'Success' },
+  'POST /admin/api/webhooks/:id/trigger': { response: 'WebhookDelivery' },
+  'POST /admin/api/inbound-hooks': { response: 'InboundHookSaved' },
+  'PUT /admin/api/inbound-hooks/:id': { response: 'InboundHookSaved' },
+  'DELETE /admin/api/inbound-hooks/:id': { response: 'Success' },
+  'POST /admin/api/inbound-hooks/:id/secret': { response: 'InboundHookSaved' },
+  'POST /admin/api/inbound-hooks/:id/test': { response: 'InboundHookTestResult' },
+
+  // Ollama
+  'POST /admin/api/ollama/config': { response: 'Success' },
+  'POST /admin/api/ollama/test-connection': { response: 'ConnectionTest' },
+  'POST /admin/api/ollama/chat': { response: 'OllamaReply' },
+  'DELETE /admin/api/ollama/history': { response: 'Success' },
+
+  // Smart mirror and vacation flights
+  'POST /admin/api/smart-mirror/config': { response: 'SmartMirrorConfigSaved' },
+  'POST /admin/api/smart-mirror/profiles': { status: 201, response: 'SmartMirrorProfileCreated' },
+  'DELETE /admin/api/smart-mirror/profiles/:id': { response: 'Success' },
+  'POST /admin/api/smart-mirror/test/weather': { response: 'ConnectionTest' },
+  'POST /admin/api/smart-mirror/test/calendar': { response: 'ConnectionTest' },
+  'POST /admin/api/smart-mirror/test/news': { response: 'ConnectionTest' },
+  'POST /admin/api/smart-mirror/test/media': { response: 'ConnectionTest' },
+  'POST /admin/api/smart-mirror/test/tomtom': { response: 'ConnectionTest' },
+  'POST /admin/api/flight-api/test-connection': { response: 'ConnectionTest' },
+  'POST /admin/api/flight-api/manual-update': { response: 'Success' },
+  'POST /admin/api/smart-mirror/calendar/refresh': { response: 'ConnectionTest' },
+  'POST /admin/api/smart-mirror/test-location': { response: 'ConnectionTest' },
+  'POST /admin/api/vacation/validate-flight': { response: 'FlightValidated' },
+  'POST /admin/api/vacation/toggle-flight-tracking': { response: 'Success' },
+
+  // House
+  'POST /admin/api/house/vacation/clock-sync': { response: 'VacationClockSync' },
+  'POST /admin/api/house/vacation': { response: 'Success' },
+  'POST /admin/api/house/vacation/dates': { response: 'VacationDateSaved' },
+  'PUT /admin/api/house/vacation/dates/:id': { response: 'VacationDateSaved' },
+  'DELETE /admin/api/house/vacation/dates/:id': { response: 'Success' },
+  'POST /admin/api/house/vacation/pets': { response: 'Success' },
+  'PUT /admin/api/house/vacation/pets/:id': { response: 'Success' },
+  'DELETE /admin/api/house/vacation/pets/:id': { response: 'Success' },
+  'POST /admin/api/house/documentation': { response: 'Success' },
+  'POST /admin/api/house/documentation/documents': { response: 'Success' },
+  'PUT /admin/api/house/documentation/documents/:id': { response: 'Success' },
+  'DELETE /admin/api/house/documentation/documents/:id': { response: 'Success' },
+  'POST /admin/api/house/documentation/instructions': { response: 'Success' },
+  'PUT /admin/api/house/documentation/instructions/:id': { response: 'Success' },
+  'DELETE /admin/api/house/documentation/instructions/:id': { response: 'Success' },
+  'POST /admin/api/house/mediacenter': { response: 'Success' },
+  'POST /admin/api/house/mediacenter/devices': { response: 'Success' },
+  'PUT /admin/api/house/mediacenter/devices/:id': { response: 'Success' },
+  'DELETE /admin/api/house/mediacenter/devices/:id': { response: 'Success' },
+  'POST /admin/api/house/mediacenter/connections': { response: 'Success' },
+  'PUT /admin/api/house/mediacenter/connections/:id': { response: 'Success' },
+  'DELETE /admin/api/house/mediacenter/connections/:id': { response: 'Success' },
+  'POST /admin/api/house/cars': { response: 'Success' },
+  'PUT /admin/api/house/cars/:id': { response: 'Success' },
+  'DELETE /admin/api/house/cars/:id': { response: 'Success' },
+  'POST /admin/api/house/cars/:carId/maintenance': { response: 'Success' },
+  'PUT /admin/api/house/cars/:carId/maintenance/:recordId': { response: 'Success' },
+  'DELETE /admin/api/house/cars/:carId/maintenance/:recordId': { response: 'Success' },
+  'POST /admin/api/house/cars/:carId/odometer': { response: 'Success' },
+  'PUT /admin/api/house/cars/:carId/odometer/:readingId': { response: 'Success' },
+  'DELETE /admin/api/house/cars/:carId/odometer/:readingId': { response: 'Success' },
+  'POST /admin/api/house/cars/:carId/insurance': { response: 'Success' },
+  'PUT /admin/api/house/cars/:carId/insurance/:policyId': { response: 'Success' },
+  'DELETE /admin/api/house/cars/:carId/insurance/:policyId': { response: 'Success' },
+  'POST /admin/api/house/bills/upload': {
+    request: 'HouseBillUpload',
+    requestContentType: 'multipart/form-data',
+    response: 'HouseBillSaved'
+  },
+  'POST /admin/api/house/bills/upload-batch': {
+    request: 'HouseBillBatchUpload',
+    requestContentType: 'multipart/form-data',
+    response: 'HouseBillBatchStaged'
+  },
+  'POST /admin/api/house/bills/upload-batch/confirm': { response: 'HouseBillBatchConfirmed' },
+  'POST /admin/api/house/bills/upload-batch/cancel': { response: 'Success' },
+  'DELETE /admin/api/house/bills/:id': { response: 'Success' },
+  'POST /admin/api/house/lists/categories': { response: 'Success' },
+  'DELETE /admin/api/house/lists/categories/:id': { response: 'Success' },
+  'POST /admin/api/house/lists': { response: 'Success' },
+  'PUT /admin/api/house/lists/:id': { response: 'Success' },
+  'DELETE /admin/api/house/lists/:id': { response: 'Success' },
+  'POST /admin/api/house/lists/:id/items': { response: 'Success' },
+  'PUT /admin/api/house/lists/:id/items/:itemId': { response: 'Success' },
+  'DELETE /admin/api/house/lists/:id/items/:itemId': { response: 'Success' },
+  'POST /admin/api/house/medications': { response: 'Success' },
+  'PUT /admin/api/house/medications/:id': { response: 'Success' },
+  'DELETE /admin/api/house/medications/:id': { response: 'Success' },
+  'PUT /admin/api/house/medications/:id/assignments': { response: 'Success' },
+  'DELETE /admin/api/house/medications/portal-users/:id/two-factor': { response: 'Success' },
+
+  // Remote devices
+  'POST /admin/api/remote-devices': { status: 201, response: 'RemoteDeviceCreated' },
+  'DELETE /admin/api/remote-devices/:id': { response: 'Success' },
+  'POST /admin/api/remote-devices/:id/rotate-token': { response: 'RemoteDeviceToken' },
+  'POST /admin/api/remote-devices/:id/command': { status: 201, response: 'RemoteCommandQueued' },
+  'PUT /admin/api/remote-devices/:id/ssh-config': { response: 'Success' },
+  'DELETE /admin/api/remote-devices/:id/ssh-config': { response: 'Success' },
+  'PUT /admin/api/remote-devices/:id/mirror-profile': { response: 'RemoteMirrorProfileSaved' },
+  'POST /api/device/heartbeat': { response: 'DeviceHeartbeatAck' },
+  'POST /api/device/result': { response: 'DeviceAck' }
+};
+
+// Write routes that do not check their body with validateBody, and why.
+// test-openapi.js fails on a write route in server.js that is neither
+// validated nor listed here, and on entries for routes that are.
+const NO_BODY_PATH = 'No body: the record is named by the path';
+const NO_BODY_ACTION = 'No body: runs an action with the stored settings';
+const NO_BODY_SECRET = 'No body: generates a new secret for the record named by the path';
+const UPLOAD = 'Multipart upload parsed by multer; files and fields are checked in the handler';
+const UNVALIDATED_BODIES = {
+  // Sign-in and accounts
+  'POST /admin/login': 'HTML form post; missing fields redirect back to the login page instead of a JSON 400',
+  'POST /admin/login/2fa': 'HTML form post; a missing code redirects back to the login page instead of a JSON 400',
+  'POST /admin/logout': 'No body: ends the current session',
+  'POST /medications/api/logout': 'No body: ends the current session',
+  'POST /admin/api/two-factor/setup': 'No body: creates a new secret for the signed-in account',
+  'POST /medications/api/two-factor/setup': 'No body: creates a new secret for the signed-in portal user',
+  'DELETE /admin/api/users/:id': NO_BODY_PATH,
+  'DELETE /admin/api/users/:id/two-factor': NO_BODY_PATH,
+  'DELETE /admin/api/api-tokens/:id': NO_BODY_PATH,
+  'DELETE /admin/api/sessions/:id': NO_BODY_PATH,
+  'POST /admin/api/secrets/rotate': 'No body: re-encrypts every store under a new key',
+
+  // Status, logs, jobs and audit
+  'POST /api/hooks/:id': 'Free-form payload from an outside service; the hook rules pick the fields they use',
+  'POST /admin/api/logs/clear': 'No body: clears the whole log',
+  'POST /admin/api/regenerate-public/logs/clear': 'No body: clears the whole log',
+  'POST /admin/api/jobs/:id/pause': NO_BODY_PATH,
+  'POST /admin/api/jobs/:id/resume': NO_BODY_PATH,
+  'POST /admin/api/jobs/:id/run': NO_BODY_PATH,
+  'POST /admin/api/audit/:id/revert': NO_BODY_PATH,
+
+  // Links, parties and tournaments
+  'DELETE /admin/api/links/:id': NO_BODY_PATH,
+  'DELETE /admin/api/parties/:id': NO_BODY_PATH,
+  'POST /admin/api/tournaments/:id/generate-bracket': NO_BODY_PATH,
+
+  // Clients
+  'DELETE /admin/api/client/:deviceId': NO_BODY_PATH,
+  'DELETE /admin/api/client/device/:deviceId': NO_BODY_PATH,
+  'POST /api/client/files/upload': UPLOAD,
+  'DELETE /api/client/files/:filename': NO_BODY_PATH,
+
+  // Vidiots and espresso
+  'POST /admin/api/vidiots/trigger': NO_BODY_ACTION,
+  'POST /admin/api/vidiots/github/test': NO_BODY_ACTION,
+  'POST /admin/api/vidiots/github/upload': NO_BODY_ACTION,
+  'POST /admin/api/vidiots/github/clone': NO_BODY_ACTION,
+  'DELETE /admin/api/vidiots/github/delete': 'No body: the file is named by the path query parameter',
+  'POST /admin/api/espresso/generate': NO_BODY_ACTION,
+  'POST /admin/api/espresso/upload-template': UPLOAD,
+  'DELETE /admin/api/espresso/template-files/:filename': NO_BODY_PATH,
+  'POST /admin/api/espresso/github/upload': NO_BODY_ACTION,
+
+  // Drink mixer
+  'DELETE /admin/api/drink-mixer/alcohols/:id': NO_BODY_PATH,
+  'DELETE /admin/api/drink-mixer/mixers/:id': NO_BODY_PATH,
+  'DELETE /admin/api/drink-mixer/recipes/:id': NO_BODY_PATH,
+
+  // Finance
+  'DELETE /admin/api/finance/accounts/:id': NO_BODY_PATH,
+  'DELETE /admin/api/finance/import-rules/:ruleId': NO_BODY_PATH,
+  'POST /admin/api/finance/accounts/:id/clear-merge-link': NO_BODY_PATH,
+  'DELETE /admin/api/finance/history/entry': 'No body: the entry is named by the accountId, balanceDate and timestamp query parameters',
+  'POST /admin/api/finance/upload-screenshot': UPLOAD,
+  'DELETE /admin/api/finance/apartments/:id': NO_BODY_PATH,
+  'DELETE /admin/api/finance/apartments/:id/expenses/:expenseId': NO_BODY_PATH,
+  'DELETE /admin/api/finance/apartments/:id/income/:incomeId': NO_BODY_PATH,
+
+  // Backups
+  'POST /admin/api/backup/archive/preview': 'Raw archive file; its password travels in the X-Backup-Password header',
+  'POST /admin/api/backup/archive/import': 'Raw archive file; its password travels in the X-Backup-Password header',
+  'DELETE /admin/api/sftp/config': 'No body: removes the stored SFTP settings',
+  'POST /admin/api/sftp/upload': NO_BODY_ACTION,
+  'POST /admin/api/sftp/schedule/run': NO_BODY_ACTION,
+
+  // Webhooks, inbound hooks and Ollama
+  'DELETE /admin/api/webhooks/:id': NO_BODY_PATH,
+  'POST /admin/api/webhooks/:id/secret': NO_BODY_SECRET,
+  'POST /admin/api/webhooks/dead-letters/:id/retry': NO_BODY_PATH,
+  'DELETE /admin/api/webhooks/dead-letters/:id': NO_BODY_PATH,
+  'DELETE /admin/api/inbound-hooks/:id': NO_BODY_PATH,
+  'POST /admin/api/inbound-hooks/:id/secret': NO_BODY_SECRET,
+  'POST /admin/api/ollama/test-connection': NO_BODY_ACTION,
+  'DELETE /admin/api/ollama/history': 'No body: clears the whole conversation history',
+
+  // Smart mirror and flights
+  'DELETE /admin/api/smart-mirror/profiles/:id': NO_BODY_PATH,
+  'POST /admin/api/flight-api/manual-update': NO_BODY_ACTION,
+  'POST /admin/api/smart-mirror/calendar/refresh': NO_BODY_ACTION,
+
+  // House
+  'POST /admin/api/house/vacation/clock-sync': NO_BODY_ACTION,
+  'DELETE /admin/api/house/vacation/dates/:id': NO_BODY_PATH,
+  'DELETE /admin/api/house/vacation/pets/:id': NO_BODY_PATH,
+  'DELETE /admin/api/house/documentation/documents/:id': NO_BODY_PATH,
+  'DELETE /admin/api/house/documentation/instructions/:id': NO_BODY_PATH,
+  'DELETE /admin/api/house/mediacenter/devices/:id': NO_BODY_PATH,
+  'DELETE /admin/api/house/mediacenter/connections/:id': NO_BODY_PATH,
+  'DELETE /admin/api/house/cars/:id': NO_BODY_PATH,
+  'DELETE /admin/api/house/cars/:carId/maintenance/:recordId': NO_BODY_PATH,
+  'DELETE /admin/api/house/cars/:carId/odometer/:readingId': NO_BODY_PATH,
+  'DELETE /admin/api/house/cars/:carId/insurance/:policyId': NO_BODY_PATH,
+  'POST /admin/api/house/bills/upload': UPLOAD,
+  'POST /admin/api/house/bills/upload-batch': UPLOAD,
+  'DELETE /admin/api/house/bills/:id': NO_BODY_PATH,
+  'DELETE /admin/api/house/lists/categories/:id': NO_BODY_PATH,
+  'DELETE /admin/api/house/lists/:id': NO_BODY_PATH,
+  'DELETE /admin/api/house/lists/:id/items/:itemId': NO_BODY_PATH,
+  'DELETE /admin/api/house/medications/:id': NO_BODY_PATH,
+  'DELETE /admin/api/house/medications/portal-users/:id/two-factor': NO_BODY_PATH,
+
+  // Remote devices
+  'DELETE /admin/api/remote-devices/:id': NO_BODY_PATH,
+  'POST /admin/api/remote-devices/:id/rotate-token': NO_BODY_SECRET,
+  'DELETE /admin/api/remote-devices/:id/ssh-config': NO_BODY_PATH
+};
+
+module.exports = {
+  SCHEMAS,
+  ROUTE_DOCS,
+  UNVALIDATED_BODIES
+};
@@ -0,0 +1,335 @@
+/**
+ * API Tokens Module
+ *
+ * Personal API tokens for scripts and Home Assistant automations.  A token
+ * is sent as "Authorization: Bearer <token>" to any /admin/api/* route and
+ * is checked by requireAuth in server.js instead of a session cookie.
+ *
+ * Only a SHA-256 hash of each token is stored; the plain token is returned
+ * once, when it is created.
+ *
+ * Scopes use the same areas as the admin roles (see modules/admin-users.js):
+ *   "<area>:read"     GET/HEAD/OPTIONS on /admin/api/<area>/*
+ *   "<area>:write"    any method on /admin/api/<area>/* (except commands)
+ *   "remote:command"  POST /admin/api/remote-devices/:id/command
+ *   "*:read" / "*:write" apply to every area a role's "*" would cover
+ *
+ * Storage layout:
+ *   config/api-tokens.json   (override with config.apiTokens.dataFilePath)
+ *
+ * Schema:
+ * {
+ *   tokens: [
+ *     {
+ *       id:          string   – UUID
+ *       name:        string   – label shown in the dashboard
+ *       tokenHash:   string   – sha256 hex of the plain token
+ *       tokenPrefix: string   – first characters of the token, for recognition
+ *       scopes:      string[]
+ *       createdBy:   { id, username } – admin account that issued the token
+ *       createdAt:   string   – ISO timestamp
+ *       expiresAt:   string   – ISO timestamp, or null for no expiry
+ *       lastUsedAt:  string   – ISO timestamp or null
+ *       lastUsedIp:  string   – client IP of the last request or null
+ *     }
+ *   ]
+ * }
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const adminUsers = require('./admin-users');
+const logger = require('./logger');
+
+const TOKEN_PREFIX = 'lssp_';
+const SCOPE_PATTERN = /^(\*|[a-z0-9-]+):(read|write|command)$/;
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+// Don't rewrite the token file on every request just to bump lastUsedAt
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+// Routes that need an explicit "<area>:command" scope; "write" is not enough
+const COMMAND_ROUTES = [
+  { method: 'POST', pattern: /^\/admin\/api\/remote-devices\/[^/]+\/command$/ }
+];
+
+// Scopes offered as checkboxes in the dashboard; any valid scope string is accepted by the API
+const COMMON_SCOPES = [
+  { scope: 'finance:read', description: 'Read finance accounts, history and spending' },
+  { scope: 'finance:write', description: 'Update finance accounts and balances' },
+  { scope: 'house:read', description: 'Read cars, bills, medications, lists and vacations' },
+  { scope: 'house:write', description: 'Change house data' },
+  { scope: 'remote:read', description: 'List remote devices and their command history' },
+  { scope: 'remote:command', description: 'Send commands (display on/off, reboot…) to remote devices' },
+  { scope: 'smart-mirror:read', description: 'Read smart mirror configuration' },
+  { scope: 'smart-mirror:write', description: 'Change smart mirror configuration' },
+  { scope: 'events:read', description: 'Stream live logs and operation progress (GET /admin/api/events)' },
+  { scope: '*:read', description: 'Read every area except user management and backups' }
+];
+
+let config = null;
+
+// Initialize the API tokens module with config
+function init(serverConfig) {
+  config = serverConfig;
+}
+
+function getTokensFilePath() {
+  const tokensConfig = config?.apiTokens || {};
+  return tokensConfig.dataFilePath || path.join(__dirname, '..', 'config', 'api-tokens.json');
+}
+
+function loadTokensData() {
+  const dataFilePath = getTokensFilePath();
+  try {
+    if (fs.existsSync(dataFilePath)) {
+      const data = JSON.parse(fs.readFileSync(dataFilePath, 'utf8'));
+      return { tokens: Array.isArray(data.tokens) ? data.tokens : [] };
+    }
+  } catch (error) {
+    logger.error(logger.categories.SYSTEM, `[API Tokens] Error loading tokens file: ${error.message}`);
+  }
+  return { tokens: [] };
+}
+
+function saveTokensData(data) {
+  const dataFilePath = getTokensFilePath();
+  try {
+    const dataDir = path.dirname(dataFilePath);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(dataFilePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    return { success: true };
+  } catch (error) {
+    logger.error(logger.categories.SYSTEM, `[API Tokens] Error saving tokens file: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+function hashToken(plainToken) {
+  return crypto.createHash('sha256').update(String(plainToken)).digest('hex');
+}
+
+function isExpired(token, now = Date.now()) {
+  return Boolean(token.expiresAt) && new Date(token.expiresAt).getTime() <= now;
+}
+
+/**
+ * Strip the hash from a stored token before it leaves the module.
+ */
+function serializeToken(token) {
+  if (!token) return null;
+  return {
+    id: token.id,
+    name: token.name,
+    tokenPrefix: token.tokenPrefix,
+    scopes: [...token.scopes],
+    createdBy: token.createdBy || null,
+    createdAt: token.createdAt,
+    expiresAt: token.expiresAt || null,
+    expired: isExpired(token),
+    lastUsedAt: token.lastUsedAt || null,
+    lastUsedIp: token.lastUsedIp || null
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Scopes
+// ---------------------------------------------------------------------------
+
+/**
+ * Check and normalise a list of scope strings.
+ * @returns {{valid: boolean, scopes?: string[], error?: string}}
+ */
+function validateScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(/[\s,]+/);
+  const normalized = [...new Set(list.map(scope => String(scope || '').trim().toLowerCase()).filter(Boolean))];
+
+  if (normalized.length === 0) {
+    return { valid: false, error: 'At least one scope is required' };
+  }
+  for (const scope of normalized) {
+    const match = scope.match(SCOPE_PATTERN);
+    if (!match) {
+      return { valid: false, error: `Invalid scope "${scope}" – use <area>:read, <area>:write or remote:command` };
+    }
+    const area = match[1];
+    if (area !== '*' && (adminUsers.isRestrictedArea(area) || adminUsers.isSelfServiceArea(area))) {
+      return { valid: false, error: `Scope "${scope}" cannot be granted to an API token` };
+    }
+    if (match[2] === 'command' && area !== 'remote') {
+      return { valid: false, error: `Only remote:command is supported, not ${scope}` };
+    }
+  }
+  return { valid: true, scopes: normalized };
+}
+
+/**
+ * Work out the scope a request needs.
+ * @returns {{area: string, level: string}|null} null for paths tokens can never use
+ */
+function getRequiredScope(requestPath, method = 'GET') {
+  const area = adminUsers.resolveArea(requestPath);
+  if (area === null || adminUsers.isSelfServiceArea(area)) {
+    return null;
+  }
+  const upperMethod = String(method).toUpperCase();
+  if (COMMAND_ROUTES.some(route => route.method === upperMethod && route.pattern.test(requestPath))) {
+    return { area, level: 'command' };
+  }
+  return { area, level: READ_METHODS.has(upperMethod) ? 'read' : 'write' };
+}
+
+/**
+ * Decide whether a token's scopes allow a request.
+ * @returns {boolean}
+ */
+function hasScope(token, requestPath, method = 'GET') {
+  const required = getRequiredScope(requestPath, method);
+  if (!required || adminUsers.isRestrictedArea(required.area)) {
+    return false;
+  }
+  const scopes = new Set(token?.scopes || []);
+  const levels = required.level === 'read' ? ['read', 'write'] : [required.level];
+  return levels.some(level => scopes.has(`${required.area}:${level}`) ||
+    (level !== 'command' && scopes.has(`*:${level}`)));
+}
+
+function getCommonScopes() {
+  return COMMON_SCOPES.map(entry => ({ ...entry }));
+}
+
+// ---------------------------------------------------------------------------
+// Queries and mutations
+// ---------------------------------------------------------------------------
+
+function listTokens() {
+  return loadTokensData().tokens.map(serializeToken);
+}
+
+/**
+ * Issue a new token.
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {string[]|string} options.scopes
+ * @param {number|null} [options.expiresInDays] - omit or null for no expiry
+ * @param {{id: string, username: string}} options.createdBy
+ * @returns {Object} { success, token?: string (plain, shown once), record?, error? }
+ */
+function createToken({ name, scopes, expiresInDays, createdBy } = {}) {
+  const tokenName = String(name || '').trim();
+  if (!tokenName) {
+    return { success: false, error: 'Token name is required' };
+  }
+  if (tokenName.length > 100) {
+    return { success: false, error: 'Token name must be 100 characters or fewer' };
+  }
+  if (!createdBy?.id) {
+    return { success: false, error: 'Tokens must be issued by an admin account' };
+  }
+
+  const scopeCheck = validateScopes(scopes);
+  if (!scopeCheck.valid) {
+    return { success: false, error: scopeCheck.error };
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > 3650) {
+      return { success: false, error: 'Expiry must be between 1 and 3650 days' };
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const plainToken = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const record = {
+    id: crypto.randomUUID(),
+    name: tokenName,
+    tokenHash: hashToken(plainToken),
+    tokenPrefix: plainToken.slice(0, TOKEN_PREFIX.length + 6),
+    scopes: scopeCheck.scopes,
+    createdBy: { id: createdBy.id, username: createdBy.username || null },
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    lastUsedAt: null,
+    lastUsedIp: null
+  };
+
+  const data = loadTokensData();
+  data.tokens.push(record);
+  const saveResult = saveTokensData(data);
+  if (!saveResult.success) {
+    return saveResult;
+  }
+  return { success: true, token: plainToken, record: serializeToken(record) };
+}
+
+function revokeToken(id) {
+  const data = loadTokensData();
+  const token = data.tokens.find(existingToken => existingToken.id === id);
+  if (!token) {
+    return { success: false, error: 'Token not found' };
+  }
+  data.tokens = data.tokens.filter(existingToken => existingToken.id !== id);
+  const saveResult = saveTokensData(data);
+  return saveResult.success ? { success: true, token: serializeToken(token) } : saveResult;
+}
+
+// Revoke every token issued by an admin account (used when the account is deleted)
+function revokeTokensForUser(userId) {
+  const data = loadTokensData();
+  const remaining = data.tokens.filter(token => token.createdBy?.id !== userId);
+  const revoked = data.tokens.length - remaining.length;
+  if (revoked === 0) {
+    return { success: true, revoked: 0 };
+  }
+  data.tokens = remaining;
+  const saveResult = saveTokensData(data);
+  return saveResult.success ? { success: true, revoked } : saveResult;
+}
+
+/**
+ * Look up a presented bearer token and record its use.
+ * @param {string} plainToken
+ * @param {Object} [usage] - { ip }
+ * @returns {Object|null} the stored token record, or null if unknown or expired
+ */
+function authenticate(plainToken, usage = {}) {
+  if (typeof plainToken !== 'string' || !plainToken.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  const tokenHash = hashToken(plainToken);
+  const data = loadTokensData();
+  const token = data.tokens.find(existingToken => existingToken.tokenHash === tokenHash);
+  if (!token || isExpired(token)) {
+    return null;
+  }
+
+  const now = Date.now();
+  const lastUsed = token.lastUsedAt ? new Date(token.lastUsedAt).getTime() : 0;
+  if (now - lastUsed >= LAST_USED_WRITE_INTERVAL_MS || token.lastUsedIp !== (usage.ip || null)) {
+    token.lastUsedAt = new Date(now).toISOString();
+    token.lastUsedIp = usage.ip || null;
+    saveTokensData(data);
+  }
+  return token;
+}
+
+module.exports = {
+  init,
+  TOKEN_PREFIX,
+  listTokens,
+  createToken,
+  revokeToken,
+  revokeTokensForUser,
+  authenticate,
+  validateScopes,
+  getRequiredScope,
+  hasScope,
+  getCommonScopes,
+  serializeToken
+};
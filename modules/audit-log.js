@@ -0,0 +1,560 @@
+/**
+ * Audit Log Module
+ *
+ * Records who changed what through the API.  Every authenticated
+ * POST/PUT/PATCH/DELETE on /admin/api, /api and /medications/api becomes an
+ * audit event with the actor (admin account, API token, medication portal
+ * user, client device or inbound hook), the route, the response status and the entities it
+ * changed.  Requests without an authenticated caller, and requests refused
+ * with 401 or 403, are not recorded, so they cannot push real events out.
+ *
+ * Modules register the collections they own with registerCollection() (cars,
+ * bills, parties, webhooks, remote devices...), naming the routes that can
+ * change them.  Once the authentication middleware has accepted the caller
+ * it calls snapshotBefore() and the collection is read; when the
+ * response has been sent it is read again and the two copies are compared
+ * by item id.  Each created, updated or deleted item is stored with its full
+ * before/after copy and a field-level diff.  Requests that change the same
+ * collection at the same moment may see each other's changes.
+ *
+ * A change can be reverted while the item still exists and has not been
+ * changed since: an update is undone by writing the old copy back, a
+ * creation by removing the item.  The revert is recorded as an event of its
+ * own.  Deleted items are not restored.
+ *
+ * Events are kept newest first in an encrypted file (config/audit-log.json.enc,
+ * override with config.audit.dataFilePath), capped at config.audit.maxEvents.
+ * The before/after copies hold everything the modules store, so values of
+ * fields such as secrets, tokens and password hashes are replaced by
+ * "[redacted]" in everything the API returns.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const secrets = require('./secrets');
+const storage = require('./storage');
+const requestContext = require('./request-context');
+const eventBus = require('./event-bus');
+const { describeRecord, isPlainObject } = require('./backup-diff');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+const AUDIT_FILE = path.join(CONFIG_DIR, 'audit-log.json.enc');
+const DEFAULT_MAX_EVENTS = 1000;
+const MAX_DIFF_ENTRIES = 100;
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const AUDITED_PATHS = ['/admin/api/', '/api/', '/medications/api/'];
+// Calls that are not changes made by someone: device polling, logins, the audit log itself
+const EXCLUDED_PATHS = [
+  '/admin/api/audit',
+  '/api/device',
+  '/api/client/authenticate',
+  '/medications/api/login',
+  '/medications/api/logout'
+];
+const SENSITIVE_KEY = /secret|token|password|hash|privatekey|apikey|recoverycode/i;
+const REDACTED = '[redacted]';
+
+let config = null;
+const collections = new Map();
+// Audited requests in progress and the collections read for them (null until snapshotBefore())
+const pendingRequests = new WeakMap();
+
+function getAuditFilePath() {
+  return config?.audit?.dataFilePath || AUDIT_FILE;
+}
+
+function getMaxEvents() {
+  return config?.audit?.maxEvents || DEFAULT_MAX_EVENTS;
+}
+
+function registerStore() {
+  secrets.registerStore({ id: 'auditLog', label: 'Audit log', filePath: getAuditFilePath() });
+}
+
+registerStore();
+
+/**
+ * Initialize the file location and event limit
+ * @param {Object} serverConfig - uses serverConfig.audit.{dataFilePath, maxEvents}
+ */
+function init(serverConfig = {}) {
+  config = serverConfig;
+  registerStore();
+}
+
+// ---------------------------------------------------------------------------
+// Collections
+// ---------------------------------------------------------------------------
+
+/**
+ * Register a list of items whose changes are recorded
+ * @param {Object} collection
+ * @param {string} collection.type - entity type, e.g. "car"
+ * @param {string} collection.label - e.g. "Cars"
+ * @param {string[]} collection.routes - path prefixes of the write routes that can change it
+ * @param {Function} collection.read - returns the current items; each has an id
+ * @param {Function} collection.write - (items) => stores the items (may be async); throws when that fails
+ * @param {Function} [collection.describe] - (item) => label shown in the audit log
+ */
+function registerCollection(collection) {
+  collections.set(collection.type, collection);
+}
+
+function matchesPrefix(requestPath, prefix) {
+  return requestPath === prefix || requestPath.startsWith(`${prefix}/`);
+}
+
+function findCollectionsForPath(requestPath) {
+  return Array.from(collections.values())
+    .filter(collection => collection.routes.some(prefix => matchesPrefix(requestPath, prefix)));
+}
+
+function cloneValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function readItems(collection) {
+  const items = collection.read();
+  return Array.isArray(items) ? cloneValue(items) : [];
+}
+
+function describeItem(collection, item) {
+  const label = collection.describe ? collection.describe(item) : null;
+  return label || describeRecord(item, String(item.id));
+}
+
+// ---------------------------------------------------------------------------
+// Diffs
+// ---------------------------------------------------------------------------
+
+// Arrays of records with unique ids are compared by id, so inserting one record
+// shows up as one addition rather than a change at every index after it
+function hasRecordIds(...lists) {
+  return lists.every(list => list.every(item => isPlainObject(item) && item.id !== undefined &&
+    item.id !== null)) && lists.every(list => new Set(list.map(item => String(item.id))).size === list.length);
+}
+
+function diffInto(entries, before, after, fieldPath) {
+  if (entries.length >= MAX_DIFF_ENTRIES || isEqual(before, after)) {
+    return;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      diffInto(entries, before[key], after[key], fieldPath ? `${fieldPath}.${key}` : key);
+    }
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    if (before.length > 0 && after.length > 0 && hasRecordIds(before, after)) {
+      const beforeById = new Map(before.map(item => [String(item.id), item]));
+      const afterById = new Map(after.map(item => [String(item.id), item]));
+      for (const id of new Set([...beforeById.keys(), ...afterById.keys()])) {
+        diffInto(entries, beforeById.get(id), afterById.get(id), `${fieldPath}[id=${id}]`);
+      }
+      return;
+    }
+    if (before.length === after.length) {
+      before.forEach((item, index) => diffInto(entries, item, after[index], `${fieldPath}[${index}]`));
+      return;
+    }
+  }
+
+  entries.push({ path: fieldPath, before: cloneValue(before), after: cloneValue(after) });
+}
+
+/**
+ * Field-level differences between two copies of an item
+ * @returns {Array<{path: string, before: *, after: *}>} paths like "insurance[id=7].premium"
+ */
+function diffValues(before, after) {
+  const entries = [];
+  diffInto(entries, before, after, '');
+  return entries;
+}
+
+/**
+ * Items created, updated and deleted between two reads of a collection
+ */
+function diffCollection(collection, beforeItems, afterItems) {
+  const beforeById = new Map(beforeItems.map(item => [String(item.id), item]));
+  const afterById = new Map(afterItems.map(item => [String(item.id), item]));
+  const changes = [];
+
+  for (const [id, after] of afterById) {
+    const before = beforeById.get(id);
+    if (before === undefined) {
+      changes.push({ action: 'created', entityId: after.id, before: null, after });
+    } else if (!isEqual(before, after)) {
+      changes.push({ action: 'updated', entityId: after.id, before, after });
+    }
+  }
+  for (const [id, before] of beforeById) {
+    if (!afterById.has(id)) {
+      changes.push({ action: 'deleted', entityId: before.id, before, after: null });
+    }
+  }
+
+  return changes.map(change => ({
+    type: collection.type,
+    collection: collection.label,
+    entityId: change.entityId,
+    entityLabel: describeItem(collection, change.after || change.before),
+    action: change.action,
+    before: change.before,
+    after: change.after,
+    diff: diffValues(change.before, change.after)
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+
+function loadEvents() {
+  const filePath = getAuditFilePath();
+  try {
+    if (fs.existsSync(filePath)) {
+      const events = JSON.parse(secrets.decrypt(fs.readFileSync(filePath, 'utf8'), 'auditLog'));
+      return Array.isArray(events) ? events : [];
+    }
+  } catch (error) {
+    logger.error(logger.categories.SYSTEM, `[Audit] Failed to load audit log: ${error.message}`);
+  }
+  return [];
+}
+
+function updateEvents(mutator) {
+  const events = loadEvents();
+  const result = mutator(events);
+  events.splice(getMaxEvents());
+  storage.writeFileAtomic(getAuditFilePath(), secrets.encrypt(JSON.stringify(events)), { mode: 0o600 });
+  return result;
+}
+
+function recordEvent(event) {
+  try {
+    updateEvents(events => events.unshift(event));
+  } catch (error) {
+    logger.error(logger.categories.SYSTEM, `[Audit] Failed to record ${event.method} ${event.path}: ${error.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Recording requests
+// ---------------------------------------------------------------------------
+
+function isAudited(req) {
+  return MUTATING_METHODS.has(req.method) &&
+    AUDITED_PATHS.some(prefix => req.path.startsWith(prefix)) &&
+    !EXCLUDED_PATHS.some(prefix => matchesPrefix(req.path, prefix));
+}
+
+/**
+ * Who made a request, from what the authentication middleware attached to it
+ * @returns {Object|null} null when no caller was authenticated
+ */
+function getActor(req) {
+  const ip = req.ip || null;
+  if (req.apiToken && req.adminUser) {
+    return { type: 'api-token', id: req.apiToken.id, name: `${req.adminUser.username} (token "${req.apiToken.name}")`, ip };
+  }
+  if (req.adminUser) {
+    return { type: 'admin', id: req.adminUser.id, name: req.adminUser.username, role: req.adminUser.role, ip };
+  }
+  if (req.medicationPortalUser) {
+    return { type: 'portal-user', id: req.medicationPortalUser.id, name: req.medicationPortalUser.username, ip };
+  }
+  if (req.device) {
+    return { type: 'client-device', id: req.deviceId, name: req.device.name || `Client device ${req.deviceId}`, ip };
+  }
+  if (req.inboundHook) {
+    return { type: 'hook', id: req.inboundHook.id, name: `Inbound hook ${req.inboundHook.id}`, ip };
+  }
+  return null;
+}
+
+function createEvent(fields) {
+  return {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    requestId: requestContext.getRequestId(),
+    ...fields
+  };
+}
+
+/**
+ * Express middleware that records write requests; register it before the routes
+ */
+function middleware() {
+  return function auditTrail(req, res, next) {
+    if (!isAudited(req)) {
+      return next();
+    }
+
+    const pending = { snapshots: null };
+    pendingRequests.set(req, pending);
+    res.on('finish', () => {
+      const actor = getActor(req);
+      if (!actor || res.statusCode === 401 || res.statusCode === 403) {
+        return;
+      }
+      const changes = [];
+      for (const { collection, items } of pending.snapshots || []) {
+        try {
+          changes.push(...diffCollection(collection, items, readItems(collection)));
+        } catch (error) {
+          logger.warning(logger.categories.SYSTEM, `[Audit] Could not read ${collection.label} after ${req.method} ${req.path}: ${error.message}`);
+        }
+      }
+      // Paths no route answered are not API calls
+      if (!req.route && changes.length === 0) {
+        return;
+      }
+      recordEvent(createEvent({
+        requestId: req.id || null,
+        actor,
+        method: req.method,
+        path: req.path,
+        route: req.route ? `${req.baseUrl || ''}${req.route.path}` : req.path,
+        status: res.statusCode,
+        changes
+      }));
+    });
+    next();
+  };
+}
+
+/**
+ * Read the collections an audited request can change, to compare them with
+ * the result once it has been answered.  Authentication middleware calls this
+ * after accepting the caller, so refused requests never read them.
+ */
+function snapshotBefore(req) {
+  const pending = pendingRequests.get(req);
+  if (!pending || pending.snapshots) {
+    return;
+  }
+  pending.snapshots = [];
+  for (const collection of findCollectionsForPath(req.path)) {
+    try {
+      pending.snapshots.push({ collection, items: readItems(collection) });
+    } catch (error) {
+      logger.warning(logger.categories.SYSTEM, `[Audit] Could not read ${collection.label} before ${req.method} ${req.path}: ${error.message}`);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Viewing
+// ---------------------------------------------------------------------------
+
+function redactValue(value, key = '') {
+  if (SENSITIVE_KEY.test(key) && value !== null && value !== undefined && value !== '') {
+    return REDACTED;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, redactValue(child, childKey)]));
+  }
+  return value;
+}
+
+function redactChange(change) {
+  return {
+    ...change,
+    before: redactValue(change.before),
+    after: redactValue(change.after),
+    diff: change.diff.map(entry => {
+      const key = entry.path.split(/[.[]/).pop();
+      return { path: entry.path, before: redactValue(entry.before, key), after: redactValue(entry.after, key) };
+    })
+  };
+}
+
+// Why a change cannot be reverted, or null; items holds the current items per type
+function getRevertBlocker(change, items) {
+  if (change.action === 'deleted') {
+    return `${change.entityLabel} was deleted`;
+  }
+  if (!collections.has(change.type)) {
+    return `${change.collection} changes can no longer be reverted`;
+  }
+  const current = items.get(change.type).find(item => String(item.id) === String(change.entityId));
+  if (!current) {
+    return `${change.entityLabel} no longer exists`;
+  }
+  if (!isEqual(current, change.after)) {
+    return `${change.entityLabel} has been changed since`;
+  }
+  return null;
+}
+
+// Current items of every collection an event changed, read once per collection
+function readChangedCollections(events) {
+  const items = new Map();
+  for (const event of events) {
+    for (const change of event.changes) {
+      if (items.has(change.type) || !collections.has(change.type)) continue;
+      try {
+        items.set(change.type, readItems(collections.get(change.type)));
+      } catch (error) {
+        logger.warning(logger.categories.SYSTEM, `[Audit] Could not read ${change.collection}: ${error.message}`);
+        items.set(change.type, []);
+      }
+    }
+  }
+  return items;
+}
+
+function getEventRevertBlocker(event, items) {
+  if (event.revertedBy) {
+    return 'Already reverted';
+  }
+  if (event.changes.length === 0) {
+    return 'No recorded changes';
+  }
+  return event.changes.map(change => getRevertBlocker(change, items)).find(Boolean) || null;
+}
+
+function serializeEvent(event, items) {
+  const revertBlocker = getEventRevertBlocker(event, items);
+  return {
+    ...event,
+    changes: event.changes.map(redactChange),
+    revertible: revertBlocker === null,
+    revertBlocker
+  };
+}
+
+function matchesFilters(event, filters) {
+  if (filters.actor && event.actor.name !== filters.actor) return false;
+  if (filters.type && !event.changes.some(change => change.type === filters.type)) return false;
+  if (filters.entityId && !event.changes.some(change => String(change.entityId) === String(filters.entityId))) return false;
+  if (filters.action && !event.changes.some(change => change.action === filters.action)) return false;
+  if (filters.changesOnly && event.changes.length === 0) return false;
+  if (filters.from && event.timestamp < filters.from) return false;
+  if (filters.to && event.timestamp > filters.to) return false;
+  if (filters.q) {
+    const text = [event.path, event.route, event.actor.name, ...event.changes.map(change => change.entityLabel)]
+      .join(' ').toLowerCase();
+    if (!text.includes(String(filters.q).toLowerCase())) return false;
+  }
+  return true;
+}
+
+/**
+ * Recorded events, newest first
+ * @param {Object} [filters] - actor (name), type, entityId, action, changesOnly, from/to (ISO), q (text search)
+ * @param {Object} [page] - limit (default 50, max 200) and offset
+ * @returns {{events: Object[], total: number, actors: string[], collections: Object[]}}
+ */
+function listEvents(filters = {}, { limit = 50, offset = 0 } = {}) {
+  const events = loadEvents();
+  const matching = events.filter(event => matchesFilters(event, filters));
+  const pageEvents = matching.slice(offset, offset + Math.min(limit, 200));
+  const items = readChangedCollections(pageEvents);
+  return {
+    events: pageEvents.map(event => serializeEvent(event, items)),
+    total: matching.length,
+    actors: Array.from(new Set(events.map(event => event.actor.name))).sort(),
+    collections: Array.from(collections.values()).map(({ type, label }) => ({ type, label }))
+  };
+}
+
+/**
+ * One event, or null
+ */
+function getEvent(id) {
+  const event = loadEvents().find(candidate => candidate.id === id);
+  return event ? serializeEvent(event, readChangedCollections([event])) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Reverting
+// ---------------------------------------------------------------------------
+
+/**
+ * Undo the changes of an event
+ * @param {string} id - event id
+ * @param {Object} req - the revert request, for the actor of the new event
+ * @returns {Promise<Object>} { success, event } (the recorded revert) or { success: false, error, code }
+ */
+async function revertEvent(id, req) {
+  const event = loadEvents().find(candidate => candidate.id === id);
+  if (!event) {
+    return { success: false, error: 'Audit event not found', code: 'AUDIT_EVENT_NOT_FOUND' };
+  }
+  const items = readChangedCollections([event]);
+  const blocker = getEventRevertBlocker(event, items);
+  if (blocker) {
+    return { success: false, error: `This change cannot be reverted: ${blocker}`, code: 'AUDIT_NOT_REVERTIBLE' };
+  }
+
+  const changes = [];
+  try {
+    for (const [type, currentItems] of items) {
+      const collection = collections.get(type);
+      let reverted = currentItems;
+      for (const change of event.changes.filter(candidate => candidate.type === type)) {
+        reverted = change.action === 'created'
+          ? reverted.filter(item => String(item.id) !== String(change.entityId))
+          : reverted.map(item => (String(item.id) === String(change.entityId) ? cloneValue(change.before) : item));
+      }
+      await collection.write(reverted);
+      changes.push(...diffCollection(collection, currentItems, reverted));
+    }
+  } catch (error) {
+    logger.error(logger.categories.SYSTEM, `[Audit] Failed to revert ${event.method} ${event.path}: ${error.message}`);
+    return { success: false, error: `Failed to revert: ${error.message}`, code: 'INTERNAL_ERROR' };
+  }
+
+  const revert = createEvent({
+    actor: getActor(req),
+    method: req.method,
+    path: req.path,
+    route: '/admin/api/audit/:id/revert',
+    status: 200,
+    changes,
+    revertOf: event.id
+  });
+  try {
+    updateEvents(events => {
+      events.unshift(revert);
+      const original = events.find(candidate => candidate.id === event.id);
+      if (original) {
+        original.revertedBy = { eventId: revert.id, timestamp: revert.timestamp, actor: revert.actor.name };
+      }
+    });
+  } catch (error) {
+    logger.error(logger.categories.SYSTEM, `[Audit] Reverted ${event.method} ${event.path} but could not record it: ${error.message}`);
+  }
+
+  const entities = changes.map(change => change.entityLabel);
+  logger.success(logger.categories.SYSTEM, `[Audit] ${revert.actor.name} reverted ${event.method} ${event.path} (${entities.join(', ')})`);
+  eventBus.emit('audit.change.reverted', { eventId: event.id, revertEventId: revert.id, actor: revert.actor.name, entities });
+  return { success: true, event: serializeEvent(revert, readChangedCollections([revert])) };
+}
+
+module.exports = {
+  init,
+  registerCollection,
+  middleware,
+  snapshotBefore,
+  diffValues,
+  listEvents,
+  getEvent,
+  revertEvent
+};
@@ -0,0 +1,247 @@
+/**
+ * Backup Diff Module
+ *
+ * Compares the data of one module in a backup with the data currently on the
+ * server, so the restore preview can show what a restore would change before
+ * anything is written.  Module data that is a plain object is split into
+ * sections (its top-level keys, e.g. finance "accounts" and "history", smart
+ * mirror "widgets" and "layouts"); each section can be restored on its own.
+ *
+ * Inside a section, lists of records are matched by a stable key (id, name,
+ * path...) and reported as added, removed or changed with the names of the
+ * changed fields.  Lists without such a key are compared by content, so an
+ * edited entry shows up as one removed and one added.  Only labels and field
+ * names are reported, never values, because several modules hold
+ * credentials.
+ */
+
+'use strict';
+
+const { VERSION_FIELD } = require('./migrations');
+
+// Longest list of labels returned per change type; counts are always complete
+const MAX_LISTED = 25;
+const RECORD_KEYS = ['id', 'name', 'path', 'url'];
+const LABEL_FIELDS = ['name', 'title', 'label', 'destination', 'accountName', 'description', 'url', 'path', 'id'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * "usefulLinks" → "Useful links"
+ */
+function humanizeKey(key) {
+  const words = String(key).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function describeRecord(record, fallback) {
+  if (!isPlainObject(record)) {
+    return String(record).slice(0, 80);
+  }
+  const field = LABEL_FIELDS.find(name => (typeof record[name] === 'string' && record[name] !== '') ||
+    typeof record[name] === 'number');
+  const label = field ? String(record[field]) : fallback;
+  const when = record.timestamp || record.date;
+  return typeof when === 'string' ? `${label} (${when})` : label;
+}
+
+// Field that identifies records in both lists, or null when there is none
+function findRecordKey(...lists) {
+  const records = lists.flat();
+  if (records.length === 0 || !records.every(isPlainObject)) {
+    return null;
+  }
+  return RECORD_KEYS.find(key => lists.every(list => {
+    const values = list.map(record => record[key]);
+    return values.every(value => typeof value === 'string' || typeof value === 'number') &&
+      new Set(values).size === values.length;
+  })) || null;
+}
+
+function changedFields(current, incoming) {
+  if (!isPlainObject(current) || !isPlainObject(incoming)) {
+    return [];
+  }
+  const keys = new Set([...Object.keys(current), ...Object.keys(incoming)]);
+  return Array.from(keys).filter(key => !isEqual(current[key], incoming[key]));
+}
+
+function emptyChanges() {
+  return { added: [], removed: [], changed: [], unchanged: 0 };
+}
+
+function diffRecords(current, incoming, prefix = '') {
+  const changes = emptyChanges();
+  const key = findRecordKey(current, incoming);
+
+  if (key) {
+    const currentByKey = new Map(current.map(record => [record[key], record]));
+    const incomingKeys = new Set(incoming.map(record => record[key]));
+    for (const record of incoming) {
+      const existing = currentByKey.get(record[key]);
+      const label = prefix + describeRecord(record, String(record[key]));
+      if (!existing) {
+        changes.added.push(label);
+      } else if (isEqual(existing, record)) {
+        changes.unchanged++;
+      } else {
+        changes.changed.push({ label, fields: changedFields(existing, record) });
+      }
+    }
+    for (const record of current) {
+      if (!incomingKeys.has(record[key])) {
+        changes.removed.push(prefix + describeRecord(record, String(record[key])));
+      }
+    }
+    return changes;
+  }
+
+  // No identifying field: match identical entries, report the rest as added/removed
+  const remaining = new Map();
+  for (const record of current) {
+    const text = JSON.stringify(record);
+    remaining.set(text, [...(remaining.get(text) || []), record]);
+  }
+  incoming.forEach((record, index) => {
+    const text = JSON.stringify(record);
+    const matches = remaining.get(text);
+    if (matches && matches.length > 0) {
+      matches.pop();
+      changes.unchanged++;
+    } else {
+      changes.added.push(prefix + describeRecord(record, `#${index + 1}`));
+    }
+  });
+  for (const records of remaining.values()) {
+    records.forEach(record => changes.removed.push(prefix + describeRecord(record, 'entry')));
+  }
+  return changes;
+}
+
+function mergeChanges(target, source) {
+  target.added.push(...source.added);
+  target.removed.push(...source.removed);
+  target.changed.push(...source.changed);
+  target.unchanged += source.unchanged;
+}
+
+/**
+ * Changes inside one section.  Objects are compared key by key and lists of
+ * records one level down are diffed record by record (house "vacation.dates",
+ * smart mirror "widgets.clock"...).
+ */
+function diffValue(current, incoming) {
+  const changes = emptyChanges();
+
+  if (Array.isArray(current) && Array.isArray(incoming)) {
+    return diffRecords(current, incoming);
+  }
+
+  if (isPlainObject(current) && isPlainObject(incoming)) {
+    const keys = new Set([...Object.keys(current), ...Object.keys(incoming)]);
+    for (const key of keys) {
+      if (!(key in current)) {
+        changes.added.push(key);
+      } else if (!(key in incoming)) {
+        changes.removed.push(key);
+      } else if (isEqual(current[key], incoming[key])) {
+        changes.unchanged++;
+      } else if (Array.isArray(current[key]) && Array.isArray(incoming[key])) {
+        mergeChanges(changes, diffRecords(current[key], incoming[key], `${key}: `));
+      } else {
+        changes.changed.push({ label: key, fields: changedFields(current[key], incoming[key]) });
+      }
+    }
+    return changes;
+  }
+
+  if (isEqual(current, incoming)) {
+    changes.unchanged = 1;
+  } else {
+    changes.changed.push({ label: 'value', fields: [] });
+  }
+  return changes;
+}
+
+function summarizeChanges(changes) {
+  const list = items => ({ count: items.length, items: items.slice(0, MAX_LISTED) });
+  return {
+    added: list(changes.added),
+    removed: list(changes.removed),
+    changed: list(changes.changed),
+    unchanged: changes.unchanged
+  };
+}
+
+function hasChanges(changes) {
+  return changes.added.length + changes.removed.length + changes.changed.length > 0;
+}
+
+/**
+ * Section entry of a diff
+ * @param {string} key
+ * @param {{added: string[], removed: string[], changed: Object[], unchanged: number}} changes
+ * @param {string} [status] - derived from the changes when omitted
+ * @returns {Object} { key, label, status: 'added'|'removed'|'changed'|'unchanged',
+ *   added: {count, items}, removed: {count, items}, changed: {count, items: [{label, fields}]}, unchanged }
+ */
+function createSection(key, changes, status = hasChanges(changes) ? 'changed' : 'unchanged') {
+  return { key, label: humanizeKey(key), status, ...summarizeChanges(changes) };
+}
+
+function diffSection(key, current, incoming) {
+  if (current === undefined) {
+    return createSection(key, Array.isArray(incoming) ? diffRecords([], incoming) : emptyChanges(), 'added');
+  }
+  if (incoming === undefined) {
+    return createSection(key, Array.isArray(current) ? diffRecords(current, []) : emptyChanges(), 'removed');
+  }
+  return createSection(key, diffValue(current, incoming));
+}
+
+/**
+ * Compare a module's current data with the copy in a backup
+ * @param {*} current - data on the server (null/undefined when there is none)
+ * @param {*} incoming - data in the backup
+ * @param {string} [key] - section name used when the data cannot be split
+ * @returns {{status: string, sectioned: boolean, sections: Object[]}}
+ *   sectioned is true when sections can be restored individually
+ */
+function diffModuleData(current, incoming, key = 'data') {
+  const hasCurrent = current !== null && current !== undefined;
+
+  if (!isPlainObject(incoming) || (hasCurrent && !isPlainObject(current))) {
+    const section = diffSection(key, hasCurrent ? current : undefined, incoming);
+    return { status: section.status === 'added' ? 'new' : section.status, sectioned: false, sections: [section] };
+  }
+
+  const currentData = hasCurrent ? current : {};
+  const keys = new Set([...Object.keys(incoming), ...Object.keys(currentData)]);
+  keys.delete(VERSION_FIELD);
+  const sections = Array.from(keys).map(name => diffSection(name, currentData[name], incoming[name]));
+
+  let status = 'unchanged';
+  if (!hasCurrent) {
+    status = 'new';
+  } else if (sections.some(section => section.status !== 'unchanged')) {
+    status = 'changed';
+  }
+  return { status, sectioned: true, sections };
+}
+
+module.exports = {
+  diffModuleData,
+  diffSection,
+  diffRecords,
+  createSection,
+  describeRecord,
+  isPlainObject,
+  humanizeKey,
+  MAX_LISTED
+};
@@ -0,0 +1,434 @@
+/**
+ * Backup Scheduler Module
+ *
+ * Creates the full backup archive (see backup.js) on a cron schedule, uploads
+ * it through the SFTP module and prunes older scheduled copies on the server
+ * with a grandfather-father-son policy: the newest backup of each of the last
+ * N days, N weeks and N months is kept and every other scheduled backup is
+ * deleted.  Only files named site-backup-auto-* are pruned, so backups
+ * uploaded by hand are never touched.  Periods are counted in UTC, matching
+ * the timestamp in the file name.
+ *
+ * The schedule is the "scheduled-backup" job of the job scheduler, so it can
+ * be paused, run now and followed in the job history like the other jobs.
+ * Saving the backup settings replaces a schedule changed on the jobs page.
+ *
+ * The settings are stored with the SFTP connection in the encrypted
+ * sftp-config.json.enc (schedule: { enabled, cronSchedule, retention,
+ * archivePassword }).  Every run is written to the admin logs and the last
+ * runs are kept in config/backup-runs.json for the dashboard.
+ *
+ * Without an archive password the modules that store credentials (see
+ * containsSecrets in backup.js) are left out of the archive; each run
+ * records them in skippedModules and as a warning.
+ */
+
+'use strict';
+
+const cron = require('node-cron');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('./logger');
+const storage = require('./storage');
+const jobScheduler = require('./job-scheduler');
+const backup = require('./backup');
+const sftp = require('./sftp');
+
+const BACKUP_JOB_ID = 'scheduled-backup';
+const SCHEDULED_PREFIX = 'site-backup-auto-';
+const MAX_RUNS = 50;
+const MAX_RETENTION = 366;
+
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  cronSchedule: '30 2 * * *', // Nightly at 02:30
+  retention: { daily: 7, weekly: 4, monthly: 6 }
+};
+
+let getConfig = () => null;
+let runsFile = path.join(__dirname, '..', 'config', 'backup-runs.json');
+let running = false;
+// Run record of the last backup started through the job scheduler (see runNow)
+let lastJobRun = null;
+
+/**
+ * Start the scheduler from the saved settings
+ * @param {Object} options
+ * @param {Function} options.getConfig - returns the live server config
+ * @param {string} [options.runsFile] - run history location (used by tests)
+ */
+function init(options = {}) {
+  if (options.getConfig) getConfig = options.getConfig;
+  if (options.runsFile) runsFile = options.runsFile;
+  startScheduler();
+}
+
+// ---------------------------------------------------------------------------
+// Settings
+// ---------------------------------------------------------------------------
+
+function getSchedule() {
+  const saved = sftp.loadConfig()?.schedule || {};
+  return {
+    ...DEFAULT_SCHEDULE,
+    ...saved,
+    retention: { ...DEFAULT_SCHEDULE.retention, ...(saved.retention || {}) }
+  };
+}
+
+// Labels of the modules an archive without a password leaves out
+function getSecretModuleLabels() {
+  return backup.BACKUP_MODULES.filter(module => module.containsSecrets).map(module => module.label);
+}
+
+// Schedule for the dashboard: the archive password is never sent back.
+// cronSchedule is the one in effect, which may have been changed on the jobs page.
+function getSafeSchedule() {
+  const { archivePassword, ...schedule } = getSchedule();
+  const job = jobScheduler.getJob(BACKUP_JOB_ID);
+  return {
+    ...schedule,
+    cronSchedule: job?.schedule || schedule.cronSchedule,
+    hasArchivePassword: Boolean(archivePassword),
+    skippedModules: archivePassword ? [] : getSecretModuleLabels()
+  };
+}
+
+/**
+ * Validate new settings and merge them with the saved ones
+ * @returns {{schedule: Object}|{error: string}}
+ */
+function normalizeSchedule(input = {}, current = getSchedule()) {
+  const cronSchedule = String(input.cronSchedule ?? current.cronSchedule).trim();
+  if (!cron.validate(cronSchedule)) {
+    return { error: `Invalid cron expression: ${cronSchedule}` };
+  }
+
+  const retention = {};
+  for (const period of ['daily', 'weekly', 'monthly']) {
+    const value = Number(input.retention?.[period] ?? current.retention[period]);
+    if (!Number.isInteger(value) || value < 0 || value > MAX_RETENTION) {
+      return { error: `Retention for ${period} backups must be a whole number between 0 and ${MAX_RETENTION}` };
+    }
+    retention[period] = value;
+  }
+  if (retention.daily + retention.weekly + retention.monthly === 0) {
+    return { error: 'Keep at least one daily, weekly or monthly backup' };
+  }
+
+  const schedule = {
+    enabled: input.enabled !== undefined ? Boolean(input.enabled) : current.enabled,
+    cronSchedule,
+    retention
+  };
+
+  // Blank keeps the saved password; clearArchivePassword removes it
+  if (typeof input.archivePassword === 'string' && input.archivePassword !== '') {
+    schedule.archivePassword = input.archivePassword;
+  } else if (current.archivePassword && !input.clearArchivePassword) {
+    schedule.archivePassword = current.archivePassword;
+  }
+
+  return { schedule };
+}
+
+/**
+ * Save new settings and reschedule the backup job
+ * @returns {Object} { success, schedule } or { success: false, error }
+ */
+function updateSchedule(input) {
+  const normalized = normalizeSchedule(input);
+  if (normalized.error) {
+    return { success: false, error: normalized.error };
+  }
+
+  const result = sftp.saveSchedule(normalized.schedule);
+  if (!result.success) {
+    return result;
+  }
+
+  startScheduler();
+  if (jobScheduler.getJob(BACKUP_JOB_ID)?.scheduleOverridden) {
+    // The schedule saved here wins over one set on the jobs page
+    jobScheduler.updateSchedule(BACKUP_JOB_ID, null);
+  }
+  return { success: true, schedule: getSafeSchedule() };
+}
+
+// ---------------------------------------------------------------------------
+// Scheduled job
+// ---------------------------------------------------------------------------
+
+/**
+ * Register (or update) the backup job with the job scheduler.  While
+ * scheduled backups are switched off the job stays listed but disabled.
+ */
+function startScheduler() {
+  const schedule = getSchedule();
+  jobScheduler.registerJob({
+    id: BACKUP_JOB_ID,
+    name: 'Scheduled backup',
+    category: logger.categories.SYSTEM,
+    description: 'Uploads a full backup archive over SFTP and prunes older scheduled backups',
+    schedule: schedule.cronSchedule,
+    enabled: schedule.enabled,
+    run: runBackupJob
+  });
+  if (schedule.enabled) {
+    logger.info(logger.categories.SYSTEM, `[Backup Scheduler] Scheduled backups enabled (${schedule.cronSchedule})`);
+  }
+}
+
+function stopScheduler() {
+  jobScheduler.unregisterJob(BACKUP_JOB_ID);
+}
+
+// Job scheduler run function; the run history there gets a one-line summary
+async function runBackupJob(trigger) {
+  const run = await runBackup(trigger === 'schedule' ? 'schedule' : 'manual');
+  lastJobRun = run;
+  if (!run.success) {
+    return { success: false, error: run.error };
+  }
+  const skipped = run.skippedModules.length > 0 ? `, without ${run.skippedModules.join(', ')}` : '';
+  return { success: true, message: `Uploaded ${run.fileName}${skipped}` };
+}
+
+/**
+ * Run the backup job now (the dashboard's "Run Backup Now"), also when
+ * scheduled backups are switched off, so it shows up in the job history
+ * @returns {Promise<Object>} the recorded backup run, or { success: false, skipped?, error }
+ */
+async function runNow() {
+  const job = jobScheduler.getJob(BACKUP_JOB_ID);
+  if (!job) {
+    return { success: false, error: 'Backup scheduler is not running' };
+  }
+  if (!job.enabled) {
+    return runBackup('manual');
+  }
+  lastJobRun = null;
+  const result = await jobScheduler.runJob(BACKUP_JOB_ID, 'manual');
+  if (!result.run) {
+    return { success: false, skipped: Boolean(result.running), error: result.error };
+  }
+  return lastJobRun;
+}
+
+// ---------------------------------------------------------------------------
+// Retention
+// ---------------------------------------------------------------------------
+
+function getScheduledFileName(date, encrypted) {
+  return `${SCHEDULED_PREFIX}${date.toISOString().replace(/[:.]/g, '-')}.tar.gz${encrypted ? '.enc' : ''}`;
+}
+
+/**
+ * Creation time encoded in a scheduled backup's name
+ * @returns {Date|null} null for files not created by the scheduler
+ */
+function parseBackupDate(fileName) {
+  const match = /^site-backup-auto-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.tar\.gz(\.enc)?$/.exec(fileName);
+  if (!match) {
+    return null;
+  }
+  const date = new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function getIsoWeek(date) {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+const PERIOD_KEYS = {
+  daily: date => date.toISOString().slice(0, 10),
+  weekly: getIsoWeek,
+  monthly: date => date.toISOString().slice(0, 7)
+};
+
+/**
+ * Grandfather-father-son selection over scheduled backup file names
+ * @param {string[]} fileNames - remote file names (others than scheduled backups are ignored)
+ * @param {{daily: number, weekly: number, monthly: number}} retention
+ * @returns {{keep: string[], remove: string[]}}
+ */
+function applyRetention(fileNames, retention) {
+  const backups = fileNames
+    .map(name => ({ name, date: parseBackupDate(name) }))
+    .filter(entry => entry.date)
+    .sort((a, b) => b.date - a.date);
+  const keep = new Set();
+
+  for (const [period, periodKey] of Object.entries(PERIOD_KEYS)) {
+    const periods = new Set();
+    for (const entry of backups) {
+      const key = periodKey(entry.date);
+      if (periods.has(key)) continue;
+      if (periods.size >= (retention[period] || 0)) break;
+      periods.add(key);
+      keep.add(entry.name);
+    }
+  }
+
+  // Never delete the newest backup, whatever the policy says
+  if (backups.length > 0) {
+    keep.add(backups[0].name);
+  }
+
+  return {
+    keep: backups.filter(entry => keep.has(entry.name)).map(entry => entry.name),
+    remove: backups.filter(entry => !keep.has(entry.name)).map(entry => entry.name)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Runs
+// ---------------------------------------------------------------------------
+
+function loadRuns() {
+  try {
+    return storage.readJson(runsFile, { runs: [] }).runs || [];
+  } catch (error) {
+    logger.warning(logger.categories.SYSTEM, `[Backup Scheduler] Could not read run history: ${error.message}`);
+    return [];
+  }
+}
+
+function recordRun(run) {
+  try {
+    storage.writeJson(runsFile, { runs: [run, ...loadRuns()].slice(0, MAX_RUNS) });
+  } catch (error) {
+    logger.warning(logger.categories.SYSTEM, `[Backup Scheduler] Could not save run history: ${error.message}`);
+  }
+}
+
+/**
+ * Create an archive, upload it and apply the retention policy
+ * @param {string} [trigger] - "schedule" or "manual"
+ * @returns {Promise<Object>} the recorded run
+ */
+async function runBackup(trigger = 'schedule') {
+  if (running) {
+    logger.warning(logger.categories.SYSTEM, `[Backup Scheduler] Skipping ${trigger} backup - the previous run is still in progress`);
+    return { success: false, skipped: true, error: 'A backup run is already in progress' };
+  }
+
+  running = true;
+  const startedAt = new Date();
+  const run = {
+    id: crypto.randomUUID(),
+    trigger,
+    startedAt: startedAt.toISOString(),
+    success: false,
+    fileName: null,
+    size: 0,
+    deleted: [],
+    skippedModules: [],
+    warnings: []
+  };
+  let tempPath = null;
+
+  try {
+    if (!sftp.loadConfig()) {
+      throw new Error('SFTP not configured');
+    }
+
+    const schedule = getSchedule();
+    const encrypted = Boolean(schedule.archivePassword);
+    const fileName = getScheduledFileName(startedAt, encrypted);
+    tempPath = path.join(os.tmpdir(), `${process.pid}-${fileName}`);
+    const created = await backup.createArchive(getConfig(), { password: schedule.archivePassword || '', filePath: tempPath });
+    if (!created.success) {
+      throw new Error(created.error);
+    }
+    const excluded = created.manifest?.excludedModules || [];
+    if (excluded.length > 0) {
+      run.skippedModules = backup.BACKUP_MODULES.filter(module => excluded.includes(module.id)).map(module => module.label);
+      run.warnings.push(`Not included without an archive password: ${run.skippedModules.join(', ')}`);
+    }
+    run.fileName = fileName;
+    run.size = created.size;
+
+    const upload = await sftp.uploadBackup(tempPath, run.fileName);
+    if (!upload.success) {
+      throw new Error(`Upload failed: ${upload.error}`);
+    }
+
+    // A failed cleanup is reported but does not fail the backup itself
+    const listed = await sftp.listBackups();
+    if (!listed.success) {
+      run.warnings.push(`Retention skipped: ${listed.error}`);
+    } else {
+      const { remove } = applyRetention(listed.backups.map(file => file.name), schedule.retention);
+      if (remove.length > 0) {
+        const removed = await sftp.deleteBackups(remove);
+        run.deleted = removed.deleted;
+        run.warnings.push(...removed.errors.map(error => `Could not delete ${error}`));
+      }
+    }
+
+    run.success = true;
+  } catch (error) {
+    run.error = error.message;
+  } finally {
+    if (tempPath) {
+      fs.rmSync(tempPath, { force: true });
+    }
+    running = false;
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.now() - startedAt.getTime();
+    recordRun(run);
+  }
+
+  if (run.success) {
+    logger.success(logger.categories.SYSTEM,
+      `[Backup Scheduler] ${trigger === 'manual' ? 'Manual' : 'Scheduled'} backup uploaded: ${run.fileName} ` +
+      `(${(run.size / 1024 / 1024).toFixed(2)} MB, ${run.deleted.length} old backups removed)`);
+    for (const warning of run.warnings) {
+      logger.warning(logger.categories.SYSTEM, `[Backup Scheduler] ${warning}`);
+    }
+  } else {
+    logger.error(logger.categories.SYSTEM, `[Backup Scheduler] ${trigger === 'manual' ? 'Manual' : 'Scheduled'} backup failed: ${run.error}`);
+  }
+  return run;
+}
+
+/**
+ * Schedule and recent runs for the admin dashboard
+ */
+function getStatus() {
+  const runs = loadRuns();
+  const job = jobScheduler.getJob(BACKUP_JOB_ID);
+  return {
+    schedule: getSafeSchedule(),
+    active: Boolean(job?.nextRun),
+    paused: Boolean(job?.paused),
+    nextRun: job?.nextRun || null,
+    running,
+    lastRun: runs[0] || null,
+    lastSuccessAt: runs.find(run => run.success)?.finishedAt || null,
+    runs
+  };
+}
+
+module.exports = {
+  init,
+  getSchedule,
+  normalizeSchedule,
+  updateSchedule,
+  startScheduler,
+  stopScheduler,
+  applyRetention,
+  parseBackupDate,
+  runBackup,
+  runNow,
+  getStatus,
+  BACKUP_JOB_ID,
+  DEFAULT_SCHEDULE
+};
@@ -3,18 +3,75 @@
  * 
  * Handles export and import of all site configurations and data
  * for backup and restoration purposes.
+ *
+ * Two formats are produced:
+ *   - JSON export (GET /admin/api/backup/export): one document with the
+ *     module data, credentials stripped.
+ *   - Archive (.tar.gz): data/<module>.json for every module, uploads/ with
+ *     attached files (house bills, client uploads, espresso templates) and
+ *     manifest.json with per-file SHA-256 checksums.  The archive is streamed
+ *     to a file, so uploads are never held in memory.  With a password it is
+ *     encrypted with AES-256-GCM (key derived with scrypt) and also carries
+ *     the modules that hold credentials (house, smart mirror, webhooks,
+ *     remote devices, Ollama); without one those modules are left out.
+ *
+ * Both formats restore through importAllData(), which can be limited to a
+ * selection of modules or to single sections of a module ("finance.history").
+ * diffBackup() compares a backup with the current data for the restore
+ * preview (see backup-diff.js).
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const logger = require('./logger');
+const storage = require('./storage');
+const migrations = require('./migrations');
+const backupDiff = require('./backup-diff');
 
 // Import other modules to access their data functions
 const finance = require('./finance');
+const house = require('./house');
+const smartMirror = require('./smartmirror');
+const webhooks = require('./webhooks');
+const remoteMgmt = require('./remote-management');
+const OllamaIntegration = require('./ollama');
 
-const CONFIG_DIR = path.join(__dirname, '..', 'config');
 const BACKUP_VERSION = '1.0.0';
+const ARCHIVE_VERSION = '2.0.0';
+const ARCHIVE_FORMAT = 'local-server-site-pusher-backup';
+const ENCRYPTED_ARCHIVE_MAGIC = Buffer.from('LSSPBAK1');
+const TAR_BLOCK_SIZE = 512;
+// Encrypted archives: magic, 16-byte salt, 12-byte IV, 16-byte auth tag, ciphertext
+const AUTH_TAG_OFFSET = ENCRYPTED_ARCHIVE_MAGIC.length + 16 + 12;
+
+let CONFIG_DIR = path.join(__dirname, '..', 'config');
+let UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+let ollama = null;
+
+// Temporary and scraped files in uploads/ that are never archived
+const EXCLUDED_UPLOADS = [/^temp\//, /^temp-backup-/, /^cookies\.jar$/];
+
+/**
+ * Modules covered by a backup, in restore order.
+ * containsSecrets: only exported into password-encrypted archives.
+ * archiveOnly: not part of the JSON export.
+ */
+const BACKUP_MODULES = [
+  { id: 'mainConfig', label: 'Main configuration' },
+  { id: 'espressoData', label: 'Espresso data' },
+  { id: 'finance', label: 'Finance data' },
+  // Medication portal password hashes and two-factor secrets
+  { id: 'house', label: 'House data', containsSecrets: true },
+  { id: 'smartMirror', label: 'Smart mirror configuration', containsSecrets: true },
+  { id: 'webhooks', label: 'Webhooks', containsSecrets: true },
+  { id: 'remoteDevices', label: 'Remote device registry', containsSecrets: true },
+  { id: 'ollama', label: 'Ollama settings and conversation history', containsSecrets: true },
+  { id: 'attachments', label: 'Uploaded files', archiveOnly: true }
+];
 
 // Load application version once at module initialization for performance
 let APP_VERSION = '2.2.4';
@@ -25,6 +82,33 @@ try {
   // Use default if package.json not found
 }
 
+/**
+ * Override the data directories (used by tests)
+ * @param {Object} [options]
+ * @param {string} [options.configDir]
+ * @param {string} [options.uploadsDir]
+ */
+function init(options = {}) {
+  if (options.configDir) {
+    CONFIG_DIR = options.configDir;
+    ollama = null;
+  }
+  if (options.uploadsDir) {
+    UPLOADS_DIR = options.uploadsDir;
+  }
+}
+
+function getOllama() {
+  if (!ollama) {
+    ollama = new OllamaIntegration(CONFIG_DIR);
+  }
+  return ollama;
+}
+
+function getModuleLabel(id) {
+  return BACKUP_MODULES.find(module => module.id === id)?.label || id;
+}
+
 /**
  * Get the current timestamp in ISO format
  */
@@ -94,11 +178,86 @@ function loadOllamaConfig() {
   return null;
 }
 
+/**
+ * Copy of config.json without the admin password, session secret and API tokens
+ */
+function sanitizeMainConfig(mainConfig) {
+  const sanitizedConfig = JSON.parse(JSON.stringify(mainConfig));
+  
+  // Don't export admin password - user will need to set it up again
+  if (sanitizedConfig.server?.admin) {
+    delete sanitizedConfig.server.admin.password;
+  }
+  
+  // Don't export the cookie-signing secret or the metrics scrape token
+  if (sanitizedConfig.server?.sessionSecret) {
+    sanitizedConfig.server.sessionSecret = '';
+  }
+  if (sanitizedConfig.metrics?.token) {
+    sanitizedConfig.metrics.token = '';
+  }
+  
+  // Don't export GitHub tokens for security
+  if (sanitizedConfig.vidiots?.githubPages?.accessToken) {
+    sanitizedConfig.vidiots.githubPages.accessToken = '';
+  }
+  if (sanitizedConfig.espresso?.githubPages?.accessToken) {
+    sanitizedConfig.espresso.githubPages.accessToken = '';
+  }
+  
+  // Don't export Home Assistant token
+  if (sanitizedConfig.homeAssistant?.token) {
+    sanitizedConfig.homeAssistant.token = '';
+  }
+  
+  return sanitizedConfig;
+}
+
+/**
+ * Read the current data of one module
+ * @returns {*} module data, or null when there is nothing to export
+ */
+function collectModuleData(id, config) {
+  switch (id) {
+    case 'mainConfig': {
+      // Includes server, homeAssistant, cockpit, webContent, storage, usefulLinks,
+      // client, connectedDevices, drinkMixer, parties, tournaments, vidiots, espresso settings
+      const mainConfig = config || loadMainConfig();
+      return mainConfig ? sanitizeMainConfig(mainConfig) : null;
+    }
+    case 'espressoData':
+      return loadEspressoData();
+    case 'finance':
+      // Whole data file: accounts, history, apartments, import rules, deleted accounts, settings
+      return finance.loadFinanceData();
+    case 'house':
+      return house.loadHouseData();
+    case 'smartMirror':
+      return smartMirror.loadConfig();
+    case 'webhooks':
+      return webhooks.loadWebhooks();
+    case 'remoteDevices':
+      return remoteMgmt.loadData();
+    case 'ollama':
+      return {
+        config: getOllama().loadConfig(),
+        history: getOllama().loadHistory()
+      };
+    default:
+      return null;
+  }
+}
+
 /**
  * Export all site configurations and data
  * Returns a structured backup object
+ * @param {Object} [config] - live config (read from config.json when omitted)
+ * @param {Object} [options]
+ * @param {string[]} [options.modules] - module ids to export (default: all)
+ * @param {boolean} [options.includeSecrets] - also export modules that hold credentials
  */
-function exportAllData(config) {
+function exportAllData(config, options = {}) {
+  const { modules = null, includeSecrets = false } = options;
   logger.info(logger.categories.SYSTEM, '[Backup] Starting data export...');
   
   const backup = {
@@ -109,60 +268,31 @@ function exportAllData(config) {
     },
     data: {}
   };
+  const excluded = [];
   
   try {
-    // 1. Main configuration (includes server, homeAssistant, cockpit, webContent, 
-    //    storage, usefulLinks, client, connectedDevices, drinkMixer, vidiots, espresso settings)
-    const mainConfig = config || loadMainConfig();
-    if (mainConfig) {
-      // Create a sanitized copy without sensitive passwords
-      const sanitizedConfig = JSON.parse(JSON.stringify(mainConfig));
-      
-      // Don't export admin password - user will need to set it up again
-      if (sanitizedConfig.server?.admin) {
-        delete sanitizedConfig.server.admin.password;
+    for (const module of BACKUP_MODULES) {
+      if (module.archiveOnly || (modules && !modules.includes(module.id))) {
+        continue;
       }
-      
-      // Don't export GitHub tokens for security
-      if (sanitizedConfig.vidiots?.githubPages?.accessToken) {
-        sanitizedConfig.vidiots.githubPages.accessToken = '';
-      }
-      if (sanitizedConfig.espresso?.githubPages?.accessToken) {
-        sanitizedConfig.espresso.githubPages.accessToken = '';
+      if (module.containsSecrets && !includeSecrets) {
+        excluded.push(module.id);
+        continue;
       }
       
-      // Don't export Home Assistant token
-      if (sanitizedConfig.homeAssistant?.token) {
-        sanitizedConfig.homeAssistant.token = '';
+      try {
+        const data = collectModuleData(module.id, config);
+        if (data) {
+          backup.data[module.id] = data;
+          logger.info(logger.categories.SYSTEM, `[Backup] ${module.label} exported`);
+        }
+      } catch (error) {
+        logger.warning(logger.categories.SYSTEM, `[Backup] ${module.label} export skipped: ${error.message}`);
       }
-      
-      backup.data.mainConfig = sanitizedConfig;
-      logger.info(logger.categories.SYSTEM, '[Backup] Main configuration exported');
     }
     
-    // 2. Espresso data
-    const espressoData = loadEspressoData();
-    if (espressoData) {
-      backup.data.espressoData = espressoData;
-      logger.info(logger.categories.SYSTEM, '[Backup] Espresso data exported');
-    }
-    
-    // 4. Finance data (using finance module - returns decrypted data)
-    try {
-      const financeAccounts = finance.getAccounts();
-      const financeDemographics = finance.getDemographics();
-      const financeAdvancedSettings = finance.getAdvancedSettings();
-      const financeHistory = finance.getHistory();
-      
-      backup.data.finance = {
-        accounts: financeAccounts,
-        demographics: financeDemographics,
-        advancedSettings: financeAdvancedSettings,
-        history: financeHistory
-      };
-      logger.info(logger.categories.SYSTEM, '[Backup] Finance data exported');
-    } catch (error) {
-      logger.warning(logger.categories.SYSTEM, `[Backup] Finance data export skipped: ${error.message}`);
+    if (excluded.length > 0) {
+      backup.metadata.excludedModules = excluded;
     }
     
     // Generate checksum for data integrity
@@ -185,6 +315,403 @@ function exportAllData(config) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Archive format
+// ---------------------------------------------------------------------------
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function writeOctal(header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+/**
+ * Build a ustar header; names over 100 bytes are split into prefix/name
+ */
+function createTarHeader(name, size, mtime) {
+  let prefix = '';
+  let baseName = name;
+  if (Buffer.byteLength(name) > 100) {
+    const splitAt = name.lastIndexOf('/', 155);
+    if (splitAt <= 0 || Buffer.byteLength(name.slice(splitAt + 1)) > 100 || Buffer.byteLength(name.slice(0, splitAt)) > 155) {
+      throw new Error(`Path too long for archive: ${name}`);
+    }
+    prefix = name.slice(0, splitAt);
+    baseName = name.slice(splitAt + 1);
+  }
+  
+  const header = Buffer.alloc(TAR_BLOCK_SIZE, 0);
+  header.write(baseName, 0, 100, 'utf8');
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+  header.fill(' ', 148, 156);
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  header.write(prefix, 345, 155, 'utf8');
+  
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+  return header;
+}
+
+/**
+ * Zero bytes that fill a file's content up to a whole tar block
+ */
+function getTarPadding(size) {
+  return Buffer.alloc((TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE, 0);
+}
+
+/**
+ * Pack files into an uncompressed tar
+ * @param {Array<{name: string, content: Buffer}>} entries
+ * @returns {Buffer}
+ */
+function packTar(entries) {
+  const now = Date.now();
+  const blocks = [];
+  for (const entry of entries) {
+    blocks.push(createTarHeader(entry.name, entry.content.length, entry.mtime || now));
+    blocks.push(entry.content);
+    blocks.push(getTarPadding(entry.content.length));
+  }
+  blocks.push(Buffer.alloc(TAR_BLOCK_SIZE * 2, 0));
+  return Buffer.concat(blocks);
+}
+
+function readTarString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+/**
+ * Read regular files from a tar
+ * @returns {Map<string, Buffer>}
+ * @throws {Error} when a header is corrupt
+ */
+function unpackTar(buffer) {
+  const files = new Map();
+  let offset = 0;
+  
+  while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) break;
+    
+    let checksum = 0;
+    for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+      checksum += (i >= 148 && i < 156) ? 32 : header[i];
+    }
+    if (checksum !== parseInt(readTarString(header, 148, 8).trim(), 8)) {
+      throw new Error('Corrupt archive header');
+    }
+    
+    const prefix = readTarString(header, 345, 155);
+    const name = prefix ? `${prefix}/${readTarString(header, 0, 100)}` : readTarString(header, 0, 100);
+    const size = parseInt(readTarString(header, 124, 12).trim() || '0', 8);
+    const type = header[156];
+    offset += TAR_BLOCK_SIZE;
+    
+    if (type === 0 || type === 0x30) {
+      if (offset + size > buffer.length) {
+        throw new Error('Archive is truncated');
+      }
+      files.set(name, buffer.subarray(offset, offset + size));
+    }
+    offset += Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+  }
+  
+  return files;
+}
+
+/**
+ * Cipher for a password-encrypted archive and the header written in front of
+ * the ciphertext.  The auth tag is only known once everything is encrypted, so
+ * the header holds zeros in its place until the archive is complete.
+ */
+function createArchiveCipher(password) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(password, salt, 32);
+  return {
+    cipher: crypto.createCipheriv('aes-256-gcm', key, iv),
+    header: Buffer.concat([ENCRYPTED_ARCHIVE_MAGIC, salt, iv, Buffer.alloc(16, 0)])
+  };
+}
+
+function decryptArchive(buffer, password) {
+  let offset = ENCRYPTED_ARCHIVE_MAGIC.length;
+  const salt = buffer.subarray(offset, offset += 16);
+  const iv = buffer.subarray(offset, offset += 12);
+  const tag = buffer.subarray(offset, offset += 16);
+  const key = crypto.scryptSync(password, salt, 32);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+}
+
+/**
+ * Whether a buffer is a password-encrypted archive
+ */
+function isEncryptedArchive(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length > ENCRYPTED_ARCHIVE_MAGIC.length &&
+    buffer.subarray(0, ENCRYPTED_ARCHIVE_MAGIC.length).equals(ENCRYPTED_ARCHIVE_MAGIC);
+}
+
+/**
+ * Map an archived upload path to a location inside the uploads directory
+ * @returns {string|null} absolute path, or null when the path escapes uploads/
+ */
+function resolveUploadPath(relativePath) {
+  const normalized = path.posix.normalize(String(relativePath || '').replace(/\\/g, '/'));
+  if (!normalized || normalized === '.' || normalized.startsWith('../') || normalized === '..' ||
+      path.posix.isAbsolute(normalized) || normalized.includes('\0')) {
+    return null;
+  }
+  const root = path.resolve(UPLOADS_DIR);
+  const target = path.resolve(root, normalized);
+  return target.startsWith(root + path.sep) ? target : null;
+}
+
+/**
+ * List uploaded files (bills, client files, templates) to archive
+ * @returns {Array<{path, fullPath, size, mtime}>}
+ */
+function collectAttachments() {
+  const attachments = [];
+  if (!fs.existsSync(UPLOADS_DIR)) {
+    return attachments;
+  }
+  
+  const walk = (dir, prefix) => {
+    for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+      const relativePath = prefix ? `${prefix}/${item.name}` : item.name;
+      const fullPath = path.join(dir, item.name);
+      if (EXCLUDED_UPLOADS.some(pattern => pattern.test(item.isDirectory() ? `${relativePath}/` : relativePath))) {
+        continue;
+      }
+      if (item.isDirectory()) {
+        walk(fullPath, relativePath);
+      } else if (item.isFile()) {
+        const stats = fs.statSync(fullPath);
+        attachments.push({ path: relativePath, fullPath, size: stats.size, mtime: stats.mtimeMs });
+      }
+    }
+  };
+  walk(UPLOADS_DIR, '');
+  return attachments;
+}
+
+/**
+ * Tar blocks of an archive: the module files, the uploads (read in chunks and
+ * hashed on the way through) and last the manifest, which needs those hashes
+ * @param {Array<{name: string, content: Buffer}>} moduleFiles
+ * @param {Array} attachments - from collectAttachments()
+ * @param {Object} manifest - receives an entry per attachment
+ */
+async function* generateArchiveTar(moduleFiles, attachments, manifest) {
+  const now = Date.now();
+  for (const file of moduleFiles) {
+    yield createTarHeader(file.name, file.content.length, now);
+    yield file.content;
+    yield getTarPadding(file.content.length);
+  }
+  
+  for (const attachment of attachments) {
+    const name = `uploads/${attachment.path}`;
+    const hash = crypto.createHash('sha256');
+    let written = 0;
+    yield createTarHeader(name, attachment.size, attachment.mtime);
+    if (attachment.size > 0) {
+      // Never read past the size announced in the header, even if the file grew
+      for await (const chunk of fs.createReadStream(attachment.fullPath, { start: 0, end: attachment.size - 1 })) {
+        hash.update(chunk);
+        written += chunk.length;
+        yield chunk;
+      }
+    }
+    if (written !== attachment.size) {
+      throw new Error(`${name} changed while it was being archived`);
+    }
+    yield getTarPadding(attachment.size);
+    manifest.attachments.push({ path: attachment.path, size: attachment.size, sha256: hash.digest('hex') });
+  }
+  
+  const content = Buffer.from(JSON.stringify(manifest, null, 2));
+  yield createTarHeader('manifest.json', content.length, now);
+  yield content;
+  yield getTarPadding(content.length);
+  yield Buffer.alloc(TAR_BLOCK_SIZE * 2, 0);
+}
+
+/**
+ * Write a .tar.gz archive of every module plus uploaded files to disk
+ * @param {Object} [config] - live config
+ * @param {Object} options
+ * @param {string} options.filePath - where to write the archive (removed again on failure)
+ * @param {string} [options.password] - encrypt the archive and include modules holding credentials
+ * @param {string[]} [options.modules] - module ids to include (default: all)
+ * @returns {Promise<Object>} { success, filePath, size, filename, manifest } or { success: false, error }
+ */
+async function createArchive(config, options = {}) {
+  const { password = '', modules = null, filePath } = options;
+  const exported = exportAllData(config, { modules, includeSecrets: Boolean(password) });
+  if (!exported.success) {
+    return exported;
+  }
+  
+  try {
+    const { metadata, data } = exported.backup;
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: metadata.exportedAt,
+      applicationVersion: metadata.applicationVersion,
+      encrypted: Boolean(password),
+      checksum: metadata.checksum,
+      excludedModules: metadata.excludedModules || [],
+      modules: {},
+      attachments: []
+    };
+    const moduleFiles = [];
+    
+    for (const [id, moduleData] of Object.entries(data)) {
+      const content = Buffer.from(JSON.stringify(moduleData, null, 2));
+      const file = `data/${id}.json`;
+      moduleFiles.push({ name: file, content });
+      manifest.modules[id] = { file, size: content.length, sha256: sha256(content) };
+    }
+    
+    const includeAttachments = !modules || modules.includes('attachments');
+    const attachments = includeAttachments ? collectAttachments() : [];
+    const stages = [Readable.from(generateArchiveTar(moduleFiles, attachments, manifest)), zlib.createGzip()];
+    let encryption = null;
+    if (password) {
+      encryption = createArchiveCipher(password);
+      stages.push(encryption.cipher);
+      fs.writeFileSync(filePath, encryption.header, { mode: 0o600 });
+    }
+    await pipeline(...stages, fs.createWriteStream(filePath, { flags: password ? 'a' : 'w', mode: 0o600 }));
+    if (encryption) {
+      const fd = fs.openSync(filePath, 'r+');
+      try {
+        fs.writeSync(fd, encryption.cipher.getAuthTag(), 0, 16, AUTH_TAG_OFFSET);
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+    if (includeAttachments) {
+      logger.info(logger.categories.SYSTEM, `[Backup] ${manifest.attachments.length} uploaded files added to archive`);
+    }
+    
+    const stamp = metadata.exportedAt.replace(/[:.]/g, '-');
+    logger.success(logger.categories.SYSTEM,
+      `[Backup] Archive created (${Object.keys(manifest.modules).length} modules, ${manifest.attachments.length} files${password ? ', encrypted' : ''})`);
+    
+    return {
+      success: true,
+      filePath,
+      size: fs.statSync(filePath).size,
+      filename: `site-backup-${stamp}.tar.gz${password ? '.enc' : ''}`,
+      manifest
+    };
+  } catch (error) {
+    fs.rmSync(filePath, { force: true });
+    logger.error(logger.categories.SYSTEM, `[Backup] Archive creation failed: ${error.message}`);
+    return {
+      success: false,
+      error: 'Archive creation failed: ' + error.message
+    };
+  }
+}
+
+/**
+ * Open an archive and turn it into the same shape as a JSON backup
+ * ({ metadata, data }) plus attachments: [{ path, content }]
+ * @param {Buffer} buffer
+ * @param {string} [password]
+ * @returns {Object} { success, backup } or { success: false, error, passwordRequired? }
+ */
+function readArchive(buffer, password = '') {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { success: false, error: 'No archive data provided' };
+  }
+  
+  let compressed = buffer;
+  const encrypted = isEncryptedArchive(buffer);
+  if (encrypted) {
+    if (!password) {
+      return { success: false, error: 'This archive is encrypted - enter its password', passwordRequired: true };
+    }
+    try {
+      compressed = decryptArchive(buffer, password);
+    } catch (error) {
+      return { success: false, error: 'Incorrect password or damaged archive', passwordRequired: true };
+    }
+  }
+  
+  let files;
+  try {
+    files = unpackTar(zlib.gunzipSync(compressed));
+  } catch (error) {
+    return { success: false, error: `Not a valid backup archive: ${error.message}` };
+  }
+  
+  const manifestFile = files.get('manifest.json');
+  let manifest;
+  try {
+    manifest = manifestFile ? JSON.parse(manifestFile.toString('utf8')) : null;
+  } catch (error) {
+    manifest = null;
+  }
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+    return { success: false, error: 'Not a valid backup archive: missing manifest' };
+  }
+  
+  const data = {};
+  const attachments = [];
+  try {
+    for (const [id, entry] of Object.entries(manifest.modules || {})) {
+      const content = files.get(entry.file);
+      if (!content || sha256(content) !== entry.sha256) {
+        throw new Error(`${entry.file} is missing or does not match its checksum`);
+      }
+      data[id] = JSON.parse(content.toString('utf8'));
+    }
+    for (const entry of manifest.attachments || []) {
+      const content = files.get(`uploads/${entry.path}`);
+      if (!content || sha256(content) !== entry.sha256) {
+        throw new Error(`uploads/${entry.path} is missing or does not match its checksum`);
+      }
+      attachments.push({ path: entry.path, content });
+    }
+  } catch (error) {
+    return { success: false, error: `Archive integrity check failed: ${error.message}` };
+  }
+  
+  return {
+    success: true,
+    backup: {
+      metadata: {
+        version: manifest.version,
+        exportedAt: manifest.exportedAt,
+        applicationVersion: manifest.applicationVersion,
+        checksum: manifest.checksum,
+        encrypted,
+        excludedModules: manifest.excludedModules || []
+      },
+      data,
+      attachments
+    }
+  };
+}
+
 /**
  * Validate backup data structure and integrity
  */
@@ -236,6 +763,18 @@ function validateBackup(backup) {
       warnings.push('Finance demographics missing');
     }
   }
+    if (backup.data.webhooks && !Array.isArray(backup.data.webhooks)) {
+    warnings.push('Webhooks should be an array');
+  }
+  
+  if (backup.data.remoteDevices && !Array.isArray(backup.data.remoteDevices.devices)) {
+    warnings.push('Remote device registry missing device list');
+  }
+  
+  if (Array.isArray(backup.metadata.excludedModules) && backup.metadata.excludedModules.length > 0) {
+    warnings.push('Not included (only stored in password-protected archives): ' +
+      backup.metadata.excludedModules.map(getModuleLabel).join(', '));
+  }
   
   return {
     valid: errors.length === 0,
@@ -244,10 +783,273 @@ function validateBackup(backup) {
   };
 }
 
+/**
+ * Write config.json from a backup, keeping the current admin password and tokens
+ */
+function restoreMainConfig(mainConfig, currentConfig) {
+  const configPath = path.join(CONFIG_DIR, 'config.json');
+  const existingConfig = currentConfig || loadMainConfig() || {};
+  
+  // Merge backup data with existing config, preserving sensitive data
+  const mergedConfig = JSON.parse(JSON.stringify(mainConfig));
+  
+  // Preserve existing admin password
+  if (existingConfig.server?.admin?.password) {
+    if (!mergedConfig.server) mergedConfig.server = {};
+    if (!mergedConfig.server.admin) mergedConfig.server.admin = {};
+    mergedConfig.server.admin.password = existingConfig.server.admin.password;
+  } else {
+    // Generate a random password if none exists - user will need to reset via server restart
+    if (!mergedConfig.server) mergedConfig.server = {};
+    if (!mergedConfig.server.admin) mergedConfig.server.admin = {};
+    if (!mergedConfig.server.admin.password) {
+      // Generate a secure random password using URL-safe base64 (20 chars)
+      mergedConfig.server.admin.password = crypto.randomBytes(15).toString('base64url');
+      logger.warning(logger.categories.SYSTEM, '[Backup] Generated new admin password - please check config.json');
+    }
+  }
+  
+  // Preserve the session secret and metrics token
+  if (existingConfig.server?.sessionSecret && !mergedConfig.server.sessionSecret) {
+    mergedConfig.server.sessionSecret = existingConfig.server.sessionSecret;
+  }
+  if (existingConfig.metrics?.token && !mergedConfig.metrics?.token) {
+    if (!mergedConfig.metrics) mergedConfig.metrics = {};
+    mergedConfig.metrics.token = existingConfig.metrics.token;
+  }
+  
+  // Preserve existing GitHub tokens if not in backup
+  if (existingConfig.vidiots?.githubPages?.accessToken && 
+      (!mergedConfig.vidiots?.githubPages?.accessToken)) {
+    if (!mergedConfig.vidiots) mergedConfig.vidiots = {};
+    if (!mergedConfig.vidiots.githubPages) mergedConfig.vidiots.githubPages = {};
+    mergedConfig.vidiots.githubPages.accessToken = existingConfig.vidiots.githubPages.accessToken;
+  }
+  
+  if (existingConfig.espresso?.githubPages?.accessToken && 
+      (!mergedConfig.espresso?.githubPages?.accessToken)) {
+    if (!mergedConfig.espresso) mergedConfig.espresso = {};
+    if (!mergedConfig.espresso.githubPages) mergedConfig.espresso.githubPages = {};
+    mergedConfig.espresso.githubPages.accessToken = existingConfig.espresso.githubPages.accessToken;
+  }
+  
+  // Preserve Home Assistant token
+  if (existingConfig.homeAssistant?.token && 
+      (!mergedConfig.homeAssistant?.token)) {
+    if (!mergedConfig.homeAssistant) mergedConfig.homeAssistant = {};
+    mergedConfig.homeAssistant.token = existingConfig.homeAssistant.token;
+  }
+  
+  storage.writeFileAtomic(configPath, JSON.stringify(mergedConfig, null, 2));
+}
+
+function restoreFinance(financeData) {
+  // Exports since 2.0 carry the whole versioned data file: replace it
+  if (migrations.getVersion(financeData) > 0) {
+    const migrated = migrations.runMigrations('finance data', financeData, finance.SCHEMA_MIGRATIONS).data;
+    const result = finance.saveFinanceData(migrated);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return;
+  }
+  
+  // Older backups only have accounts and settings: merge them into the current data
+  // Import demographics first
+  if (financeData.demographics) {
+    finance.updateDemographics(financeData.demographics);
+  }
+  
+  // Import advanced settings
+  if (financeData.advancedSettings) {
+    finance.updateAdvancedSettings(financeData.advancedSettings);
+  }
+  
+  // Import accounts - need to handle carefully
+  if (Array.isArray(financeData.accounts)) {
+    // Get existing accounts to avoid duplicates
+    const existingAccounts = finance.getAccounts();
+    const existingIds = new Set(existingAccounts.map(a => a.id));
+    
+    let importedCount = 0;
+    let updatedCount = 0;
+    
+    for (const account of financeData.accounts) {
+      if (existingIds.has(account.id)) {
+        // Update existing account
+        finance.saveAccount(account);
+        updatedCount++;
+      } else {
+        // Add new account
+        finance.saveAccount(account);
+        importedCount++;
+      }
+    }
+    
+    logger.info(logger.categories.SYSTEM, `[Backup] Accounts: ${importedCount} new, ${updatedCount} updated`);
+  }
+}
+
+/**
+ * Write uploaded files back into uploads/, replacing files with the same path
+ * @returns {number} files written
+ */
+function restoreAttachments(attachments) {
+  const targets = attachments.map(attachment => ({ attachment, target: resolveUploadPath(attachment.path) }));
+  const unsafe = targets.filter(entry => !entry.target);
+  if (unsafe.length > 0) {
+    throw new Error(`refusing to restore files outside uploads/: ${unsafe.map(entry => entry.attachment.path).join(', ')}`);
+  }
+  
+  for (const { attachment, target } of targets) {
+    storage.writeFileAtomic(target, attachment.content);
+  }
+  return targets.length;
+}
+
+/**
+ * Backup copy of a module's data upgraded to the current schema in memory, so
+ * it can be compared with and merged into the data on the server
+ */
+function normalizeModuleData(id, data) {
+  switch (id) {
+    case 'finance':
+      return isLegacyFinance(data) ? data : migrations.runMigrations('finance data', data, finance.SCHEMA_MIGRATIONS).data;
+    case 'house':
+      return migrations.runMigrations('house-data.json', data, house.SCHEMA_MIGRATIONS).data;
+    case 'smartMirror':
+      return migrations.runMigrations('smartmirror-config.json.enc', data, smartMirror.SCHEMA_MIGRATIONS).data;
+    default:
+      return data;
+  }
+}
+
+// Finance exports from before 2.0 only carry accounts and settings and are merged, not replaced
+function isLegacyFinance(data) {
+  return migrations.getVersion(data) === 0;
+}
+
+function canRestoreSections(id, data) {
+  return id !== 'attachments' && backupDiff.isPlainObject(data) && !(id === 'finance' && isLegacyFinance(data));
+}
+
+/**
+ * Current module data with the selected sections replaced by the backup copy
+ * @param {Set<string>} sections
+ */
+function mergeSections(id, data, sections, currentConfig) {
+  if (!canRestoreSections(id, data)) {
+    throw new Error('this backup can only restore the module as a whole');
+  }
+  
+  const incoming = normalizeModuleData(id, data);
+  const missing = Array.from(sections).filter(section => !(section in incoming));
+  if (missing.length > 0) {
+    throw new Error(`not in the backup: ${missing.join(', ')}`);
+  }
+  
+  const merged = { ...(collectModuleData(id, currentConfig) || {}) };
+  for (const section of sections) {
+    merged[section] = incoming[section];
+  }
+  return merged;
+}
+
+/**
+ * Replace one module's data with the copy from a backup
+ * @throws {Error} when the data is unusable or cannot be saved
+ */
+function restoreModule(id, data, backup, currentConfig) {
+  switch (id) {
+    case 'mainConfig':
+      restoreMainConfig(data, currentConfig);
+      break;
+    case 'espressoData':
+      storage.writeFileAtomic(path.join(CONFIG_DIR, 'espresso-data.json'), JSON.stringify(data, null, 2));
+      break;
+    case 'finance':
+      restoreFinance(data);
+      break;
+    case 'house': {
+      const migrated = migrations.runMigrations('house-data.json', data, house.SCHEMA_MIGRATIONS).data;
+      const result = house.saveHouseData(migrated);
+      if (!result.success) throw new Error(result.error);
+      break;
+    }
+    case 'smartMirror': {
+      const result = smartMirror.saveConfig(data);
+      if (!result.success) throw new Error(result.error);
+      break;
+    }
+    case 'webhooks':
+      if (!Array.isArray(data)) throw new Error('webhooks should be an array');
+      if (!webhooks.saveWebhooks(data)) throw new Error('could not save webhooks');
+      break;
+    case 'remoteDevices':
+      if (!Array.isArray(data.devices)) throw new Error('device list is missing');
+      if (!remoteMgmt.saveData({ ...data, commands: Array.isArray(data.commands) ? data.commands : [] })) {
+        throw new Error('could not save the device registry');
+      }
+      break;
+    case 'ollama': {
+      if (data.config) {
+        const result = getOllama().saveConfig(data.config);
+        if (!result.success) throw new Error(result.error);
+      }
+      if (Array.isArray(data.history)) {
+        const result = getOllama().saveHistory(data.history);
+        if (!result.success) throw new Error(result.error);
+      }
+      break;
+    }
+    case 'attachments': {
+      const count = restoreAttachments(backup.attachments);
+      logger.info(logger.categories.SYSTEM, `[Backup] ${count} uploaded files restored`);
+      break;
+    }
+    default:
+      throw new Error('unknown module');
+  }
+}
+
+function hasModuleData(backup, id) {
+  if (id === 'attachments') {
+    return Array.isArray(backup.attachments) && backup.attachments.length > 0;
+  }
+  return backup.data[id] !== undefined && backup.data[id] !== null;
+}
+
+/**
+ * ['finance', 'house.bills', 'house.vacation'] → Map { finance → null, house → Set { bills, vacation } }
+ * null restores the whole module
+ */
+function parseModuleSelection(modules) {
+  if (!modules) {
+    return null;
+  }
+  const selection = new Map();
+  for (const entry of modules) {
+    const [id, ...rest] = String(entry).split('.');
+    const section = rest.join('.');
+    if (!section) {
+      selection.set(id, null);
+    } else if (selection.get(id) !== null) {
+      selection.set(id, new Set([...(selection.get(id) || []), section]));
+    }
+  }
+  return selection;
+}
+
 /**
  * Import all site configurations and data from backup
+ * @param {Object} backup - JSON backup, or the result of readArchive()
+ * @param {Object} [currentConfig]
+ * @param {Object} [options]
+ * @param {string[]} [options.modules] - restore only these module ids (default: everything in the backup).
+ *   "module.section" restores one section and keeps the rest of the module's current data.
  */
-function importAllData(backup, currentConfig) {
+function importAllData(backup, currentConfig, options = {}) {
+  const selection = parseModuleSelection(options.modules);
   logger.info(logger.categories.SYSTEM, '[Backup] Starting data import...');
   
   // Validate backup first
@@ -272,117 +1074,31 @@ function importAllData(backup, currentConfig) {
   };
   
   try {
-    // 1. Import main configuration
-    if (backup.data.mainConfig) {
-      try {
-        const configPath = path.join(CONFIG_DIR, 'config.json');
-        const existingConfig = currentConfig || loadMainConfig() || {};
-        
-        // Merge backup data with existing config, preserving sensitive data
-        const mergedConfig = JSON.parse(JSON.stringify(backup.data.mainConfig));
-        
-        // Preserve existing admin password
-        if (existingConfig.server?.admin?.password) {
-          if (!mergedConfig.server) mergedConfig.server = {};
-          if (!mergedConfig.server.admin) mergedConfig.server.admin = {};
-          mergedConfig.server.admin.password = existingConfig.server.admin.password;
-        } else {
-          // Generate a random password if none exists - user will need to reset via server restart
-          if (!mergedConfig.server) mergedConfig.server = {};
-          if (!mergedConfig.server.admin) mergedConfig.server.admin = {};
-          if (!mergedConfig.server.admin.password) {
-            // Generate a secure random password using URL-safe base64 (20 chars)
-            mergedConfig.server.admin.password = crypto.randomBytes(15).toString('base64url');
-            logger.warning(logger.categories.SYSTEM, '[Backup] Generated new admin password - please check config.json');
-          }
-        }
-        
-        // Preserve existing GitHub tokens if not in backup
-        if (existingConfig.vidiots?.githubPages?.accessToken && 
-            (!mergedConfig.vidiots?.githubPages?.accessToken)) {
-          if (!mergedConfig.vidiots) mergedConfig.vidiots = {};
-          if (!mergedConfig.vidiots.githubPages) mergedConfig.vidiots.githubPages = {};
-          mergedConfig.vidiots.githubPages.accessToken = existingConfig.vidiots.githubPages.accessToken;
-        }
-        
-        if (existingConfig.espresso?.githubPages?.accessToken && 
-            (!mergedConfig.espresso?.githubPages?.accessToken)) {
-          if (!mergedConfig.espresso) mergedConfig.espresso = {};
-          if (!mergedConfig.espresso.githubPages) mergedConfig.espresso.githubPages = {};
-          mergedConfig.espresso.githubPages.accessToken = existingConfig.espresso.githubPages.accessToken;
-        }
-        
-        // Preserve Home Assistant token
-        if (existingConfig.homeAssistant?.token && 
-            (!mergedConfig.homeAssistant?.token)) {
-          if (!mergedConfig.homeAssistant) mergedConfig.homeAssistant = {};
-          mergedConfig.homeAssistant.token = existingConfig.homeAssistant.token;
-        }
-        
-        fs.writeFileSync(configPath, JSON.stringify(mergedConfig, null, 2));
-        results.imported.push('Main configuration');
-        logger.info(logger.categories.SYSTEM, '[Backup] Main configuration imported');
-      } catch (error) {
-        results.errors.push('Main configuration: ' + error.message);
-        logger.error(logger.categories.SYSTEM, `[Backup] Main config import failed: ${error.message}`);
+    for (const module of BACKUP_MODULES) {
+      if (!hasModuleData(backup, module.id)) {
+        continue;
       }
-    }
-    
-    // 2. Import Espresso data
-    if (backup.data.espressoData) {
-      try {
-        const espressoPath = path.join(CONFIG_DIR, 'espresso-data.json');
-        fs.writeFileSync(espressoPath, JSON.stringify(backup.data.espressoData, null, 2));
-        results.imported.push('Espresso data');
-        logger.info(logger.categories.SYSTEM, '[Backup] Espresso data imported');
-      } catch (error) {
-        results.errors.push('Espresso data: ' + error.message);
-        logger.error(logger.categories.SYSTEM, `[Backup] Espresso data import failed: ${error.message}`);
+      if (selection && !selection.has(module.id)) {
+        results.skipped.push(module.label);
+        continue;
       }
-    }
-    
-    // 4. Import Finance data
-    if (backup.data.finance) {
+      
+      const sections = selection ? selection.get(module.id) : null;
       try {
-        // Import demographics first
-        if (backup.data.finance.demographics) {
-          finance.updateDemographics(backup.data.finance.demographics);
-        }
-        
-        // Import advanced settings
-        if (backup.data.finance.advancedSettings) {
-          finance.updateAdvancedSettings(backup.data.finance.advancedSettings);
-        }
-        
-        // Import accounts - need to handle carefully
-        if (Array.isArray(backup.data.finance.accounts)) {
-          // Get existing accounts to avoid duplicates
-          const existingAccounts = finance.getAccounts();
-          const existingIds = new Set(existingAccounts.map(a => a.id));
-          
-          let importedCount = 0;
-          let updatedCount = 0;
-          
-          for (const account of backup.data.finance.accounts) {
-            if (existingIds.has(account.id)) {
-              // Update existing account
-              finance.saveAccount(account);
-              updatedCount++;
-            } else {
-              // Add new account
-              finance.saveAccount(account);
-              importedCount++;
-            }
-          }
-          
-          logger.info(logger.categories.SYSTEM, `[Backup] Accounts: ${importedCount} new, ${updatedCount} updated`);
+        if (sections) {
+          const merged = mergeSections(module.id, backup.data[module.id], sections, currentConfig);
+          restoreModule(module.id, merged, backup, currentConfig);
+          const label = `${module.label} (${Array.from(sections).map(backupDiff.humanizeKey).join(', ')})`;
+          results.imported.push(label);
+          logger.info(logger.categories.SYSTEM, `[Backup] ${label} imported`);
+        } else {
+          restoreModule(module.id, backup.data[module.id], backup, currentConfig);
+          results.imported.push(module.label);
+          logger.info(logger.categories.SYSTEM, `[Backup] ${module.label} imported`);
         }
-        
-        results.imported.push('Finance data');
-        logger.info(logger.categories.SYSTEM, '[Backup] Finance data imported');
       } catch (error) {
-        results.errors.push('Finance data: ' + error.message);
-        logger.error(logger.categories.SYSTEM, `[Backup] Finance data import failed: ${error.message}`);
+        results.errors.push(`${module.label}: ${error.message}`);
+        logger.error(logger.categories.SYSTEM, `[Backup] ${module.label} import failed: ${error.message}`);
       }
     }
     
@@ -393,13 +1109,20 @@ function importAllData(backup, currentConfig) {
       logger.warning(logger.categories.SYSTEM, '[Backup] Import completed with errors');
     }
     
+    let message;
+    if (!success) {
+      message = `Import completed with errors in: ${results.errors.join(', ')}`;
+    } else if (results.imported.length === 0) {
+      message = 'Nothing was imported';
+    } else {
+      message = `Successfully imported: ${results.imported.join(', ')}`;
+    }
+    
     return {
       success,
       results,
       warnings: validation.warnings,
-      message: success 
-        ? `Successfully imported: ${results.imported.join(', ')}` 
-        : `Import completed with errors in: ${results.errors.join(', ')}`
+      message
     };
     
   } catch (error) {
@@ -412,6 +1135,68 @@ function importAllData(backup, currentConfig) {
   }
 }
 
+function diffAttachments(attachments) {
+  const changes = { added: [], removed: [], changed: [], unchanged: 0 };
+  for (const attachment of attachments) {
+    const target = resolveUploadPath(attachment.path);
+    if (!target || !fs.existsSync(target)) {
+      changes.added.push(attachment.path);
+    } else if (!fs.readFileSync(target).equals(attachment.content)) {
+      changes.changed.push({ label: attachment.path, fields: [] });
+    } else {
+      changes.unchanged++;
+    }
+  }
+  // Restoring files never deletes the ones that are not in the backup
+  const section = backupDiff.createSection('files', changes);
+  return { status: section.status, sectioned: false, sections: [section] };
+}
+
+/**
+ * What restoring each module of a backup would change on this server
+ * @param {Object} backup - JSON backup, or the result of readArchive()
+ * @param {Object} [currentConfig] - live config (read from config.json when omitted)
+ * @returns {Array<Object>} [{ id, label, status: 'new'|'changed'|'unchanged', sectioned, sections, note?, error? }]
+ *   see backupDiff.diffModuleData() for the section format
+ */
+function diffBackup(backup, currentConfig) {
+  return BACKUP_MODULES.filter(module => hasModuleData(backup, module.id)).map(module => {
+    try {
+      if (module.id === 'attachments') {
+        return { id: module.id, label: module.label, ...diffAttachments(backup.attachments) };
+      }
+      
+      const data = backup.data[module.id];
+      const diff = backupDiff.diffModuleData(collectModuleData(module.id, currentConfig),
+        normalizeModuleData(module.id, data), module.id);
+      
+      if (module.id === 'finance' && isLegacyFinance(data)) {
+        // Merged into the current data: nothing is removed
+        const sections = diff.sections
+          .filter(section => section.status !== 'removed')
+          .map(section => {
+            const onlyRemovals = section.status === 'changed' && section.added.count + section.changed.count === 0;
+            return { ...section, status: onlyRemovals ? 'unchanged' : section.status, removed: { count: 0, items: [] } };
+          });
+        const changed = sections.some(section => section.status !== 'unchanged');
+        return {
+          id: module.id,
+          label: module.label,
+          ...diff,
+          status: diff.status === 'new' ? 'new' : (changed ? 'changed' : 'unchanged'),
+          sectioned: false,
+          sections,
+          note: 'Backup from an older release: accounts are merged into the current data and nothing is removed'
+        };
+      }
+      return { id: module.id, label: module.label, ...diff, sectioned: diff.sectioned && canRestoreSections(module.id, data) };
+    } catch (error) {
+      logger.warning(logger.categories.SYSTEM, `[Backup] Could not compare ${module.label}: ${error.message}`);
+      return { id: module.id, label: module.label, status: 'unknown', sectioned: false, sections: [], error: error.message };
+    }
+  });
+}
+
 /**
  * Get a summary of what's included in a backup
  */
@@ -457,21 +1242,77 @@ function getBackupSummary(backup) {
       accountsCount: backup.data.finance.accounts?.length || 0,
       hasDemographics: !!backup.data.finance.demographics,
       hasAdvancedSettings: !!backup.data.finance.advancedSettings,
-      historyEntriesCount: backup.data.finance.history?.length || 0
+      historyEntriesCount: backup.data.finance.history?.length || 0,
+      apartmentsCount: backup.data.finance.apartments?.length || 0,
+      importRulesCount: backup.data.finance.importRules?.length || 0,
+      deletedAccountsCount: backup.data.finance.deletedAccounts?.length || 0
+    };
+  }
+  
+  // House summary
+  if (backup.data.house) {
+    summary.contents.house = {
+      sections: Object.keys(backup.data.house).filter(key => key !== migrations.VERSION_FIELD),
+      billsCount: backup.data.house.bills?.bills?.length || 0,
+      medicationsCount: backup.data.house.medications?.medications?.length || 0
+    };
+  }
+  
+  if (backup.data.smartMirror) {
+    summary.contents.smartMirror = {
+      enabledWidgets: Object.values(backup.data.smartMirror.widgets || {}).filter(widget => widget?.enabled).length
+    };
+  }
+  
+  if (Array.isArray(backup.data.webhooks)) {
+    summary.contents.webhooks = { count: backup.data.webhooks.length };
+  }
+  
+  if (backup.data.remoteDevices) {
+    summary.contents.remoteDevices = {
+      devicesCount: backup.data.remoteDevices.devices?.length || 0,
+      commandsCount: backup.data.remoteDevices.commands?.length || 0
+    };
+  }
+  
+  if (backup.data.ollama) {
+    summary.contents.ollama = {
+      configured: !!backup.data.ollama.config?.webUIUrl,
+      historyCount: backup.data.ollama.history?.length || 0
     };
   }
   
+  if (Array.isArray(backup.attachments)) {
+    summary.contents.attachments = {
+      count: backup.attachments.length,
+      totalBytes: backup.attachments.reduce((total, attachment) => total + attachment.content.length, 0)
+    };
+  }
+  
+  // Modules that can be selected for restore
+  summary.modules = BACKUP_MODULES
+    .filter(module => hasModuleData(backup, module.id))
+    .map(module => ({ id: module.id, label: module.label }));
+  
   return summary;
 }
 
 
-
 module.exports = {
+  init,
   exportAllData,
   importAllData,
   validateBackup,
   getBackupSummary,
+  diffBackup,
+  createArchive,
+  readArchive,
+  isEncryptedArchive,
+  packTar,
+  unpackTar,
   generateChecksum,
   verifyChecksum,
-  BACKUP_VERSION
+  BACKUP_MODULES,
+  BACKUP_VERSION,
+  ARCHIVE_VERSION
 };
@@ -0,0 +1,281 @@
+/**
+ * Error Codes
+ *
+ * Catalog of the machine-readable codes in API error responses:
+ *
+ *   { success: false, error: 'Account not found', code: 'FINANCE_ACCOUNT_NOT_FOUND',
+ *     hint: 'The account may have been deleted or merged...', requestId: '3f2a9c1e7b4d0a56' }
+ *
+ * Each code has the HTTP status it is sent with, a default message and a
+ * hint telling the user how to fix the problem.  Scripts and the dashboard
+ * match on codes, so a code must never be renamed or reused for a different
+ * problem; add a new one instead.
+ *
+ * Responses that only set a status get the general code for it (see
+ * codeForStatus), so every error response has a code.
+ */
+
+'use strict';
+
+const ERROR_CODES = {
+  // -------------------------------------------------------------------------
+  // General
+  // -------------------------------------------------------------------------
+  BAD_REQUEST: {
+    status: 400,
+    message: 'Invalid request',
+    hint: 'Check the values you entered and try again.'
+  },
+  VALIDATION_ERROR: {
+    status: 400,
+    message: 'Invalid request body',
+    hint: 'Fix the fields listed in details. /admin/api-explorer shows the body each endpoint expects.'
+  },
+  INVALID_JSON: {
+    status: 400,
+    message: 'The request body is not valid JSON',
+    hint: 'Send a JSON body with Content-Type: application/json.'
+  },
+  UNAUTHORIZED: {
+    status: 401,
+    message: 'Authentication required',
+    hint: 'Log in again, or check that the API token has not expired or been revoked.'
+  },
+  FORBIDDEN: {
+    status: 403,
+    message: 'Access denied',
+    hint: 'Ask an owner to give your account a role with access to this area (Settings → 👥 Users).'
+  },
+  INSUFFICIENT_SCOPE: {
+    status: 403,
+    message: 'The API token does not have the required scope',
+    hint: 'Create an API token with the scope named in the error (Settings → 👥 Users → 🔑 API Tokens).'
+  },
+  INVALID_CSRF_TOKEN: {
+    status: 403,
+    message: 'Invalid CSRF token',
+    hint: 'Reload the page and try again.'
+  },
+  NOT_FOUND: {
+    status: 404,
+    message: 'Not found',
+    hint: 'The item may have been deleted. Reload the page to see the current data.'
+  },
+  ROUTE_NOT_FOUND: {
+    status: 404,
+    message: 'Unknown API endpoint',
+    hint: 'Check the URL and method. /admin/api-explorer lists every endpoint.'
+  },
+  MODULE_DISABLED: {
+    status: 404,
+    message: 'This module is switched off',
+    hint: 'Switch it on under Settings → General → Modules.'
+  },
+  CONFLICT: {
+    status: 409,
+    message: 'The request conflicts with the current data',
+    hint: 'Reload the page to see the current data and try again.'
+  },
+  ENDPOINT_REMOVED: {
+    status: 410,
+    message: 'This endpoint has been removed',
+    hint: 'Use an inbound hook instead (Admin → Webhooks → Inbound Hooks).'
+  },
+  PAYLOAD_TOO_LARGE: {
+    status: 413,
+    message: 'The request is too large',
+    hint: 'Send a smaller file or body.'
+  },
+  RATE_LIMITED: {
+    status: 429,
+    message: 'Too many requests',
+    hint: 'Wait a few minutes before trying again.'
+  },
+  INTERNAL_ERROR: {
+    status: 500,
+    message: 'Internal server error',
+    hint: 'Search Settings → Logs for the request ID to see what went wrong.'
+  },
+  UPSTREAM_ERROR: {
+    status: 502,
+    message: 'An external service returned an error',
+    hint: 'Check the service\'s URL and credentials in Settings, and whether the service is up.'
+  },
+  SERVICE_UNAVAILABLE: {
+    status: 503,
+    message: 'Service unavailable',
+    hint: 'The feature is not ready yet. Try again in a moment, or check /readyz.'
+  },
+  UPSTREAM_TIMEOUT: {
+    status: 504,
+    message: 'An external service did not answer in time',
+    hint: 'Check that the service is reachable from the server, then try again.'
+  },
+
+  // -------------------------------------------------------------------------
+  // Storage and configuration
+  // -------------------------------------------------------------------------
+  CONFIG_INVALID: {
+    status: 400,
+    message: 'Invalid configuration',
+    hint: 'Send the complete configuration as returned by GET /admin/api/config.'
+  },
+  CONFIG_NOT_WRITABLE: {
+    status: 500,
+    message: 'The config directory is not writable',
+    hint: 'Make the config/ directory writable by the server (check Docker volume permissions) and make sure the disk is not full.'
+  },
+
+  // -------------------------------------------------------------------------
+  // Audit log
+  // -------------------------------------------------------------------------
+  AUDIT_EVENT_NOT_FOUND: {
+    status: 404,
+    message: 'Audit event not found',
+    hint: 'Older events are removed once the audit log reaches its size limit. Reload the audit log.'
+  },
+  AUDIT_NOT_REVERTIBLE: {
+    status: 409,
+    message: 'This change cannot be reverted',
+    hint: 'Only changes to items that still exist can be reverted, newest first. Revert the later changes to the item before this one.'
+  },
+
+  // -------------------------------------------------------------------------
+  // Finance
+  // -------------------------------------------------------------------------
+  FINANCE_ACCOUNT_NOT_FOUND: {
+    status: 404,
+    message: 'Account not found',
+    hint: 'The account may have been deleted or merged into another account. Reload the accounts list.'
+  },
+  FINANCE_APARTMENT_NOT_FOUND: {
+    status: 404,
+    message: 'Apartment not found',
+    hint: 'The apartment may have been deleted. Reload the apartments list.'
+  },
+
+  // -------------------------------------------------------------------------
+  // Smart mirror
+  // -------------------------------------------------------------------------
+  WIDGET_DISABLED: {
+    status: 409,
+    message: 'Widget not enabled',
+    hint: 'Enable the widget under Settings → Smart Mirror.'
+  },
+  WIDGET_NOT_CONFIGURED: {
+    status: 409,
+    message: 'Widget not configured',
+    hint: 'Fill in the widget\'s API key, location or entity IDs under Settings → Smart Mirror.'
+  },
+  PARTY_NOT_SCHEDULED: {
+    status: 409,
+    message: 'No party date configured',
+    hint: 'Set a date for the party under Party Scheduling.'
+  },
+  WIDGET_PLUGIN_NOT_FOUND: {
+    status: 404,
+    message: 'Widget plugin not found',
+    hint: 'Put the plugin folder in plugins/ and restart the server; plugins that failed to load are listed in the Smart Mirror logs.'
+  },
+  SMART_MIRROR_PROFILE_NOT_FOUND: {
+    status: 404,
+    message: 'Mirror profile not found',
+    hint: 'Check the profile name in the URL; profiles are listed in the grid editor under Settings → Smart Mirror.'
+  },
+  SMART_MIRROR_PROFILE_IN_USE: {
+    status: 409,
+    message: 'Mirror profile is assigned to a device',
+    hint: 'Assign the devices listed in the error to another profile under Remote Devices, then delete the profile.'
+  },
+
+  // -------------------------------------------------------------------------
+  // Integrations
+  // -------------------------------------------------------------------------
+  HOME_ASSISTANT_NOT_CONFIGURED: {
+    status: 409,
+    message: 'Home Assistant is not configured',
+    hint: 'Enter the Home Assistant URL and a long-lived access token under Settings → Home Assistant and enable the integration.'
+  },
+  // GitHub push and pull failures (see formatGitHubError in error-helper.js,
+  // which adds step-by-step solutions); GitHub is the failing upstream
+  GITHUB_AUTH_FAILED: {
+    status: 502,
+    message: 'GitHub authentication failed',
+    hint: 'Check the GitHub token in the GitHub Pages settings and that it has the repo scope.'
+  },
+  GITHUB_FORBIDDEN: {
+    status: 502,
+    message: 'GitHub access forbidden',
+    hint: 'Make sure the token\'s account can push to the repository and no branch protection rule blocks it.'
+  },
+  GITHUB_NOT_FOUND: {
+    status: 502,
+    message: 'GitHub repository not found',
+    hint: 'Check the repository name (owner/repo) and that the token can see it.'
+  },
+  GITHUB_RATE_LIMIT: {
+    status: 502,
+    message: 'GitHub API rate limit exceeded',
+    hint: 'Wait for the rate limit to reset, usually within an hour.'
+  },
+  GITHUB_FILE_TOO_LARGE: {
+    status: 502,
+    message: 'File too large for GitHub',
+    hint: 'GitHub rejects files over 100 MB. Remove or compress the large files.'
+  },
+  GITHUB_OPERATION_FAILED: {
+    status: 502,
+    message: 'GitHub operation failed',
+    hint: 'Check the repository name and access permissions, and https://www.githubstatus.com/.'
+  }
+};
+
+// General code for a status when a response does not name one
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'ENDPOINT_REMOVED',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT'
+};
+
+// File system error codes that mean data could not be saved
+const NOT_WRITABLE_ERRNOS = ['EACCES', 'EPERM', 'EROFS', 'ENOSPC'];
+
+/**
+ * Catalog entry for a code, or null for codes that are not listed
+ * (e.g. file system codes such as ENOENT)
+ */
+function getErrorCode(code) {
+  return Object.prototype.hasOwnProperty.call(ERROR_CODES, code) ? ERROR_CODES[code] : null;
+}
+
+/**
+ * HTTP status a code is sent with (500 for codes that are not listed)
+ */
+function statusForCode(code) {
+  const entry = getErrorCode(code);
+  return entry ? entry.status : 500;
+}
+
+/**
+ * General code for an HTTP error status
+ */
+function codeForStatus(status) {
+  return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+module.exports = {
+  ERROR_CODES,
+  NOT_WRITABLE_ERRNOS,
+  getErrorCode,
+  statusForCode,
+  codeForStatus
+};
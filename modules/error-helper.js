@@ -3,9 +3,17 @@
  * 
  * Provides enhanced error handling utilities with detailed error messages,
  * context information, and potential solutions for common issues.
+ *
+ * Every API error response has the same shape, with a code from the
+ * catalog in error-codes.js:
+ *   { success: false, error, code, hint, requestId, details? }
+ * Routes send one with sendError(res, code) or by throwing an ApiError;
+ * errorResponses() completes hand-written error responses and errorHandler
+ * turns thrown errors into responses.
  */
 
 const logger = require('./logger');
+const { getErrorCode, statusForCode, codeForStatus, NOT_WRITABLE_ERRNOS } = require('./error-codes');
 
 /**
  * Custom error classes for different error types
@@ -57,6 +65,35 @@ class FileSystemError extends Error {
   }
 }
 
+/**
+ * Error with a catalog code; throw it from a route (or pass it to next())
+ * and errorHandler sends the matching status, message and hint
+ */
+class ApiError extends Error {
+  constructor(code, message, options = {}) {
+    const entry = getErrorCode(code);
+    if (!entry) {
+      throw new TypeError(`Unknown error code: ${code}`);
+    }
+    super(message || entry.message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = entry.status;
+    this.hint = options.hint || entry.hint;
+    this.details = options.details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      hint: this.hint,
+      details: this.details
+    };
+  }
+}
+
 /**
  * Enhanced error message builders
  */
@@ -312,10 +349,131 @@ function createErrorResponse(error, includeStack = false) {
   return response;
 }
 
+/**
+ * API errors
+ */
+
+/**
+ * ApiError for anything thrown in a route. Unknown errors become
+ * INTERNAL_ERROR without their message, which may contain internals; the
+ * message is logged with the request ID instead.
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error instanceof GitHubError) {
+    return new ApiError(getErrorCode(error.code) ? error.code : 'GITHUB_OPERATION_FAILED', error.message, {
+      details: error.details
+    });
+  }
+  // storage.js wraps the failed write in a StorageError and keeps the errno in .cause
+  if (NOT_WRITABLE_ERRNOS.includes(error && error.code) || NOT_WRITABLE_ERRNOS.includes(error && error.cause && error.cause.code)) {
+    return new ApiError('CONFIG_NOT_WRITABLE', error instanceof FileSystemError ? error.details : undefined);
+  }
+  // body-parser and multer
+  if (error && error.type === 'entity.parse.failed') {
+    return new ApiError('INVALID_JSON');
+  }
+  if (error && (error.type === 'entity.too.large' || error.code === 'LIMIT_FILE_SIZE')) {
+    return new ApiError('PAYLOAD_TOO_LARGE', error.message);
+  }
+  const status = error && (error.status || error.statusCode);
+  if (status >= 400 && status < 500) {
+    return new ApiError(codeForStatus(status), error.message);
+  }
+  return new ApiError('INTERNAL_ERROR');
+}
+
+/**
+ * Send the error response for a catalog code
+ * @param {Object} res - Express response
+ * @param {string} code - key of ERROR_CODES
+ * @param {string} [message] - defaults to the code's message
+ * @param {Object} [extra] - more fields for the body (e.g. { events: [] })
+ */
+function sendError(res, code, message, extra = {}) {
+  const error = new ApiError(code, message);
+  return res.status(error.status).json({ ...error.toJSON(), ...extra });
+}
+
+/**
+ * Send a module's { success, error, code? } result. A failure is sent with
+ * the status of its code, or of fallbackCode when the module set none.
+ */
+function sendResult(res, result, fallbackCode = 'BAD_REQUEST') {
+  if (result.success) {
+    return res.json(result);
+  }
+  const code = result.code || fallbackCode;
+  return res.status(statusForCode(code)).json({ ...result, code });
+}
+
+/**
+ * Fill in success, code, hint and requestId of an error body
+ */
+function completeErrorBody(body, status, requestId) {
+  const code = body.code || codeForStatus(status);
+  const entry = getErrorCode(code);
+  return {
+    success: false,
+    ...body,
+    code,
+    hint: body.hint || (entry ? entry.hint : undefined),
+    requestId
+  };
+}
+
+/**
+ * Middleware that completes every JSON error response (status 400 and up
+ * with an "error" field), so routes that build their own bodies still
+ * answer with a code, hint and request ID. 5xx responses are logged.
+ * Register it after requestContext and before the routes.
+ */
+function errorResponses() {
+  return function normalizeErrorResponse(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && body.error !== undefined) {
+        body = completeErrorBody(body, res.statusCode, req.id);
+        if (res.statusCode >= 500 && !res.locals.errorLogged) {
+          logger.error(logger.categories.SERVER,
+            `[HTTP] ${req.method} ${req.path} failed with ${res.statusCode} ${body.code}: ${body.error}`);
+        }
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+/**
+ * ROUTE_NOT_FOUND for API paths no route matched
+ */
+function apiNotFoundHandler(req, res) {
+  sendError(res, 'ROUTE_NOT_FOUND', `No endpoint for ${req.method} ${req.originalUrl.split('?')[0]}`);
+}
+
+/**
+ * Express error middleware; register it after all routes
+ */
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) {
+    logError(logger.categories.SERVER, error, { operation: `${req.method} ${req.path}` });
+    res.locals.errorLogged = true;
+  }
+  res.status(apiError.status).json(apiError.toJSON());
+}
+
 module.exports = {
   // Error classes
   GitHubError,
   FileSystemError,
+  ApiError,
   
   // Formatters
   formatFileSystemError,
@@ -323,5 +481,14 @@ module.exports = {
   
   // Utilities
   logError,
-  createErrorResponse
+  createErrorResponse,
+  statusForCode,
+  
+  // API errors
+  toApiError,
+  sendError,
+  sendResult,
+  errorResponses,
+  apiNotFoundHandler,
+  errorHandler
 };
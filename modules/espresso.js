@@ -3,9 +3,14 @@ const path = require('path');
 const { JSDOM } = require('jsdom');
 const { execSync } = require('child_process');
 const githubUpload = require('./github-upload');
+const eventBus = require('./event-bus');
+const jobScheduler = require('./job-scheduler');
+const moduleRegistry = require('./module-registry');
+const logger = require('./logger');
+
+const GENERATE_JOB_ID = 'espresso-generate';
 
 let config = null;
-let htmlGenerationTimer = null;
 
 // Initialize the espresso module with config
 function init(serverConfig) {
@@ -19,6 +24,27 @@ function init(serverConfig) {
   
   // Ensure espresso templates directory exists
   ensureEspressoTemplatesDir();
+
+  registerGenerationJob();
+}
+
+// Page generation is debounced through the job scheduler so it shows up on the jobs page
+function registerGenerationJob() {
+  jobScheduler.registerJob({
+    id: GENERATE_JOB_ID,
+    name: 'Espresso page generation',
+    category: logger.categories.BUILD,
+    description: 'Regenerates the espresso page 30 seconds after the last data update',
+    schedule: null,
+    enabled: Boolean(config.espresso?.enabled) && moduleRegistry.isEnabled('espresso'),
+    run: async () => {
+      const result = await generateHTML(loadEspressoData(), false);
+      if (result.success) {
+        console.log(`✅ [Espresso] Debounced HTML generation completed: ${result.outputPath}`);
+      }
+      return result;
+    }
+  });
 }
 
 // Ensure the espresso templates directory exists
@@ -327,36 +353,14 @@ function getUploadedImageFiles() {
   return imageFiles;
 }
 
-// Debounced HTML generation function
-async function debouncedGenerateHTML(espressoData, delaySeconds = 30) {
-  return new Promise((resolve, reject) => {
-    // Clear existing timer if it exists
-    if (htmlGenerationTimer) {
-      clearTimeout(htmlGenerationTimer);
-      console.log(`⏳ [Espresso] Previous HTML generation timer cancelled`);
-    }
-    
-    // Set new timer
-    htmlGenerationTimer = setTimeout(async () => {
-      try {
-        console.log(`🚀 [Espresso] Starting debounced HTML generation after ${delaySeconds}s delay`);
-        const result = await generateHTML(espressoData, false);
-        
-        if (result.success) {
-          console.log(`✅ [Espresso] Debounced HTML generation completed: ${result.outputPath}`);
-          resolve(result);
-        } else {
-          console.error(`❌ [Espresso] Debounced HTML generation failed: ${result.error}`);
-          reject(new Error(result.error));
-        }
-      } catch (error) {
-        console.error(`❌ [Espresso] Debounced HTML generation error: ${error.message}`);
-        reject(error);
-      }
-    }, delaySeconds * 1000);
-    
-    console.log(`⏱️ [Espresso] HTML generation scheduled in ${delaySeconds} seconds`);
-  });
+// Debounced HTML generation: restarts the delay on every call and generates from the saved data
+function debouncedGenerateHTML(delaySeconds = 30) {
+  if (!jobScheduler.deferRun(GENERATE_JOB_ID, delaySeconds * 1000)) {
+    console.log(`ℹ️ [Espresso] HTML generation not scheduled (job paused)`);
+    return false;
+  }
+  console.log(`⏱️ [Espresso] HTML generation scheduled in ${delaySeconds} seconds`);
+  return true;
 }
 
 // Generate HTML from espresso data and template
@@ -452,6 +456,7 @@ async function generateHTML(espressoData, useGithubUrls = false) {
     fs.writeFileSync(outputPath, generatedHTML);
     
     console.log(`✅ [Espresso] HTML generated successfully: ${outputPath}`);
+    eventBus.emit('espresso.generated', { outputPath, githubUrls: useGithubUrls });
     return { success: true, outputPath, generatedHTML };
     
   } catch (error) {
@@ -493,15 +498,8 @@ async function updateEspressoData(newData) {
     // Try to generate HTML from updated data with debouncing - only if enabled and template exists
     const espressoConfig = config.espresso || {};
     if (espressoConfig.enabled) {
-      try {
-        // Use debounced generation for automatic updates (30 second delay)
-        debouncedGenerateHTML(updatedData, 30).catch(error => {
-          console.log(`⚠️ [Espresso] Debounced HTML generation failed: ${error.message}`);
-        });
-        console.log(`⏱️ [Espresso] HTML generation scheduled with 30s debounce`);
-      } catch (error) {
-        console.log(`⚠️ [Espresso] Error scheduling debounced HTML generation: ${error.message}`);
-      }
+      // Use debounced generation for automatic updates (30 second delay)
+      debouncedGenerateHTML(30);
     } else {
       console.log(`ℹ️ [Espresso] HTML generation skipped (module disabled)`);
     }
@@ -941,6 +939,7 @@ async function copyTemplateFiles(repoPath) {
 
 module.exports = {
   init,
+  registerGenerationJob,
   loadEspressoData,
   saveEspressoData,
   generateHTML,
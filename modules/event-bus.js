@@ -0,0 +1,195 @@
+/**
+ * Event Bus Module
+ *
+ * In-process publish/subscribe for state changes, so modules can announce
+ * what happened instead of calling each other, and consumers (live events,
+ * webhooks, Home Assistant, automations) subscribe in one way.
+ *
+ * Every event type is declared in EVENT_DEFINITIONS with the logger category
+ * it belongs to and the payload fields it always carries.  emit() rejects
+ * unknown types and missing fields, so typos fail in tests rather than
+ * silently reaching nobody.
+ *
+ * Events are delivered synchronously, in subscription order, as
+ *   { id, type, timestamp, payload }
+ * A failing handler (thrown error or rejected promise) is logged and does not
+ * affect the emitter or the other handlers.
+ *
+ * Usage:
+ *   eventBus.emit('house.bill.added', { billId, billDate, ... });
+ *   const off = eventBus.on('house.*', event => ...);   // also '*' or an exact type
+ */
+
+'use strict';
+
+const { randomUUID } = require('crypto');
+const logger = require('./logger');
+
+const EVENT_DEFINITIONS = {
+  'finance.balance.updated': {
+    category: logger.categories.FINANCE,
+    description: 'An account balance was recorded',
+    fields: ['accountId', 'accountName', 'oldBalance', 'newBalance', 'balanceDate']
+  },
+  'finance.import.finished': {
+    category: logger.categories.FINANCE,
+    description: 'A screenshot import updated the accounts',
+    fields: ['asOfDate', 'accountsCreated', 'accountsUpdated', 'rowsSkipped', 'netWorth']
+  },
+  'house.bill.added': {
+    category: logger.categories.HOUSE,
+    description: 'A utility bill was uploaded',
+    fields: ['billId', 'billDate', 'periodStartDate', 'periodEndDate', 'totalCost']
+  },
+  'medication.refill.due': {
+    category: logger.categories.HOUSE,
+    description: 'A medication reached its refill alert date',
+    fields: ['medicationId', 'name', 'daysUntilEmpty', 'refillNeededDate', 'alertDate']
+  },
+  'party.updated': {
+    category: logger.categories.SYSTEM,
+    description: 'A party was created, changed or archived',
+    fields: ['partyId', 'name', 'status', 'action']
+  },
+  'remote.device.offline': {
+    category: logger.categories.REMOTE_MGMT,
+    description: 'A remote device stopped checking in',
+    fields: ['deviceId', 'name', 'lastSeen']
+  },
+  'remote.device.online': {
+    category: logger.categories.REMOTE_MGMT,
+    description: 'An offline remote device checked in again',
+    fields: ['deviceId', 'name', 'lastSeen']
+  },
+  'audit.change.reverted': {
+    category: logger.categories.SYSTEM,
+    description: 'A change was reverted from the audit log',
+    fields: ['eventId', 'revertEventId', 'actor', 'entities']
+  },
+  'smartmirror.config.saved': {
+    category: logger.categories.SMART_MIRROR,
+    description: 'The smart mirror configuration was saved',
+    fields: ['enabled', 'enabledWidgets']
+  },
+  'espresso.generated': {
+    category: logger.categories.BUILD,
+    description: 'The espresso page was generated',
+    fields: ['outputPath', 'githubUrls']
+  }
+};
+
+const MAX_RECENT_EVENTS = 100;
+
+const subscriptions = [];
+let recentEvents = [];
+
+function matchesPattern(pattern, type) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('.*')) return type.startsWith(pattern.slice(0, -1));
+  return pattern === type;
+}
+
+/**
+ * Subscribe to events
+ * @param {string} pattern - an event type, a prefix such as "house.*", or "*"
+ * @param {Function} handler - (event) => void|Promise
+ * @returns {Function} call to unsubscribe
+ */
+function on(pattern, handler) {
+  if (typeof pattern !== 'string' || !pattern) {
+    throw new TypeError('Event pattern must be a non-empty string');
+  }
+  if (pattern !== '*' && !pattern.endsWith('.*') && !EVENT_DEFINITIONS[pattern]) {
+    throw new TypeError(`Unknown event type: ${pattern}`);
+  }
+  const subscription = { pattern, handler };
+  subscriptions.push(subscription);
+  return () => {
+    const index = subscriptions.indexOf(subscription);
+    if (index !== -1) subscriptions.splice(index, 1);
+  };
+}
+
+function reportHandlerError(event, error) {
+  logger.error(EVENT_DEFINITIONS[event.type].category, `[Event Bus] Handler for ${event.type} failed: ${error.message}`);
+}
+
+/**
+ * Announce a state change
+ * @param {string} type - a key of EVENT_DEFINITIONS
+ * @param {Object} payload - must include every field listed for the type
+ * @returns {Object} the delivered event
+ * @throws {TypeError} for an unknown type or missing payload fields
+ */
+function emit(type, payload) {
+  const definition = EVENT_DEFINITIONS[type];
+  if (!definition) {
+    throw new TypeError(`Unknown event type: ${type}`);
+  }
+  const missing = definition.fields.filter(field => payload?.[field] === undefined);
+  if (missing.length > 0) {
+    throw new TypeError(`Event ${type} is missing: ${missing.join(', ')}`);
+  }
+
+  const event = {
+    id: randomUUID(),
+    type,
+    timestamp: new Date().toISOString(),
+    payload
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > MAX_RECENT_EVENTS) {
+    recentEvents = recentEvents.slice(-MAX_RECENT_EVENTS);
+  }
+
+  subscriptions
+    .filter(subscription => matchesPattern(subscription.pattern, type))
+    .forEach(subscription => {
+      try {
+        const result = subscription.handler(event);
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => reportHandlerError(event, error));
+        }
+      } catch (error) {
+        reportHandlerError(event, error);
+      }
+    });
+
+  return event;
+}
+
+/**
+ * Declared event types, for documentation and the admin API
+ * @returns {Object[]} [{ type, category, description, fields }]
+ */
+function getEventTypes() {
+  return Object.entries(EVENT_DEFINITIONS).map(([type, definition]) => ({
+    type,
+    category: definition.category,
+    description: definition.description,
+    fields: [...definition.fields]
+  }));
+}
+
+/**
+ * Logger category of an event type
+ */
+function getCategory(type) {
+  return EVENT_DEFINITIONS[type] ? EVENT_DEFINITIONS[type].category : null;
+}
+
+/**
+ * The most recent events, newest first
+ */
+function getRecentEvents(limit = MAX_RECENT_EVENTS) {
+  return recentEvents.slice(-limit).reverse();
+}
+
+module.exports = {
+  on,
+  emit,
+  getEventTypes,
+  getCategory,
+  getRecentEvents
+};
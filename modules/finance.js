@@ -3,7 +3,13 @@ const path = require('path');
 const crypto = require('crypto');
 const Tesseract = require('tesseract.js');
 const { formatFileSystemError, logError, createErrorResponse } = require('./error-helper');
+const { NOT_WRITABLE_ERRNOS } = require('./error-codes');
 const logger = require('./logger');
+const storage = require('./storage');
+const migrations = require('./migrations');
+const secrets = require('./secrets');
+const auditLog = require('./audit-log');
+const eventBus = require('./event-bus');
 
 /**
  * Finance Module - Date Handling Convention
@@ -26,10 +32,6 @@ const logger = require('./logger');
  */
 
 let config = null;
-const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
-const KEY_LENGTH = 32; // 256 bits
-const IV_LENGTH = 16; // 128 bits for GCM
-const AUTH_TAG_LENGTH = 16;
 const MAX_HISTORY_ENTRIES = 1000; // Maximum history entries to keep
 const MAX_IMPORT_RULE_ENTRIES = 300; // Maximum admin import override/type-edit rules to keep
 const BALANCE_COMPARISON_TOLERANCE = 0.01; // Floating-point tolerance for balance equality checks
@@ -43,7 +45,8 @@ const ZERO_RATE_EPSILON = 1e-9;
 function init(serverConfig) {
   config = serverConfig;
   ensureFinanceDataFile();
-  ensureEncryptionKey();
+  // Apply any pending schema migrations at startup rather than on first use
+  loadFinanceData();
 }
 
 function roundToNumber(value, decimalPlaces = 2) {
@@ -84,94 +87,43 @@ function calculateProjectedPortfolioValue(startingAssets, annualContribution, an
     (normalizedAnnualContribution * (growthFactor - 1) / normalizedAnnualReturn);
 }
 
-// Get or create encryption key for finance data
-function ensureEncryptionKey() {
-  const configDir = path.join(__dirname, '..', 'config');
-  const keyPath = path.join(configDir, '.finance_key');
-  
-  try {
-    if (!fs.existsSync(keyPath)) {
-      // Generate a new encryption key
-      const key = crypto.randomBytes(KEY_LENGTH);
-      fs.writeFileSync(keyPath, key.toString('hex'), { mode: 0o600 });
-      console.log('🔐 [Finance] Generated new encryption key');
-    }
-  } catch (error) {
-    logError(logger.categories.FINANCE, error, {
-      operation: 'Manage encryption key',
-      keyPath
-    });
-  }
-}
-
-// Get the encryption key
-function getEncryptionKey() {
-  const configDir = path.join(__dirname, '..', 'config');
-  const keyPath = path.join(configDir, '.finance_key');
-  
-  try {
-    if (fs.existsSync(keyPath)) {
-      return Buffer.from(fs.readFileSync(keyPath, 'utf8').trim(), 'hex');
+secrets.registerStore({ id: 'finance', label: 'Finance', filePath: getFinanceDataPath(), legacy: 'finance', useStorage: true });
+
+// Finance lists whose changes are recorded in the audit log
+[
+  { type: 'finance-account', label: 'Finance accounts', key: 'accounts',
+    routes: ['/admin/api/finance/accounts', '/admin/api/finance/upload-screenshot'],
+    describe: account => account.displayName || account.name },
+  { type: 'apartment', label: 'Apartments', key: 'apartments', routes: ['/admin/api/finance/apartments'] }
+].forEach(({ key, ...collection }) => auditLog.registerCollection({
+  ...collection,
+  read: () => loadFinanceData()[key] || [],
+  write: items => {
+    const data = loadFinanceData();
+    data[key] = items;
+    const result = saveFinanceData(data);
+    if (!result.success) {
+      throw new Error(result.error);
     }
-  } catch (error) {
-    logError(logger.categories.FINANCE, error, {
-      operation: 'Read encryption key',
-      keyPath
-    });
   }
-  return null;
-}
+}));
 
-// Encrypt data
+// Encrypt data with the secrets vault
 function encrypt(text) {
   try {
-    const key = getEncryptionKey();
-    if (!key) {
-      throw new Error('Encryption key not available');
-    }
-    
-    const iv = crypto.randomBytes(IV_LENGTH);
-    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
-    
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    const authTag = cipher.getAuthTag();
-    
-    // Return IV + authTag + encrypted data
-    return iv.toString('hex') + ':' + authTag.toString('hex') + ':' + encrypted;
+    return secrets.encrypt(text);
   } catch (error) {
     logError(logger.categories.FINANCE, error, {
       operation: 'Encrypt finance data'
     });
-    throw new Error('Failed to encrypt finance data. Ensure encryption key is properly configured.');
+    throw new Error('Failed to encrypt finance data. Ensure the secrets master key is properly configured.');
   }
 }
 
-// Decrypt data
+// Decrypt data (vault, or the .finance_key scheme used before it)
 function decrypt(encryptedData) {
   try {
-    const key = getEncryptionKey();
-    if (!key) {
-      throw new Error('Encryption key not available');
-    }
-    
-    const parts = encryptedData.split(':');
-    if (parts.length !== 3) {
-      throw new Error('Invalid encrypted data format');
-    }
-    
-    const iv = Buffer.from(parts[0], 'hex');
-    const authTag = Buffer.from(parts[1], 'hex');
-    const encrypted = parts[2];
-    
-    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, iv);
-    decipher.setAuthTag(authTag);
-    
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+    return secrets.decrypt(encryptedData, 'finance');
   } catch (error) {
     logError(logger.categories.FINANCE, error, {
       operation: 'Decrypt finance data'
@@ -181,8 +133,29 @@ function decrypt(encryptedData) {
 }
 
 // Get default finance data structure
+// Ordered schema migrations for the encrypted finance data file (run by modules/migrations.js).
+// Add new steps at the end with the next version number; never renumber.
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add history, apartments, deleted accounts and import rules; fill settings defaults',
+    up: data => {
+      const defaults = getDefaultFinanceData();
+      for (const key of ['accounts', 'history', 'apartments', 'deletedAccounts', 'importRules']) {
+        if (!Array.isArray(data[key])) {
+          data[key] = [];
+        }
+      }
+      data.demographics = { ...defaults.demographics, ...(data.demographics || {}) };
+      data.advancedSettings = { ...defaults.advancedSettings, ...(data.advancedSettings || {}) };
+      return data;
+    }
+  }
+];
+
 function getDefaultFinanceData() {
   return {
+    schemaVersion: migrations.getLatestVersion(SCHEMA_MIGRATIONS),
     accounts: [],
     demographics: {
       age: null,
@@ -229,7 +202,7 @@ function ensureFinanceDataFile() {
   const dataPath = getFinanceDataPath();
   
   try {
-    if (!fs.existsSync(dataPath)) {
+    if (!storage.documentExists(dataPath)) {
       const defaultData = getDefaultFinanceData();
       saveFinanceData(defaultData);
       console.log('📊 [Finance] Created default finance data file');
@@ -250,7 +223,7 @@ function saveFinanceData(data) {
   try {
     const jsonData = JSON.stringify(data, null, 2);
     const encryptedData = encrypt(jsonData);
-    fs.writeFileSync(dataPath, encryptedData, { mode: 0o600 });
+    storage.writeText(dataPath, encryptedData, { mode: 0o600 });
     return { success: true };
   } catch (error) {
     const enhancedError = formatFileSystemError(error, 'save', dataPath);
@@ -262,7 +235,8 @@ function saveFinanceData(data) {
     return { 
       success: false, 
       error: error.message,
-      solution: 'Check that the config directory is writable and has sufficient disk space. Verify the encryption key is properly configured.'
+      code: NOT_WRITABLE_ERRNOS.includes(error.code) ? 'CONFIG_NOT_WRITABLE' : 'INTERNAL_ERROR',
+      solution: 'Check that the config directory is writable and has sufficient disk space. Verify the secrets master key is properly configured.'
     };
   }
 }
@@ -272,10 +246,18 @@ function loadFinanceData() {
   const dataPath = getFinanceDataPath();
   
   try {
-    if (fs.existsSync(dataPath)) {
-      const encryptedData = fs.readFileSync(dataPath, 'utf8');
+    const encryptedData = storage.readText(dataPath);
+    if (encryptedData !== null) {
       const decryptedData = decrypt(encryptedData);
-      return JSON.parse(decryptedData);
+      // Bring data written by older releases up to the current schema
+      const migration = migrations.runMigrations('finance data', JSON.parse(decryptedData), SCHEMA_MIGRATIONS, {
+        filePath: dataPath,
+        contents: encryptedData
+      });
+      if (migration.persist) {
+        saveFinanceData(migration.data);
+      }
+      return migration.data;
     }
     return getDefaultFinanceData();
   } catch (error) {
@@ -433,7 +415,7 @@ function updateAccountDisplayName(accountId, displayName) {
   
   const accountIndex = data.accounts.findIndex(a => a.id === accountId);
   if (accountIndex < 0) {
-    return { success: false, error: 'Account not found' };
+    return { success: false, error: 'Account not found', code: 'FINANCE_ACCOUNT_NOT_FOUND' };
   }
   
   const account = data.accounts[accountIndex];
@@ -555,7 +537,7 @@ function deleteAccount(accountId) {
   const account = data.accounts.find(a => a.id === accountId);
 
   if (!account) {
-    return { success: false, error: 'Account not found' };
+    return { success: false, error: 'Account not found', code: 'FINANCE_ACCOUNT_NOT_FOUND' };
   }
 
   // Record deleted account metadata so future imports can detect recreation attempts
@@ -847,7 +829,7 @@ function unmergeAccount(accountId, manualBalances = {}) {
   // Find the account to unmerge
   const mergedAccount = data.accounts.find(a => a.id === accountId);
   if (!mergedAccount) {
-    return { success: false, error: 'Account not found' };
+    return { success: false, error: 'Account not found', code: 'FINANCE_ACCOUNT_NOT_FOUND' };
   }
   
   // Check if this account has merge history
@@ -1001,7 +983,7 @@ function clearMergeLink(accountId) {
 
   const account = data.accounts.find(a => a.id === accountId);
   if (!account) {
-    return { success: false, error: 'Account not found' };
+    return { success: false, error: 'Account not found', code: 'FINANCE_ACCOUNT_NOT_FOUND' };
   }
 
   if (!account.previousNames || account.previousNames.length === 0) {
@@ -1050,7 +1032,7 @@ function updateAccountBalance(accountId, newBalance, balanceDate = null) {
   
   const accountIndex = data.accounts.findIndex(a => a.id === accountId);
   if (accountIndex < 0) {
-    return { success: false, error: 'Account not found' };
+    return { success: false, error: 'Account not found', code: 'FINANCE_ACCOUNT_NOT_FOUND' };
   }
   
   const account = data.accounts[accountIndex];
@@ -1108,7 +1090,17 @@ function updateAccountBalance(accountId, newBalance, balanceDate = null) {
     data.history = data.history.slice(-MAX_HISTORY_ENTRIES);
   }
   
-  return saveFinanceData(data);
+  const result = saveFinanceData(data);
+  if (result.success) {
+    eventBus.emit('finance.balance.updated', {
+      accountId,
+      accountName: account.name,
+      oldBalance: parseFloat(oldBalance),
+      newBalance: parseFloat(newBalance),
+      balanceDate: effectiveBalanceDate
+    });
+  }
+  return result;
 }
 
 // Get demographics
@@ -3040,6 +3032,13 @@ async function updateAccountsFromParsedData(parsedAccounts, groups, netWorth, as
     }
     
     console.log(`✅ [Finance] Screenshot processing complete: ${accountsCreated} created, ${accountsUpdated} updated`);
+    eventBus.emit('finance.import.finished', {
+      asOfDate: effectiveDate,
+      accountsCreated,
+      accountsUpdated,
+      rowsSkipped,
+      netWorth: netWorth ?? null
+    });
     
     return {
       success: true,
@@ -3543,7 +3542,7 @@ function saveApartment(apartmentData) {
           updatedAt: new Date().toISOString()
         };
       } else {
-        return { success: false, error: 'Apartment not found' };
+        return { success: false, error: 'Apartment not found', code: 'FINANCE_APARTMENT_NOT_FOUND' };
       }
     } else {
       // Create new apartment
@@ -3599,7 +3598,7 @@ function deleteApartment(apartmentId) {
     
     const index = data.apartments.findIndex(apt => apt.id === apartmentId);
     if (index < 0) {
-      return { success: false, error: 'Apartment not found' };
+      return { success: false, error: 'Apartment not found', code: 'FINANCE_APARTMENT_NOT_FOUND' };
     }
     
     data.apartments.splice(index, 1);
@@ -3624,7 +3623,7 @@ function addApartmentExpense(apartmentId, expenseData) {
     const apartment = data.apartments?.find(apt => apt.id === apartmentId);
     
     if (!apartment) {
-      return { success: false, error: 'Apartment not found' };
+      return { success: false, error: 'Apartment not found', code: 'FINANCE_APARTMENT_NOT_FOUND' };
     }
     
     if (!apartment.expenses) {
@@ -3673,7 +3672,7 @@ function deleteApartmentExpense(apartmentId, expenseId) {
     const apartment = data.apartments?.find(apt => apt.id === apartmentId);
     
     if (!apartment) {
-      return { success: false, error: 'Apartment not found' };
+      return { success: false, error: 'Apartment not found', code: 'FINANCE_APARTMENT_NOT_FOUND' };
     }
     
     if (!apartment.expenses) {
@@ -3785,7 +3784,7 @@ function addApartmentIncome(apartmentId, incomeData) {
     const apartment = data.apartments?.find(apt => apt.id === apartmentId);
     
     if (!apartment) {
-      return { success: false, error: 'Apartment not found' };
+      return { success: false, error: 'Apartment not found', code: 'FINANCE_APARTMENT_NOT_FOUND' };
     }
     
     if (!apartment.incomeEntries) {
@@ -3829,7 +3828,7 @@ function deleteApartmentIncome(apartmentId, incomeId) {
     const apartment = data.apartments?.find(apt => apt.id === apartmentId);
     
     if (!apartment) {
-      return { success: false, error: 'Apartment not found' };
+      return { success: false, error: 'Apartment not found', code: 'FINANCE_APARTMENT_NOT_FOUND' };
     }
     
     if (!apartment.incomeEntries) {
@@ -3865,7 +3864,7 @@ function updateForecastedRent(apartmentId, forecastedRentData) {
     const apartment = data.apartments?.find(apt => apt.id === apartmentId);
     
     if (!apartment) {
-      return { success: false, error: 'Apartment not found' };
+      return { success: false, error: 'Apartment not found', code: 'FINANCE_APARTMENT_NOT_FOUND' };
     }
     
     // forecastedRentData should be an array of objects: [{ startMonth: 'YYYY-MM', endMonth: 'YYYY-MM', amount: 1000 }]
@@ -3934,7 +3933,7 @@ function calculateSuggestedRent(apartmentId) {
   try {
     const apartment = getApartment(apartmentId);
     if (!apartment) {
-      return { success: false, error: 'Apartment not found' };
+      return { success: false, error: 'Apartment not found', code: 'FINANCE_APARTMENT_NOT_FOUND' };
     }
     
     // Calculate monthly expenses
@@ -4047,7 +4046,7 @@ function getApartmentAnalysis(apartmentId, startDate = null, endDate = null) {
   try {
     const apartment = getApartment(apartmentId);
     if (!apartment) {
-      return { success: false, error: 'Apartment not found' };
+      return { success: false, error: 'Apartment not found', code: 'FINANCE_APARTMENT_NOT_FOUND' };
     }
     
     const now = new Date();
@@ -4236,7 +4235,7 @@ function getApartmentEquityOverview(apartmentId) {
   try {
     const apartment = getApartment(apartmentId);
     if (!apartment) {
-      return { success: false, error: 'Apartment not found' };
+      return { success: false, error: 'Apartment not found', code: 'FINANCE_APARTMENT_NOT_FOUND' };
     }
 
     const accounts = getAccounts();
@@ -4455,5 +4454,6 @@ module.exports = {
   parseAccountsFromText,
   // Export raw data access for history entry management
   loadFinanceData,
-  saveFinanceData
+  saveFinanceData,
+  SCHEMA_MIGRATIONS
 };
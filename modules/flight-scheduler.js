@@ -1,5 +1,7 @@
-const cron = require('node-cron');
 const logger = require('./logger');
+const jobScheduler = require('./job-scheduler');
+const moduleRegistry = require('./module-registry');
+const liveEvents = require('./live-events');
 const aviationstack = require('./aviationstack');
 const house = require('./house');
 const smartMirror = require('./smartmirror');
@@ -19,13 +21,19 @@ const path = require('path');
 // Cache file for storing flight data to minimize API calls
 const FLIGHT_CACHE_FILE = path.join(__dirname, '..', 'config', 'flight-cache.json');
 
-// Scheduled jobs registry
-const scheduledJobs = {
-  daily7am: null,
-  daily12pm: null,
-  daily5pm: null,
-  hourly: null
-};
+// Flight update jobs (registered with the job scheduler). Times are server time in
+// the default timezone; users should match the server timezone.
+const FLIGHT_JOBS = [
+  { id: 'flights-daily', name: 'Flight update (7am)', schedule: '0 7 * * *', frequency: 'daily',
+    description: 'Daily update for every tracked flight' },
+  { id: 'flights-noon', name: 'Flight update (12pm)', schedule: '0 12 * * *', frequency: 'thriceDaily',
+    description: 'Extra update for flights 3 days away' },
+  { id: 'flights-evening', name: 'Flight update (5pm)', schedule: '0 17 * * *', frequency: 'thriceDaily',
+    description: 'Extra update for flights 3 days away' },
+  { id: 'flights-hourly', name: 'Flight update (hourly)', schedule: '0 * * * *', frequency: 'hourly',
+    description: 'Hourly update for flights within 6 hours' }
+];
+const FLIGHT_JOB_TIMEZONE = 'America/New_York';
 
 /**
  * Load flight cache from disk
@@ -212,6 +220,13 @@ async function updateFlightData(flight, apiKey) {
   }
 }
 
+/**
+ * Stream flight update progress to the admin dashboard (see live-events.js)
+ */
+function reportProgress(frequency, status, message, details = {}) {
+  liveEvents.progress(liveEvents.EVENT_TYPES.FLIGHTS, logger.categories.SMART_MIRROR, `${frequency}-update`, status, message, details);
+}
+
 /**
  * Update flights based on frequency requirement
  */
@@ -223,7 +238,7 @@ async function updateFlightsByFrequency(frequency) {
     
     if (!apiKey) {
       logger.warning(logger.categories.SMART_MIRROR, 'AviationStack API key not configured');
-      return;
+      return { success: true, message: 'AviationStack API key not configured' };
     }
     
     // Get all tracked flights
@@ -243,21 +258,30 @@ async function updateFlightsByFrequency(frequency) {
     
     if (flightsToUpdate.length === 0) {
       logger.debug(logger.categories.SMART_MIRROR, `No flights need ${frequency} updates`);
-      return;
+      return { success: true, message: 'No flights to update' };
     }
     
     logger.info(logger.categories.SMART_MIRROR, `Starting ${frequency} update for ${flightsToUpdate.length} flights`);
+    reportProgress(frequency, 'started', `Updating ${flightsToUpdate.length} tracked flights`);
     
     // Update each flight
-    for (const flight of flightsToUpdate) {
+    for (const [index, flight] of flightsToUpdate.entries()) {
       await updateFlightData(flight, apiKey);
+      reportProgress(frequency, 'progress', `Updated ${flight.flightIata} (${index + 1}/${flightsToUpdate.length})`, {
+        flightIata: flight.flightIata,
+        date: flight.date
+      });
       // Small delay between requests to be respectful to the API
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
     logger.info(logger.categories.SMART_MIRROR, `Completed ${frequency} flight updates`);
+    reportProgress(frequency, 'completed', `Updated ${flightsToUpdate.length} tracked flights`);
+    return { success: true, message: `Updated ${flightsToUpdate.length} tracked flights` };
   } catch (error) {
     logger.error(logger.categories.SMART_MIRROR, `Error in ${frequency} flight update: ${error.message}`);
+    reportProgress(frequency, 'failed', `Flight update failed: ${error.message}`);
+    return { success: false, error: error.message };
   }
 }
 
@@ -267,45 +291,21 @@ async function updateFlightsByFrequency(frequency) {
 function initScheduler() {
   logger.info(logger.categories.SMART_MIRROR, 'Initializing flight data scheduler');
   
-  // Stop any existing jobs
-  stopScheduler();
-  
-  // Schedule daily update at 7am
-  // Cron format: minute hour day month weekday
-  scheduledJobs.daily7am = cron.schedule('0 7 * * *', async () => {
-    logger.info(logger.categories.SMART_MIRROR, 'Running scheduled 7am flight update');
-    await updateFlightsByFrequency('daily');
-  }, {
-    scheduled: true,
-    timezone: "America/New_York" // Default timezone - updates are server time. Users should match server timezone.
-  });
-  
-  // Schedule noon update at 12pm (for flights 3 days away)
-  scheduledJobs.daily12pm = cron.schedule('0 12 * * *', async () => {
-    logger.info(logger.categories.SMART_MIRROR, 'Running scheduled 12pm flight update');
-    await updateFlightsByFrequency('thriceDaily');
-  }, {
-    scheduled: true,
-    timezone: "America/New_York"
-  });
-  
-  // Schedule evening update at 5pm (for flights 3 days away)
-  scheduledJobs.daily5pm = cron.schedule('0 17 * * *', async () => {
-    logger.info(logger.categories.SMART_MIRROR, 'Running scheduled 5pm flight update');
-    await updateFlightsByFrequency('thriceDaily');
-  }, {
-    scheduled: true,
-    timezone: "America/New_York"
-  });
-  
-  // Schedule hourly update (for flights within 6 hours)
-  scheduledJobs.hourly = cron.schedule('0 * * * *', async () => {
-    logger.info(logger.categories.SMART_MIRROR, 'Running scheduled hourly flight update');
-    await updateFlightsByFrequency('hourly');
-  }, {
-    scheduled: true,
-    timezone: "America/New_York"
-  });
+  for (const job of FLIGHT_JOBS) {
+    jobScheduler.registerJob({
+      id: job.id,
+      name: job.name,
+      category: logger.categories.SMART_MIRROR,
+      description: job.description,
+      schedule: job.schedule,
+      timezone: FLIGHT_JOB_TIMEZONE,
+      enabled: moduleRegistry.isEnabled('flight-tracking'),
+      run: async () => {
+        logger.info(logger.categories.SMART_MIRROR, `Running ${job.name}`);
+        return updateFlightsByFrequency(job.frequency);
+      }
+    });
+  }
   
   logger.info(logger.categories.SMART_MIRROR, 'Flight data scheduler initialized successfully');
   logger.info(logger.categories.SMART_MIRROR, 'Schedule: Daily at 7am, 3x daily (7am/12pm/5pm) for flights 3 days away, hourly for flights within 6 hours');
@@ -316,14 +316,7 @@ function initScheduler() {
  */
 function stopScheduler() {
   logger.info(logger.categories.SMART_MIRROR, 'Stopping flight data scheduler');
-  
-  Object.keys(scheduledJobs).forEach(key => {
-    if (scheduledJobs[key]) {
-      scheduledJobs[key].stop();
-      scheduledJobs[key] = null;
-    }
-  });
-  
+  FLIGHT_JOBS.forEach(job => jobScheduler.unregisterJob(job.id));
   logger.info(logger.categories.SMART_MIRROR, 'Flight data scheduler stopped');
 }
 
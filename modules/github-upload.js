@@ -3,6 +3,8 @@ const path = require('path');
 const fs = require('fs');
 const { formatGitHubError, logError, createErrorResponse } = require('./error-helper');
 const logger = require('./logger');
+const liveEvents = require('./live-events');
+const metrics = require('./metrics');
 
 let config = null;
 let gitConfigPath = null;
@@ -343,8 +345,38 @@ function hasChanges(repoPath) {
   return false;
 }
 
+// Stream git progress to the admin dashboard (see live-events.js)
+function reportProgress(operation, status, message, details = {}) {
+  liveEvents.progress(liveEvents.EVENT_TYPES.GITHUB, logger.categories.GITHUB, operation, status, message, details);
+}
+
+// Report the start and outcome of a git operation that returns { success, message|error }
+async function withProgress(operation, startMessage, details, run) {
+  reportProgress(operation, 'started', startMessage, details);
+  try {
+    const result = await run();
+    reportProgress(operation, result.success ? 'completed' : 'failed',
+      result.success ? result.message : result.error, { ...details, action: result.action });
+    return result;
+  } catch (error) {
+    reportProgress(operation, 'failed', error.message, details);
+    throw error;
+  }
+}
+
 // Function to push changes to GitHub
 async function pushToGitHub(repoPath, commitMessage = 'Automated vidiots update') {
+  try {
+    const result = await withProgress('push', `Pushing changes in ${repoPath}`, { repoPath }, () => pushChanges(repoPath, commitMessage));
+    metrics.recordGithubPush(result.success);
+    return result;
+  } catch (error) {
+    metrics.recordGithubPush(false);
+    throw error;
+  }
+}
+
+async function pushChanges(repoPath, commitMessage) {
   try {
     // Validate and sanitize the repository path to prevent path injection
     if (!repoPath || typeof repoPath !== 'string') {
@@ -420,6 +452,7 @@ async function pushToGitHub(repoPath, commitMessage = 'Automated vidiots update'
     if (hasUncommittedChanges) {
       // git add -A
       console.log('📤 [GitHub] Adding files to git...');
+      reportProgress('push', 'progress', 'Committing changes', { repoPath: normalizedRepoPath });
       execSync('git add -A', { cwd: normalizedRepoPath });
       console.log('✅ [GitHub] Files added successfully');
 
@@ -436,6 +469,7 @@ async function pushToGitHub(repoPath, commitMessage = 'Automated vidiots update'
 
     // git push
     console.log('⬆️ [GitHub] Pushing to GitHub...');
+    reportProgress('push', 'progress', 'Pushing to GitHub', { repoPath: normalizedRepoPath });
     const pushOutput = execSync('git push', {
       cwd: normalizedRepoPath,
       encoding: 'utf8'
@@ -461,6 +495,7 @@ async function pushToGitHub(repoPath, commitMessage = 'Automated vidiots update'
     // Check if this is a "fetch first" error (remote has newer commits)
     if (error.message.includes('fetch first') || error.message.includes('Updates were rejected')) {
       console.log('🔄 [GitHub] Detected remote changes, attempting to pull first...');
+      reportProgress('push', 'progress', 'Remote has newer commits, pulling before retrying the push', { repoPath: normalizedRepoPath });
       
       try {
         const pullOutput = execSync('git pull', {
@@ -625,6 +660,12 @@ async function testConnection() {
 
 // Function to clone or pull GitHub repository
 async function cloneOrPullRepository(moduleConfig = null) {
+  const githubConfig = moduleConfig || config?.vidiots?.githubPages;
+  const repo = `${githubConfig?.repoOwner || '?'}/${githubConfig?.repoName || '?'}`;
+  return withProgress('clone-or-pull', `Updating local copy of ${repo}`, { repo }, () => syncRepository(moduleConfig));
+}
+
+async function syncRepository(moduleConfig) {
   try {
     // Use moduleConfig if provided, otherwise fall back to vidiots config for backward compatibility
     const githubConfig = moduleConfig || config?.vidiots?.githubPages;
@@ -670,6 +711,7 @@ async function cloneOrPullRepository(moduleConfig = null) {
     if (fs.existsSync(gitDir)) {
       // Repository exists, pull latest changes
       console.log('📥 [GitHub] Repository exists, pulling latest changes...');
+      reportProgress('clone-or-pull', 'progress', `Fetching ${repoOwner}/${repoName}`, { repo: `${repoOwner}/${repoName}` });
       
       try {
         // Fetch and pull latest changes
@@ -683,9 +725,11 @@ async function cloneOrPullRepository(moduleConfig = null) {
         
         if (currentBranch !== safeBranch) {
           console.log(`🌿 [GitHub] Switching from ${currentBranch} to ${safeBranch}`);
+          reportProgress('clone-or-pull', 'progress', `Switching from ${currentBranch} to ${safeBranch}`, { repo: `${repoOwner}/${repoName}` });
           execSync('git checkout ' + safeBranch, { cwd: normalizedPath });
         }
         
+        reportProgress('clone-or-pull', 'progress', `Pulling ${safeBranch}`, { repo: `${repoOwner}/${repoName}` });
         const pullOutput = execSync('git pull origin ' + safeBranch, {
           cwd: normalizedPath,
           encoding: 'utf8'
@@ -724,6 +768,7 @@ async function cloneOrPullRepository(moduleConfig = null) {
           }
         }
         
+        reportProgress('clone-or-pull', 'progress', `Cloning ${repoOwner}/${repoName} (${safeBranch})`, { repo: `${repoOwner}/${repoName}` });
         const cloneOutput = execSync('git clone --branch ' + safeBranch + ' ' + repoUrl + ' ' + JSON.stringify(normalizedPath), {
           encoding: 'utf8'
         });
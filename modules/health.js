@@ -0,0 +1,123 @@
+/**
+ * Health Module
+ *
+ * Liveness and readiness checks for /healthz and /readyz, so Docker,
+ * Portainer and load balancers can tell "the process is up" apart from
+ * "the server can do its work".
+ *
+ * Readiness is made of named checks registered with registerCheck().  Each
+ * check returns (or resolves to) { status, ...details } where status is:
+ *   ok        working
+ *   degraded  working with a problem that does not stop the server (reported, still ready)
+ *   fail      not ready; /readyz answers 503
+ * A check that throws or takes longer than CHECK_TIMEOUT_MS counts as "fail".
+ * Checks registered with { downstream: true } (other services on the network)
+ * only run when asked for, because a slow Home Assistant must not make the
+ * container unhealthy.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const CHECK_TIMEOUT_MS = 5000;
+const STATUS_ORDER = ['ok', 'degraded', 'fail'];
+
+const checks = new Map();
+const startedAt = Date.now();
+
+/**
+ * Add a readiness check
+ * @param {string} name - key in the /readyz output
+ * @param {Function} fn - () => { status, ...details } | Promise
+ * @param {Object} [options]
+ * @param {boolean} [options.downstream] - only run when downstream checks are requested
+ */
+function registerCheck(name, fn, { downstream = false } = {}) {
+  checks.set(name, { fn, downstream });
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+      timer.unref();
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(fn) {
+  const started = Date.now();
+  let result;
+  try {
+    result = await withTimeout(Promise.resolve().then(fn), CHECK_TIMEOUT_MS);
+  } catch (error) {
+    result = { status: 'fail', error: error.message };
+  }
+  if (!result || !STATUS_ORDER.includes(result.status)) {
+    result = { status: 'fail', error: 'Check returned no status' };
+  }
+  return { ...result, durationMs: Date.now() - started };
+}
+
+/**
+ * Run the readiness checks
+ * @param {Object} [options]
+ * @param {boolean} [options.downstream] - also run downstream reachability checks
+ * @returns {Promise<Object>} { status, timestamp, checks: { [name]: { status, durationMs, ... } } }
+ */
+async function getReadiness({ downstream = false } = {}) {
+  const selected = Array.from(checks.entries()).filter(([, check]) => downstream || !check.downstream);
+  const results = await Promise.all(selected.map(([, check]) => runCheck(check.fn)));
+
+  const byName = {};
+  let status = 'ok';
+  selected.forEach(([name], index) => {
+    byName[name] = results[index];
+    if (STATUS_ORDER.indexOf(results[index].status) > STATUS_ORDER.indexOf(status)) {
+      status = results[index].status;
+    }
+  });
+
+  return { status, timestamp: new Date().toISOString(), checks: byName };
+}
+
+/**
+ * Liveness: the process is running and its event loop answers
+ */
+function getLiveness() {
+  return {
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime: Math.floor((Date.now() - startedAt) / 1000)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Building blocks for checks
+// ---------------------------------------------------------------------------
+
+/**
+ * A directory exists and a file can be written to it
+ */
+function checkWritableDirectory(dirPath) {
+  const testFile = path.join(dirPath, `.health-check-${process.pid}`);
+  try {
+    fs.writeFileSync(testFile, 'ok');
+    fs.unlinkSync(testFile);
+    return { status: 'ok' };
+  } catch (error) {
+    return { status: 'fail', error: error.code || error.message };
+  }
+}
+
+module.exports = {
+  CHECK_TIMEOUT_MS,
+  registerCheck,
+  getReadiness,
+  getLiveness,
+  checkWritableDirectory
+};
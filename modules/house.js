@@ -4,6 +4,10 @@ const zlib = require('zlib');
 const { randomUUID } = require('crypto');
 const Tesseract = require('tesseract.js');
 const pdfParse = require('pdf-parse');
+const storage = require('./storage');
+const migrations = require('./migrations');
+const eventBus = require('./event-bus');
+const auditLog = require('./audit-log');
 
 let config = null;
 
@@ -15,13 +19,40 @@ function generateId() {
 function init(serverConfig) {
   config = serverConfig;
   
-  // Ensure house data file exists
+  // Ensure house data file exists and apply any pending schema migrations
   ensureHouseDataFile();
-}
+  loadHouseData();
+}
+
+// Ordered schema migrations for house-data.json (run by modules/migrations.js).
+// Add new steps at the end with the next version number; never renumber.
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add missing sections (cars, bills, lists, medications) and their lists',
+    up: data => {
+      const defaults = getDefaultHouseData();
+      for (const [section, defaultValue] of Object.entries(defaults)) {
+        if (section === migrations.VERSION_FIELD) continue;
+        if (!data[section] || typeof data[section] !== 'object') {
+          data[section] = defaultValue;
+          continue;
+        }
+        for (const [key, value] of Object.entries(defaultValue)) {
+          if (data[section][key] === undefined) {
+            data[section][key] = value;
+          }
+        }
+      }
+      return data;
+    }
+  }
+];
 
 // Get default house data object
 function getDefaultHouseData() {
   return {
+    schemaVersion: migrations.getLatestVersion(SCHEMA_MIGRATIONS),
     vacation: {
       dates: [],
       travelInfo: "",
@@ -73,20 +104,14 @@ function createDefaultHouseDataFile(force = false) {
   
   try {
     // Check if data file exists and force is not set
-    if (!force && fs.existsSync(dataFilePath)) {
+    if (!force && storage.documentExists(dataFilePath)) {
       return; // File exists and we're not forcing recreation
     }
     
-    // Create directory if it doesn't exist
-    const dataDir = path.dirname(dataFilePath);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-    
     // Create default house data
     const defaultData = getDefaultHouseData();
     
-    fs.writeFileSync(dataFilePath, JSON.stringify(defaultData, null, 2));
+    storage.writeJson(dataFilePath, defaultData);
     console.log(`📝 [House] Created default data file: ${dataFilePath}`);
   } catch (error) {
     console.error(`❌ [House] Error creating data file: ${error.message}`);
@@ -103,9 +128,17 @@ function loadHouseData() {
   const dataFilePath = getHouseDataFilePath();
   
   try {
-    if (fs.existsSync(dataFilePath)) {
-      const data = fs.readFileSync(dataFilePath, 'utf8');
-      return JSON.parse(data);
+    const contents = storage.readText(dataFilePath);
+    if (contents !== null) {
+      // Bring files written by older releases up to the current schema
+      const migration = migrations.runMigrations('house-data.json', JSON.parse(contents), SCHEMA_MIGRATIONS, {
+        filePath: dataFilePath,
+        contents
+      });
+      if (migration.persist) {
+        saveHouseData(migration.data);
+      }
+      return migration.data;
     } else {
       // Create default file if it doesn't exist
       createDefaultHouseDataFile(false);
@@ -122,13 +155,8 @@ function saveHouseData(data) {
   const dataFilePath = getHouseDataFilePath();
   
   try {
-    // Create directory if it doesn't exist
-    const dataDir = path.dirname(dataFilePath);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(dataFilePath, JSON.stringify(data, null, 2));
+    // Atomic write-rename; a failure leaves the previous file intact
+    storage.writeJson(dataFilePath, data);
     console.log(`✅ [House] Data saved successfully: ${dataFilePath}`);
     return { success: true };
   } catch (error) {
@@ -137,6 +165,38 @@ function saveHouseData(data) {
   }
 }
 
+// House lists whose changes are recorded in the audit log (see modules/audit-log.js)
+const AUDITED_COLLECTIONS = [
+  { type: 'car', label: 'Cars', section: 'cars', key: 'vehicles', routes: ['/admin/api/house/cars'],
+    describe: car => [car.year, car.make, car.model].filter(Boolean).join(' ') },
+  { type: 'bill', label: 'Bills', section: 'bills', key: 'bills', routes: ['/admin/api/house/bills'],
+    describe: bill => `Bill ${bill.billDate || bill.periodEndDate || bill.id}` },
+  { type: 'list', label: 'Lists', section: 'lists', key: 'lists', routes: ['/admin/api/house/lists', '/api/hooks'] },
+  { type: 'list-category', label: 'List categories', section: 'lists', key: 'categories', routes: ['/admin/api/house/lists/categories'] },
+  { type: 'medication', label: 'Medications', section: 'medications', key: 'medications',
+    routes: ['/admin/api/house/medications', '/medications/api/medications', '/api/hooks'] },
+  { type: 'vacation-date', label: 'Vacation dates', section: 'vacation', key: 'dates', routes: ['/admin/api/house/vacation/dates'] },
+  { type: 'pet', label: 'Pets', section: 'vacation', key: 'pets', routes: ['/admin/api/house/vacation/pets'] },
+  { type: 'document', label: 'Documents', section: 'documentation', key: 'documents', routes: ['/admin/api/house/documentation'] },
+  { type: 'instruction', label: 'Instructions', section: 'documentation', key: 'instructions', routes: ['/admin/api/house/documentation'] },
+  { type: 'media-device', label: 'Media center devices', section: 'mediaCenter', key: 'devices', routes: ['/admin/api/house/mediacenter'] },
+  { type: 'media-connection', label: 'Media center connections', section: 'mediaCenter', key: 'connections',
+    routes: ['/admin/api/house/mediacenter'], describe: connection => connection.description || `${connection.connectionType} connection` }
+];
+
+AUDITED_COLLECTIONS.forEach(({ section, key, ...collection }) => auditLog.registerCollection({
+  ...collection,
+  read: () => loadHouseData()[section]?.[key] || [],
+  write: items => {
+    const data = loadHouseData();
+    data[section] = { ...data[section], [key]: items };
+    const result = saveHouseData(data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+}));
+
 // Get vacation data
 function getVacationData() {
   const data = loadHouseData();
@@ -1119,6 +1179,17 @@ function addBill(bill) {
   const normalized = normalizeBillRecord(bill);
   billsData.bills.push(normalized);
   const result = saveBillsData(billsData);
+  if (result.success) {
+    const { electric, water, sanitation } = normalized.extractedData;
+    const costs = [electric.totalCost, water.totalCost, sanitation.totalCost].filter(cost => typeof cost === 'number');
+    eventBus.emit('house.bill.added', {
+      billId: normalized.id,
+      billDate: normalized.billDate,
+      periodStartDate: normalized.periodStartDate,
+      periodEndDate: normalized.periodEndDate,
+      totalCost: costs.length > 0 ? Math.round(costs.reduce((sum, cost) => sum + cost, 0) * 100) / 100 : null
+    });
+  }
   return {
     ...result,
     bill: normalized
@@ -1737,6 +1808,38 @@ function computeMedicationForecast(med) {
   return { dailyUsage, daysUntilEmpty, refillNeededDate, alertDate };
 }
 
+// Refill alerts already announced, keyed by medication id, pill count and refill date
+const announcedRefills = new Set();
+
+/**
+ * Emit medication.refill.due for each medication whose refill alert date has
+ * arrived. A medication is announced once per server run until its pill count
+ * or refill date changes (the forecast is recomputed from today, so its dates
+ * move every day).
+ * @param {Date} [now]
+ * @returns {Object[]} the medications announced by this call
+ */
+function checkMedicationRefills(now = new Date()) {
+  const today = now.toISOString().slice(0, 10);
+  const due = [];
+  getMedicationsData().medications.forEach(med => {
+    if (med.asNeeded) return;
+    const forecast = computeMedicationForecast(med);
+    const key = `${med.id}:${med.pillCount}:${med.refillDate}`;
+    if (!forecast.alertDate || forecast.alertDate > today || announcedRefills.has(key)) return;
+    announcedRefills.add(key);
+    eventBus.emit('medication.refill.due', {
+      medicationId: med.id,
+      name: med.name,
+      daysUntilEmpty: forecast.daysUntilEmpty,
+      refillNeededDate: forecast.refillNeededDate,
+      alertDate: forecast.alertDate
+    });
+    due.push(med);
+  });
+  return due;
+}
+
 function normalizeMedicationPortalUsername(username) {
   return String(username || '').trim();
 }
@@ -1898,6 +2001,32 @@ function createMedicationPortalUser(user) {
     : saveResult;
 }
 
+/**
+ * Turn TOTP two-factor login on (twoFactor object) or off (null) for a portal user.
+ * @param {string} userId
+ * @param {Object|null} twoFactor - { secret, recoveryCodeHashes, lastUsedStep }
+ *   (lastUsedStep: time step of the last accepted TOTP code, see modules/totp.js)
+ */
+function setMedicationPortalUserTwoFactor(userId, twoFactor) {
+  const medsData = getMedicationsData();
+  const portalUser = medsData.portalUsers.find(user => user.id === userId);
+  if (!portalUser) {
+    return { success: false, error: 'User not found' };
+  }
+  if (twoFactor) {
+    portalUser.twoFactor = {
+      enabled: true,
+      secret: String(twoFactor.secret || ''),
+      recoveryCodeHashes: Array.isArray(twoFactor.recoveryCodeHashes) ? twoFactor.recoveryCodeHashes : [],
+      lastUsedStep: Number.isInteger(twoFactor.lastUsedStep) ? twoFactor.lastUsedStep : null,
+      enabledAt: twoFactor.enabledAt || new Date().toISOString()
+    };
+  } else {
+    delete portalUser.twoFactor;
+  }
+  return saveMedicationsData(medsData);
+}
+
 function getMedicationAssignments() {
   return getMedicationsData().assignments;
 }
@@ -2017,6 +2146,8 @@ function getMedicationAdherenceHistory(userId, medicationId) {
 
 module.exports = {
   init,
+  loadHouseData,
+  saveHouseData,
   getVacationData,
   saveVacationData,
   getDocumentationData,
@@ -2081,6 +2212,7 @@ module.exports = {
   getMedicationPortalUserById,
   getMedicationPortalUserByUsername,
   createMedicationPortalUser,
+  setMedicationPortalUserTwoFactor,
   getMedicationAssignments,
   setMedicationAssignments,
   getAssignedMedicationsForUser,
@@ -2088,5 +2220,7 @@ module.exports = {
   recordMedicationAdherence,
   getMedicationAdherenceHistory,
   estimateDailyUsageFromInstructions,
-  computeMedicationForecast
+  computeMedicationForecast,
+  checkMedicationRefills,
+  SCHEMA_MIGRATIONS
 };
@@ -0,0 +1,547 @@
+/**
+ * Inbound Hooks Module
+ *
+ * Authenticated endpoints (POST /api/hooks/:id) that let Home Assistant, iOS
+ * Shortcuts and similar tools drive the server.  Each hook has its own secret,
+ * sent as "Authorization: Bearer <secret>", and a list of rules that map the
+ * incoming JSON payload to actions:
+ *
+ *   espresso.update         merge values into the espresso data (fails while the
+ *                           espresso module is disabled)
+ *   list.add-item           add an item to a house list
+ *   medication.record-dose  record a dose for a medication portal user
+ *   remote.command          send a command to a remote device (smart mirror Pi)
+ *   calendar.refresh        refresh the smart mirror calendar cache
+ *
+ * Every rule whose condition matches runs, in order.  Rule params may contain
+ * "{{path.to.field}}" placeholders that are filled from the payload; a param
+ * that is only a placeholder keeps the payload value's type.
+ *
+ * Only a SHA-256 hash of each secret is stored; the plain secret is returned
+ * once, when the hook is created or its secret replaced.
+ *
+ * Storage layout:
+ *   config/inbound-hooks.json   (override with config.inboundHooks.dataFilePath)
+ *
+ * Schema:
+ * {
+ *   hooks: [
+ *     {
+ *       id, name, enabled,
+ *       secretHash:   string – sha256 hex of the plain secret
+ *       secretPrefix: string – first characters of the secret, for recognition
+ *       rules: [{ id, name, when: { path, equals } | null, action, params }]
+ *       createdAt, updatedAt, lastUsedAt
+ *     }
+ *   ],
+ *   history: [   // newest first, at most MAX_HISTORY entries
+ *     { id, hookId, hookName, receivedAt, ip, status, durationMs, dryRun, payload, results }
+ *   ]
+ * }
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const auditLog = require('./audit-log');
+const espresso = require('./espresso');
+const moduleRegistry = require('./module-registry');
+const house = require('./house');
+const remoteMgmt = require('./remote-management');
+const smartMirror = require('./smartmirror');
+
+const SECRET_PREFIX = 'hook_';
+const MAX_HISTORY = 200;
+const MAX_STORED_PAYLOAD_LENGTH = 2000;
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.$-]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER_PATTERN = /^\{\{\s*([\w.$-]+)\s*\}\}$/;
+
+// Actions a rule can run; params are filled from the payload before run() is called.
+// "json" params take an object (edited as JSON in the dashboard).
+const ACTIONS = {
+  'espresso.update': {
+    label: 'Update espresso data',
+    params: { data: { description: 'Espresso fields to merge, e.g. {"shotTime": "{{shot.time}}"}', json: true } },
+    required: ['data'],
+    run: async ({ data }) => {
+      if (!moduleRegistry.isEnabled('espresso')) {
+        return { success: false, error: 'The espresso module is disabled' };
+      }
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { success: false, error: 'data must be an object' };
+      }
+      const result = await espresso.updateEspressoData(data);
+      return result.success ? { success: true, detail: `Updated ${Object.keys(data).join(', ')}` } : result;
+    }
+  },
+  'list.add-item': {
+    label: 'Add a list item',
+    params: {
+      listId: { description: 'House list id' },
+      name: { description: 'Item name' },
+      description: { description: 'Optional description' }
+    },
+    required: ['listId', 'name'],
+    run: async ({ listId, name, description }) => {
+      const result = house.addListItem(String(listId), { name: String(name), description: description ? String(description) : '' });
+      return result.success ? { success: true, detail: `Added "${name}"` } : result;
+    }
+  },
+  'medication.record-dose': {
+    label: 'Record a medication dose',
+    params: {
+      userId: { description: 'Medication portal user id' },
+      medicationId: { description: 'Medication id' },
+      status: { description: '"took" (default) or "not_taken"' },
+      date: { description: 'YYYY-MM-DD, default today' }
+    },
+    required: ['userId', 'medicationId'],
+    run: async ({ userId, medicationId, status, date }) => {
+      const result = house.recordMedicationAdherence(String(userId), String(medicationId), status || 'took',
+        date || new Date().toISOString().slice(0, 10));
+      return result.success ? { success: true, detail: `Recorded ${result.record.status} for ${result.record.date}` } : result;
+    }
+  },
+  'remote.command': {
+    label: 'Send a remote device command',
+    params: {
+      deviceId: { description: 'Remote device id' },
+      command: { description: `One of ${remoteMgmt.SUPPORTED_COMMANDS.join(', ')}` },
+      payload: { description: 'Optional command payload, e.g. for config_update', json: true }
+    },
+    required: ['deviceId', 'command'],
+    run: async ({ deviceId, command, payload }) => {
+      const result = await remoteMgmt.issueCommand(String(deviceId), String(command), payload || {});
+      return { success: true, detail: `Command ${result.command.id} ${result.executedVia === 'ssh' ? 'run via SSH' : 'queued'}` };
+    }
+  },
+  'calendar.refresh': {
+    label: 'Refresh the calendar cache',
+    params: {},
+    required: [],
+    run: async () => {
+      const result = await smartMirror.refreshCalendarCache();
+      return result.success ? { success: true, detail: 'Calendar cache refreshed' } : result;
+    }
+  }
+};
+
+let config = null;
+
+// Initialize the inbound hooks module with config
+function init(serverConfig) {
+  config = serverConfig;
+}
+
+function getHooksFilePath() {
+  const hooksConfig = config?.inboundHooks || {};
+  return hooksConfig.dataFilePath || path.join(__dirname, '..', 'config', 'inbound-hooks.json');
+}
+
+function loadHooksData() {
+  const dataFilePath = getHooksFilePath();
+  try {
+    if (fs.existsSync(dataFilePath)) {
+      const data = JSON.parse(fs.readFileSync(dataFilePath, 'utf8'));
+      return {
+        hooks: Array.isArray(data.hooks) ? data.hooks : [],
+        history: Array.isArray(data.history) ? data.history : []
+      };
+    }
+  } catch (error) {
+    logger.error(logger.categories.WEBHOOKS, `[Inbound Hooks] Error loading hooks file: ${error.message}`);
+  }
+  return { hooks: [], history: [] };
+}
+
+function saveHooksData(data) {
+  const dataFilePath = getHooksFilePath();
+  try {
+    const dataDir = path.dirname(dataFilePath);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(dataFilePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    return { success: true };
+  } catch (error) {
+    logger.error(logger.categories.WEBHOOKS, `[Inbound Hooks] Error saving hooks file: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+auditLog.registerCollection({
+  type: 'inbound-hook',
+  label: 'Inbound hooks',
+  routes: ['/admin/api/inbound-hooks'],
+  read: () => loadHooksData().hooks,
+  write: hooks => {
+    const result = saveHooksData({ ...loadHooksData(), hooks });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+});
+
+function hashSecret(plainSecret) {
+  return crypto.createHash('sha256').update(String(plainSecret)).digest('hex');
+}
+
+function generateSecret() {
+  const secret = SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return { secret, secretHash: hashSecret(secret), secretPrefix: secret.slice(0, SECRET_PREFIX.length + 4) };
+}
+
+/**
+ * Strip the secret hash from a stored hook before it leaves the module.
+ */
+function serializeHook(hook) {
+  if (!hook) return null;
+  const { secretHash, ...rest } = hook;
+  return { ...rest, rules: rest.rules.map(rule => ({ ...rule })) };
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Check and normalise a hook's rules.
+ * @returns {{valid: boolean, rules?: Object[], error?: string}}
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    return { valid: false, error: 'rules must be an array' };
+  }
+
+  const normalized = [];
+  for (const [index, rule] of rules.entries()) {
+    const label = rule?.name ? `Rule "${rule.name}"` : `Rule ${index + 1}`;
+    const action = ACTIONS[rule?.action];
+    if (!action) {
+      return { valid: false, error: `${label}: unknown action "${rule?.action}"` };
+    }
+    const params = rule.params && typeof rule.params === 'object' && !Array.isArray(rule.params) ? rule.params : {};
+    const missing = action.required.filter(name => isBlank(params[name]));
+    if (missing.length > 0) {
+      return { valid: false, error: `${label}: missing ${missing.join(', ')}` };
+    }
+    let when = null;
+    if (rule.when && !isBlank(rule.when.path)) {
+      when = { path: String(rule.when.path).trim(), equals: rule.when.equals === undefined ? '' : rule.when.equals };
+    }
+    normalized.push({
+      id: rule.id || crypto.randomUUID(),
+      name: String(rule.name || '').trim(),
+      when,
+      action: rule.action,
+      params: Object.fromEntries(Object.keys(action.params).filter(name => !isBlank(params[name])).map(name => [name, params[name]]))
+    });
+  }
+  return { valid: true, rules: normalized };
+}
+
+function getPath(source, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), source);
+}
+
+/**
+ * Fill "{{path}}" placeholders from the payload.
+ */
+function renderTemplate(value, payload) {
+  if (typeof value === 'string') {
+    const single = value.match(SINGLE_PLACEHOLDER_PATTERN);
+    if (single) {
+      return getPath(payload, single[1]);
+    }
+    return value.replace(PLACEHOLDER_PATTERN, (match, dottedPath) => {
+      const found = getPath(payload, dottedPath);
+      if (found === undefined || found === null) return '';
+      return typeof found === 'object' ? JSON.stringify(found) : String(found);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderTemplate(item, payload));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplate(item, payload)]));
+  }
+  return value;
+}
+
+function ruleMatches(rule, payload) {
+  if (!rule.when) return true;
+  const actual = getPath(payload, rule.when.path);
+  return actual !== undefined && String(actual) === String(rule.when.equals);
+}
+
+// ---------------------------------------------------------------------------
+// Hook management
+// ---------------------------------------------------------------------------
+
+function listHooks() {
+  return loadHooksData().hooks.map(serializeHook);
+}
+
+function getHook(id) {
+  return serializeHook(loadHooksData().hooks.find(hook => hook.id === id));
+}
+
+/**
+ * Create a hook.
+ * @param {Object} input - { name, enabled, rules }
+ * @returns {{success: boolean, hook?: Object, secret?: string, error?: string}} secret is only returned here
+ */
+function createHook({ name, enabled = true, rules = [] } = {}) {
+  const trimmedName = String(name || '').trim();
+  if (!trimmedName) {
+    return { success: false, error: 'Hook name is required' };
+  }
+  const validation = validateRules(rules);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const { secret, secretHash, secretPrefix } = generateSecret();
+  const now = new Date().toISOString();
+  const hook = {
+    id: crypto.randomUUID(),
+    name: trimmedName,
+    enabled: enabled !== false,
+    secretHash,
+    secretPrefix,
+    rules: validation.rules,
+    createdAt: now,
+    updatedAt: now,
+    lastUsedAt: null
+  };
+
+  const data = loadHooksData();
+  data.hooks.push(hook);
+  const saveResult = saveHooksData(data);
+  if (!saveResult.success) {
+    return saveResult;
+  }
+  logger.info(logger.categories.WEBHOOKS, `[Inbound Hooks] Created hook "${hook.name}" with ${hook.rules.length} rule(s)`);
+  return { success: true, hook: serializeHook(hook), secret };
+}
+
+/**
+ * Change a hook's name, enabled flag or rules.
+ */
+function updateHook(id, changes = {}) {
+  const data = loadHooksData();
+  const hook = data.hooks.find(item => item.id === id);
+  if (!hook) {
+    return { success: false, error: 'Hook not found' };
+  }
+
+  if (changes.name !== undefined) {
+    const trimmedName = String(changes.name).trim();
+    if (!trimmedName) {
+      return { success: false, error: 'Hook name is required' };
+    }
+    hook.name = trimmedName;
+  }
+  if (changes.enabled !== undefined) {
+    hook.enabled = changes.enabled !== false;
+  }
+  if (changes.rules !== undefined) {
+    const validation = validateRules(changes.rules);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+    hook.rules = validation.rules;
+  }
+  hook.updatedAt = new Date().toISOString();
+
+  const saveResult = saveHooksData(data);
+  if (!saveResult.success) {
+    return saveResult;
+  }
+  logger.info(logger.categories.WEBHOOKS, `[Inbound Hooks] Updated hook "${hook.name}"`);
+  return { success: true, hook: serializeHook(hook) };
+}
+
+/**
+ * Delete a hook and its execution history.
+ */
+function deleteHook(id) {
+  const data = loadHooksData();
+  const hook = data.hooks.find(item => item.id === id);
+  if (!hook) {
+    return { success: false, error: 'Hook not found' };
+  }
+  data.hooks = data.hooks.filter(item => item.id !== id);
+  data.history = data.history.filter(entry => entry.hookId !== id);
+  const saveResult = saveHooksData(data);
+  if (saveResult.success) {
+    logger.info(logger.categories.WEBHOOKS, `[Inbound Hooks] Deleted hook "${hook.name}"`);
+  }
+  return saveResult;
+}
+
+/**
+ * Replace a hook's secret; the old one stops working immediately.
+ * @returns {{success: boolean, secret?: string, hook?: Object, error?: string}}
+ */
+function rotateSecret(id) {
+  const data = loadHooksData();
+  const hook = data.hooks.find(item => item.id === id);
+  if (!hook) {
+    return { success: false, error: 'Hook not found' };
+  }
+  const { secret, secretHash, secretPrefix } = generateSecret();
+  Object.assign(hook, { secretHash, secretPrefix, updatedAt: new Date().toISOString() });
+  const saveResult = saveHooksData(data);
+  if (!saveResult.success) {
+    return saveResult;
+  }
+  logger.info(logger.categories.WEBHOOKS, `[Inbound Hooks] Replaced the secret of hook "${hook.name}"`);
+  return { success: true, secret, hook: serializeHook(hook) };
+}
+
+/**
+ * Find the enabled hook a request is for, if its secret is correct.
+ * @returns {Object|null} the serialised hook
+ */
+function authenticate(id, plainSecret) {
+  const hook = loadHooksData().hooks.find(item => item.id === id);
+  if (!hook || !hook.enabled || !plainSecret) {
+    return null;
+  }
+  const expected = Buffer.from(hook.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(plainSecret), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? serializeHook(hook) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Execution
+// ---------------------------------------------------------------------------
+
+function summarizePayload(payload) {
+  const text = JSON.stringify(payload === undefined ? null : payload);
+  return text.length > MAX_STORED_PAYLOAD_LENGTH ? `${text.slice(0, MAX_STORED_PAYLOAD_LENGTH)}…` : text;
+}
+
+/**
+ * Run the rules of a hook against a payload and record the execution.
+ * @param {Object} hook - from authenticate() or getHook()
+ * @param {Object} payload - request body
+ * @param {Object} [options]
+ * @param {string} [options.ip]
+ * @param {boolean} [options.dryRun] - only evaluate conditions and fill params (admin "Test" button)
+ * @returns {Promise<Object>} the history entry: { id, status, results, ... }
+ */
+async function execute(hook, payload, { ip = null, dryRun = false } = {}) {
+  const started = Date.now();
+  const body = payload && typeof payload === 'object' ? payload : {};
+  const results = [];
+
+  for (const rule of hook.rules) {
+    const label = rule.name || rule.action;
+    if (!ruleMatches(rule, body)) {
+      results.push({ ruleId: rule.id, rule: label, action: rule.action, matched: false });
+      continue;
+    }
+    const params = renderTemplate(rule.params, body);
+    const missing = ACTIONS[rule.action].required.filter(name => isBlank(params[name]));
+    if (missing.length > 0) {
+      results.push({ ruleId: rule.id, rule: label, action: rule.action, matched: true, success: false, params,
+        error: `Payload did not provide ${missing.join(', ')}` });
+      continue;
+    }
+    if (dryRun) {
+      results.push({ ruleId: rule.id, rule: label, action: rule.action, matched: true, success: true, params, detail: 'Not run (test)' });
+      continue;
+    }
+    try {
+      const outcome = await ACTIONS[rule.action].run(params);
+      results.push({ ruleId: rule.id, rule: label, action: rule.action, matched: true, success: outcome.success, params,
+        detail: outcome.detail || null, error: outcome.success ? null : outcome.error });
+    } catch (error) {
+      results.push({ ruleId: rule.id, rule: label, action: rule.action, matched: true, success: false, params, error: error.message });
+    }
+  }
+
+  const ran = results.filter(result => result.matched);
+  let status = 'no-match';
+  if (ran.length > 0) {
+    status = ran.every(result => result.success) ? 'success' : 'failed';
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    hookId: hook.id,
+    hookName: hook.name,
+    receivedAt: new Date(started).toISOString(),
+    ip,
+    status,
+    durationMs: Date.now() - started,
+    dryRun,
+    payload: summarizePayload(payload),
+    results
+  };
+
+  const data = loadHooksData();
+  data.history.unshift(entry);
+  data.history = data.history.slice(0, MAX_HISTORY);
+  const stored = data.hooks.find(item => item.id === hook.id);
+  if (stored && !dryRun) {
+    stored.lastUsedAt = entry.receivedAt;
+  }
+  saveHooksData(data);
+
+  const summary = `[Inbound Hooks] "${hook.name}"${dryRun ? ' (test)' : ''}: ${ran.length} of ${results.length} rule(s) matched, ${status}`;
+  if (status === 'failed') {
+    const errors = ran.filter(result => !result.success).map(result => `${result.rule}: ${result.error}`).join('; ');
+    logger.error(logger.categories.WEBHOOKS, `${summary} (${errors})`);
+  } else {
+    logger.info(logger.categories.WEBHOOKS, summary);
+  }
+  return entry;
+}
+
+/**
+ * Recent executions, newest first
+ * @param {string} [hookId] - only this hook's
+ */
+function getHistory(hookId, limit = MAX_HISTORY) {
+  const history = loadHooksData().history;
+  return (hookId ? history.filter(entry => entry.hookId === hookId) : history).slice(0, limit);
+}
+
+/**
+ * Actions and their params, for the rule editor
+ */
+function getActions() {
+  return Object.entries(ACTIONS).map(([action, definition]) => ({
+    action,
+    label: definition.label,
+    params: definition.params,
+    required: [...definition.required]
+  }));
+}
+
+module.exports = {
+  SECRET_PREFIX,
+  init,
+  validateRules,
+  renderTemplate,
+  listHooks,
+  getHook,
+  createHook,
+  updateHook,
+  deleteHook,
+  rotateSecret,
+  authenticate,
+  execute,
+  getHistory,
+  getActions
+};
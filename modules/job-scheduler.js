@@ -0,0 +1,499 @@
+/**
+ * Job Scheduler Module
+ *
+ * One registry for the server's recurring and deferred work: the vidiots
+ * scrape, flight updates, the finance, house, remote device and smart mirror
+ * jobs in server.js and the debounced espresso page generation.  Modules
+ * register a job with a run function and a cron schedule (or none, for jobs
+ * that only run on demand or through deferRun()), and the registry takes
+ * care of the rest:
+ *
+ *   - overlap protection: a job never runs twice at the same time; a
+ *     scheduled run that finds it busy is recorded as "skipped"
+ *   - pause / resume and schedule changes from the admin page, which survive
+ *     restarts (a changed schedule overrides the one the module registered)
+ *   - last run, duration, outcome and next run of every job, and a per-job
+ *     run history
+ *   - liveness: a scheduled job whose expected run time passed without a run
+ *     is reported as stalled (used by /readyz)
+ *
+ * A run function may return { success: false, error } or throw to mark the
+ * run as failed; anything else counts as success (a string "message" or
+ * "detail" in the result is shown in the history).
+ *
+ * Storage layout:
+ *   config/jobs.json   (override with config.jobs.dataFilePath)
+ *   {
+ *     jobs:    { [jobId]: { paused, schedule } },   // schedule: null = use the registered one
+ *     history: { [jobId]: [run, ...] }              // newest first, MAX_RUNS_PER_JOB each
+ *   }
+ *   run: { id, jobId, trigger, startedAt, finishedAt, durationMs, outcome, message, error }
+ */
+
+'use strict';
+
+const cron = require('node-cron');
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('./logger');
+const storage = require('./storage');
+
+const MAX_RUNS_PER_JOB = 50;
+// A scheduled run may start this late before the job counts as stalled
+const STALL_GRACE_MS = 2 * 60 * 1000;
+// How far getNextRun() looks ahead (covers "29 February" schedules)
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+let config = null;
+// id -> { definition, task, running, timer, deferredAt, expectedRunAt }
+const jobs = new Map();
+
+/**
+ * Initialize the job scheduler with config
+ */
+function init(serverConfig) {
+  config = serverConfig;
+}
+
+function getDataFilePath() {
+  return config?.jobs?.dataFilePath || path.join(__dirname, '..', 'config', 'jobs.json');
+}
+
+function loadState() {
+  try {
+    const data = storage.readJson(getDataFilePath(), {}) || {};
+    return { jobs: data.jobs || {}, history: data.history || {} };
+  } catch (error) {
+    logger.warning(logger.categories.SYSTEM, `[Jobs] Could not read job state: ${error.message}`);
+    return { jobs: {}, history: {} };
+  }
+}
+
+function saveState(state) {
+  try {
+    storage.writeJson(getDataFilePath(), state);
+    return { success: true };
+  } catch (error) {
+    logger.warning(logger.categories.SYSTEM, `[Jobs] Could not save job state: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+function getSettings(id) {
+  return { paused: false, schedule: null, ...loadState().jobs[id] };
+}
+
+function saveSettings(id, changes) {
+  const state = loadState();
+  state.jobs[id] = { paused: false, schedule: null, ...state.jobs[id], ...changes };
+  return saveState(state);
+}
+
+function recordRun(run) {
+  const state = loadState();
+  state.history[run.jobId] = [run, ...(state.history[run.jobId] || [])].slice(0, MAX_RUNS_PER_JOB);
+  saveState(state);
+}
+
+// ---------------------------------------------------------------------------
+// Cron expressions
+// ---------------------------------------------------------------------------
+
+const FIELD_RANGES = [
+  { min: 0, max: 59 },  // second
+  { min: 0, max: 59 },  // minute
+  { min: 0, max: 23 },  // hour
+  { min: 1, max: 31 },  // day of month
+  { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+function parseFieldValue(value, range) {
+  const index = range.names ? range.names.indexOf(value.slice(0, 3).toLowerCase()) : -1;
+  if (index !== -1) {
+    return index + range.min;
+  }
+  return Number(value);
+}
+
+function parseField(field, range) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [base, stepText] = part.split('/');
+    const step = stepText ? Number(stepText) : 1;
+    let start = range.min;
+    let end = range.max;
+    if (base !== '*') {
+      const [from, to] = base.split('-');
+      start = parseFieldValue(from, range);
+      end = to !== undefined ? parseFieldValue(to, range) : (stepText ? range.max : start);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  // Both 0 and 7 mean Sunday
+  if (range.max === 7 && values.has(7)) {
+    values.add(0);
+  }
+  return values;
+}
+
+/**
+ * Split a node-cron expression (5 or 6 fields) into sets of allowed values
+ */
+function parseExpression(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length === 5) {
+    fields.unshift('0');
+  }
+  return fields.map((field, index) => parseField(field, FIELD_RANGES[index]));
+}
+
+function getWallClock(date, formatter) {
+  if (!formatter) {
+    return {
+      month: date.getMonth() + 1, day: date.getDate(), weekday: date.getDay(),
+      hour: date.getHours(), minute: date.getMinutes()
+    };
+  }
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    month: Number(parts.month), day: Number(parts.day),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    hour: Number(parts.hour) % 24, minute: Number(parts.minute)
+  };
+}
+
+/**
+ * Next time a cron expression fires after `from`, as node-cron matches it
+ * (day of month and day of week must both match)
+ * @param {string} expression
+ * @param {string} [timezone] - IANA zone, default the server's
+ * @param {number} [from] - epoch ms
+ * @returns {Date|null}
+ */
+function getNextRun(expression, timezone, from = Date.now()) {
+  if (!expression || !cron.validate(expression)) {
+    return null;
+  }
+  const [seconds, minutes, hours, days, months, weekdays] = parseExpression(expression);
+  const firstSecond = Math.min(...seconds);
+  const formatter = timezone ? new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23', month: 'numeric', day: 'numeric',
+    weekday: 'short', hour: 'numeric', minute: 'numeric'
+  }) : null;
+
+  // Walk forward minute by minute, skipping whole hours that cannot match
+  let candidate = Math.floor(from / 60000) * 60000 + 60000;
+  const limit = from + MAX_LOOKAHEAD_MS;
+  while (candidate < limit) {
+    const wall = getWallClock(new Date(candidate), formatter);
+    if (!months.has(wall.month) || !days.has(wall.day) || !weekdays.has(wall.weekday) || !hours.has(wall.hour)) {
+      candidate += (60 - wall.minute) * 60000;
+      continue;
+    }
+    if (minutes.has(wall.minute)) {
+      return new Date(candidate + firstSecond * 1000);
+    }
+    candidate += 60000;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+function getEffectiveSchedule(job) {
+  return getSettings(job.definition.id).schedule || job.definition.schedule;
+}
+
+function stopTask(job) {
+  if (job.task) {
+    job.task.stop();
+    job.task = null;
+  }
+  job.expectedRunAt = null;
+}
+
+function startTask(job) {
+  stopTask(job);
+  const { id, timezone, enabled } = job.definition;
+  const schedule = getEffectiveSchedule(job);
+  if (!schedule || !enabled || getSettings(id).paused) {
+    return;
+  }
+  if (!cron.validate(schedule)) {
+    logger.error(job.definition.category, `[Jobs] Invalid schedule "${schedule}" for ${job.definition.name} - not scheduled`);
+    return;
+  }
+  job.task = cron.schedule(schedule, () => {
+    job.expectedRunAt = getNextRun(schedule, timezone, Date.now() + 1000)?.getTime() || null;
+    runJob(id, 'schedule').catch(() => {});
+  }, timezone ? { timezone } : {});
+  job.expectedRunAt = getNextRun(schedule, timezone)?.getTime() || null;
+}
+
+/**
+ * Add or replace a job. Registering an existing id updates its definition
+ * (e.g. after a settings change) and keeps its pause flag and history.
+ * @param {Object} definition
+ * @param {string} definition.id
+ * @param {string} definition.name
+ * @param {string} definition.category - logger category, also used to group jobs
+ * @param {string} [definition.description]
+ * @param {string|null} [definition.schedule] - cron expression, null for on-demand jobs
+ * @param {string} [definition.timezone]
+ * @param {boolean} [definition.enabled] - false when the owning module is switched off
+ * @param {Function} definition.run - async (trigger) => result
+ */
+function registerJob(definition) {
+  if (!definition?.id || typeof definition.run !== 'function') {
+    throw new TypeError('A job needs an id and a run function');
+  }
+  const existing = jobs.get(definition.id);
+  const job = existing || { running: false, timer: null, deferredAt: null, task: null, expectedRunAt: null };
+  job.definition = {
+    description: '',
+    schedule: null,
+    timezone: null,
+    enabled: true,
+    ...definition
+  };
+  jobs.set(definition.id, job);
+  startTask(job);
+  return serializeJob(job);
+}
+
+/**
+ * Remove a job from the registry (its settings and history are kept)
+ */
+function unregisterJob(id) {
+  const job = jobs.get(id);
+  if (!job) return false;
+  stopTask(job);
+  clearTimeout(job.timer);
+  jobs.delete(id);
+  return true;
+}
+
+function serializeJob(job, state = loadState()) {
+  const { id, name, category, description, timezone, enabled } = job.definition;
+  const settings = { paused: false, schedule: null, ...state.jobs[id] };
+  const schedule = settings.schedule || job.definition.schedule;
+  const history = state.history[id] || [];
+  let nextRun = null;
+  if (job.deferredAt) {
+    nextRun = new Date(job.deferredAt).toISOString();
+  } else if (job.task) {
+    nextRun = getNextRun(schedule, timezone)?.toISOString() || null;
+  }
+  return {
+    id,
+    name,
+    category,
+    description,
+    schedule,
+    defaultSchedule: job.definition.schedule,
+    scheduleOverridden: Boolean(settings.schedule),
+    timezone,
+    enabled,
+    paused: settings.paused,
+    running: job.running,
+    nextRun,
+    lastRun: history[0] || null
+  };
+}
+
+/**
+ * Every registered job, grouped by category then name
+ */
+function listJobs() {
+  const state = loadState();
+  return Array.from(jobs.values())
+    .map(job => serializeJob(job, state))
+    .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+}
+
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * Run a job now, unless it is already running
+ * @param {string} id
+ * @param {string} [trigger] - "schedule", "manual", "deferred" or "startup"
+ * @returns {Promise<Object>} the recorded run, or { success: false, error } when it cannot start
+ */
+async function runJob(id, trigger = 'manual') {
+  const job = jobs.get(id);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+  const { name, category, enabled } = job.definition;
+  if (!enabled) {
+    return { success: false, error: `${name} is disabled` };
+  }
+
+  const startedAt = new Date();
+  if (job.running) {
+    logger.warning(category, `[Jobs] Skipping ${trigger} run of ${name} - the previous run is still in progress`);
+    if (trigger !== 'manual') {
+      recordRun({
+        id: crypto.randomUUID(), jobId: id, trigger, startedAt: startedAt.toISOString(),
+        finishedAt: startedAt.toISOString(), durationMs: 0, outcome: 'skipped',
+        message: 'Previous run still in progress', error: null
+      });
+    }
+    return { success: false, error: `${name} is already running`, running: true };
+  }
+
+  job.running = true;
+  const run = { id: crypto.randomUUID(), jobId: id, trigger, startedAt: startedAt.toISOString(), message: null, error: null };
+  try {
+    const result = await job.definition.run(trigger);
+    if (result && result.success === false) {
+      run.outcome = 'failed';
+      run.error = String(result.error || 'Failed');
+    } else {
+      run.outcome = 'success';
+      const message = result?.message || result?.detail;
+      run.message = typeof message === 'string' ? message : null;
+    }
+  } catch (error) {
+    run.outcome = 'failed';
+    run.error = error.message;
+  } finally {
+    job.running = false;
+  }
+  run.finishedAt = new Date().toISOString();
+  run.durationMs = Date.now() - startedAt.getTime();
+  recordRun(run);
+
+  if (run.outcome === 'failed') {
+    logger.error(category, `[Jobs] ${name} failed after ${run.durationMs}ms (${trigger}): ${run.error}`);
+  } else if (trigger !== 'schedule') {
+    logger.info(category, `[Jobs] ${name} finished in ${run.durationMs}ms (${trigger})`);
+  }
+  return { success: run.outcome === 'success', run };
+}
+
+/**
+ * Run a job once after a delay, replacing any pending deferred run (debounce).
+ * Ignored while the job is paused or disabled.
+ */
+function deferRun(id, delayMs) {
+  const job = jobs.get(id);
+  if (!job || !job.definition.enabled || getSettings(id).paused) {
+    return false;
+  }
+  clearTimeout(job.timer);
+  job.deferredAt = Date.now() + delayMs;
+  job.timer = setTimeout(() => {
+    job.timer = null;
+    job.deferredAt = null;
+    runJob(id, 'deferred').catch(() => {});
+  }, delayMs);
+  job.timer.unref();
+  return true;
+}
+
+/**
+ * Stop a job's automatic runs (schedule and deferred) until resumed
+ */
+function pauseJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+  const saved = saveSettings(id, { paused: true });
+  if (!saved.success) return saved;
+  stopTask(job);
+  clearTimeout(job.timer);
+  job.timer = null;
+  job.deferredAt = null;
+  logger.info(job.definition.category, `[Jobs] Paused ${job.definition.name}`);
+  return { success: true, job: serializeJob(job) };
+}
+
+function resumeJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+  const saved = saveSettings(id, { paused: false });
+  if (!saved.success) return saved;
+  startTask(job);
+  logger.info(job.definition.category, `[Jobs] Resumed ${job.definition.name}`);
+  return { success: true, job: serializeJob(job) };
+}
+
+/**
+ * Change a job's cron schedule; null or "" goes back to the registered schedule
+ */
+function updateSchedule(id, schedule) {
+  const job = jobs.get(id);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+  if (!job.definition.schedule) {
+    return { success: false, error: `${job.definition.name} runs on demand and has no schedule` };
+  }
+  const trimmed = typeof schedule === 'string' ? schedule.trim() : '';
+  if (trimmed && !cron.validate(trimmed)) {
+    return { success: false, error: `Invalid cron expression: ${trimmed}` };
+  }
+  const saved = saveSettings(id, { schedule: trimmed && trimmed !== job.definition.schedule ? trimmed : null });
+  if (!saved.success) return saved;
+  startTask(job);
+  logger.info(job.definition.category, `[Jobs] Schedule of ${job.definition.name} set to ${getEffectiveSchedule(job)}`);
+  return { success: true, job: serializeJob(job) };
+}
+
+/**
+ * Recent runs of a job, newest first
+ */
+function getHistory(id, limit = MAX_RUNS_PER_JOB) {
+  return (loadState().history[id] || []).slice(0, limit);
+}
+
+/**
+ * Liveness of every scheduled job: "fail" when an expected run did not start
+ * @returns {Object} { [jobId]: { status, paused?, expectedRunAt? } }
+ */
+function getLiveness(now = Date.now()) {
+  const result = {};
+  for (const [id, job] of jobs) {
+    if (!job.definition.enabled || !getEffectiveSchedule(job)) continue;
+    if (getSettings(id).paused) {
+      result[id] = { status: 'ok', paused: true };
+    } else if (!job.task) {
+      result[id] = { status: 'fail', error: 'Not scheduled' };
+    } else {
+      const stalled = job.expectedRunAt !== null && now - job.expectedRunAt > STALL_GRACE_MS;
+      result[id] = {
+        status: stalled ? 'fail' : 'ok',
+        expectedRunAt: job.expectedRunAt ? new Date(job.expectedRunAt).toISOString() : null
+      };
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  init,
+  getNextRun,
+  registerJob,
+  unregisterJob,
+  listJobs,
+  getJob,
+  runJob,
+  deferRun,
+  pauseJob,
+  resumeJob,
+  updateSchedule,
+  getHistory,
+  getLiveness
+};
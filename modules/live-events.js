@@ -0,0 +1,239 @@
+/**
+ * Live Events Module
+ *
+ * Pushes new logger entries and progress from long-running operations to the
+ * admin dashboard over Server-Sent Events (GET /admin/api/events), so the
+ * Logs tab, regeneration, vidiots scrapes, GitHub clone/pull/push, remote
+ * commands and flight updates no longer need polling.
+ *
+ * Every event has a type, a logger category and a data object:
+ *   { id, type, category, timestamp, data }
+ * Logger entries use the type "log" and the entry as data.  Operation events
+ * use the data shape { operation, status, message, ...details } where status
+ * is "started", "progress", "completed" or "failed".  Event bus events
+ * (finance.balance.updated, house.bill.added, ...) use the type "module-event"
+ * and the bus event { id, type, timestamp, payload } as data.
+ *
+ * The most recent events are kept so a reconnecting client (EventSource sends
+ * Last-Event-ID) receives what it missed.  Streams send a comment every
+ * HEARTBEAT_MS to keep proxies from closing them and re-check that the
+ * session or API token behind them is still allowed in.
+ */
+
+'use strict';
+
+const logger = require('./logger');
+const eventBus = require('./event-bus');
+
+const EVENT_TYPES = {
+  LOG: 'log',
+  REGENERATION: 'regeneration',
+  VIDIOTS: 'vidiots',
+  GITHUB: 'github',
+  REMOTE_COMMAND: 'remote-command',
+  FLIGHTS: 'flights',
+  MODULE_EVENT: 'module-event'
+};
+
+const STATUSES = ['started', 'progress', 'completed', 'failed'];
+const MAX_RECENT_EVENTS = 200;
+const MAX_CLIENTS = 25;
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+
+let nextEventId = 1;
+let recentEvents = [];
+const clients = new Set();
+
+// ---------------------------------------------------------------------------
+// Filters
+// ---------------------------------------------------------------------------
+
+function splitList(value) {
+  if (value === undefined || value === null || value === '' || value === 'ALL') {
+    return [];
+  }
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Turn /admin/api/events query parameters into stream filters
+ * @param {Object} query - { category, type } (comma-separated lists; "category" accepts names or keys)
+ * @returns {{filters: {categories: string[], types: string[]}}|{error: string}}
+ */
+function parseStreamFilters(query = {}) {
+  let categories;
+  try {
+    categories = splitList(query.category).map(category => logger.resolveCategory(category));
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const validTypes = Object.values(EVENT_TYPES);
+  const types = splitList(query.type).map(type => type.toLowerCase());
+  const unknown = types.find(type => !validTypes.includes(type));
+  if (unknown) {
+    return { error: `Unknown event type: ${unknown}` };
+  }
+
+  return { filters: { categories, types } };
+}
+
+function matchesStreamFilters(event, filters) {
+  if (filters.categories.length > 0 && !filters.categories.includes(event.category)) return false;
+  if (filters.types.length > 0 && !filters.types.includes(event.type)) return false;
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Publishing
+// ---------------------------------------------------------------------------
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Send an event to every connected client whose filters match
+ * @param {string} type - one of EVENT_TYPES
+ * @param {string} category - logger category (display name or key)
+ * @param {Object} data
+ * @returns {Object} the event
+ */
+function publish(type, category, data = {}) {
+  const event = {
+    id: nextEventId++,
+    type,
+    category: logger.resolveCategory(category),
+    timestamp: new Date().toISOString(),
+    data
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > MAX_RECENT_EVENTS) {
+    recentEvents = recentEvents.slice(-MAX_RECENT_EVENTS);
+  }
+
+  const frame = formatEvent(event);
+  clients.forEach(client => {
+    if (matchesStreamFilters(event, client.filters)) {
+      client.res.write(frame);
+    }
+  });
+  return event;
+}
+
+/**
+ * Publish a step of a long-running operation
+ * @param {string} type - one of EVENT_TYPES
+ * @param {string} category - logger category
+ * @param {string} operation - e.g. "pull", "push", "scrape"
+ * @param {string} status - "started", "progress", "completed" or "failed"
+ * @param {string} message - shown to the user
+ * @param {Object} [details] - extra fields, e.g. { repo, deviceId }
+ */
+function progress(type, category, operation, status, message, details = {}) {
+  if (!STATUSES.includes(status)) {
+    throw new TypeError(`Unknown progress status: ${status}`);
+  }
+  return publish(type, category, { ...details, operation, status, message });
+}
+
+// Every logger entry is streamed as a "log" event
+logger.subscribe(entry => publish(EVENT_TYPES.LOG, entry.category, entry));
+
+// Every event bus event is streamed as a "module-event" event
+eventBus.on('*', event => publish(EVENT_TYPES.MODULE_EVENT, eventBus.getCategory(event.type), event));
+
+// ---------------------------------------------------------------------------
+// Streams
+// ---------------------------------------------------------------------------
+
+/**
+ * Serve an SSE stream on an Express response
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} options
+ * @param {Object} options.filters - from parseStreamFilters()
+ * @param {Function} [options.isAuthorized] - () => boolean|Promise<boolean>, checked on every heartbeat
+ * @param {number} [options.heartbeatMs]
+ * @returns {{success: boolean, error?: string}} error when too many streams are open (nothing is written)
+ */
+function openStream(req, res, { filters, isAuthorized = () => true, heartbeatMs = HEARTBEAT_MS }) {
+  if (clients.size >= MAX_CLIENTS) {
+    return { success: false, error: 'Too many live event streams are open' };
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const client = { res, filters };
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  if (Number.isInteger(lastEventId)) {
+    recentEvents
+      .filter(event => event.id > lastEventId && matchesStreamFilters(event, filters))
+      .forEach(event => res.write(formatEvent(event)));
+  }
+  clients.add(client);
+
+  const close = () => {
+    clearInterval(client.heartbeat);
+    clients.delete(client);
+  };
+
+  client.heartbeat = setInterval(async () => {
+    let allowed = false;
+    try {
+      allowed = await isAuthorized();
+    } catch (error) {
+      allowed = false;
+    }
+    if (!clients.has(client)) return;
+    if (!allowed) {
+      res.write(`event: end\ndata: ${JSON.stringify({ reason: 'unauthorized' })}\n\n`);
+      close();
+      res.end();
+      return;
+    }
+    res.write(': keep-alive\n\n');
+  }, heartbeatMs);
+  client.heartbeat.unref();
+
+  res.on('close', close);
+  res.on('error', close);
+  return { success: true };
+}
+
+/**
+ * Number of open streams and the id of the newest event
+ */
+function getStats() {
+  return { clients: clients.size, maxClients: MAX_CLIENTS, lastEventId: nextEventId - 1 };
+}
+
+/**
+ * End every open stream (used on shutdown and in tests)
+ */
+function closeAll() {
+  clients.forEach(client => {
+    clearInterval(client.heartbeat);
+    client.res.end();
+  });
+  clients.clear();
+}
+
+module.exports = {
+  EVENT_TYPES,
+  parseStreamFilters,
+  matchesStreamFilters,
+  publish,
+  progress,
+  openStream,
+  getStats,
+  closeAll
+};
@@ -0,0 +1,367 @@
+/**
+ * Log Store Module
+ *
+ * Persists logger entries (see logger.js) to newline-delimited JSON files so
+ * the admin logs survive restarts and crashes.  Files are named after their
+ * first entry, log-<ISO timestamp>.ndjson, and the newest file is the one
+ * being written.  A new file is started when the current one reaches the size
+ * limit or a new UTC day begins; files older than the retention period, and
+ * the oldest files beyond the file limit, are deleted.
+ *
+ * Entries are buffered briefly and appended in batches; the buffer is written
+ * synchronously on process exit.  Queries scan the files newest first and skip
+ * files outside the requested time range.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = ['ERROR', 'WARNING', 'SUCCESS', 'INFO', 'DEBUG'];
+const FILE_PATTERN = /^log-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.ndjson$/;
+const FLUSH_DELAY_MS = 200;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+const DEFAULT_OPTIONS = {
+  maxFileBytes: 5 * 1024 * 1024,
+  maxFiles: 20,
+  maxAgeDays: 14
+};
+
+// ---------------------------------------------------------------------------
+// Filters
+// ---------------------------------------------------------------------------
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return { time: null };
+  }
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    return { error: `Invalid ${name} time: ${value}` };
+  }
+  return { time };
+}
+
+/**
+ * Turn /admin/api/logs query parameters into filters
+ * @param {Object} query - { category, level, search, from, to, page, pageSize|limit }
+ * @returns {{filters: Object}|{error: string}}
+ *   filters: { category, levels, search, from, to, page, pageSize }
+ */
+function parseFilters(query = {}) {
+  const levels = query.level && query.level !== 'ALL'
+    ? String(query.level).split(',').map(level => level.trim().toUpperCase()).filter(Boolean)
+    : [];
+  const unknown = levels.find(level => !LEVELS.includes(level));
+  if (unknown) {
+    return { error: `Unknown log level: ${unknown}` };
+  }
+
+  const from = parseTime(query.from, 'start');
+  const to = parseTime(query.to, 'end');
+  if (from.error || to.error) {
+    return { error: from.error || to.error };
+  }
+  if (from.time !== null && to.time !== null && from.time > to.time) {
+    return { error: 'The start time must be before the end time' };
+  }
+
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize || query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  return {
+    filters: {
+      category: query.category && query.category !== 'ALL' ? String(query.category) : null,
+      levels,
+      search: query.search ? String(query.search).trim().toLowerCase() : '',
+      from: from.time,
+      to: to.time,
+      page,
+      pageSize
+    }
+  };
+}
+
+function hasTime(value) {
+  return value !== null && value !== undefined;
+}
+
+function matchesFilters(entry, filters) {
+  if (filters.category && entry.category !== filters.category) return false;
+  if (filters.levels && filters.levels.length > 0 && !filters.levels.includes(entry.level)) return false;
+  if (hasTime(filters.from) || hasTime(filters.to)) {
+    const time = Date.parse(entry.timestamp);
+    if (hasTime(filters.from) && time < filters.from) return false;
+    if (hasTime(filters.to) && time > filters.to) return false;
+  }
+  if (filters.search) {
+    const text = `${entry.message} ${entry.category} ${entry.requestId || ''}`.toLowerCase();
+    if (!text.includes(filters.search)) return false;
+  }
+  return true;
+}
+
+/**
+ * One page of matching entries from a newest-first list
+ */
+function paginate(entries, filters) {
+  const pageSize = filters.pageSize || DEFAULT_PAGE_SIZE;
+  const start = ((filters.page || 1) - 1) * pageSize;
+  const matching = entries.filter(entry => matchesFilters(entry, filters));
+  return { entries: matching.slice(start, start + pageSize), total: matching.length };
+}
+
+// ---------------------------------------------------------------------------
+// Export formats
+// ---------------------------------------------------------------------------
+
+const CSV_COLUMNS = ['timestamp', 'level', 'category', 'message', 'requestId'];
+
+function csvField(value) {
+  let text = String(value ?? '');
+  // Keep spreadsheet apps from evaluating log text as a formula
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(entry) {
+  return CSV_COLUMNS.map(column => csvField(entry[column])).join(',') + '\r\n';
+}
+
+// ---------------------------------------------------------------------------
+// Files
+// ---------------------------------------------------------------------------
+
+function fileNameFor(time) {
+  return `log-${new Date(time).toISOString().replace(/[:.]/g, '-')}.ndjson`;
+}
+
+function parseFileStart(name) {
+  const match = FILE_PATTERN.exec(name);
+  return match ? Date.parse(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+}
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Create a store that writes log entries to a directory
+ * @param {Object} options
+ * @param {string} options.dir
+ * @param {number} [options.maxFileBytes] - start a new file past this size
+ * @param {number} [options.maxFiles] - oldest files beyond this count are deleted
+ * @param {number} [options.maxAgeDays] - files whose entries are all older are deleted
+ * @returns {Object} { append, flush, query, forEachMatch, clear, getStats, dir }
+ */
+function createLogStore(options) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const dir = settings.dir;
+  let pending = [];
+  let flushTimer = null;
+  let active = null; // { name, start, size }
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function listFiles() {
+    return fs.readdirSync(dir)
+      .map(name => ({ name, start: parseFileStart(name) }))
+      .filter(file => file.start !== null)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  function loadActive() {
+    const files = listFiles();
+    const newest = files[files.length - 1];
+    if (newest) {
+      active = { ...newest, size: fs.statSync(path.join(dir, newest.name)).size };
+    }
+  }
+
+  function applyRetention(now = Date.now()) {
+    const files = listFiles();
+    const cutoff = now - settings.maxAgeDays * 86400000;
+    files.forEach((file, index) => {
+      const next = files[index + 1];
+      const expired = next && next.start < cutoff;
+      const overLimit = index < files.length - settings.maxFiles;
+      if ((expired || overLimit) && file.name !== active?.name) {
+        fs.rmSync(path.join(dir, file.name), { force: true });
+      }
+    });
+  }
+
+  function startFile(time) {
+    let start = time;
+    while (fs.existsSync(path.join(dir, fileNameFor(start)))) {
+      start++;
+    }
+    active = { name: fileNameFor(start), start, size: 0 };
+  }
+
+  /**
+   * Write buffered entries now
+   */
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (pending.length === 0) {
+      return;
+    }
+
+    const entries = pending;
+    pending = [];
+    let batch = '';
+    let batchBytes = 0;
+    let rotated = false;
+
+    const write = () => {
+      if (batch) {
+        fs.appendFileSync(path.join(dir, active.name), batch, { mode: 0o600 });
+        active.size += batchBytes;
+        batch = '';
+        batchBytes = 0;
+      }
+    };
+
+    // Logging must never take the server down: a failed write drops the batch
+    try {
+      for (const entry of entries) {
+        const line = JSON.stringify(entry) + '\n';
+        const lineBytes = Buffer.byteLength(line);
+        const time = Date.parse(entry.timestamp) || Date.now();
+        const written = active ? active.size + batchBytes : 0;
+        if (!active || (written > 0 && written + lineBytes > settings.maxFileBytes) || utcDay(active.start) !== utcDay(time)) {
+          write();
+          startFile(time);
+          rotated = true;
+        }
+        batch += line;
+        batchBytes += lineBytes;
+      }
+      write();
+
+      if (rotated) {
+        applyRetention();
+      }
+    } catch (error) {
+      console.error(`❌ [Log Store] Could not write to ${dir}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue an entry for writing
+   * @param {Object} entry - { timestamp, level, category, message }
+   */
+  function append(entry) {
+    pending.push(entry);
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+      flushTimer.unref();
+    }
+  }
+
+  /**
+   * Call fn for every matching entry, newest first, until it returns false
+   */
+  function forEachMatch(filters, fn) {
+    flush();
+    const files = listFiles();
+    for (let index = files.length - 1; index >= 0; index--) {
+      const file = files[index];
+      const end = index + 1 < files.length ? files[index + 1].start : Infinity;
+      if (hasTime(filters.from) && end < filters.from) break;
+      if (hasTime(filters.to) && file.start > filters.to) continue;
+
+      let lines;
+      try {
+        lines = fs.readFileSync(path.join(dir, file.name), 'utf8').split('\n');
+      } catch (error) {
+        continue; // Deleted by retention while we were reading
+      }
+      for (let line = lines.length - 1; line >= 0; line--) {
+        if (!lines[line]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[line]);
+        } catch (error) {
+          continue; // Partial line from a crash mid-write
+        }
+        if (matchesFilters(entry, filters) && fn(entry) === false) {
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * One page of matching entries, newest first
+   * @param {Object} filters - from parseFilters()
+   * @returns {{entries: Object[], total: number}}
+   */
+  function query(filters) {
+    const pageSize = filters.pageSize || DEFAULT_PAGE_SIZE;
+    const start = ((filters.page || 1) - 1) * pageSize;
+    const entries = [];
+    let total = 0;
+    forEachMatch(filters, entry => {
+      if (total >= start && entries.length < pageSize) {
+        entries.push(entry);
+      }
+      total++;
+    });
+    return { entries, total };
+  }
+
+  /**
+   * Delete every log file
+   */
+  function clear() {
+    pending = [];
+    listFiles().forEach(file => fs.rmSync(path.join(dir, file.name), { force: true }));
+    active = null;
+  }
+
+  function getStats() {
+    const files = listFiles();
+    const bytes = files.reduce((sum, file) => {
+      try {
+        return sum + fs.statSync(path.join(dir, file.name)).size;
+      } catch (error) {
+        return sum;
+      }
+    }, 0);
+    return {
+      dir,
+      files: files.length,
+      bytes,
+      oldest: files[0] ? new Date(files[0].start).toISOString() : null,
+      maxFileBytes: settings.maxFileBytes,
+      maxFiles: settings.maxFiles,
+      maxAgeDays: settings.maxAgeDays
+    };
+  }
+
+  loadActive();
+  applyRetention();
+
+  return { append, flush, query, forEachMatch, clear, getStats, dir };
+}
+
+module.exports = {
+  createLogStore,
+  parseFilters,
+  matchesFilters,
+  paginate,
+  toCsvRow,
+  CSV_COLUMNS,
+  LEVELS,
+  DEFAULT_PAGE_SIZE
+};
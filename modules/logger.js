@@ -1,10 +1,22 @@
 // Centralized Logging Module
-// Captures and stores logs from all system modules for the Settings > Logs interface
+// Captures and stores logs from all system modules for the Settings > Logs interface.
+// The newest entries are kept in memory; once init() is called every entry is also
+// written to rotating NDJSON files (see log-store.js) so logs survive restarts.
+// Entries logged while an HTTP request is handled carry its requestId (see
+// request-context.js), which is also returned in error responses.
+
+const logStore = require('./log-store');
+const requestContext = require('./request-context');
+
+const LEVELS = logStore.LEVELS;
 
 class Logger {
   constructor(maxLogs = 500) {
     this.logs = [];
     this.maxLogs = maxLogs;
+    this.store = null;
+    this.exitHandlerInstalled = false;
+    this.listeners = new Set();
     
     // Log categories/modules
     this.categories = {
@@ -18,23 +30,68 @@ class Logger {
       OLLAMA: 'Ollama',
       MEDIA: 'Media Streaming',
       HOME_ASSISTANT: 'Home Assistant',
-      SMART_MIRROR: 'Smart Mirror'
+      SMART_MIRROR: 'Smart Mirror',
+      WEBHOOKS: 'Webhooks',
+      REMOTE_MGMT: 'Remote Management',
+      HOUSE: 'House'
     };
   }
 
+  /**
+   * Start writing entries to disk. Entries logged before this call are written first.
+   * @param {Object} options - see log-store.js createLogStore (dir, maxFileBytes, maxFiles, maxAgeDays)
+   */
+  init(options) {
+    if (this.store) {
+      this.store.flush();
+    }
+    this.store = logStore.createLogStore(options);
+    [...this.logs].reverse().forEach(entry => this.store.append(entry));
+    if (!this.exitHandlerInstalled) {
+      process.on('exit', () => this.store && this.store.flush());
+      this.exitHandlerInstalled = true;
+    }
+  }
+
+  /**
+   * Category display name for a display name or key ("Webhooks" or "WEBHOOKS")
+   * @throws {TypeError} for unknown categories
+   */
+  resolveCategory(category) {
+    if (category === undefined || category === null || category === '') {
+      return this.categories.SYSTEM;
+    }
+    if (Object.values(this.categories).includes(category)) {
+      return category;
+    }
+    if (Object.prototype.hasOwnProperty.call(this.categories, category)) {
+      return this.categories[category];
+    }
+    throw new TypeError(`Unknown log category: ${category}`);
+  }
+
   /**
    * Add a log entry
-   * @param {string} level - Log level: INFO, WARNING, ERROR, SUCCESS
+   * @param {string} level - Log level: INFO, WARNING, ERROR, SUCCESS, DEBUG
    * @param {string} category - Module/category from this.categories
    * @param {string} message - Log message
+   * @throws {TypeError} for an unknown level or category (e.g. swapped arguments)
    */
   log(level, category, message) {
+    const normalizedLevel = typeof level === 'string' ? level.toUpperCase() : level;
+    if (!LEVELS.includes(normalizedLevel)) {
+      throw new TypeError(`Unknown log level: ${level}`);
+    }
     const entry = {
       timestamp: new Date().toISOString(),
-      level: level.toUpperCase(),
-      category: category || this.categories.SYSTEM,
-      message: message
+      level: normalizedLevel,
+      category: this.resolveCategory(category),
+      message: message instanceof Error ? message.message : String(message)
     };
+    const requestId = requestContext.getRequestId();
+    if (requestId) {
+      entry.requestId = requestId;
+    }
 
     this.logs.unshift(entry); // Add to beginning of array (newest first)
 
@@ -43,6 +100,18 @@ class Logger {
       this.logs = this.logs.slice(0, this.maxLogs);
     }
 
+    if (this.store) {
+      this.store.append(entry);
+    }
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(entry);
+      } catch (error) {
+        console.error(`❌ [Logger] Log listener failed: ${error.message}`);
+      }
+    });
+
     // Also output to console for container logs
     const levelEmoji = {
       'INFO': 'ℹ️',
@@ -50,9 +119,19 @@ class Logger {
       'WARNING': '⚠️',
       'ERROR': '❌',
       'DEBUG': '🔍'
-    }[level.toUpperCase()] || '📝';
+    }[entry.level];
 
-    console.log(`${levelEmoji} [${category}] ${message}`);
+    console.log(`${levelEmoji} [${entry.category}] ${entry.message}${entry.requestId ? ` (request ${entry.requestId})` : ''}`);
+  }
+
+  /**
+   * Call listener with every new entry (used to stream logs, see live-events.js)
+   * @param {Function} listener - (entry) => void
+   * @returns {Function} call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
   }
 
   info(category, message) {
@@ -95,6 +174,36 @@ class Logger {
     return filtered;
   }
 
+  /**
+   * Search stored logs (all files once init() was called, otherwise memory)
+   * @param {Object} filters - from log-store.js parseFilters()
+   * @returns {{entries: Object[], total: number}} newest first
+   */
+  query(filters) {
+    if (this.store) {
+      return this.store.query(filters);
+    }
+    return logStore.paginate(this.logs, filters);
+  }
+
+  /**
+   * Call fn for every matching entry, newest first (used for downloads)
+   */
+  forEachMatch(filters, fn) {
+    if (this.store) {
+      this.store.forEachMatch(filters, fn);
+    } else {
+      this.logs.filter(entry => logStore.matchesFilters(entry, filters)).forEach(fn);
+    }
+  }
+
+  /**
+   * Log directory, file count and size, or null when logs are only kept in memory
+   */
+  getStorageStats() {
+    return this.store ? this.store.getStats() : null;
+  }
+
   /**
    * Get all available categories
    * @returns {Object} Categories object
@@ -104,10 +213,21 @@ class Logger {
   }
 
   /**
-   * Clear all logs
+   * Get the valid log levels
+   * @returns {string[]}
+   */
+  getLevels() {
+    return [...LEVELS];
+  }
+
+  /**
+   * Clear all logs, including the log files
    */
   clear() {
     this.logs = [];
+    if (this.store) {
+      this.store.clear();
+    }
     this.info(this.categories.SYSTEM, 'All logs cleared');
   }
 
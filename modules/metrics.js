@@ -0,0 +1,356 @@
+/**
+ * Metrics Module
+ *
+ * Counters, gauges and histograms rendered in the Prometheus text exposition
+ * format for GET /metrics.  No client library is needed: every metric is
+ * declared in METRIC_DEFINITIONS and updated with inc(), set() or observe(),
+ * so a typo in a metric name fails loudly instead of creating a new series.
+ *
+ * Values that are cheap to read when scraped (remote devices online, backup
+ * age, memory) are filled by collectors registered with registerCollector().
+ *
+ * Instrumentation provided here:
+ *   httpMiddleware()       request count and latency per Express route
+ *   instrumentAxios(axios) call and error counts for OpenWeather, TomTom,
+ *                          AviationStack and Home Assistant
+ */
+
+'use strict';
+
+const METRIC_PREFIX = 'site_pusher_';
+
+// Latency buckets in seconds
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_DEFINITIONS = {
+  http_requests_total: {
+    type: 'counter',
+    help: 'HTTP requests by method, route and status code',
+    labels: ['method', 'route', 'status']
+  },
+  http_request_duration_seconds: {
+    type: 'histogram',
+    help: 'HTTP request latency by method and route',
+    labels: ['method', 'route'],
+    buckets: HTTP_DURATION_BUCKETS
+  },
+  external_api_requests_total: {
+    type: 'counter',
+    help: 'Calls to external APIs by service',
+    labels: ['service']
+  },
+  external_api_errors_total: {
+    type: 'counter',
+    help: 'Failed calls to external APIs (network errors and 4xx/5xx responses) by service',
+    labels: ['service']
+  },
+  calendar_cache_requests_total: {
+    type: 'counter',
+    help: 'Calendar requests answered from the cache (hit) or by fetching the feeds (miss)',
+    labels: ['result']
+  },
+  calendar_cache_hit_ratio: {
+    type: 'gauge',
+    help: 'Share of calendar requests answered from the cache since startup',
+    labels: []
+  },
+  remote_devices: {
+    type: 'gauge',
+    help: 'Registered remote devices by status',
+    labels: ['status']
+  },
+  backup_last_success_timestamp_seconds: {
+    type: 'gauge',
+    help: 'Unix time of the last successful scheduled backup',
+    labels: []
+  },
+  backup_age_seconds: {
+    type: 'gauge',
+    help: 'Seconds since the last successful scheduled backup',
+    labels: []
+  },
+  github_push_total: {
+    type: 'counter',
+    help: 'GitHub push attempts by result',
+    labels: ['result']
+  },
+  github_last_push_success: {
+    type: 'gauge',
+    help: '1 if the last GitHub push succeeded, 0 if it failed',
+    labels: []
+  },
+  github_last_push_timestamp_seconds: {
+    type: 'gauge',
+    help: 'Unix time of the last GitHub push attempt',
+    labels: []
+  },
+  process_uptime_seconds: {
+    type: 'gauge',
+    help: 'Seconds since the server started',
+    labels: []
+  },
+  process_memory_bytes: {
+    type: 'gauge',
+    help: 'Process memory usage by type',
+    labels: ['type']
+  },
+  build_info: {
+    type: 'gauge',
+    help: 'Server version; the value is always 1',
+    labels: ['version', 'node']
+  }
+};
+
+// External services recognised by host name; Home Assistant is recognised by its REST paths
+const EXTERNAL_API_HOSTS = {
+  'api.openweathermap.org': 'openweather',
+  'api.tomtom.com': 'tomtom',
+  'api.aviationstack.com': 'aviationstack'
+};
+const HOME_ASSISTANT_PATH_PATTERN = /^\/api\/(states|services|config)(\/|$)/;
+
+// name -> Map(labelKey -> { labels, value } | { labels, buckets, sum, count })
+const series = new Map();
+const collectors = [];
+
+function getDefinition(name) {
+  const definition = METRIC_DEFINITIONS[name];
+  if (!definition) {
+    throw new TypeError(`Unknown metric: ${name}`);
+  }
+  return definition;
+}
+
+function getSeries(name, labels) {
+  const definition = getDefinition(name);
+  const values = definition.labels.map(label => {
+    if (labels[label] === undefined) {
+      throw new TypeError(`Metric ${name} is missing label: ${label}`);
+    }
+    return String(labels[label]);
+  });
+  const key = values.join('\u0000');
+  if (!series.has(name)) {
+    series.set(name, new Map());
+  }
+  const byLabels = series.get(name);
+  if (!byLabels.has(key)) {
+    const labelValues = Object.fromEntries(definition.labels.map((label, index) => [label, values[index]]));
+    byLabels.set(key, definition.type === 'histogram'
+      ? { labels: labelValues, buckets: definition.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels: labelValues, value: 0 });
+  }
+  return byLabels.get(key);
+}
+
+/**
+ * Add to a counter
+ */
+function inc(name, labels = {}, amount = 1) {
+  if (getDefinition(name).type !== 'counter') {
+    throw new TypeError(`Metric ${name} is not a counter`);
+  }
+  getSeries(name, labels).value += amount;
+}
+
+/**
+ * Set a gauge
+ */
+function set(name, labels = {}, value) {
+  if (getDefinition(name).type !== 'gauge') {
+    throw new TypeError(`Metric ${name} is not a gauge`);
+  }
+  getSeries(name, labels).value = value;
+}
+
+/**
+ * Record a histogram observation
+ */
+function observe(name, labels = {}, value) {
+  const definition = getDefinition(name);
+  if (definition.type !== 'histogram') {
+    throw new TypeError(`Metric ${name} is not a histogram`);
+  }
+  const entry = getSeries(name, labels);
+  definition.buckets.forEach((bound, index) => {
+    if (value <= bound) entry.buckets[index]++;
+  });
+  entry.sum += value;
+  entry.count++;
+}
+
+/**
+ * Current value of a counter or gauge (0 if never set)
+ */
+function getValue(name, labels = {}) {
+  const byLabels = series.get(name);
+  if (!byLabels) return 0;
+  const key = getDefinition(name).labels.map(label => String(labels[label])).join('\u0000');
+  return byLabels.get(key)?.value || 0;
+}
+
+/**
+ * Run fn before each render so it can set() gauges; errors are ignored
+ */
+function registerCollector(fn) {
+  collectors.push(fn);
+}
+
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels, extra = {}) {
+  const entries = Object.entries({ ...labels, ...extra });
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(String(value))}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * All metrics in the Prometheus text exposition format (version 0.0.4)
+ */
+function render() {
+  for (const collector of collectors) {
+    try {
+      collector();
+    } catch (error) {
+      // A failing collector leaves its gauges at their previous values
+    }
+  }
+
+  const lines = [];
+  for (const [name, definition] of Object.entries(METRIC_DEFINITIONS)) {
+    const byLabels = series.get(name);
+    if (!byLabels || byLabels.size === 0) continue;
+    const fullName = METRIC_PREFIX + name;
+    lines.push(`# HELP ${fullName} ${definition.help}`);
+    lines.push(`# TYPE ${fullName} ${definition.type}`);
+    for (const entry of byLabels.values()) {
+      if (definition.type === 'histogram') {
+        definition.buckets.forEach((bound, index) => {
+          lines.push(`${fullName}_bucket${formatLabels(entry.labels, { le: bound })} ${entry.buckets[index]}`);
+        });
+        lines.push(`${fullName}_bucket${formatLabels(entry.labels, { le: '+Inf' })} ${entry.count}`);
+        lines.push(`${fullName}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${fullName}_count${formatLabels(entry.labels)} ${entry.count}`);
+      } else {
+        lines.push(`${fullName}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+      }
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Express middleware that counts requests and their latency.  Requests that
+ * did not reach a route are labelled "static" (served files) or "unmatched"
+ * so unknown URLs cannot create unbounded series.
+ */
+function httpMiddleware() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      let route;
+      if (req.route) {
+        const routePath = Array.isArray(req.route.path) ? req.route.path.join('|') : String(req.route.path);
+        route = (req.baseUrl || '') + routePath;
+      } else {
+        route = res.statusCode < 400 ? 'static' : 'unmatched';
+      }
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      inc('http_requests_total', { method: req.method, route, status: res.statusCode });
+      observe('http_request_duration_seconds', { method: req.method, route }, seconds);
+    });
+    next();
+  };
+}
+
+/**
+ * External service a request URL belongs to, or null
+ */
+function classifyExternalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (EXTERNAL_API_HOSTS[parsed.hostname]) {
+    return EXTERNAL_API_HOSTS[parsed.hostname];
+  }
+  return HOME_ASSISTANT_PATH_PATTERN.test(parsed.pathname) ? 'homeassistant' : null;
+}
+
+function recordExternalCall(requestConfig, failed) {
+  const service = requestConfig ? classifyExternalUrl(requestConfig.url) : null;
+  if (!service) return;
+  inc('external_api_requests_total', { service });
+  if (failed) {
+    inc('external_api_errors_total', { service });
+  }
+}
+
+/**
+ * Count external API calls made through an axios instance (the shared
+ * default instance covers every module that requires 'axios')
+ */
+function instrumentAxios(axiosInstance) {
+  axiosInstance.interceptors.response.use(
+    response => {
+      recordExternalCall(response.config, response.status >= 400);
+      return response;
+    },
+    error => {
+      recordExternalCall(error.config, true);
+      return Promise.reject(error);
+    }
+  );
+}
+
+/**
+ * Record a calendar request served from the cache (hit) or the feeds (miss)
+ */
+function recordCalendarCache(hit) {
+  inc('calendar_cache_requests_total', { result: hit ? 'hit' : 'miss' });
+  const hits = getValue('calendar_cache_requests_total', { result: 'hit' });
+  const misses = getValue('calendar_cache_requests_total', { result: 'miss' });
+  set('calendar_cache_hit_ratio', {}, hits / (hits + misses));
+}
+
+/**
+ * Record the outcome of a GitHub push
+ */
+function recordGithubPush(success, at = Date.now()) {
+  inc('github_push_total', { result: success ? 'success' : 'failure' });
+  set('github_last_push_success', {}, success ? 1 : 0);
+  set('github_last_push_timestamp_seconds', {}, Math.floor(at / 1000));
+}
+
+/**
+ * Forget every recorded value (for tests)
+ */
+function reset() {
+  series.clear();
+}
+
+module.exports = {
+  METRIC_PREFIX,
+  inc,
+  set,
+  observe,
+  getValue,
+  registerCollector,
+  render,
+  httpMiddleware,
+  classifyExternalUrl,
+  instrumentAxios,
+  recordCalendarCache,
+  recordGithubPush,
+  reset
+};
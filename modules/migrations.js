@@ -0,0 +1,205 @@
+/**
+ * Migrations Module
+ *
+ * Central runner for versioned schema migrations of the data files
+ * (config.json, house-data.json, .finance_data, smartmirror-config.json.enc).
+ * Each owning module declares an ordered list of steps:
+ *
+ *   const SCHEMA_MIGRATIONS = [
+ *     { version: 1, description: 'Add bills section', up: data => ({ ...data, bills: { bills: [] } }) },
+ *     ...
+ *   ];
+ *
+ * and calls runMigrations() when it loads the file.  The current version is
+ * stored in the document itself as `schemaVersion` (files from before this
+ * module have none and count as version 0).  Only steps newer than the stored
+ * version run, in order; each step gets a copy of the data so a step that
+ * throws leaves the last good version intact.  Steps should be idempotent so
+ * payloads without a version (e.g. from an older dashboard) can be upgraded
+ * safely.
+ *
+ * Before the first step runs on a file, the file is copied as-is (encrypted
+ * files stay encrypted) to config/migration-backups/<file>.v<from>-<time>.bak.
+ * If that copy fails the upgrade is applied in memory only and the caller
+ * must not overwrite the original.  Every run is written to the admin logs.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const VERSION_FIELD = 'schemaVersion';
+const BACKUPS_TO_KEEP = 5;
+const MAX_HISTORY = 50;
+
+// Most recent first
+const history = [];
+// documentName -> { currentVersion, latestVersion, filePath }
+const documents = new Map();
+
+function getLatestVersion(steps) {
+  return steps.reduce((latest, step) => Math.max(latest, step.version), 0);
+}
+
+function getVersion(data) {
+  const version = Number(data?.[VERSION_FIELD]);
+  return Number.isInteger(version) && version > 0 ? version : 0;
+}
+
+function getDefaultBackupDir(filePath) {
+  return path.join(path.dirname(filePath), 'migration-backups');
+}
+
+/**
+ * Copy the file about to be migrated and prune older copies of it.
+ * @param {string|null} contents - stored text when it does not live in filePath (SQLite backend)
+ * @returns {string} path of the backup
+ */
+function backupFile(filePath, fromVersion, contents, backupDir = getDefaultBackupDir(filePath)) {
+  const baseName = path.basename(filePath);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(backupDir, `${baseName}.v${fromVersion}-${stamp}.bak`);
+
+  fs.mkdirSync(backupDir, { recursive: true });
+  if (typeof contents === 'string') {
+    fs.writeFileSync(backupPath, contents, { mode: 0o600 });
+  } else {
+    fs.copyFileSync(filePath, backupPath);
+  }
+
+  // Newest first: by schema version as a number (v10 after v9), then by timestamp
+  const previous = fs.readdirSync(backupDir)
+    .map(name => ({ name, match: name.slice(baseName.length).match(/^\.v(\d+)-(.+)\.bak$/) }))
+    .filter(entry => entry.name.startsWith(baseName) && entry.match)
+    .sort((a, b) => (Number(b.match[1]) - Number(a.match[1])) || b.match[2].localeCompare(a.match[2]));
+  for (const { name } of previous.slice(BACKUPS_TO_KEEP)) {
+    fs.rmSync(path.join(backupDir, name), { force: true });
+  }
+  return backupPath;
+}
+
+function recordRun(entry) {
+  history.unshift(entry);
+  if (history.length > MAX_HISTORY) {
+    history.length = MAX_HISTORY;
+  }
+}
+
+/**
+ * Bring a document up to the latest schema version.
+ * @param {string} documentName - label used in logs, e.g. "house-data.json"
+ * @param {Object} data - parsed document (not modified)
+ * @param {Array<{version: number, description: string, up: Function}>} steps
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - file the data was read from; backed up before migrating.
+ *   Omit for in-memory upgrades (nothing is backed up or logged as a run).
+ * @param {string} [options.contents] - raw stored text to back up instead of copying filePath
+ * @param {string} [options.backupDir]
+ * @returns {Object} { data, fromVersion, toVersion, applied: [{version, description}],
+ *   changed, persist, backupPath?, error? } – callers should save data when persist is true
+ */
+function runMigrations(documentName, data, steps, options = {}) {
+  const { filePath = null, contents = null, backupDir } = options;
+  const ordered = [...steps].sort((a, b) => a.version - b.version);
+  const latestVersion = getLatestVersion(ordered);
+  const fromVersion = getVersion(data);
+  const result = { data, fromVersion, toVersion: fromVersion, applied: [], changed: false, persist: false };
+
+  if (filePath) {
+    documents.set(documentName, { currentVersion: fromVersion, latestVersion, filePath });
+  }
+
+  if (fromVersion > latestVersion) {
+    if (filePath) {
+      logger.warning(logger.categories.SYSTEM,
+        `${documentName} has schema v${fromVersion}, newer than this release supports (v${latestVersion}); leaving it unchanged`);
+    }
+    return result;
+  }
+
+  const pending = ordered.filter(step => step.version > fromVersion);
+  if (pending.length === 0) {
+    return result;
+  }
+
+  if (filePath && (typeof contents === 'string' || fs.existsSync(filePath))) {
+    try {
+      result.backupPath = backupFile(filePath, fromVersion, contents, backupDir);
+    } catch (error) {
+      result.backupError = error.message;
+      logger.warning(logger.categories.SYSTEM,
+        `Could not back up ${documentName} before migrating (${error.message}); upgrade applied in memory only`);
+    }
+  }
+
+  let current = data;
+  for (const step of pending) {
+    try {
+      const draft = JSON.parse(JSON.stringify(current));
+      const next = step.up(draft);
+      current = { ...(next === undefined ? draft : next), [VERSION_FIELD]: step.version };
+      result.applied.push({ version: step.version, description: step.description });
+    } catch (error) {
+      result.error = `v${step.version} (${step.description}): ${error.message}`;
+      break;
+    }
+  }
+
+  result.data = current;
+  result.toVersion = getVersion(current);
+  result.changed = result.applied.length > 0;
+  result.persist = result.changed && Boolean(filePath) && !result.backupError;
+
+  if (!filePath) {
+    return result;
+  }
+
+  documents.set(documentName, { currentVersion: result.toVersion, latestVersion, filePath });
+  recordRun({
+    document: documentName,
+    fromVersion,
+    toVersion: result.toVersion,
+    applied: result.applied,
+    backupPath: result.backupPath || null,
+    error: result.error || result.backupError || null,
+    ranAt: new Date().toISOString()
+  });
+
+  const stepList = result.applied.map(step => `v${step.version} ${step.description}`).join('; ');
+  if (result.changed) {
+    logger.success(logger.categories.SYSTEM,
+      `Migrated ${documentName} from schema v${fromVersion} to v${result.toVersion}: ${stepList}` +
+      (result.backupPath ? ` (backup: ${path.basename(result.backupPath)})` : ''));
+  }
+  if (result.error) {
+    logger.error(logger.categories.SYSTEM,
+      `Migration of ${documentName} stopped at ${result.error}; keeping schema v${result.toVersion}`);
+  }
+  return result;
+}
+
+/**
+ * Migration status for the admin API.
+ * @returns {{documents: Array, history: Array}}
+ */
+function getStatus() {
+  return {
+    documents: Array.from(documents.entries()).map(([name, info]) => ({
+      name,
+      currentVersion: info.currentVersion,
+      latestVersion: info.latestVersion,
+      upToDate: info.currentVersion >= info.latestVersion
+    })),
+    history: history.map(entry => ({ ...entry, applied: [...entry.applied] }))
+  };
+}
+
+module.exports = {
+  VERSION_FIELD,
+  getLatestVersion,
+  getVersion,
+  runMigrations,
+  getStatus
+};
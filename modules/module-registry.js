@@ -0,0 +1,239 @@
+/**
+ * Module Registry
+ *
+ * Optional subsystems that can be switched off under Settings → General →
+ * Modules, for households that do not use them.  A disabled module:
+ *
+ *   - has its Express routes answered with 404 by routeGuard(), which
+ *     server.js mounts in front of every route, and left out of
+ *     /api/openapi.json
+ *   - has its public files (e.g. /public/vidiots) no longer served
+ *   - has its jobs registered as disabled: modules check isEnabled() when
+ *     they register a job, and the handler passed to onToggle() registers
+ *     them again when the module is switched
+ *   - has its dashboard tabs hidden (elements with data-module="<id>")
+ *   - is skipped by the public files regenerator
+ *
+ * Modules are enabled unless switched off, stored in config.json as
+ *   modules: { [moduleId]: { enabled: false } }
+ *
+ * The routes stay registered, so switching a module back on needs no restart.
+ */
+
+'use strict';
+
+const logger = require('./logger');
+const { sendError } = require('./error-helper');
+
+const MODULES = [
+  {
+    id: 'vidiots',
+    name: 'Vidiots',
+    description: 'Scrapes the Vidiots coming soon page into a public page and pushes it to GitHub Pages',
+    routes: ['/admin/api/vidiots', '/vidiots'],
+    publicPaths: ['/public/vidiots']
+  },
+  {
+    id: 'espresso',
+    name: 'Espresso',
+    description: 'Espresso shot log page, its public editor, templates and GitHub Pages upload',
+    routes: ['/admin/api/espresso', '/api/espresso', '/espresso', '/espresso-editor', '/uploads/espresso'],
+    publicPaths: ['/public/espresso', '/public/espresso-editor.html', '/public/espresso-template.html', '/uploads/espresso']
+  },
+  {
+    id: 'tournaments',
+    name: 'Tournaments',
+    description: 'Party tournament brackets, participants and match results',
+    routes: ['/admin/api/tournaments', '/api/tournaments'],
+    publicPaths: []
+  },
+  {
+    id: 'drink-mixer',
+    name: 'Drink Mixer',
+    description: 'Party alcohols, mixers and recipes, and the available drinks list',
+    routes: ['/admin/api/drink-mixer', '/api/drink-mixer'],
+    publicPaths: []
+  },
+  {
+    id: 'apartments',
+    name: 'Apartments',
+    description: 'Rental apartments in Finance: income, expenses, equity and rent analysis',
+    routes: ['/admin/api/finance/apartments'],
+    publicPaths: []
+  },
+  {
+    id: 'flight-tracking',
+    name: 'Flight Tracking',
+    description: 'AviationStack flight validation and status updates for vacation flights on the smart mirror',
+    routes: [
+      '/admin/api/flight-api',
+      '/admin/api/vacation/validate-flight',
+      '/admin/api/vacation/toggle-flight-tracking',
+      '/api/smart-mirror/flight-status'
+    ],
+    publicPaths: []
+  }
+];
+
+let getConfig = () => ({});
+let configStore = null;
+let listRoutePaths = () => [];
+const toggleHandlers = new Map();
+
+/**
+ * Initialize the registry
+ * @param {Object} options
+ * @param {Function} options.getConfig - returns the live server config
+ * @param {Object} [options.configStore] - storage config store used to save changes
+ * @param {Function} [options.listRoutePaths] - returns the paths of the app's routes, to count each module's routes
+ */
+function init(options = {}) {
+  getConfig = options.getConfig || getConfig;
+  configStore = options.configStore || null;
+  listRoutePaths = options.listRoutePaths || listRoutePaths;
+}
+
+function getModule(id) {
+  return MODULES.find(definition => definition.id === id) || null;
+}
+
+/**
+ * Whether a module is switched on (unknown ids count as enabled)
+ */
+function isEnabled(id) {
+  return getConfig()?.modules?.[id]?.enabled !== false;
+}
+
+function matchesPrefix(requestPath, prefix) {
+  return requestPath === prefix || requestPath.startsWith(`${prefix}/`);
+}
+
+/**
+ * The module a path belongs to, or null
+ * @param {string} requestPath - route path or URL path
+ * @param {string} [kind] - "routes" or "publicPaths"
+ */
+function findModuleForPath(requestPath, kind = 'routes') {
+  return MODULES.find(definition => definition[kind].some(prefix => matchesPrefix(String(requestPath), prefix))) || null;
+}
+
+/**
+ * Whether a route path is served, i.e. it does not belong to a disabled module
+ */
+function isRouteEnabled(routePath) {
+  const definition = findModuleForPath(routePath);
+  return definition === null || isEnabled(definition.id);
+}
+
+// Express matches routes case-insensitively, so the guard does too
+function findDisabledModule(requestPath, kind) {
+  const definition = findModuleForPath(String(requestPath).toLowerCase(), kind);
+  return definition && !isEnabled(definition.id) ? definition : null;
+}
+
+/**
+ * Express middleware that answers requests for the routes of disabled modules
+ * with 404; register it before the routes
+ */
+function routeGuard() {
+  return function moduleRoutes(req, res, next) {
+    if (!findDisabledModule(req.path, 'routes')) {
+      return next();
+    }
+    if (/^\/(admin\/)?api\//i.test(req.path)) {
+      return sendError(res, 'MODULE_DISABLED');
+    }
+    res.status(404).send('Not found');
+  };
+}
+
+/**
+ * Express middleware that stops the public files of disabled modules from being served;
+ * register it before express.static
+ */
+function publicFilesGuard() {
+  return function modulePublicFiles(req, res, next) {
+    if (findDisabledModule(req.path, 'publicPaths')) {
+      return res.status(404).send('Not found');
+    }
+    next();
+  };
+}
+
+/**
+ * Run a function after a module is switched on or off, e.g. to register its jobs again
+ */
+function onToggle(id, handler) {
+  toggleHandlers.set(id, handler);
+}
+
+function serializeModule(definition) {
+  return {
+    id: definition.id,
+    name: definition.name,
+    description: definition.description,
+    enabled: isEnabled(definition.id),
+    routes: definition.routes,
+    routeCount: listRoutePaths().filter(routePath => findModuleForPath(routePath) === definition).length
+  };
+}
+
+/**
+ * Every module with its state
+ */
+function listModules() {
+  return MODULES.map(serializeModule);
+}
+
+/**
+ * Switch a module on or off and save the choice
+ * @returns {Promise<Object>} { success, module } or { success: false, error, code }
+ */
+async function setEnabled(id, enabled) {
+  const definition = getModule(id);
+  if (!definition) {
+    return { success: false, error: `Unknown module: ${id}`, code: 'NOT_FOUND' };
+  }
+  enabled = Boolean(enabled);
+  if (isEnabled(id) === enabled) {
+    return { success: true, module: serializeModule(definition) };
+  }
+
+  try {
+    if (configStore) {
+      await configStore.transaction('modules', modules => {
+        modules[id] = { ...modules[id], enabled };
+      }, { defaultValue: {} });
+    } else {
+      const config = getConfig();
+      config.modules = { ...config.modules, [id]: { ...config.modules?.[id], enabled } };
+    }
+  } catch (error) {
+    logger.error(logger.categories.SYSTEM, `[Modules] Could not save ${definition.name} setting: ${error.message}`);
+    return { success: false, error: `Could not save module setting: ${error.message}`, code: 'CONFIG_NOT_WRITABLE' };
+  }
+
+  const handler = toggleHandlers.get(id);
+  if (handler) {
+    try {
+      await handler(enabled);
+    } catch (error) {
+      logger.error(logger.categories.SYSTEM, `[Modules] ${definition.name} did not ${enabled ? 'start' : 'stop'} cleanly: ${error.message}`);
+    }
+  }
+  logger.success(logger.categories.SYSTEM, `[Modules] ${definition.name} ${enabled ? 'enabled' : 'disabled'}`);
+  return { success: true, module: serializeModule(definition) };
+}
+
+module.exports = {
+  MODULES,
+  init,
+  isEnabled,
+  findModuleForPath,
+  isRouteEnabled,
+  routeGuard,
+  publicFilesGuard,
+  onToggle,
+  listModules,
+  setEnabled
+};
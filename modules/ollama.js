@@ -3,81 +3,20 @@
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
 const axios = require('axios');
+const secrets = require('./secrets');
 
-// Encryption configuration (same pattern as Finance module for security)
-const ALGORITHM = 'aes-256-gcm';
-const IV_LENGTH = 16;
-const SALT_LENGTH = 64;
-const TAG_LENGTH = 16;
-const KEY_LENGTH = 32;
+// Stored conversation history is trimmed to this many messages
+const MAX_HISTORY_MESSAGES = 200;
 
 class OllamaIntegration {
   constructor(configDir) {
     this.configDir = configDir;
     this.configPath = path.join(configDir, 'ollama-config.json.enc');
-    this.keyPath = path.join(configDir, '.ollama-key');
-    this.encryptionKey = this.loadOrCreateEncryptionKey();
-  }
-
-  // Load or create encryption key
-  loadOrCreateEncryptionKey() {
-    try {
-      if (fs.existsSync(this.keyPath)) {
-        const key = fs.readFileSync(this.keyPath, 'utf8');
-        return Buffer.from(key, 'hex');
-      } else {
-        // Generate new key
-        const key = crypto.randomBytes(KEY_LENGTH);
-        fs.writeFileSync(this.keyPath, key.toString('hex'), { mode: 0o600 });
-        return key;
-      }
-    } catch (err) {
-      console.error('Error loading encryption key:', err.message);
-      return crypto.randomBytes(KEY_LENGTH); // Fallback to in-memory key
-    }
-  }
-
-  // Encrypt data
-  encrypt(text) {
-    try {
-      const iv = crypto.randomBytes(IV_LENGTH);
-      const cipher = crypto.createCipheriv(ALGORITHM, this.encryptionKey, iv);
-      
-      let encrypted = cipher.update(text, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      const tag = cipher.getAuthTag();
-      
-      return {
-        iv: iv.toString('hex'),
-        encryptedData: encrypted,
-        tag: tag.toString('hex')
-      };
-    } catch (err) {
-      throw new Error('Encryption failed: ' + err.message);
-    }
-  }
-
-  // Decrypt data
-  decrypt(encrypted) {
-    try {
-      const decipher = crypto.createDecipheriv(
-        ALGORITHM,
-        this.encryptionKey,
-        Buffer.from(encrypted.iv, 'hex')
-      );
-      
-      decipher.setAuthTag(Buffer.from(encrypted.tag, 'hex'));
-      
-      let decrypted = decipher.update(encrypted.encryptedData, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return decrypted;
-    } catch (err) {
-      throw new Error('Decryption failed: ' + err.message);
-    }
+    this.historyPath = path.join(configDir, 'ollama-history.json.enc');
+    // Files written before the secrets vault are still read with config/.ollama-key
+    secrets.registerStore({ id: 'ollamaConfig', label: 'Ollama settings', filePath: this.configPath, legacy: 'ollama' });
+    secrets.registerStore({ id: 'ollamaHistory', label: 'Ollama conversation history', filePath: this.historyPath, legacy: 'ollama' });
   }
 
   // Load configuration
@@ -92,8 +31,7 @@ class OllamaIntegration {
         };
       }
 
-      const encryptedData = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
-      const decrypted = this.decrypt(encryptedData);
+      const decrypted = secrets.decrypt(fs.readFileSync(this.configPath, 'utf8'), 'ollamaConfig');
       return JSON.parse(decrypted);
     } catch (err) {
       console.error('Error loading Ollama config:', err.message);
@@ -116,8 +54,8 @@ class OllamaIntegration {
         enabled: config.enabled || false
       };
 
-      const encrypted = this.encrypt(JSON.stringify(configData));
-      fs.writeFileSync(this.configPath, JSON.stringify(encrypted, null, 2), { mode: 0o600 });
+      const encrypted = secrets.encrypt(JSON.stringify(configData));
+      fs.writeFileSync(this.configPath, encrypted, { mode: 0o600 });
 
       return { success: true, message: 'Configuration saved successfully' };
     } catch (err) {
@@ -349,18 +287,43 @@ class OllamaIntegration {
     }
   }
 
-  // Get conversation history (placeholder for future database integration)
+  // Load stored conversation history (decrypted)
+  loadHistory() {
+    try {
+      if (!fs.existsSync(this.historyPath)) {
+        return [];
+      }
+
+      const history = JSON.parse(secrets.decrypt(fs.readFileSync(this.historyPath, 'utf8'), 'ollamaHistory'));
+      return Array.isArray(history) ? history : [];
+    } catch (err) {
+      console.error('Error loading Ollama conversation history:', err.message);
+      return [];
+    }
+  }
+
+  // Store conversation history (encrypted), keeping the most recent messages
+  saveHistory(history) {
+    try {
+      const messages = Array.isArray(history) ? history.slice(-MAX_HISTORY_MESSAGES) : [];
+      const encrypted = secrets.encrypt(JSON.stringify(messages));
+      fs.writeFileSync(this.historyPath, encrypted, { mode: 0o600 });
+
+      return { success: true, count: messages.length };
+    } catch (err) {
+      console.error('Error saving Ollama conversation history:', err.message);
+      return { success: false, error: err.message };
+    }
+  }
+
+  // Get conversation history
   async getConversationHistory() {
-    // For now, return empty array
-    // Future: Store in database or encrypted file
-    return [];
+    return this.loadHistory();
   }
 
-  // Save conversation history (placeholder for future database integration)
+  // Save conversation history
   async saveConversationHistory(history) {
-    // For now, do nothing
-    // Future: Store in database or encrypted file
-    return { success: true };
+    return this.saveHistory(history);
   }
 }
 
@@ -0,0 +1,457 @@
+/**
+ * OpenAPI Module
+ *
+ * Builds the OpenAPI 3.1 document served at /api/openapi.json and checks
+ * request bodies against the schemas in api-schemas.js.
+ *
+ * The document is generated from the routes registered on the Express app,
+ * so a new route shows up without being listed anywhere.  Each operation
+ * gets:
+ *   - its path parameters (":id" becomes "{id}")
+ *   - authentication, from the middleware on the route (requireAuth,
+ *     requireDeviceAuth, ...) or ROUTE_DOCS for routes that check
+ *     credentials in the handler
+ *   - a request body schema, from validateBody('<SchemaName>') on the route,
+ *     or ROUTE_DOCS for bodies that are not JSON (uploads, archives)
+ *   - a success response schema and status, from ROUTE_DOCS
+ *   - a summary, from the comment directly above the route in the source
+ *   - a tag, from the /admin/api access area or the path segment after "api"
+ *
+ * validateBody() answers 400 with
+ *   { success: false, error: 'Invalid request body: ...', code: 'VALIDATION_ERROR', hint, details: [{ path, message }] }
+ */
+
+'use strict';
+
+const fs = require('fs');
+const adminUsers = require('./admin-users');
+const { sendError } = require('./error-helper');
+const { SCHEMAS, ROUTE_DOCS } = require('./api-schemas');
+const moduleRegistry = require('./module-registry');
+
+const OPENAPI_VERSION = '3.1.0';
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const STATUS_DESCRIPTIONS = { 200: 'Success', 201: 'Created', 302: 'Redirect', 410: 'Gone' };
+// At most this many problems are reported for one request
+const MAX_VALIDATION_DETAILS = 20;
+
+const SECURITY_SCHEMES = {
+  adminSession: {
+    type: 'apiKey',
+    in: 'cookie',
+    name: 'connect.sid',
+    description: 'Admin session from POST /admin/login. The admin user\'s role decides which /admin/api areas it can use.'
+  },
+  apiToken: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'Admin API token (Settings → 👥 Users → 🔑 API Tokens). Its scopes decide which /admin/api areas it can use.'
+  },
+  clientSession: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-Client-Password',
+    description: 'Registered client device: deviceId from the session, body or query, plus the client password when one is required.'
+  },
+  medicationPortalSession: {
+    type: 'apiKey',
+    in: 'cookie',
+    name: 'connect.sid',
+    description: 'Medication portal session from POST /medications/api/login.'
+  },
+  deviceToken: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'Remote device token, shown once when the device is registered.'
+  },
+  hookSecret: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'Inbound hook secret, shown once when the hook is created.'
+  },
+  metricsToken: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'METRICS_TOKEN; only required when it is set.'
+  }
+};
+
+// Path segments tagged with a related group
+const TAG_ALIASES = {
+  'default-credentials-status': 'account',
+  party: 'parties',
+  status: 'monitoring',
+  'openapi.json': 'monitoring',
+  visitor: 'client',
+  webhook: 'hooks',
+  data: 'hooks'
+};
+
+// Authentication middleware (by function name) -> security requirements
+const MIDDLEWARE_SECURITY = {
+  requireAuth: [{ adminSession: [] }, { apiToken: [] }],
+  requireClientAuth: [{ clientSession: [] }],
+  requireMedicationPortalAuth: [{ medicationPortalSession: [] }],
+  requireDeviceAuth: [{ deviceToken: [] }]
+};
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+function resolveSchema(schema) {
+  if (schema && schema.$ref) {
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    if (!SCHEMAS[name]) {
+      throw new TypeError(`Unknown schema: ${name}`);
+    }
+    return SCHEMAS[name];
+  }
+  return schema;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeOf(value) === type;
+  }
+}
+
+function matchesFormat(value, format) {
+  switch (format) {
+    case 'uri':
+      try {
+        new URL(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+    case 'date-time':
+      return !Number.isNaN(Date.parse(value));
+    default:
+      return true;
+  }
+}
+
+function describeType(type) {
+  return Array.isArray(type) ? type.join(' or ') : type;
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function check(schema, value, path, errors) {
+  schema = resolveSchema(schema);
+  if (!schema || errors.length >= MAX_VALIDATION_DETAILS) return;
+  const add = message => errors.push({ path, message });
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(option => validate(option, value).length === 0);
+    if (matching.length !== 1) add('does not match any allowed shape');
+    return;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      add(`must be ${/^[aeiou]/.test(describeType(schema.type)) ? 'an' : 'a'} ${describeType(schema.type)}`);
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    add(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    add(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    // Blank strings count as empty, as the handlers trim their input
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      add(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      add(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      add(`must match ${schema.pattern}`);
+    }
+    if (schema.format && !matchesFormat(value, schema.format)) {
+      add(schema.format === 'date' ? 'must be a date (YYYY-MM-DD)' : `must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) add(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) add(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) add(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) add(`must have at most ${schema.maxItems} item(s)`);
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, joinPath(path, index), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: joinPath(path, name), message: 'is required' });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        if (propertyValue !== undefined) check(properties[name], propertyValue, joinPath(path, name), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, name), message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, propertyValue, joinPath(path, name), errors);
+      }
+    }
+  }
+}
+
+/**
+ * Problems with a value, checked against a schema or a schema name
+ * @returns {Array<{path: string, message: string}>} empty when the value is valid
+ */
+function validate(schema, value) {
+  const errors = [];
+  check(typeof schema === 'string' ? resolveSchema({ $ref: `#/components/schemas/${schema}` }) : schema, value, '', errors);
+  return errors.slice(0, MAX_VALIDATION_DETAILS);
+}
+
+function formatProblem({ path, message }) {
+  return path ? `${path} ${message}` : `Request body ${message}`;
+}
+
+/**
+ * Route middleware that answers 400 when req.body does not match a schema.
+ * Put it after the authentication middleware so unauthenticated callers
+ * get 401, not a description of the expected body.
+ * @param {string} schemaName - key of SCHEMAS
+ */
+function validateBody(schemaName) {
+  if (!SCHEMAS[schemaName]) {
+    throw new TypeError(`Unknown schema: ${schemaName}`);
+  }
+  const middleware = function validateRequestBody(req, res, next) {
+    const details = validate(schemaName, req.body === undefined ? {} : req.body);
+    if (details.length === 0) {
+      return next();
+    }
+    sendError(res, 'VALIDATION_ERROR', `Invalid request body: ${formatProblem(details[0])}`, { details });
+  };
+  middleware.openapiRequestSchema = schemaName;
+  return middleware;
+}
+
+// ---------------------------------------------------------------------------
+// Document
+// ---------------------------------------------------------------------------
+
+const ROUTE_PATTERN = /^app\.(get|post|put|patch|delete)\(\s*'([^']+)'/;
+
+/**
+ * Summaries from the comments directly above "app.<method>('<path>'" lines.
+ * A "//" comment becomes the summary; in a block comment, the first line that
+ * is not just "METHOD /path" is the summary and the rest the description.
+ * @param {string} source
+ * @returns {Map<string, {summary: string, description?: string}>} keyed by "METHOD /path"
+ */
+function readRouteComments(source) {
+  const lines = source.split('\n');
+  const comments = new Map();
+  lines.forEach((line, index) => {
+    const match = line.match(ROUTE_PATTERN);
+    if (!match) return;
+
+    const text = [];
+    let cursor = index - 1;
+    if (/^\s*\*\/\s*$/.test(lines[cursor] || '')) {
+      for (cursor--; cursor >= 0 && !/^\s*\/\*\*?/.test(lines[cursor]); cursor--) {
+        text.unshift(lines[cursor].replace(/^\s*\*\s?/, '').trim());
+      }
+    } else {
+      for (; cursor >= 0 && /^\s*\/\//.test(lines[cursor]); cursor--) {
+        text.unshift(lines[cursor].replace(/^\s*\/\/\s?/, '').trim());
+      }
+    }
+
+    const meaningful = text.filter(entry => entry && !/^(GET|POST|PUT|PATCH|DELETE)\s+\//.test(entry));
+    if (meaningful.length === 0) return;
+    const [summary, ...rest] = meaningful;
+    comments.set(`${match[1].toUpperCase()} ${match[2]}`, rest.length > 0
+      ? { summary, description: rest.join('\n') }
+      : { summary });
+  });
+  return comments;
+}
+
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+// Admin API routes are tagged by their access area (see admin-users.js);
+// other routes by the path segment after "api"
+function getTag(expressPath) {
+  if (expressPath.startsWith('/medications/api/')) {
+    return 'medication-portal';
+  }
+  const area = adminUsers.resolveArea(expressPath);
+  if (area) {
+    return adminUsers.isSelfServiceArea(area) ? 'account' : (TAG_ALIASES[area] || area);
+  }
+  const segments = expressPath.split('/').filter(Boolean);
+  const apiIndex = segments.indexOf('api');
+  if (apiIndex === -1 || !segments[apiIndex + 1] || segments[apiIndex + 1].startsWith(':')) {
+    return ['healthz', 'readyz', 'metrics'].includes(segments[0]) ? 'monitoring' : 'pages';
+  }
+  return TAG_ALIASES[segments[apiIndex + 1]] || segments[apiIndex + 1];
+}
+
+function getOperationId(method, expressPath) {
+  const words = expressPath.split(/[^A-Za-z0-9]+/).filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1));
+  return method + words.join('');
+}
+
+function buildOperation(method, expressPath, handlers, comment) {
+  const docs = ROUTE_DOCS[`${method.toUpperCase()} ${expressPath}`] || ROUTE_DOCS[`ALL ${expressPath}`] || {};
+  const operation = {
+    operationId: getOperationId(method, expressPath),
+    tags: [getTag(expressPath)]
+  };
+  if (comment) Object.assign(operation, comment);
+  if (docs.deprecated) operation.deprecated = true;
+
+  const parameters = [...expressPath.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name, in: 'path', required: true, schema: { type: 'string' }
+  }));
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  const security = docs.security || handlers
+    .map(handler => MIDDLEWARE_SECURITY[handler.name])
+    .find(Boolean);
+  if (security) operation.security = security;
+
+  const validatedSchema = handlers.map(handler => handler.openapiRequestSchema).find(Boolean);
+  const requestSchema = validatedSchema || docs.request;
+  if (requestSchema) {
+    operation.requestBody = {
+      required: true,
+      content: { [docs.requestContentType || 'application/json']: { schema: { $ref: `#/components/schemas/${requestSchema}` } } }
+    };
+  }
+
+  const successStatus = String(docs.status || 200);
+  const successDescription = STATUS_DESCRIPTIONS[successStatus] || 'Success';
+  operation.responses = {
+    [successStatus]: docs.response
+      ? { description: successDescription, content: { [docs.responseContentType || 'application/json']: { schema: { $ref: `#/components/schemas/${docs.response}` } } } }
+      : { description: successDescription }
+  };
+  if (validatedSchema) {
+    operation.responses['400'] = {
+      description: 'The request body does not match the schema',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+    };
+  }
+  if (security && security.some(requirement => Object.keys(requirement).length > 0)) {
+    operation.responses['401'] = {
+      description: 'Authentication required',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  }
+  return operation;
+}
+
+/**
+ * Routes registered on an Express app, in registration order
+ * @param {Object} app - Express application
+ * @returns {Array<{path: string, route: Object}>} one entry per string path (a route
+ *   registered for several paths is listed once for each)
+ */
+function listRoutes(app) {
+  const layers = (app._router && app._router.stack) || [];
+  return layers
+    .filter(layer => layer.route)
+    .flatMap(layer => [].concat(layer.route.path)
+      .filter(routePath => typeof routePath === 'string')
+      .map(routePath => ({ path: routePath, route: layer.route })));
+}
+
+/**
+ * OpenAPI document for every route registered on an Express app, except the
+ * routes of modules that are switched off
+ * @param {Object} app - Express application (after all routes are added)
+ * @param {Object} info - { title, version, description }
+ * @param {Object} [options]
+ * @param {string[]} [options.sourceFiles] - files whose route comments become summaries
+ */
+function buildDocument(app, info, { sourceFiles = [] } = {}) {
+  const comments = new Map();
+  for (const file of sourceFiles) {
+    try {
+      for (const [key, comment] of readRouteComments(fs.readFileSync(file, 'utf8'))) {
+        comments.set(key, comment);
+      }
+    } catch (error) {
+      // Summaries are optional; the document is still complete without them
+    }
+  }
+
+  const paths = {};
+  for (const { path: routePath, route } of listRoutes(app)) {
+    if (!moduleRegistry.isRouteEnabled(routePath)) continue;
+    for (const method of HTTP_METHODS) {
+      if (!route.methods[method]) continue;
+      const openApiPath = toOpenApiPath(routePath);
+      paths[openApiPath] = paths[openApiPath] || {};
+      // The first registration of a method and path is the one Express uses
+      if (!paths[openApiPath][method]) {
+        const handlers = route.stack
+          .filter(entry => !entry.method || entry.method === method)
+          .map(entry => entry.handle);
+        paths[openApiPath][method] = buildOperation(method, routePath, handlers,
+          comments.get(`${method.toUpperCase()} ${routePath}`));
+      }
+    }
+  }
+
+  const tags = [...new Set(Object.values(paths).flatMap(item => Object.values(item).flatMap(operation => operation.tags)))]
+    .sort()
+    .map(name => ({ name }));
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info,
+    tags,
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: SECURITY_SCHEMES
+    }
+  };
+}
+
+module.exports = {
+  OPENAPI_VERSION,
+  validate,
+  validateBody,
+  readRouteComments,
+  listRoutes,
+  buildDocument
+};
@@ -2,6 +2,8 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const logger = require('./logger');
+const liveEvents = require('./live-events');
+const moduleRegistry = require('./module-registry');
 
 /**
  * Public Files Regenerator Module
@@ -13,12 +15,14 @@ const logger = require('./logger');
 
 let config = null;
 let lastRegenerationTime = null;
+let regenerationRunning = false;
 let regenerationLog = [];
 const MAX_LOG_ENTRIES = 500; // Maximum log entries to keep in memory
 
 // Static files that should always be present in /public
 // These are baked into the Docker image and this list is used to verify their presence
-// Each entry includes the filename and SHA-256 checksum of the original file
+// Each entry includes the filename and SHA-256 checksum of the original file, and the
+// module the file belongs to (files of disabled modules are not checked or restored)
 const STATIC_FILES = [
   {
     name: 'smart-mirror.html',
@@ -30,14 +34,24 @@ const STATIC_FILES = [
   },
   {
     name: 'espresso-editor.html',
-    checksum: 'e0ef9c6dd5e858555c8e3dbadd0f629eae4f3b9ecbe78c362070100443479d0e'
+    checksum: 'e0ef9c6dd5e858555c8e3dbadd0f629eae4f3b9ecbe78c362070100443479d0e',
+    module: 'espresso'
   },
   {
     name: 'espresso-template.html',
-    checksum: 'b9a7932e8d502f9356c6d559592502d907f569a700a65a1a9d6477699cbd3ea7'
+    checksum: 'b9a7932e8d502f9356c6d559592502d907f569a700a65a1a9d6477699cbd3ea7',
+    module: 'espresso'
   }
 ];
 
+/**
+ * Static files of the modules that are switched on
+ * @returns {Array} - Entries of STATIC_FILES
+ */
+function getActiveStaticFiles() {
+  return STATIC_FILES.filter(fileInfo => !fileInfo.module || moduleRegistry.isEnabled(fileInfo.module));
+}
+
 /**
  * Initialize the regenerator module
  * @param {Object} serverConfig - Server configuration object
@@ -82,6 +96,15 @@ function addLog(level, action, details) {
   if (logger && logger[level]) {
     logger[level](logger.categories.SYSTEM, `[Public Regenerator] ${action}: ${details}`);
   }
+
+  // Stream each step of a running regeneration to the dashboard
+  if (regenerationRunning) {
+    reportProgress('progress', `${action}: ${details}`, { level });
+  }
+}
+
+function reportProgress(status, message, details = {}) {
+  liveEvents.progress(liveEvents.EVENT_TYPES.REGENERATION, logger.categories.SYSTEM, 'regeneration', status, message, details);
 }
 
 /**
@@ -248,8 +271,12 @@ function checkStaticFiles(force = false) {
   const failedFiles = [];
   
   const publicDir = path.join(__dirname, '..', 'public');
+  const staticFiles = getActiveStaticFiles();
+  if (staticFiles.length < STATIC_FILES.length) {
+    addLog('info', 'Files Skipped', `${STATIC_FILES.length - staticFiles.length} static file(s) of disabled modules not checked`);
+  }
   
-  for (const fileInfo of STATIC_FILES) {
+  for (const fileInfo of staticFiles) {
     const fileName = fileInfo.name;
     const expectedChecksum = fileInfo.checksum;
     const filePath = path.join(publicDir, fileName);
@@ -323,7 +350,7 @@ function checkStaticFiles(force = false) {
   
   return {
     success: failedCount === 0,
-    checked: STATIC_FILES.length,
+    checked: staticFiles.length,
     present: presentCount,
     missing: missingCount,
     restored: restoredCount,
@@ -344,6 +371,11 @@ async function regenerateEspresso() {
   try {
     const espressoConfig = config.espresso || {};
     
+    if (!moduleRegistry.isEnabled('espresso')) {
+      addLog('info', 'Espresso Skipped', 'Espresso module disabled');
+      return true;
+    }
+    
     if (!espressoConfig.enabled) {
       addLog('info', 'Espresso Skipped', 'Espresso module not enabled');
       return true;
@@ -379,6 +411,11 @@ async function regenerateVidiots() {
   try {
     const vidiotsConfig = config.vidiots || {};
     
+    if (!moduleRegistry.isEnabled('vidiots')) {
+      addLog('info', 'Vidiots Skipped', 'Vidiots module disabled');
+      return true;
+    }
+    
     if (!vidiotsConfig.enabled) {
       addLog('info', 'Vidiots Skipped', 'Vidiots module not enabled');
       return true;
@@ -408,6 +445,8 @@ async function regenerateVidiots() {
 async function runRegeneration(force = false) {
   const startTime = Date.now();
   addLog('info', 'Regeneration Started', `Starting full public files regeneration (force: ${force})`);
+  reportProgress('started', `Regenerating public files (force: ${force})`);
+  regenerationRunning = true;
   
   const results = {
     success: true,
@@ -447,8 +486,13 @@ async function runRegeneration(force = false) {
     results.duration = duration;
     results.success = false;
     addLog('error', 'Regeneration Failed', `Regeneration failed after ${duration}ms: ${error.message}`);
+  } finally {
+    regenerationRunning = false;
   }
   
+  reportProgress(results.success ? 'completed' : 'failed',
+    results.success ? `Public files regenerated in ${results.duration}ms` : `Regeneration finished with failures after ${results.duration}ms`,
+    { duration: results.duration });
   return results;
 }
 
@@ -470,6 +514,21 @@ function startAutoRegeneration(delaySeconds = 5, force = false) {
   }, delaySeconds * 1000);
 }
 
+/**
+ * Which static files are present in /public, without restoring anything
+ * @returns {Object} - { checked, present: string[], missing: string[] }
+ */
+function getStaticFileStatus() {
+  const publicDir = path.join(__dirname, '..', 'public');
+  const present = [];
+  const missing = [];
+  const staticFiles = getActiveStaticFiles();
+  for (const fileInfo of staticFiles) {
+    (fs.existsSync(path.join(publicDir, fileInfo.name)) ? present : missing).push(fileInfo.name);
+  }
+  return { checked: staticFiles.length, present, missing };
+}
+
 /**
  * Get regeneration status and logs
  * @returns {Object} - Status object with logs and last regeneration time
@@ -477,6 +536,7 @@ function startAutoRegeneration(delaySeconds = 5, force = false) {
 function getStatus() {
   return {
     lastRegeneration: lastRegenerationTime,
+    running: regenerationRunning,
     logCount: regenerationLog.length,
     recentLogs: regenerationLog.slice(-50) // Last 50 logs
   };
@@ -502,6 +562,7 @@ module.exports = {
   init,
   runRegeneration,
   startAutoRegeneration,
+  getStaticFileStatus,
   getStatus,
   getLogs,
   clearLogs
@@ -32,6 +32,7 @@
  *       sshUsername:      string   – optional, SSH username
  *       sshPrivateKey:    string   – optional, OpenSSH private key (PEM)
  *       daemonConfigPath: string   – optional, path to daemon-config.json on device
+ *       mirrorProfile:    string   – optional, smart mirror profile the device shows
  *     }
  *   ],
  *   commands: [
@@ -58,6 +59,10 @@ const path = require('path');
 const crypto = require('crypto');
 const { Client: SshClient } = require('ssh2');
 const logger = require('./logger');
+const secrets = require('./secrets');
+const auditLog = require('./audit-log');
+const liveEvents = require('./live-events');
+const eventBus = require('./event-bus');
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -65,7 +70,6 @@ const logger = require('./logger');
 
 const CONFIG_DIR = path.join(__dirname, '..', 'config');
 const DEVICES_FILE = path.join(CONFIG_DIR, 'remote-devices.json.enc');
-const ENCRYPTION_KEY = process.env.REMOTE_MGMT_KEY || 'remote-mgmt-default-key-change-in-production';
 
 const SUPPORTED_COMMANDS = [
   'display_on',
@@ -115,40 +119,24 @@ const SSH_COMMAND_STRINGS = {
 };
 
 // ---------------------------------------------------------------------------
-// Startup warnings
+// Encryption (see secrets.js)
 // ---------------------------------------------------------------------------
 
-if (!process.env.REMOTE_MGMT_KEY) {
-  logger.warning(
-    'REMOTE_MGMT',
-    'Using default encryption key for remote management storage. ' +
-    'Set REMOTE_MGMT_KEY environment variable for production.'
-  );
-}
-
-// ---------------------------------------------------------------------------
-// Encryption helpers (mirror the pattern used in webhooks.js)
-// ---------------------------------------------------------------------------
-
-function encrypt(text) {
-  const key = crypto.scryptSync(ENCRYPTION_KEY, 'remote-mgmt-salt', 32);
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
-}
-
-function decrypt(text) {
-  const key = crypto.scryptSync(ENCRYPTION_KEY, 'remote-mgmt-salt', 32);
-  const parts = text.split(':');
-  const iv = Buffer.from(parts.shift(), 'hex');
-  const encryptedText = Buffer.from(parts.join(':'), 'hex');
-  const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-  let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
-}
+secrets.registerStore({ id: 'remoteDevices', label: 'Remote device registry', filePath: DEVICES_FILE, legacy: 'remoteDevices' });
+
+auditLog.registerCollection({
+  type: 'remote-device',
+  label: 'Remote devices',
+  routes: ['/admin/api/remote-devices'],
+  read: () => loadData().devices,
+  write: devices => {
+    const data = loadData();
+    data.devices = devices;
+    if (!saveData(data)) {
+      throw new Error('Failed to save the remote device registry');
+    }
+  }
+});
 
 // ---------------------------------------------------------------------------
 // Token helpers
@@ -197,10 +185,10 @@ function loadData() {
       return { devices: [], commands: [] };
     }
     const encryptedData = fs.readFileSync(DEVICES_FILE, 'utf8');
-    const decryptedData = decrypt(encryptedData);
+    const decryptedData = secrets.decrypt(encryptedData, 'remoteDevices');
     return JSON.parse(decryptedData);
   } catch (error) {
-    logger.error('REMOTE_MGMT', `Failed to load remote management data: ${error.message}`);
+    logger.error(logger.categories.REMOTE_MGMT, `Failed to load remote management data: ${error.message}`);
     return { devices: [], commands: [] };
   }
 }
@@ -211,11 +199,11 @@ function saveData(data) {
       fs.mkdirSync(CONFIG_DIR, { recursive: true });
     }
     const jsonData = JSON.stringify(data, null, 2);
-    const encryptedData = encrypt(jsonData);
+    const encryptedData = secrets.encrypt(jsonData);
     fs.writeFileSync(DEVICES_FILE, encryptedData, { mode: 0o600 });
     return true;
   } catch (error) {
-    logger.error('REMOTE_MGMT', `Failed to save remote management data: ${error.message}`);
+    logger.error(logger.categories.REMOTE_MGMT, `Failed to save remote management data: ${error.message}`);
     return false;
   }
 }
@@ -242,6 +230,30 @@ function listDevices() {
   });
 }
 
+/**
+ * Mark devices that have not checked in within DEVICE_OFFLINE_THRESHOLD_MS as
+ * offline and emit remote.device.offline for each.  Called periodically by
+ * the server; devicePoll() emits remote.device.online when they return.
+ * @param {number} [now] – epoch ms
+ * @returns {Array} the devices that went offline
+ */
+function checkDeviceStatus(now = Date.now()) {
+  const data = loadData();
+  const wentOffline = data.devices.filter(device => {
+    const lastSeenMs = device.lastSeen ? new Date(device.lastSeen).getTime() : 0;
+    return device.status === 'online' && now - lastSeenMs >= DEVICE_OFFLINE_THRESHOLD_MS;
+  });
+  if (wentOffline.length === 0) return [];
+
+  wentOffline.forEach(device => { device.status = 'offline'; });
+  saveData(data);
+  wentOffline.forEach(device => {
+    logger.warning(logger.categories.REMOTE_MGMT, `Device ${device.name} (${device.id}) is offline (last seen ${device.lastSeen})`);
+    eventBus.emit('remote.device.offline', { deviceId: device.id, name: device.name, lastSeen: device.lastSeen });
+  });
+  return wentOffline.map(device => ({ id: device.id, name: device.name, lastSeen: device.lastSeen }));
+}
+
 /**
  * Register a new device.
  * @param {object} opts
@@ -273,7 +285,7 @@ function registerDevice({ name }) {
   data.devices.push(device);
   saveData(data);
 
-  logger.info('REMOTE_MGMT', `Registered new device: ${name} (${id})`);
+  logger.info(logger.categories.REMOTE_MGMT, `Registered new device: ${name} (${id})`);
 
   const { tokenHash: _th, ...safeDevice } = device; // eslint-disable-line no-unused-vars
   return { device: safeDevice, token };
@@ -292,7 +304,7 @@ function deleteDevice(id) {
   // Remove all commands for this device
   data.commands = data.commands.filter(c => c.deviceId !== id);
   saveData(data);
-  logger.info('REMOTE_MGMT', `Deleted device: ${removed.name} (${id})`);
+  logger.info(logger.categories.REMOTE_MGMT, `Deleted device: ${removed.name} (${id})`);
   return { success: true };
 }
 
@@ -309,7 +321,7 @@ function rotateDeviceToken(id) {
   const token = generateToken();
   device.tokenHash = hashToken(token);
   saveData(data);
-  logger.info('REMOTE_MGMT', `Rotated token for device: ${device.name} (${id})`);
+  logger.info(logger.categories.REMOTE_MGMT, `Rotated token for device: ${device.name} (${id})`);
   return { success: true, token };
 }
 
@@ -364,7 +376,7 @@ function setDeviceSshConfig(deviceId, { host, port, username, privateKey, daemon
   }
 
   saveData(data);
-  logger.info('REMOTE_MGMT', `Saved SSH credentials for device: ${device.name} (${deviceId})`);
+  logger.info(logger.categories.REMOTE_MGMT, `Saved SSH credentials for device: ${device.name} (${deviceId})`);
   return { success: true };
 }
 
@@ -405,7 +417,31 @@ function clearDeviceSshConfig(deviceId) {
   delete device.sshPrivateKey;
   delete device.daemonConfigPath;
   saveData(data);
-  logger.info('REMOTE_MGMT', `Cleared SSH credentials for device: ${device.name} (${deviceId})`);
+  logger.info(logger.categories.REMOTE_MGMT, `Cleared SSH credentials for device: ${device.name} (${deviceId})`);
+  return { success: true };
+}
+
+/**
+ * Set the smart mirror profile a device shows (null for the default profile).
+ * Only the assignment is stored; the caller points the device's browser at it.
+ * @param {string} deviceId
+ * @param {string|null} profileId
+ */
+function setDeviceMirrorProfile(deviceId, profileId) {
+  const data = loadData();
+  const device = data.devices.find(d => d.id === deviceId);
+  if (!device) {
+    return { success: false, error: 'Device not found' };
+  }
+  if (profileId) {
+    device.mirrorProfile = profileId;
+  } else {
+    delete device.mirrorProfile;
+  }
+  if (!saveData(data)) {
+    return { success: false, error: 'Failed to save the mirror profile assignment', code: 'INTERNAL_ERROR' };
+  }
+  logger.info(logger.categories.REMOTE_MGMT, `Assigned mirror profile ${profileId || 'default'} to device: ${device.name} (${deviceId})`);
   return { success: true };
 }
 
@@ -540,6 +576,21 @@ function executeViaSSH(device, type, payload = {}) {
 // Public API – Command management
 // ---------------------------------------------------------------------------
 
+/**
+ * Stream a command's progress to the admin dashboard (see live-events.js).
+ * @param {object} command – the command record
+ * @param {string} status  – "started" | "progress" | "completed" | "failed"
+ * @param {string} message
+ * @param {object} [details] – e.g. { deviceName, executedVia, output, error }
+ */
+function reportCommand(command, status, message, details = {}) {
+  liveEvents.progress(liveEvents.EVENT_TYPES.REMOTE_COMMAND, logger.categories.REMOTE_MGMT, command.type, status, message, {
+    commandId: command.id,
+    deviceId: command.deviceId,
+    ...details,
+  });
+}
+
 /**
  * Queue a command for a specific device (HTTP polling path).
  * @param {string} deviceId
@@ -585,7 +636,8 @@ function queueCommand(deviceId, type, payload = {}) {
   }
 
   saveData(data);
-  logger.info('REMOTE_MGMT', `Queued command "${type}" for device ${device.name} (${deviceId})`);
+  logger.info(logger.categories.REMOTE_MGMT, `Queued command "${type}" for device ${device.name} (${deviceId})`);
+  reportCommand(command, 'started', `Queued "${type}" for ${device.name}`, { deviceName: device.name });
   return command;
 }
 
@@ -619,14 +671,15 @@ async function issueCommand(deviceId, type, payload = {}) {
   if (!sshSupported) {
     // Leave in queue for HTTP polling daemon
     logger.info(
-      'REMOTE_MGMT',
+      logger.categories.REMOTE_MGMT,
       `Command "${type}" for device ${device ? device.name : deviceId} queued for HTTP polling`
     );
     return { command, executedVia: 'poll' };
   }
 
   // Attempt immediate SSH execution
-  logger.info('REMOTE_MGMT', `Executing "${type}" via SSH on device ${device.name} (${deviceId})`);
+  logger.info(logger.categories.REMOTE_MGMT, `Executing "${type}" via SSH on device ${device.name} (${deviceId})`);
+  reportCommand(command, 'progress', `Running "${type}" on ${device.name} via SSH`, { deviceName: device.name, executedVia: 'ssh' });
 
   let sshResult;
   try {
@@ -657,10 +710,17 @@ async function issueCommand(deviceId, type, payload = {}) {
 
   const level = sshResult.success ? 'success' : 'warning';
   logger[level](
-    'REMOTE_MGMT',
+    logger.categories.REMOTE_MGMT,
     `SSH "${type}" ${sshResult.success ? 'succeeded' : 'failed'} on device ${device.name}: ` +
     `${sshResult.output || sshResult.error || ''}`
   );
+  reportCommand(command, sshResult.success ? 'completed' : 'failed',
+    `"${type}" ${sshResult.success ? 'succeeded' : 'failed'} on ${device.name}`, {
+      deviceName: device.name,
+      executedVia: 'ssh',
+      output: sshResult.output || null,
+      error: sshResult.error || null,
+    });
 
   // Return fresh record
   const updated = Object.assign({}, command, cmdRecord || {});
@@ -714,11 +774,12 @@ function devicePoll(deviceId, meta = {}) {
   const data = loadData();
   const device = data.devices.find(d => d.id === deviceId);
   if (!device) {
-    logger.warning('REMOTE_MGMT', `Poll from unknown device: ${deviceId}`);
+    logger.warning(logger.categories.REMOTE_MGMT, `Poll from unknown device: ${deviceId}`);
     return [];
   }
 
   const now = new Date().toISOString();
+  const wasOffline = device.status === 'offline';
   device.lastSeen = now;
   device.status = 'online';
   if (meta.platform) device.platform = meta.platform;
@@ -736,8 +797,18 @@ function devicePoll(deviceId, meta = {}) {
 
   saveData(data);
 
+  if (wasOffline) {
+    logger.info(logger.categories.REMOTE_MGMT, `Device ${device.name} (${deviceId}) is back online`);
+    eventBus.emit('remote.device.online', { deviceId, name: device.name, lastSeen: now });
+  }
+
+  pending.forEach(c => reportCommand(c, 'progress', `"${c.type}" delivered to ${device.name}`, {
+    deviceName: device.name,
+    executedVia: 'poll',
+  }));
+
   if (pending.length > 0) {
-    logger.info('REMOTE_MGMT', `Delivered ${pending.length} command(s) to device ${device.name}`);
+    logger.info(logger.categories.REMOTE_MGMT, `Delivered ${pending.length} command(s) to device ${device.name}`);
   }
 
   return pending;
@@ -754,7 +825,7 @@ function recordCommandResult(deviceId, commandId, result) {
   const data = loadData();
   const command = data.commands.find(c => c.id === commandId && c.deviceId === deviceId);
   if (!command) {
-    logger.warning('REMOTE_MGMT', `Result for unknown command ${commandId} from device ${deviceId}`);
+    logger.warning(logger.categories.REMOTE_MGMT, `Result for unknown command ${commandId} from device ${deviceId}`);
     return false;
   }
 
@@ -776,9 +847,16 @@ function recordCommandResult(deviceId, commandId, result) {
 
   const level = result.success ? 'info' : 'warning';
   logger[level](
-    'REMOTE_MGMT',
+    logger.categories.REMOTE_MGMT,
     `Command "${command.type}" ${result.success ? 'completed' : 'failed'} on device ${deviceId}: ${result.output || result.error || ''}`
   );
+  reportCommand(command, result.success ? 'completed' : 'failed',
+    `"${command.type}" ${result.success ? 'completed' : 'failed'} on ${device ? device.name : deviceId}`, {
+      deviceName: device ? device.name : null,
+      executedVia: 'poll',
+      output: command.result.output,
+      error: command.result.error,
+    });
 
   return true;
 }
@@ -797,6 +875,7 @@ module.exports = {
   setDeviceSshConfig,
   getDeviceSshConfigStatus,
   clearDeviceSshConfig,
+  setDeviceMirrorProfile,
   // Command management
   queueCommand,
   issueCommand,
@@ -805,4 +884,8 @@ module.exports = {
   authenticateDevice,
   devicePoll,
   recordCommandResult,
+  checkDeviceStatus,
+  // Backup / restore of the whole registry
+  loadData,
+  saveData,
 };
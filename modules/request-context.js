@@ -0,0 +1,51 @@
+/**
+ * Request Context Module
+ *
+ * Gives every HTTP request a correlation ID.  The ID is taken from an
+ * incoming X-Request-Id header (so a reverse proxy's ID is kept) or
+ * generated, set as req.id, echoed in the X-Request-Id response header and
+ * returned in error responses.  The logger adds it to every entry written
+ * while the request is handled, including from async callbacks, so one
+ * search in Settings → Logs finds everything a failed request logged.
+ */
+
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// IDs from clients are only trusted when they are short and plain
+const INCOMING_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const storage = new AsyncLocalStorage();
+
+function generateRequestId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Express middleware; register it before every other middleware
+ */
+function middleware() {
+  return function requestContext(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : generateRequestId();
+    res.setHeader(REQUEST_ID_HEADER, req.id);
+    storage.run({ requestId: req.id }, next);
+  };
+}
+
+/**
+ * Correlation ID of the request being handled, or null outside a request
+ */
+function getRequestId() {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  middleware,
+  getRequestId
+};
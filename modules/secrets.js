@@ -0,0 +1,500 @@
+/**
+ * Secrets Module
+ *
+ * One vault for every encrypted store (smart mirror, webhooks, remote
+ * devices, SFTP, finance, Ollama).  Data is encrypted with AES-256-GCM under a
+ * single master key taken from, in order:
+ *
+ *   SECRETS_MASTER_KEY   64 hex characters, or any passphrase (run through scrypt)
+ *   SECRETS_KEY_FILE     file holding the key (default config/.secrets-key,
+ *                        generated on first use)
+ *
+ * Encrypted text looks like "vault1:<key id>:<iv>:<tag>:<ciphertext>" so the
+ * key that wrote a file can be identified.  Files written by older releases
+ * use each module's own scheme; they are still read, and are upgraded to the
+ * vault the next time they are saved or when the master key is rotated.
+ * Several of those schemes fall back to hard-coded keys (or the .ollama-key
+ * that ships with the repository); getStatus() reports such files so the
+ * admin can rotate them away.
+ *
+ * rotateMasterKey() decrypts every registered store, writes a new key file
+ * and re-encrypts the stores.  The old key is kept in <key file>.previous
+ * until every store is rewritten, so an interrupted rotation can be resumed.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const storage = require('./storage');
+
+const VAULT_PREFIX = 'vault1';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const PASSPHRASE_SALT = 'local-server-site-pusher-secrets-v1';
+
+class SecretsError extends Error {
+  constructor(message, code = 'SECRETS_DECRYPT_FAILED') {
+    super(message);
+    this.name = 'SecretsError';
+    this.code = code;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Schemes used before the vault (read-only)
+// ---------------------------------------------------------------------------
+
+function decryptCbcHex(key, text) {
+  const parts = text.split(':');
+  const iv = Buffer.from(parts.shift(), 'hex');
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+  return decipher.update(parts.join(':'), 'hex', 'utf8') + decipher.final('utf8');
+}
+
+function decryptGcmBase64(key, text) {
+  const buffer = Buffer.from(text, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, 16));
+  decipher.setAuthTag(buffer.subarray(16, 32));
+  return Buffer.concat([decipher.update(buffer.subarray(32)), decipher.final()]).toString('utf8');
+}
+
+function decryptGcmHexParts(key, text) {
+  const [iv, tag, encrypted] = text.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return decipher.update(encrypted, 'hex', 'utf8') + decipher.final('utf8');
+}
+
+function decryptGcmJson(key, text) {
+  const { iv, tag, encryptedData } = JSON.parse(text);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return decipher.update(encryptedData, 'hex', 'utf8') + decipher.final('utf8');
+}
+
+/**
+ * envVar/defaultSecret: the key came from an environment variable with a
+ * hard-coded fallback.  keyFile: random key stored next to the data.
+ */
+const LEGACY_SCHEMES = {
+  smartMirror: {
+    envVar: 'SMARTMIRROR_KEY',
+    defaultSecret: 'smartmirror-default-key-change-in-production',
+    deriveKey: secret => crypto.createHash('sha256').update(secret).digest(),
+    decrypt: decryptCbcHex
+  },
+  webhooks: {
+    envVar: 'ENCRYPTION_KEY',
+    defaultSecret: 'default-webhook-key-change-in-production',
+    deriveKey: secret => crypto.scryptSync(secret, 'salt', 32),
+    decrypt: decryptCbcHex
+  },
+  remoteDevices: {
+    envVar: 'REMOTE_MGMT_KEY',
+    defaultSecret: 'remote-mgmt-default-key-change-in-production',
+    deriveKey: secret => crypto.scryptSync(secret, 'remote-mgmt-salt', 32),
+    decrypt: decryptCbcHex
+  },
+  sftp: {
+    envVar: 'ENCRYPTION_SECRET',
+    defaultSecret: 'default-secret-change-in-production',
+    deriveKey: secret => crypto.pbkdf2Sync(secret, 'sftp-config-salt-v1', 100000, 32, 'sha256'),
+    decrypt: decryptGcmBase64
+  },
+  finance: {
+    keyFile: '.finance_key',
+    decrypt: decryptGcmHexParts
+  },
+  ollama: {
+    keyFile: '.ollama-key',
+    decrypt: decryptGcmJson
+  }
+};
+
+// SHA-256 of key files that were committed to the repository and are therefore public
+const PUBLISHED_KEY_FINGERPRINTS = new Set([
+  '4815d70dcc6c95d911b156ad86088d712605f8e49eafc3d89b5d1764b06d7b7c' // config/.ollama-key
+]);
+
+// ---------------------------------------------------------------------------
+// Master key
+// ---------------------------------------------------------------------------
+
+const DEFAULT_KEY_FILE = path.join(__dirname, '..', 'config', '.secrets-key');
+
+let options = { env: process.env, keyFile: null };
+let masterKey = null;   // { key, id, source }
+let previousKey = null; // { key, id } while a rotation is unfinished
+const stores = new Map();
+
+/**
+ * Override where the master key comes from (used by tests)
+ * @param {Object} [settings]
+ * @param {Object} [settings.env] - environment to read SECRETS_* from
+ * @param {string} [settings.keyFile]
+ */
+function init(settings = {}) {
+  options = { env: settings.env || process.env, keyFile: settings.keyFile || null };
+  masterKey = null;
+  previousKey = null;
+}
+
+function getKeyFilePath() {
+  return options.keyFile || options.env.SECRETS_KEY_FILE || DEFAULT_KEY_FILE;
+}
+
+function deriveMasterKey(material) {
+  const value = String(material).trim();
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : crypto.scryptSync(value, PASSPHRASE_SALT, KEY_LENGTH);
+  return { key, id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8) };
+}
+
+function loadMasterKey() {
+  if (masterKey) {
+    return masterKey;
+  }
+
+  const keyFile = getKeyFilePath();
+  if (options.env.SECRETS_MASTER_KEY) {
+    masterKey = { ...deriveMasterKey(options.env.SECRETS_MASTER_KEY), source: 'env' };
+  } else {
+    if (!fs.existsSync(keyFile)) {
+      storage.writeFileAtomic(keyFile, crypto.randomBytes(KEY_LENGTH).toString('hex'), { mode: 0o600 });
+      logger.info(logger.categories.SYSTEM, `[Secrets] Generated a new master key in ${keyFile}`);
+    }
+    masterKey = { ...deriveMasterKey(fs.readFileSync(keyFile, 'utf8')), source: 'file' };
+  }
+
+  const previousFile = `${keyFile}.previous`;
+  if (fs.existsSync(previousFile)) {
+    previousKey = deriveMasterKey(fs.readFileSync(previousFile, 'utf8'));
+  }
+  return masterKey;
+}
+
+// ---------------------------------------------------------------------------
+// Encryption
+// ---------------------------------------------------------------------------
+
+function isVaultFormat(text) {
+  return typeof text === 'string' && text.startsWith(`${VAULT_PREFIX}:`);
+}
+
+/**
+ * Encrypt text with the master key
+ * @param {string} plaintext
+ * @returns {string} vault envelope
+ */
+function encrypt(plaintext) {
+  const { key, id } = loadMasterKey();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [VAULT_PREFIX, id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+function decryptVault(text) {
+  const [, keyId, iv, tag, encrypted] = text.split(':');
+  const current = loadMasterKey();
+  const candidate = [current, previousKey].find(entry => entry && entry.id === keyId);
+  if (!candidate) {
+    throw new SecretsError(`Encrypted with a different master key (key id ${keyId}, current ${current.id})`, 'SECRETS_WRONG_KEY');
+  }
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, candidate.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new SecretsError(`Could not decrypt: ${error.message}`);
+  }
+}
+
+/**
+ * Keys an older release may have used for a store, most likely first
+ * @returns {Array<{key: Buffer, isDefault: boolean}>}
+ */
+function getLegacyKeys(scheme, store) {
+  if (scheme.keyFile) {
+    const keyPath = path.join(path.dirname(store.filePath), scheme.keyFile);
+    if (!fs.existsSync(keyPath)) {
+      return [];
+    }
+    const key = Buffer.from(fs.readFileSync(keyPath, 'utf8').trim(), 'hex');
+    const fingerprint = crypto.createHash('sha256').update(key).digest('hex');
+    return [{ key, isDefault: PUBLISHED_KEY_FINGERPRINTS.has(fingerprint) }];
+  }
+
+  const keys = [];
+  const secret = options.env[scheme.envVar];
+  if (secret && secret !== scheme.defaultSecret) {
+    keys.push({ key: scheme.deriveKey(secret), isDefault: false });
+  }
+  keys.push({ key: scheme.deriveKey(scheme.defaultSecret), isDefault: true });
+  return keys;
+}
+
+/**
+ * Decrypt a store written before the vault existed
+ * @returns {{plaintext: string, isDefault: boolean}}
+ */
+function decryptLegacy(store, text) {
+  const scheme = LEGACY_SCHEMES[store.legacy];
+  if (!scheme) {
+    throw new SecretsError(`${store.label} is not encrypted with the secrets vault`);
+  }
+
+  for (const candidate of getLegacyKeys(scheme, store)) {
+    try {
+      const plaintext = scheme.decrypt(candidate.key, text);
+      JSON.parse(plaintext); // Every store is JSON; a wrong CBC key can still "succeed"
+      return { plaintext, isDefault: candidate.isDefault };
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  throw new SecretsError(`Could not decrypt ${store.label} with the current or legacy keys`);
+}
+
+/**
+ * Decrypt a store's contents, whichever scheme wrote them
+ * @param {string} text - file contents
+ * @param {string} storeId - id the store was registered with
+ * @returns {string} plaintext
+ * @throws {SecretsError}
+ */
+function decrypt(text, storeId) {
+  const contents = String(text).trim();
+  if (isVaultFormat(contents)) {
+    return decryptVault(contents);
+  }
+  const store = stores.get(storeId);
+  if (!store) {
+    throw new SecretsError(`Unknown secrets store: ${storeId}`);
+  }
+  return decryptLegacy(store, contents).plaintext;
+}
+
+// ---------------------------------------------------------------------------
+// Stores
+// ---------------------------------------------------------------------------
+
+/**
+ * Register an encrypted file so it is covered by status checks and key rotation
+ * @param {Object} store
+ * @param {string} store.id
+ * @param {string} store.label
+ * @param {string} store.filePath
+ * @param {string} [store.legacy] - key of LEGACY_SCHEMES used before the vault
+ * @param {boolean} [store.useStorage] - file is read and written through storage.js (SQLite backend)
+ */
+function registerStore(store) {
+  stores.set(store.id, { useStorage: false, ...store });
+}
+
+function readStore(store) {
+  if (store.useStorage) {
+    return storage.readText(store.filePath);
+  }
+  return fs.existsSync(store.filePath) ? fs.readFileSync(store.filePath, 'utf8') : null;
+}
+
+function writeStore(store, contents) {
+  if (store.useStorage) {
+    storage.writeText(store.filePath, contents, { mode: 0o600 });
+  } else {
+    storage.writeFileAtomic(store.filePath, contents, { mode: 0o600 });
+  }
+}
+
+function inspectStore(store) {
+  const entry = { id: store.id, label: store.label, file: path.basename(store.filePath) };
+  let contents;
+  try {
+    contents = readStore(store);
+  } catch (error) {
+    return { ...entry, encryption: 'unreadable', error: error.message, defaultKey: false };
+  }
+  if (contents === null) {
+    return { ...entry, encryption: 'missing', defaultKey: false };
+  }
+
+  const text = contents.trim();
+  if (isVaultFormat(text)) {
+    const keyId = text.split(':')[1];
+    const current = loadMasterKey();
+    return {
+      ...entry,
+      encryption: keyId === current.id ? 'vault' : 'vault-previous-key',
+      keyId,
+      defaultKey: false
+    };
+  }
+  try {
+    return { ...entry, encryption: 'legacy', defaultKey: decryptLegacy(store, text).isDefault };
+  } catch (error) {
+    return { ...entry, encryption: 'unreadable', error: error.message, defaultKey: false };
+  }
+}
+
+/**
+ * Master key source and the encryption of every registered store
+ * @returns {Object} { keySource, keyFile, keyId, rotationIncomplete, defaultKeyInUse, stores, warnings }
+ */
+function getStatus() {
+  const key = loadMasterKey();
+  const storeStatus = Array.from(stores.values()).map(inspectStore);
+  const defaultStores = storeStatus.filter(store => store.defaultKey);
+  const warnings = [];
+
+  if (defaultStores.length > 0) {
+    warnings.push(`Encrypted with a publicly known default key: ${defaultStores.map(store => store.label).join(', ')}. Rotate the master key to re-encrypt them.`);
+  }
+  if (previousKey) {
+    warnings.push('A master key rotation did not finish. Rotate the master key again to re-encrypt the remaining stores.');
+  }
+  const unreadable = storeStatus.filter(store => store.encryption === 'unreadable');
+  if (unreadable.length > 0) {
+    warnings.push(`Cannot be decrypted: ${unreadable.map(store => store.label).join(', ')}`);
+  }
+
+  return {
+    keySource: key.source,
+    keyFile: key.source === 'file' ? getKeyFilePath() : null,
+    keyId: key.id,
+    rotationIncomplete: Boolean(previousKey),
+    defaultKeyInUse: defaultStores.length > 0,
+    stores: storeStatus,
+    warnings
+  };
+}
+
+/**
+ * Encryption of one registered store
+ * @param {string} storeId
+ * @returns {Object|null} same shape as the entries of getStatus().stores
+ */
+function getStoreStatus(storeId) {
+  const store = stores.get(storeId);
+  return store ? inspectStore(store) : null;
+}
+
+/**
+ * Decrypt every registered store that exists, to prove it can be read
+ * @returns {Object[]} [{ id, label, file, readable, error? }] for the stores on disk
+ */
+function verifyStores() {
+  const results = [];
+  for (const store of stores.values()) {
+    const entry = { id: store.id, label: store.label, file: path.basename(store.filePath) };
+    try {
+      const contents = readStore(store);
+      if (contents === null) continue;
+      decrypt(contents, store.id);
+      results.push({ ...entry, readable: true });
+    } catch (error) {
+      results.push({ ...entry, readable: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Generate a new master key and re-encrypt every registered store with it.
+ * Nothing is written unless every existing store can be decrypted first.
+ * @returns {Object} { success, keyId, rotated: string[], errors: string[] } or { success: false, error }
+ */
+function rotateMasterKey() {
+  const current = loadMasterKey();
+  if (current.source === 'env') {
+    return {
+      success: false,
+      error: 'The master key is set with SECRETS_MASTER_KEY. Change it by moving the key to a key file (SECRETS_KEY_FILE) and rotating from there.'
+    };
+  }
+
+  const pending = [];
+  for (const store of stores.values()) {
+    try {
+      const contents = readStore(store);
+      if (contents !== null) {
+        pending.push({ store, plaintext: decrypt(contents, store.id) });
+      }
+    } catch (error) {
+      return { success: false, error: `Cannot decrypt ${store.label}: ${error.message}. Nothing was changed.` };
+    }
+  }
+
+  const keyFile = getKeyFilePath();
+  const previousFile = `${keyFile}.previous`;
+
+  // Finish an interrupted rotation first, so at most one old key is ever needed
+  if (previousKey) {
+    try {
+      pending.forEach(({ store, plaintext }) => writeStore(store, encrypt(plaintext)));
+    } catch (error) {
+      return { success: false, error: `Could not finish the previous rotation: ${error.message}` };
+    }
+    fs.rmSync(previousFile, { force: true });
+    previousKey = null;
+  }
+
+  try {
+    storage.writeFileAtomic(previousFile, fs.readFileSync(keyFile, 'utf8'), { mode: 0o600 });
+    storage.writeFileAtomic(keyFile, crypto.randomBytes(KEY_LENGTH).toString('hex'), { mode: 0o600 });
+  } catch (error) {
+    return { success: false, error: `Could not write the new key: ${error.message}` };
+  }
+  previousKey = { key: current.key, id: current.id };
+  masterKey = null;
+  const next = loadMasterKey();
+
+  const rotated = [];
+  const errors = [];
+  for (const { store, plaintext } of pending) {
+    try {
+      writeStore(store, encrypt(plaintext));
+      rotated.push(store.label);
+    } catch (error) {
+      errors.push(`${store.label}: ${error.message}`);
+    }
+  }
+
+  if (errors.length === 0) {
+    fs.rmSync(previousFile, { force: true });
+    previousKey = null;
+    logger.success(logger.categories.SYSTEM, `[Secrets] Master key rotated (key id ${next.id}); re-encrypted ${rotated.length} stores`);
+  } else {
+    logger.error(logger.categories.SYSTEM, `[Secrets] Master key rotation incomplete: ${errors.join('; ')}`);
+  }
+  return { success: errors.length === 0, keyId: next.id, rotated, errors };
+}
+
+/**
+ * Log a warning for every store still encrypted with a default key
+ */
+function logStartupWarnings() {
+  for (const warning of getStatus().warnings) {
+    console.warn(`⚠️  [Secrets] ${warning}`);
+    logger.warning(logger.categories.SYSTEM, `[Secrets] ${warning}`);
+  }
+}
+
+module.exports = {
+  init,
+  SecretsError,
+  encrypt,
+  decrypt,
+  isVaultFormat,
+  registerStore,
+  getStatus,
+  getStoreStatus,
+  verifyStores,
+  rotateMasterKey,
+  logStartupWarnings
+};
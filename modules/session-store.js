@@ -0,0 +1,293 @@
+/**
+ * Session Store Module
+ *
+ * File-backed express-session store so admin, client and medication portal
+ * logins survive container restarts.  Sessions are kept in memory and written
+ * to disk shortly after each change (write-then-rename so a crash never leaves
+ * a half-written file).  Pending writes are lost unless flushAll() runs before
+ * the process exits; server.js calls it from its SIGTERM/SIGINT handler.
+ * Expired sessions are dropped on load and by a periodic cleanup.
+ *
+ * Storage layout:
+ *   config/sessions.json       (override with config.sessions.dataFilePath)
+ *   config/.session-secret     generated cookie-signing secret, used when
+ *                              SESSION_SECRET / server.sessionSecret are unset
+ *
+ * Schema:
+ * {
+ *   sessions: {
+ *     [sid]: {
+ *       session:    object – the serialised express-session data
+ *       expiresAt:  number – ms since epoch
+ *       lastSeenAt: number – ms since epoch of the last request
+ *     }
+ *   }
+ * }
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const DEFAULT_LIFETIME_HOURS = 24;
+const MAX_LIFETIME_HOURS = 24 * 90;
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+// Coalesce bursts of requests into a single write
+const WRITE_DELAY_MS = 500;
+
+// Stores with writes that must reach disk before the process exits
+const openStores = new Set();
+
+/**
+ * Write every store to disk now.  Call before the process exits.
+ * @returns {Object} { success, error? } – error from the first store that failed
+ */
+function flushAll() {
+  let result = { success: true };
+  for (const store of openStores) {
+    const flushed = store.flush();
+    if (!flushed.success && result.success) {
+      result = flushed;
+    }
+  }
+  return result;
+}
+
+function getDefaultFilePath() {
+  return path.join(__dirname, '..', 'config', 'sessions.json');
+}
+
+/**
+ * Session lifetime from SESSION_LIFETIME_HOURS or config.sessions.lifetimeHours.
+ * @returns {number} hours
+ */
+function getLifetimeHours(serverConfig) {
+  const configured = Number(process.env.SESSION_LIFETIME_HOURS || serverConfig?.sessions?.lifetimeHours);
+  if (!Number.isFinite(configured) || configured <= 0) {
+    return DEFAULT_LIFETIME_HOURS;
+  }
+  return Math.min(configured, MAX_LIFETIME_HOURS);
+}
+
+/**
+ * Read the cookie-signing secret from disk, creating one on first start.
+ * A random per-process secret would invalidate every stored session on restart.
+ * @returns {string|null} null if the file cannot be read or written
+ */
+function loadOrCreateSecret(secretPath = path.join(__dirname, '..', 'config', '.session-secret')) {
+  try {
+    if (fs.existsSync(secretPath)) {
+      const existing = fs.readFileSync(secretPath, 'utf8').trim();
+      if (existing) return existing;
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+    fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+    return secret;
+  } catch (error) {
+    logger.error(logger.categories.SYSTEM, `[Sessions] Cannot persist session secret: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Short, stable identifier for a session that can be shown in the dashboard
+ * without revealing the session id itself.
+ */
+function getPublicId(sid) {
+  return crypto.createHash('sha256').update(String(sid)).digest('hex').slice(0, 16);
+}
+
+function getExpiry(sess, now = Date.now()) {
+  const expires = sess?.cookie?.expires ? new Date(sess.cookie.expires).getTime() : NaN;
+  if (Number.isFinite(expires)) return expires;
+  return now + DEFAULT_LIFETIME_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Create a file-backed store for express-session.
+ * @param {Function} session - the express-session module (provides session.Store)
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - where to persist sessions
+ * @returns {Object} store instance, also exposing listSessions() and destroyByPublicId()
+ */
+function createSessionStore(session, options = {}) {
+  class FileSessionStore extends session.Store {
+    constructor(storeOptions) {
+      super();
+      this.filePath = storeOptions.filePath || getDefaultFilePath();
+      this.sessions = new Map();
+      this.writeTimer = null;
+      this.load();
+
+      this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+      this.cleanupTimer.unref();
+      openStores.add(this);
+    }
+
+    load() {
+      try {
+        if (!fs.existsSync(this.filePath)) return;
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const now = Date.now();
+        for (const [sid, entry] of Object.entries(data.sessions || {})) {
+          if (entry && entry.session && entry.expiresAt > now) {
+            this.sessions.set(sid, entry);
+          }
+        }
+        logger.info(logger.categories.SYSTEM, `[Sessions] Restored ${this.sessions.size} session(s) from ${this.filePath}`);
+      } catch (error) {
+        logger.error(logger.categories.SYSTEM, `[Sessions] Error loading sessions file: ${error.message}`);
+      }
+    }
+
+    // Write synchronously; used by the debounced writer and on process exit
+    flush() {
+      if (this.writeTimer) {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+      }
+      try {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ sessions: Object.fromEntries(this.sessions) }), { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+        return { success: true };
+      } catch (error) {
+        logger.error(logger.categories.SYSTEM, `[Sessions] Error saving sessions file: ${error.message}`);
+        return { success: false, error: error.message };
+      }
+    }
+
+    scheduleWrite() {
+      if (this.writeTimer) return;
+      this.writeTimer = setTimeout(() => this.flush(), WRITE_DELAY_MS);
+      this.writeTimer.unref();
+    }
+
+    cleanup() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [sid, entry] of this.sessions) {
+        if (entry.expiresAt <= now) {
+          this.sessions.delete(sid);
+          removed++;
+        }
+      }
+      if (removed > 0) {
+        this.scheduleWrite();
+      }
+      return removed;
+    }
+
+    get(sid, callback) {
+      const entry = this.sessions.get(sid);
+      if (!entry) return callback(null, null);
+      if (entry.expiresAt <= Date.now()) {
+        this.sessions.delete(sid);
+        this.scheduleWrite();
+        return callback(null, null);
+      }
+      // Hand out a copy so request handlers never mutate the stored object directly
+      callback(null, JSON.parse(JSON.stringify(entry.session)));
+    }
+
+    set(sid, sess, callback) {
+      const now = Date.now();
+      this.sessions.set(sid, {
+        session: JSON.parse(JSON.stringify(sess)),
+        expiresAt: getExpiry(sess, now),
+        lastSeenAt: now
+      });
+      this.scheduleWrite();
+      if (callback) callback(null);
+    }
+
+    touch(sid, sess, callback) {
+      const entry = this.sessions.get(sid);
+      if (entry) {
+        const now = Date.now();
+        entry.expiresAt = getExpiry(sess, now);
+        entry.lastSeenAt = now;
+        if (entry.session.cookie && sess?.cookie) {
+          entry.session.cookie = JSON.parse(JSON.stringify(sess.cookie));
+        }
+        this.scheduleWrite();
+      }
+      if (callback) callback(null);
+    }
+
+    destroy(sid, callback) {
+      if (this.sessions.delete(sid)) {
+        this.scheduleWrite();
+      }
+      if (callback) callback(null);
+    }
+
+    all(callback) {
+      const now = Date.now();
+      const result = {};
+      for (const [sid, entry] of this.sessions) {
+        if (entry.expiresAt > now) result[sid] = entry.session;
+      }
+      callback(null, result);
+    }
+
+    length(callback) {
+      this.all((err, all) => callback(err, Object.keys(all).length));
+    }
+
+    clear(callback) {
+      this.sessions.clear();
+      this.scheduleWrite();
+      if (callback) callback(null);
+    }
+
+    /**
+     * Active sessions for the admin view.
+     * @returns {Array<{sid, id, session, expiresAt, lastSeenAt}>}
+     */
+    listSessions() {
+      const now = Date.now();
+      return Array.from(this.sessions.entries())
+        .filter(([, entry]) => entry.expiresAt > now)
+        .map(([sid, entry]) => ({
+          sid,
+          id: getPublicId(sid),
+          session: entry.session,
+          expiresAt: entry.expiresAt,
+          lastSeenAt: entry.lastSeenAt
+        }));
+    }
+
+    /**
+     * Revoke a session by the identifier shown in the admin view.
+     * @returns {Object} { success, error? }
+     */
+    destroyByPublicId(publicId) {
+      for (const sid of this.sessions.keys()) {
+        if (getPublicId(sid) === publicId) {
+          this.sessions.delete(sid);
+          this.scheduleWrite();
+          return { success: true };
+        }
+      }
+      return { success: false, error: 'Session not found' };
+    }
+  }
+
+  return new FileSessionStore(options);
+}
+
+module.exports = {
+  DEFAULT_LIFETIME_HOURS,
+  MAX_LIFETIME_HOURS,
+  createSessionStore,
+  flushAll,
+  getLifetimeHours,
+  loadOrCreateSecret,
+  getPublicId
+};
@@ -8,49 +8,20 @@
 const SftpClient = require('ssh2-sftp-client');
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
 const logger = require('./logger');
+const secrets = require('./secrets');
 
 const CONFIG_DIR = path.join(__dirname, '..', 'config');
 const SFTP_CONFIG_FILE = path.join(CONFIG_DIR, 'sftp-config.json.enc');
 
-// Encryption settings - AES-256-GCM for secure credential storage
-const ALGORITHM = 'aes-256-gcm';
-const KEY_LENGTH = 32; // 256 bits
-const IV_LENGTH = 16;  // 128 bits
-const AUTH_TAG_LENGTH = 16;
+secrets.registerStore({ id: 'sftp', label: 'SFTP connection', filePath: SFTP_CONFIG_FILE, legacy: 'sftp' });
 
 /**
- * Derive encryption key from application secret
- * Uses PBKDF2 for key derivation
- */
-function deriveKey() {
-  // Use a combination of system-specific data for key derivation
-  const secret = process.env.ENCRYPTION_SECRET || 'default-secret-change-in-production';
-  const salt = 'sftp-config-salt-v1'; // Static salt is acceptable here as we're deriving from a secret
-  
-  return crypto.pbkdf2Sync(secret, salt, 100000, KEY_LENGTH, 'sha256');
-}
-
-/**
- * Encrypt sensitive data
+ * Encrypt sensitive data with the secrets vault
  */
 function encrypt(data) {
   try {
-    const key = deriveKey();
-    const iv = crypto.randomBytes(IV_LENGTH);
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-    
-    const encrypted = Buffer.concat([
-      cipher.update(JSON.stringify(data), 'utf8'),
-      cipher.final()
-    ]);
-    
-    const authTag = cipher.getAuthTag();
-    
-    // Combine iv + authTag + encrypted data
-    const result = Buffer.concat([iv, authTag, encrypted]);
-    return result.toString('base64');
+    return secrets.encrypt(JSON.stringify(data));
   } catch (error) {
     logger.error(logger.categories.SYSTEM, `[SFTP] Encryption failed: ${error.message}`);
     throw new Error('Failed to encrypt data');
@@ -58,27 +29,11 @@ function encrypt(data) {
 }
 
 /**
- * Decrypt sensitive data
+ * Decrypt sensitive data (vault or the pre-vault PBKDF2 scheme)
  */
 function decrypt(encryptedData) {
   try {
-    const key = deriveKey();
-    const buffer = Buffer.from(encryptedData, 'base64');
-    
-    // Extract iv, authTag, and encrypted data
-    const iv = buffer.slice(0, IV_LENGTH);
-    const authTag = buffer.slice(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
-    const encrypted = buffer.slice(IV_LENGTH + AUTH_TAG_LENGTH);
-    
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    decipher.setAuthTag(authTag);
-    
-    const decrypted = Buffer.concat([
-      decipher.update(encrypted),
-      decipher.final()
-    ]);
-    
-    return JSON.parse(decrypted.toString('utf8'));
+    return JSON.parse(secrets.decrypt(encryptedData, 'sftp'));
   } catch (error) {
     logger.error(logger.categories.SYSTEM, `[SFTP] Decryption failed: ${error.message}`);
     throw new Error('Failed to decrypt data');
@@ -124,6 +79,12 @@ function saveConfig(config) {
       enabled: config.enabled !== false
     };
     
+    // Keep the backup schedule, which is saved separately
+    const existingConfig = loadConfig();
+    if (existingConfig?.schedule) {
+      sanitizedConfig.schedule = existingConfig.schedule;
+    }
+    
     // Add authentication credentials
     if (config.authMethod === 'password') {
       sanitizedConfig.password = config.password;
@@ -173,6 +134,28 @@ function loadConfig() {
   }
 }
 
+/**
+ * Save the scheduled backup settings alongside the connection details
+ * @param {Object} schedule - validated settings from the backup scheduler
+ */
+function saveSchedule(schedule) {
+  try {
+    const config = loadConfig();
+    if (!config) {
+      throw new Error('Configure the SFTP connection before scheduling backups');
+    }
+    
+    config.schedule = schedule;
+    fs.writeFileSync(SFTP_CONFIG_FILE, encrypt(config), { mode: 0o600 });
+    
+    logger.info(logger.categories.SYSTEM, '[SFTP] Backup schedule saved');
+    return { success: true, message: 'Backup schedule saved' };
+  } catch (error) {
+    logger.error(logger.categories.SYSTEM, `[SFTP] Failed to save backup schedule: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Get SFTP configuration without sensitive data
  * Safe to send to frontend
@@ -194,7 +177,13 @@ function getConfigSafe() {
       enabled: config.enabled,
       hasPassword: !!config.password,
       hasPrivateKey: !!config.privateKey,
-      hasPassphrase: !!config.passphrase
+      hasPassphrase: !!config.passphrase,
+      schedule: config.schedule ? {
+        enabled: config.schedule.enabled,
+        cronSchedule: config.schedule.cronSchedule,
+        retention: config.schedule.retention,
+        hasArchivePassword: !!config.schedule.archivePassword
+      } : null
     };
   } catch (error) {
     logger.error(logger.categories.SYSTEM, `[SFTP] Failed to get safe config: ${error.message}`);
@@ -601,6 +590,67 @@ async function listBackups() {
   }
 }
 
+/**
+ * Delete backup files from the SFTP server over one connection
+ * Used by the retention policy of scheduled backups
+ */
+async function deleteBackups(fileNames) {
+  let sftp = null;
+  const deleted = [];
+  const errors = [];
+  
+  try {
+    const config = loadConfig();
+    if (!config) {
+      throw new Error('SFTP not configured');
+    }
+    
+    sftp = await createConnection(config);
+    const remotePath = config.remotePath || '/';
+    
+    for (const fileName of fileNames) {
+      // Only plain file names - never follow a path out of the backup directory
+      if (path.basename(fileName) !== fileName) {
+        errors.push(`${fileName}: invalid file name`);
+        continue;
+      }
+      try {
+        await sftp.delete(path.join(remotePath, fileName).replace(/\\/g, '/'));
+        deleted.push(fileName);
+      } catch (error) {
+        errors.push(`${fileName}: ${error.message}`);
+      }
+    }
+    
+    if (deleted.length > 0) {
+      logger.info(logger.categories.SYSTEM, `[SFTP] Deleted ${deleted.length} old backup files`);
+    }
+    
+    return {
+      success: errors.length === 0,
+      deleted,
+      errors
+    };
+  } catch (error) {
+    logger.error(logger.categories.SYSTEM, `[SFTP] Delete failed: ${error.message}`);
+    
+    return {
+      success: false,
+      deleted,
+      errors: [...errors, error.message],
+      error: error.message
+    };
+  } finally {
+    if (sftp) {
+      try {
+        await sftp.end();
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+    }
+  }
+}
+
 /**
  * Format file size for display
  */
@@ -614,10 +664,12 @@ function formatFileSize(bytes) {
 module.exports = {
   saveConfig,
   loadConfig,
+  saveSchedule,
   getConfigSafe,
   deleteConfig,
   testConnection,
   uploadBackup,
   downloadBackup,
-  listBackups
+  listBackups,
+  deleteBackups
 };
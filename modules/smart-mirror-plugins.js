@@ -0,0 +1,364 @@
+/**
+ * Smart Mirror Plugins Module
+ *
+ * Third-party widgets for the smart mirror grid, loaded from the plugins/
+ * directory at startup so house-specific widgets can be added without
+ * editing the built-in ones.  Each plugin is a folder:
+ *
+ *   plugins/<id>/plugin.js   server side, module.exports = {
+ *                              name, icon, description,
+ *                              defaultSize: { width, height },   // grid cells
+ *                              configSchema: { type: 'object', properties, required },
+ *                              refreshIntervalMs,                // how often mirrors get new data
+ *                              getData: async (config, { logger }) => data
+ *                            }
+ *   plugins/<id>/widget.js   browser side, calls
+ *                              SmartMirrorPlugins.register('<id>', { render(content, data, config) {} })
+ *
+ * The folder name is the plugin id (lowercase letters, digits and dashes).
+ * A plugin's widget is stored in the smart mirror config as
+ * widgets['plugin-<id>'] with the properties of its config schema, and
+ * appears in the grid editor like a built-in widget.  Saved widget configs
+ * are checked against the schema (see openapi.validate); properties marked
+ * writeOnly (API keys, tokens) are never sent to the mirrors and are kept
+ * when saved blank.
+ *
+ * A plugin that fails to load is skipped and reported in getLoadErrors().
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_PLUGINS_DIR = path.join(__dirname, '..', 'plugins');
+const PLUGIN_ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+const WIDGET_KEY_PREFIX = 'plugin-';
+const DEFAULT_SIZE = { width: 2, height: 1 };
+const DEFAULT_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+const MIN_REFRESH_INTERVAL_MS = 10 * 1000;
+const DATA_TIMEOUT_MS = 30000;
+
+// id -> { id, widgetKey, directory, definition }
+let plugins = new Map();
+let loadErrors = [];
+
+function getWidgetKey(id) {
+  return `${WIDGET_KEY_PREFIX}${id}`;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Problems with a plugin.js export, or null when it can be used
+function checkDefinition(definition, directory) {
+  if (!definition || typeof definition !== 'object') return 'plugin.js must export an object';
+  if (typeof definition.name !== 'string' || !definition.name.trim()) return 'name is required';
+  if (typeof definition.getData !== 'function') return 'getData must be a function';
+  if (definition.configSchema !== undefined) {
+    const schema = definition.configSchema;
+    if (!schema || schema.type !== 'object' || (schema.properties !== undefined && typeof schema.properties !== 'object')) {
+      return 'configSchema must be an object schema ({ type: "object", properties })';
+    }
+    if (schema.properties && 'enabled' in schema.properties) return 'configSchema must not define "enabled"';
+  }
+  if (definition.defaultSize !== undefined &&
+      !(isPositiveInteger(definition.defaultSize?.width) && isPositiveInteger(definition.defaultSize?.height))) {
+    return 'defaultSize must have a positive integer width and height';
+  }
+  if (definition.refreshIntervalMs !== undefined &&
+      !(Number.isFinite(definition.refreshIntervalMs) && definition.refreshIntervalMs >= MIN_REFRESH_INTERVAL_MS)) {
+    return `refreshIntervalMs must be at least ${MIN_REFRESH_INTERVAL_MS}`;
+  }
+  if (!fs.existsSync(path.join(directory, 'widget.js'))) return 'widget.js is missing';
+  return null;
+}
+
+/**
+ * Load every plugin in a directory, replacing the ones loaded before
+ * @param {string} [directory] - defaults to plugins/ in the app folder
+ * @returns {{loaded: string[], failed: Array<{id: string, error: string}>}}
+ */
+function loadPlugins(directory = DEFAULT_PLUGINS_DIR) {
+  plugins = new Map();
+  loadErrors = [];
+  if (!fs.existsSync(directory)) {
+    return { loaded: [], failed: [] };
+  }
+
+  const folders = fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  for (const id of folders) {
+    const pluginDir = path.join(directory, id);
+    const pluginFile = path.join(pluginDir, 'plugin.js');
+    if (!fs.existsSync(pluginFile)) continue;
+
+    let error = PLUGIN_ID_PATTERN.test(id) ? null : 'folder name must be lowercase letters, digits and dashes';
+    let definition = null;
+    if (!error) {
+      try {
+        definition = require(pluginFile);
+        error = checkDefinition(definition, pluginDir);
+      } catch (loadError) {
+        error = loadError.message;
+      }
+    }
+    if (error) {
+      loadErrors.push({ id, error });
+      logger.error(logger.categories.SMART_MIRROR, `[Plugins] Could not load ${id}: ${error}`);
+      continue;
+    }
+    plugins.set(id, { id, widgetKey: getWidgetKey(id), directory: pluginDir, definition });
+  }
+
+  if (plugins.size > 0) {
+    logger.info(logger.categories.SMART_MIRROR, `[Plugins] Loaded ${Array.from(plugins.keys()).join(', ')}`);
+  }
+  return { loaded: Array.from(plugins.keys()), failed: loadErrors.slice() };
+}
+
+function getPlugin(id) {
+  return plugins.get(id) || null;
+}
+
+function getPluginForWidget(widgetKey) {
+  if (typeof widgetKey !== 'string' || !widgetKey.startsWith(WIDGET_KEY_PREFIX)) return null;
+  return getPlugin(widgetKey.slice(WIDGET_KEY_PREFIX.length));
+}
+
+function getProperties(plugin) {
+  return plugin.definition.configSchema?.properties || {};
+}
+
+function getDefaultSize(plugin) {
+  return plugin.definition.defaultSize || DEFAULT_SIZE;
+}
+
+function getRefreshInterval(plugin) {
+  return plugin.definition.refreshIntervalMs || DEFAULT_REFRESH_INTERVAL_MS;
+}
+
+function getDefaultWidgetConfig(plugin) {
+  const widget = { enabled: false, size: 'medium' };
+  Object.entries(getProperties(plugin)).forEach(([name, property]) => {
+    if (property.default !== undefined) {
+      widget[name] = JSON.parse(JSON.stringify(property.default));
+    }
+  });
+  return widget;
+}
+
+/**
+ * Default widget configs of every plugin, keyed by widget key (switched off)
+ */
+function getDefaultWidgets() {
+  const widgets = {};
+  plugins.forEach(plugin => {
+    widgets[plugin.widgetKey] = getDefaultWidgetConfig(plugin);
+  });
+  return widgets;
+}
+
+/**
+ * Default layout entries of every plugin: top-left, at its default size
+ * @param {{columns: number, rows: number}} gridSize - keeps the size inside the grid
+ */
+function getDefaultLayout(gridSize) {
+  const layout = {};
+  plugins.forEach(plugin => {
+    const size = getDefaultSize(plugin);
+    layout[plugin.widgetKey] = {
+      x: 0,
+      y: 0,
+      width: Math.min(size.width, gridSize.columns),
+      height: Math.min(size.height, gridSize.rows)
+    };
+  });
+  return layout;
+}
+
+// The widget's config schema; required properties only apply to enabled widgets
+function getWidgetSchema(plugin, enabled) {
+  const schema = plugin.definition.configSchema || {};
+  return {
+    type: 'object',
+    required: enabled ? schema.required || [] : [],
+    properties: {
+      enabled: { type: 'boolean' },
+      size: { type: 'string', enum: ['small', 'medium', 'large'] },
+      ...getProperties(plugin)
+    },
+    additionalProperties: schema.additionalProperties
+  };
+}
+
+/**
+ * Problems with the plugin widgets of a submitted smart mirror config
+ * @param {Object} widgets - config.widgets
+ * @returns {Array<{path: string, message: string}>} empty when every plugin widget is valid
+ */
+function validateWidgetConfigs(widgets) {
+  // Required here rather than at the top: openapi → api-schemas → inbound-hooks → smartmirror → this module
+  const openapi = require('./openapi');
+  const problems = [];
+  Object.entries(widgets || {}).forEach(([widgetKey, widget]) => {
+    const plugin = getPluginForWidget(widgetKey);
+    if (!plugin) return;
+    // Blank form fields count as not set, so they only fail when required
+    const value = widget && typeof widget === 'object' && !Array.isArray(widget)
+      ? Object.fromEntries(Object.entries(widget).filter(([, property]) => property !== ''))
+      : widget;
+    openapi.validate(getWidgetSchema(plugin, widget?.enabled === true), value).forEach(problem => {
+      problems.push({ path: problem.path ? `widgets.${widgetKey}.${problem.path}` : `widgets.${widgetKey}`, message: problem.message });
+    });
+  });
+  return problems;
+}
+
+/**
+ * Keep the stored value of writeOnly properties (API keys) that were saved blank
+ * @param {Object} widgets - widgets about to be saved (changed in place)
+ * @param {Object} existingWidgets - widgets currently stored
+ */
+function preserveWriteOnlyValues(widgets, existingWidgets = {}) {
+  plugins.forEach(plugin => {
+    const widget = widgets[plugin.widgetKey];
+    const existing = existingWidgets[plugin.widgetKey];
+    if (!widget || !existing) return;
+    Object.entries(getProperties(plugin)).forEach(([name, property]) => {
+      if (property.writeOnly && (widget[name] === undefined || widget[name] === '') && existing[name]) {
+        widget[name] = existing[name];
+      }
+    });
+  });
+  return widgets;
+}
+
+/**
+ * A plugin widget's config without its writeOnly properties, for the mirrors
+ */
+function getPublicWidgetConfig(widgetKey, widget) {
+  const plugin = getPluginForWidget(widgetKey);
+  if (!plugin || !widget) return null;
+  const result = {};
+  Object.entries(getProperties(plugin)).forEach(([name, property]) => {
+    if (!property.writeOnly && widget[name] !== undefined) {
+      result[name] = widget[name];
+    }
+  });
+  return result;
+}
+
+/**
+ * Every loaded plugin as shown to the mirrors: where to load its renderer from
+ */
+function getPublicPlugins() {
+  return Array.from(plugins.values()).map(plugin => ({
+    id: plugin.id,
+    widgetKey: plugin.widgetKey,
+    name: plugin.definition.name,
+    icon: plugin.definition.icon || '🧩',
+    script: `/smart-mirror/plugins/${plugin.id}/widget.js`
+  }));
+}
+
+/**
+ * Every loaded plugin with its schema and defaults, for the grid editor
+ */
+function listPlugins() {
+  return Array.from(plugins.values()).map(plugin => ({
+    id: plugin.id,
+    widgetKey: plugin.widgetKey,
+    name: plugin.definition.name,
+    icon: plugin.definition.icon || '🧩',
+    description: plugin.definition.description || '',
+    defaultSize: getDefaultSize(plugin),
+    refreshIntervalMs: getRefreshInterval(plugin),
+    configSchema: plugin.definition.configSchema || { type: 'object', properties: {} },
+    defaults: getDefaultWidgetConfig(plugin)
+  }));
+}
+
+function getLoadErrors() {
+  return loadErrors.slice();
+}
+
+/**
+ * The browser-side renderer of a loaded plugin, or null
+ */
+function getRendererPath(id) {
+  const plugin = getPlugin(id);
+  return plugin ? path.join(plugin.directory, 'widget.js') : null;
+}
+
+/**
+ * Sources for smart-mirror-push, one per plugin
+ */
+function getPushSources() {
+  return Array.from(plugins.values()).map(plugin => ({
+    id: plugin.widgetKey,
+    widget: plugin.widgetKey,
+    path: `/api/smart-mirror/plugins/${plugin.id}/data`,
+    intervalMs: getRefreshInterval(plugin)
+  }));
+}
+
+function createPluginLogger(id) {
+  const category = logger.categories.SMART_MIRROR;
+  return {
+    info: message => logger.info(category, `[Plugin ${id}] ${message}`),
+    warning: message => logger.warning(category, `[Plugin ${id}] ${message}`),
+    error: message => logger.error(category, `[Plugin ${id}] ${message}`)
+  };
+}
+
+/**
+ * Run a plugin's data provider
+ * @param {string} id
+ * @param {Object} widgetConfig - the plugin widget's stored config
+ * @returns {Promise<Object>} { success, data } or { success: false, error }
+ */
+async function fetchData(id, widgetConfig) {
+  const plugin = getPlugin(id);
+  if (!plugin) {
+    return { success: false, error: `Unknown widget plugin: ${id}` };
+  }
+  let timer = null;
+  try {
+    const data = await Promise.race([
+      Promise.resolve(plugin.definition.getData({ ...widgetConfig }, { logger: createPluginLogger(id) })),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${DATA_TIMEOUT_MS / 1000}s`)), DATA_TIMEOUT_MS);
+      })
+    ]);
+    return { success: true, data: data === undefined ? null : data };
+  } catch (error) {
+    logger.warning(logger.categories.SMART_MIRROR, `[Plugins] ${plugin.definition.name} data failed: ${error.message}`);
+    return { success: false, error: `${plugin.definition.name}: ${error.message}` };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  DEFAULT_PLUGINS_DIR,
+  loadPlugins,
+  getPlugin,
+  getPluginForWidget,
+  getDefaultWidgets,
+  getDefaultLayout,
+  validateWidgetConfigs,
+  preserveWriteOnlyValues,
+  getPublicWidgetConfig,
+  getPublicPlugins,
+  listPlugins,
+  getLoadErrors,
+  getRendererPath,
+  getPushSources,
+  fetchData
+};
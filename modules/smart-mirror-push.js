@@ -0,0 +1,369 @@
+/**
+ * Smart Mirror Push Module
+ *
+ * Keeps the latest data of every smart mirror source (weather, calendar,
+ * news, Home Assistant media, ...) on the server and pushes it to connected
+ * mirrors over a WebSocket at /api/smart-mirror/ws, so a house full of
+ * mirrors and kiosks no longer repeats the same fan-out to OpenWeather and
+ * Home Assistant on every refresh tick.
+ *
+ * Each source is refreshed through its own public endpoint (so a pushed
+ * payload is exactly what polling that endpoint returns) on its own
+ * interval, and only while at least one mirror is connected.  A source is
+ * sent to the mirrors only when its payload changed.  Sources of disabled
+ * widgets are skipped.
+ *
+ * Messages (server → mirror, JSON):
+ *   { type: 'config', config }                           public config for the mirror's orientation
+ *   { type: 'source', source, widget, data, updatedAt }  on connect, then whenever the data changes
+ *
+ * Mirrors pass their orientation in the URL (?orientation=portrait|landscape)
+ * and, for a named mirror profile, the profile (?profile=<id>).  Each profile
+ * that has mirrors connected gets its own copy of the sources, fetched with
+ * ?profile=<id>, and its mirrors only receive those.
+ * Saving the smart mirror configuration (event smartmirror.config.saved)
+ * pushes the new config to every mirror and refreshes every source.
+ *
+ * Widget plugins add their own sources with registerSource().
+ *
+ * Mirrors that cannot connect keep polling the endpoints as before.
+ */
+
+'use strict';
+
+const WebSocket = require('ws');
+const logger = require('./logger');
+const eventBus = require('./event-bus');
+
+const WS_PATH = '/api/smart-mirror/ws';
+const MAX_CLIENTS = 25;
+const HEARTBEAT_MS = 30000;
+const FETCH_TIMEOUT_MS = 30000;
+const PROFILE_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+const SOURCES = [
+  { id: 'calendar', widget: 'calendar', path: '/api/smart-mirror/calendar', intervalMs: 5 * 60 * 1000 },
+  { id: 'weather', widget: 'weather', path: '/api/smart-mirror/weather', intervalMs: 10 * 60 * 1000 },
+  { id: 'forecast', widget: 'forecast', path: '/api/smart-mirror/forecast', intervalMs: 30 * 60 * 1000 },
+  { id: 'news', widget: 'news', path: '/api/smart-mirror/news', intervalMs: 15 * 60 * 1000 },
+  { id: 'news-vacation', widget: 'news', path: '/api/smart-mirror/news/vacation', intervalMs: 30 * 60 * 1000 },
+  { id: 'news-calendar', widget: 'news', path: '/api/smart-mirror/news/calendar', intervalMs: 30 * 60 * 1000 },
+  { id: 'media', widget: 'media', path: '/api/smart-mirror/media', intervalMs: 10 * 1000 },
+  { id: 'vacation', widget: 'vacation', path: '/api/smart-mirror/vacation', intervalMs: 5 * 60 * 1000 },
+  { id: 'air-quality', widget: 'airQuality', path: '/api/smart-mirror/air-quality', intervalMs: 15 * 60 * 1000 },
+  { id: 'smart-widget', widget: 'smartWidget', path: '/api/smart-mirror/smart-widget', intervalMs: 60 * 1000 }
+];
+
+let options = {
+  baseUrl: null,
+  getPublicConfig: () => ({}),
+  isWidgetEnabled: () => true,
+  fetchSource: null
+};
+let wss = null;
+let heartbeat = null;
+let unsubscribe = null;
+const clients = new Set();
+// key -> { definition, data, json, updatedAt, lastError, refreshing, timer }
+// The default profile's sources are keyed by their id, a named profile's copies by "<profile>/<id>"
+const sources = new Map(SOURCES.map(definition => [definition.id, createSource(definition)]));
+
+function createSource(definition) {
+  return { definition, data: null, json: null, updatedAt: null, lastError: null, refreshing: null, timer: null };
+}
+
+/**
+ * Initialize the aggregator
+ * @param {Object} settings
+ * @param {string} settings.baseUrl - where the source endpoints are served, e.g. http://127.0.0.1:3000
+ * @param {Function} settings.getPublicConfig - (orientation, profile) => public smart mirror config, null for an unknown profile
+ * @param {Function} settings.isWidgetEnabled - (widget, profile) => whether the widget is switched on
+ * @param {Function} [settings.fetchSource] - async (definition) => payload; defaults to a GET of definition.path
+ */
+function init(settings = {}) {
+  options = { ...options, ...settings };
+  if (!unsubscribe) {
+    unsubscribe = eventBus.on('smartmirror.config.saved', () => {
+      broadcastConfig();
+      refreshAll();
+    });
+  }
+}
+
+async function defaultFetchSource(definition) {
+  const response = await fetch(`${options.baseUrl}${definition.path}`, {
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  // Error responses carry { success: false, error } for the widget to show
+  return response.json();
+}
+
+function send(client, message) {
+  if (client.readyState === WebSocket.OPEN) {
+    client.send(JSON.stringify(message));
+  }
+}
+
+function sourceMessage(source) {
+  return {
+    type: 'source',
+    source: source.definition.id,
+    widget: source.definition.widget,
+    data: source.data,
+    updatedAt: source.updatedAt
+  };
+}
+
+/**
+ * Add a source next to the built-in ones (e.g. a widget plugin's data endpoint)
+ * @param {Object} definition - { id, widget, path, intervalMs }
+ * @returns {Object} { success } or { success: false, error }
+ */
+function registerSource(definition) {
+  const { id, widget, path, intervalMs } = definition || {};
+  if (!id || !widget || !path || !(intervalMs > 0)) {
+    return { success: false, error: 'A source needs an id, widget, path and intervalMs' };
+  }
+  if (sources.has(id)) {
+    return { success: false, error: `Source ${id} is already registered` };
+  }
+  sources.set(id, createSource({ id, widget, path, intervalMs }));
+  // Mirrors are already connected: start refreshing the new source too
+  if (clients.size > 0) {
+    syncTimers();
+  }
+  return { success: true };
+}
+
+// Whether a mirror shows the profile a source is fetched for (null: the default profile)
+function showsProfile(client, profile) {
+  return client.profile === (profile || null);
+}
+
+// Copies of the default profile's sources for a named profile
+function addProfileSources(profile) {
+  Array.from(sources.values())
+    .filter(source => !source.definition.profile)
+    .forEach(({ definition }) => {
+      const key = `${profile}/${definition.id}`;
+      if (sources.has(key)) return;
+      const separator = definition.path.includes('?') ? '&' : '?';
+      sources.set(key, createSource({
+        ...definition,
+        path: `${definition.path}${separator}profile=${encodeURIComponent(profile)}`,
+        profile
+      }));
+    });
+}
+
+/**
+ * Fetch a source now and push it to the mirrors if it changed.
+ * Concurrent calls share the fetch in progress.
+ * @param {string} id - source id; "<profile>/<id>" for a named profile's copy
+ * @returns {Promise<Object>} { success, changed } or { success: false, error }
+ */
+function refreshSource(id) {
+  const source = sources.get(id);
+  if (!source) {
+    return Promise.resolve({ success: false, error: `Unknown source: ${id}` });
+  }
+  if (source.refreshing) {
+    return source.refreshing;
+  }
+  if (!options.isWidgetEnabled(source.definition.widget, source.definition.profile || null)) {
+    return Promise.resolve({ success: true, changed: false, skipped: true });
+  }
+
+  source.refreshing = (async () => {
+    try {
+      const data = await (options.fetchSource || defaultFetchSource)(source.definition);
+      source.lastError = null;
+      const json = JSON.stringify(data);
+      if (json === source.json) {
+        return { success: true, changed: false };
+      }
+      source.data = data;
+      source.json = json;
+      source.updatedAt = new Date().toISOString();
+      const message = sourceMessage(source);
+      clients.forEach(client => {
+        if (showsProfile(client, source.definition.profile)) send(client, message);
+      });
+      return { success: true, changed: true };
+    } catch (error) {
+      source.lastError = error.message;
+      logger.warning(logger.categories.SMART_MIRROR, `[Mirror Push] Could not refresh ${source.definition.id}: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      source.refreshing = null;
+    }
+  })();
+  return source.refreshing;
+}
+
+function refreshAll() {
+  return Promise.all(Array.from(sources.keys()).map(id => refreshSource(id)));
+}
+
+// Timers only run for profiles with a mirror connected; stale sources are fetched right away
+function syncTimers() {
+  const profiles = new Set(Array.from(clients, client => client.profile));
+  profiles.forEach(profile => {
+    if (profile) addProfileSources(profile);
+  });
+  const now = Date.now();
+  sources.forEach((source, key) => {
+    if (!profiles.has(source.definition.profile || null)) {
+      clearInterval(source.timer);
+      source.timer = null;
+      return;
+    }
+    if (source.timer) return;
+    const { intervalMs } = source.definition;
+    source.timer = setInterval(() => refreshSource(key), intervalMs);
+    source.timer.unref();
+    if (!source.updatedAt || now - Date.parse(source.updatedAt) >= intervalMs) {
+      refreshSource(key);
+    }
+  });
+}
+
+function stopTimers() {
+  sources.forEach(source => {
+    clearInterval(source.timer);
+    source.timer = null;
+  });
+}
+
+function broadcastConfig() {
+  const configs = new Map();
+  clients.forEach(client => {
+    const key = `${client.profile || ''}|${client.orientation}`;
+    if (!configs.has(key)) {
+      configs.set(key, options.getPublicConfig(client.orientation, client.profile));
+    }
+    // A deleted profile has no config; its mirrors keep the last one
+    if (configs.get(key)) {
+      send(client, { type: 'config', config: configs.get(key) });
+    }
+  });
+}
+
+function handleConnection(client, orientation, profile, config) {
+  client.orientation = orientation;
+  client.profile = profile;
+  client.isAlive = true;
+  clients.add(client);
+  logger.info(logger.categories.SMART_MIRROR, `[Mirror Push] Mirror connected (${orientation || 'any orientation'}${profile ? `, profile ${profile}` : ''}, ${clients.size} connected)`);
+
+  client.on('pong', () => { client.isAlive = true; });
+  client.on('close', () => {
+    clients.delete(client);
+    logger.info(logger.categories.SMART_MIRROR, `[Mirror Push] Mirror disconnected (${clients.size} connected)`);
+    syncTimers();
+  });
+  client.on('error', error => {
+    logger.warning(logger.categories.SMART_MIRROR, `[Mirror Push] Connection error: ${error.message}`);
+  });
+
+  send(client, { type: 'config', config });
+  sources.forEach(source => {
+    if (source.updatedAt && showsProfile(client, source.definition.profile)) send(client, sourceMessage(source));
+  });
+  syncTimers();
+}
+
+function rejectUpgrade(socket, status) {
+  socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Accept mirror connections on the HTTP server's upgrade requests
+ * @param {http.Server} server
+ */
+function attach(server) {
+  wss = new WebSocket.Server({ noServer: true, maxPayload: 1024 });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== WS_PATH) {
+      return rejectUpgrade(socket, '404 Not Found');
+    }
+    if (clients.size >= MAX_CLIENTS) {
+      logger.warning(logger.categories.SMART_MIRROR, `[Mirror Push] Refused connection from ${req.socket.remoteAddress}: ${MAX_CLIENTS} mirrors already connected`);
+      return rejectUpgrade(socket, '503 Service Unavailable');
+    }
+    const orientation = ['portrait', 'landscape'].includes(url.searchParams.get('orientation'))
+      ? url.searchParams.get('orientation')
+      : null;
+    const requestedProfile = url.searchParams.get('profile');
+    const profile = requestedProfile && requestedProfile !== 'default' ? requestedProfile : null;
+    const config = profile && !PROFILE_PATTERN.test(profile) ? null : options.getPublicConfig(orientation, profile);
+    if (!config) {
+      return rejectUpgrade(socket, '404 Not Found');
+    }
+    wss.handleUpgrade(req, socket, head, client => handleConnection(client, orientation, profile, config));
+  });
+
+  // Drop mirrors that stopped answering pings (e.g. a kiosk that lost its network)
+  heartbeat = setInterval(() => {
+    clients.forEach(client => {
+      if (!client.isAlive) {
+        client.terminate();
+        return;
+      }
+      client.isAlive = false;
+      client.ping();
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+}
+
+/**
+ * Connected mirrors and the state of every source, for diagnostics
+ */
+function getStatus() {
+  return {
+    clients: clients.size,
+    running: Array.from(sources.values()).some(source => source.timer !== null),
+    sources: Array.from(sources.values()).map(source => {
+      const { definition } = source;
+      return {
+        id: definition.id,
+        profile: definition.profile || 'default',
+        widget: definition.widget,
+        path: definition.path,
+        intervalMs: definition.intervalMs,
+        updatedAt: source.updatedAt,
+        lastError: source.lastError
+      };
+    })
+  };
+}
+
+/**
+ * Disconnect every mirror and stop refreshing
+ */
+function close() {
+  stopTimers();
+  clearInterval(heartbeat);
+  heartbeat = null;
+  clients.forEach(client => client.terminate());
+  clients.clear();
+  if (wss) {
+    wss.close();
+    wss = null;
+  }
+}
+
+module.exports = {
+  WS_PATH,
+  SOURCES,
+  init,
+  attach,
+  registerSource,
+  refreshSource,
+  getStatus,
+  close
+};
@@ -1,7 +1,12 @@
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
 const logger = require('./logger');
+const secrets = require('./secrets');
+const migrations = require('./migrations');
+const metrics = require('./metrics');
+const eventBus = require('./event-bus');
+const smartMirrorPlugins = require('./smart-mirror-plugins');
+const auditLog = require('./audit-log');
 const axios = require('axios');
 const Parser = require('rss-parser');
 const ical = require('node-ical');
@@ -18,18 +23,29 @@ const DEFAULT_CALENDAR_CACHE_TTL = 600; // Default: 10 minutes in seconds
 const CALENDAR_CACHE_BACKOFF_MS = 30000; // 30 seconds backoff on errors
 const DEFAULT_HA_REFRESH_INTERVAL_MS = 60000; // Default HA data refresh: 1 minute
 
+// Named profiles (profiles.<id> in the config) give a mirror its own widgets,
+// layouts and theme; everything else (API keys, flight API, calendar filters)
+// is shared.  The top-level settings are the "default" profile served at
+// /smart-mirror and /smart-mirror-l.
+const DEFAULT_PROFILE_ID = 'default';
+const PROFILE_SETTINGS = ['theme', 'widgets', 'layouts', 'gridSize', 'autoThemeSwitch'];
+const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const RESERVED_PROFILE_IDS = [DEFAULT_PROFILE_ID, 'plugins'];
+// Widget settings every profile takes from the default profile
+const SHARED_WIDGET_SETTINGS = ['apiKey', 'tomtomApiKey'];
+
 let config = null;
 const CONFIG_FILE = path.join(__dirname, '..', 'config', 'smartmirror-config.json.enc');
-const ENCRYPTION_KEY = process.env.SMARTMIRROR_KEY || 'smartmirror-default-key-change-in-production';
 
 // Calendar cache state - stores fetched calendar data with metadata
 const calendarCache = {
-  data: null,           // Cached calendar events
+  data: null,           // Most recently fetched calendar events (for the status page)
   timestamp: 0,         // When data was last fetched
+  feedSets: {},        // { data, timestamp, lastFetchAttempt } by feed list; profiles can show different calendars
+  eventsByUrl: {},     // Upcoming events by URL, reused when a feed answers 304 or fails
   etags: {},           // ETags by URL for conditional requests
   lastModified: {},    // Last-Modified headers by URL
-  errors: {},          // Error state by URL
-  lastFetchAttempt: 0  // Last attempt timestamp (for backoff)
+  errors: {}           // Error state by URL
 };
 
 // Minimum traffic delay (in seconds) considered notable enough to highlight in the UI
@@ -58,13 +74,8 @@ const HOME_ASSISTANT_AXIOS_CONFIG = {
   }
 };
 
-// Warn if using default encryption key
-if (!process.env.SMARTMIRROR_KEY) {
-  console.warn('⚠️  [Smart Mirror] Using default encryption key. Set SMARTMIRROR_KEY environment variable for production.');
-  logger.warning(logger.categories.SMART_MIRROR, 'Using default encryption key - set SMARTMIRROR_KEY for production');
-} else {
-  logger.info(logger.categories.SMART_MIRROR, 'Using custom SMARTMIRROR_KEY from environment');
-}
+// Default-key warnings for this file are logged by the secrets vault at startup
+secrets.registerStore({ id: 'smartMirror', label: 'Smart Mirror', filePath: CONFIG_FILE, legacy: 'smartMirror' });
 
 // Log initialization details
 logger.debug(logger.categories.SMART_MIRROR, `Config file path: ${CONFIG_FILE}`);
@@ -77,8 +88,10 @@ function init(serverConfig) {
   logger.logSmartMirrorDiagnostics('Module initialization', {
     configFile: CONFIG_FILE,
     configFileExists: fs.existsSync(CONFIG_FILE),
-    hasCustomEncryptionKey: !!process.env.SMARTMIRROR_KEY
+    encryption: secrets.getStoreStatus('smartMirror')?.encryption
   });
+  // Apply any pending schema migrations at startup
+  loadConfig();
 }
 
 // Get default widget configuration (shared by both orientations)
@@ -231,7 +244,9 @@ function getDefaultWidgets() {
       units: 'imperial',
       entityIds: [], // Media player entity IDs
       homeAddress: ''   // Starting address for drive-time calculations
-    }
+    },
+    // Widgets of the plugins in plugins/ (see smart-mirror-plugins.js)
+    ...smartMirrorPlugins.getDefaultWidgets()
   };
 }
 
@@ -247,7 +262,8 @@ function getDefaultPortraitLayout() {
     media: { x: 0, y: 4, width: 4, height: 2 },
     vacation: { x: 2, y: 4, width: 2, height: 2 },
     airQuality: { x: 0, y: 4, width: 1, height: 1 },
-    smartWidget: { x: 0, y: 2, width: 4, height: 2 }
+    smartWidget: { x: 0, y: 2, width: 4, height: 2 },
+    ...smartMirrorPlugins.getDefaultLayout({ columns: 4, rows: 6 })
   };
 }
 
@@ -263,13 +279,15 @@ function getDefaultLandscapeLayout() {
     forecast: { x: 0, y: 3, width: 8, height: 1 },
     media: { x: 6, y: 1, width: 2, height: 2 },
     vacation: { x: 6, y: 3, width: 2, height: 1 },
-    smartWidget: { x: 2, y: 1, width: 4, height: 2 }
+    smartWidget: { x: 2, y: 1, width: 4, height: 2 },
+    ...smartMirrorPlugins.getDefaultLayout({ columns: 8, rows: 4 })
   };
 }
 
 // Get default smart mirror configuration
 function getDefaultConfig() {
   return {
+    schemaVersion: migrations.getLatestVersion(SCHEMA_MIGRATIONS),
     enabled: false,
     widgets: getDefaultWidgets(),
     layouts: {
@@ -310,6 +328,7 @@ function getDefaultConfig() {
       monthlyLimit: 100
     },
     tomtomApiKey: '', // For drive-time sub-widget (TomTom Routing & Search API)
+    profiles: {}, // Named mirror profiles, see getProfileConfig()
     calendarEventFilters: {
       enabled: false,
       rules: []
@@ -470,199 +489,27 @@ function scaleWidgetPosition(position, oldGridSize, newGridSize) {
   };
 }
 
-// Migrate old config format to new dual-layout format
-function migrateConfig(oldConfig) {
-  // Check if config already has layouts structure
-  if (oldConfig.layouts) {
-    // Check if gridSize needs migration from single object to per-orientation
-    if (oldConfig.gridSize && !oldConfig.gridSize.portrait && !oldConfig.gridSize.landscape) {
-      logger.info(logger.categories.SMART_MIRROR, 'Migrating gridSize to per-orientation format');
-      
-      const oldGridSize = oldConfig.gridSize;
-      const defaultConfig = getDefaultConfig();
-      const newPortraitGridSize = defaultConfig.gridSize.portrait;
-      const newLandscapeGridSize = defaultConfig.gridSize.landscape;
-      
-      // Scale existing layouts to new grid sizes
-      const scaledPortraitLayout = {};
-      const scaledLandscapeLayout = {};
-      
-      Object.keys(oldConfig.layouts.portrait || {}).forEach(widgetKey => {
-        scaledPortraitLayout[widgetKey] = scaleWidgetPosition(
-          oldConfig.layouts.portrait[widgetKey],
-          oldGridSize,
-          newPortraitGridSize
-        );
-      });
-      
-      Object.keys(oldConfig.layouts.landscape || {}).forEach(widgetKey => {
-        scaledLandscapeLayout[widgetKey] = scaleWidgetPosition(
-          oldConfig.layouts.landscape[widgetKey],
-          oldGridSize,
-          newLandscapeGridSize
-        );
-      });
-      
-      return {
-        ...oldConfig,
-        gridSize: {
-          portrait: newPortraitGridSize,
-          landscape: newLandscapeGridSize
-        },
-        layouts: {
-          portrait: scaledPortraitLayout,
-          landscape: scaledLandscapeLayout
-        }
-      };
-    }
-    
-    // Already in new format - but check for missing widgets
-    const defaultWidgets = getDefaultWidgets();
-    const defaultPortrait = getDefaultPortraitLayout();
-    const defaultLandscape = getDefaultLandscapeLayout();
-    
-    let needsUpdate = false;
-    const updatedWidgets = { ...oldConfig.widgets };
-    const updatedPortrait = { ...(oldConfig.layouts.portrait || {}) };
-    const updatedLandscape = { ...(oldConfig.layouts.landscape || {}) };
-    
-    // Add any missing widgets with defaults
-    Object.keys(defaultWidgets).forEach(widgetKey => {
-      if (!updatedWidgets[widgetKey]) {
-        logger.info(logger.categories.SMART_MIRROR, `Adding missing widget: ${widgetKey}`);
-        updatedWidgets[widgetKey] = defaultWidgets[widgetKey];
-        updatedPortrait[widgetKey] = defaultPortrait[widgetKey];
-        updatedLandscape[widgetKey] = defaultLandscape[widgetKey];
-        needsUpdate = true;
-      }
-    });
-
-    const existingSmartSubWidgets = updatedWidgets.smartWidget?.subWidgets;
-    const defaultSmartSubWidgets = defaultWidgets.smartWidget?.subWidgets;
-    if (Array.isArray(existingSmartSubWidgets) && Array.isArray(defaultSmartSubWidgets)) {
-      const existingByType = new Map(
-        existingSmartSubWidgets
-          .filter(subWidget => subWidget && subWidget.type)
-          .map(subWidget => [subWidget.type, subWidget])
+// Scale every widget of both layouts from one grid size to the per-orientation defaults
+function scaleLayouts(layouts, oldGridSize, gridSize) {
+  const scaled = { portrait: {}, landscape: {} };
+  ['portrait', 'landscape'].forEach(orientation => {
+    Object.keys(layouts?.[orientation] || {}).forEach(widgetKey => {
+      scaled[orientation][widgetKey] = scaleWidgetPosition(
+        layouts[orientation][widgetKey],
+        oldGridSize,
+        gridSize[orientation]
       );
-      const mergedSubWidgets = [];
-
-      defaultSmartSubWidgets.forEach(defaultSubWidget => {
-        const existingSubWidget = existingByType.get(defaultSubWidget.type);
-        if (existingSubWidget) {
-          mergedSubWidgets.push({ ...defaultSubWidget, ...existingSubWidget });
-          existingByType.delete(defaultSubWidget.type);
-        } else {
-          logger.info(
-            logger.categories.SMART_MIRROR,
-            `Adding missing smart widget sub-widget: ${defaultSubWidget.type}`
-          );
-          mergedSubWidgets.push(defaultSubWidget);
-          needsUpdate = true;
-        }
-      });
-
-      if (existingByType.size > 0) {
-        mergedSubWidgets.push(...existingByType.values());
-      }
-
-      const subWidgetsChanged = mergedSubWidgets.length !== existingSmartSubWidgets.length ||
-        mergedSubWidgets.some((subWidget, index) =>
-          JSON.stringify(subWidget) !== JSON.stringify(existingSmartSubWidgets[index])
-        );
-
-      if (subWidgetsChanged) {
-        updatedWidgets.smartWidget = {
-          ...updatedWidgets.smartWidget,
-          subWidgets: mergedSubWidgets
-        };
-        needsUpdate = true;
-      }
-    }
-    
-    if (needsUpdate) {
-      return {
-        ...oldConfig,
-        widgets: updatedWidgets,
-        layouts: {
-          portrait: updatedPortrait,
-          landscape: updatedLandscape
-        }
-      };
-    }
-    
-    // Check if autoThemeSwitch is missing and add it
-    if (!oldConfig.autoThemeSwitch) {
-      logger.info(logger.categories.SMART_MIRROR, 'Adding missing autoThemeSwitch configuration');
-      return {
-        ...oldConfig,
-        autoThemeSwitch: getDefaultConfig().autoThemeSwitch
-      };
-    }
-    
-    // Migrate TomTom API key from widgets.smartWidget to top-level if needed
-    if (!oldConfig.tomtomApiKey && oldConfig.widgets?.smartWidget?.tomtomApiKey) {
-      logger.info(logger.categories.SMART_MIRROR, 'Migrating TomTom API key to top-level configuration');
-      const { tomtomApiKey, ...smartWidgetWithoutKey } = oldConfig.widgets.smartWidget;
-      return {
-        ...oldConfig,
-        tomtomApiKey,
-        widgets: {
-          ...oldConfig.widgets,
-          smartWidget: smartWidgetWithoutKey
-        }
-      };
-    }
-
-    // Migrate homeAssistantBattery sub-widget: preserve existing friendlyName as groupName override
-    // and add missing haRefreshInterval
-    {
-      const subWidgets = oldConfig.widgets?.smartWidget?.subWidgets;
-      if (Array.isArray(subWidgets)) {
-        const batteryIdx = subWidgets.findIndex(sw => sw.type === 'homeAssistantBattery');
-        if (batteryIdx !== -1) {
-          const battery = subWidgets[batteryIdx];
-          let changed = false;
-          const updatedDevices = (battery.trackedDevices || []).map(device => {
-            // Migrate non-empty friendlyName to groupName if groupName not yet set,
-            // so existing custom names are preserved as explicit overrides.
-            if (device.friendlyName && !device.groupName) {
-              changed = true;
-              return { ...device, groupName: device.friendlyName, friendlyName: '' };
-            }
-            return device;
-          });
-          const needsRefreshInterval = battery.haRefreshInterval === undefined || battery.haRefreshInterval === null;
-          if (changed || needsRefreshInterval) {
-            logger.info(logger.categories.SMART_MIRROR,
-              'Migrating homeAssistantBattery sub-widget (groupName/haRefreshInterval)');
-            const updatedSubWidgets = [...subWidgets];
-            updatedSubWidgets[batteryIdx] = {
-              ...battery,
-              trackedDevices: changed ? updatedDevices : battery.trackedDevices,
-              haRefreshInterval: needsRefreshInterval ? DEFAULT_HA_REFRESH_INTERVAL_MS : battery.haRefreshInterval
-            };
-            return {
-              ...oldConfig,
-              widgets: {
-                ...oldConfig.widgets,
-                smartWidget: {
-                  ...oldConfig.widgets.smartWidget,
-                  subWidgets: updatedSubWidgets
-                }
-              }
-            };
-          }
-        }
-      }
-    }
+    });
+  });
+  return scaled;
+}
 
-    // Already in new format
+// v1: old single-grid format – widgets carried their own gridPosition
+function migrateToDualLayout(oldConfig) {
+  if (oldConfig.layouts) {
     return oldConfig;
   }
   
-  logger.info(logger.categories.SMART_MIRROR, 'Migrating config to dual-layout format');
-  
   // Determine old grid size
   const oldGridSize = oldConfig.gridSize || { columns: 4, rows: 3 };
   const defaultConfig = getDefaultConfig();
@@ -737,34 +584,167 @@ function migrateConfig(oldConfig) {
     });
   }
   
-  // Fill in any missing widgets with defaults
+  return migratedConfig;
+}
+
+// v2: layouts existed but gridSize was a single { columns, rows } object
+function migrateGridSizePerOrientation(oldConfig) {
+  if (!oldConfig.gridSize || oldConfig.gridSize.portrait || oldConfig.gridSize.landscape) {
+    return oldConfig;
+  }
+  const gridSize = getDefaultConfig().gridSize;
+  return {
+    ...oldConfig,
+    gridSize,
+    layouts: scaleLayouts(oldConfig.layouts, oldConfig.gridSize, gridSize)
+  };
+}
+
+// v3: widgets and smart widget sub-widgets added since the file was written
+function addMissingWidgets(oldConfig) {
   const defaultWidgets = getDefaultWidgets();
   const defaultPortrait = getDefaultPortraitLayout();
   const defaultLandscape = getDefaultLandscapeLayout();
   
+  const updatedWidgets = { ...oldConfig.widgets };
+  const updatedPortrait = { ...(oldConfig.layouts?.portrait || {}) };
+  const updatedLandscape = { ...(oldConfig.layouts?.landscape || {}) };
+  
+  // Add any missing widgets with defaults
   Object.keys(defaultWidgets).forEach(widgetKey => {
-    if (!migratedConfig.widgets[widgetKey]) {
-      migratedConfig.widgets[widgetKey] = defaultWidgets[widgetKey];
-      migratedConfig.layouts.portrait[widgetKey] = defaultPortrait[widgetKey];
-      migratedConfig.layouts.landscape[widgetKey] = defaultLandscape[widgetKey];
+    if (!updatedWidgets[widgetKey]) {
+      logger.info(logger.categories.SMART_MIRROR, `Adding missing widget: ${widgetKey}`);
+      updatedWidgets[widgetKey] = defaultWidgets[widgetKey];
+      updatedPortrait[widgetKey] = defaultPortrait[widgetKey];
+      updatedLandscape[widgetKey] = defaultLandscape[widgetKey];
     }
   });
+
+  const existingSmartSubWidgets = updatedWidgets.smartWidget?.subWidgets;
+  const defaultSmartSubWidgets = defaultWidgets.smartWidget?.subWidgets;
+  if (Array.isArray(existingSmartSubWidgets) && Array.isArray(defaultSmartSubWidgets)) {
+    const existingByType = new Map(
+      existingSmartSubWidgets
+        .filter(subWidget => subWidget && subWidget.type)
+        .map(subWidget => [subWidget.type, subWidget])
+    );
+    const mergedSubWidgets = [];
+
+    defaultSmartSubWidgets.forEach(defaultSubWidget => {
+      const existingSubWidget = existingByType.get(defaultSubWidget.type);
+      if (existingSubWidget) {
+        mergedSubWidgets.push({ ...defaultSubWidget, ...existingSubWidget });
+        existingByType.delete(defaultSubWidget.type);
+      } else {
+        logger.info(
+          logger.categories.SMART_MIRROR,
+          `Adding missing smart widget sub-widget: ${defaultSubWidget.type}`
+        );
+        mergedSubWidgets.push(defaultSubWidget);
+      }
+    });
+
+    if (existingByType.size > 0) {
+      mergedSubWidgets.push(...existingByType.values());
+    }
+
+    updatedWidgets.smartWidget = {
+      ...updatedWidgets.smartWidget,
+      subWidgets: mergedSubWidgets
+    };
+  }
   
-  logger.success(logger.categories.SMART_MIRROR, 'Config migration completed');
-  return migratedConfig;
+  return {
+    ...oldConfig,
+    widgets: updatedWidgets,
+    layouts: {
+      portrait: updatedPortrait,
+      landscape: updatedLandscape
+    }
+  };
+}
+
+// v5: TomTom API key moved from widgets.smartWidget to the top level
+function moveTomTomApiKey(oldConfig) {
+  if (!oldConfig.widgets?.smartWidget || !('tomtomApiKey' in oldConfig.widgets.smartWidget)) {
+    return oldConfig;
+  }
+  const { tomtomApiKey, ...smartWidgetWithoutKey } = oldConfig.widgets.smartWidget;
+  return {
+    ...oldConfig,
+    tomtomApiKey: oldConfig.tomtomApiKey || tomtomApiKey || '',
+    widgets: {
+      ...oldConfig.widgets,
+      smartWidget: smartWidgetWithoutKey
+    }
+  };
 }
 
-// Encrypt data
+// v6: homeAssistantBattery sub-widget – preserve existing friendlyName as a
+// groupName override and add the missing haRefreshInterval
+function migrateBatterySubWidget(oldConfig) {
+  const subWidgets = oldConfig.widgets?.smartWidget?.subWidgets;
+  if (!Array.isArray(subWidgets)) {
+    return oldConfig;
+  }
+  const batteryIdx = subWidgets.findIndex(sw => sw.type === 'homeAssistantBattery');
+  if (batteryIdx === -1) {
+    return oldConfig;
+  }
+  const battery = subWidgets[batteryIdx];
+  const updatedSubWidgets = [...subWidgets];
+  updatedSubWidgets[batteryIdx] = {
+    ...battery,
+    // Migrate non-empty friendlyName to groupName if groupName not yet set,
+    // so existing custom names are preserved as explicit overrides.
+    trackedDevices: (battery.trackedDevices || []).map(device =>
+      (device.friendlyName && !device.groupName)
+        ? { ...device, groupName: device.friendlyName, friendlyName: '' }
+        : device
+    ),
+    haRefreshInterval: (battery.haRefreshInterval === undefined || battery.haRefreshInterval === null)
+      ? DEFAULT_HA_REFRESH_INTERVAL_MS
+      : battery.haRefreshInterval
+  };
+  return {
+    ...oldConfig,
+    widgets: {
+      ...oldConfig.widgets,
+      smartWidget: {
+        ...oldConfig.widgets.smartWidget,
+        subWidgets: updatedSubWidgets
+      }
+    }
+  };
+}
+
+// Ordered schema migrations for smartmirror-config.json.enc (run by modules/migrations.js).
+// Add new steps at the end with the next version number; never renumber.
+const SCHEMA_MIGRATIONS = [
+  { version: 1, description: 'Convert to dual portrait/landscape layouts', up: migrateToDualLayout },
+  { version: 2, description: 'Split grid size per orientation and rescale layouts', up: migrateGridSizePerOrientation },
+  { version: 3, description: 'Add missing widgets and smart widget sub-widgets', up: addMissingWidgets },
+  {
+    version: 4,
+    description: 'Add automatic theme switching settings',
+    up: data => (data.autoThemeSwitch ? data : { ...data, autoThemeSwitch: getDefaultConfig().autoThemeSwitch })
+  },
+  { version: 5, description: 'Move TomTom API key to top-level settings', up: moveTomTomApiKey },
+  { version: 6, description: 'Battery widget group names and refresh interval', up: migrateBatterySubWidget }
+];
+
+// Upgrade a loaded or submitted config to the latest schema
+function migrateConfig(rawConfig, options = {}) {
+  return migrations.runMigrations('smartmirror-config.json.enc', rawConfig, SCHEMA_MIGRATIONS, options);
+}
+
+// Encrypt data with the secrets vault
 function encrypt(text) {
   try {
     logger.debug(logger.categories.SMART_MIRROR, 'Encrypting configuration data');
-    const key = crypto.createHash('sha256').update(ENCRYPTION_KEY).digest();
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
+    const encrypted = secrets.encrypt(text);
     logger.debug(logger.categories.SMART_MIRROR, `Encryption successful (data length: ${text.length} bytes)`);
-    return iv.toString('hex') + ':' + encrypted;
+    return encrypted;
   } catch (err) {
     console.error('❌ [Smart Mirror] Encryption error:', err.message);
     logger.error(logger.categories.SMART_MIRROR, `Encryption failed: ${err.message}`);
@@ -772,17 +752,11 @@ function encrypt(text) {
   }
 }
 
-// Decrypt data
+// Decrypt data (vault or the pre-vault SMARTMIRROR_KEY scheme)
 function decrypt(text) {
   try {
     logger.debug(logger.categories.SMART_MIRROR, 'Decrypting configuration data');
-    const key = crypto.createHash('sha256').update(ENCRYPTION_KEY).digest();
-    const parts = text.split(':');
-    const iv = Buffer.from(parts.shift(), 'hex');
-    const encryptedText = parts.join(':');
-    const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-    let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
+    const decrypted = secrets.decrypt(text, 'smartMirror');
     logger.debug(logger.categories.SMART_MIRROR, `Decryption successful (data length: ${decrypted.length} bytes)`);
     return decrypted;
   } catch (err) {
@@ -805,8 +779,15 @@ function loadConfig() {
       const decryptedData = decrypt(encryptedData);
       if (decryptedData) {
         const rawConfig = JSON.parse(decryptedData);
-        // Migrate old config format to new dual-layout format
-        const loadedConfig = migrateConfig(rawConfig);
+        // Bring files written by older releases up to the current schema
+        const migration = migrateConfig(rawConfig, { filePath: CONFIG_FILE });
+        const loadedConfig = migration.data;
+        if (migration.persist) {
+          const encryptedMigrated = encrypt(JSON.stringify(loadedConfig, null, 2));
+          if (encryptedMigrated) {
+            fs.writeFileSync(CONFIG_FILE, encryptedMigrated, 'utf8');
+          }
+        }
         console.log('📱 [Smart Mirror] Configuration loaded from file');
         logger.success(logger.categories.SMART_MIRROR, `Configuration loaded successfully (enabled: ${loadedConfig.enabled})`);
         logger.logSmartMirrorDiagnostics('Config loaded from file', {
@@ -836,7 +817,16 @@ function loadConfig() {
 }
 
 // Save configuration to encrypted file
-function saveConfig(newConfig) {
+// options.profile: save the widgets, layouts and theme to that named profile instead
+// of the default one (the shared settings in newConfig are saved either way)
+function saveConfig(newConfig, options = {}) {
+  if (options.profile && options.profile !== DEFAULT_PROFILE_ID) {
+    const existing = loadConfig();
+    if (!existing.profiles?.[options.profile]) {
+      return { success: false, error: `Mirror profile not found: ${options.profile}`, code: 'SMART_MIRROR_PROFILE_NOT_FOUND' };
+    }
+    newConfig = mergeProfileSettings(existing, options.profile, newConfig);
+  }
   logger.info(logger.categories.SMART_MIRROR, `Saving configuration to: ${CONFIG_FILE}`);
   logger.logSmartMirrorDiagnostics('Config save requested', {
     enabled: newConfig.enabled,
@@ -856,7 +846,7 @@ function saveConfig(newConfig) {
     const existingConfig = loadConfig();
     
     // Migrate and validate config structure
-    const migratedConfig = migrateConfig(newConfig);
+    const migratedConfig = migrateConfig(newConfig).data;
     const defaultConfig = getDefaultConfig();
     
     const configToSave = {
@@ -875,7 +865,9 @@ function saveConfig(newConfig) {
           ...defaultConfig.layouts.landscape,
           ...(migratedConfig.layouts?.landscape || {})
         }
-      }
+      },
+      // The settings page does not send the profiles; keep the stored ones
+      profiles: newConfig.profiles !== undefined ? migratedConfig.profiles || {} : existingConfig.profiles || {}
     };
     
     // Preserve API keys for weather and forecast widgets if not provided in new config
@@ -889,6 +881,9 @@ function saveConfig(newConfig) {
       }
     });
     
+    // Same for the secret settings of plugin widgets (writeOnly in their config schema)
+    smartMirrorPlugins.preserveWriteOnlyValues(configToSave.widgets, existingConfig.widgets);
+    
     // Preserve flight API configuration by merging with existing settings
     // This ensures API key and other settings are retained when saving
     if (existingConfig.flightApi) {
@@ -935,6 +930,11 @@ function saveConfig(newConfig) {
         enabled: configToSave.enabled,
         enabledWidgets: Object.keys(configToSave.widgets || {}).filter(k => configToSave.widgets[k]?.enabled)
       });
+      // Connected mirrors pick up the new configuration (see smart-mirror-push.js)
+      eventBus.emit('smartmirror.config.saved', {
+        enabled: Boolean(configToSave.enabled),
+        enabledWidgets: Object.keys(configToSave.widgets || {}).filter(k => configToSave.widgets[k]?.enabled)
+      });
       return { success: true, config: configToSave };
     } else {
       throw new Error('Failed to encrypt configuration');
@@ -948,9 +948,13 @@ function saveConfig(newConfig) {
 
 // Get sanitized config for public API (removes sensitive data)
 // orientation parameter: 'portrait', 'landscape', or undefined (returns both)
-function getPublicConfig(orientation = null) {
-  logger.debug(logger.categories.SMART_MIRROR, `Getting public configuration (sanitized, orientation: ${orientation || 'all'})`);
-  const fullConfig = loadConfig();
+// Returns null when the profile does not exist
+function getPublicConfig(orientation = null, profileId = null) {
+  logger.debug(logger.categories.SMART_MIRROR, `Getting public configuration (sanitized, orientation: ${orientation || 'all'}, profile: ${profileId || DEFAULT_PROFILE_ID})`);
+  const fullConfig = getProfileConfig(profileId);
+  if (!fullConfig) {
+    return null;
+  }
   
   // Remove sensitive data like API keys
   const publicConfig = {
@@ -1042,12 +1046,215 @@ function getPublicConfig(orientation = null) {
       publicConfig.widgets[widgetKey].calendarNewsEnabled = widget.calendarNewsEnabled || false;
       publicConfig.widgets[widgetKey].newsFeedOrder = widget.newsFeedOrder || ['main', 'vacation', 'calendar'];
     }
+    const pluginConfig = smartMirrorPlugins.getPublicWidgetConfig(widgetKey, widget);
+    if (pluginConfig) {
+      Object.assign(publicConfig.widgets[widgetKey], pluginConfig);
+    }
   });
   
+  // Renderers of the widget plugins, loaded by the mirror page
+  publicConfig.plugins = smartMirrorPlugins.getPublicPlugins();
+  
+  const profileKey = profileId || DEFAULT_PROFILE_ID;
+  publicConfig.profile = {
+    id: profileKey,
+    name: profileKey === DEFAULT_PROFILE_ID ? 'Default' : fullConfig.profiles[profileKey].name || profileKey
+  };
+  
   logger.info(logger.categories.SMART_MIRROR, `Public config generated (API keys removed, orientation: ${orientation || 'all'})`);
   return publicConfig;
 }
 
+// ---------------------------------------------------------------------------
+// Mirror profiles
+// ---------------------------------------------------------------------------
+
+// Widgets without the settings that stay on the default profile (API keys)
+// or are secret (plugin tokens), for cloning and comparing profiles
+function withoutSharedSettings(widgets = {}) {
+  const result = {};
+  Object.keys(widgets).forEach(widgetKey => {
+    const widget = { ...widgets[widgetKey] };
+    SHARED_WIDGET_SETTINGS.forEach(setting => delete widget[setting]);
+    Object.keys(widget).forEach(setting => {
+      if (/apikey|token|secret|password/i.test(setting)) delete widget[setting];
+    });
+    result[widgetKey] = widget;
+  });
+  return result;
+}
+
+// The profile settings of an (effective) config, deep-copied
+function pickProfileSettings(config) {
+  const settings = {};
+  PROFILE_SETTINGS.forEach(key => {
+    if (config[key] !== undefined) {
+      settings[key] = JSON.parse(JSON.stringify(config[key]));
+    }
+  });
+  settings.widgets = withoutSharedSettings(settings.widgets);
+  return settings;
+}
+
+// Config to store when newConfig is saved to a named profile: the profile
+// settings go to profiles[profileId], the default profile keeps its own
+function mergeProfileSettings(existingConfig, profileId, newConfig) {
+  const existingProfile = existingConfig.profiles[profileId];
+  const profile = { ...existingProfile };
+  PROFILE_SETTINGS.forEach(key => {
+    if (newConfig[key] !== undefined) profile[key] = newConfig[key];
+  });
+
+  // An API key entered while editing a profile is the shared one
+  const sharedWidgets = JSON.parse(JSON.stringify(existingConfig.widgets || {}));
+  Object.keys(profile.widgets || {}).forEach(widgetKey => {
+    SHARED_WIDGET_SETTINGS.forEach(setting => {
+      const value = profile.widgets[widgetKey]?.[setting];
+      if (value && sharedWidgets[widgetKey]) {
+        sharedWidgets[widgetKey][setting] = value;
+      }
+    });
+  });
+  profile.widgets = { ...profile.widgets };
+  Object.keys(profile.widgets).forEach(widgetKey => {
+    profile.widgets[widgetKey] = { ...profile.widgets[widgetKey] };
+    SHARED_WIDGET_SETTINGS.forEach(setting => delete profile.widgets[widgetKey][setting]);
+  });
+  smartMirrorPlugins.preserveWriteOnlyValues(profile.widgets, existingProfile.widgets);
+
+  const merged = {
+    ...existingConfig,
+    ...newConfig,
+    profiles: { ...existingConfig.profiles, [profileId]: profile }
+  };
+  PROFILE_SETTINGS.forEach(key => { merged[key] = existingConfig[key]; });
+  merged.widgets = sharedWidgets;
+  return merged;
+}
+
+/**
+ * Effective configuration of a mirror profile: the shared settings with the
+ * profile's widgets, layouts and theme.  Widgets added after the profile was
+ * created (e.g. a new plugin) are switched off in it.
+ * @param {string} [profileId] - profile ID; empty or 'default' for the default profile
+ * @returns {Object|null} the config, or null if there is no such profile
+ */
+function getProfileConfig(profileId) {
+  const fullConfig = loadConfig();
+  if (profileId === undefined || profileId === null || profileId === '' || profileId === DEFAULT_PROFILE_ID) {
+    return fullConfig;
+  }
+  const profiles = fullConfig.profiles || {};
+  if (typeof profileId !== 'string' || !Object.prototype.hasOwnProperty.call(profiles, profileId)) {
+    return null;
+  }
+  const profile = profiles[profileId];
+
+  const config = { ...fullConfig };
+  ['theme', 'gridSize', 'autoThemeSwitch'].forEach(key => {
+    if (profile[key] !== undefined) config[key] = profile[key];
+  });
+  config.widgets = {};
+  Object.keys(fullConfig.widgets || {}).forEach(widgetKey => {
+    const profileWidget = profile.widgets?.[widgetKey];
+    config.widgets[widgetKey] = profileWidget
+      ? { ...fullConfig.widgets[widgetKey], ...profileWidget }
+      : { ...fullConfig.widgets[widgetKey], enabled: false };
+  });
+  config.layouts = {
+    portrait: { ...(fullConfig.layouts?.portrait || {}), ...(profile.layouts?.portrait || {}) },
+    landscape: { ...(fullConfig.layouts?.landscape || {}), ...(profile.layouts?.landscape || {}) }
+  };
+  return config;
+}
+
+/**
+ * The default profile and the named profiles
+ * @returns {Array<{id, name, createdAt, isDefault}>}
+ */
+function listProfiles() {
+  const profiles = loadConfig().profiles || {};
+  return [
+    { id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: null, isDefault: true },
+    ...Object.keys(profiles).sort().map(id => ({
+      id,
+      name: profiles[id].name || id,
+      createdAt: profiles[id].createdAt || null,
+      isDefault: false
+    }))
+  ];
+}
+
+/**
+ * Create a profile as a copy of another one
+ * @param {Object} options
+ * @param {string} options.id - lowercase letters, digits and dashes; used in /smart-mirror/<id>
+ * @param {string} [options.name] - display name (defaults to the ID)
+ * @param {string} [options.from] - profile to copy (defaults to the default profile)
+ * @returns {Object} { success, profile } or { success: false, error, code }
+ */
+function createProfile({ id, name, from } = {}) {
+  if (typeof id !== 'string' || !PROFILE_ID_PATTERN.test(id)) {
+    return { success: false, error: 'Profile ID must be 1-40 lowercase letters, digits or dashes', code: 'VALIDATION_ERROR' };
+  }
+  if (RESERVED_PROFILE_IDS.includes(id)) {
+    return { success: false, error: `Profile ID "${id}" is reserved`, code: 'VALIDATION_ERROR' };
+  }
+  const config = loadConfig();
+  if (config.profiles?.[id]) {
+    return { success: false, error: `Mirror profile already exists: ${id}`, code: 'CONFLICT' };
+  }
+  const source = getProfileConfig(from);
+  if (!source) {
+    return { success: false, error: `Mirror profile not found: ${from}`, code: 'SMART_MIRROR_PROFILE_NOT_FOUND' };
+  }
+
+  const profile = {
+    name: (typeof name === 'string' && name.trim()) || id,
+    createdAt: new Date().toISOString(),
+    ...pickProfileSettings(source)
+  };
+  const result = saveConfig({ ...config, profiles: { ...(config.profiles || {}), [id]: profile } });
+  if (!result.success) {
+    return result;
+  }
+  logger.success(logger.categories.SMART_MIRROR, `[Profiles] Created mirror profile ${id} from ${from || DEFAULT_PROFILE_ID}`);
+  return { success: true, profile: { id, name: profile.name, createdAt: profile.createdAt, isDefault: false } };
+}
+
+/**
+ * Delete a named profile (the default profile cannot be deleted)
+ * @returns {Object} { success } or { success: false, error, code }
+ */
+function deleteProfile(id) {
+  const config = loadConfig();
+  if (typeof id !== 'string' || !Object.prototype.hasOwnProperty.call(config.profiles || {}, id)) {
+    return { success: false, error: `Mirror profile not found: ${id}`, code: 'SMART_MIRROR_PROFILE_NOT_FOUND' };
+  }
+  const profiles = { ...config.profiles };
+  delete profiles[id];
+  const result = saveConfig({ ...config, profiles });
+  if (!result.success) {
+    return result;
+  }
+  logger.info(logger.categories.SMART_MIRROR, `[Profiles] Deleted mirror profile ${id}`);
+  return { success: true };
+}
+
+/**
+ * Differences between the widgets, layouts and theme of two profiles
+ * (API keys and other secrets are left out)
+ * @returns {Object} { success, changes: [{ path, before, after }] } or { success: false, error, code }
+ */
+function diffProfiles(fromId, toId) {
+  const from = getProfileConfig(fromId);
+  const to = getProfileConfig(toId);
+  if (!from || !to) {
+    return { success: false, error: `Mirror profile not found: ${from ? toId : fromId}`, code: 'SMART_MIRROR_PROFILE_NOT_FOUND' };
+  }
+  return { success: true, changes: auditLog.diffValues(pickProfileSettings(from), pickProfileSettings(to)) };
+}
+
 /**
  * Helper function to extract string value from iCal properties
  * node-ical can return properties as either strings or objects with a 'val' property
@@ -1149,36 +1356,42 @@ async function fetchCalendarEvents(calendarUrls, forceRefresh = false) {
   const config = loadConfig();
   const cacheTTL = (config.calendarCacheTTL || DEFAULT_CALENDAR_CACHE_TTL) * 1000; // Convert to milliseconds
   const now = Date.now();
+  const feedsKey = calendarUrls.map(url => (url || '').trim()).filter(Boolean).join('\n');
+  const cached = calendarCache.feedSets[feedsKey] || { data: null, timestamp: 0, lastFetchAttempt: 0 };
+  calendarCache.feedSets[feedsKey] = cached;
   
   // Check if we have valid cached data
-  const cacheAge = now - calendarCache.timestamp;
-  const isCacheValid = calendarCache.data !== null && cacheAge < cacheTTL && !forceRefresh;
+  const cacheAge = now - cached.timestamp;
+  const isCacheValid = cached.data !== null && cacheAge < cacheTTL && !forceRefresh;
   
   if (isCacheValid) {
+    metrics.recordCalendarCache(true);
     logger.info(logger.categories.SMART_MIRROR, `Returning cached calendar data (age: ${Math.floor(cacheAge / 1000)}s, TTL: ${cacheTTL / 1000}s)`);
     return {
-      ...calendarCache.data,
+      ...cached.data,
       cached: true,
       cacheAge: Math.floor(cacheAge / 1000),
-      lastFetch: new Date(calendarCache.timestamp).toISOString()
+      lastFetch: new Date(cached.timestamp).toISOString()
     };
   }
   
   // Prevent rapid re-fetches on errors (backoff period defined by constant)
-  const timeSinceLastAttempt = now - calendarCache.lastFetchAttempt;
-  if (timeSinceLastAttempt < CALENDAR_CACHE_BACKOFF_MS && calendarCache.data !== null && !forceRefresh) {
+  const timeSinceLastAttempt = now - cached.lastFetchAttempt;
+  if (timeSinceLastAttempt < CALENDAR_CACHE_BACKOFF_MS && cached.data !== null && !forceRefresh) {
+    metrics.recordCalendarCache(true);
     logger.warning(logger.categories.SMART_MIRROR, `Using stale cache due to recent fetch attempt (${Math.floor(timeSinceLastAttempt / 1000)}s ago)`);
     return {
-      ...calendarCache.data,
+      ...cached.data,
       cached: true,
       stale: true,
       cacheAge: Math.floor(cacheAge / 1000),
-      lastFetch: new Date(calendarCache.timestamp).toISOString()
+      lastFetch: new Date(cached.timestamp).toISOString()
     };
   }
   
   // Update last fetch attempt timestamp
-  calendarCache.lastFetchAttempt = now;
+  cached.lastFetchAttempt = now;
+  metrics.recordCalendarCache(false);
   
   logger.info(logger.categories.SMART_MIRROR, `Cache expired or invalid, fetching fresh calendar data`);
   
@@ -1221,8 +1434,8 @@ async function fetchCalendarEvents(calendarUrls, forceRefresh = false) {
         fetchStatus[url] = { status: 'not_modified', cached: true };
         
         // Use cached events for this URL if available
-        if (calendarCache.data && calendarCache.data.eventsByUrl && calendarCache.data.eventsByUrl[url]) {
-          allEvents.push(...calendarCache.data.eventsByUrl[url]);
+        if (calendarCache.eventsByUrl[url]) {
+          allEvents.push(...calendarCache.eventsByUrl[url]);
         }
         continue;
       }
@@ -1275,6 +1488,7 @@ async function fetchCalendarEvents(calendarUrls, forceRefresh = false) {
       }
       
       allEvents.push(...upcomingEvents);
+      calendarCache.eventsByUrl[url] = upcomingEvents;
       fetchStatus[url] = { status: 'success', eventCount: upcomingEvents.length };
       logger.success(logger.categories.SMART_MIRROR, `Fetched ${upcomingEvents.length} upcoming events from calendar`);
       
@@ -1301,8 +1515,8 @@ async function fetchCalendarEvents(calendarUrls, forceRefresh = false) {
         fetchStatus[url] = { status: 'error_cached', error: err.message, statusCode: err.response?.status };
         
         // Use cached events for this URL if available
-        if (calendarCache.data && calendarCache.data.eventsByUrl && calendarCache.data.eventsByUrl[url]) {
-          allEvents.push(...calendarCache.data.eventsByUrl[url]);
+        if (calendarCache.eventsByUrl[url]) {
+          allEvents.push(...calendarCache.eventsByUrl[url]);
         }
       } else {
         errors.push(errorMsg);
@@ -1320,21 +1534,6 @@ async function fetchCalendarEvents(calendarUrls, forceRefresh = false) {
   // Limit to 10 most recent events
   const limitedEvents = filteredEvents.slice(0, 10);
   
-  // Build eventsByUrl map for future 304 handling
-  // NOTE: This is a simplified implementation that stores all events for each URL.
-  // This means when a feed returns 304 Not Modified, we use all previously cached events,
-  // not just the ones that came from that specific feed. This works well enough for most
-  // use cases but could lead to duplicate events if multiple feeds have overlapping events.
-  // A more sophisticated implementation would track which events came from which feed,
-  // but that would require significant additional complexity and memory overhead.
-  const eventsByUrl = {};
-  for (let url of calendarUrls) {
-    url = url.trim().replace(/^webcal:\/\//i, 'https://');
-    if (url) {
-      eventsByUrl[url] = allEvents; // Store all events for simplicity
-    }
-  }
-  
   // Update cache
   const result = {
     success: true,
@@ -1345,10 +1544,9 @@ async function fetchCalendarEvents(calendarUrls, forceRefresh = false) {
     lastFetch: new Date(now).toISOString()
   };
   
-  calendarCache.data = {
-    ...result,
-    eventsByUrl // Store for 304 handling
-  };
+  cached.data = result;
+  cached.timestamp = now;
+  calendarCache.data = result;
   calendarCache.timestamp = now;
   
   logger.success(logger.categories.SMART_MIRROR, `Calendar cache updated with ${limitedEvents.length} events`);
@@ -3512,6 +3710,11 @@ module.exports = {
   saveConfig,
   getPublicConfig,
   getDefaultConfig,
+  getProfileConfig,
+  listProfiles,
+  createProfile,
+  deleteProfile,
+  diffProfiles,
   calculateCurrentTheme,
   calculateSunTimes,
   fetchCalendarEvents,
@@ -3541,9 +3744,12 @@ module.exports = {
   _extractAddressComponents,
   _extractState,
   _buildRegionNewsQuery,
+  // Schema migration steps (exported for testing)
+  SCHEMA_MIGRATIONS,
   // Export constants for use in other modules
   CACHE_MIN_INTERVAL_MS,
   DEFAULT_CALENDAR_CACHE_TTL,
   CALENDAR_CACHE_BACKOFF_MS,
-  DEFAULT_HA_REFRESH_INTERVAL_MS
+  DEFAULT_HA_REFRESH_INTERVAL_MS,
+  DEFAULT_PROFILE_ID
 };
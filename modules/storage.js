@@ -0,0 +1,278 @@
+/**
+ * Storage Module
+ *
+ * Transactional persistence shared by server.js routes and the data modules
+ * (house, finance).  Every write goes to a temporary file that is fsync'd and
+ * then renamed over the target, so a crash or full disk never leaves a
+ * half-written JSON file behind.  Writes that fail throw a StorageError
+ * instead of quietly leaving the change in memory.
+ *
+ * Collections that live inside config.json (parties, tournaments, drink
+ * mixer, useful links, connected devices) are updated through
+ * createConfigStore().transaction(): the mutator works on a copy of the
+ * section, the whole config is written, and only after the write succeeds
+ * is the in-memory config updated.  Transactions on the same collection are
+ * queued so two requests can't overwrite each other's changes.
+ *
+ * Backends (config.dataStore.backend or DATA_STORE_BACKEND):
+ *   "file"    – default; one JSON (or encrypted text) file per document
+ *   "sqlite"  – documents are rows in config/data-store.sqlite; needs the
+ *               optional better-sqlite3 package (npm install better-sqlite3).
+ *               config.json itself always stays a file.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+class StorageError extends Error {
+  constructor(message, { code = 'STORAGE_WRITE_FAILED', filePath = null, cause = null } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    this.filePath = filePath;
+    if (cause) this.cause = cause;
+  }
+}
+
+let config = null;
+let sqliteDb = null;
+const locks = new Map();
+
+// Initialize the storage module with config
+function init(serverConfig) {
+  config = serverConfig;
+}
+
+function getBackendName() {
+  return String(process.env.DATA_STORE_BACKEND || config?.dataStore?.backend || 'file').toLowerCase();
+}
+
+// ---------------------------------------------------------------------------
+// Locking
+// ---------------------------------------------------------------------------
+
+/**
+ * Run fn while holding the lock for a collection.  Calls for the same key run
+ * one after another; different keys run independently.
+ * @param {string} key - collection name
+ * @param {Function} fn - sync or async work
+ * @returns {Promise<*>} whatever fn returns
+ */
+function withLock(key, fn) {
+  const previous = locks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(fn);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return run;
+}
+
+function isLocked(key) {
+  return locks.has(key);
+}
+
+// ---------------------------------------------------------------------------
+// File backend
+// ---------------------------------------------------------------------------
+
+/**
+ * Atomically replace a file: write a temp file next to it, fsync, rename.
+ * @throws {StorageError}
+ */
+function writeFileAtomic(filePath, contents, options = {}) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  let fd = null;
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fd = fs.openSync(tempPath, 'w', options.mode);
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fd !== null) {
+      try { fs.closeSync(fd); } catch (closeError) { /* already failing */ }
+    }
+    try { fs.rmSync(tempPath, { force: true }); } catch (rmError) { /* best effort */ }
+    throw new StorageError(`Failed to write ${path.basename(filePath)}: ${error.message}`, { filePath, cause: error });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// SQLite backend (optional)
+// ---------------------------------------------------------------------------
+
+function getSqliteDb() {
+  if (sqliteDb) return sqliteDb;
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new StorageError('SQLite backend selected but better-sqlite3 is not installed (npm install better-sqlite3)', {
+      code: 'STORAGE_BACKEND_UNAVAILABLE',
+      cause: error
+    });
+  }
+  const dbPath = config?.dataStore?.sqlitePath || path.join(__dirname, '..', 'config', 'data-store.sqlite');
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  sqliteDb = new Database(dbPath);
+  sqliteDb.pragma('journal_mode = WAL');
+  sqliteDb.exec(`CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    contents TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+  return sqliteDb;
+}
+
+// Documents are keyed by file name so switching backends finds the same data
+function getDocumentName(filePath) {
+  return path.basename(filePath);
+}
+
+// ---------------------------------------------------------------------------
+// Documents
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a stored document as text.
+ * With the SQLite backend a document that has never been written there is
+ * read from its file, so existing data carries over on the first save.
+ * @returns {string|null} null when the document does not exist
+ */
+function readText(filePath) {
+  if (getBackendName() === 'sqlite') {
+    const row = getSqliteDb().prepare('SELECT contents FROM documents WHERE name = ?').get(getDocumentName(filePath));
+    if (row) return row.contents;
+  }
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+/**
+ * Store a document as text.
+ * @throws {StorageError}
+ */
+function writeText(filePath, contents, options = {}) {
+  if (getBackendName() === 'sqlite') {
+    try {
+      getSqliteDb()
+        .prepare('INSERT INTO documents (name, contents, updated_at) VALUES (?, ?, ?) ' +
+          'ON CONFLICT(name) DO UPDATE SET contents = excluded.contents, updated_at = excluded.updated_at')
+        .run(getDocumentName(filePath), contents, new Date().toISOString());
+      return;
+    } catch (error) {
+      if (error instanceof StorageError) throw error;
+      throw new StorageError(`Failed to write ${getDocumentName(filePath)} to SQLite: ${error.message}`, { filePath, cause: error });
+    }
+  }
+  writeFileAtomic(filePath, contents, options);
+}
+
+function documentExists(filePath) {
+  return readText(filePath) !== null;
+}
+
+/**
+ * Read and parse a JSON document.
+ * @returns {*} parsed data, or fallback when the document does not exist
+ * @throws {SyntaxError} when the stored JSON is corrupt
+ */
+function readJson(filePath, fallback = null) {
+  const text = readText(filePath);
+  return text === null ? fallback : JSON.parse(text);
+}
+
+/**
+ * Serialise and store a JSON document.
+ * @throws {StorageError}
+ */
+function writeJson(filePath, data, options = {}) {
+  writeText(filePath, JSON.stringify(data, null, 2), options);
+}
+
+/**
+ * Read-modify-write a JSON document under its lock.
+ * The mutator receives the current data and may change it in place or
+ * return a replacement; nothing is stored if it throws.
+ * @returns {Promise<*>} the stored data
+ */
+function updateJson(filePath, mutator, { fallback = null, mode } = {}) {
+  return withLock(filePath, async () => {
+    const current = readJson(filePath, fallback);
+    const result = await mutator(current);
+    const next = result === undefined ? current : result;
+    writeJson(filePath, next, { mode });
+    return next;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// config.json collections
+// ---------------------------------------------------------------------------
+
+function cloneValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Transactional access to top-level sections of the in-memory config object.
+ * @param {Object} options
+ * @param {Function} options.getConfig - returns the live config object
+ * @param {string} options.filePath - path of config.json
+ * @returns {{transaction: Function, save: Function}}
+ */
+function createConfigStore({ getConfig, filePath }) {
+  /**
+   * Change one config section.
+   * @param {string} section - e.g. "parties", "drinkMixer"
+   * @param {Function} mutator - (draft) => result; draft is a copy of the section
+   * @param {Object} [options]
+   * @param {*} [options.defaultValue] - used when the section does not exist yet
+   * @returns {Promise<*>} the mutator's return value
+   * @throws {StorageError} when config.json cannot be written (memory is left unchanged)
+   */
+  function transaction(section, mutator, { defaultValue } = {}) {
+    return withLock(`config:${section}`, async () => {
+      const liveConfig = getConfig();
+      const draft = cloneValue(liveConfig[section] !== undefined ? liveConfig[section] : defaultValue);
+      const result = await mutator(draft);
+
+      // Build the file from the live config at commit time so changes other
+      // sections made while this mutator ran are not overwritten.
+      writeFileAtomic(filePath, JSON.stringify({ ...getConfig(), [section]: draft }, null, 2));
+      getConfig()[section] = draft;
+      return result;
+    });
+  }
+
+  /**
+   * Write the current config as-is (for changes that span several sections).
+   * @throws {StorageError}
+   */
+  function save() {
+    writeFileAtomic(filePath, JSON.stringify(getConfig(), null, 2));
+  }
+
+  return { transaction, save };
+}
+
+module.exports = {
+  init,
+  StorageError,
+  getBackendName,
+  withLock,
+  isLocked,
+  writeFileAtomic,
+  readText,
+  writeText,
+  documentExists,
+  readJson,
+  writeJson,
+  updateJson,
+  createConfigStore
+};
@@ -0,0 +1,233 @@
+/**
+ * TOTP Module
+ *
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 s steps –
+ * the defaults every authenticator app understands) plus single-use recovery
+ * codes.  Used for two-factor login on the admin console and the medication
+ * portal.  Storage is up to the caller: this module only produces and checks
+ * secrets and codes.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const CODE_DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept the previous and next step to tolerate clock drift on phones
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+// ---------------------------------------------------------------------------
+// Base32 (RFC 4648, no padding) – the secret format used in otpauth:// URIs
+// ---------------------------------------------------------------------------
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// ---------------------------------------------------------------------------
+// Codes
+// ---------------------------------------------------------------------------
+
+/**
+ * Generate a new random shared secret.
+ * @returns {string} base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * HOTP value (RFC 4226) for a counter.
+ */
+function generateHotp(secret, counter) {
+  const key = base32Decode(secret);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return String(binary % (10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * Current TOTP code for a secret.
+ * @param {string} secret - base32 secret
+ * @param {number} [timestamp] - milliseconds since epoch (defaults to now)
+ */
+function generateCode(secret, timestamp = Date.now()) {
+  return generateHotp(secret, Math.floor(timestamp / 1000 / STEP_SECONDS));
+}
+
+/**
+ * Time step a user-entered code belongs to, allowing ±1 step of drift.
+ * A code is accepted once: steps at or before lastUsedStep (the step of the
+ * last code the account signed in with) are refused, so an observed code
+ * cannot be replayed while it is still inside the drift window.
+ * @param {number|null} [lastUsedStep]
+ * @returns {number|null} the matching step, or null if the code is not valid
+ */
+function findCodeStep(secret, code, timestamp = Date.now(), lastUsedStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${CODE_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+  const counter = Math.floor(timestamp / 1000 / STEP_SECONDS);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const step = counter + drift;
+    if (Number.isInteger(lastUsedStep) && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a user-entered code against a secret, allowing ±1 step of drift.
+ * @param {number|null} [lastUsedStep] - see findCodeStep
+ * @returns {boolean}
+ */
+function verifyCode(secret, code, timestamp = Date.now(), lastUsedStep = null) {
+  return findCodeStep(secret, code, timestamp, lastUsedStep) !== null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import from the QR code.
+ */
+function buildOtpauthUri({ issuer, accountName, secret }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Start an enrollment: new secret, otpauth URI and a QR code data URL.
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCodeDataUrl: string}>}
+ */
+async function createEnrollment({ issuer, accountName }) {
+  const secret = generateSecret();
+  const otpauthUrl = buildOtpauthUri({ issuer, accountName, secret });
+  const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+  return { secret, otpauthUrl, qrCodeDataUrl };
+}
+
+// ---------------------------------------------------------------------------
+// Recovery codes
+// ---------------------------------------------------------------------------
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Generate a fresh set of recovery codes.
+ * @returns {{codes: string[], hashes: string[]}} plain codes (show once) and hashes (store)
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Look for a recovery code among stored hashes.
+ * @returns {{matched: boolean, remainingHashes: string[]}} remainingHashes has the used code removed
+ */
+function consumeRecoveryCode(storedHashes, code) {
+  const hashes = Array.isArray(storedHashes) ? storedHashes : [];
+  const candidate = hashRecoveryCode(code);
+  const index = normalizeRecoveryCode(code) ? hashes.indexOf(candidate) : -1;
+  if (index === -1) {
+    return { matched: false, remainingHashes: hashes };
+  }
+  return { matched: true, remainingHashes: hashes.filter((_, i) => i !== index) };
+}
+
+/**
+ * Verify a second-factor entry that may be either a TOTP code or a recovery code.
+ * The caller stores the returned step as twoFactor.lastUsedStep after a TOTP
+ * login, so the same code is refused next time.
+ * @param {Object} twoFactor - { secret, recoveryCodeHashes, lastUsedStep }
+ * @returns {{valid: boolean, usedRecoveryCode: boolean, remainingHashes: string[], step: number|null}}
+ */
+function verifySecondFactor(twoFactor, input, timestamp = Date.now()) {
+  const hashes = twoFactor?.recoveryCodeHashes || [];
+  const step = findCodeStep(twoFactor?.secret, input, timestamp, twoFactor?.lastUsedStep);
+  if (step !== null) {
+    return { valid: true, usedRecoveryCode: false, remainingHashes: hashes, step };
+  }
+  const recovery = consumeRecoveryCode(hashes, input);
+  return { valid: recovery.matched, usedRecoveryCode: recovery.matched, remainingHashes: recovery.remainingHashes, step: null };
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  findCodeStep,
+  verifyCode,
+  buildOtpauthUri,
+  createEnrollment,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  verifySecondFactor,
+  base32Encode,
+  base32Decode
+};
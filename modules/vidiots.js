@@ -3,8 +3,11 @@ const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
-const cron = require('node-cron');
 const githubUpload = require('./github-upload');
+const logger = require('./logger');
+const liveEvents = require('./live-events');
+const jobScheduler = require('./job-scheduler');
+const moduleRegistry = require('./module-registry');
 
 const BASE_URL = 'https://vidiotsfoundation.org';
 const url = `${BASE_URL}/coming-soon/`;
@@ -15,7 +18,8 @@ const HEADERS = {
 };
 
 let config = null;
-let cronJob = null;
+
+const SCRAPE_JOB_ID = 'vidiots-scrape';
 
 // Initialize the vidiots module with config
 function init(serverConfig) {
@@ -24,10 +28,8 @@ function init(serverConfig) {
   // Initialize GitHub upload module
   githubUpload.init(serverConfig);
   
-  // Start the cron job if enabled
-  if (config.vidiots?.enabled) {
-    startCronJob();
-  }
+  // Register the scheduled scrape (disabled while the module is off)
+  startCronJob();
 }
 
 function truncateText(text, maxLength = 180) {
@@ -328,6 +330,11 @@ async function downloadAndResizeImage(imageUrl, localFile) {
   }
 }
 
+// Stream scrape progress to the admin dashboard (see live-events.js)
+function reportProgress(status, message, details = {}) {
+  liveEvents.progress(liveEvents.EVENT_TYPES.VIDIOTS, logger.categories.BUILD, 'scrape', status, message, details);
+}
+
 async function scrapeComingSoon() {
   let retryCount = 0;
   const maxRetries = 3;
@@ -338,6 +345,7 @@ async function scrapeComingSoon() {
   
   const vidiots = config.vidiots;
   const outputFile = vidiots.outputFile || './public/vidiots/index.html';
+  reportProgress('started', 'Scraping the Vidiots coming soon page');
   
   while (retryCount < maxRetries) {
     try {
@@ -346,6 +354,7 @@ async function scrapeComingSoon() {
       }
       
       console.log(`🌐 [Vidiots] Fetching: ${url} (attempt ${retryCount + 1}/${maxRetries})`);
+      reportProgress('progress', `Fetching ${url} (attempt ${retryCount + 1}/${maxRetries})`);
       const { data: html } = await axios.get(url, { 
         headers: HEADERS,
         timeout: 30000
@@ -474,6 +483,7 @@ async function scrapeComingSoon() {
       });
       
       console.log(`🎬 [Vidiots] Successfully parsed ${movies.length} movies`);
+      reportProgress('progress', `Parsed ${movies.length} movies, downloading posters`);
       
       if (movies.length === 0) {
         throw new Error('No movies were successfully parsed from the page');
@@ -499,6 +509,7 @@ async function scrapeComingSoon() {
       }
       
       console.log(`📊 [Vidiots] Download summary: ${successCount} successful, ${failureCount} failed`);
+      reportProgress('progress', `Downloaded ${successCount} posters (${failureCount} failed)`);
 
       // Build HTML content
       const htmlContent = generateHTML(movies);
@@ -530,6 +541,7 @@ async function scrapeComingSoon() {
         const githubConfig = config.vidiots?.githubPages;
         if (githubConfig?.enabled) {
           console.log('📤 [Vidiots] Content updated, triggering GitHub Pages upload...');
+          reportProgress('progress', 'Content updated, uploading to GitHub Pages');
           try {
             // Generate GitHub-specific HTML with absolute URLs
             const githubHtmlContent = generateHTML(movies, true);
@@ -586,9 +598,11 @@ async function scrapeComingSoon() {
           }
         }
         
+        reportProgress('completed', `Page updated with ${movies.length} movies`, { updated: true });
         return { success: true, updated: true, movies, outputFile };
       } else {
         console.log(`📝 [Vidiots] No changes detected, keeping existing file: ${outputFile}`);
+        reportProgress('completed', 'No changes detected', { updated: false });
         return { success: true, updated: false, movies, outputFile };
       }
       
@@ -598,11 +612,13 @@ async function scrapeComingSoon() {
       if (retryCount < maxRetries - 1) {
         const delayMs = (retryCount + 1) * 5000;
         console.log(`⏳ [Vidiots] Retrying in ${delayMs/1000} seconds...`);
+        reportProgress('progress', `Attempt ${retryCount + 1} failed (${err.message}), retrying in ${delayMs / 1000} seconds`);
         await new Promise(resolve => setTimeout(resolve, delayMs));
         retryCount++;
         continue;
       } else {
         console.error('❌ [Vidiots] All retry attempts exhausted.');
+        reportProgress('failed', `Scrape failed: ${err.message}`);
         
         const outputFile = config.vidiots.outputFile || './public/vidiots/index.html';
         if (fs.existsSync(outputFile)) {
@@ -635,33 +651,25 @@ async function triggerScrape() {
   }
 }
 
-// Start/stop cron job
+// Register the scheduled scrape with the job scheduler
 function startCronJob() {
-  if (cronJob) {
-    cronJob.stop();
-  }
-  
   const vidiots = config.vidiots || {};
-  const schedule = vidiots.cronSchedule || '0 6,12 * * *'; // Default: 6 AM and 12 PM
-  
-  if (vidiots.enabled) {
-    cronJob = cron.schedule(schedule, () => {
+  jobScheduler.registerJob({
+    id: SCRAPE_JOB_ID,
+    name: 'Vidiots scrape',
+    category: logger.categories.BUILD,
+    description: 'Scrapes the coming soon page and regenerates the vidiots page',
+    schedule: vidiots.cronSchedule || '0 6,12 * * *', // Default: 6 AM and 12 PM
+    enabled: Boolean(vidiots.enabled) && moduleRegistry.isEnabled('vidiots'),
+    run: async () => {
       console.log('⏰ [Vidiots] Running scheduled scrape...');
-      scrapeComingSoon().catch(err => {
-        console.error('❌ [Vidiots] Scheduled scrape failed:', err.message);
-      });
-    }, {
-      scheduled: true
-    });
-    
-    console.log(`⏰ [Vidiots] Cron job started with schedule: ${schedule}`);
-  }
+      return scrapeComingSoon();
+    }
+  });
 }
 
 function stopCronJob() {
-  if (cronJob) {
-    cronJob.stop();
-    cronJob = null;
+  if (jobScheduler.unregisterJob(SCRAPE_JOB_ID)) {
     console.log('⏹️ [Vidiots] Cron job stopped');
   }
 }
@@ -686,7 +694,7 @@ function getStatus() {
     fileExists,
     lastModified: fileStats ? fileStats.mtime : null,
     fileSize: fileStats ? fileStats.size : 0,
-    isRunning: cronJob !== null,
+    isRunning: Boolean(jobScheduler.getJob(SCRAPE_JOB_ID)?.nextRun),
     githubPages: {
       enabled: vidiots.githubPages?.enabled || false,
       repoOwner: vidiots.githubPages?.repoOwner || '',
@@ -3,6 +3,19 @@
  * 
  * Handles webhook configuration storage and management
  * for triggering external integrations from the dashboard.
+ *
+ * Webhooks can subscribe to event bus types (see event-bus.js); each matching
+ * event is POSTed as
+ *   { event, eventId, occurredAt, webhookId, webhookName, payload }
+ * Every request is signed with the webhook's secret:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ * Network errors, 5xx, 408 and 429 responses are retried with exponential
+ * backoff (retryBaseDelayMs, doubled per attempt, up to maxAttempts).  A
+ * delivery that still fails is moved to the dead-letter list, where it can be
+ * retried or discarded.  Every attempt is recorded in a per-webhook delivery
+ * log (status code, latency, response body) kept in an encrypted file next to
+ * the webhooks.
  */
 
 const fs = require('fs');
@@ -10,35 +23,100 @@ const path = require('path');
 const crypto = require('crypto');
 const axios = require('axios');
 const logger = require('./logger');
+const storage = require('./storage');
+const secrets = require('./secrets');
+const eventBus = require('./event-bus');
+const auditLog = require('./audit-log');
 
 const CONFIG_DIR = path.join(__dirname, '..', 'config');
 const WEBHOOKS_FILE = path.join(CONFIG_DIR, 'webhooks-config.json.enc');
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'default-webhook-key-change-in-production';
+const DELIVERIES_FILE = path.join(CONFIG_DIR, 'webhook-deliveries.json.enc');
+
+const DEFAULT_DELIVERY_OPTIONS = {
+  maxAttempts: 5,
+  retryBaseDelayMs: 30000,
+  timeoutMs: 10000
+};
+const MAX_LOG_ENTRIES_PER_WEBHOOK = 50;
+const MAX_DEAD_LETTERS = 100;
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+const MANUAL_EVENT = 'manual';
+
+let config = null;
+let deliveryOptions = { ...DEFAULT_DELIVERY_OPTIONS };
+let unsubscribeEvents = null;
+const retryTimers = new Set();
+
+function getWebhooksFilePath() {
+  return config?.webhooks?.dataFilePath || WEBHOOKS_FILE;
+}
+
+function getDeliveriesFilePath() {
+  return config?.webhooks?.deliveriesFilePath || DELIVERIES_FILE;
+}
+
+function registerStores() {
+  secrets.registerStore({ id: 'webhooks', label: 'Webhooks', filePath: getWebhooksFilePath(), legacy: 'webhooks' });
+  secrets.registerStore({ id: 'webhook-deliveries', label: 'Webhook deliveries', filePath: getDeliveriesFilePath() });
+}
+
+registerStores();
+
+auditLog.registerCollection({
+  type: 'webhook',
+  label: 'Webhooks',
+  routes: ['/admin/api/webhooks'],
+  read: readWebhooks,
+  write: webhooks => {
+    if (!saveWebhooks(webhooks)) {
+      throw new Error('Failed to save webhooks');
+    }
+  }
+});
 
 /**
- * Encrypt data using AES-256-CBC
+ * Initialize file locations and delivery settings, and start delivering
+ * event bus events to subscribed webhooks
+ * @param {Object} serverConfig - uses serverConfig.webhooks.{dataFilePath, deliveriesFilePath, delivery}
  */
-function encrypt(text) {
-  const key = crypto.scryptSync(ENCRYPTION_KEY, 'salt', 32);
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
+function init(serverConfig = {}) {
+  config = serverConfig;
+  deliveryOptions = { ...DEFAULT_DELIVERY_OPTIONS, ...(serverConfig.webhooks?.delivery || {}) };
+  registerStores();
+  if (!unsubscribeEvents) {
+    unsubscribeEvents = eventBus.on('*', handleEvent);
+  }
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
 }
 
 /**
- * Decrypt data using AES-256-CBC
+ * Read webhooks without logging, adding the fields older files lack
  */
-function decrypt(text) {
-  const key = crypto.scryptSync(ENCRYPTION_KEY, 'salt', 32);
-  const parts = text.split(':');
-  const iv = Buffer.from(parts.shift(), 'hex');
-  const encryptedText = Buffer.from(parts.join(':'), 'hex');
-  const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-  let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
+function readWebhooks() {
+  const filePath = getWebhooksFilePath();
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const webhooks = JSON.parse(secrets.decrypt(fs.readFileSync(filePath, 'utf8'), 'webhooks'));
+  let upgraded = false;
+  webhooks.forEach(webhook => {
+    if (!Array.isArray(webhook.events)) {
+      webhook.events = [];
+      upgraded = true;
+    }
+    if (!webhook.secret) {
+      webhook.secret = generateSecret();
+      upgraded = true;
+    }
+  });
+  if (upgraded) {
+    saveWebhooks(webhooks);
+  }
+  return webhooks;
 }
 
 /**
@@ -46,18 +124,12 @@ function decrypt(text) {
  */
 function loadWebhooks() {
   try {
-    if (!fs.existsSync(WEBHOOKS_FILE)) {
-      return [];
-    }
+    const webhooks = readWebhooks();
     
-    const encryptedData = fs.readFileSync(WEBHOOKS_FILE, 'utf8');
-    const decryptedData = decrypt(encryptedData);
-    const webhooks = JSON.parse(decryptedData);
-    
-    logger.log('Loaded webhooks from encrypted storage', 'WEBHOOKS');
+    logger.info(logger.categories.WEBHOOKS, 'Loaded webhooks from encrypted storage');
     return webhooks;
   } catch (error) {
-    logger.error(`Failed to load webhooks: ${error.message}`, 'WEBHOOKS');
+    logger.error(logger.categories.WEBHOOKS, `Failed to load webhooks: ${error.message}`);
     return [];
   }
 }
@@ -67,28 +139,38 @@ function loadWebhooks() {
  */
 function saveWebhooks(webhooks) {
   try {
+    const filePath = getWebhooksFilePath();
     // Ensure config directory exists
-    if (!fs.existsSync(CONFIG_DIR)) {
-      fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    if (!fs.existsSync(path.dirname(filePath))) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
     }
     
     const jsonData = JSON.stringify(webhooks, null, 2);
-    const encryptedData = encrypt(jsonData);
-    fs.writeFileSync(WEBHOOKS_FILE, encryptedData, 'utf8');
+    const encryptedData = secrets.encrypt(jsonData);
+    fs.writeFileSync(filePath, encryptedData, { mode: 0o600 });
     
-    logger.log(`Saved ${webhooks.length} webhooks to encrypted storage`, 'WEBHOOKS');
+    logger.info(logger.categories.WEBHOOKS, `Saved ${webhooks.length} webhooks to encrypted storage`);
     return true;
   } catch (error) {
-    logger.error(`Failed to save webhooks: ${error.message}`, 'WEBHOOKS');
+    logger.error(logger.categories.WEBHOOKS, `Failed to save webhooks: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Get all webhooks
+ * Webhook as shown to the dashboard: the signing secret is only returned
+ * when a webhook is created or its secret rotated
+ */
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, secretPreview: secret ? `…${secret.slice(-4)}` : null };
+}
+
+/**
+ * Get all webhooks (without their secrets)
  */
 function getAllWebhooks() {
-  return loadWebhooks();
+  return loadWebhooks().map(toPublicWebhook);
 }
 
 /**
@@ -99,8 +181,26 @@ function getWebhookById(id) {
   return webhooks.find(webhook => webhook.id === id);
 }
 
+/**
+ * Event types a webhook can subscribe to
+ */
+function getSubscribableEvents() {
+  return eventBus.getEventTypes().map(({ type, description }) => ({ type, description }));
+}
+
+function normalizeEvents(events) {
+  const list = Array.isArray(events) ? events : (events ? [events] : []);
+  const known = eventBus.getEventTypes().map(definition => definition.type);
+  const unknown = list.find(type => !known.includes(type));
+  if (unknown) {
+    throw new Error(`Unknown event type: ${unknown}`);
+  }
+  return [...new Set(list)];
+}
+
 /**
  * Add or update a webhook
+ * @returns {{success: boolean, webhook?: Object, secret?: string, error?: string}} secret only for new webhooks
  */
 function saveWebhook(webhookData) {
   try {
@@ -117,6 +217,8 @@ function saveWebhook(webhookData) {
     } catch (e) {
       throw new Error('Invalid webhook URL format');
     }
+
+    const events = normalizeEvents(webhookData.events);
     
     if (webhookData.id) {
       // Update existing webhook
@@ -127,36 +229,63 @@ function saveWebhook(webhookData) {
           name: webhookData.name,
           url: webhookData.url,
           highImpact: webhookData.highImpact || false,
+          events,
           updatedAt: new Date().toISOString()
         };
-        logger.log(`Updated webhook: ${webhookData.name} (${webhookData.id})`, 'WEBHOOKS');
+        logger.info(logger.categories.WEBHOOKS, `Updated webhook: ${webhookData.name} (${webhookData.id})`);
       } else {
         throw new Error('Webhook not found');
       }
-    } else {
-      // Create new webhook
-      const newWebhook = {
-        id: crypto.randomBytes(8).toString('hex'),
-        name: webhookData.name,
-        url: webhookData.url,
-        highImpact: webhookData.highImpact || false,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-      webhooks.push(newWebhook);
-      logger.log(`Created new webhook: ${newWebhook.name} (${newWebhook.id})`, 'WEBHOOKS');
+      if (!saveWebhooks(webhooks)) {
+        throw new Error('Could not save webhooks');
+      }
+      return { success: true, webhook: toPublicWebhook(webhooks[index]) };
     }
-    
-    saveWebhooks(webhooks);
-    return { success: true };
+
+    // Create new webhook
+    const newWebhook = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: webhookData.name,
+      url: webhookData.url,
+      highImpact: webhookData.highImpact || false,
+      events,
+      secret: generateSecret(),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    webhooks.push(newWebhook);
+    if (!saveWebhooks(webhooks)) {
+      throw new Error('Could not save webhooks');
+    }
+    logger.info(logger.categories.WEBHOOKS, `Created new webhook: ${newWebhook.name} (${newWebhook.id})`);
+    return { success: true, webhook: toPublicWebhook(newWebhook), secret: newWebhook.secret };
   } catch (error) {
-    logger.error(`Failed to save webhook: ${error.message}`, 'WEBHOOKS');
+    logger.error(logger.categories.WEBHOOKS, `Failed to save webhook: ${error.message}`);
     return { success: false, error: error.message };
   }
 }
 
 /**
- * Delete a webhook
+ * Replace a webhook's signing secret
+ * @returns {{success: boolean, secret?: string, error?: string}}
+ */
+function rotateWebhookSecret(id) {
+  const webhooks = loadWebhooks();
+  const webhook = webhooks.find(w => w.id === id);
+  if (!webhook) {
+    return { success: false, error: 'Webhook not found' };
+  }
+  webhook.secret = generateSecret();
+  webhook.updatedAt = new Date().toISOString();
+  if (!saveWebhooks(webhooks)) {
+    return { success: false, error: 'Could not save webhooks' };
+  }
+  logger.info(logger.categories.WEBHOOKS, `Rotated signing secret of webhook: ${webhook.name} (${id})`);
+  return { success: true, secret: webhook.secret };
+}
+
+/**
+ * Delete a webhook, with its delivery log and dead letters
  */
 function deleteWebhook(id) {
   try {
@@ -170,65 +299,348 @@ function deleteWebhook(id) {
     const deletedWebhook = webhooks[index];
     webhooks.splice(index, 1);
     saveWebhooks(webhooks);
+    updateDeliveries(data => {
+      delete data.log[id];
+      data.deadLetters = data.deadLetters.filter(letter => letter.webhookId !== id);
+    });
     
-    logger.log(`Deleted webhook: ${deletedWebhook.name} (${id})`, 'WEBHOOKS');
+    logger.info(logger.categories.WEBHOOKS, `Deleted webhook: ${deletedWebhook.name} (${id})`);
     return { success: true };
   } catch (error) {
-    logger.error(`Failed to delete webhook: ${error.message}`, 'WEBHOOKS');
+    logger.error(logger.categories.WEBHOOKS, `Failed to delete webhook: ${error.message}`);
     return { success: false, error: error.message };
   }
 }
 
-/**
- * Trigger a webhook by sending a POST request
- */
-async function triggerWebhook(id, payload = {}) {
+// ---------------------------------------------------------------------------
+// Delivery log and dead letters
+// ---------------------------------------------------------------------------
+
+function loadDeliveries() {
+  const filePath = getDeliveriesFilePath();
   try {
-    const webhook = getWebhookById(id);
-    if (!webhook) {
-      throw new Error('Webhook not found');
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(secrets.decrypt(fs.readFileSync(filePath, 'utf8'), 'webhook-deliveries'));
+      return {
+        log: data.log && typeof data.log === 'object' ? data.log : {},
+        deadLetters: Array.isArray(data.deadLetters) ? data.deadLetters : []
+      };
     }
-    
-    logger.log(`Triggering webhook: ${webhook.name} (${id})`, 'WEBHOOKS');
-    
-    const triggerPayload = {
-      triggeredAt: new Date().toISOString(),
-      webhookId: id,
+  } catch (error) {
+    logger.error(logger.categories.WEBHOOKS, `Failed to load webhook deliveries: ${error.message}`);
+  }
+  return { log: {}, deadLetters: [] };
+}
+
+function updateDeliveries(mutator) {
+  const data = loadDeliveries();
+  mutator(data);
+  try {
+    storage.writeFileAtomic(getDeliveriesFilePath(), secrets.encrypt(JSON.stringify(data)), { mode: 0o600 });
+  } catch (error) {
+    logger.error(logger.categories.WEBHOOKS, `Failed to save webhook deliveries: ${error.message}`);
+  }
+  return data;
+}
+
+function recordAttempt(delivery, result, status) {
+  updateDeliveries(data => {
+    const entries = data.log[delivery.webhookId] || [];
+    entries.unshift({
+      id: crypto.randomUUID(),
+      deliveryId: delivery.id,
+      event: delivery.event,
+      attempt: delivery.attempts,
+      status,
+      statusCode: result.statusCode,
+      latencyMs: result.latencyMs,
+      responseBody: result.responseBody,
+      error: result.error,
+      timestamp: new Date().toISOString()
+    });
+    data.log[delivery.webhookId] = entries.slice(0, MAX_LOG_ENTRIES_PER_WEBHOOK);
+  });
+}
+
+function addDeadLetter(webhook, delivery, result) {
+  updateDeliveries(data => {
+    data.deadLetters.unshift({
+      id: delivery.id,
+      webhookId: webhook.id,
       webhookName: webhook.name,
-      ...payload
-    };
-    
-    const response = await axios.post(webhook.url, triggerPayload, {
-      timeout: 10000,
+      event: delivery.event,
+      body: delivery.body,
+      attempts: delivery.attempts,
+      lastStatusCode: result.statusCode,
+      lastError: result.error,
+      failedAt: new Date().toISOString()
+    });
+    data.deadLetters = data.deadLetters.slice(0, MAX_DEAD_LETTERS);
+  });
+  logger.error(logger.categories.WEBHOOKS,
+    `Webhook ${webhook.name} (${webhook.id}): ${delivery.event} delivery failed after ${delivery.attempts} attempt(s), moved to dead letters: ${result.error}`);
+}
+
+/**
+ * Recorded delivery attempts of a webhook, newest first
+ */
+function getDeliveryLog(webhookId, limit = MAX_LOG_ENTRIES_PER_WEBHOOK) {
+  return (loadDeliveries().log[webhookId] || []).slice(0, limit);
+}
+
+/**
+ * Deliveries that exhausted their retries, newest first
+ * @param {string} [webhookId] - only this webhook's
+ */
+function getDeadLetters(webhookId) {
+  const deadLetters = loadDeliveries().deadLetters;
+  return webhookId ? deadLetters.filter(letter => letter.webhookId === webhookId) : deadLetters;
+}
+
+/**
+ * Deliver a dead letter again with a fresh set of attempts
+ * @returns {Promise<Object>} result of the first attempt
+ */
+async function retryDeadLetter(id) {
+  const letter = getDeadLetters().find(entry => entry.id === id);
+  if (!letter) {
+    return { success: false, error: 'Dead letter not found' };
+  }
+  updateDeliveries(data => {
+    data.deadLetters = data.deadLetters.filter(entry => entry.id !== id);
+  });
+  logger.info(logger.categories.WEBHOOKS, `Retrying dead letter ${id} (${letter.event}) for webhook ${letter.webhookName}`);
+  return attemptDelivery({ id: letter.id, webhookId: letter.webhookId, event: letter.event, body: letter.body, attempts: 0 },
+    { retry: true });
+}
+
+/**
+ * Drop a dead letter
+ */
+function discardDeadLetter(id) {
+  let found = false;
+  updateDeliveries(data => {
+    found = data.deadLetters.some(entry => entry.id === id);
+    data.deadLetters = data.deadLetters.filter(entry => entry.id !== id);
+  });
+  if (!found) {
+    return { success: false, error: 'Dead letter not found' };
+  }
+  logger.info(logger.categories.WEBHOOKS, `Discarded dead letter ${id}`);
+  return { success: true };
+}
+
+// ---------------------------------------------------------------------------
+// Delivery
+// ---------------------------------------------------------------------------
+
+/**
+ * HMAC-SHA256 signature of a delivery, as sent in X-Webhook-Signature
+ * @param {string} secret
+ * @param {string} timestamp - X-Webhook-Timestamp value
+ * @param {string} body - raw request body
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function truncateBody(data) {
+  if (data === undefined || data === null || data === '') return null;
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  return text.length > MAX_RESPONSE_BODY_LENGTH ? `${text.slice(0, MAX_RESPONSE_BODY_LENGTH)}…` : text;
+}
+
+function isRetryableStatus(statusCode) {
+  return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+}
+
+/**
+ * Send one signed request
+ * @returns {Promise<Object>} { success, statusCode, latencyMs, responseBody, data, error, retryable }
+ */
+async function sendSigned(webhook, delivery) {
+  const body = JSON.stringify(delivery.body);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const started = Date.now();
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      timeout: deliveryOptions.timeoutMs,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      transformResponse: [data => data],
       headers: {
         'Content-Type': 'application/json',
-        'User-Agent': 'Local-Server-Site-Pusher/Webhook'
+        'User-Agent': 'Local-Server-Site-Pusher/Webhook',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
       }
     });
-    
-    logger.log(`Webhook triggered successfully: ${webhook.name} - Status: ${response.status}`, 'WEBHOOKS');
+    const success = response.status >= 200 && response.status < 300;
+    let data = response.data;
+    try {
+      data = JSON.parse(response.data);
+    } catch (error) {
+      // Plain-text response
+    }
     return {
-      success: true,
-      status: response.status,
-      data: response.data
+      success,
+      statusCode: response.status,
+      latencyMs: Date.now() - started,
+      responseBody: truncateBody(response.data),
+      data,
+      error: success ? null : `HTTP ${response.status}: ${response.statusText}`,
+      retryable: !success && isRetryableStatus(response.status)
     };
   } catch (error) {
-    const errorMessage = error.response 
-      ? `HTTP ${error.response.status}: ${error.response.statusText}`
-      : error.message;
-    
-    logger.error(`Failed to trigger webhook (${id}): ${errorMessage}`, 'WEBHOOKS');
     return {
       success: false,
-      error: errorMessage
+      statusCode: null,
+      latencyMs: Date.now() - started,
+      responseBody: null,
+      error: error.message,
+      retryable: true
     };
   }
 }
 
+/**
+ * Make the next attempt of a delivery, scheduling a retry or a dead letter on failure
+ * @param {Object} delivery - { id, webhookId, event, body, attempts }
+ * @param {Object} options
+ * @param {boolean} options.retry - false for manual triggers (the caller sees the result)
+ */
+async function attemptDelivery(delivery, { retry }) {
+  let webhook;
+  try {
+    webhook = readWebhooks().find(w => w.id === delivery.webhookId);
+  } catch (error) {
+    // Corrupt file or wrong key: give up on this delivery rather than the process
+    logger.error(logger.categories.WEBHOOKS, `Dropped ${delivery.event} delivery ${delivery.id}: could not read webhooks: ${error.message}`);
+    return { success: false, error: `Could not read webhooks: ${error.message}` };
+  }
+  if (!webhook) {
+    logger.warning(logger.categories.WEBHOOKS, `Dropped ${delivery.event} delivery ${delivery.id}: webhook ${delivery.webhookId} no longer exists`);
+    return { success: false, error: 'Webhook not found' };
+  }
+
+  delivery.attempts += 1;
+  const result = await sendSigned(webhook, delivery);
+  const willRetry = retry && !result.success && result.retryable && delivery.attempts < deliveryOptions.maxAttempts;
+  recordAttempt(delivery, result, result.success ? 'delivered' : (willRetry ? 'retrying' : 'failed'));
+
+  if (result.success) {
+    logger.success(logger.categories.WEBHOOKS, `Webhook ${webhook.name}: ${delivery.event} delivered (HTTP ${result.statusCode}, ${result.latencyMs} ms)`);
+  } else if (willRetry) {
+    const delayMs = deliveryOptions.retryBaseDelayMs * 2 ** (delivery.attempts - 1);
+    logger.warning(logger.categories.WEBHOOKS,
+      `Webhook ${webhook.name}: ${delivery.event} attempt ${delivery.attempts} failed (${result.error}), retrying in ${Math.round(delayMs / 1000)}s`);
+    const timer = setTimeout(() => {
+      retryTimers.delete(timer);
+      attemptDelivery(delivery, { retry }).catch(error => {
+        logger.error(logger.categories.WEBHOOKS, `Webhook ${webhook.name}: ${delivery.event} retry failed: ${error.message}`);
+      });
+    }, delayMs);
+    timer.unref();
+    retryTimers.add(timer);
+  } else if (retry) {
+    addDeadLetter(webhook, delivery, result);
+  } else {
+    logger.error(logger.categories.WEBHOOKS, `Failed to trigger webhook ${webhook.name} (${webhook.id}): ${result.error}`);
+  }
+  return result;
+}
+
+// Deliver event bus events to the webhooks subscribed to them
+function handleEvent(event) {
+  let webhooks;
+  try {
+    webhooks = readWebhooks().filter(webhook => webhook.events.includes(event.type));
+  } catch (error) {
+    logger.error(logger.categories.WEBHOOKS, `Could not read webhooks for ${event.type}: ${error.message}`);
+    return;
+  }
+
+  webhooks.forEach(webhook => {
+    attemptDelivery({
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      event: event.type,
+      body: {
+        event: event.type,
+        eventId: event.id,
+        occurredAt: event.timestamp,
+        webhookId: webhook.id,
+        webhookName: webhook.name,
+        payload: event.payload
+      },
+      attempts: 0
+    }, { retry: true }).catch(error => {
+      logger.error(logger.categories.WEBHOOKS, `Webhook ${webhook.name}: ${event.type} delivery failed: ${error.message}`);
+    });
+  });
+}
+
+/**
+ * Trigger a webhook by sending a signed POST request (one attempt, logged)
+ */
+async function triggerWebhook(id, payload = {}) {
+  const webhook = getWebhookById(id);
+  if (!webhook) {
+    logger.error(logger.categories.WEBHOOKS, `Failed to trigger webhook (${id}): Webhook not found`);
+    return { success: false, error: 'Webhook not found' };
+  }
+
+  logger.info(logger.categories.WEBHOOKS, `Triggering webhook: ${webhook.name} (${id})`);
+  const result = await attemptDelivery({
+    id: crypto.randomUUID(),
+    webhookId: id,
+    event: MANUAL_EVENT,
+    body: {
+      triggeredAt: new Date().toISOString(),
+      webhookId: id,
+      webhookName: webhook.name,
+      ...payload
+    },
+    attempts: 0
+  }, { retry: false });
+
+  if (!result.success) {
+    return { success: false, error: result.error, status: result.statusCode };
+  }
+  return {
+    success: true,
+    status: result.statusCode,
+    data: result.data
+  };
+}
+
+/**
+ * Cancel scheduled retries (used on shutdown and in tests)
+ */
+function stopRetries() {
+  retryTimers.forEach(timer => clearTimeout(timer));
+  retryTimers.clear();
+}
+
 module.exports = {
+  init,
+  loadWebhooks,
+  saveWebhooks,
   getAllWebhooks,
   getWebhookById,
+  getSubscribableEvents,
   saveWebhook,
+  rotateWebhookSecret,
   deleteWebhook,
-  triggerWebhook
+  triggerWebhook,
+  signPayload,
+  getDeliveryLog,
+  getDeadLetters,
+  retryDeadLetter,
+  discardDeadLetter,
+  stopRetries
 };
@@ -301,7 +301,8 @@ function restartBrowser() {
               '--noerrdialogs',
               '--disable-infobars',
               '--kiosk',
-              BROWSER_URL,
+              // Read at launch so a config_update (e.g. a new mirror profile) takes effect
+              cfg.browserUrl || BROWSER_URL,
             ],
             {
               detached: true,
@@ -0,0 +1,45 @@
+/**
+ * Countdown widget plugin
+ *
+ * Example smart mirror widget plugin: shows the number of days left until
+ * a date (a birthday, a trip, the end of the school year).  Copy this
+ * folder to start a new plugin; see "Widget Plugins" in the README.
+ */
+
+'use strict';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight of a YYYY-MM-DD date in the server's time zone
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+module.exports = {
+  name: 'Countdown',
+  icon: '⏳',
+  description: 'Days left until a date.',
+  defaultSize: { width: 2, height: 1 },
+  refreshIntervalMs: 60 * 60 * 1000,
+  configSchema: {
+    type: 'object',
+    required: ['targetDate'],
+    properties: {
+      label: { type: 'string', title: 'Label', description: 'What you are counting down to', maxLength: 60, default: 'Countdown' },
+      targetDate: { type: 'string', format: 'date', title: 'Date' }
+    }
+  },
+
+  async getData(config) {
+    if (!config.targetDate) {
+      throw new Error('Set a date under Settings → Smart Mirror');
+    }
+    const [year, month, day] = config.targetDate.split('-').map(Number);
+    const days = Math.round((startOfDay(new Date(year, month - 1, day)) - startOfDay(new Date())) / DAY_MS);
+    return {
+      label: config.label || 'Countdown',
+      targetDate: config.targetDate,
+      days
+    };
+  }
+};
@@ -0,0 +1,37 @@
+// Countdown widget plugin: renders the data from plugin.js on the smart mirror
+(function () {
+    'use strict';
+
+    function describe(days) {
+        if (days === 0) return 'Today!';
+        if (days === 1) return 'Tomorrow';
+        if (days < 0) return `${-days} day${days === -1 ? '' : 's'} ago`;
+        return 'days to go';
+    }
+
+    window.SmartMirrorPlugins.register('countdown', {
+        render(content, data) {
+            const container = document.createElement('div');
+            container.style.textAlign = 'center';
+
+            const label = document.createElement('div');
+            label.style.opacity = '0.8';
+            label.textContent = data.label;
+            container.appendChild(label);
+
+            if (data.days > 1) {
+                const number = document.createElement('div');
+                number.style.fontSize = '3rem';
+                number.style.fontWeight = '300';
+                number.textContent = data.days;
+                container.appendChild(number);
+            }
+
+            const caption = document.createElement('div');
+            caption.textContent = describe(data.days);
+            container.appendChild(caption);
+
+            content.appendChild(container);
+        }
+    });
+})();
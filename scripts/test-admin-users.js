@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const adminUsers = require(path.join(repoRoot, 'modules', 'admin-users.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+// Same "salt:hash" format as hashPassword in server.js, with fewer rounds for speed
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${salt}:${crypto.pbkdf2Sync(password, salt, 1000, 64, 'sha512').toString('hex')}`;
+}
+
+function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-users-test-'));
+  const dataFilePath = path.join(tempDir, 'admin-users.json');
+
+  try {
+    adminUsers.init({ adminUsers: { dataFilePath } });
+
+    assert.strictEqual(adminUsers.hasUsers(), false, 'no accounts should exist initially');
+    const migration = adminUsers.migrateLegacyAdmin({ username: 'admin', password: 'admin123' }, hashPassword);
+    assert.strictEqual(migration.migrated, true, 'legacy admin should be migrated');
+    assert.strictEqual(migration.user.role, 'owner', 'legacy admin should become an owner');
+    assert.strictEqual(migration.user.isDefaultPassword, true, 'default password should be flagged');
+    assert(!('passwordHash' in migration.user), 'serialized user should not expose the password hash');
+    const stored = JSON.parse(fs.readFileSync(dataFilePath, 'utf8'));
+    assert(!JSON.stringify(stored).includes('admin123'), 'plaintext password must not be stored');
+    assert.strictEqual(adminUsers.migrateLegacyAdmin({ username: 'x', password: 'y' }, hashPassword).migrated, false,
+      'migration should only run once');
+    log('✅ Legacy single admin login is upgraded to a hashed owner account');
+
+    const owner = adminUsers.getUserByUsername('ADMIN');
+    assert(owner, 'username lookup should be case-insensitive');
+
+    const partner = adminUsers.createUser({ username: 'partner', passwordHash: hashPassword('secret1'), role: 'house-manager' });
+    assert.strictEqual(partner.success, true, 'house manager should be created');
+    assert.strictEqual(adminUsers.createUser({ username: 'Partner', passwordHash: 'a:b', role: 'finance' }).success, false,
+      'duplicate usernames should be rejected');
+    assert.strictEqual(adminUsers.createUser({ username: 'bob', passwordHash: 'a:b', role: 'superuser' }).success, false,
+      'unknown roles should be rejected');
+    log('✅ Accounts enforce unique usernames and known roles');
+
+    assert.strictEqual(adminUsers.canAccess('house-manager', '/admin/api/house/cars', 'POST'), true, 'house manager can change house data');
+    assert.strictEqual(adminUsers.canAccess('house-manager', '/admin/api/vacation/validate-flight', 'POST'), true, 'vacation routes count as house');
+    assert.strictEqual(adminUsers.canAccess('house-manager', '/admin/api/finance/accounts', 'GET'), false, 'house manager cannot see finance');
+    assert.strictEqual(adminUsers.canAccess('finance', '/admin/api/finance/accounts', 'DELETE'), true, 'finance role can change finance');
+    assert.strictEqual(adminUsers.canAccess('finance', '/admin/api/house/bills', 'GET'), false, 'finance role cannot see house');
+    assert.strictEqual(adminUsers.canAccess('read-only', '/admin/api/finance/accounts', 'GET'), true, 'read-only can view');
+    assert.strictEqual(adminUsers.canAccess('read-only', '/admin/api/finance/accounts', 'POST'), false, 'read-only cannot change');
+    assert.strictEqual(adminUsers.canAccess('read-only', '/admin/api/users', 'GET'), false, 'read-only cannot see users');
+    assert.strictEqual(adminUsers.canAccess('read-only', '/admin/api/backup/export', 'GET'), false, 'read-only cannot export backups');
+    assert.strictEqual(adminUsers.canAccess('owner', '/admin/api/backup/export', 'GET'), true, 'owner exports backups');
+    assert.strictEqual(adminUsers.canAccess('owner', '/admin/api/users', 'POST'), true, 'owner manages users');
+    assert.strictEqual(adminUsers.canAccess('house-manager', '/admin/api/change-password', 'POST'), true, 'everyone can change own password');
+    assert.strictEqual(adminUsers.canAccess('house-manager', '/admin', 'GET'), true, 'dashboard page only needs a session');
+    log('✅ Roles are enforced per /admin/api/* area and HTTP method');
+
+    assert.strictEqual(adminUsers.updateUser(owner.id, { role: 'read-only' }).success, false, 'last owner cannot be demoted');
+    assert.strictEqual(adminUsers.deleteUser(owner.id).success, false, 'last owner cannot be deleted');
+    assert.strictEqual(adminUsers.updateUser(partner.user.id, { role: 'owner' }).success, true, 'promotion should succeed');
+    assert.strictEqual(adminUsers.updateUser(owner.id, { role: 'read-only' }).success, true, 'demotion allowed once another owner exists');
+    log('✅ At least one owner account is always kept');
+
+    const resetResult = adminUsers.setUserPassword(owner.id, hashPassword('n3w-password'));
+    assert.strictEqual(resetResult.success, true, 'password reset should succeed');
+    assert.strictEqual(resetResult.user.isDefaultPassword, false, 'default password flag should clear');
+    assert.strictEqual(adminUsers.recordLogin(owner.id).success, true, 'login should be recorded');
+    assert(adminUsers.getUserById(owner.id).lastLoginAt, 'lastLoginAt should be set');
+    assert.strictEqual(adminUsers.deleteUser(owner.id).success, true, 'non-last owner account can be deleted');
+    assert.strictEqual(adminUsers.listUsers().length, 1, 'one account should remain');
+    log('✅ Password resets, login tracking and deletion work');
+  } finally {
+    cleanup(tempDir);
+  }
+}
+
+run();
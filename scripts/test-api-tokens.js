@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const apiTokens = require(path.join(repoRoot, 'modules', 'api-tokens.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-tokens-test-'));
+  const dataFilePath = path.join(tempDir, 'api-tokens.json');
+  const owner = { id: 'owner-1', username: 'admin' };
+
+  try {
+    apiTokens.init({ apiTokens: { dataFilePath } });
+
+    assert.strictEqual(apiTokens.validateScopes(['finance:read', 'House:Write']).valid, true, 'area scopes should be accepted');
+    assert.deepStrictEqual(apiTokens.validateScopes('finance:read, finance:read').scopes, ['finance:read'], 'duplicates should collapse');
+    assert.strictEqual(apiTokens.validateScopes([]).valid, false, 'a token needs at least one scope');
+    assert.strictEqual(apiTokens.validateScopes(['finance:admin']).valid, false, 'unknown levels should be rejected');
+    assert.strictEqual(apiTokens.validateScopes(['users:write']).valid, false, 'user management cannot be delegated');
+    assert.strictEqual(apiTokens.validateScopes(['change-password:write']).valid, false, 'self-service areas cannot be granted');
+    assert.strictEqual(apiTokens.validateScopes(['house:command']).valid, false, 'only remote supports command');
+    log('✅ Scopes are validated');
+
+    const created = apiTokens.createToken({ name: 'HA sensors', scopes: ['finance:read', 'house:write'], expiresInDays: 30, createdBy: owner });
+    assert.strictEqual(created.success, true, 'token should be created');
+    assert(created.token.startsWith(apiTokens.TOKEN_PREFIX), 'plain token should carry the prefix');
+    const stored = fs.readFileSync(dataFilePath, 'utf8');
+    assert(!stored.includes(created.token), 'plain token must not be stored');
+    assert(!('tokenHash' in created.record), 'serialized token should not expose the hash');
+    assert(created.record.expiresAt, 'expiry should be set');
+    assert.strictEqual(apiTokens.createToken({ name: 'x', scopes: ['finance:read'] }).success, false, 'tokens need an issuer');
+    assert.strictEqual(apiTokens.createToken({ name: 'x', scopes: ['finance:read'], expiresInDays: -1, createdBy: owner }).success, false,
+      'negative expiry should be rejected');
+    log('✅ Tokens are stored hashed with an expiry');
+
+    const token = apiTokens.authenticate(created.token, { ip: '10.0.0.5' });
+    assert(token, 'valid token should authenticate');
+    assert.strictEqual(apiTokens.listTokens()[0].lastUsedIp, '10.0.0.5', 'last use should be recorded');
+    assert(apiTokens.listTokens()[0].lastUsedAt, 'lastUsedAt should be recorded');
+    assert.strictEqual(apiTokens.authenticate(created.token.slice(0, -1) + 'x'), null, 'altered tokens should fail');
+    assert.strictEqual(apiTokens.authenticate('not-a-token'), null, 'foreign strings should fail');
+    log('✅ Bearer tokens authenticate and track last use');
+
+    assert.strictEqual(apiTokens.hasScope(token, '/admin/api/finance/accounts', 'GET'), true, 'finance:read allows GET');
+    assert.strictEqual(apiTokens.hasScope(token, '/admin/api/finance/accounts', 'POST'), false, 'finance:read does not allow POST');
+    assert.strictEqual(apiTokens.hasScope(token, '/admin/api/house/bills', 'POST'), true, 'house:write allows POST');
+    assert.strictEqual(apiTokens.hasScope(token, '/admin/api/vacation/validate-flight', 'GET'), true, 'write implies read, vacation is house');
+    assert.strictEqual(apiTokens.hasScope(token, '/admin/api/smart-mirror/config', 'GET'), false, 'other areas are denied');
+    assert.strictEqual(apiTokens.hasScope(token, '/admin/api/change-password', 'POST'), false, 'self-service routes are denied');
+    assert.strictEqual(apiTokens.hasScope(token, '/admin', 'GET'), false, 'dashboard pages are denied');
+
+    const remote = { scopes: ['remote:read', 'remote:command'] };
+    assert.strictEqual(apiTokens.hasScope(remote, '/admin/api/remote-devices/abc/command', 'POST'), true, 'remote:command sends commands');
+    assert.strictEqual(apiTokens.hasScope(remote, '/admin/api/remote-devices', 'GET'), true, 'remote:read lists devices');
+    assert.strictEqual(apiTokens.hasScope(remote, '/admin/api/remote-devices/abc', 'DELETE'), false, 'command does not imply write');
+    const wildcard = { scopes: ['*:write'] };
+    assert.strictEqual(apiTokens.hasScope(wildcard, '/admin/api/parties', 'POST'), true, '*:write covers general areas');
+    assert.strictEqual(apiTokens.hasScope(wildcard, '/admin/api/users', 'GET'), false, '*:write never covers users');
+    assert.strictEqual(apiTokens.hasScope(wildcard, '/admin/api/backup/export', 'GET'), false, '*:write never covers backups');
+    assert.strictEqual(apiTokens.hasScope(wildcard, '/admin/api/api-tokens', 'GET'), false, '*:write never covers token management');
+    assert.strictEqual(apiTokens.hasScope(wildcard, '/admin/api/remote-devices/abc/command', 'POST'), false,
+      'remote commands need an explicit scope');
+    log('✅ Scopes map onto /admin/api/* areas and HTTP methods');
+
+    const expiring = apiTokens.createToken({ name: 'old', scopes: ['house:read'], expiresInDays: 1, createdBy: owner });
+    const data = JSON.parse(fs.readFileSync(dataFilePath, 'utf8'));
+    data.tokens.find(entry => entry.id === expiring.record.id).expiresAt = new Date(Date.now() - 1000).toISOString();
+    fs.writeFileSync(dataFilePath, JSON.stringify(data));
+    assert.strictEqual(apiTokens.authenticate(expiring.token), null, 'expired tokens should fail');
+    assert.strictEqual(apiTokens.listTokens().find(entry => entry.id === expiring.record.id).expired, true, 'expired tokens are flagged');
+
+    assert.strictEqual(apiTokens.revokeToken(created.record.id).success, true, 'token should be revoked');
+    assert.strictEqual(apiTokens.authenticate(created.token), null, 'revoked tokens should fail');
+    assert.strictEqual(apiTokens.revokeTokensForUser(owner.id).revoked, 1, 'remaining tokens of a deleted account are revoked');
+    assert.strictEqual(apiTokens.listTokens().length, 0, 'no tokens should remain');
+    log('✅ Expired and revoked tokens are rejected');
+  } finally {
+    cleanup(tempDir);
+  }
+}
+
+run();
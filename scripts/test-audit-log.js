@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const axios = require('axios');
+const bodyParser = require('body-parser');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SECRETS_MASTER_KEY = 'test-key-for-unit-tests';
+
+const repoRoot = path.join(__dirname, '..');
+const auditLog = require(path.join(repoRoot, 'modules', 'audit-log.js'));
+const requestContext = require(path.join(repoRoot, 'modules', 'request-context.js'));
+const eventBus = require(path.join(repoRoot, 'modules', 'event-bus.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+// Stand-in for requireAuth: the X-Test-User header names the admin account,
+// and the account "guest" is refused
+function requireAuth(req, res, next) {
+  const username = req.get('X-Test-User');
+  if (!username) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  if (username === 'guest') {
+    req.adminUser = { id: 'user-guest', username, role: 'viewer' };
+    return res.status(403).json({ success: false, error: 'Forbidden' });
+  }
+  req.adminUser = { id: `user-${username}`, username, role: 'owner' };
+  auditLog.snapshotBefore(req);
+  next();
+}
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-test-'));
+  const dataFilePath = path.join(tempDir, 'audit-log.json.enc');
+  auditLog.init({ audit: { dataFilePath, maxEvents: 20 } });
+
+  let gadgets = [{ id: 'g1', name: 'Toaster', secret: 'hunter2', parts: [{ id: 1, name: 'Lever' }] }];
+  auditLog.registerCollection({
+    type: 'gadget',
+    label: 'Gadgets',
+    routes: ['/admin/api/gadgets'],
+    read: () => gadgets,
+    write: async items => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      gadgets = items;
+    }
+  });
+  const reverted = [];
+  const off = eventBus.on('audit.change.reverted', event => reverted.push(event.payload));
+
+  const app = express();
+  app.use(requestContext.middleware());
+  app.use(bodyParser.json());
+  app.use(auditLog.middleware());
+  app.get('/admin/api/gadgets', requireAuth, (req, res) => res.json({ success: true, gadgets }));
+  app.post('/admin/api/gadgets', requireAuth, (req, res) => {
+    gadgets = [...gadgets, { id: req.body.id, name: req.body.name, parts: [] }];
+    res.json({ success: true });
+  });
+  app.put('/admin/api/gadgets/:id', requireAuth, (req, res) => {
+    gadgets = gadgets.map(gadget => (gadget.id === req.params.id ? { ...gadget, ...req.body } : gadget));
+    res.json({ success: true });
+  });
+  app.delete('/admin/api/gadgets/:id', requireAuth, (req, res) => {
+    gadgets = gadgets.filter(gadget => gadget.id !== req.params.id);
+    res.json({ success: true });
+  });
+  app.post('/admin/api/gadgets/:id/fail', requireAuth, (req, res) => res.status(400).json({ success: false, error: 'Nope' }));
+  app.post('/api/device/heartbeat', (req, res) => res.json({ success: true }));
+  app.post('/admin/api/audit/:id/revert', requireAuth, async (req, res) => {
+    const result = await auditLog.revertEvent(req.params.id, req);
+    res.status(result.success ? 200 : 409).json(result);
+  });
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = (method, url, user, data) => axios({
+    method,
+    url: `${base}${url}`,
+    data,
+    headers: user ? { 'X-Test-User': user } : {},
+    validateStatus: () => true
+  });
+  // The event is written once the response has been sent
+  const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  try {
+    assert.deepStrictEqual(auditLog.diffValues(
+      { name: 'A', tags: ['x'], parts: [{ id: 1, cost: 5 }, { id: 2, cost: 7 }] },
+      { name: 'B', tags: ['x', 'y'], parts: [{ id: 2, cost: 8 }, { id: 1, cost: 5 }, { id: 3, cost: 1 }] }
+    ), [
+      { path: 'name', before: 'A', after: 'B' },
+      { path: 'tags', before: ['x'], after: ['x', 'y'] },
+      { path: 'parts[id=2].cost', before: 7, after: 8 },
+      { path: 'parts[id=3]', before: undefined, after: { id: 3, cost: 1 } }
+    ]);
+    log('✅ Diffs list changed fields and match records by id');
+
+    await request('post', '/admin/api/gadgets', 'alice', { id: 'g2', name: 'Kettle' });
+    await request('put', '/admin/api/gadgets/g1', 'bob', { name: 'Big Toaster', secret: 'swordfish' });
+    await request('get', '/admin/api/gadgets', 'alice');
+    await request('post', '/api/device/heartbeat', 'device');
+    await request('post', '/admin/api/nowhere', 'alice');
+    await request('post', '/admin/api/gadgets/g1/fail', 'alice');
+    assert.strictEqual((await request('post', '/admin/api/gadgets', null, { id: 'g3', name: 'Blender' })).status, 401);
+    assert.strictEqual((await request('delete', '/admin/api/gadgets/g1', 'guest')).status, 403);
+    await settle();
+
+    const { events, total } = auditLog.listEvents();
+    assert.strictEqual(total, 3, 'reads, device polling, unknown paths and refused requests are not recorded');
+    const [failed, update, create] = events;
+    assert.strictEqual(failed.status, 400);
+    assert.deepStrictEqual(failed.changes, []);
+    assert.strictEqual(create.actor.name, 'alice');
+    assert.strictEqual(create.actor.type, 'admin');
+    assert.strictEqual(create.route, '/admin/api/gadgets');
+    assert.match(create.requestId, /^[0-9a-f]{16}$/);
+    assert.deepStrictEqual(create.changes.map(change => [change.type, change.entityId, change.entityLabel, change.action]),
+      [['gadget', 'g2', 'Kettle', 'created']]);
+    assert.strictEqual(update.route, '/admin/api/gadgets/:id');
+    assert.strictEqual(update.path, '/admin/api/gadgets/g1');
+    assert.deepStrictEqual(update.changes[0].diff, [
+      { path: 'name', before: 'Toaster', after: 'Big Toaster' },
+      { path: 'secret', before: '[redacted]', after: '[redacted]' }
+    ]);
+    assert.strictEqual(update.changes[0].before.secret, '[redacted]', 'secrets should never be returned');
+    assert(!fs.readFileSync(dataFilePath, 'utf8').includes('Toaster'), 'the audit log should be encrypted');
+    log('✅ Write requests are recorded with actor, route, status and redacted diffs');
+    log('✅ Unauthenticated and refused requests are not recorded');
+
+    assert.deepStrictEqual(auditLog.listEvents({ actor: 'bob' }).events.map(event => event.id), [update.id]);
+    assert.strictEqual(auditLog.listEvents({ changesOnly: true }).total, 2);
+    assert.strictEqual(auditLog.listEvents({ q: 'kettle' }).total, 1);
+    assert.strictEqual(auditLog.listEvents({ type: 'gadget', action: 'updated' }).total, 1);
+    assert.strictEqual(auditLog.listEvents({ from: new Date(Date.now() + 60000).toISOString() }).total, 0);
+    assert.deepStrictEqual(auditLog.listEvents().actors, ['alice', 'bob']);
+    assert.deepStrictEqual(auditLog.listEvents({}, { limit: 1, offset: 1 }).events.map(event => event.id), [update.id]);
+    log('✅ Events can be filtered by actor, type, action, text and time');
+
+    assert.strictEqual(update.revertible, true);
+    let response = await request('post', `/admin/api/audit/${update.id}/revert`, 'carol');
+    assert.strictEqual(response.data.success, true);
+    assert.strictEqual(gadgets[0].name, 'Toaster');
+    assert.strictEqual(gadgets[0].secret, 'hunter2', 'reverting restores the stored values, not the redacted ones');
+    assert.strictEqual(response.data.event.revertOf, update.id);
+    assert.strictEqual(response.data.event.actor.name, 'carol');
+    assert.deepStrictEqual(reverted, [{ eventId: update.id, revertEventId: response.data.event.id, actor: 'carol', entities: ['Toaster'] }]);
+    const original = auditLog.getEvent(update.id);
+    assert.strictEqual(original.revertedBy.actor, 'carol');
+    assert.strictEqual(original.revertible, false);
+    response = await request('post', `/admin/api/audit/${update.id}/revert`, 'carol');
+    assert.strictEqual(response.data.code, 'AUDIT_NOT_REVERTIBLE', 'an event can only be reverted once');
+    log('✅ An update can be reverted once, and the revert is recorded');
+
+    await request('put', '/admin/api/gadgets/g2', 'alice', { name: 'Electric Kettle' });
+    await settle();
+    assert.strictEqual(auditLog.getEvent(create.id).revertBlocker, 'Kettle has been changed since');
+    response = await request('post', `/admin/api/audit/${create.id}/revert`, 'alice');
+    assert.strictEqual(response.data.code, 'AUDIT_NOT_REVERTIBLE');
+    assert.strictEqual(gadgets.length, 2, 'a blocked revert should change nothing');
+    const rename = auditLog.listEvents({ q: 'electric' }).events[0];
+    await request('post', `/admin/api/audit/${rename.id}/revert`, 'alice');
+    response = await request('post', `/admin/api/audit/${create.id}/revert`, 'alice');
+    assert.strictEqual(response.data.success, true, 'reverting newest first should work');
+    assert.deepStrictEqual(gadgets.map(gadget => gadget.id), ['g1'], 'reverting a creation removes the item');
+    log('✅ Changes made after an event block its revert until they are reverted');
+
+    await request('delete', '/admin/api/gadgets/g1', 'alice');
+    await settle();
+    const deletion = auditLog.listEvents({ action: 'deleted', actor: 'alice' }).events
+      .find(event => event.route === '/admin/api/gadgets/:id');
+    assert.strictEqual(deletion.changes[0].before.name, 'Toaster');
+    assert.strictEqual(deletion.revertible, false);
+    assert.strictEqual(deletion.revertBlocker, 'Toaster was deleted');
+    assert.strictEqual((await request('post', '/admin/api/audit/unknown/revert', 'alice')).data.code, 'AUDIT_EVENT_NOT_FOUND');
+    log('✅ Deletions are recorded with the deleted item but cannot be reverted');
+
+    for (let index = 0; index < 25; index++) {
+      await request('post', '/admin/api/gadgets/g1/fail', 'alice');
+    }
+    await settle();
+    assert.strictEqual(auditLog.listEvents().total, 20, 'the log should be capped at maxEvents');
+    log('✅ The audit log keeps the newest events');
+  } finally {
+    off();
+    server.close();
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const backupDiff = require(path.join(repoRoot, 'modules', 'backup-diff.js'));
+const backup = require(path.join(repoRoot, 'modules', 'backup.js'));
+const house = require(path.join(repoRoot, 'modules', 'house.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function section(diff, key) {
+  return diff.sections.find(entry => entry.key === key);
+}
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-diff-test-'));
+  const configDir = path.join(tempDir, 'config');
+  const uploadsDir = path.join(tempDir, 'uploads');
+
+  try {
+    const currentFinance = {
+      schemaVersion: 3,
+      accounts: [
+        { id: 'a1', name: 'Checking', balance: 100 },
+        { id: 'a2', name: 'Savings', balance: 500 },
+        { id: 'a3', name: 'Old card', balance: 0 }
+      ],
+      history: [{ accountName: 'Checking', timestamp: '2026-01-01', newBalance: 100 }],
+      demographics: { age: 40 }
+    };
+    const backupFinance = {
+      schemaVersion: 3,
+      accounts: [
+        { id: 'a1', name: 'Checking', balance: 250 },
+        { id: 'a2', name: 'Savings', balance: 500 },
+        { id: 'a4', name: 'Brokerage', balance: 900 }
+      ],
+      history: [
+        { accountName: 'Checking', timestamp: '2026-01-01', newBalance: 100 },
+        { accountName: 'Checking', timestamp: '2026-02-01', newBalance: 250 }
+      ],
+      demographics: { age: 40 }
+    };
+    const finance = backupDiff.diffModuleData(currentFinance, backupFinance);
+    assert.strictEqual(finance.status, 'changed', 'differing data should be reported as changed');
+    assert(finance.sectioned, 'object data should be restorable by section');
+    assert(!finance.sections.some(entry => entry.key === 'schemaVersion'), 'the schema version is not a section');
+    const accounts = section(finance, 'accounts');
+    assert.deepStrictEqual(accounts.added.items, ['Brokerage'], 'new records should be listed by name');
+    assert.deepStrictEqual(accounts.removed.items, ['Old card'], 'missing records should be listed as removed');
+    assert.deepStrictEqual(accounts.changed.items, [{ label: 'Checking', fields: ['balance'] }], 'changed records should name the changed fields');
+    assert.strictEqual(accounts.unchanged, 1, 'identical records should be counted');
+    const history = section(finance, 'history');
+    assert.deepStrictEqual(history.added.items, ['Checking (2026-02-01)'], 'records without ids should be matched by content');
+    assert.strictEqual(section(finance, 'demographics').status, 'unchanged', 'identical sections should be unchanged');
+    log('✅ Records are reported as added, removed or changed');
+
+    const mirror = backupDiff.diffModuleData(
+      { widgets: { clock: { enabled: true }, weather: { enabled: true, apiKey: 'secret-1' } }, layouts: { portrait: {} }, theme: 'dark' },
+      { widgets: { clock: { enabled: false }, weather: { enabled: true, apiKey: 'secret-2' } }, theme: 'dark' }
+    );
+    assert.deepStrictEqual(section(mirror, 'widgets').changed.items.map(item => item.label), ['clock', 'weather'], 'changed widgets should be listed');
+    assert.strictEqual(section(mirror, 'layouts').status, 'removed', 'sections only on the server should be reported');
+    assert(!JSON.stringify(mirror).includes('secret-'), 'values should never appear in the diff');
+    const webhooks = backupDiff.diffModuleData(null, [{ id: 'w1', name: 'Deploy' }], 'webhooks');
+    assert.strictEqual(webhooks.status, 'new', 'modules without current data are new');
+    assert(!webhooks.sectioned, 'lists can only be restored as a whole');
+    const many = Array.from({ length: backupDiff.MAX_LISTED + 5 }, (_, index) => ({ id: index }));
+    const long = backupDiff.diffRecords([], many);
+    assert.strictEqual(long.added.length, many.length, 'all changes should be counted');
+    assert.strictEqual(backupDiff.createSection('list', long).added.items.length, backupDiff.MAX_LISTED, 'listed labels should be capped');
+    assert.strictEqual(backupDiff.humanizeKey('usefulLinks'), 'Useful links');
+    log('✅ Nested sections are compared without exposing values');
+
+    fs.mkdirSync(configDir, { recursive: true });
+    backup.init({ configDir, uploadsDir });
+    house.init({ house: { dataFilePath: path.join(configDir, 'house-data.json') } });
+    fs.writeFileSync(path.join(configDir, 'espresso-data.json'), JSON.stringify({ shots: 3, beans: 'Ethiopia' }));
+    const houseData = house.loadHouseData();
+    houseData.vacation.dates = [{ id: 'v1', destination: 'Lisbon' }];
+    house.saveHouseData(houseData);
+    fs.mkdirSync(path.join(uploadsDir, 'house-bills'), { recursive: true });
+    fs.writeFileSync(path.join(uploadsDir, 'house-bills', 'bill.pdf'), 'v1');
+
+    const config = { server: { admin: { password: 'current' } }, usefulLinks: [{ name: 'Docs' }] };
+    const archivePath = path.join(tempDir, 'backup.tar.gz.enc');
+    await backup.createArchive(config, { modules: ['mainConfig', 'espressoData', 'house', 'attachments'], password: 'pw', filePath: archivePath });
+    const opened = backup.readArchive(fs.readFileSync(archivePath), 'pw');
+    assert(opened.success, opened.error);
+
+    fs.writeFileSync(path.join(configDir, 'espresso-data.json'), JSON.stringify({ shots: 7, beans: 'Kenya' }));
+    const changedHouse = house.loadHouseData();
+    changedHouse.vacation.dates.push({ id: 'v2', destination: 'Oslo' });
+    house.saveHouseData(changedHouse);
+    fs.writeFileSync(path.join(uploadsDir, 'house-bills', 'bill.pdf'), 'v2');
+    const liveConfig = { ...config, usefulLinks: [{ name: 'Docs' }, { name: 'Wiki' }] };
+
+    const diff = backup.diffBackup(opened.backup, liveConfig);
+    const byId = Object.fromEntries(diff.map(module => [module.id, module]));
+    assert.deepStrictEqual(Object.keys(byId), ['mainConfig', 'espressoData', 'house', 'attachments'], 'every module in the backup should be compared');
+    assert.deepStrictEqual(section(byId.mainConfig, 'usefulLinks').removed.items, ['Wiki'], 'config changes should be listed');
+    assert.strictEqual(section(byId.mainConfig, 'server').status, 'unchanged', 'the stripped admin password should not count as a change');
+    assert.deepStrictEqual(section(byId.house, 'vacation').removed.items, ['dates: Oslo'], 'nested records should be compared');
+    assert.deepStrictEqual(byId.attachments.sections[0].changed.items.map(item => item.label), ['house-bills/bill.pdf'],
+      'changed files should be listed');
+    assert(!byId.attachments.sectioned, 'uploaded files are restored as a whole');
+    log('✅ Backups are compared with the data on the server');
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify(liveConfig));
+    const result = backup.importAllData(opened.backup, liveConfig, { modules: ['espressoData.shots', 'house.vacation'] });
+    assert(result.success, result.error || result.results.errors.join(', '));
+    assert.deepStrictEqual(result.results.imported, ['Espresso data (Shots)', 'House data (Vacation)'], 'restored sections should be reported');
+    assert.deepStrictEqual(readJson(path.join(configDir, 'espresso-data.json')), { shots: 3, beans: 'Kenya' },
+      'only the selected section should be restored');
+    assert.deepStrictEqual(house.loadHouseData().vacation.dates.map(date => date.destination), ['Lisbon'], 'selected house section should be restored');
+    assert.strictEqual(readJson(path.join(configDir, 'config.json')).usefulLinks.length, 2, 'unselected modules should be untouched');
+    assert.strictEqual(fs.readFileSync(path.join(uploadsDir, 'house-bills', 'bill.pdf'), 'utf8'), 'v2', 'unselected files should be untouched');
+
+    const missing = backup.importAllData(opened.backup, liveConfig, { modules: ['house.garage', 'attachments.files'] });
+    assert(!missing.success, 'unknown sections should fail');
+    assert(/not in the backup: garage/.test(missing.results.errors[0]), 'missing sections should be named');
+    assert(/as a whole/.test(missing.results.errors[1]), 'files cannot be restored by section');
+    const whole = backup.importAllData(opened.backup, liveConfig, { modules: ['espressoData', 'espressoData.shots'] });
+    assert.deepStrictEqual(whole.results.imported, ['Espresso data'], 'selecting the module should restore all of it');
+    assert.deepStrictEqual(readJson(path.join(configDir, 'espresso-data.json')), { shots: 3, beans: 'Ethiopia' }, 'the whole module should be restored');
+    log('✅ Single sections can be restored while the rest is kept');
+  } finally {
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const scheduler = require(path.join(repoRoot, 'modules', 'backup-scheduler.js'));
+const backup = require(path.join(repoRoot, 'modules', 'backup.js'));
+const sftp = require(path.join(repoRoot, 'modules', 'sftp.js'));
+const jobScheduler = require(path.join(repoRoot, 'modules', 'job-scheduler.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+function scheduledName(date) {
+  return `site-backup-auto-${date.toISOString().replace(/[:.]/g, '-')}.tar.gz`;
+}
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-scheduler-test-'));
+
+  // Stand-in SFTP server: remote files live in a Map
+  const remote = new Map();
+  let savedConfig = { host: 'nas.local', username: 'backup', remotePath: '/backups' };
+  let uploadDelay = 0;
+  sftp.loadConfig = () => savedConfig;
+  sftp.saveSchedule = schedule => {
+    savedConfig = { ...savedConfig, schedule };
+    return { success: true };
+  };
+  sftp.uploadBackup = async (localPath, remoteName) => {
+    await new Promise(resolve => setTimeout(resolve, uploadDelay));
+    remote.set(remoteName, fs.readFileSync(localPath));
+    return { success: true, remoteFilePath: `/backups/${remoteName}` };
+  };
+  sftp.listBackups = async () => ({
+    success: true,
+    backups: Array.from(remote.keys()).map(name => ({ name }))
+  });
+  sftp.deleteBackups = async names => {
+    names.forEach(name => remote.delete(name));
+    return { success: true, deleted: names, errors: [] };
+  };
+  // Archive contents are covered by test-backup.js
+  const archivePasswords = [];
+  backup.createArchive = async (config, options) => {
+    archivePasswords.push(options.password);
+    const excludedModules = options.password ? [] : ['smartMirror', 'webhooks'];
+    fs.writeFileSync(options.filePath, 'archive');
+    return { success: true, filePath: options.filePath, size: 7, manifest: { excludedModules } };
+  };
+
+  try {
+    const start = Date.UTC(2026, 0, 1, 2, 30);
+    const daily = Array.from({ length: 120 }, (_, day) => scheduledName(new Date(start + day * 86400000)));
+    const names = [...daily, 'site-backup-2026-03-01.json', 'notes.txt'];
+    const { keep, remove } = scheduler.applyRetention(names, { daily: 7, weekly: 4, monthly: 6 });
+    const newest = daily[daily.length - 1];
+    assert.strictEqual(keep[0], newest, 'newest backup should be kept first');
+    assert(daily.slice(-7).every(name => keep.includes(name)), 'the last 7 daily backups should be kept');
+    assert(['2026-04-12', '2026-04-19', '2026-04-26'].every(day => keep.includes(scheduledName(new Date(`${day}T02:30:00Z`)))),
+      'the last backup of each earlier week should be kept');
+    assert(['2026-01-31', '2026-02-28', '2026-03-31'].every(day => keep.includes(scheduledName(new Date(`${day}T02:30:00Z`)))),
+      'the last backup of each earlier month should be kept');
+    // Apr 26 is both a daily and a weekly copy
+    assert.strictEqual(keep.length, 7 + 2 + 3, 'nothing else should be kept');
+    assert.strictEqual(keep.length + remove.length, daily.length, 'only scheduled backups should be considered');
+    assert(!remove.includes('site-backup-2026-03-01.json') && !remove.includes('notes.txt'), 'other files should never be removed');
+    log('✅ Retention keeps the newest backup per day, week and month');
+
+    const onlyMonthly = scheduler.applyRetention(daily.slice(0, 3), { daily: 0, weekly: 0, monthly: 1 });
+    assert.deepStrictEqual(onlyMonthly.keep, [daily[2]], 'the newest backup of the month should be kept');
+    assert.deepStrictEqual(scheduler.applyRetention([], { daily: 1 }), { keep: [], remove: [] }, 'an empty server needs no cleanup');
+    assert.strictEqual(scheduler.parseBackupDate('site-backup-auto-2026-13-40T00-00-00-000Z.tar.gz'), null, 'invalid dates should be ignored');
+    assert.strictEqual(scheduler.parseBackupDate(`${daily[0]}.enc`).toISOString(), new Date(start).toISOString(), 'encrypted names should parse');
+    log('✅ Backup names are parsed from the scheduler timestamp');
+
+    const current = { ...scheduler.DEFAULT_SCHEDULE, archivePassword: 'saved' };
+    assert(/Invalid cron/.test(scheduler.normalizeSchedule({ cronSchedule: 'every night' }, current).error), 'bad cron should be rejected');
+    assert(/whole number/.test(scheduler.normalizeSchedule({ retention: { daily: -1 } }, current).error), 'negative retention should be rejected');
+    assert(/at least one/.test(scheduler.normalizeSchedule({ retention: { daily: 0, weekly: 0, monthly: 0 } }, current).error),
+      'a policy that keeps nothing should be rejected');
+    assert.strictEqual(scheduler.normalizeSchedule({ archivePassword: '' }, current).schedule.archivePassword, 'saved',
+      'a blank password should keep the saved one');
+    assert(!('archivePassword' in scheduler.normalizeSchedule({ clearArchivePassword: true }, current).schedule),
+      'the saved password can be removed');
+    log('✅ Schedule settings are validated');
+
+    const runsFile = path.join(tempDir, 'backup-runs.json');
+    jobScheduler.init({ jobs: { dataFilePath: path.join(tempDir, 'jobs.json') } });
+    scheduler.init({ getConfig: () => ({}), runsFile });
+    const job = jobScheduler.getJob(scheduler.BACKUP_JOB_ID);
+    assert(job, 'the backup should be registered with the job scheduler');
+    assert.strictEqual(job.enabled, false, 'the job should be disabled until scheduled backups are switched on');
+    const updated = scheduler.updateSchedule({ enabled: true, cronSchedule: '0 3 * * *', retention: { daily: 2, weekly: 0, monthly: 0 }, archivePassword: 'pw' });
+    assert(updated.success, updated.error);
+    assert.strictEqual(updated.schedule.archivePassword, undefined, 'the password should not be returned');
+    assert.strictEqual(updated.schedule.hasArchivePassword, true, 'a saved password should be reported');
+    assert.strictEqual(scheduler.getStatus().active, true, 'enabling the schedule should start the cron job');
+    assert.strictEqual(jobScheduler.getJob(scheduler.BACKUP_JOB_ID).schedule, '0 3 * * *', 'the job should use the saved schedule');
+    assert.strictEqual(jobScheduler.getLiveness()[scheduler.BACKUP_JOB_ID].status, 'ok', 'the job should be watched by /readyz');
+
+    remote.set('site-backup-manual.json', Buffer.from('{}'));
+    remote.set(daily[0], Buffer.from('old'));
+    remote.set(daily[1], Buffer.from('old'));
+    const first = await scheduler.runBackup('manual');
+    assert(first.success, first.error);
+    assert(first.fileName.endsWith('.tar.gz.enc'), 'password-protected runs should upload encrypted archives');
+    assert.strictEqual(archivePasswords[0], 'pw', 'the schedule password should encrypt the archive');
+    assert(remote.has(first.fileName), 'the archive should be uploaded');
+    assert.deepStrictEqual(first.deleted, [daily[0]], 'backups outside the policy should be deleted');
+    assert(remote.has('site-backup-manual.json'), 'manual uploads should be left alone');
+    assert.deepStrictEqual(first.skippedModules, [], 'encrypted archives should include every module');
+    assert.deepStrictEqual(first.warnings, []);
+    assert(!fs.readdirSync(os.tmpdir()).some(name => name.endsWith(first.fileName)), 'the temporary archive should be removed');
+    log('✅ Runs upload the archive and prune old scheduled backups');
+
+    uploadDelay = 20;
+    const [slow, overlapping] = await Promise.all([scheduler.runBackup('schedule'), scheduler.runBackup('manual')]);
+    assert(slow.success, slow.error);
+    assert(overlapping.skipped, 'a run should not start while another is in progress');
+    uploadDelay = 0;
+
+    sftp.uploadBackup = async () => ({ success: false, error: 'Permission denied' });
+    const failed = await scheduler.runBackup('manual');
+    assert(!failed.success && /Permission denied/.test(failed.error), 'upload errors should fail the run');
+    const status = scheduler.getStatus();
+    assert.deepStrictEqual(status.runs.map(entry => entry.success), [false, true, true], 'every run should be recorded, newest first');
+    assert.strictEqual(status.lastRun.id, failed.id, 'the last run should be reported');
+    assert.strictEqual(status.lastSuccessAt, slow.finishedAt, 'the last successful run should be reported');
+    assert.strictEqual(JSON.parse(fs.readFileSync(runsFile, 'utf8')).runs.length, 3, 'runs should be persisted');
+    log('✅ Overlapping runs are skipped and every outcome is recorded');
+
+    sftp.uploadBackup = async (localPath, remoteName) => {
+      remote.set(remoteName, fs.readFileSync(localPath));
+      return { success: true, remoteFilePath: `/backups/${remoteName}` };
+    };
+    const viaJob = await scheduler.runNow();
+    assert(viaJob.success, viaJob.error);
+    assert.strictEqual(viaJob.trigger, 'manual');
+    const [jobRun] = jobScheduler.getHistory(scheduler.BACKUP_JOB_ID);
+    assert.strictEqual(jobRun.outcome, 'success', 'runs started from the dashboard should be in the job history');
+    assert.strictEqual(jobRun.message, `Uploaded ${viaJob.fileName}`);
+    assert.strictEqual(jobScheduler.pauseJob(scheduler.BACKUP_JOB_ID).success, true);
+    assert.deepStrictEqual([scheduler.getStatus().active, scheduler.getStatus().paused], [false, true], 'the job can be paused');
+    jobScheduler.resumeJob(scheduler.BACKUP_JOB_ID);
+    assert.strictEqual(jobScheduler.updateSchedule(scheduler.BACKUP_JOB_ID, '0 4 * * *').success, true);
+    assert.strictEqual(scheduler.getStatus().schedule.cronSchedule, '0 4 * * *', 'a schedule changed on the jobs page should be shown');
+    scheduler.updateSchedule({ cronSchedule: '0 5 * * *' });
+    assert.strictEqual(jobScheduler.getJob(scheduler.BACKUP_JOB_ID).schedule, '0 5 * * *', 'saving the backup settings should win');
+    log('✅ Scheduled backups are a job that can be run now, paused and rescheduled');
+
+    const unencrypted = scheduler.updateSchedule({ clearArchivePassword: true });
+    assert.deepStrictEqual(unencrypted.schedule.skippedModules,
+      backup.BACKUP_MODULES.filter(module => module.containsSecrets).map(module => module.label),
+      'the schedule should list the modules a run without a password leaves out');
+    const plain = await scheduler.runBackup('manual');
+    assert(plain.success, plain.error);
+    assert.deepStrictEqual(plain.skippedModules, ['Smart mirror configuration', 'Webhooks'], 'skipped modules should be recorded');
+    assert(/without an archive password: Smart mirror configuration, Webhooks/.test(plain.warnings[0]), 'skipped modules should be a warning');
+    log('✅ Runs without a password record the modules they leave out');
+
+    scheduler.updateSchedule({ enabled: false });
+    assert.strictEqual(scheduler.getStatus().active, false, 'disabling the schedule should stop the cron job');
+    assert.strictEqual(jobScheduler.getJob(scheduler.BACKUP_JOB_ID).enabled, false);
+    const disabledRun = await scheduler.runNow();
+    assert(disabledRun.success, 'backups can be run by hand while the schedule is off');
+  } finally {
+    scheduler.stopScheduler();
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const repoRoot = path.join(__dirname, '..');
+const backup = require(path.join(repoRoot, 'modules', 'backup.js'));
+const house = require(path.join(repoRoot, 'modules', 'house.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+  const configDir = path.join(tempDir, 'config');
+  const uploadsDir = path.join(tempDir, 'uploads');
+  const houseFile = path.join(configDir, 'house-data.json');
+  // Modules that only touch the temporary directories
+  const modules = ['mainConfig', 'espressoData', 'house', 'attachments'];
+
+  try {
+    fs.mkdirSync(configDir, { recursive: true });
+    backup.init({ configDir, uploadsDir });
+    house.init({ house: { dataFilePath: houseFile } });
+
+    const longName = `uploads/${'device-'.repeat(20)}/${'scan-'.repeat(15)}.pdf`;
+    const binary = Buffer.from([0, 1, 2, 255, 254, 10, 13]);
+    const files = backup.unpackTar(backup.packTar([
+      { name: 'manifest.json', content: Buffer.from('{"a":1}') },
+      { name: longName, content: binary }
+    ]));
+    assert.strictEqual(files.get('manifest.json').toString(), '{"a":1}', 'small files should round-trip');
+    assert(files.get(longName).equals(binary), 'long paths and binary content should round-trip');
+    log('✅ Tar writer and reader round-trip files');
+
+    const config = {
+      server: { port: 3000, admin: { username: 'admin', password: 'secret-password' }, sessionSecret: 'cookie-secret' },
+      homeAssistant: { token: 'ha-token' },
+      metrics: { token: 'scrape-token' },
+      usefulLinks: [{ name: 'Docs', url: 'https://example.com' }]
+    };
+    fs.writeFileSync(path.join(configDir, 'espresso-data.json'), JSON.stringify({ shots: 3 }));
+    const houseData = house.loadHouseData();
+    houseData.vacation.dates = [{ id: 'v1', destination: 'Lisbon' }];
+    house.saveHouseData(houseData);
+    fs.mkdirSync(path.join(uploadsDir, 'house-bills'), { recursive: true });
+    fs.mkdirSync(path.join(uploadsDir, 'temp'), { recursive: true });
+    fs.writeFileSync(path.join(uploadsDir, 'house-bills', 'bill.pdf'), binary);
+    fs.writeFileSync(path.join(uploadsDir, 'temp', 'partial.bin'), 'x');
+    fs.writeFileSync(path.join(uploadsDir, 'temp-backup-upload.json'), '{}');
+
+    const plainPath = path.join(tempDir, 'plain.tar.gz');
+    const created = await backup.createArchive(config, { modules, filePath: plainPath });
+    assert(created.success, created.error);
+    assert(created.filename.endsWith('.tar.gz'), 'plain archives should be .tar.gz');
+    const plainArchive = fs.readFileSync(plainPath);
+    assert.strictEqual(created.size, plainArchive.length, 'the archive size should be reported');
+    assert(!backup.isEncryptedArchive(plainArchive), 'archive without a password should not be encrypted');
+    zlib.gunzipSync(plainArchive);
+
+    const opened = backup.readArchive(plainArchive);
+    assert(opened.success, opened.error);
+    assert.strictEqual(opened.backup.data.mainConfig.server.admin.password, undefined, 'admin password should not be exported');
+    assert.strictEqual(opened.backup.data.mainConfig.server.sessionSecret, '', 'session secret should be blanked');
+    assert.strictEqual(opened.backup.data.mainConfig.homeAssistant.token, '', 'tokens should be blanked');
+    assert.strictEqual(opened.backup.data.mainConfig.metrics.token, '', 'metrics token should be blanked');
+    assert.deepStrictEqual(opened.backup.data.espressoData, { shots: 3 }, 'espresso data should be archived');
+    assert(!('house' in opened.backup.data), 'house data holds portal credentials and needs a password');
+    assert.deepStrictEqual(opened.backup.attachments.map(file => file.path), ['house-bills/bill.pdf'], 'uploads except temporary files should be archived');
+    assert(opened.backup.attachments[0].content.equals(binary), 'attachments should keep their bytes');
+    assert(backup.validateBackup(opened.backup).valid, 'archive contents should pass validation');
+    const summary = backup.getBackupSummary(opened.backup);
+    assert.deepStrictEqual(summary.modules.map(module => module.id), modules.filter(id => id !== 'house'), 'summary should list restorable modules');
+    log('✅ Archive covers config, module data and uploaded files');
+
+    fs.writeFileSync(path.join(uploadsDir, 'house-bills', 'empty.pdf'), '');
+    const emptyFile = await backup.createArchive(config, { modules: ['attachments'], filePath: path.join(tempDir, 'empty.tar.gz') });
+    assert(emptyFile.success, emptyFile.error);
+    const emptyOpened = backup.readArchive(fs.readFileSync(emptyFile.filePath));
+    assert.strictEqual(emptyOpened.backup.attachments.find(file => file.path === 'house-bills/empty.pdf').content.length, 0, 'empty uploads should be archived');
+    fs.rmSync(path.join(uploadsDir, 'house-bills', 'empty.pdf'));
+    log('✅ Uploads are streamed into the archive file');
+
+    const withSecrets = backup.exportAllData(config, { modules: ['mainConfig', 'house', 'webhooks'] });
+    assert.deepStrictEqual(withSecrets.backup.metadata.excludedModules, ['house', 'webhooks'], 'credential modules need a password');
+    assert(!('webhooks' in withSecrets.backup.data), 'credential modules should not be exported without a password');
+    assert(backup.validateBackup(withSecrets.backup).warnings.some(warning => /Webhooks/.test(warning)), 'excluded modules should be reported');
+    log('✅ Modules holding credentials are left out of unencrypted backups');
+
+    const encrypted = await backup.createArchive(config, { modules, password: 'correct horse', filePath: path.join(tempDir, 'encrypted.tar.gz.enc') });
+    assert(encrypted.success, encrypted.error);
+    const encryptedArchive = fs.readFileSync(encrypted.filePath);
+    assert(backup.isEncryptedArchive(encryptedArchive), 'password archives should be encrypted');
+    assert(!encryptedArchive.includes(Buffer.from('Lisbon')), 'encrypted archive should not contain plain data');
+    assert.strictEqual(backup.readArchive(encryptedArchive).passwordRequired, true, 'a password should be requested');
+    const wrong = backup.readArchive(encryptedArchive, 'wrong');
+    assert(!wrong.success && /Incorrect password/.test(wrong.error), 'a wrong password should be rejected');
+    const decrypted = backup.readArchive(encryptedArchive, 'correct horse');
+    assert(decrypted.success && decrypted.backup.metadata.encrypted, 'the right password should open the archive');
+    assert.strictEqual(decrypted.backup.data.house.vacation.dates[0].destination, 'Lisbon', 'house data should be in password archives');
+    log('✅ Password-encrypted archives require the right password');
+
+    const tarFiles = backup.unpackTar(zlib.gunzipSync(plainArchive));
+    tarFiles.set('data/espressoData.json', Buffer.from('{"shots":99}'));
+    const tampered = zlib.gzipSync(backup.packTar(Array.from(tarFiles, ([name, content]) => ({ name, content }))));
+    const tamperedResult = backup.readArchive(tampered);
+    assert(!tamperedResult.success && /checksum/.test(tamperedResult.error), 'modified files should fail the integrity check');
+    log('✅ Modified archives are rejected');
+
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+      server: { admin: { password: 'current' }, sessionSecret: 'current-secret' },
+      metrics: { token: 'current-token' },
+      usefulLinks: []
+    }));
+    fs.writeFileSync(path.join(configDir, 'espresso-data.json'), JSON.stringify({ shots: 0 }));
+    fs.rmSync(path.join(uploadsDir, 'house-bills'), { recursive: true });
+    const selective = backup.importAllData(opened.backup, null, { modules: ['espressoData', 'attachments'] });
+    assert(selective.success, selective.error);
+    assert.deepStrictEqual(selective.results.imported, ['Espresso data', 'Uploaded files'], 'only selected modules should be restored');
+    assert(selective.results.skipped.includes('Main configuration'), 'unselected modules should be reported as skipped');
+    assert.deepStrictEqual(readJson(path.join(configDir, 'espresso-data.json')), { shots: 3 }, 'selected module should be restored');
+    assert.deepStrictEqual(readJson(path.join(configDir, 'config.json')).usefulLinks, [], 'unselected module should be untouched');
+    assert(fs.readFileSync(path.join(uploadsDir, 'house-bills', 'bill.pdf')).equals(binary), 'uploaded files should be restored');
+    log('✅ Selected modules are restored and the rest left alone');
+
+    const full = backup.importAllData(opened.backup, null);
+    assert(full.success, full.error);
+    const restoredConfig = readJson(path.join(configDir, 'config.json'));
+    assert.strictEqual(restoredConfig.server.admin.password, 'current', 'the current admin password should be kept');
+    assert.strictEqual(restoredConfig.server.sessionSecret, 'current-secret', 'the current session secret should be kept');
+    assert.strictEqual(restoredConfig.metrics.token, 'current-token', 'the current metrics token should be kept');
+    assert.strictEqual(restoredConfig.usefulLinks.length, 1, 'main configuration should be restored');
+    log('✅ Full restore keeps the current admin password, session secret and metrics token');
+
+    const escaping = {
+      ...opened.backup,
+      attachments: [{ path: '../escaped.txt', content: Buffer.from('x') }, { path: 'ok.txt', content: Buffer.from('y') }]
+    };
+    const escaped = backup.importAllData(escaping, null, { modules: ['attachments'] });
+    assert(!escaped.success && /outside uploads/.test(escaped.results.errors[0]), 'paths outside uploads/ should be refused');
+    assert(!fs.existsSync(path.join(tempDir, 'escaped.txt')) && !fs.existsSync(path.join(uploadsDir, 'ok.txt')),
+      'nothing should be written when an attachment path is unsafe');
+    log('✅ Attachment paths cannot escape the uploads directory');
+  } finally {
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
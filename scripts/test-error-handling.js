@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const axios = require('axios');
+const bodyParser = require('body-parser');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const errorHelper = require(path.join(repoRoot, 'modules', 'error-helper.js'));
+const { ERROR_CODES, codeForStatus, statusForCode } = require(path.join(repoRoot, 'modules', 'error-codes.js'));
+const requestContext = require(path.join(repoRoot, 'modules', 'request-context.js'));
+const logger = require(path.join(repoRoot, 'modules', 'logger.js'));
+const storage = require(path.join(repoRoot, 'modules', 'storage.js'));
+
+const { ApiError, sendError, sendResult } = errorHelper;
+
+function log(message) {
+  console.log(message);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'error-handling-test-'));
+  const liveConfig = { usefulLinks: [] };
+  const configStore = storage.createConfigStore({ getConfig: () => liveConfig, filePath: path.join(tempDir, 'config.json') });
+  const app = express();
+  app.use(requestContext.middleware());
+  app.use(errorHelper.errorResponses());
+  app.use(bodyParser.json());
+  app.get('/api/accounts/:id', (req, res) => sendError(res, 'FINANCE_ACCOUNT_NOT_FOUND'));
+  app.get('/api/legacy', (req, res) => res.status(500).json({ error: 'Failed to load: disk on fire' }));
+  app.get('/api/legacy-coded', (req, res) => res.status(403).json({ success: false, error: 'Nope', code: 'INSUFFICIENT_SCOPE' }));
+  app.get('/api/thrown', () => {
+    throw new Error('secret internals');
+  });
+  app.get('/api/async', async (req, res, next) => {
+    await sleep(5);
+    logger.info(logger.categories.FINANCE, 'Still inside the request');
+    next(new ApiError('CONFIG_NOT_WRITABLE'));
+  });
+  app.get('/api/read-only', (req, res, next) => {
+    next(Object.assign(new Error('EROFS: read-only file system'), { code: 'EROFS' }));
+  });
+  app.get('/api/result/:outcome', (req, res) => {
+    const results = {
+      ok: { success: true, value: 1 },
+      missing: { success: false, error: 'Apartment not found', code: 'FINANCE_APARTMENT_NOT_FOUND' },
+      invalid: { success: false, error: 'Rent must be a number' }
+    };
+    sendResult(res, results[req.params.outcome]);
+  });
+  app.post('/api/json', (req, res) => res.json({ success: true }));
+  // Written like the config routes in server.js
+  app.post('/api/links', async (req, res, next) => {
+    try {
+      const links = await configStore.transaction('usefulLinks', usefulLinks => {
+        usefulLinks.push({ name: req.body.name, id: usefulLinks.length + 1 });
+        return usefulLinks;
+      }, { defaultValue: [] });
+      res.json({ success: true, links });
+    } catch (err) {
+      next(err);
+    }
+  });
+  app.use(['/api'], errorHelper.apiNotFoundHandler);
+  app.use(errorHelper.errorHandler);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = (url, options = {}) => axios.get(`${base}${url}`, { validateStatus: () => true, ...options });
+
+  try {
+    for (const [code, entry] of Object.entries(ERROR_CODES)) {
+      assert(/^[A-Z][A-Z_]+$/.test(code), `${code} should be upper snake case`);
+      assert(entry.status >= 400 && entry.status < 600, `${code} should have an error status`);
+      assert(entry.message && entry.hint, `${code} should have a message and a hint`);
+    }
+    assert.strictEqual(codeForStatus(404), 'NOT_FOUND');
+    assert.strictEqual(codeForStatus(418), 'BAD_REQUEST');
+    assert.strictEqual(codeForStatus(507), 'INTERNAL_ERROR');
+    assert.strictEqual(statusForCode('GITHUB_AUTH_FAILED'), 502);
+    assert.strictEqual(statusForCode('EACCES'), 500, 'codes outside the catalog are server errors');
+    assert.throws(() => new ApiError('NO_SUCH_CODE'), /Unknown error code/);
+    log('✅ Every catalog code has a status, message and hint');
+
+    let response = await get('/api/accounts/42');
+    assert.strictEqual(response.status, 404);
+    assert.match(response.headers['x-request-id'], /^[0-9a-f]{16}$/);
+    assert.deepStrictEqual(response.data, {
+      success: false,
+      error: 'Account not found',
+      code: 'FINANCE_ACCOUNT_NOT_FOUND',
+      hint: ERROR_CODES.FINANCE_ACCOUNT_NOT_FOUND.hint,
+      requestId: response.headers['x-request-id']
+    });
+    response = await get('/api/accounts/42', { headers: { 'X-Request-Id': 'proxy-id.123' } });
+    assert.strictEqual(response.data.requestId, 'proxy-id.123', 'a request ID from a proxy should be kept');
+    response = await get('/api/accounts/42', { headers: { 'X-Request-Id': '<script>' } });
+    assert.notStrictEqual(response.data.requestId, '<script>', 'unsafe request IDs should be replaced');
+    log('✅ Catalog errors are sent with their status, hint and request ID');
+
+    response = await get('/api/legacy');
+    assert.strictEqual(response.data.code, 'INTERNAL_ERROR');
+    assert.strictEqual(response.data.error, 'Failed to load: disk on fire', 'hand-written messages are kept');
+    assert.strictEqual(response.data.success, false);
+    assert.strictEqual(response.data.hint, ERROR_CODES.INTERNAL_ERROR.hint);
+    const logged = logger.getLogs()[0];
+    assert.strictEqual(logged.requestId, response.data.requestId, 'the log entry should carry the request ID');
+    assert.match(logged.message, /GET \/api\/legacy failed with 500 INTERNAL_ERROR/);
+    response = await get('/api/legacy-coded');
+    assert.strictEqual(response.data.code, 'INSUFFICIENT_SCOPE', 'codes set by routes are kept');
+    log('✅ Hand-written error responses are completed and 5xx responses logged');
+
+    response = await get('/api/thrown');
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.data.error, 'Internal server error', 'unexpected error messages are not sent');
+    const thrownLog = logger.getLogs().find(entry => entry.requestId === response.data.requestId);
+    assert.match(thrownLog.message, /secret internals/, 'the original error should be logged');
+    assert.strictEqual(logger.getLogs().filter(entry => entry.requestId === response.data.requestId).length, 1,
+      'a thrown error should be logged once');
+
+    response = await get('/api/async');
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.data.code, 'CONFIG_NOT_WRITABLE');
+    assert(logger.getLogs().some(entry => entry.message === 'Still inside the request' && entry.requestId === response.data.requestId),
+      'entries logged after an await should keep the request ID');
+    assert.strictEqual((await get('/api/read-only')).data.code, 'CONFIG_NOT_WRITABLE');
+
+    response = await axios.post(`${base}/api/json`, '{"broken":', {
+      headers: { 'Content-Type': 'application/json' },
+      validateStatus: () => true
+    });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.data.code, 'INVALID_JSON');
+    response = await get('/api/nowhere');
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(response.data.code, 'ROUTE_NOT_FOUND');
+    assert.strictEqual(response.data.error, 'No endpoint for GET /api/nowhere');
+    log('✅ Thrown errors, invalid JSON and unknown endpoints get the standard response');
+
+    response = await get('/api/result/ok');
+    assert.deepStrictEqual(response.data, { success: true, value: 1 });
+    response = await get('/api/result/missing');
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(response.data.code, 'FINANCE_APARTMENT_NOT_FOUND');
+    response = await get('/api/result/invalid');
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.data.code, 'BAD_REQUEST');
+    log('✅ Module results are sent with the status of their code');
+
+    assert.strictEqual(requestContext.getRequestId(), null, 'there is no request ID outside a request');
+
+    const writeFailure = errno => new storage.StorageError('Failed to write config.json', {
+      cause: Object.assign(new Error(`${errno}: cannot write`), { code: errno })
+    });
+    assert.strictEqual(errorHelper.toApiError(writeFailure('EACCES')).code, 'CONFIG_NOT_WRITABLE', 'the errno behind a failed write should be mapped');
+    assert.strictEqual(errorHelper.toApiError(writeFailure('ENOTDIR')).code, 'INTERNAL_ERROR');
+
+    const renameSync = fs.renameSync;
+    fs.renameSync = () => {
+      throw Object.assign(new Error(`EACCES: permission denied, rename '${tempDir}/config.json'`), { code: 'EACCES' });
+    };
+    try {
+      response = await axios.post(`${base}/api/links`, { name: 'Docs' }, { validateStatus: () => true });
+    } finally {
+      fs.renameSync = renameSync;
+    }
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.data.code, 'CONFIG_NOT_WRITABLE', 'a route whose write fails should report the config directory');
+    assert.strictEqual(response.data.error, ERROR_CODES.CONFIG_NOT_WRITABLE.message);
+    assert(!JSON.stringify(response.data).includes(tempDir), 'the exception message should not be sent');
+    assert.deepStrictEqual(liveConfig.usefulLinks, [], 'a failed write should leave the config unchanged');
+    response = await axios.post(`${base}/api/links`, { name: 'Docs' });
+    assert.deepStrictEqual(response.data.links, [{ name: 'Docs', id: 1 }], 'the next write should succeed');
+    log('✅ A route whose config write fails answers CONFIG_NOT_WRITABLE without the exception message');
+  } finally {
+    server.close();
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const eventBus = require(path.join(repoRoot, 'modules', 'event-bus.js'));
+const house = require(path.join(repoRoot, 'modules', 'house.js'));
+const logger = require(path.join(repoRoot, 'modules', 'logger.js'));
+
+function log(message) {
+  console.log(message);
+}
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const party = { partyId: 1, name: 'Birthday', status: 'draft', action: 'created' };
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-bus-test-'));
+  const dataFilePath = path.join(tempDir, 'house-data.json');
+
+  try {
+    assert.throws(() => eventBus.emit('party.deleted', party), /Unknown event type: party.deleted/);
+    assert.throws(() => eventBus.emit('party.updated', { partyId: 1, name: 'Birthday' }), /missing: status, action/);
+    assert.throws(() => eventBus.on('party.changed', () => {}), /Unknown event type/, 'typos in subscriptions should fail too');
+    assert(eventBus.getEventTypes().every(definition => Object.values(logger.categories).includes(definition.category)),
+      'every event type should belong to a logger category');
+    log('✅ Event types and payloads are validated');
+
+    const received = [];
+    const offAll = eventBus.on('*', event => received.push(`all:${event.type}`));
+    const offHouse = eventBus.on('house.*', event => received.push(`house:${event.type}`));
+    const offParty = eventBus.on('party.updated', event => received.push(`party:${event.payload.action}`));
+    const event = eventBus.emit('party.updated', party);
+    assert.deepStrictEqual(received, ['all:party.updated', 'party:created']);
+    assert(event.id && event.timestamp && event.payload === party, 'events should carry an id, timestamp and payload');
+    offParty();
+    eventBus.emit('party.updated', { ...party, action: 'updated' });
+    assert.deepStrictEqual(received.slice(2), ['all:party.updated'], 'unsubscribed handlers should not be called');
+    log('✅ Exact, prefix and wildcard subscriptions receive matching events');
+
+    const offThrowing = eventBus.on('party.updated', () => { throw new Error('boom'); });
+    const offRejecting = eventBus.on('party.updated', async () => { throw new Error('async boom'); });
+    const afterFailures = [];
+    const offAfter = eventBus.on('party.updated', () => afterFailures.push('called'));
+    eventBus.emit('party.updated', { ...party, action: 'archived' });
+    await wait(10);
+    assert.deepStrictEqual(afterFailures, ['called'], 'a failing handler should not stop the others');
+    const errors = logger.getLogs().filter(entry => entry.level === 'ERROR').map(entry => entry.message);
+    assert(errors.some(message => message.includes('Handler for party.updated failed: boom')), 'thrown errors should be logged');
+    assert(errors.some(message => message.includes('Handler for party.updated failed: async boom')), 'rejections should be logged');
+    [offThrowing, offRejecting, offAfter].forEach(off => off());
+    assert.strictEqual(eventBus.getRecentEvents(1)[0].payload.action, 'archived', 'recent events should be newest first');
+    log('✅ Failing handlers are logged and isolated');
+
+    house.init({ house: { dataFilePath } });
+    house.addBill({
+      billDate: '2026-02-05',
+      extractedData: { period: { startDate: '2026-01-01', endDate: '2026-01-31' }, electric: { totalCost: 80.1 }, water: { totalCost: 40.2 } }
+    });
+    const bill = received.filter(item => item.startsWith('house:'));
+    assert.deepStrictEqual(bill, ['house:house.bill.added']);
+    const billEvent = eventBus.getRecentEvents(1)[0];
+    assert.strictEqual(billEvent.payload.totalCost, 120.3, 'the bill total should add up the utilities');
+    assert.strictEqual(billEvent.payload.periodEndDate, '2026-01-31');
+    log('✅ Adding a bill emits house.bill.added');
+
+    const refills = [];
+    const offRefills = eventBus.on('medication.refill.due', refillEvent => refills.push(refillEvent.payload.name));
+    house.addMedication({ name: 'Low', pillCount: 3, scheduleFrequency: 'daily', alertThresholdDays: 7 });
+    house.addMedication({ name: 'Plenty', pillCount: 90, scheduleFrequency: 'daily', alertThresholdDays: 7 });
+    house.addMedication({ name: 'Sometimes', pillCount: 1, asNeeded: true });
+    house.checkMedicationRefills();
+    house.checkMedicationRefills();
+    assert.deepStrictEqual(refills, ['Low'], 'only scheduled medications at their alert date, announced once');
+    const low = house.getMedicationsData().medications.find(med => med.name === 'Low');
+    house.updateMedication(low.id, { ...low, pillCount: 2 });
+    house.checkMedicationRefills();
+    assert.deepStrictEqual(refills, ['Low', 'Low'], 'a changed pill count should be announced again');
+    offRefills();
+    log('✅ Medication refills are announced once per change');
+
+    offAll();
+    offHouse();
+  } finally {
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
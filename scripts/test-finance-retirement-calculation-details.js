@@ -9,10 +9,10 @@ const finance = require('../modules/finance');
 const repoRoot = path.join(__dirname, '..');
 const configDir = path.join(repoRoot, 'config');
 const financeDataPath = path.join(configDir, '.finance_data');
-const financeKeyPath = path.join(configDir, '.finance_key');
+const secretsKeyPath = path.join(configDir, '.secrets-key');
 const AVERAGE_DAYS_PER_MONTH = 365.25 / 12;
 const ZERO_RATE_EPSILON = 1e-9;
-const managedFiles = [financeDataPath, financeKeyPath];
+const managedFiles = [financeDataPath, secretsKeyPath];
 const originalFiles = new Map();
 
 function snapshotOriginalFiles() {
@@ -49,6 +49,12 @@ function makeRequest(options, postData = null) {
   });
 }
 
+// The media endpoint answers with 200 and data, or with an error status and a
+// code (e.g. 409 WIDGET_DISABLED) when the widget cannot load
+function isAnswered(response) {
+  return response.statusCode === 200 || Boolean(response.json && response.json.code);
+}
+
 // Test 1: Verify request caching is working
 async function testRequestCaching() {
   console.log('\n🔄 Test 1: Verify request caching to prevent spam');
@@ -88,8 +94,8 @@ async function testRequestCaching() {
   }
   
   // Verify both responses are valid
-  if (response1.statusCode === 200 && response2.statusCode === 200) {
-    console.log('✅ Both requests returned 200 OK');
+  if (isAnswered(response1) && isAnswered(response2)) {
+    console.log('✅ Both requests were answered');
     return true;
   }
   
@@ -124,10 +130,10 @@ async function testRateLimiting() {
   console.log(`📊 Made ${requests.length} requests in ${totalTime}ms`);
   console.log(`📊 Average time per request: ${avgTime.toFixed(2)}ms`);
   
-  const allSuccessful = responses.every(r => r.statusCode === 200);
+  const allSuccessful = responses.every(isAnswered);
   
   if (allSuccessful) {
-    console.log('✅ All requests returned 200 OK');
+    console.log('✅ All requests were answered');
   } else {
     console.log('⚠️  Some requests failed');
   }
@@ -174,7 +180,7 @@ async function testCacheTimeout() {
   
   console.log('📤 Made second request after cache expiry');
   
-  if (response1.statusCode === 200 && response2.statusCode === 200) {
+  if (isAnswered(response1) && isAnswered(response2)) {
     console.log('✅ Both requests successful after cache timeout');
     return true;
   }
@@ -195,16 +201,14 @@ async function testErrorHandling() {
     method: 'GET'
   });
   
-  if (response.statusCode === 200) {
-    const data = response.json;
-    
-    if (data.success === false) {
-      console.log('✅ API correctly returns error response:', data.error);
-      return true;
-    } else if (data.success === true) {
-      console.log('✅ API successfully returned data (widget configured)');
-      return true;
-    }
+  const data = response.json;
+  
+  if (response.statusCode !== 200 && data && data.success === false && data.code) {
+    console.log('✅ API correctly returns error response:', `${data.code}: ${data.error}`);
+    return true;
+  } else if (response.statusCode === 200 && data && data.success === true) {
+    console.log('✅ API successfully returned data (widget configured)');
+    return true;
   }
   
   console.log('⚠️  Unexpected response:', response.statusCode);
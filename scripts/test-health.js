@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const health = require(path.join(repoRoot, 'modules', 'health.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-test-'));
+
+  try {
+    assert.strictEqual(health.getLiveness().status, 'ok');
+
+    assert.deepStrictEqual(health.checkWritableDirectory(tempDir), { status: 'ok' });
+    assert.deepStrictEqual(fs.readdirSync(tempDir), [], 'the probe file should be removed');
+    const missingDir = health.checkWritableDirectory(path.join(tempDir, 'missing'));
+    assert.deepStrictEqual(missingDir, { status: 'fail', error: 'ENOENT' });
+    log('✅ Writable directory checks report the failing reason');
+
+    health.registerCheck('storage', () => ({ status: 'ok' }));
+    health.registerCheck('slowButFine', async () => ({ status: 'degraded', reason: 'retrying' }));
+    health.registerCheck('remote', () => {
+      throw new Error('downstream checks only run on request');
+    }, { downstream: true });
+
+    let readiness = await health.getReadiness();
+    assert.strictEqual(readiness.status, 'degraded', 'a degraded check should not make the server unready');
+    assert.deepStrictEqual(Object.keys(readiness.checks), ['storage', 'slowButFine']);
+    assert.strictEqual(readiness.checks.slowButFine.reason, 'retrying', 'check details should be kept');
+    assert(typeof readiness.checks.storage.durationMs === 'number');
+
+    readiness = await health.getReadiness({ downstream: true });
+    assert.strictEqual(readiness.status, 'fail');
+    assert.deepStrictEqual(readiness.checks.remote, {
+      status: 'fail',
+      error: 'downstream checks only run on request',
+      durationMs: readiness.checks.remote.durationMs
+    }, 'a throwing check should be reported as failed');
+
+    health.registerCheck('remote', () => ({ up: true }), { downstream: true });
+    readiness = await health.getReadiness({ downstream: true });
+    assert.strictEqual(readiness.checks.remote.status, 'fail', 'a check without a status should fail');
+    log('✅ Readiness combines check statuses and runs downstream checks only on request');
+
+  } finally {
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
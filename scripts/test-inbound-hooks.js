@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const house = require(path.join(repoRoot, 'modules', 'house.js'));
+const inboundHooks = require(path.join(repoRoot, 'modules', 'inbound-hooks.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inbound-hooks-test-'));
+
+  try {
+    house.init({ house: { dataFilePath: path.join(tempDir, 'house-data.json') } });
+    inboundHooks.init({ inboundHooks: { dataFilePath: path.join(tempDir, 'inbound-hooks.json') } });
+
+    assert(/unknown action "nope"/.test(inboundHooks.validateRules([{ action: 'nope' }]).error));
+    assert(/Rule "Shopping": missing name/.test(
+      inboundHooks.validateRules([{ name: 'Shopping', action: 'list.add-item', params: { listId: '1' } }]).error));
+    assert.strictEqual(inboundHooks.renderTemplate('{{count}}', { count: 3 }), 3, 'a lone placeholder should keep its type');
+    assert.deepStrictEqual(inboundHooks.renderTemplate({ text: 'Buy {{item.name}}!' }, { item: { name: 'Milk' } }), { text: 'Buy Milk!' });
+    log('✅ Rules are validated and templates are filled from the payload');
+
+    assert.strictEqual(house.addList({ name: 'Groceries' }).success, true);
+    const listId = house.getListsData().lists[0].id;
+
+    const created = inboundHooks.createHook({
+      name: 'Shortcut',
+      rules: [{
+        name: 'Add item',
+        when: { path: 'kind', equals: 'grocery' },
+        action: 'list.add-item',
+        params: { listId, name: '{{item}}', description: 'From {{source}}' }
+      }]
+    });
+    assert.strictEqual(created.success, true, created.error);
+    assert(created.secret.startsWith(inboundHooks.SECRET_PREFIX), 'the plain secret should be returned on create');
+    assert(!('secretHash' in created.hook), 'the secret hash should not leave the module');
+    const hookId = created.hook.id;
+
+    assert.strictEqual(inboundHooks.authenticate(hookId, created.secret).id, hookId);
+    assert.strictEqual(inboundHooks.authenticate(hookId, 'hook_wrong'), null, 'a wrong secret should be rejected');
+    assert.strictEqual(inboundHooks.authenticate('missing', created.secret), null, 'the secret only opens its own hook');
+    log('✅ Hooks are created with a one-time secret and authenticate by id and secret');
+
+    const hook = inboundHooks.authenticate(hookId, created.secret);
+    const executed = await inboundHooks.execute(hook, { kind: 'grocery', item: 'Milk', source: 'Siri' }, { ip: '127.0.0.1' });
+    assert.strictEqual(executed.status, 'success');
+    const items = house.getListsData().lists[0].items;
+    assert.deepStrictEqual(items.map(item => [item.name, item.description]), [['Milk', 'From Siri']]);
+
+    const skipped = await inboundHooks.execute(hook, { kind: 'hardware', item: 'Nails' });
+    assert.strictEqual(skipped.status, 'no-match', 'rules whose condition does not match should not run');
+    const incomplete = await inboundHooks.execute(hook, { kind: 'grocery' });
+    assert.strictEqual(incomplete.status, 'failed');
+    assert(/did not provide name/.test(incomplete.results[0].error), 'a missing payload field should be reported');
+    const dryRun = await inboundHooks.execute(hook, { kind: 'grocery', item: 'Eggs' }, { dryRun: true });
+    assert.strictEqual(dryRun.results[0].params.name, 'Eggs');
+    assert.strictEqual(house.getListsData().lists[0].items.length, 1, 'a dry run should not run the action');
+    log('✅ Matching rules run their actions; conditions, missing fields and dry runs are handled');
+
+    const history = inboundHooks.getHistory(hookId);
+    assert.deepStrictEqual(history.map(entry => entry.status), ['success', 'failed', 'no-match', 'success']);
+    assert.strictEqual(history[3].ip, '127.0.0.1');
+    assert(inboundHooks.getHook(hookId).lastUsedAt, 'lastUsedAt should be recorded');
+    log('✅ Executions are recorded newest first');
+
+    const rotated = inboundHooks.rotateSecret(hookId);
+    assert.strictEqual(inboundHooks.authenticate(hookId, created.secret), null, 'the old secret should stop working');
+    assert.strictEqual(inboundHooks.authenticate(hookId, rotated.secret).id, hookId);
+    inboundHooks.updateHook(hookId, { enabled: false });
+    assert.strictEqual(inboundHooks.authenticate(hookId, rotated.secret), null, 'a disabled hook should reject requests');
+    assert.strictEqual(inboundHooks.deleteHook(hookId).success, true);
+    assert.deepStrictEqual(inboundHooks.listHooks(), []);
+    assert.deepStrictEqual(inboundHooks.getHistory(), [], 'deleting a hook should remove its history');
+    log('✅ Secrets can be replaced, hooks disabled and deleted');
+  } finally {
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const jobScheduler = require(path.join(repoRoot, 'modules', 'job-scheduler.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-scheduler-test-'));
+  const dataFilePath = path.join(tempDir, 'jobs.json');
+  jobScheduler.init({ jobs: { dataFilePath } });
+
+  try {
+    // 2026-03-07 is a Saturday; New York switches to daylight saving time on 2026-03-08
+    const from = Date.parse('2026-03-07T15:30:00Z');
+    assert.strictEqual(jobScheduler.getNextRun('0 * * * *', 'UTC', from).toISOString(), '2026-03-07T16:00:00.000Z');
+    assert.strictEqual(jobScheduler.getNextRun('0 7 * * *', 'America/New_York', from).toISOString(), '2026-03-08T11:00:00.000Z',
+      '7am after the switch is 11:00 UTC');
+    assert.strictEqual(jobScheduler.getNextRun('30 0 0 1 1 *', 'UTC', from).toISOString(), '2027-01-01T00:00:30.000Z',
+      'six-field expressions keep their seconds');
+    assert.strictEqual(jobScheduler.getNextRun('0 9 * * mon-fri', 'UTC', from).toISOString(), '2026-03-09T09:00:00.000Z');
+    assert.strictEqual(jobScheduler.getNextRun('*/20 6,12 * * *', 'UTC', from).toISOString(), '2026-03-08T06:00:00.000Z');
+    assert.strictEqual(jobScheduler.getNextRun('not a schedule', 'UTC', from), null);
+    log('✅ Next runs follow cron fields, time zones and daylight saving time');
+
+    let release;
+    let calls = 0;
+    jobScheduler.registerJob({
+      id: 'slow',
+      name: 'Slow job',
+      category: 'System',
+      schedule: '0 3 * * *',
+      run: () => {
+        calls++;
+        return new Promise(resolve => { release = resolve; });
+      }
+    });
+    const first = jobScheduler.runJob('slow', 'manual');
+    assert.strictEqual(jobScheduler.getJob('slow').running, true);
+    const overlapping = await jobScheduler.runJob('slow', 'schedule');
+    assert.deepStrictEqual(overlapping, { success: false, error: 'Slow job is already running', running: true });
+    release({ success: true, message: 'done' });
+    const finished = await first;
+    assert.strictEqual(finished.success, true);
+    assert.strictEqual(calls, 1, 'an overlapping run should not start');
+    const history = jobScheduler.getHistory('slow');
+    assert.deepStrictEqual(history.map(entry => entry.outcome), ['success', 'skipped']);
+    assert.strictEqual(history[0].message, 'done');
+    assert.strictEqual(history[0].trigger, 'manual');
+    log('✅ A job never runs twice at once and skipped runs are recorded');
+
+    jobScheduler.registerJob({
+      id: 'broken',
+      name: 'Broken job',
+      category: 'Finance',
+      schedule: null,
+      run: () => ({ success: false, error: 'no data' })
+    });
+    jobScheduler.registerJob({
+      id: 'throws',
+      name: 'Throwing job',
+      category: 'Finance',
+      run: () => {
+        throw new Error('boom');
+      }
+    });
+    assert.strictEqual((await jobScheduler.runJob('broken')).run.error, 'no data');
+    assert.strictEqual((await jobScheduler.runJob('throws')).run.error, 'boom');
+    assert.strictEqual(jobScheduler.getJob('throws').lastRun.outcome, 'failed');
+    assert.deepStrictEqual(jobScheduler.listJobs().map(job => job.id), ['broken', 'throws', 'slow'],
+      'jobs are sorted by category, then name');
+    log('✅ Failed results and thrown errors are recorded as failed runs');
+
+    const paused = jobScheduler.pauseJob('slow');
+    assert.strictEqual(paused.job.paused, true);
+    assert.strictEqual(paused.job.nextRun, null, 'a paused job has no next run');
+    assert.deepStrictEqual(jobScheduler.getLiveness().slow, { status: 'ok', paused: true });
+    const manualRun = jobScheduler.runJob('slow', 'manual');
+    release();
+    assert.strictEqual((await manualRun).success, true, 'paused jobs can still be run by hand');
+    const resumed = jobScheduler.resumeJob('slow');
+    assert.strictEqual(resumed.job.paused, false);
+    assert(resumed.job.nextRun, 'a resumed job is scheduled again');
+    log('✅ Pause stops automatic runs and resume restores them');
+
+    assert.strictEqual(jobScheduler.updateSchedule('slow', 'every day').success, false);
+    assert.match(jobScheduler.updateSchedule('broken', '* * * * *').error, /runs on demand/);
+    let updated = jobScheduler.updateSchedule('slow', '0 4 * * *');
+    assert.strictEqual(updated.job.schedule, '0 4 * * *');
+    assert.strictEqual(updated.job.defaultSchedule, '0 3 * * *');
+    assert.strictEqual(updated.job.scheduleOverridden, true);
+    assert.strictEqual(new Date(updated.job.nextRun).getMinutes(), 0);
+    updated = jobScheduler.updateSchedule('slow', null);
+    assert.strictEqual(updated.job.schedule, '0 3 * * *');
+    assert.strictEqual(updated.job.scheduleOverridden, false);
+    log('✅ Schedules can be changed, validated and reset to the default');
+
+    let deferredRuns = 0;
+    jobScheduler.registerJob({
+      id: 'debounced',
+      name: 'Debounced job',
+      category: 'Build',
+      run: () => {
+        deferredRuns++;
+      }
+    });
+    assert.strictEqual(jobScheduler.deferRun('debounced', 50), true);
+    assert.strictEqual(jobScheduler.deferRun('debounced', 50), true);
+    assert(jobScheduler.getJob('debounced').nextRun, 'a deferred run is shown as the next run');
+    await sleep(120);
+    assert.strictEqual(deferredRuns, 1, 'repeated deferRun calls should collapse into one run');
+    assert.strictEqual(jobScheduler.getHistory('debounced')[0].trigger, 'deferred');
+    jobScheduler.pauseJob('debounced');
+    assert.strictEqual(jobScheduler.deferRun('debounced', 10), false, 'a paused job ignores deferred runs');
+    log('✅ Deferred runs are debounced and skipped while paused');
+
+    jobScheduler.pauseJob('slow');
+    jobScheduler.updateSchedule('slow', '0 5 * * *');
+    jobScheduler.unregisterJob('slow');
+    assert.strictEqual(jobScheduler.getJob('slow'), null);
+    jobScheduler.registerJob({ id: 'slow', name: 'Slow job', category: 'System', schedule: '0 3 * * *', run: () => {} });
+    const restored = jobScheduler.getJob('slow');
+    assert.strictEqual(restored.paused, true, 'the pause flag survives re-registration');
+    assert.strictEqual(restored.schedule, '0 5 * * *', 'the schedule override survives re-registration');
+    assert.strictEqual(restored.lastRun.trigger, 'manual', 'history is read back from disk');
+    const saved = JSON.parse(fs.readFileSync(dataFilePath, 'utf8'));
+    assert.deepStrictEqual(saved.jobs.slow, { paused: true, schedule: '0 5 * * *' });
+    log('✅ Settings and history are persisted');
+
+    jobScheduler.registerJob({ id: 'hourly', name: 'Hourly job', category: 'System', schedule: '0 * * * *', run: () => {} });
+    jobScheduler.registerJob({ id: 'off', name: 'Disabled job', category: 'System', schedule: '0 * * * *', enabled: false, run: () => {} });
+    const expectedRunAt = Date.parse(jobScheduler.getJob('hourly').nextRun);
+    let liveness = jobScheduler.getLiveness(expectedRunAt + 60 * 1000);
+    assert.strictEqual(liveness.hourly.status, 'ok', 'a run may start a little late');
+    liveness = jobScheduler.getLiveness(expectedRunAt + 5 * 60 * 1000);
+    assert.strictEqual(liveness.hourly.status, 'fail', 'a missed run means the job is stalled');
+    assert.strictEqual(liveness.off, undefined, 'disabled jobs are not checked');
+    assert.strictEqual(liveness.broken, undefined, 'on-demand jobs are not checked');
+    assert.deepStrictEqual(await jobScheduler.runJob('off'), { success: false, error: 'Disabled job is disabled' });
+    log('✅ Liveness reports scheduled jobs that missed their run');
+  } finally {
+    for (const job of jobScheduler.listJobs()) {
+      jobScheduler.unregisterJob(job.id);
+    }
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
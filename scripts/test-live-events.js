@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const express = require('express');
+const http = require('http');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const liveEvents = require(path.join(repoRoot, 'modules', 'live-events.js'));
+const logger = require(path.join(repoRoot, 'modules', 'logger.js'));
+
+function log(message) {
+  console.log(message);
+}
+
+function filters(query) {
+  const parsed = liveEvents.parseStreamFilters(query);
+  assert(!parsed.error, parsed.error);
+  return parsed.filters;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Open a stream and collect the events it receives
+function connect(port, query, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const stream = { events: [], ended: false, status: null };
+    const request = http.get({ port, path: `/events?${new URLSearchParams(query)}`, headers }, res => {
+      stream.status = res.statusCode;
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let split;
+        while ((split = buffer.indexOf('\n\n')) !== -1) {
+          const frame = buffer.slice(0, split);
+          buffer = buffer.slice(split + 2);
+          const fields = Object.fromEntries(frame.split('\n')
+            .filter(line => line && !line.startsWith(':'))
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+          if (fields.data) {
+            stream.events.push({ name: fields.event, ...JSON.parse(fields.data) });
+          }
+        }
+      });
+      res.on('end', () => {
+        stream.ended = true;
+      });
+      resolve(stream);
+    });
+    request.on('error', reject);
+    stream.close = () => request.destroy();
+  });
+}
+
+async function run() {
+  const app = express();
+  let authorized = true;
+  app.get('/events', (req, res) => {
+    const parsed = liveEvents.parseStreamFilters(req.query);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+    liveEvents.openStream(req, res, { filters: parsed.filters, isAuthorized: () => authorized, heartbeatMs: 50 });
+  });
+  const server = app.listen(0);
+  const port = server.address().port;
+
+  try {
+    assert.deepStrictEqual(filters({ category: 'GITHUB,Finance', type: 'log,GitHub' }),
+      { categories: ['GitHub', 'Finance'], types: ['log', 'github'] }, 'category keys and names should both be accepted');
+    assert.deepStrictEqual(filters({ category: 'ALL' }), { categories: [], types: [] }, 'ALL means no filter');
+    assert(/Unknown log category/.test(liveEvents.parseStreamFilters({ category: 'Nope' }).error), 'unknown categories should be rejected');
+    assert(/Unknown event type/.test(liveEvents.parseStreamFilters({ type: 'log,weather' }).error), 'unknown types should be rejected');
+    assert.throws(() => liveEvents.progress('github', 'GitHub', 'push', 'halfway', 'x'), /Unknown progress status/);
+    log('✅ Stream filters are validated');
+
+    const github = await connect(port, { category: 'GitHub' });
+    const logsOnly = await connect(port, { type: 'log' });
+    await wait(20);
+    logger.info(logger.categories.FINANCE, 'Balance updated');
+    logger.success(logger.categories.GITHUB, 'Pushed to GitHub');
+    const pushed = liveEvents.progress(liveEvents.EVENT_TYPES.GITHUB, logger.categories.GITHUB, 'push', 'completed', 'Changes pushed', { repo: 'me/site' });
+    await wait(30);
+
+    assert.deepStrictEqual(github.events.map(event => event.name), ['log', 'github'], 'only GitHub events should reach the GitHub stream');
+    assert.strictEqual(github.events[0].data.message, 'Pushed to GitHub', 'logger entries should be streamed');
+    assert.deepStrictEqual(github.events[1].data, { repo: 'me/site', operation: 'push', status: 'completed', message: 'Changes pushed' });
+    assert.deepStrictEqual(logsOnly.events.map(event => event.data.message), ['Balance updated', 'Pushed to GitHub'],
+      'the type filter should leave out operation events');
+    log('✅ Log entries and operation progress are pushed to matching streams');
+
+    const resumed = await connect(port, { category: 'GitHub' }, { 'Last-Event-ID': String(pushed.id - 1) });
+    await wait(30);
+    assert.deepStrictEqual(resumed.events.map(event => event.id), [pushed.id], 'a reconnecting client should receive what it missed');
+    assert.strictEqual(liveEvents.getStats().clients, 3);
+    resumed.close();
+    await wait(30);
+    assert.strictEqual(liveEvents.getStats().clients, 2, 'closed streams should be removed');
+    log('✅ Reconnecting clients catch up and closed streams are removed');
+
+    authorized = false;
+    await wait(120);
+    assert(github.ended && logsOnly.ended, 'streams should end once the session is no longer allowed in');
+    assert.strictEqual(github.events[github.events.length - 1].name, 'end', 'clients should be told why the stream ended');
+    assert.strictEqual(liveEvents.getStats().clients, 0);
+    log('✅ Streams end when the session or token is revoked');
+  } finally {
+    liveEvents.closeAll();
+    server.close();
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
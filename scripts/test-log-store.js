@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const logStore = require(path.join(repoRoot, 'modules', 'log-store.js'));
+const logger = require(path.join(repoRoot, 'modules', 'logger.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+function entry(timestamp, level, message, category = 'System') {
+  return { timestamp, level, category, message };
+}
+
+function filters(query) {
+  const parsed = logStore.parseFilters(query);
+  assert(!parsed.error, parsed.error);
+  return parsed.filters;
+}
+
+function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-store-test-'));
+  const logDir = path.join(tempDir, 'logs');
+
+  try {
+    assert.throws(() => logger.log('Saved webhooks', 'WEBHOOKS'), /Unknown log level/, 'swapped arguments should be rejected');
+    assert.throws(() => logger.info('Not a module', 'message'), /Unknown log category/, 'unknown categories should be rejected');
+    logger.warning('REMOTE_MGMT', 'Category keys are accepted');
+    assert.strictEqual(logger.getLogs()[0].category, 'Remote Management', 'keys should be stored as the display name');
+    logger.info(undefined, 'No category');
+    assert.strictEqual(logger.getLogs()[0].category, logger.categories.SYSTEM, 'a missing category should default to System');
+    log('✅ The logger validates levels and categories');
+
+    assert(/Unknown log level/.test(logStore.parseFilters({ level: 'ERROR,LOUD' }).error), 'unknown levels should be rejected');
+    assert(/Invalid start time/.test(logStore.parseFilters({ from: 'yesterday-ish' }).error), 'bad times should be rejected');
+    assert(/before the end/.test(logStore.parseFilters({ from: '2026-02-01', to: '2026-01-01' }).error), 'reversed ranges should be rejected');
+    assert.strictEqual(filters({ limit: '5000' }).pageSize, 1000, 'page size should be capped');
+    const csv = logStore.toCsvRow(entry('2026-01-01T00:00:00.000Z', 'INFO', '=HYPERLINK("x"), "quoted"'));
+    assert.strictEqual(csv, '2026-01-01T00:00:00.000Z,INFO,System,"\'=HYPERLINK(""x""), ""quoted""",\r\n',
+      'CSV fields should be quoted and formulas neutralised');
+    const tagged = { ...entry('2026-01-01T00:00:00.000Z', 'ERROR', 'Save failed'), requestId: '3f2a9c1e7b4d0a56' };
+    assert(logStore.toCsvRow(tagged).endsWith(',3f2a9c1e7b4d0a56\r\n'), 'the request ID should be exported');
+    assert(logStore.matchesFilters(tagged, filters({ search: '3F2A9C1E' })), 'entries should be found by request ID');
+    log('✅ Query parameters are validated');
+
+    const store = logStore.createLogStore({ dir: logDir, maxFileBytes: 400, maxFiles: 50, maxAgeDays: 14 });
+    const now = Date.now();
+    const iso = offsetMs => new Date(now + offsetMs).toISOString();
+    for (let index = 0; index < 20; index++) {
+      store.append(entry(iso(index * 1000), index % 5 === 0 ? 'ERROR' : 'INFO', `request ${index} handled`, index % 2 ? 'Finance' : 'System'));
+    }
+    store.flush();
+    const files = fs.readdirSync(logDir);
+    assert(files.length > 1, 'a new file should be started at the size limit');
+    assert(files.every(name => fs.statSync(path.join(logDir, name)).size <= 400), 'files should stay under the size limit');
+
+    const page = store.query(filters({ pageSize: 3, page: 2 }));
+    assert.strictEqual(page.total, 20, 'every entry should be counted');
+    assert.deepStrictEqual(page.entries.map(item => item.message), ['request 16 handled', 'request 15 handled', 'request 14 handled'],
+      'pages should run newest first');
+    assert.strictEqual(store.query(filters({ level: 'ERROR' })).total, 4, 'level filter');
+    assert.strictEqual(store.query(filters({ level: 'error', category: 'Finance' })).total, 2, 'level and category filters combine');
+    assert.deepStrictEqual(store.query(filters({ search: 'REQUEST 7 ' })).entries.map(item => item.message), ['request 7 handled'],
+      'search should be case-insensitive');
+    const range = store.query(filters({ from: iso(5000), to: iso(9000) }));
+    assert.deepStrictEqual(range.entries.map(item => item.message),
+      ['request 9 handled', 'request 8 handled', 'request 7 handled', 'request 6 handled', 'request 5 handled'], 'time range filter');
+    log('✅ Entries are searched across rotated files');
+
+    fs.appendFileSync(path.join(logDir, fs.readdirSync(logDir).sort().pop()), '{"timestamp":"2026-0');
+    const reopened = logStore.createLogStore({ dir: logDir, maxFileBytes: 400, maxFiles: 50, maxAgeDays: 14 });
+    assert.strictEqual(reopened.query(filters({})).total, 20, 'entries should survive a restart and partial lines be skipped');
+
+    const old = logStore.createLogStore({ dir: path.join(tempDir, 'old'), maxFileBytes: 100000, maxFiles: 3, maxAgeDays: 7 });
+    [40, 30, 20, 9, 8, 2, 1].forEach(days => old.append(entry(new Date(now - days * 86400000).toISOString(), 'INFO', `${days} days ago`)));
+    old.append(entry(new Date(now).toISOString(), 'INFO', 'today'));
+    old.flush();
+    const kept = old.query(filters({})).entries.map(item => item.message);
+    assert.deepStrictEqual(kept, ['today', '1 days ago', '2 days ago'], 'only the newest files within the age limit should be kept');
+    log('✅ Logs survive restarts and old files are removed');
+
+    logger.init({ dir: path.join(tempDir, 'logger') });
+    logger.error(logger.categories.WEBHOOKS, 'Delivery failed');
+    const persisted = logger.query(filters({ category: 'Webhooks' }));
+    assert.strictEqual(persisted.entries[0].message, 'Delivery failed', 'logger entries should be written to the store');
+    assert(logger.query(filters({ search: 'Category keys are accepted' })).total === 1, 'entries logged before init should be written too');
+    const downloaded = [];
+    logger.forEachMatch(filters({ level: 'ERROR' }), item => downloaded.push(item.message));
+    assert.deepStrictEqual(downloaded, ['Delivery failed'], 'downloads should use the same filters');
+    logger.clear();
+    assert.strictEqual(logger.query(filters({})).total, 1, 'clearing should remove the files, leaving only the clear notice');
+    log('✅ The logger writes to the store and can be cleared');
+  } finally {
+    cleanup(tempDir);
+  }
+}
+
+try {
+  run();
+} catch (err) {
+  console.error('❌', err.message);
+  process.exit(1);
+}
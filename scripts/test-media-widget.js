@@ -55,7 +55,7 @@ async function testMediaApiNotConfigured() {
     method: 'GET'
   });
   
-  if (response.statusCode !== 200) {
+  if (response.statusCode !== 409) {
     console.error('❌ Unexpected status code:', response.statusCode);
     return false;
   }
@@ -63,7 +63,7 @@ async function testMediaApiNotConfigured() {
   const data = response.json;
   
   // Should return an error because widget is not enabled or configured
-  if (data.success === false && (data.error.includes('not enabled') || data.error.includes('not configured'))) {
+  if (data.success === false && ['WIDGET_DISABLED', 'WIDGET_NOT_CONFIGURED', 'HOME_ASSISTANT_NOT_CONFIGURED'].includes(data.code)) {
     console.log('✅ API correctly returns error when not configured:', data.error);
     return true;
   }
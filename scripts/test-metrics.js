@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const axios = require('axios');
+const express = require('express');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const metrics = require(path.join(repoRoot, 'modules', 'metrics.js'));
+
+function log(message) {
+  console.log(message);
+}
+
+// Lines of the exposition output that start with the given metric name
+function sample(text, name) {
+  return text.split('\n').filter(line => line.startsWith(metrics.METRIC_PREFIX + name));
+}
+
+async function run() {
+  const app = express();
+  app.use(metrics.httpMiddleware());
+  app.get('/api/items/:id', (req, res) => res.json({ id: req.params.id }));
+  app.get('/api/states/:entity', (req, res) => res.status(req.params.entity === 'broken' ? 503 : 200).json({}));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    assert.throws(() => metrics.inc('no_such_metric'), /Unknown metric/);
+    assert.throws(() => metrics.inc('github_push_total', {}), /missing label: result/);
+    assert.throws(() => metrics.set('github_push_total', { result: 'success' }, 1), /not a gauge/);
+    log('✅ Unknown metrics, missing labels and wrong types are rejected');
+
+    await axios.get(`${base}/api/items/1`);
+    await axios.get(`${base}/api/items/2`);
+    await axios.get(`${base}/nope`).catch(() => {});
+    let text = metrics.render();
+    assert.deepStrictEqual(sample(text, 'http_requests_total'), [
+      'site_pusher_http_requests_total{method="GET",route="/api/items/:id",status="200"} 2',
+      'site_pusher_http_requests_total{method="GET",route="unmatched",status="404"} 1'
+    ], 'requests should be counted per route pattern, not per URL');
+    assert(text.includes('# TYPE site_pusher_http_request_duration_seconds histogram'));
+    assert(sample(text, 'http_request_duration_seconds_count').includes(
+      'site_pusher_http_request_duration_seconds_count{method="GET",route="/api/items/:id"} 2'));
+    assert(sample(text, 'http_request_duration_seconds_bucket').some(line => line.includes('le="+Inf"')));
+    log('✅ HTTP requests are counted and timed per route');
+
+    assert.strictEqual(metrics.classifyExternalUrl('https://api.openweathermap.org/data/2.5/weather?q=x'), 'openweather');
+    assert.strictEqual(metrics.classifyExternalUrl('https://api.tomtom.com/routing/1/calculateRoute/1,2:3,4/json'), 'tomtom');
+    assert.strictEqual(metrics.classifyExternalUrl('http://api.aviationstack.com/v1/flights'), 'aviationstack');
+    assert.strictEqual(metrics.classifyExternalUrl('http://homeassistant.local:8123/api/states/sensor.x'), 'homeassistant');
+    assert.strictEqual(metrics.classifyExternalUrl('http://localhost:11434/api/chat'), null, 'other services should not be counted');
+
+    metrics.instrumentAxios(axios);
+    await axios.get(`${base}/api/states/sensor.ok`);
+    await axios.get(`${base}/api/states/broken`).catch(() => {});
+    await axios.get(`${base}/api/items/3`);
+    text = metrics.render();
+    assert.deepStrictEqual(sample(text, 'external_api_requests_total'), ['site_pusher_external_api_requests_total{service="homeassistant"} 2']);
+    assert.deepStrictEqual(sample(text, 'external_api_errors_total'), ['site_pusher_external_api_errors_total{service="homeassistant"} 1']);
+    log('✅ External API calls and errors are counted per service');
+
+    metrics.recordCalendarCache(false);
+    metrics.recordCalendarCache(true);
+    metrics.recordCalendarCache(true);
+    metrics.recordCalendarCache(true);
+    metrics.recordGithubPush(true, 1000000);
+    metrics.recordGithubPush(false, 2000000);
+    metrics.registerCollector(() => metrics.set('remote_devices', { status: 'online' }, 2));
+    metrics.registerCollector(() => {
+      throw new Error('collector failures should not break the scrape');
+    });
+    text = metrics.render();
+    assert.deepStrictEqual(sample(text, 'calendar_cache_hit_ratio'), ['site_pusher_calendar_cache_hit_ratio 0.75']);
+    assert.deepStrictEqual(sample(text, 'github_last_push_'), [
+      'site_pusher_github_last_push_success 0',
+      'site_pusher_github_last_push_timestamp_seconds 2000'
+    ]);
+    assert(sample(text, 'github_push_total').includes('site_pusher_github_push_total{result="success"} 1'));
+    assert.deepStrictEqual(sample(text, 'remote_devices'), ['site_pusher_remote_devices{status="online"} 2']);
+    log('✅ Calendar cache ratio, GitHub push outcome and collected gauges are rendered');
+
+    metrics.reset();
+    assert.strictEqual(metrics.getValue('github_push_total', { result: 'success' }), 0);
+  } finally {
+    server.close();
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const migrations = require(path.join(repoRoot, 'modules', 'migrations.js'));
+const house = require(path.join(repoRoot, 'modules', 'house.js'));
+const finance = require(path.join(repoRoot, 'modules', 'finance.js'));
+const smartMirror = require(path.join(repoRoot, 'modules', 'smartmirror.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+
+  try {
+    const calls = [];
+    const steps = [
+      { version: 2, description: 'second', up: data => { calls.push(2); data.b = data.a + 1; return data; } },
+      { version: 1, description: 'first', up: data => { calls.push(1); data.a = 1; } }
+    ];
+
+    const filePath = path.join(tempDir, 'doc.json');
+    fs.writeFileSync(filePath, JSON.stringify({ original: true }));
+    const original = { original: true };
+    const result = migrations.runMigrations('doc.json', original, steps, { filePath });
+    assert.deepStrictEqual(calls, [1, 2], 'steps should run in version order');
+    assert.deepStrictEqual(result.data, { original: true, a: 1, b: 2, schemaVersion: 2 }, 'data should be stamped with the latest version');
+    assert.deepStrictEqual(original, { original: true }, 'the input object should not be modified');
+    assert.strictEqual(result.persist, true, 'a migrated file should be saved by the caller');
+    assert(result.backupPath && fs.existsSync(result.backupPath), 'the pre-migration file should be backed up');
+    assert.strictEqual(fs.readFileSync(result.backupPath, 'utf8'), JSON.stringify({ original: true }), 'backup should be the original file');
+    assert(path.basename(result.backupPath).startsWith('doc.json.v0-'), 'backup name should record the old version');
+    log('✅ Pending steps run in order and the original file is backed up');
+
+    calls.length = 0;
+    const again = migrations.runMigrations('doc.json', result.data, steps, { filePath });
+    assert.strictEqual(again.changed, false, 'up-to-date data should not be migrated again');
+    assert.deepStrictEqual(calls, [], 'no steps should run for current data');
+    const partial = migrations.runMigrations('doc.json', { schemaVersion: 1, a: 5 }, steps);
+    assert.deepStrictEqual(calls, [2], 'only newer steps should run');
+    assert.strictEqual(partial.data.b, 6, 'later steps build on the stored data');
+    assert.strictEqual(partial.persist, false, 'in-memory upgrades are not persisted');
+    const newer = migrations.runMigrations('doc.json', { schemaVersion: 9 }, steps, { filePath });
+    assert.strictEqual(newer.changed, false, 'files from a newer release are left alone');
+    log('✅ Only steps newer than the stored version run');
+
+    const failing = [
+      { version: 1, description: 'ok', up: data => ({ ...data, ok: true }) },
+      { version: 2, description: 'broken', up: data => { data.half = true; throw new Error('boom'); } },
+      { version: 3, description: 'never', up: data => ({ ...data, never: true }) }
+    ];
+    const failed = migrations.runMigrations('failing.json', {}, failing, { filePath: path.join(tempDir, 'failing.json') });
+    assert.strictEqual(failed.toVersion, 1, 'a failing step should stop the run at the last good version');
+    assert.deepStrictEqual(failed.data, { ok: true, schemaVersion: 1 }, 'a failing step should not leave partial changes');
+    assert(/broken/.test(failed.error), 'the failing step should be reported');
+    const status = migrations.getStatus();
+    assert(status.history.some(entry => entry.document === 'failing.json' && entry.error), 'runs should be recorded in the history');
+    assert(status.documents.some(doc => doc.name === 'doc.json' && doc.upToDate), 'document status should be tracked');
+    log('✅ Failing steps stop the run and are reported');
+
+    for (let i = 0; i < 7; i++) {
+      migrations.runMigrations('doc.json', { original: true }, steps, { filePath });
+    }
+    const backups = fs.readdirSync(path.join(tempDir, 'migration-backups')).filter(name => name.startsWith('doc.json.'));
+    assert(backups.length <= 5, 'old backups should be pruned');
+
+    const backupDir = path.join(tempDir, 'migration-backups');
+    for (let i = 0; i < 5; i++) {
+      fs.writeFileSync(path.join(backupDir, `later.json.v9-2024-01-0${i + 1}T00-00-00-000Z.bak`), '{}');
+    }
+    const laterSteps = [{ version: 11, description: 'eleven', up: data => data }];
+    const later = migrations.runMigrations('later.json', { schemaVersion: 10 }, laterSteps,
+      { filePath: path.join(tempDir, 'later.json'), contents: '{"schemaVersion":10}' });
+    assert(fs.existsSync(later.backupPath), 'the newest backup should be kept when versions reach two digits');
+    assert(!fs.existsSync(path.join(backupDir, 'later.json.v9-2024-01-01T00-00-00-000Z.bak')), 'the oldest backup should be pruned');
+    log('✅ Old pre-migration backups are pruned');
+
+    const houseFile = path.join(tempDir, 'house-data.json');
+    fs.writeFileSync(houseFile, JSON.stringify({ vacation: { dates: [{ id: 'v1' }] }, medications: { medications: [] } }));
+    house.init({ house: { dataFilePath: houseFile } });
+    const houseData = JSON.parse(fs.readFileSync(houseFile, 'utf8'));
+    assert.strictEqual(houseData.schemaVersion, migrations.getLatestVersion(house.SCHEMA_MIGRATIONS), 'house data should be stamped');
+    assert.deepStrictEqual(houseData.vacation.dates, [{ id: 'v1' }], 'existing house data should be kept');
+    assert(Array.isArray(houseData.bills.bills) && Array.isArray(houseData.medications.portalUsers), 'missing house sections should be added');
+    log('✅ House data is migrated at startup');
+
+    const financeData = migrations.runMigrations('finance data', { accounts: [{ id: 'a1' }], demographics: { age: 40 } },
+      finance.SCHEMA_MIGRATIONS).data;
+    assert.strictEqual(financeData.demographics.age, 40, 'finance settings should be preserved');
+    assert.strictEqual(financeData.demographics.retirementAge, 65, 'missing finance settings should use defaults');
+    assert(Array.isArray(financeData.importRules) && Array.isArray(financeData.deletedAccounts), 'finance collections should exist');
+    log('✅ Finance data is migrated');
+
+    const oldMirror = {
+      enabled: true,
+      gridSize: { columns: 4, rows: 3 },
+      widgets: {
+        clock: { enabled: true, area: 'top-left', size: 'small', gridPosition: { x: 0, y: 0, width: 2, height: 1 } },
+        smartWidget: { enabled: true, tomtomApiKey: 'tt-key', subWidgets: [] }
+      }
+    };
+    const mirror = migrations.runMigrations('smartmirror-config.json.enc', oldMirror, smartMirror.SCHEMA_MIGRATIONS).data;
+    assert(mirror.layouts.portrait.clock && mirror.layouts.landscape.clock, 'old layouts should become per-orientation layouts');
+    assert(mirror.gridSize.portrait && mirror.gridSize.landscape, 'grid size should be per orientation');
+    assert(mirror.autoThemeSwitch, 'auto theme settings should be added');
+    assert(mirror.widgets.weather, 'missing widgets should be added');
+    assert.strictEqual(mirror.schemaVersion, migrations.getLatestVersion(smartMirror.SCHEMA_MIGRATIONS), 'mirror config should be stamped');
+
+    const layoutsOnly = {
+      layouts: { portrait: { clock: { x: 2, y: 2, width: 2, height: 1 } }, landscape: {} },
+      gridSize: { columns: 4, rows: 3 },
+      widgets: { smartWidget: { tomtomApiKey: 'tt-key', subWidgets: [] } }
+    };
+    const upgraded = migrations.runMigrations('smartmirror-config.json.enc', layoutsOnly, smartMirror.SCHEMA_MIGRATIONS).data;
+    assert.deepStrictEqual(upgraded.gridSize, smartMirror.getDefaultConfig().gridSize, 'single grid size should be split');
+    assert.strictEqual(upgraded.tomtomApiKey, 'tt-key', 'TomTom key should move to the top level');
+    assert(!('tomtomApiKey' in upgraded.widgets.smartWidget), 'TomTom key should be removed from the widget');
+    assert(upgraded.autoThemeSwitch, 'later steps should still run after earlier ones changed the data');
+    log('✅ Smart mirror config runs every pending step in one load');
+  } finally {
+    cleanup(tempDir);
+  }
+}
+
+try {
+  run();
+} catch (err) {
+  console.error('❌', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const axios = require('axios');
+const express = require('express');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const moduleRegistry = require(path.join(repoRoot, 'modules', 'module-registry.js'));
+const errorHelper = require(path.join(repoRoot, 'modules', 'error-helper.js'));
+const openapi = require(path.join(repoRoot, 'modules', 'openapi.js'));
+
+function log(message) {
+  console.log(message);
+}
+
+async function run() {
+  const config = { modules: { espresso: { enabled: false } } };
+  const app = express();
+  moduleRegistry.init({ getConfig: () => config, listRoutePaths: () => openapi.listRoutes(app).map(route => route.path) });
+  const toggles = [];
+  moduleRegistry.onToggle('tournaments', enabled => toggles.push(enabled));
+
+  app.use(moduleRegistry.routeGuard());
+  app.use(moduleRegistry.publicFilesGuard());
+  app.use('/public', (req, res) => res.send('public file'));
+  app.use('/uploads', (req, res) => res.send('uploaded file'));
+  app.get('/api/tournaments', (req, res) => res.json({ success: true, route: 'list' }));
+  app.get('/api/tournaments/:id', (req, res) => res.json({ success: true, route: 'one' }));
+  app.get('/api/espresso', (req, res) => res.json({ success: true }));
+  app.get(['/api/status', '/api/tournaments-summary'], (req, res) => res.json({ success: true }));
+  app.get('/api/tournaments/:id/:section', (req, res) => res.json({ success: true, route: 'section' }));
+  app.get('/espresso', (req, res) => res.send('espresso page'));
+  app.use(['/api'], errorHelper.apiNotFoundHandler);
+  app.use(errorHelper.errorHandler);
+  const stack = app._router.stack.slice();
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = url => axios.get(`${base}${url}`, { validateStatus: () => true });
+
+  try {
+    assert.strictEqual(moduleRegistry.isEnabled('tournaments'), true, 'modules are enabled unless switched off');
+    assert.strictEqual(moduleRegistry.isEnabled('espresso'), false);
+    assert.strictEqual(moduleRegistry.findModuleForPath('/admin/api/finance/apartments/3').id, 'apartments');
+    assert.strictEqual(moduleRegistry.findModuleForPath('/admin/api/finance/accounts'), null);
+    assert.strictEqual(moduleRegistry.findModuleForPath('/public/vidiots/index.html', 'publicPaths').id, 'vidiots');
+    log('✅ Paths are matched to their module');
+
+    let response = await get('/api/espresso');
+    assert.strictEqual(response.status, 404, 'routes of modules disabled at startup should not be served');
+    assert.strictEqual(response.data.code, 'MODULE_DISABLED');
+    assert.strictEqual((await get('/API/Espresso')).status, 404, 'the guard should match paths like Express does');
+    response = await get('/espresso');
+    assert.strictEqual(response.status, 404, 'pages of disabled modules should not be served');
+    assert.strictEqual(response.data, 'Not found');
+    assert.strictEqual((await get('/public/espresso/index.html')).status, 404);
+    assert.strictEqual((await get('/uploads/espresso/template.png')).status, 404, 'uploaded espresso files should not be served');
+    assert.strictEqual((await get('/public/index.html')).data, 'public file');
+    assert.strictEqual((await get('/uploads/house-bills/bill.pdf')).data, 'uploaded file');
+    const espresso = moduleRegistry.listModules().find(definition => definition.id === 'espresso');
+    assert.strictEqual(espresso.enabled, false);
+    assert.strictEqual(espresso.routeCount, 2);
+    log('✅ Modules disabled in config.json are closed at startup');
+
+    let result = await moduleRegistry.setEnabled('tournaments', false);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.module.enabled, false);
+    assert.deepStrictEqual(config.modules.tournaments, { enabled: false }, 'the choice should be saved in the config');
+    assert.deepStrictEqual(toggles, [false]);
+    response = await get('/api/tournaments/7');
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(response.data.code, 'MODULE_DISABLED');
+    assert.strictEqual((await get('/api/status')).status, 200, 'routes shared with other paths should stay served');
+    assert.strictEqual((await get('/api/tournaments-summary')).status, 200, 'paths that only start with a module prefix should stay served');
+    assert.strictEqual(openapi.buildDocument(app, { title: 'Test', version: '1.0.0' }, { sourceFiles: [] })
+      .paths['/api/tournaments'], undefined, 'disabled routes should drop out of the API document');
+    log('✅ Switching a module off closes its routes and runs its toggle handler');
+
+    await moduleRegistry.setEnabled('espresso', true);
+    assert.strictEqual((await get('/api/espresso')).status, 200);
+    result = await moduleRegistry.setEnabled('tournaments', true);
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(toggles, [false, true]);
+    assert.strictEqual((await get('/api/tournaments')).data.route, 'list');
+    assert.strictEqual((await get('/api/tournaments/7')).data.route, 'one');
+    assert.strictEqual((await get('/api/tournaments/7/bracket')).data.route, 'section');
+    assert.deepStrictEqual(app._router.stack, stack, 'the router should never be rearranged');
+    assert.strictEqual((await get('/public/espresso/index.html')).data, 'public file');
+    assert.strictEqual((await get('/uploads/espresso/template.png')).data, 'uploaded file');
+    log('✅ Switching a module on serves its routes again');
+
+    result = await moduleRegistry.setEnabled('tournaments', true);
+    assert.deepStrictEqual(toggles, [false, true], 'switching to the current state should not run the handler');
+    result = await moduleRegistry.setEnabled('laser-tag', false);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.code, 'NOT_FOUND');
+    log('✅ Unknown modules are rejected');
+  } finally {
+    server.close();
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
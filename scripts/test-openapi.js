@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const axios = require('axios');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const openapi = require(path.join(repoRoot, 'modules', 'openapi.js'));
+const { ERROR_CODES } = require(path.join(repoRoot, 'modules', 'error-codes.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+// Stand-ins named like the server's authentication middleware
+function requireAuth(req, res, next) {
+  next();
+}
+
+function requireDeviceAuth(req, res, next) {
+  next();
+}
+
+/**
+ * Write routes in server.js as { key: 'METHOD /path', line, readsBody, validated }
+ * (a route ends at the first "});" at the start of a line)
+ */
+function readServerWriteRoutes() {
+  const lines = fs.readFileSync(path.join(repoRoot, 'server.js'), 'utf8').split('\n');
+  const routes = [];
+  lines.forEach((line, index) => {
+    const match = line.match(/^app\.(post|put|patch|delete)\('([^']+)'/);
+    if (!match) return;
+    let end = index;
+    while (end < lines.length && !/^\}\);/.test(lines[end])) end++;
+    routes.push({
+      key: `${match[1].toUpperCase()} ${match[2]}`,
+      line: index + 1,
+      readsBody: /req\.body/.test(lines.slice(index, end + 1).join('\n')),
+      validated: line.includes('openapi.validateBody(')
+    });
+  });
+  return routes;
+}
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-test-'));
+  const sourceFile = path.join(tempDir, 'routes.js');
+
+  const app = express();
+  app.use(express.json());
+  app.get('/admin/api/house/lists', requireAuth, (req, res) => res.json({ success: true }));
+  app.post('/admin/api/house/lists', requireAuth, openapi.validateBody('HouseList'), (req, res) => res.json({ success: true }));
+  app.post('/api/device/result', requireDeviceAuth, openapi.validateBody('DeviceCommandResult'), (req, res) => res.json({ success: true }));
+  app.delete('/admin/api/house/lists/:id/items/:itemId', requireAuth, (req, res) => res.json({ success: true }));
+  app.post('/admin/api/house/bills/upload', requireAuth, (req, res) => res.json({ success: true }));
+  app.all('/api/data', (req, res) => res.status(410).json({ success: false, error: 'Gone' }));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    assert.deepStrictEqual(openapi.validate('HouseList', { name: 'Groceries' }), []);
+    assert.deepStrictEqual(openapi.validate('HouseList', {}), [{ path: 'name', message: 'is required' }]);
+    assert.deepStrictEqual(openapi.validate('HouseList', { name: '   ' }), [{ path: 'name', message: 'must not be empty' }]);
+    assert.deepStrictEqual(openapi.validate('HouseList', []), [{ path: '', message: 'must be an object' }]);
+    assert.deepStrictEqual(openapi.validate('MedicationAdherence', { status: 'maybe', date: '2026-13-45' }), [
+      { path: 'status', message: 'must be one of: took, not_taken' },
+      { path: 'date', message: 'must be a date (YYYY-MM-DD)' }
+    ]);
+    assert.deepStrictEqual(openapi.validate('WebhookInput', { name: 'CI', url: 'not a url' }),
+      [{ path: 'url', message: 'must be a valid uri' }]);
+    assert.deepStrictEqual(openapi.validate('InboundHookInput', { rules: [{ action: 'list.add-item' }, { action: 'format.disk' }] })
+      .map(problem => problem.path), ['rules[1].action'], 'nested problems should name their path');
+    assert.deepStrictEqual(openapi.validate('JobSchedule', { schedule: null }), [], 'null is allowed where the type lists it');
+    log('✅ Values are checked for type, required fields, allowed values and formats');
+
+    const strict = { type: 'object', additionalProperties: false, properties: { a: { type: 'integer', minimum: 1 } } };
+    assert.deepStrictEqual(openapi.validate(strict, { a: 0, b: 1 }), [
+      { path: 'a', message: 'must be at least 1' },
+      { path: 'b', message: 'is not allowed' }
+    ]);
+    const many = Object.fromEntries(Array.from({ length: 50 }, (entry, index) => [`field${index}`, true]));
+    assert.strictEqual(openapi.validate(strict, many).length, 20, 'the number of reported problems should be capped');
+    assert.throws(() => openapi.validateBody('NoSuchSchema'), /Unknown schema/);
+    log('✅ Unknown properties, limits and unknown schema names are reported');
+
+    let response = await axios.post(`${base}/admin/api/house/lists`, { description: 'x' }, { validateStatus: () => true });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.data, {
+      success: false,
+      error: 'Invalid request body: name is required',
+      code: 'VALIDATION_ERROR',
+      hint: ERROR_CODES.VALIDATION_ERROR.hint,
+      details: [{ path: 'name', message: 'is required' }]
+    });
+    response = await axios.post(`${base}/admin/api/house/lists`, { name: 'Groceries' });
+    assert.deepStrictEqual(response.data, { success: true }, 'a valid body should reach the handler');
+    log('✅ Invalid request bodies get a consistent 400 response');
+
+    fs.writeFileSync(sourceFile, [
+      '// GET /admin/api/house/lists',
+      '// List the lists',
+      "app.get('/admin/api/house/lists', requireAuth, (req, res) => {});",
+      '',
+      '/**',
+      ' * POST /admin/api/house/lists',
+      ' * Create a list',
+      ' * Names must be unique.',
+      ' */',
+      "app.post('/admin/api/house/lists', requireAuth, (req, res) => {});",
+      "app.delete('/admin/api/house/lists/:id/items/:itemId', requireAuth, (req, res) => {});"
+    ].join('\n'));
+    const comments = openapi.readRouteComments(fs.readFileSync(sourceFile, 'utf8'));
+    assert.deepStrictEqual(comments.get('GET /admin/api/house/lists'), { summary: 'List the lists' });
+    assert.deepStrictEqual(comments.get('POST /admin/api/house/lists'), { summary: 'Create a list', description: 'Names must be unique.' });
+    assert.strictEqual(comments.has('DELETE /admin/api/house/lists/:id/items/:itemId'), false);
+    log('✅ Route comments become summaries and descriptions');
+
+    const document = openapi.buildDocument(app, { title: 'Test', version: '1.0.0' }, { sourceFiles: [sourceFile] });
+    assert.strictEqual(document.openapi, openapi.OPENAPI_VERSION);
+    const lists = document.paths['/admin/api/house/lists'];
+    assert.strictEqual(lists.get.summary, 'List the lists');
+    assert.strictEqual(lists.post.description, 'Names must be unique.');
+    assert.deepStrictEqual(lists.get.security, [{ adminSession: [] }, { apiToken: [] }]);
+    assert.deepStrictEqual(lists.get.tags, ['house']);
+    assert.deepStrictEqual(lists.post.requestBody.content['application/json'].schema, { $ref: '#/components/schemas/HouseList' });
+    assert.deepStrictEqual(Object.keys(lists.post.responses), ['200', '400', '401']);
+    assert.deepStrictEqual(lists.post.responses['200'].content['application/json'].schema, { $ref: '#/components/schemas/Success' });
+    const upload = document.paths['/admin/api/house/bills/upload'].post;
+    assert.deepStrictEqual(upload.requestBody.content['multipart/form-data'].schema, { $ref: '#/components/schemas/HouseBillUpload' });
+    assert.deepStrictEqual(Object.keys(upload.responses), ['200', '401'], 'only validated bodies can be answered with a ValidationError');
+    const result = document.paths['/api/device/result'].post;
+    assert.deepStrictEqual(result.security, [{ deviceToken: [] }]);
+    assert.deepStrictEqual(result.tags, ['device']);
+    const item = document.paths['/admin/api/house/lists/{id}/items/{itemId}'].delete;
+    assert.deepStrictEqual(item.parameters.map(param => param.name), ['id', 'itemId']);
+    assert.strictEqual(item.operationId, 'deleteAdminApiHouseListsIdItemsItemId');
+    const removed = document.paths['/api/data'];
+    assert.deepStrictEqual(Object.keys(removed), ['get', 'post', 'put', 'patch', 'delete']);
+    assert.strictEqual(removed.post.deprecated, true);
+    assert.deepStrictEqual(Object.keys(removed.post.responses), ['410']);
+    assert.strictEqual(removed.post.security, undefined, 'public routes have no security requirements');
+    assert.deepStrictEqual(document.tags.map(tag => tag.name), ['device', 'hooks', 'house']);
+    assert(document.components.schemas.HouseList);
+    assert(document.components.securitySchemes.deviceToken);
+    log('✅ The document lists every route with its authentication, parameters and body schema');
+
+    const { SCHEMAS, ROUTE_DOCS, UNVALIDATED_BODIES } = require(path.join(repoRoot, 'modules', 'api-schemas.js'));
+    for (const [key, docs] of Object.entries(ROUTE_DOCS)) {
+      for (const field of ['request', 'response']) {
+        assert(!docs[field] || SCHEMAS[docs[field]], `${key}: unknown ${field} schema ${docs[field]}`);
+      }
+    }
+    const serverRoutes = readServerWriteRoutes();
+    assert(serverRoutes.length > 100, 'server.js routes should be found');
+    for (const route of serverRoutes) {
+      const docs = ROUTE_DOCS[route.key] || {};
+      if (route.readsBody) {
+        assert(route.validated || docs.request, `${route.key} (server.js:${route.line}) reads req.body without validateBody or a documented request schema`);
+      }
+      assert(docs.response || docs.status === 302, `${route.key} (server.js:${route.line}) has no documented response schema`);
+      assert(route.validated || UNVALIDATED_BODIES[route.key],
+        `${route.key} (server.js:${route.line}) has no validateBody and is not listed in UNVALIDATED_BODIES`);
+      assert(!route.validated || !UNVALIDATED_BODIES[route.key],
+        `${route.key} (server.js:${route.line}) is validated but still listed in UNVALIDATED_BODIES`);
+    }
+    const routeKeys = new Set(serverRoutes.map(route => route.key));
+    for (const [key, reason] of Object.entries(UNVALIDATED_BODIES)) {
+      assert(routeKeys.has(key), `UNVALIDATED_BODIES lists ${key}, which is not a write route in server.js`);
+      assert(typeof reason === 'string' && reason.trim(), `UNVALIDATED_BODIES: ${key} needs a reason`);
+    }
+    log('✅ Every write route in server.js checks or documents its body and documents its response');
+    log('✅ Write routes without validateBody are listed with a reason');
+  } finally {
+    server.close();
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -17,7 +17,7 @@ const os = require('os');
 // ---------------------------------------------------------------------------
 
 const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-mgmt-test-'));
-process.env.REMOTE_MGMT_KEY = 'test-key-for-unit-tests';
+process.env.SECRETS_MASTER_KEY = 'test-key-for-unit-tests';
 
 // Redirect all reads/writes to a temporary directory so the tests never touch
 // config/remote-devices.json.enc in the real project directory.
@@ -186,6 +186,27 @@ console.log('\nTest: recordCommandResult unknown command');
   assert(ok === false, 'returns false for unknown command');
 }
 
+// --- checkDeviceStatus ---
+console.log('\nTest: checkDeviceStatus');
+{
+  const eventBus = require('../modules/event-bus');
+  const seen = [];
+  const off = eventBus.on('remote.*', event => seen.push(event));
+
+  assert(remoteMgmt.checkDeviceStatus().length === 0, 'recently polled device stays online');
+
+  const inSixMinutes = Date.now() + 6 * 60 * 1000;
+  const wentOffline = remoteMgmt.checkDeviceStatus(inSixMinutes);
+  assert(wentOffline.length === 1 && wentOffline[0].id === deviceId, 'silent device marked offline');
+  assert(remoteMgmt.checkDeviceStatus(inSixMinutes).length === 0, 'offline device is only reported once');
+
+  remoteMgmt.devicePoll(deviceId, {});
+  off();
+  assert(seen.map(e => e.type).join(',') === 'remote.device.offline,remote.device.online',
+    'offline and online events emitted');
+  assert(seen[0].payload.deviceId === deviceId, 'event carries the device id');
+}
+
 // --- Rotate token ---
 console.log('\nTest: rotateDeviceToken');
 {
@@ -218,6 +239,26 @@ console.log('\nTest: deleteDevice');
   assert(notFound.success === false, 'double-delete returns error');
 }
 
+// --- Mirror profile assignment ---
+console.log('\nTest: setDeviceMirrorProfile');
+{
+  const { device } = remoteMgmt.registerDevice({ name: 'Kitchen Pi' });
+  const result = remoteMgmt.setDeviceMirrorProfile(device.id, 'kitchen');
+  assert(result.success === true, 'profile assigned');
+  assert(remoteMgmt.listDevices().find(d => d.id === device.id).mirrorProfile === 'kitchen', 'assignment stored');
+
+  const missing = remoteMgmt.setDeviceMirrorProfile('no-such-device', 'kitchen');
+  assert(missing.success === false, 'unknown device returns error');
+
+  const patchedWrite = fs.writeFileSync;
+  fs.writeFileSync = () => { throw new Error('disk full'); };
+  const unsaved = remoteMgmt.setDeviceMirrorProfile(device.id, null);
+  fs.writeFileSync = patchedWrite;
+  assert(unsaved.success === false && unsaved.code === 'INTERNAL_ERROR', 'failed save returns error');
+  assert(remoteMgmt.listDevices().find(d => d.id === device.id).mirrorProfile === 'kitchen', 'assignment unchanged after failed save');
+  remoteMgmt.deleteDevice(device.id);
+}
+
 // --- SUPPORTED_COMMANDS export ---
 console.log('\nTest: SUPPORTED_COMMANDS list');
 {
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const secrets = require(path.join(repoRoot, 'modules', 'secrets.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+// How webhooks.js encrypted before the vault
+function legacyWebhooksEncrypt(text, secret) {
+  const key = crypto.scryptSync(secret, 'salt', 32);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+  return iv.toString('hex') + ':' + cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+}
+
+// How sftp.js encrypted before the vault
+function legacySftpEncrypt(text, secret) {
+  const key = crypto.pbkdf2Sync(secret, 'sftp-config-salt-v1', 100000, 32, 'sha256');
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+}
+
+// How finance.js encrypted before the vault (random key in .finance_key)
+function legacyFinanceEncrypt(text, key) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+  return `${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted}`;
+}
+
+function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-test-'));
+  const keyFile = path.join(tempDir, '.secrets-key');
+  const file = name => path.join(tempDir, name);
+
+  try {
+    secrets.init({ env: {}, keyFile });
+    const envelope = secrets.encrypt('{"token":"abc"}');
+    assert(secrets.isVaultFormat(envelope), 'new data should use the vault format');
+    assert(!envelope.includes('abc'), 'the plaintext should not be readable');
+    assert(fs.existsSync(keyFile), 'a key file should be generated on first use');
+    assert.strictEqual(fs.statSync(keyFile).mode & 0o777, 0o600, 'the key file should only be readable by the owner');
+    assert.strictEqual(secrets.decrypt(envelope, 'anything'), '{"token":"abc"}');
+    const tampered = envelope.slice(0, -4) + (envelope.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+    assert.throws(() => secrets.decrypt(tampered), secrets.SecretsError, 'tampered data should be rejected');
+    log('✅ Data round-trips through the vault');
+
+    const financeKey = crypto.randomBytes(32);
+    fs.writeFileSync(file('.finance_key'), financeKey.toString('hex'));
+    fs.writeFileSync(file('webhooks.enc'), legacyWebhooksEncrypt('[{"id":"w1"}]', 'default-webhook-key-change-in-production'));
+    fs.writeFileSync(file('sftp.enc'), legacySftpEncrypt('{"host":"nas"}', 'my-own-secret'));
+    fs.writeFileSync(file('finance.enc'), legacyFinanceEncrypt('{"accounts":[]}', financeKey));
+    secrets.registerStore({ id: 'testWebhooks', label: 'Webhooks', filePath: file('webhooks.enc'), legacy: 'webhooks' });
+    secrets.registerStore({ id: 'testSftp', label: 'SFTP', filePath: file('sftp.enc'), legacy: 'sftp' });
+    secrets.registerStore({ id: 'testFinance', label: 'Finance', filePath: file('finance.enc'), legacy: 'finance' });
+    secrets.registerStore({ id: 'testMissing', label: 'Not created', filePath: file('missing.enc'), legacy: 'remoteDevices' });
+
+    secrets.init({ env: { ENCRYPTION_SECRET: 'my-own-secret' }, keyFile });
+    assert.strictEqual(secrets.decrypt(fs.readFileSync(file('webhooks.enc'), 'utf8'), 'testWebhooks'), '[{"id":"w1"}]',
+      'files written with a default key should still load');
+    assert.strictEqual(secrets.decrypt(fs.readFileSync(file('sftp.enc'), 'utf8'), 'testSftp'), '{"host":"nas"}',
+      'files written with a custom key should still load');
+    assert.strictEqual(secrets.decrypt(fs.readFileSync(file('finance.enc'), 'utf8'), 'testFinance'), '{"accounts":[]}',
+      'files written with a per-module key file should still load');
+
+    const status = secrets.getStatus();
+    const byId = Object.fromEntries(status.stores.map(store => [store.id, store]));
+    assert.strictEqual(status.keySource, 'file');
+    assert.strictEqual(byId.testWebhooks.defaultKey, true, 'the hard-coded webhook key should be reported');
+    assert.strictEqual(byId.testSftp.defaultKey, false, 'a custom key is not a default key');
+    assert.strictEqual(byId.testFinance.defaultKey, false, 'a generated key file is not a default key');
+    assert.strictEqual(byId.testMissing.encryption, 'missing');
+    assert(status.defaultKeyInUse && /Webhooks/.test(status.warnings[0]), 'the stores using a default key should be named');
+    log('✅ Files from older releases are read and default keys are reported');
+
+    const oldKeyId = status.keyId;
+    const rotation = secrets.rotateMasterKey();
+    assert(rotation.success, rotation.errors && rotation.errors.join('; '));
+    assert.notStrictEqual(rotation.keyId, oldKeyId, 'a new key should be generated');
+    assert.deepStrictEqual(rotation.rotated.sort(), ['Finance', 'SFTP', 'Webhooks'], 'every existing store should be re-encrypted');
+    assert(!fs.existsSync(`${keyFile}.previous`), 'the old key should be removed after a complete rotation');
+    const rotated = secrets.getStatus();
+    assert(!rotated.defaultKeyInUse, 'no default key should be in use after rotation');
+    assert(rotated.stores.filter(store => store.encryption !== 'missing').every(store => store.encryption === 'vault'),
+      'every store should use the new key');
+    assert(!fs.existsSync(file('missing.enc')), 'stores that do not exist should not be created');
+    secrets.init({ env: {}, keyFile });
+    assert.strictEqual(JSON.parse(secrets.decrypt(fs.readFileSync(file('sftp.enc'), 'utf8'), 'testSftp')).host, 'nas',
+      'rotated files should load after a restart');
+    log('✅ Rotation re-encrypts every store with a new key');
+
+    // A rotation that stopped after writing the new key leaves .previous behind
+    const beforeCrash = fs.readFileSync(keyFile, 'utf8');
+    fs.writeFileSync(`${keyFile}.previous`, beforeCrash);
+    fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex'));
+    secrets.init({ env: {}, keyFile });
+    const interrupted = secrets.getStatus();
+    assert(interrupted.rotationIncomplete, 'an unfinished rotation should be reported');
+    assert(interrupted.stores.some(store => store.encryption === 'vault-previous-key'), 'stores still on the old key should be reported');
+    assert.strictEqual(secrets.decrypt(fs.readFileSync(file('webhooks.enc'), 'utf8'), 'testWebhooks'), '[{"id":"w1"}]',
+      'stores on the previous key should still load');
+    const resumed = secrets.rotateMasterKey();
+    assert(resumed.success, resumed.errors && resumed.errors.join('; '));
+    assert(!secrets.getStatus().rotationIncomplete, 'rotating again should finish the interrupted rotation');
+    assert(!fs.existsSync(`${keyFile}.previous`));
+    log('✅ An interrupted rotation can be finished');
+
+    fs.writeFileSync(file('webhooks.enc'), 'not encrypted');
+    const blocked = secrets.rotateMasterKey();
+    assert(!blocked.success && /Cannot decrypt Webhooks/.test(blocked.error), 'rotation should stop when a store cannot be read');
+    assert.strictEqual(secrets.getStatus().keyId, resumed.keyId, 'the key should not change when rotation is refused');
+    const verified = Object.fromEntries(secrets.verifyStores().map(store => [store.id, store]));
+    assert.strictEqual(verified.testWebhooks.readable, false, 'verifyStores should decrypt each file');
+    assert.strictEqual(verified.testSftp.readable, true);
+    assert(!verified.testMissing, 'stores that do not exist are not verified');
+
+    secrets.init({ env: { SECRETS_MASTER_KEY: 'a long passphrase from the environment' }, keyFile });
+    assert.strictEqual(secrets.getStatus().keySource, 'env');
+    assert(/SECRETS_MASTER_KEY/.test(secrets.rotateMasterKey().error), 'a key from the environment cannot be rotated');
+    log('✅ Rotation is refused when it cannot complete safely');
+  } finally {
+    cleanup(tempDir);
+  }
+}
+
+try {
+  run();
+} catch (err) {
+  console.error('❌', err.message);
+  process.exit(1);
+}
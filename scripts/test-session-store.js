@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const session = require('express-session');
+
+const repoRoot = path.join(__dirname, '..');
+const sessionStoreModule = require(path.join(repoRoot, 'modules', 'session-store.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+function call(store, method, ...args) {
+  return new Promise((resolve, reject) => {
+    store[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+function sessionData(extra, expiresInMs = 60 * 60 * 1000) {
+  return {
+    cookie: { originalMaxAge: expiresInMs, expires: new Date(Date.now() + expiresInMs).toISOString(), httpOnly: true, path: '/' },
+    ...extra
+  };
+}
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-test-'));
+  const filePath = path.join(tempDir, 'sessions.json');
+
+  try {
+    const store = sessionStoreModule.createSessionStore(session, { filePath });
+    await call(store, 'set', 'sid-admin', sessionData({ authenticated: true, adminUsername: 'admin' }));
+    await call(store, 'set', 'sid-old', sessionData({ clientAuthenticated: true }, -1000));
+    assert.deepStrictEqual((await call(store, 'get', 'sid-admin')).adminUsername, 'admin', 'stored session should be readable');
+    assert.strictEqual(await call(store, 'get', 'sid-old'), null, 'expired sessions should not be returned');
+    assert.strictEqual(store.flush().success, true, 'sessions should be written to disk');
+    assert(!fs.existsSync(`${filePath}.tmp`), 'temporary file should be renamed into place');
+    log('✅ Sessions are stored and expired ones are ignored');
+
+    const restarted = sessionStoreModule.createSessionStore(session, { filePath });
+    const restored = await call(restarted, 'get', 'sid-admin');
+    assert(restored && restored.authenticated, 'sessions should survive a restart');
+    assert.strictEqual(await call(restarted, 'length'), 1, 'only live sessions should be loaded');
+    log('✅ Sessions survive a restart');
+
+    await call(restarted, 'set', 'sid-short', sessionData({ medicationPortalUserId: 'u1' }, 50));
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.strictEqual(restarted.cleanup(), 1, 'cleanup should remove expired sessions');
+    log('✅ Expiry cleanup removes stale sessions');
+
+    const listed = restarted.listSessions();
+    assert.strictEqual(listed.length, 1, 'one session should be listed');
+    assert.strictEqual(listed[0].id, sessionStoreModule.getPublicId('sid-admin'), 'public id should be derived from the sid');
+    assert.notStrictEqual(listed[0].id, 'sid-admin', 'public id should not reveal the sid');
+    assert.strictEqual(restarted.destroyByPublicId('nope').success, false, 'unknown ids should be reported');
+    assert.strictEqual(restarted.destroyByPublicId(listed[0].id).success, true, 'session should be revoked');
+    assert.strictEqual(await call(restarted, 'get', 'sid-admin'), null, 'revoked session should be gone');
+    restarted.flush();
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).sessions, {}, 'revocation should be persisted');
+    log('✅ Sessions can be listed and revoked');
+
+    // Signal handling belongs to server.js, not to the store
+    const sigtermListeners = process.listenerCount('SIGTERM');
+    const sigintListeners = process.listenerCount('SIGINT');
+    sessionStoreModule.createSessionStore(session, { filePath: path.join(tempDir, 'listeners.json') });
+    assert.strictEqual(process.listenerCount('SIGTERM'), sigtermListeners, 'stores should not install SIGTERM handlers');
+    assert.strictEqual(process.listenerCount('SIGINT'), sigintListeners, 'stores should not install SIGINT handlers');
+
+    // A store in a child process that is stopped the way `docker stop` does it,
+    // with a handler like the one in server.js
+    const signalFile = path.join(tempDir, 'signal-sessions.json');
+    const child = spawnSync(process.execPath, ['-e', `
+      const session = require('express-session');
+      const sessionStoreModule = require(${JSON.stringify(path.join(repoRoot, 'modules', 'session-store.js'))});
+      const store = sessionStoreModule.createSessionStore(session, { filePath: ${JSON.stringify(signalFile)} });
+      store.set('sid-signal', { cookie: { expires: new Date(Date.now() + 60000).toISOString() }, authenticated: true });
+      process.once('SIGTERM', () => {
+        process.exit(sessionStoreModule.flushAll().success ? 0 : 1);
+      });
+      setInterval(() => {}, 1000);
+      process.kill(process.pid, 'SIGTERM');
+    `], { cwd: repoRoot, timeout: 10000 });
+    assert.strictEqual(child.status, 0, 'flushAll should succeed on SIGTERM');
+    assert(JSON.parse(fs.readFileSync(signalFile, 'utf8')).sessions['sid-signal'], 'pending sessions should be saved by flushAll');
+    log('✅ flushAll saves pending sessions when the server is stopped with SIGTERM');
+
+    const secretPath = path.join(tempDir, '.session-secret');
+    const secret = sessionStoreModule.loadOrCreateSecret(secretPath);
+    assert(secret && secret.length >= 32, 'a secret should be generated');
+    assert.strictEqual(sessionStoreModule.loadOrCreateSecret(secretPath), secret, 'the same secret should be reused');
+    assert.strictEqual(sessionStoreModule.getLifetimeHours({ sessions: { lifetimeHours: 72 } }), 72, 'lifetime should come from config');
+    assert.strictEqual(sessionStoreModule.getLifetimeHours({}), sessionStoreModule.DEFAULT_LIFETIME_HOURS, 'lifetime should default');
+    log('✅ Session secret and lifetime are configurable and stable');
+  } finally {
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
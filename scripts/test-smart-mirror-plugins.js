@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const smartMirrorPlugins = require(path.join(repoRoot, 'modules', 'smart-mirror-plugins.js'));
+const smartMirrorPush = require(path.join(repoRoot, 'modules', 'smart-mirror-push.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+function writePlugin(pluginsDir, id, pluginSource, { renderer = true } = {}) {
+  const dir = path.join(pluginsDir, id);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'plugin.js'), pluginSource);
+  if (renderer) {
+    fs.writeFileSync(path.join(dir, 'widget.js'), `SmartMirrorPlugins.register('${id}', { render() {} });\n`);
+  }
+}
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-mirror-plugins-test-'));
+  const pluginsDir = path.join(tempDir, 'plugins');
+
+  writePlugin(pluginsDir, 'weather-station', `
+    module.exports = {
+      name: 'Weather Station',
+      icon: '🌡️',
+      defaultSize: { width: 6, height: 1 },
+      refreshIntervalMs: 60000,
+      configSchema: {
+        type: 'object',
+        required: ['station'],
+        properties: {
+          station: { type: 'string', title: 'Station ID', minLength: 1 },
+          units: { type: 'string', enum: ['metric', 'imperial'], default: 'metric' },
+          apiToken: { type: 'string', writeOnly: true }
+        }
+      },
+      async getData(config) {
+        if (config.station === 'offline') throw new Error('station offline');
+        return { station: config.station, hasToken: Boolean(config.apiToken), temperature: 21 };
+      }
+    };
+  `);
+  writePlugin(pluginsDir, 'no-data', 'module.exports = { name: \'No Data\' };');
+  writePlugin(pluginsDir, 'no-renderer', 'module.exports = { name: \'No Renderer\', async getData() { return 1; } };', { renderer: false });
+  writePlugin(pluginsDir, 'Bad_Name', 'module.exports = { name: \'Bad\', async getData() { return 1; } };');
+  writePlugin(pluginsDir, 'syntax-error', 'module.exports = {');
+  fs.mkdirSync(path.join(pluginsDir, 'not-a-plugin'));
+
+  try {
+    const result = smartMirrorPlugins.loadPlugins(pluginsDir);
+    assert.deepStrictEqual(result.loaded, ['weather-station']);
+    assert.deepStrictEqual(result.failed.map(failure => failure.id).sort(),
+      ['Bad_Name', 'no-data', 'no-renderer', 'syntax-error']);
+    assert.match(result.failed.find(failure => failure.id === 'no-data').error, /getData/);
+    assert.match(result.failed.find(failure => failure.id === 'no-renderer').error, /widget\.js/);
+    assert.deepStrictEqual(smartMirrorPlugins.getLoadErrors(), result.failed);
+    assert.deepStrictEqual(smartMirrorPlugins.loadPlugins(path.join(tempDir, 'missing')), { loaded: [], failed: [] });
+    smartMirrorPlugins.loadPlugins(pluginsDir);
+    log('✅ Valid plugins load; broken ones are skipped and reported');
+
+    const key = 'plugin-weather-station';
+    assert.deepStrictEqual(smartMirrorPlugins.getDefaultWidgets(), { [key]: { enabled: false, size: 'medium', units: 'metric' } });
+    assert.deepStrictEqual(smartMirrorPlugins.getDefaultLayout({ columns: 4, rows: 6 })[key], { x: 0, y: 0, width: 4, height: 1 },
+      'the default size is kept inside the grid');
+    const [listed] = smartMirrorPlugins.listPlugins();
+    assert.strictEqual(listed.widgetKey, key);
+    assert.strictEqual(listed.refreshIntervalMs, 60000);
+    assert.deepStrictEqual(listed.defaults, { enabled: false, size: 'medium', units: 'metric' });
+    assert.deepStrictEqual(smartMirrorPlugins.getPublicPlugins(), [{
+      id: 'weather-station', widgetKey: key, name: 'Weather Station', icon: '🌡️', script: '/smart-mirror/plugins/weather-station/widget.js'
+    }]);
+    assert.strictEqual(smartMirrorPlugins.getRendererPath('weather-station'), path.join(pluginsDir, 'weather-station', 'widget.js'));
+    assert.strictEqual(smartMirrorPlugins.getRendererPath('no-renderer'), null);
+    log('✅ Plugins provide default widgets, layouts and renderer scripts');
+
+    const validate = widget => smartMirrorPlugins.validateWidgetConfigs({ clock: { enabled: 'anything' }, [key]: widget });
+    assert.deepStrictEqual(validate({ enabled: false, station: '' }), [], 'required fields only apply to enabled widgets');
+    assert.deepStrictEqual(validate({ enabled: true, station: 'KSEA', units: 'metric' }), []);
+    assert.deepStrictEqual(validate({ enabled: true, station: '' }), [{ path: `widgets.${key}.station`, message: 'is required' }],
+      'a blank field counts as missing');
+    assert.deepStrictEqual(validate({ enabled: true, station: 'KSEA', units: 'kelvin' }),
+      [{ path: `widgets.${key}.units`, message: 'must be one of: metric, imperial' }]);
+    assert.deepStrictEqual(validate('on'), [{ path: `widgets.${key}`, message: 'must be an object' }]);
+    log('✅ Plugin widget configs are validated against their schema');
+
+    const saved = { [key]: { enabled: true, station: 'KSEA', apiToken: '' } };
+    smartMirrorPlugins.preserveWriteOnlyValues(saved, { [key]: { apiToken: 's3cret' } });
+    assert.strictEqual(saved[key].apiToken, 's3cret', 'a blank secret keeps the stored value');
+    assert.deepStrictEqual(smartMirrorPlugins.getPublicWidgetConfig(key, saved[key]), { station: 'KSEA' },
+      'secrets are not sent to the mirrors');
+    assert.strictEqual(smartMirrorPlugins.getPublicWidgetConfig('clock', { enabled: true }), null);
+    log('✅ Secret settings are kept on save and never made public');
+
+    assert.deepStrictEqual(await smartMirrorPlugins.fetchData('weather-station', saved[key]),
+      { success: true, data: { station: 'KSEA', hasToken: true, temperature: 21 } });
+    assert.deepStrictEqual(await smartMirrorPlugins.fetchData('weather-station', { station: 'offline' }),
+      { success: false, error: 'Weather Station: station offline' });
+    assert.strictEqual((await smartMirrorPlugins.fetchData('no-data', {})).success, false);
+    log('✅ Data providers run with the widget config; failures become errors');
+
+    const [source] = smartMirrorPlugins.getPushSources();
+    assert.deepStrictEqual(source, { id: key, widget: key, path: '/api/smart-mirror/plugins/weather-station/data', intervalMs: 60000 });
+    assert.deepStrictEqual(smartMirrorPush.registerSource(source), { success: true });
+    assert.strictEqual(smartMirrorPush.registerSource(source).success, false, 'a source is registered once');
+    assert(smartMirrorPush.getStatus().sources.some(status => status.id === key));
+    log('✅ Plugin data is pushed to mirrors like the built-in sources');
+
+    const smartMirror = require(path.join(repoRoot, 'modules', 'smartmirror.js'));
+    const defaults = smartMirror.getDefaultConfig();
+    assert.strictEqual(defaults.widgets[key].enabled, false);
+    assert.deepStrictEqual(defaults.layouts.landscape[key], { x: 0, y: 0, width: 6, height: 1 });
+    assert(defaults.widgets.clock, 'built-in widgets are still there');
+    log('✅ The smart mirror config includes plugin widgets');
+  } finally {
+    smartMirrorPush.close();
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const CONFIG_FILE = path.join(repoRoot, 'config', 'smartmirror-config.json.enc');
+const CONFIG_BACKUP = `${CONFIG_FILE}.profiles-test-backup`;
+const smartMirror = require(path.join(repoRoot, 'modules', 'smartmirror.js'));
+
+function log(message) {
+  console.log(message);
+}
+
+function restoreConfig() {
+  if (fs.existsSync(CONFIG_BACKUP)) {
+    fs.copyFileSync(CONFIG_BACKUP, CONFIG_FILE);
+    fs.unlinkSync(CONFIG_BACKUP);
+  } else if (fs.existsSync(CONFIG_FILE)) {
+    fs.unlinkSync(CONFIG_FILE);
+  }
+}
+
+async function run() {
+  if (fs.existsSync(CONFIG_FILE)) {
+    fs.copyFileSync(CONFIG_FILE, CONFIG_BACKUP);
+  }
+
+  try {
+    const defaults = smartMirror.getDefaultConfig();
+    assert.deepStrictEqual(defaults.profiles, {});
+    const base = {
+      ...defaults,
+      enabled: true,
+      theme: 'dark',
+      widgets: {
+        ...defaults.widgets,
+        clock: { ...defaults.widgets.clock, enabled: true },
+        weather: { ...defaults.widgets.weather, enabled: true, apiKey: 'weather-key', location: 'Seattle' },
+        calendar: { ...defaults.widgets.calendar, enabled: true, calendarUrls: ['https://example.com/family.ics'] }
+      }
+    };
+    assert.strictEqual(smartMirror.saveConfig(base).success, true);
+
+    let result = smartMirror.createProfile({ id: 'kitchen', name: 'Kitchen Tablet' });
+    assert.strictEqual(result.success, true, result.error);
+    assert.deepStrictEqual(result.profile.id, 'kitchen');
+    const stored = smartMirror.loadConfig().profiles.kitchen;
+    assert.strictEqual(stored.name, 'Kitchen Tablet');
+    assert.strictEqual(stored.widgets.weather.apiKey, undefined, 'API keys stay on the default profile');
+    assert.strictEqual(smartMirror.getProfileConfig('kitchen').widgets.weather.apiKey, 'weather-key');
+    assert.deepStrictEqual(smartMirror.getProfileConfig('kitchen').widgets.calendar.calendarUrls, ['https://example.com/family.ics']);
+    assert.deepStrictEqual(smartMirror.listProfiles().map(profile => profile.id), ['default', 'kitchen']);
+    log('✅ A new profile is a copy of the default one and shares its API keys');
+
+    assert.strictEqual(smartMirror.createProfile({ id: 'Bad ID' }).code, 'VALIDATION_ERROR');
+    assert.strictEqual(smartMirror.createProfile({ id: 'default' }).code, 'VALIDATION_ERROR');
+    assert.strictEqual(smartMirror.createProfile({ id: 'plugins' }).code, 'VALIDATION_ERROR', 'reserved for plugin renderers');
+    assert.strictEqual(smartMirror.createProfile({ id: 'kitchen' }).code, 'CONFLICT');
+    assert.strictEqual(smartMirror.createProfile({ id: 'hallway', from: 'nope' }).code, 'SMART_MIRROR_PROFILE_NOT_FOUND');
+    log('✅ Invalid, reserved and duplicate profile IDs are rejected');
+
+    const kitchenEdit = smartMirror.getProfileConfig('kitchen');
+    kitchenEdit.theme = 'light';
+    kitchenEdit.widgets.clock.enabled = false;
+    kitchenEdit.widgets.calendar.calendarUrls = ['https://example.com/meals.ics'];
+    kitchenEdit.widgets.forecast = { ...kitchenEdit.widgets.forecast, apiKey: 'new-key' };
+    kitchenEdit.layouts.portrait.calendar = { x: 0, y: 2, width: 4, height: 3 };
+    delete kitchenEdit.profiles;
+    result = smartMirror.saveConfig(kitchenEdit, { profile: 'kitchen' });
+    assert.strictEqual(result.success, true, result.error);
+
+    const kitchen = smartMirror.getProfileConfig('kitchen');
+    assert.strictEqual(kitchen.theme, 'light');
+    assert.strictEqual(kitchen.widgets.clock.enabled, false);
+    assert.deepStrictEqual(kitchen.widgets.calendar.calendarUrls, ['https://example.com/meals.ics']);
+    assert.deepStrictEqual(kitchen.layouts.portrait.calendar, { x: 0, y: 2, width: 4, height: 3 });
+    const main = smartMirror.loadConfig();
+    assert.strictEqual(main.theme, 'dark', 'the default profile is unchanged');
+    assert.strictEqual(main.widgets.clock.enabled, true);
+    assert.deepStrictEqual(main.widgets.calendar.calendarUrls, ['https://example.com/family.ics']);
+    assert.strictEqual(main.widgets.forecast.apiKey, 'new-key', 'an API key entered in a profile is the shared one');
+    assert.strictEqual(main.profiles.kitchen.widgets.forecast.apiKey, undefined);
+    assert.strictEqual(smartMirror.saveConfig(kitchenEdit, { profile: 'gone' }).code, 'SMART_MIRROR_PROFILE_NOT_FOUND');
+    log('✅ Saving a profile changes only that profile');
+
+    const settingsPage = smartMirror.loadConfig();
+    delete settingsPage.profiles;
+    assert.strictEqual(smartMirror.saveConfig(settingsPage).success, true);
+    assert(smartMirror.loadConfig().profiles.kitchen, 'saving the default profile keeps the others');
+    log('✅ Saving the default profile keeps the named profiles');
+
+    const publicConfig = smartMirror.getPublicConfig('portrait', 'kitchen');
+    assert.deepStrictEqual(publicConfig.profile, { id: 'kitchen', name: 'Kitchen Tablet' });
+    assert.strictEqual(publicConfig.theme, 'light');
+    assert.deepStrictEqual(publicConfig.widgets.calendar.calendarUrls, ['https://example.com/meals.ics']);
+    assert.strictEqual(publicConfig.widgets.weather.apiKey, undefined);
+    assert.deepStrictEqual(smartMirror.getPublicConfig('portrait').profile, { id: 'default', name: 'Default' });
+    assert.strictEqual(smartMirror.getPublicConfig('portrait', 'nope'), null);
+    assert.strictEqual(smartMirror.getProfileConfig('nope'), null);
+    assert.strictEqual(smartMirror.getProfileConfig(['kitchen']), null, 'repeated query parameters are not a profile');
+    assert.strictEqual(smartMirror.getProfileConfig('toString'), null);
+    log('✅ Mirrors get the public config of their profile');
+
+    const withPartialProfile = smartMirror.loadConfig();
+    withPartialProfile.profiles.bedroom = { name: 'Bedroom', widgets: { clock: { enabled: true } } };
+    assert.strictEqual(smartMirror.saveConfig(withPartialProfile).success, true);
+    const bedroom = smartMirror.getProfileConfig('bedroom');
+    assert.strictEqual(bedroom.widgets.clock.enabled, true);
+    assert.strictEqual(bedroom.widgets.weather.enabled, false, 'widgets the profile does not list are switched off');
+    assert.strictEqual(bedroom.widgets.weather.location, 'Seattle');
+    log('✅ Widgets added after a profile was created are off in it');
+
+    const diff = smartMirror.diffProfiles('default', 'kitchen');
+    assert.strictEqual(diff.success, true);
+    const paths = diff.changes.map(change => change.path);
+    assert(paths.includes('theme'));
+    assert(paths.includes('widgets.clock.enabled'));
+    assert(paths.some(changePath => changePath.startsWith('widgets.calendar.calendarUrls')));
+    assert(!paths.some(changePath => /apikey/i.test(changePath)), 'secrets are not compared');
+    assert.deepStrictEqual(diff.changes.find(change => change.path === 'theme'), { path: 'theme', before: 'dark', after: 'light' });
+    assert.deepStrictEqual(smartMirror.diffProfiles('kitchen', 'kitchen').changes, []);
+    assert.strictEqual(smartMirror.diffProfiles('kitchen', 'nope').code, 'SMART_MIRROR_PROFILE_NOT_FOUND');
+    log('✅ Two profiles can be compared');
+
+    result = smartMirror.createProfile({ id: 'hallway', from: 'kitchen' });
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(smartMirror.getProfileConfig('hallway').theme, 'light', 'a profile can be cloned from another one');
+    assert.deepStrictEqual(smartMirror.deleteProfile('hallway'), { success: true });
+    assert.strictEqual(smartMirror.getProfileConfig('hallway'), null);
+    assert.strictEqual(smartMirror.deleteProfile('hallway').code, 'SMART_MIRROR_PROFILE_NOT_FOUND');
+    assert.strictEqual(smartMirror.deleteProfile('default').code, 'SMART_MIRROR_PROFILE_NOT_FOUND');
+    log('✅ Profiles can be cloned from each other and deleted');
+  } finally {
+    restoreConfig();
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
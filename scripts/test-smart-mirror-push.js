@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+const WebSocket = require('ws');
+
+const repoRoot = path.join(__dirname, '..');
+const smartMirrorPush = require(path.join(repoRoot, 'modules', 'smart-mirror-push.js'));
+const eventBus = require(path.join(repoRoot, 'modules', 'event-bus.js'));
+
+function log(message) {
+  console.log(message);
+}
+
+// A mirror connection that collects the messages it receives
+function connect(port, orientation, profile) {
+  return new Promise((resolve, reject) => {
+    const profileParam = profile ? `&profile=${profile}` : '';
+    const socket = new WebSocket(`ws://127.0.0.1:${port}${smartMirrorPush.WS_PATH}?orientation=${orientation}${profileParam}`);
+    socket.messages = [];
+    socket.on('message', data => socket.messages.push(JSON.parse(data)));
+    socket.on('open', () => resolve(socket));
+    socket.on('error', reject);
+  });
+}
+
+function waitFor(check, description) {
+  const deadline = Date.now() + 2000;
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) return resolve();
+      if (Date.now() > deadline) return reject(new Error(`Timed out waiting for ${description}`));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+async function run() {
+  const fetches = [];
+  const fetchedPaths = [];
+  const payloads = { weather: { success: true, data: { temp: 70 } } };
+  let configVersion = 1;
+  smartMirrorPush.init({
+    getPublicConfig: (orientation, profile) => {
+      if (!profile) return { orientation, version: configVersion };
+      return profile === 'kitchen' ? { orientation, version: configVersion, profile } : null;
+    },
+    isWidgetEnabled: widget => widget === 'weather' || widget === 'media',
+    fetchSource: async definition => {
+      fetches.push(definition.id);
+      fetchedPaths.push(definition.path);
+      if (definition.id === 'media') throw new Error('Home Assistant unreachable');
+      return definition.profile ? { success: true, data: { temp: 60 } } : payloads[definition.id];
+    }
+  });
+
+  const server = http.createServer((req, res) => res.end('not a websocket'));
+  smartMirrorPush.attach(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  try {
+    assert.strictEqual(smartMirrorPush.getStatus().running, false, 'nothing is refreshed without mirrors');
+
+    const portrait = await connect(port, 'portrait');
+    const landscape = await connect(port, 'landscape');
+    await waitFor(() => landscape.messages.some(message => message.source === 'weather'), 'the weather data');
+    assert.deepStrictEqual(portrait.messages[0], { type: 'config', config: { orientation: 'portrait', version: 1 } });
+    assert.deepStrictEqual(landscape.messages[0].config.orientation, 'landscape');
+    assert.deepStrictEqual(fetches.filter(id => id === 'weather'), ['weather'], 'two mirrors share one fetch');
+    assert(!fetches.includes('calendar'), 'sources of disabled widgets are not fetched');
+    const weather = landscape.messages.find(message => message.source === 'weather');
+    assert.strictEqual(weather.widget, 'weather');
+    assert.deepStrictEqual(weather.data, payloads.weather);
+    assert.strictEqual(smartMirrorPush.getStatus().clients, 2);
+    assert.strictEqual(smartMirrorPush.getStatus().sources.find(source => source.id === 'media').lastError,
+      'Home Assistant unreachable');
+    log('✅ Connected mirrors receive their config and each source fetched once');
+
+    let result = await smartMirrorPush.refreshSource('weather');
+    assert.deepStrictEqual(result, { success: true, changed: false });
+    payloads.weather = { success: true, data: { temp: 72 } };
+    result = await smartMirrorPush.refreshSource('weather');
+    assert.strictEqual(result.changed, true);
+    await waitFor(() => portrait.messages.filter(message => message.source === 'weather').length === 2, 'the changed weather');
+    assert.strictEqual(portrait.messages.filter(message => message.source === 'weather').length, 2,
+      'unchanged data is not sent again');
+    assert.strictEqual(portrait.messages[portrait.messages.length - 1].data.data.temp, 72);
+    log('✅ Only changed sources are pushed');
+
+    const late = await connect(port, 'portrait');
+    await waitFor(() => late.messages.length >= 2, 'the cached sources');
+    assert.strictEqual(late.messages[1].data.data.temp, 72, 'a new mirror gets the cached data right away');
+    late.close();
+
+    configVersion = 2;
+    const beforeSave = portrait.messages.length;
+    eventBus.emit('smartmirror.config.saved', { enabled: true, enabledWidgets: ['weather'] });
+    await waitFor(() => landscape.messages.some(message => message.type === 'config' && message.config.version === 2), 'the new config');
+    const pushed = portrait.messages.slice(beforeSave).find(message => message.type === 'config');
+    assert.deepStrictEqual(pushed.config, { orientation: 'portrait', version: 2 });
+    log('✅ Saving the configuration reaches every mirror');
+
+    const kitchen = await connect(port, 'landscape', 'kitchen');
+    await waitFor(() => kitchen.messages.some(message => message.source === 'weather'), 'the kitchen weather');
+    assert.deepStrictEqual(kitchen.messages[0].config, { orientation: 'landscape', version: 2, profile: 'kitchen' });
+    assert.strictEqual(kitchen.messages.find(message => message.source === 'weather').data.data.temp, 60);
+    assert(fetchedPaths.includes('/api/smart-mirror/weather?profile=kitchen'), 'a profile\'s sources are fetched for that profile');
+    assert(!portrait.messages.some(message => message.source === 'weather' && message.data.data.temp === 60),
+      'mirrors of other profiles do not get its data');
+    assert(smartMirrorPush.getStatus().sources.some(source => source.id === 'weather' && source.profile === 'kitchen'));
+    kitchen.close();
+    log('✅ Mirrors of a profile get that profile\'s config and data');
+
+    const rejected = await new Promise(resolve => {
+      const socket = new WebSocket(`ws://127.0.0.1:${port}/api/other`);
+      socket.on('unexpected-response', (req, res) => resolve(res.statusCode));
+      socket.on('error', () => {});
+    });
+    assert.strictEqual(rejected, 404);
+    const unknownProfile = await new Promise(resolve => {
+      const socket = new WebSocket(`ws://127.0.0.1:${port}${smartMirrorPush.WS_PATH}?profile=nope`);
+      socket.on('unexpected-response', (req, res) => resolve(res.statusCode));
+      socket.on('error', () => {});
+    });
+    assert.strictEqual(unknownProfile, 404);
+    assert.strictEqual((await smartMirrorPush.refreshSource('nope')).success, false);
+    log('✅ Other upgrade paths, unknown profiles and unknown sources are rejected');
+
+    portrait.close();
+    landscape.close();
+    await waitFor(() => smartMirrorPush.getStatus().clients === 0, 'the mirrors to disconnect');
+    assert.strictEqual(smartMirrorPush.getStatus().running, false);
+    log('✅ Refreshing stops when the last mirror disconnects');
+  } finally {
+    smartMirrorPush.close();
+    server.close();
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
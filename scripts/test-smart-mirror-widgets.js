@@ -60,6 +60,12 @@ function makeRequest(method, path, data = null) {
   });
 }
 
+// Widget data endpoints answer with 200 and data, or with an error status
+// and a code (e.g. 409 WIDGET_DISABLED) when the widget cannot load
+function isWidgetResponse(result) {
+  return Boolean(result.body) && (result.statusCode === 200 || Boolean(result.body.code));
+}
+
 // Test functions
 async function testConfigEndpoint() {
   console.log('\n🧪 Test 1: Smart Mirror config endpoint');
@@ -105,7 +111,7 @@ async function testCalendarEndpoint() {
   try {
     const result = await makeRequest('GET', '/api/smart-mirror/calendar');
     
-    if (result.statusCode === 200 && result.body) {
+    if (isWidgetResponse(result)) {
       console.log('✅ Calendar endpoint responding');
       
       if (result.body.success) {
@@ -134,7 +140,7 @@ async function testNewsEndpoint() {
   try {
     const result = await makeRequest('GET', '/api/smart-mirror/news');
     
-    if (result.statusCode === 200 && result.body) {
+    if (isWidgetResponse(result)) {
       console.log('✅ News endpoint responding');
       
       if (result.body.success) {
@@ -163,7 +169,7 @@ async function testWeatherEndpoint() {
   try {
     const result = await makeRequest('GET', '/api/smart-mirror/weather');
     
-    if (result.statusCode === 200 && result.body) {
+    if (isWidgetResponse(result)) {
       console.log('✅ Weather endpoint responding');
       
       if (result.body.success) {
@@ -192,7 +198,7 @@ async function testForecastEndpoint() {
   try {
     const result = await makeRequest('GET', '/api/smart-mirror/forecast');
     
-    if (result.statusCode === 200 && result.body) {
+    if (isWidgetResponse(result)) {
       console.log('✅ Forecast endpoint responding');
       
       if (result.body.success) {
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const storage = require(path.join(repoRoot, 'modules', 'storage.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+
+  try {
+    storage.init({});
+    assert.strictEqual(storage.getBackendName(), 'file', 'file backend should be the default');
+
+    const docPath = path.join(tempDir, 'nested', 'doc.json');
+    storage.writeJson(docPath, { value: 1 });
+    assert.deepStrictEqual(storage.readJson(docPath), { value: 1 }, 'document should round-trip');
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(docPath)), ['doc.json'], 'no temporary files should be left behind');
+    assert.strictEqual(storage.readJson(path.join(tempDir, 'missing.json'), []).length, 0, 'missing documents use the fallback');
+
+    const blockedPath = path.join(tempDir, 'blocked');
+    fs.mkdirSync(blockedPath);
+    assert.throws(() => storage.writeFileAtomic(blockedPath, 'x'), err => err instanceof storage.StorageError &&
+      err.code === 'STORAGE_WRITE_FAILED', 'failed writes should throw a StorageError');
+    assert.deepStrictEqual(fs.readdirSync(blockedPath), [], 'a failed write should clean up its temporary file');
+    log('✅ Writes are atomic and failures are reported');
+
+    const counterPath = path.join(tempDir, 'counter.json');
+    await Promise.all(Array.from({ length: 10 }, () => storage.updateJson(counterPath, async data => {
+      const current = data.count;
+      await delay(2);
+      data.count = current + 1;
+    }, { fallback: { count: 0 } })));
+    assert.strictEqual(storage.readJson(counterPath).count, 10, 'concurrent updates should not lose writes');
+    log('✅ Concurrent updates to one document are serialised');
+
+    const configPath = path.join(tempDir, 'config.json');
+    let liveConfig = { parties: [], drinkMixer: { alcohols: [] } };
+    const store = storage.createConfigStore({ getConfig: () => liveConfig, filePath: configPath });
+
+    await Promise.all([
+      store.transaction('parties', async parties => { await delay(5); parties.push({ id: 1 }); }),
+      store.transaction('parties', parties => { parties.push({ id: 2 }); }),
+      store.transaction('drinkMixer', drinkMixer => { drinkMixer.alcohols.push({ id: 'rum' }); }),
+      store.transaction('usefulLinks', links => { links.push({ name: 'x' }); }, { defaultValue: [] })
+    ]);
+    const saved = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    assert.deepStrictEqual(saved.parties.map(p => p.id), [1, 2], 'queued transactions on one section should both apply');
+    assert.strictEqual(saved.drinkMixer.alcohols.length, 1, 'other sections should not be clobbered');
+    assert.strictEqual(saved.usefulLinks.length, 1, 'new sections should start from the default value');
+    assert.deepStrictEqual(liveConfig.parties, saved.parties, 'memory should match the file');
+    log('✅ Config transactions queue per section without clobbering others');
+
+    await assert.rejects(store.transaction('parties', parties => {
+      parties.push({ id: 3 });
+      throw new Error('validation failed');
+    }), /validation failed/, 'mutator errors should propagate');
+    assert.strictEqual(liveConfig.parties.length, 2, 'a rejected mutator should not change memory');
+
+    const brokenStore = storage.createConfigStore({ getConfig: () => liveConfig, filePath: blockedPath });
+    await assert.rejects(brokenStore.transaction('parties', parties => { parties.push({ id: 4 }); }),
+      err => err instanceof storage.StorageError, 'write failures should reject');
+    assert.strictEqual(liveConfig.parties.length, 2, 'a failed write should not change memory');
+    log('✅ Failed transactions leave the in-memory config unchanged');
+
+    liveConfig = { ...liveConfig, extra: true };
+    store.save();
+    assert.strictEqual(JSON.parse(fs.readFileSync(configPath, 'utf8')).extra, true, 'save() should write the live config');
+
+    let sqliteAvailable = true;
+    try {
+      require.resolve('better-sqlite3');
+    } catch (error) {
+      sqliteAvailable = false;
+    }
+    storage.init({ dataStore: { backend: 'sqlite', sqlitePath: path.join(tempDir, 'data.sqlite') } });
+    if (sqliteAvailable) {
+      storage.writeJson(docPath, { value: 2 });
+      assert.deepStrictEqual(storage.readJson(docPath), { value: 2 }, 'SQLite documents should round-trip');
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(docPath, 'utf8')), { value: 1 }, 'SQLite writes should not touch the file');
+      log('✅ SQLite backend stores documents');
+    } else {
+      assert.throws(() => storage.writeJson(docPath, { value: 2 }), err => err.code === 'STORAGE_BACKEND_UNAVAILABLE',
+        'a missing better-sqlite3 should be reported clearly');
+      log('✅ SQLite backend reports a missing better-sqlite3');
+    }
+  } finally {
+    storage.init({});
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
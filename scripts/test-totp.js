@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+const totp = require(path.join(repoRoot, 'modules', 'totp.js'));
+const adminUsers = require(path.join(repoRoot, 'modules', 'admin-users.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+async function run() {
+  // RFC 6238 appendix B test vector (SHA1 secret "12345678901234567890")
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+  assert.strictEqual(rfcSecret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 'base32 encoding should match RFC 4648');
+  assert.strictEqual(totp.base32Decode(rfcSecret).toString(), '12345678901234567890', 'base32 should round-trip');
+  assert.strictEqual(totp.generateCode(rfcSecret, 59 * 1000), '287082', 'code at T=59s should match RFC 6238');
+  assert.strictEqual(totp.generateCode(rfcSecret, 1111111109 * 1000), '081804', 'code at T=1111111109 should match RFC 6238');
+  log('✅ Codes match the RFC 6238 test vectors');
+
+  const secret = totp.generateSecret();
+  const now = Date.now();
+  assert.strictEqual(totp.verifyCode(secret, totp.generateCode(secret, now), now), true, 'current code should verify');
+  assert.strictEqual(totp.verifyCode(secret, totp.generateCode(secret, now - 30000), now), true, 'previous step should be tolerated');
+  assert.strictEqual(totp.verifyCode(secret, totp.generateCode(secret, now - 120000), now), false, 'old codes should be rejected');
+  assert.strictEqual(totp.verifyCode(secret, 'abc123', now), false, 'non-numeric input should be rejected');
+  assert.strictEqual(totp.verifyCode('', '123456', now), false, 'missing secret should never verify');
+  log('✅ Verification allows one step of clock drift and nothing more');
+
+  const step = totp.findCodeStep(secret, totp.generateCode(secret, now), now);
+  assert.strictEqual(step, Math.floor(now / 30000), 'the accepted code should report its time step');
+  assert.strictEqual(totp.verifyCode(secret, totp.generateCode(secret, now), now, step), false, 'a used code should not be accepted again');
+  assert.strictEqual(totp.verifyCode(secret, totp.generateCode(secret, now - 30000), now, step), false,
+    'an older code inside the drift window should be refused after a newer one was used');
+  assert.strictEqual(totp.verifyCode(secret, totp.generateCode(secret, now + 30000), now, step), true, 'the next code should still work');
+  const firstLogin = totp.verifySecondFactor({ secret }, totp.generateCode(secret, now), now);
+  assert.strictEqual(firstLogin.step, step, 'login step should return the step to store');
+  assert.strictEqual(totp.verifySecondFactor({ secret, lastUsedStep: firstLogin.step }, totp.generateCode(secret, now), now).valid, false,
+    'login step should refuse a replayed code');
+  log('✅ A code cannot be replayed once it has been accepted');
+
+  const enrollment = await totp.createEnrollment({ issuer: 'Local Server Site Pusher', accountName: 'admin' });
+  assert(enrollment.otpauthUrl.startsWith('otpauth://totp/'), 'enrollment should include an otpauth URI');
+  assert(enrollment.otpauthUrl.includes(`secret=${enrollment.secret}`), 'URI should carry the secret');
+  assert(enrollment.qrCodeDataUrl.startsWith('data:image/png;base64,'), 'enrollment should include a QR code image');
+  log('✅ Enrollment produces an otpauth URI and QR code');
+
+  const recovery = totp.generateRecoveryCodes();
+  assert.strictEqual(recovery.codes.length, 10, 'ten recovery codes should be generated');
+  assert(!recovery.hashes.includes(recovery.codes[0]), 'only hashes should be stored');
+  const used = totp.consumeRecoveryCode(recovery.hashes, recovery.codes[3].toUpperCase());
+  assert.strictEqual(used.matched, true, 'recovery codes should match case-insensitively');
+  assert.strictEqual(used.remainingHashes.length, 9, 'a used recovery code should be removed');
+  assert.strictEqual(totp.consumeRecoveryCode(used.remainingHashes, recovery.codes[3]).matched, false,
+    'a recovery code should only work once');
+  const viaLogin = totp.verifySecondFactor({ secret, recoveryCodeHashes: recovery.hashes }, recovery.codes[0]);
+  assert.strictEqual(viaLogin.valid && viaLogin.usedRecoveryCode, true, 'login step should accept recovery codes');
+  log('✅ Recovery codes are single-use and stored hashed');
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'totp-test-'));
+  try {
+    adminUsers.init({ adminUsers: { dataFilePath: path.join(tempDir, 'admin-users.json') } });
+    const created = adminUsers.createUser({ username: 'owner', passwordHash: 'salt:hash', role: 'owner' });
+    assert.strictEqual(created.user.twoFactorEnabled, false, 'new accounts start without two-factor');
+
+    const enabled = adminUsers.enableTwoFactor(created.user.id, { secret, recoveryCodeHashes: recovery.hashes });
+    assert.strictEqual(enabled.success, true, 'two-factor should be enabled');
+    assert.strictEqual(enabled.user.twoFactorEnabled, true, 'serialized user should report two-factor');
+    assert.strictEqual(enabled.user.recoveryCodesRemaining, 10, 'recovery code count should be reported');
+    assert(!JSON.stringify(enabled.user).includes(secret), 'serialized user should not expose the secret');
+
+    assert.strictEqual(adminUsers.setRecoveryCodeHashes(created.user.id, used.remainingHashes).success, true,
+      'remaining recovery codes should be saved');
+    assert.strictEqual(adminUsers.getUserById(created.user.id).twoFactor.recoveryCodeHashes.length, 9);
+    assert.strictEqual(adminUsers.getUserById(created.user.id).twoFactor.lastUsedStep, null);
+    assert.strictEqual(adminUsers.recordTwoFactorStep(created.user.id, step).success, true, 'the used step should be saved');
+    assert.strictEqual(adminUsers.getUserById(created.user.id).twoFactor.lastUsedStep, step);
+
+    assert.strictEqual(adminUsers.disableTwoFactor(created.user.id).user.twoFactorEnabled, false, 'two-factor should be disabled');
+    assert.strictEqual(adminUsers.setRecoveryCodeHashes(created.user.id, []).success, false,
+      'recovery codes cannot be set without two-factor');
+    log('✅ Admin accounts store and clear two-factor settings');
+  } finally {
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
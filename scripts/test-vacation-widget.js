@@ -50,8 +50,8 @@ async function testVacationWidget() {
         // Step 1: Test vacation API endpoint (should be disabled by default)
         logStep('1', 'Testing vacation API endpoint (should be disabled)');
         try {
-            const response = await axios.get(`${BASE_URL}/api/smart-mirror/vacation`);
-            if (response.data.success === false && response.data.error.includes('not enabled')) {
+            const response = await axios.get(`${BASE_URL}/api/smart-mirror/vacation`, { validateStatus: () => true });
+            if (response.status === 409 && response.data.code === 'WIDGET_DISABLED') {
                 logSuccess('Vacation endpoint correctly returns disabled state');
             } else {
                 logError('Vacation endpoint should be disabled by default');
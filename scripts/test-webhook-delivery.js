@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.SECRETS_MASTER_KEY = 'test-key-for-unit-tests';
+
+const repoRoot = path.join(__dirname, '..');
+const webhooks = require(path.join(repoRoot, 'modules', 'webhooks.js'));
+const eventBus = require(path.join(repoRoot, 'modules', 'event-bus.js'));
+
+function cleanup(targetPath) {
+  if (fs.existsSync(targetPath)) {
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+}
+
+function log(message) {
+  console.log(message);
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for webhook deliveries');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Receiver that answers with the queued status codes (200 once they run out)
+function startReceiver() {
+  const receiver = { requests: [], statuses: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body, receivedAt: Date.now() });
+      const status = receiver.statuses.length > 0 ? receiver.statuses.shift() : 200;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: status === 200 }));
+    });
+  });
+  return new Promise(resolve => receiver.server.listen(0, '127.0.0.1', () => {
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+    resolve(receiver);
+  }));
+}
+
+const bill = { billId: 'b1', billDate: '2026-02-05', periodStartDate: '2026-01-01', periodEndDate: '2026-01-31', totalCost: 120.3 };
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-delivery-test-'));
+  const receiver = await startReceiver();
+
+  try {
+    webhooks.init({
+      webhooks: {
+        dataFilePath: path.join(tempDir, 'webhooks-config.json.enc'),
+        deliveriesFilePath: path.join(tempDir, 'webhook-deliveries.json.enc'),
+        delivery: { maxAttempts: 3, retryBaseDelayMs: 40, timeoutMs: 2000 }
+      }
+    });
+
+    assert(/Unknown event type: house.bill.paid/.test(webhooks.saveWebhook({ name: 'HA', url: receiver.url, events: ['house.bill.paid'] }).error));
+    const created = webhooks.saveWebhook({ name: 'HA', url: receiver.url, events: ['house.bill.added', 'remote.device.offline'] });
+    assert.strictEqual(created.success, true, created.error);
+    assert(/^[0-9a-f]{64}$/.test(created.secret), 'the secret should be returned once on creation');
+    const listed = webhooks.getAllWebhooks()[0];
+    assert.strictEqual(listed.secret, undefined, 'listed webhooks should not expose the secret');
+    assert.strictEqual(listed.secretPreview, `…${created.secret.slice(-4)}`);
+    log('✅ Webhooks subscribe to known events and keep their secret hidden');
+
+    const webhookId = created.webhook.id;
+    eventBus.emit('house.bill.added', bill);
+    eventBus.emit('party.updated', { partyId: 1, name: 'Birthday', status: 'draft', action: 'created' });
+    await waitFor(() => webhooks.getDeliveryLog(webhookId).length === 1);
+    const request = receiver.requests[0];
+    assert.strictEqual(receiver.requests.length, 1, 'only subscribed events should be delivered');
+    assert.strictEqual(request.headers['x-webhook-event'], 'house.bill.added');
+    assert.strictEqual(request.headers['x-webhook-signature'], webhooks.signPayload(created.secret, request.headers['x-webhook-timestamp'], request.body),
+      'the signature should be an HMAC of the timestamp and raw body');
+    assert.deepStrictEqual(JSON.parse(request.body).payload, bill);
+    const delivered = webhooks.getDeliveryLog(webhookId)[0];
+    assert.strictEqual(delivered.status, 'delivered');
+    assert.strictEqual(delivered.statusCode, 200);
+    assert.strictEqual(delivered.responseBody, '{"ok":true}');
+    assert(Number.isInteger(delivered.latencyMs), 'latency should be recorded');
+    log('✅ Subscribed events are delivered with an HMAC signature and logged');
+
+    receiver.requests = [];
+    receiver.statuses = [503, 500];
+    eventBus.emit('remote.device.offline', { deviceId: 'pi', name: 'Kitchen Pi', lastSeen: '2026-01-01T00:00:00.000Z' });
+    await waitFor(() => webhooks.getDeliveryLog(webhookId)[0].status === 'delivered' && receiver.requests.length === 3);
+    assert.deepStrictEqual(webhooks.getDeliveryLog(webhookId, 3).map(entry => `${entry.attempt}:${entry.status}:${entry.statusCode}`),
+      ['3:delivered:200', '2:retrying:500', '1:retrying:503']);
+    const [first, second, third] = receiver.requests.map(entry => entry.receivedAt);
+    assert(second - first >= 35 && third - second >= 75, 'the retry delay should double');
+    assert.strictEqual(new Set(receiver.requests.map(entry => entry.headers['x-webhook-delivery'])).size, 1, 'retries keep the delivery id');
+    log('✅ Failed deliveries are retried with exponential backoff');
+
+    receiver.requests = [];
+    receiver.statuses = [500, 500, 500];
+    eventBus.emit('house.bill.added', bill);
+    await waitFor(() => webhooks.getDeadLetters().length === 1);
+    assert.strictEqual(receiver.requests.length, 3, 'a delivery should stop after maxAttempts');
+    const letter = webhooks.getDeadLetters(webhookId)[0];
+    assert.strictEqual(letter.attempts, 3);
+    assert.strictEqual(letter.lastStatusCode, 500);
+    const retried = await webhooks.retryDeadLetter(letter.id);
+    assert.strictEqual(retried.success, true, 'a dead letter can be delivered again');
+    assert.strictEqual(webhooks.getDeadLetters().length, 0, 'delivered dead letters should be removed');
+
+    receiver.requests = [];
+    receiver.statuses = [400];
+    eventBus.emit('house.bill.added', bill);
+    await waitFor(() => webhooks.getDeadLetters().length === 1);
+    assert.strictEqual(receiver.requests.length, 1, 'client errors should not be retried');
+    assert.strictEqual(webhooks.discardDeadLetter(webhooks.getDeadLetters()[0].id).success, true);
+    assert.strictEqual(webhooks.getDeadLetters().length, 0);
+    log('✅ Exhausted deliveries go to the dead letters, which can be retried or discarded');
+
+    receiver.statuses = [500];
+    const manual = await webhooks.triggerWebhook(webhookId, { note: 'by hand' });
+    assert.strictEqual(manual.success, false, 'manual triggers report failures directly');
+    assert.strictEqual(webhooks.getDeliveryLog(webhookId)[0].event, 'manual');
+    assert.strictEqual(webhooks.getDeadLetters().length, 0, 'manual triggers are not retried');
+    const rotated = webhooks.rotateWebhookSecret(webhookId);
+    assert.strictEqual((await webhooks.triggerWebhook(webhookId)).success, true);
+    const lastRequest = receiver.requests[receiver.requests.length - 1];
+    assert.strictEqual(lastRequest.headers['x-webhook-signature'], webhooks.signPayload(rotated.secret, lastRequest.headers['x-webhook-timestamp'], lastRequest.body),
+      'requests should be signed with the new secret after rotation');
+    assert.strictEqual(webhooks.deleteWebhook(webhookId).success, true);
+    assert.deepStrictEqual(webhooks.getDeliveryLog(webhookId), [], 'deleting a webhook removes its delivery log');
+    log('✅ Manual triggers, secret rotation and deletion');
+
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      const flaky = webhooks.saveWebhook({ name: 'Flaky', url: receiver.url, events: ['house.bill.added'] });
+      const sentBefore = receiver.requests.length;
+      receiver.statuses = [500];
+      eventBus.emit('house.bill.added', bill);
+      await waitFor(() => receiver.requests.length > sentBefore);
+      await waitFor(() => webhooks.getDeliveryLog(flaky.webhook.id).some(entry => entry.status === 'retrying'));
+      fs.writeFileSync(path.join(tempDir, 'webhooks-config.json.enc'), 'not an encrypted file');
+      await new Promise(resolve => setTimeout(resolve, 150));
+      eventBus.emit('house.bill.added', bill);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.strictEqual(receiver.requests.length, sentBefore + 1, 'nothing is sent while the webhooks file cannot be read');
+      assert.deepStrictEqual(unhandled, [], 'an unreadable webhooks file should not cause unhandled rejections');
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+    log('✅ An unreadable webhooks file drops deliveries without crashing');
+  } finally {
+    webhooks.stopRetries();
+    receiver.server.close();
+    cleanup(tempDir);
+  }
+}
+
+run().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
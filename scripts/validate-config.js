@@ -161,7 +161,9 @@ if (config && !needsRepair) {
   
   // Check server admin credentials
   if (config.server && config.server.admin) {
-    if (!config.server.admin.username || !config.server.admin.password) {
+    // After the upgrade to admin accounts the password lives hashed in config/admin-users.json
+    const migrated = config.server.admin.migratedToUserAccounts === true;
+    if (!config.server.admin.username || (!migrated && !config.server.admin.password)) {
       issues.push('Missing admin username or password');
     }
   }
@@ -4,12 +4,23 @@ const bodyParser = require('body-parser');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const os = require('os');
 const multer = require('multer');
 const { execSync } = require('child_process');
 const axios = require('axios');
-const cron = require('node-cron');
 const logger = require('./modules/logger');
-const { formatFileSystemError, logError, createErrorResponse } = require('./modules/error-helper');
+const logStore = require('./modules/log-store');
+const liveEvents = require('./modules/live-events');
+const eventBus = require('./modules/event-bus');
+const metrics = require('./modules/metrics');
+const health = require('./modules/health');
+const jobScheduler = require('./modules/job-scheduler');
+const moduleRegistry = require('./modules/module-registry');
+const auditLog = require('./modules/audit-log');
+const openapi = require('./modules/openapi');
+const { formatFileSystemError, logError, createErrorResponse, statusForCode, sendError, sendResult, errorResponses, apiNotFoundHandler, errorHandler } = require('./modules/error-helper');
+const { NOT_WRITABLE_ERRNOS } = require('./modules/error-codes');
+const requestContext = require('./modules/request-context');
 const vidiots = require('./modules/vidiots');
 const espresso = require('./modules/espresso');
 const githubUpload = require('./modules/github-upload');
@@ -17,13 +28,24 @@ const finance = require('./modules/finance');
 const OllamaIntegration = require('./modules/ollama');
 const backup = require('./modules/backup');
 const sftp = require('./modules/sftp');
+const backupScheduler = require('./modules/backup-scheduler');
 const smartMirror = require('./modules/smartmirror');
+const smartMirrorPush = require('./modules/smart-mirror-push');
+const smartMirrorPlugins = require('./modules/smart-mirror-plugins');
 const publicFilesRegenerator = require('./modules/public-files-regenerator');
 const webhooks = require('./modules/webhooks');
+const inboundHooks = require('./modules/inbound-hooks');
 const house = require('./modules/house');
 const aviationstack = require('./modules/aviationstack');
 const flightScheduler = require('./modules/flight-scheduler');
 const remoteMgmt = require('./modules/remote-management');
+const adminUsers = require('./modules/admin-users');
+const totp = require('./modules/totp');
+const apiTokens = require('./modules/api-tokens');
+const sessionStoreModule = require('./modules/session-store');
+const dataStore = require('./modules/storage');
+const migrations = require('./modules/migrations');
+const secrets = require('./modules/secrets');
 const rateLimit = require('express-rate-limit');
 
 const app = express();
@@ -661,10 +683,10 @@ const defaultConfig = {
   }
 };
 
-// Function to safely create config file
+// Function to safely create config file (atomic write-rename via the storage layer)
 function createConfigFile(configPath, config) {
   try {
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    dataStore.writeFileAtomic(configPath, JSON.stringify(config, null, 2));
     return true;
   } catch (err) {
     console.warn('Cannot write config file:', err.message);
@@ -799,6 +821,42 @@ function validateAndRepairConfig(config) {
   return { config: repairedConfig, needsRepair };
 }
 
+// Ordered schema migrations for config.json (run by modules/migrations.js at startup).
+// Add new steps at the end with the next version number; never renumber.
+const CONFIG_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add missing sections and defaults',
+    up: data => validateAndRepairConfig(data).config
+  },
+  {
+    version: 2,
+    description: 'Move single party scheduling into the parties list',
+    up: data => {
+      if (Array.isArray(data.parties)) {
+        return data;
+      }
+      data.parties = [];
+      if (data.partyScheduling) {
+        // The old single-party data is kept for backward compatibility
+        data.parties.push({
+          id: Date.now() * 1000,
+          name: 'My Party',
+          status: 'scheduled', // draft, scheduled, archived
+          dateTime: data.partyScheduling.dateTime || { date: '', startTime: '', endTime: '' },
+          invitees: data.partyScheduling.invitees || [],
+          menu: data.partyScheduling.menu || [],
+          tasks: data.partyScheduling.tasks || [],
+          events: data.partyScheduling.events || [],
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        });
+      }
+      return data;
+    }
+  }
+];
+
 // Load configuration with fallback to default
 let config = {};
 let configWritable = false;
@@ -816,37 +874,42 @@ try {
   
   // Check if config directory is writable
   configWritable = isDirectoryWritable(configDir);
+
+  // Keep logs across restarts in config/logs (entries logged so far are written first)
+  try {
+    logger.init({
+      dir: process.env.LOG_DIR || path.join(configDir, 'logs'),
+      maxFileBytes: (Number(process.env.LOG_MAX_FILE_MB) || 5) * 1024 * 1024,
+      maxFiles: Number(process.env.LOG_MAX_FILES) || 20,
+      maxAgeDays: Number(process.env.LOG_RETENTION_DAYS) || 14
+    });
+  } catch (err) {
+    console.warn('Cannot write log files, keeping logs in memory only:', err.message);
+  }
   
   if (fs.existsSync(configPath)) {
     config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
     console.log('Loaded configuration from config/config.json');
     logger.success(logger.categories.SYSTEM, 'Configuration loaded from config/config.json');
     
-    // Validate and repair configuration
-    const validation = validateAndRepairConfig(config);
-    if (validation.needsRepair) {
-      console.log('Configuration validation found issues, applying repairs...');
-      logger.warning(logger.categories.SYSTEM, 'Configuration validation found issues, applying repairs');
-      config = validation.config;
-      
-      if (configWritable) {
-        if (createConfigFile(configPath, config)) {
-          console.log('Repaired configuration saved to file');
-          logger.success(logger.categories.SYSTEM, 'Repaired configuration saved to file');
-        } else {
-          console.warn('Could not save repaired configuration, using in-memory repairs');
-          logger.warning(logger.categories.SYSTEM, 'Could not save repaired configuration, using in-memory repairs');
-        }
+    // Apply pending schema migrations (the file is backed up first)
+    const migration = migrations.runMigrations('config.json', config, CONFIG_MIGRATIONS, { filePath: configPath });
+    config = migration.data;
+    if (migration.changed) {
+      if (!configWritable) {
+        console.warn('Config directory not writable, migrations applied in-memory only');
+        logger.warning(logger.categories.SYSTEM, 'Config directory not writable, migrations applied in-memory only');
+      } else if (migration.persist && createConfigFile(configPath, config)) {
+        logger.success(logger.categories.SYSTEM, `Migrated configuration saved to file (schema v${migration.toVersion})`);
       } else {
-        console.warn('Config directory not writable, repairs applied in-memory only');
-        logger.warning(logger.categories.SYSTEM, 'Config directory not writable, repairs applied in-memory only');
+        console.warn('Could not save migrated configuration, using in-memory upgrade');
+        logger.warning(logger.categories.SYSTEM, 'Could not save migrated configuration, using in-memory upgrade');
       }
     } else {
-      console.log('Configuration validation passed');
-      logger.info(logger.categories.SYSTEM, 'Configuration validation passed');
+      logger.info(logger.categories.SYSTEM, `Configuration schema is up to date (v${migration.toVersion})`);
     }
   } else {
-    config = defaultConfig;
+    config = migrations.runMigrations('config.json', defaultConfig, CONFIG_MIGRATIONS).data;
     if (configWritable) {
       if (createConfigFile(configPath, defaultConfig)) {
         console.log('Created default configuration file');
@@ -859,11 +922,7 @@ try {
   }
 } catch (err) {
   console.error('Error loading config, using defaults:', err);
-  config = defaultConfig;
-  
-  // Even with defaults, validate to ensure consistency
-  const validation = validateAndRepairConfig(config);
-  config = validation.config;
+  config = migrations.runMigrations('config.json', defaultConfig, CONFIG_MIGRATIONS).data;
   
   // Try to create config file only if directory is writable
   if (configWritable) {
@@ -879,6 +938,41 @@ try {
 
 const PORT = config.server.port || 3000;
 
+dataStore.init(config);
+// Transactional updates of config.json collections (parties, tournaments, drink mixer, links, devices)
+const configStore = dataStore.createConfigStore({ getConfig: () => config, filePath: configPath });
+
+// Optional modules that can be switched off; the modules below check it when registering jobs
+moduleRegistry.init({
+  getConfig: () => config,
+  configStore,
+  listRoutePaths: () => openapi.listRoutes(app).map(route => route.path)
+});
+
+// Audit trail of API changes; the data modules register their own collections
+auditLog.init(config);
+[
+  { type: 'party', label: 'Parties', section: 'parties', routes: ['/admin/api/parties'] },
+  { type: 'tournament', label: 'Tournaments', section: 'tournaments', routes: ['/admin/api/tournaments', '/api/tournaments'] },
+  { type: 'drink-alcohol', label: 'Drink mixer alcohols', section: 'drinkMixer', key: 'alcohols', routes: ['/admin/api/drink-mixer/alcohols'] },
+  { type: 'drink-mixer', label: 'Drink mixer mixers', section: 'drinkMixer', key: 'mixers', routes: ['/admin/api/drink-mixer/mixers'] },
+  { type: 'drink-recipe', label: 'Drink recipes', section: 'drinkMixer', key: 'recipes', routes: ['/admin/api/drink-mixer/recipes'] },
+  { type: 'useful-link', label: 'Useful links', section: 'usefulLinks', routes: ['/admin/api/links'] }
+].forEach(({ section, key, ...collection }) => auditLog.registerCollection({
+  ...collection,
+  read: () => (key ? config[section]?.[key] : config[section]) || [],
+  write: items => configStore.transaction(section, draft => {
+    if (key) {
+      draft[key] = items;
+    } else {
+      draft.splice(0, draft.length, ...items);
+    }
+  }, { defaultValue: key ? {} : [] })
+}));
+
+// Job registry used by the modules below for their scheduled and deferred work
+jobScheduler.init(config);
+
 // Initialize vidiots module
 vidiots.init(config);
 
@@ -888,18 +982,46 @@ espresso.init(config);
 // Initialize finance module
 finance.init(config);
 
+// Load smart mirror widget plugins before the config, which includes their widgets
+smartMirrorPlugins.loadPlugins();
+
 // Initialize Smart Mirror module
 smartMirror.init(config);
 
+// Push smart mirror data to connected mirrors over WebSocket instead of per-widget polling
+smartMirrorPush.init({
+  baseUrl: `http://127.0.0.1:${PORT}`,
+  getPublicConfig: (orientation, profile) => smartMirror.getPublicConfig(orientation, profile),
+  isWidgetEnabled: (widget, profile) => smartMirror.getProfileConfig(profile)?.widgets?.[widget]?.enabled === true
+});
+smartMirrorPlugins.getPushSources().forEach(source => smartMirrorPush.registerSource(source));
+
 // Initialize public files regenerator module
 publicFilesRegenerator.init(config);
 
 // Initialize house module
 house.init(config);
 
+// Initialize admin user accounts (upgrades the legacy single admin login on first run)
+adminUsers.init(config);
+apiTokens.init(config);
+migrateLegacyAdminLogin();
+
+// Deliver event bus events to subscribed webhooks
+webhooks.init(config);
+inboundHooks.init(config);
+
 // Initialize flight scheduler
 flightScheduler.initScheduler();
 
+// Register a module's jobs again when it is switched on or off (they are disabled while it is off)
+moduleRegistry.onToggle('vidiots', () => vidiots.startCronJob());
+moduleRegistry.onToggle('espresso', () => espresso.registerGenerationJob());
+moduleRegistry.onToggle('flight-tracking', () => flightScheduler.initScheduler());
+
+// Scheduled SFTP backups (settings are stored with the SFTP connection)
+backupScheduler.init({ getConfig: () => config });
+
 // Sync the AviationStack monthly API call limit from the saved configuration so that
 // the in-memory counter reflects whatever the admin has configured
 aviationstack.setMonthlyLimit(config.flightApi?.monthlyLimit || 100);
@@ -907,6 +1029,9 @@ aviationstack.setMonthlyLimit(config.flightApi?.monthlyLimit || 100);
 // Initialize Ollama integration module
 const ollama = new OllamaIntegration(configDir);
 
+// Every encrypted store is registered by now; warn about any still using a default key
+secrets.logStartupWarnings();
+
 // Automatic repository sync on startup
 // This ensures repositories are cloned or pulled when GitHub Pages upload is enabled
 async function syncRepositoriesOnStartup() {
@@ -914,7 +1039,7 @@ async function syncRepositoriesOnStartup() {
     console.log('\n🔄 Checking for GitHub Pages repositories to sync on startup...');
     
     // Sync Vidiots repository if GitHub Pages is enabled
-    if (config.vidiots?.githubPages?.enabled) {
+    if (config.vidiots?.githubPages?.enabled && moduleRegistry.isEnabled('vidiots')) {
       console.log('📥 [Vidiots] GitHub Pages enabled, syncing repository...');
       const vidiotsResult = await vidiots.githubUpload.cloneOrPullRepository(config.vidiots.githubPages);
       
@@ -930,7 +1055,7 @@ async function syncRepositoriesOnStartup() {
     }
     
     // Sync Espresso repository if GitHub Pages is enabled
-    if (config.espresso?.githubPages?.enabled) {
+    if (config.espresso?.githubPages?.enabled && moduleRegistry.isEnabled('espresso')) {
       console.log('📥 [Espresso] GitHub Pages enabled, syncing repository...');
       const espressoResult = await espresso.githubUpload.cloneOrPullRepository(config.espresso.githubPages);
       
@@ -973,78 +1098,187 @@ upload = multer({
   }
 });
 
-// Session configuration
+// Session configuration – sessions are persisted under config/ so logins survive restarts
+const sessionStore = sessionStoreModule.createSessionStore(session, {
+  filePath: config.sessions?.dataFilePath || path.join(configDir, 'sessions.json')
+});
+
 const sessionConfig = {
-  secret: process.env.SESSION_SECRET || config.server.sessionSecret || 'local-server-secret-' + Date.now(),
+  secret: process.env.SESSION_SECRET || config.server.sessionSecret ||
+    sessionStoreModule.loadOrCreateSecret(path.join(configDir, '.session-secret')) ||
+    'local-server-secret-' + Date.now(),
+  store: sessionStore,
   resave: false,
   saveUninitialized: false,
   cookie: { 
     secure: false,
     sameSite: 'lax',
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+    maxAge: sessionStoreModule.getLifetimeHours(config) * 60 * 60 * 1000
   }
 };
 
-// Control session store warnings based on environment and preference
-const isProduction = process.env.NODE_ENV === 'production';
-const suppressWarnings = process.env.SUPPRESS_SESSION_WARNINGS === 'true';
-
-// Suppress express-session MemoryStore warning unless explicitly in production without suppression
-if (!isProduction || suppressWarnings) {
-  // Temporarily capture stderr to suppress the express-session warning
-  const originalStderrWrite = process.stderr.write;
-  process.stderr.write = function(chunk, encoding, callback) {
-    if (typeof chunk === 'string' && chunk.includes('Warning: connect.session() MemoryStore is not')) {
-      // Skip this warning in development or when suppressed
-      return true;
-    }
-    return originalStderrWrite.apply(process.stderr, arguments);
-  };
-  
-  // Restore stderr after a short delay to allow session middleware setup
-  setTimeout(() => {
-    process.stderr.write = originalStderrWrite;
-  }, 100);
-}
+// Middleware
+// Correlation ID for every request (X-Request-Id), added to log entries and
+// error responses; error responses are completed with a code and hint
+app.use(requestContext.middleware());
+app.use(errorResponses());
 
-if (isProduction && !suppressWarnings) {
-  console.log('INFO: Using in-memory session store. For production with multiple instances, consider using a persistent session store like Redis.');
-}
+// Request counts and latency per route, and external API call counts, for GET /metrics
+app.use(metrics.httpMiddleware());
+metrics.instrumentAxios(axios);
 
-// Middleware
-app.use(bodyParser.json());
+// Raised from the 100kb default so full JSON backups can be previewed and imported
+app.use(bodyParser.json({ limit: '25mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
+app.use(session(sessionConfig));
+
+// Remember where a signed-in session came from for Settings → 👥 Users → Active Sessions
+app.use((req, res, next) => {
+  if (req.session && !req.session.clientInfo && describeSessionKinds(req.session).length > 0) {
+    req.session.clientInfo = {
+      ip: req.ip,
+      userAgent: String(req.get('user-agent') || '').slice(0, 200),
+      signedInAt: new Date().toISOString()
+    };
+  }
+  next();
+});
 
-// Apply stderr suppression for session middleware if needed
-if (isProduction && !suppressWarnings) {
-  const originalStderrWrite = process.stderr.write;
-  process.stderr.write = function(chunk, encoding, callback) {
-    if (typeof chunk === 'string' && chunk.includes('Warning: connect.session() MemoryStore is not')) {
-      // In production, replace with our own more concise warning
-      console.log('INFO: Session store using memory (not recommended for production clusters)');
-      return true;
-    }
-    return originalStderrWrite.apply(process.stderr, arguments);
+// Routes of disabled modules answer 404 (see modules/module-registry.js)
+app.use(moduleRegistry.routeGuard());
+
+// Record who changed what through the API (see modules/audit-log.js)
+app.use(auditLog.middleware());
+
+// Static files for public web content (except those of disabled modules)
+app.use(moduleRegistry.publicFilesGuard());
+app.use('/public', express.static(path.join(__dirname, 'public')));
+
+// Session id used when no admin accounts could be created (e.g. read-only config
+// directory) and the legacy config.server.admin login is still in effect
+const LEGACY_ADMIN_USER_ID = 'legacy-admin';
+
+function getLegacyAdminUser() {
+  return {
+    id: LEGACY_ADMIN_USER_ID,
+    username: config.server.admin.username,
+    role: 'owner',
+    isDefaultPassword: config.server.admin.password === 'admin123'
   };
-  
-  app.use(session(sessionConfig));
-  
-  // Restore stderr after session setup
-  setTimeout(() => {
-    process.stderr.write = originalStderrWrite;
-  }, 50);
-} else {
-  app.use(session(sessionConfig));
 }
 
-// Static files for public web content
-app.use('/public', express.static(path.join(__dirname, 'public')));
+// Upgrade path from the single plaintext config.server.admin login to hashed
+// admin accounts. Runs once: after the owner account exists the plaintext
+// password is removed from config.json.
+function migrateLegacyAdminLogin() {
+  const result = adminUsers.migrateLegacyAdmin(config.server.admin, hashPassword);
+  if (!result.success) {
+    logger.error(logger.categories.SYSTEM, `Could not create admin accounts from legacy login: ${result.error}`);
+    return;
+  }
+  if (!result.migrated) {
+    return;
+  }
+
+  logger.success(logger.categories.SYSTEM, `Created owner account "${result.user.username}" from legacy admin login`);
+  config.server.admin.password = '';
+  config.server.admin.migratedToUserAccounts = true;
+  if (!configWritable || !createConfigFile(configPath, config)) {
+    logger.warning(logger.categories.SYSTEM, 'Could not remove legacy admin password from config.json');
+  }
+}
+
+// Look up the admin account behind a session; returns null when it no longer exists
+function resolveSessionAdminUser(session) {
+  if (!session.authenticated || !session.adminUserId) {
+    return null;
+  }
+  if (session.adminUserId === LEGACY_ADMIN_USER_ID) {
+    return adminUsers.hasUsers() ? null : getLegacyAdminUser();
+  }
+  return adminUsers.getUserById(session.adminUserId);
+}
+
+// Check admin credentials; returns the account on success, otherwise null
+function authenticateAdminUser(username, password) {
+  if (!adminUsers.hasUsers()) {
+    const legacyAdmin = config.server.admin;
+    const legacyMatch = Boolean(legacyAdmin.password) &&
+      username === legacyAdmin.username && password === legacyAdmin.password;
+    return legacyMatch ? getLegacyAdminUser() : null;
+  }
+
+  const adminUser = adminUsers.getUserByUsername(username);
+  if (!adminUser || typeof password !== 'string' || !verifyPassword(password, adminUser.passwordHash)) {
+    return null;
+  }
+  if (!adminUser.twoFactor?.enabled) {
+    adminUsers.recordLogin(adminUser.id);
+  }
+  return adminUser;
+}
 
 // Authentication middleware
+// Requires an admin session and checks the account's role against the /admin/api/* area
+// Bearer token auth for scripts: token must be valid, its scopes must cover the
+// request, and the admin account that issued it must still be allowed as well.
+function authenticateApiToken(req, res, next) {
+  const plainToken = req.get('Authorization').slice('Bearer '.length).trim();
+  const token = apiTokens.authenticate(plainToken, { ip: req.ip });
+  const issuer = token ? adminUsers.getUserById(token.createdBy?.id) : null;
+  if (!token || !issuer) {
+    logger.warning(logger.categories.SYSTEM, `Rejected API token for ${req.method} ${req.path} from ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired API token',
+      code: 'UNAUTHORIZED'
+    });
+  }
+
+  if (!apiTokens.hasScope(token, req.path, req.method) ||
+      !adminUsers.canAccess(issuer.role, req.path, req.method)) {
+    const required = apiTokens.getRequiredScope(req.path, req.method);
+    logger.warning(logger.categories.SYSTEM, `API token "${token.name}" lacks scope for ${req.method} ${req.path}`);
+    return res.status(403).json({
+      success: false,
+      error: required && !adminUsers.isRestrictedArea(required.area)
+        ? `This API token needs the ${required.area}:${required.level} scope`
+        : 'API tokens cannot be used for this endpoint',
+      code: 'INSUFFICIENT_SCOPE'
+    });
+  }
+
+  req.adminUser = issuer;
+  req.apiToken = token;
+  auditLog.snapshotBefore(req);
+  next();
+}
+
 const requireAuth = (req, res, next) => {
-  if (req.session.authenticated) {
+  if (req.get('Authorization')?.startsWith('Bearer ')) {
+    return authenticateApiToken(req, res, next);
+  }
+
+  const adminUser = resolveSessionAdminUser(req.session);
+  if (adminUser) {
+    if (!adminUsers.canAccess(adminUser.role, req.path, req.method)) {
+      logger.warning(logger.categories.SYSTEM, `Access denied for ${adminUser.username} (${adminUser.role}): ${req.method} ${req.path}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Your account does not have access to this area',
+        code: 'FORBIDDEN'
+      });
+    }
+    req.adminUser = adminUser;
+    auditLog.snapshotBefore(req);
     next();
   } else {
+    // Session belonged to an account that was deleted
+    if (req.session.authenticated) {
+      delete req.session.authenticated;
+      delete req.session.adminUserId;
+    }
+
     // Check if this is an API request that expects JSON
     if (req.path.startsWith('/admin/api/') || 
         req.get('Accept')?.includes('application/json') ||
@@ -1072,35 +1306,144 @@ app.get('/admin/login', (req, res) => {
 
 // API to check if default credentials are still in use (public endpoint)
 app.get('/admin/api/default-credentials-status', (req, res) => {
-  const isDefaultPassword = config.server.admin.password === 'admin123';
-  const isDefaultUsername = config.server.admin.username === 'admin';
+  if (!adminUsers.hasUsers()) {
+    const legacyAdmin = getLegacyAdminUser();
+    return res.json({
+      showDefaultCredentials: legacyAdmin.isDefaultPassword && legacyAdmin.username === 'admin'
+    });
+  }
+  const defaultAdmin = adminUsers.getUserByUsername('admin');
   res.json({
-    showDefaultCredentials: isDefaultPassword && isDefaultUsername
+    showDefaultCredentials: Boolean(defaultAdmin && defaultAdmin.isDefaultPassword)
   });
 });
 
-// Admin login POST
-app.post('/admin/login', (req, res) => {
-  const { username, password } = req.body;
-  
-  if (username === config.server.admin.username && password === config.server.admin.password) {
+// How long a password-verified login may wait for its two-factor code
+const TWO_FACTOR_PENDING_TTL_MS = 5 * 60 * 1000;
+
+// Limit guesses at 6-digit two-factor codes (admin console and medication portal)
+const twoFactorRateLimit = rateLimit({
+  windowMs: 5 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many two-factor attempts – please wait and retry' },
+  handler: (req, res, next, options) => {
+    logger.warning(logger.categories.SYSTEM, `Two-factor rate limit exceeded for IP ${req.ip} on ${req.path}`);
+    if (req.path === '/admin/login/2fa') {
+      return res.redirect('/admin/login?step=2fa&error=rate');
+    }
+    res.status(options.statusCode).json(options.message);
+  }
+});
+
+// Sign the admin in on a new session ID (prevents session fixation) and go to the dashboard
+function completeAdminLogin(req, res, adminUser) {
+  req.session.regenerate(err => {
+    if (err) {
+      logger.error(logger.categories.SYSTEM, `Could not start a session for ${adminUser.username}: ${err.message}`);
+      return res.redirect('/admin/login?error=1');
+    }
     req.session.authenticated = true;
+    req.session.adminUserId = adminUser.id;
+    req.session.adminUsername = adminUser.username;
     // Check if using default password
-    req.session.isDefaultPassword = (password === 'admin123');
-    logger.success(logger.categories.SYSTEM, `Admin login successful for user: ${username}`);
-    if (password === 'admin123') {
+    req.session.isDefaultPassword = adminUser.isDefaultPassword === true;
+    logger.success(logger.categories.SYSTEM, `Admin login successful for user: ${adminUser.username} (${adminUser.role})`);
+    if (adminUser.isDefaultPassword) {
       logger.warning(logger.categories.SYSTEM, 'Admin is using default password - security risk!');
     }
     res.redirect('/admin');
+  });
+}
+
+/**
+ * Check a second-factor entry for a stored account, then burn the recovery code
+ * or record the TOTP step that was used so neither can be replayed.
+ * A correct code is refused when that cannot be saved, as it could be used again.
+ * @param {Object} account - record with a twoFactor section
+ * @param {Function} saveTwoFactor - persists { recoveryCodeHashes } or { lastUsedStep }; returns { success, error }
+ * @returns {{valid: boolean, saveError?: string, usedRecoveryCode: boolean, recoveryCodesRemaining: number}}
+ */
+function verifyAccountSecondFactor(account, code, saveTwoFactor) {
+  const result = totp.verifySecondFactor(account.twoFactor, code);
+  let saveError;
+  if (result.valid) {
+    const saved = saveTwoFactor(result.usedRecoveryCode
+      ? { recoveryCodeHashes: result.remainingHashes }
+      : { lastUsedStep: result.step });
+    if (!saved || !saved.success) {
+      saveError = saved?.error || 'Failed to save two-factor state';
+    }
+  }
+  return {
+    valid: result.valid && !saveError,
+    saveError,
+    usedRecoveryCode: result.usedRecoveryCode,
+    recoveryCodesRemaining: result.remainingHashes.length
+  };
+}
+
+// Admin login POST
+app.post('/admin/login', (req, res) => {
+  const { username, password } = req.body;
+  const adminUser = authenticateAdminUser(username, password);
+  
+  if (adminUser) {
+    if (adminUser.twoFactor?.enabled) {
+      // Password is correct; hold the login until the TOTP or recovery code is confirmed
+      req.session.pendingAdminTwoFactor = {
+        userId: adminUser.id,
+        expiresAt: Date.now() + TWO_FACTOR_PENDING_TTL_MS
+      };
+      logger.info(logger.categories.SYSTEM, `Password accepted for ${adminUser.username}, waiting for two-factor code`);
+      return res.redirect('/admin/login?step=2fa');
+    }
+    completeAdminLogin(req, res, adminUser);
   } else {
     logger.warning(logger.categories.SYSTEM, `Failed login attempt for user: ${username}`);
     res.redirect('/admin/login?error=1');
   }
 });
 
+// Admin login – second step (TOTP or recovery code)
+app.post('/admin/login/2fa', twoFactorRateLimit, (req, res) => {
+  const pending = req.session.pendingAdminTwoFactor;
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.pendingAdminTwoFactor;
+    return res.redirect('/admin/login?error=expired');
+  }
+
+  const adminUser = adminUsers.getUserById(pending.userId);
+  if (!adminUser || !adminUser.twoFactor?.enabled) {
+    delete req.session.pendingAdminTwoFactor;
+    return res.redirect('/admin/login?error=expired');
+  }
+
+  const check = verifyAccountSecondFactor(adminUser, req.body.code,
+    updates => (updates.recoveryCodeHashes
+      ? adminUsers.setRecoveryCodeHashes(adminUser.id, updates.recoveryCodeHashes)
+      : adminUsers.recordTwoFactorStep(adminUser.id, updates.lastUsedStep)));
+  if (check.saveError) {
+    logger.error(logger.categories.SYSTEM, `Two-factor code for admin user ${adminUser.username} refused, it could not be recorded: ${check.saveError}`);
+    return res.redirect('/admin/login?step=2fa&error=save');
+  }
+  if (!check.valid) {
+    logger.warning(logger.categories.SYSTEM, `Invalid two-factor code for admin user: ${adminUser.username}`);
+    return res.redirect('/admin/login?step=2fa&error=code');
+  }
+
+  delete req.session.pendingAdminTwoFactor;
+  if (check.usedRecoveryCode) {
+    logger.warning(logger.categories.SYSTEM, `Admin user ${adminUser.username} signed in with a recovery code (${check.recoveryCodesRemaining} left)`);
+  }
+  adminUsers.recordLogin(adminUser.id);
+  completeAdminLogin(req, res, adminUser);
+});
+
 // Admin logout
 app.post('/admin/logout', (req, res) => {
-  logger.info(logger.categories.SYSTEM, 'Admin logged out');
+  logger.info(logger.categories.SYSTEM, `Admin logged out: ${req.session.adminUsername || 'unknown'}`);
   req.session.destroy();
   res.redirect('/admin/login');
 });
@@ -1136,6 +1479,7 @@ const requireClientAuth = (req, res, next) => {
   
   req.deviceId = deviceId;
   req.device = device;
+  auditLog.snapshotBefore(req);
   next();
 };
 
@@ -1145,6 +1489,7 @@ const requireMedicationPortalAuth = (req, res, next) => {
     const portalUser = house.getMedicationPortalUserById(medicationPortalUserId);
     if (portalUser) {
       req.medicationPortalUser = portalUser;
+      auditLog.snapshotBefore(req);
       return next();
     }
     delete req.session.medicationPortalUserId;
@@ -1169,7 +1514,8 @@ function serializeMedicationPortalUser(portalUser) {
   return {
     id: portalUser.id,
     username: portalUser.username,
-    createdAt: portalUser.createdAt
+    createdAt: portalUser.createdAt,
+    twoFactorEnabled: portalUser.twoFactor?.enabled === true
   };
 }
 
@@ -1261,6 +1607,22 @@ app.get('/admin/webhooks', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'admin', 'webhooks.html'));
 });
 
+app.get('/admin/inbound-hooks', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin', 'inbound-hooks.html'));
+});
+
+app.get('/admin/jobs', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin', 'jobs.html'));
+});
+
+app.get('/admin/audit', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin', 'audit.html'));
+});
+
+app.get('/admin/api-explorer', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin', 'api-explorer.html'));
+});
+
 app.get('/medications', (req, res) => {
   ensureMedicationPortalCsrfToken(req);
   res.sendFile(path.join(__dirname, 'public', 'medications.html'));
@@ -1281,7 +1643,7 @@ app.get('/medications/api/session', (req, res) => {
   });
 });
 
-app.post('/medications/api/register', requireMedicationPortalCsrf, (req, res) => {
+app.post('/medications/api/register', requireMedicationPortalCsrf, openapi.validateBody('MedicationPortalCredentials'), (req, res, next) => {
   const username = String(req.body?.username || '').trim();
   const password = typeof req.body?.password === 'string' ? req.body.password : '';
 
@@ -1316,11 +1678,17 @@ app.post('/medications/api/register', requireMedicationPortalCsrf, (req, res) =>
       csrfToken: issueMedicationPortalCsrfToken(req)
     });
   } catch (err) {
-    return res.status(500).json({ success: false, error: 'Failed to create medication portal account: ' + err.message });
+    return next(err);
   }
 });
 
-app.post('/medications/api/login', requireMedicationPortalCsrf, (req, res) => {
+function completeMedicationPortalLogin(req, portalUser) {
+  req.session.medicationPortalUserId = portalUser.id;
+  req.session.medicationPortalUsername = portalUser.username;
+  logger.success(logger.categories.SYSTEM, `Medication portal login successful for user: ${portalUser.username}`);
+}
+
+app.post('/medications/api/login', requireMedicationPortalCsrf, openapi.validateBody('MedicationPortalCredentials'), (req, res, next) => {
   const username = String(req.body?.username || '').trim();
   const password = typeof req.body?.password === 'string' ? req.body.password : '';
 
@@ -1331,17 +1699,125 @@ app.post('/medications/api/login', requireMedicationPortalCsrf, (req, res) => {
       return res.status(401).json({ success: false, error: 'Invalid username or password' });
     }
 
-    req.session.medicationPortalUserId = portalUser.id;
-    req.session.medicationPortalUsername = portalUser.username;
-    logger.success(logger.categories.SYSTEM, `Medication portal login successful for user: ${portalUser.username}`);
+    if (portalUser.twoFactor?.enabled) {
+      req.session.medicationPortalPendingTwoFactor = {
+        userId: portalUser.id,
+        expiresAt: Date.now() + TWO_FACTOR_PENDING_TTL_MS
+      };
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        csrfToken: issueMedicationPortalCsrfToken(req)
+      });
+    }
+
+    completeMedicationPortalLogin(req, portalUser);
+    return res.json({
+      success: true,
+      user: serializeMedicationPortalUser(portalUser),
+      csrfToken: issueMedicationPortalCsrfToken(req)
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Second login step for portal users with two-factor enabled (TOTP or recovery code)
+app.post('/medications/api/login/2fa', twoFactorRateLimit, requireMedicationPortalCsrf, openapi.validateBody('TwoFactorCode'), (req, res, next) => {
+  const pending = req.session.medicationPortalPendingTwoFactor;
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.medicationPortalPendingTwoFactor;
+    return res.status(401).json({ success: false, error: 'Login expired – enter your password again' });
+  }
+
+  try {
+    const portalUser = house.getMedicationPortalUserById(pending.userId);
+    if (!portalUser || !portalUser.twoFactor?.enabled) {
+      delete req.session.medicationPortalPendingTwoFactor;
+      return res.status(401).json({ success: false, error: 'Login expired – enter your password again' });
+    }
+
+    const check = verifyAccountSecondFactor(portalUser, req.body?.code,
+      updates => house.setMedicationPortalUserTwoFactor(portalUser.id, { ...portalUser.twoFactor, ...updates }));
+    if (check.saveError) {
+      logger.error(logger.categories.SYSTEM, `Two-factor code for medication portal user ${portalUser.username} refused, it could not be recorded: ${check.saveError}`);
+      return sendError(res, 'INTERNAL_ERROR', 'Your code could not be recorded. Please try again.');
+    }
+    if (!check.valid) {
+      logger.warning(logger.categories.SYSTEM, `Invalid two-factor code for medication portal user: ${portalUser.username}`);
+      return res.status(401).json({ success: false, error: 'Invalid verification code' });
+    }
+
+    delete req.session.medicationPortalPendingTwoFactor;
+    completeMedicationPortalLogin(req, portalUser);
     return res.json({
       success: true,
       user: serializeMedicationPortalUser(portalUser),
+      recoveryCodesRemaining: check.recoveryCodesRemaining,
       csrfToken: issueMedicationPortalCsrfToken(req)
     });
   } catch (err) {
-    return res.status(500).json({ success: false, error: 'Failed to log in: ' + err.message });
+    return next(err);
+  }
+});
+
+app.get('/medications/api/two-factor', requireMedicationPortalAuth, (req, res) => {
+  const twoFactor = req.medicationPortalUser.twoFactor;
+  res.json({
+    success: true,
+    enabled: twoFactor?.enabled === true,
+    recoveryCodesRemaining: twoFactor?.enabled ? (twoFactor.recoveryCodeHashes || []).length : 0
+  });
+});
+
+app.post('/medications/api/two-factor/setup', requireMedicationPortalAuth, requireMedicationPortalCsrf, async (req, res, next) => {
+  try {
+    const enrollment = await totp.createEnrollment({
+      issuer: `${TWO_FACTOR_ISSUER} Medications`,
+      accountName: req.medicationPortalUser.username
+    });
+    req.session.medicationPortalTwoFactorEnrollment = { secret: enrollment.secret, createdAt: Date.now() };
+    res.json({ success: true, ...enrollment });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/medications/api/two-factor/enable', requireMedicationPortalAuth, twoFactorRateLimit, requireMedicationPortalCsrf, openapi.validateBody('TwoFactorCode'), (req, res) => {
+  const enrollment = req.session.medicationPortalTwoFactorEnrollment;
+  if (!enrollment || Date.now() - enrollment.createdAt > 15 * 60 * 1000) {
+    return res.status(400).json({ success: false, error: 'Two-factor setup expired – start again' });
+  }
+  const step = totp.findCodeStep(enrollment.secret, req.body?.code);
+  if (step === null) {
+    return res.status(400).json({ success: false, error: 'Code did not match – check the time on your phone and try again' });
+  }
+
+  const recovery = totp.generateRecoveryCodes();
+  const result = house.setMedicationPortalUserTwoFactor(req.medicationPortalUser.id, {
+    secret: enrollment.secret,
+    recoveryCodeHashes: recovery.hashes,
+    lastUsedStep: step
+  });
+  if (!result.success) {
+    return res.status(500).json({ success: false, error: 'Failed to save two-factor settings: ' + result.error });
   }
+
+  delete req.session.medicationPortalTwoFactorEnrollment;
+  logger.success(logger.categories.SYSTEM, `Two-factor authentication enabled for medication portal user ${req.medicationPortalUser.username}`);
+  res.json({ success: true, recoveryCodes: recovery.codes });
+});
+
+app.post('/medications/api/two-factor/disable', requireMedicationPortalAuth, requireMedicationPortalCsrf, openapi.validateBody('PasswordConfirmation'), (req, res) => {
+  if (!verifyPassword(String(req.body?.password || ''), req.medicationPortalUser.passwordHash)) {
+    return res.status(401).json({ success: false, error: 'Password is incorrect' });
+  }
+  const result = house.setMedicationPortalUserTwoFactor(req.medicationPortalUser.id, null);
+  if (!result.success) {
+    return res.status(500).json({ success: false, error: 'Failed to disable two-factor: ' + result.error });
+  }
+  logger.warning(logger.categories.SYSTEM, `Two-factor authentication disabled for medication portal user ${req.medicationPortalUser.username}`);
+  res.json({ success: true });
 });
 
 app.post('/medications/api/logout', requireMedicationPortalCsrf, (req, res) => {
@@ -1351,7 +1827,7 @@ app.post('/medications/api/logout', requireMedicationPortalCsrf, (req, res) => {
   res.json({ success: true, csrfToken: issueMedicationPortalCsrfToken(req) });
 });
 
-app.get('/medications/api/dashboard', requireMedicationPortalAuth, (req, res) => {
+app.get('/medications/api/dashboard', requireMedicationPortalAuth, (req, res, next) => {
   try {
     res.json({
       success: true,
@@ -1359,11 +1835,11 @@ app.get('/medications/api/dashboard', requireMedicationPortalAuth, (req, res) =>
       ...buildMedicationPortalDashboard(req.medicationPortalUser.id)
     });
   } catch (err) {
-    res.status(500).json({ success: false, error: 'Failed to load medication dashboard: ' + err.message });
+    next(err);
   }
 });
 
-app.post('/medications/api/medications/:id/adherence', requireMedicationPortalAuth, requireMedicationPortalCsrf, (req, res) => {
+app.post('/medications/api/medications/:id/adherence', requireMedicationPortalAuth, requireMedicationPortalCsrf, openapi.validateBody('MedicationAdherence'), (req, res, next) => {
   const status = String(req.body?.status || '').trim();
   const date = String(req.body?.date || getMedicationPortalToday()).trim();
   const today = getMedicationPortalToday();
@@ -1384,25 +1860,92 @@ app.post('/medications/api/medications/:id/adherence', requireMedicationPortalAu
       record: result.record
     });
   } catch (err) {
-    return res.status(500).json({ success: false, error: 'Failed to record medication status: ' + err.message });
+    return next(err);
   }
 });
 
+// config.json fields that hold credentials. Only owners signed in to the
+// dashboard get them from GET /admin/api/config; read-only accounts and API
+// tokens get the config without them, and a POST that leaves them out keeps
+// the stored values.
+const CONFIG_CREDENTIAL_PATHS = [
+  ['server', 'admin', 'password'],
+  ['server', 'sessionSecret'],
+  ['metrics', 'token'],
+  ['homeAssistant', 'token'],
+  ['vidiots', 'githubPages', 'accessToken'],
+  ['espresso', 'githubPages', 'accessToken']
+];
+
+function getConfigParent(source, keys) {
+  return keys.slice(0, -1).reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), source);
+}
+
+function withoutConfigCredentials(source) {
+  const copy = JSON.parse(JSON.stringify(source));
+  for (const keys of CONFIG_CREDENTIAL_PATHS) {
+    const parent = getConfigParent(copy, keys);
+    if (parent && typeof parent === 'object') {
+      delete parent[keys[keys.length - 1]];
+    }
+  }
+  return copy;
+}
+
+function keepConfigCredentials(newConfig, currentConfig) {
+  for (const keys of CONFIG_CREDENTIAL_PATHS) {
+    const name = keys[keys.length - 1];
+    const currentParent = getConfigParent(currentConfig, keys);
+    if (!currentParent || currentParent[name] === undefined) continue;
+
+    let target = newConfig;
+    for (const key of keys.slice(0, -1)) {
+      if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+      target = target[key];
+    }
+    if (target[name] === undefined) {
+      target[name] = currentParent[name];
+    }
+  }
+  return newConfig;
+}
+
 // API to get current config
 app.get('/admin/api/config', requireAuth, (req, res) => {
-  res.json(config);
+  const isOwnerSession = !req.apiToken && req.adminUser.role === 'owner';
+  res.json(isOwnerSession ? config : withoutConfigCredentials(config));
 });
 
 // API to check if using default password
 app.get('/admin/api/password-status', requireAuth, (req, res) => {
   res.json({
-    isDefaultPassword: req.session.isDefaultPassword || false,
-    username: config.server.admin.username
+    isDefaultPassword: req.adminUser.isDefaultPassword === true,
+    username: req.adminUser.username
+  });
+});
+
+// API describing the signed-in admin account and what its role may access
+app.get('/admin/api/session', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    user: adminUsers.serializeUser(req.adminUser),
+    role: adminUsers.describeRole(req.adminUser.role)
   });
 });
 
-// API to change admin password
-app.post('/admin/api/change-password', requireAuth, (req, res) => {
+// Shared password rules for admin accounts
+function validateAdminPassword(password) {
+  if (typeof password !== 'string' || password.length < 6) {
+    return { valid: false, reason: 'New password must be at least 6 characters long' };
+  }
+  if (password === 'admin123') {
+    return { valid: false, reason: 'Cannot use default password as new password' };
+  }
+  return validatePasswordSecurity(password);
+}
+
+// API to change the signed-in admin account's password
+app.post('/admin/api/change-password', requireAuth, openapi.validateBody('ChangePassword'), (req, res, next) => {
   try {
     const { currentPassword, newPassword } = req.body;
     
@@ -1411,69 +1954,482 @@ app.post('/admin/api/change-password', requireAuth, (req, res) => {
       return res.status(400).json({ error: 'Current password and new password are required' });
     }
     
-    // Verify current password
-    if (currentPassword !== config.server.admin.password) {
-      return res.status(401).json({ error: 'Current password is incorrect' });
+    const passwordCheck = validateAdminPassword(newPassword);
+    if (!passwordCheck.valid) {
+      return res.status(400).json({ error: passwordCheck.reason });
     }
     
-    // Validate new password
-    if (newPassword.length < 6) {
-      return res.status(400).json({ error: 'New password must be at least 6 characters long' });
+    if (req.adminUser.id === LEGACY_ADMIN_USER_ID) {
+      // No account store available – fall back to the legacy in-config password
+      if (currentPassword !== config.server.admin.password) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+      config.server.admin.password = newPassword;
+      req.session.isDefaultPassword = false;
+      const persistent = configWritable && createConfigFile(configPath, config);
+      return res.json({
+        success: true,
+        message: persistent
+          ? 'Password changed successfully and saved to file'
+          : 'Password changed successfully in memory only (config directory not writable)',
+        persistent
+      });
     }
     
-    if (newPassword === 'admin123') {
-      return res.status(400).json({ error: 'Cannot use default password as new password' });
+    // Verify current password
+    if (!verifyPassword(currentPassword, req.adminUser.passwordHash)) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
     }
     
-    // Update password in config
-    config.server.admin.password = newPassword;
+    const result = adminUsers.setUserPassword(req.adminUser.id, hashPassword(newPassword));
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to save new password: ' + result.error });
+    }
     
     // Clear default password flag from session
     req.session.isDefaultPassword = false;
-    
-    // Try to write to file if possible
-    if (configWritable) {
-      if (createConfigFile(configPath, config)) {
-        res.json({ 
-          success: true, 
-          message: 'Password changed successfully and saved to file',
-          persistent: true
-        });
-      } else {
-        res.json({ 
-          success: true, 
-          message: 'Password changed successfully in memory (file save failed - config directory not writable)',
-          persistent: false
-        });
-      }
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Password changed successfully in memory only (config directory not writable)',
-        persistent: false
-      });
-    }
+    logger.info(logger.categories.SYSTEM, `Admin user ${req.adminUser.username} changed their password`);
+    res.json({ 
+      success: true, 
+      message: 'Password changed successfully and saved to file',
+      persistent: true
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to change password: ' + err.message });
+    next(err);
   }
 });
 
-// API to update config
-app.post('/admin/api/config', requireAuth, (req, res) => {
-  try {
-    const newConfig = req.body;
+// =============================================================================
+// Two-factor authentication for the signed-in admin account (modules/totp.js)
+// =============================================================================
+
+const TWO_FACTOR_ISSUER = 'Local Server Site Pusher';
+
+function requireAdminAccountStore(req, res, next) {
+  if (req.adminUser.id === LEGACY_ADMIN_USER_ID) {
+    return res.status(409).json({
+      success: false,
+      error: 'Two-factor authentication needs admin accounts; check that the config directory is writable and restart'
+    });
+  }
+  next();
+}
+
+/**
+ * GET /admin/api/two-factor
+ * Two-factor status for the signed-in account.
+ */
+app.get('/admin/api/two-factor', requireAuth, (req, res) => {
+  const user = adminUsers.serializeUser(req.adminUser);
+  res.json({
+    success: true,
+    enabled: user.twoFactorEnabled === true,
+    recoveryCodesRemaining: user.recoveryCodesRemaining || 0
+  });
+});
+
+/**
+ * POST /admin/api/two-factor/setup
+ * Start enrollment: returns a QR code and secret. Nothing is stored until /enable confirms a code.
+ */
+app.post('/admin/api/two-factor/setup', requireAuth, requireAdminAccountStore, async (req, res, next) => {
+  try {
+    const enrollment = await totp.createEnrollment({ issuer: TWO_FACTOR_ISSUER, accountName: req.adminUser.username });
+    req.session.adminTwoFactorEnrollment = { secret: enrollment.secret, createdAt: Date.now() };
+    res.json({ success: true, ...enrollment });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /admin/api/two-factor/enable
+ * Confirm enrollment with a code from the authenticator app.
+ * Body: { code: string }
+ * Returns the recovery codes – they are only shown once.
+ */
+app.post('/admin/api/two-factor/enable', requireAuth, requireAdminAccountStore, twoFactorRateLimit, openapi.validateBody('TwoFactorCode'), (req, res) => {
+  const enrollment = req.session.adminTwoFactorEnrollment;
+  if (!enrollment || Date.now() - enrollment.createdAt > 15 * 60 * 1000) {
+    return res.status(400).json({ success: false, error: 'Two-factor setup expired – start again' });
+  }
+  const step = totp.findCodeStep(enrollment.secret, req.body?.code);
+  if (step === null) {
+    return res.status(400).json({ success: false, error: 'Code did not match – check the time on your phone and try again' });
+  }
+
+  const recovery = totp.generateRecoveryCodes();
+  const result = adminUsers.enableTwoFactor(req.adminUser.id, {
+    secret: enrollment.secret,
+    recoveryCodeHashes: recovery.hashes,
+    lastUsedStep: step
+  });
+  if (!result.success) {
+    return res.status(500).json({ success: false, error: 'Failed to save two-factor settings: ' + result.error });
+  }
+
+  delete req.session.adminTwoFactorEnrollment;
+  logger.success(logger.categories.SYSTEM, `Two-factor authentication enabled for admin user ${req.adminUser.username}`);
+  res.json({ success: true, recoveryCodes: recovery.codes });
+});
+
+/**
+ * POST /admin/api/two-factor/disable
+ * Body: { password: string } – current password required
+ */
+app.post('/admin/api/two-factor/disable', requireAuth, requireAdminAccountStore, openapi.validateBody('PasswordConfirmation'), (req, res) => {
+  if (!verifyPassword(String(req.body?.password || ''), req.adminUser.passwordHash)) {
+    return res.status(401).json({ success: false, error: 'Current password is incorrect' });
+  }
+  const result = adminUsers.disableTwoFactor(req.adminUser.id);
+  if (!result.success) {
+    return res.status(500).json({ success: false, error: 'Failed to disable two-factor: ' + result.error });
+  }
+  logger.warning(logger.categories.SYSTEM, `Two-factor authentication disabled for admin user ${req.adminUser.username}`);
+  res.json({ success: true });
+});
+
+/**
+ * POST /admin/api/two-factor/recovery-codes
+ * Replace the recovery codes. Body: { password: string }
+ */
+app.post('/admin/api/two-factor/recovery-codes', requireAuth, requireAdminAccountStore, openapi.validateBody('PasswordConfirmation'), (req, res) => {
+  if (!verifyPassword(String(req.body?.password || ''), req.adminUser.passwordHash)) {
+    return res.status(401).json({ success: false, error: 'Current password is incorrect' });
+  }
+  const recovery = totp.generateRecoveryCodes();
+  const result = adminUsers.setRecoveryCodeHashes(req.adminUser.id, recovery.hashes);
+  if (!result.success) {
+    return res.status(400).json({ success: false, error: result.error });
+  }
+  logger.info(logger.categories.SYSTEM, `New two-factor recovery codes generated for admin user ${req.adminUser.username}`);
+  res.json({ success: true, recoveryCodes: recovery.codes });
+});
+
+// =============================================================================
+// Admin user management (owner role only – see modules/admin-users.js)
+// =============================================================================
+
+/**
+ * GET /admin/api/users
+ * List admin accounts (no password hashes) and the available roles.
+ */
+app.get('/admin/api/users', requireAuth, (req, res, next) => {
+  try {
+    res.json({ success: true, users: adminUsers.listUsers(), roles: adminUsers.getRoles() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /admin/api/users
+ * Create an admin account.
+ * Body: { username: string, password: string, role: string }
+ */
+app.post('/admin/api/users', requireAuth, requireSameOriginForAdminWrite, openapi.validateBody('AdminUserCreate'), (req, res, next) => {
+  const { username, password, role } = req.body || {};
+  const passwordCheck = validateAdminPassword(password);
+  if (!passwordCheck.valid) {
+    return res.status(400).json({ success: false, error: passwordCheck.reason.replace('New password', 'Password') });
+  }
+
+  try {
+    const result = adminUsers.createUser({ username, role, passwordHash: hashPassword(password) });
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    logger.success(logger.categories.SYSTEM, `Admin user ${result.user.username} (${result.user.role}) created by ${req.adminUser.username}`);
+    res.status(201).json({ success: true, user: result.user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /admin/api/users/:id
+ * Rename an account or change its role.
+ * Body: { username?: string, role?: string }
+ */
+app.put('/admin/api/users/:id', requireAuth, requireSameOriginForAdminWrite, openapi.validateBody('AdminUserUpdate'), (req, res, next) => {
+  const { username, role } = req.body || {};
+  try {
+    const result = adminUsers.updateUser(req.params.id, { username, role });
+    if (!result.success) {
+      const statusCode = /not found/i.test(result.error || '') ? 404 : 400;
+      return res.status(statusCode).json({ success: false, error: result.error });
+    }
+    logger.info(logger.categories.SYSTEM, `Admin user ${result.user.username} updated by ${req.adminUser.username} (role: ${result.user.role})`);
+    res.json({ success: true, user: result.user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /admin/api/users/:id/password
+ * Reset another account's password.
+ * Body: { password: string }
+ */
+app.post('/admin/api/users/:id/password', requireAuth, requireSameOriginForAdminWrite, openapi.validateBody('AdminPasswordReset'), (req, res, next) => {
+  const { password } = req.body || {};
+  const passwordCheck = validateAdminPassword(password);
+  if (!passwordCheck.valid) {
+    return res.status(400).json({ success: false, error: passwordCheck.reason.replace('New password', 'Password') });
+  }
+
+  try {
+    const result = adminUsers.setUserPassword(req.params.id, hashPassword(password));
+    if (!result.success) {
+      const statusCode = /not found/i.test(result.error || '') ? 404 : 500;
+      return res.status(statusCode).json({ success: false, error: result.error });
+    }
+    logger.info(logger.categories.SYSTEM, `Password for admin user ${result.user.username} reset by ${req.adminUser.username}`);
+    res.json({ success: true, user: result.user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /admin/api/users/:id/two-factor
+ * Turn off two-factor login for an account that lost its authenticator and recovery codes.
+ */
+app.delete('/admin/api/users/:id/two-factor', requireAuth, requireSameOriginForAdminWrite, (req, res, next) => {
+  try {
+    const result = adminUsers.disableTwoFactor(req.params.id);
+    if (!result.success) {
+      const statusCode = /not found/i.test(result.error || '') ? 404 : 500;
+      return res.status(statusCode).json({ success: false, error: result.error });
+    }
+    logger.warning(logger.categories.SYSTEM, `Two-factor for admin user ${result.user.username} reset by ${req.adminUser.username}`);
+    res.json({ success: true, user: result.user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /admin/api/users/:id
+ * Remove an admin account. The last owner and the signed-in account cannot be removed.
+ */
+app.delete('/admin/api/users/:id', requireAuth, requireSameOriginForAdminWrite, (req, res, next) => {
+  if (req.params.id === req.adminUser.id) {
+    return res.status(400).json({ success: false, error: 'You cannot delete the account you are signed in with' });
+  }
+
+  try {
+    const result = adminUsers.deleteUser(req.params.id);
+    if (!result.success) {
+      const statusCode = /not found/i.test(result.error || '') ? 404 : 400;
+      return res.status(statusCode).json({ success: false, error: result.error });
+    }
+    apiTokens.revokeTokensForUser(req.params.id);
+    logger.warning(logger.categories.SYSTEM, `Admin user ${result.user.username} deleted by ${req.adminUser.username}`);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// =============================================================================
+// Secrets vault (owner role only – see modules/secrets.js)
+// =============================================================================
+
+/**
+ * GET /admin/api/secrets/status
+ * Master key source and how each encrypted store is encrypted (never the key itself).
+ */
+app.get('/admin/api/secrets/status', requireAuth, (req, res, next) => {
+  try {
+    res.json({ success: true, ...secrets.getStatus() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /admin/api/secrets/rotate
+ * Generate a new master key and re-encrypt every store with it.
+ */
+app.post('/admin/api/secrets/rotate', requireAuth, requireSameOriginForAdminWrite, (req, res, next) => {
+  try {
+    const result = secrets.rotateMasterKey();
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    if (result.success) {
+      logger.warning(logger.categories.SYSTEM, `Secrets master key rotated by ${req.adminUser.username} (key id ${result.keyId})`);
+    }
+    res.status(result.success ? 200 : 500).json({ ...result, status: secrets.getStatus() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// =============================================================================
+// API tokens (owner only – "api-tokens" is part of the users area)
+// =============================================================================
+
+/**
+ * GET /admin/api/api-tokens
+ * List issued tokens (never the token values) and the scopes offered in the UI.
+ */
+app.get('/admin/api/api-tokens', requireAuth, (req, res, next) => {
+  try {
+    res.json({ success: true, tokens: apiTokens.listTokens(), commonScopes: apiTokens.getCommonScopes() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /admin/api/api-tokens
+ * Body: { name: string, scopes: string[], expiresInDays?: number|null }
+ * Returns the plain token once – it cannot be retrieved later.
+ */
+app.post('/admin/api/api-tokens', requireAuth, requireSameOriginForAdminWrite, openapi.validateBody('ApiTokenCreate'), (req, res, next) => {
+  try {
+    const result = apiTokens.createToken({
+      name: req.body?.name,
+      scopes: req.body?.scopes,
+      expiresInDays: req.body?.expiresInDays,
+      createdBy: { id: req.adminUser.id, username: req.adminUser.username }
+    });
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    logger.success(logger.categories.SYSTEM, `API token "${result.record.name}" (${result.record.scopes.join(', ')}) created by ${req.adminUser.username}`);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /admin/api/api-tokens/:id
+ * Revoke a token immediately.
+ */
+app.delete('/admin/api/api-tokens/:id', requireAuth, requireSameOriginForAdminWrite, (req, res, next) => {
+  try {
+    const result = apiTokens.revokeToken(req.params.id);
+    if (!result.success) {
+      const statusCode = /not found/i.test(result.error || '') ? 404 : 500;
+      return res.status(statusCode).json({ success: false, error: result.error });
+    }
+    logger.warning(logger.categories.SYSTEM, `API token "${result.token.name}" revoked by ${req.adminUser.username}`);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// =============================================================================
+// Active sessions (owner only – "sessions" is part of the users area)
+// =============================================================================
+
+// Which logins a stored session carries (a browser can be signed in to several)
+function describeSessionKinds(sess) {
+  const kinds = [];
+  if (sess.authenticated) {
+    kinds.push({ type: 'admin', label: `Admin: ${sess.adminUsername || 'unknown'}` });
+  }
+  if (sess.medicationPortalUserId) {
+    kinds.push({ type: 'medication-portal', label: `Medication portal: ${sess.medicationPortalUsername || 'unknown'}` });
+  }
+  if (sess.clientAuthenticated) {
+    kinds.push({ type: 'client', label: 'Client device' });
+  }
+  return kinds;
+}
+
+/**
+ * GET /admin/api/sessions
+ * Signed-in sessions (anonymous visitor sessions are left out) and the current lifetime setting.
+ */
+app.get('/admin/api/sessions', requireAuth, (req, res, next) => {
+  try {
+    const sessions = sessionStore.listSessions()
+      .map(entry => ({ entry, kinds: describeSessionKinds(entry.session) }))
+      .filter(({ kinds }) => kinds.length > 0)
+      .map(({ entry, kinds }) => ({
+        id: entry.id,
+        kinds,
+        ip: entry.session.clientInfo?.ip || null,
+        userAgent: entry.session.clientInfo?.userAgent || null,
+        signedInAt: entry.session.clientInfo?.signedInAt || null,
+        lastSeenAt: new Date(entry.lastSeenAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        current: entry.sid === req.sessionID
+      }))
+      .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+
+    res.json({
+      success: true,
+      sessions,
+      lifetimeHours: sessionStoreModule.getLifetimeHours(config),
+      lifetimeFromEnv: Boolean(process.env.SESSION_LIFETIME_HOURS)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /admin/api/sessions/settings
+ * Body: { lifetimeHours: number } – applies to sessions started from now on.
+ */
+app.put('/admin/api/sessions/settings', requireAuth, requireSameOriginForAdminWrite, openapi.validateBody('SessionSettings'), (req, res) => {
+  const lifetimeHours = Number(req.body?.lifetimeHours);
+  if (!Number.isFinite(lifetimeHours) || lifetimeHours < 1 || lifetimeHours > sessionStoreModule.MAX_LIFETIME_HOURS) {
+    return res.status(400).json({
+      success: false,
+      error: `Session lifetime must be between 1 and ${sessionStoreModule.MAX_LIFETIME_HOURS} hours`
+    });
+  }
+
+  config.sessions = { ...(config.sessions || {}), lifetimeHours };
+  sessionConfig.cookie.maxAge = sessionStoreModule.getLifetimeHours(config) * 60 * 60 * 1000;
+  const persistent = configWritable && createConfigFile(configPath, config);
+  logger.info(logger.categories.SYSTEM, `Session lifetime set to ${lifetimeHours}h by ${req.adminUser.username}`);
+  res.json({ success: true, lifetimeHours, persistent });
+});
+
+/**
+ * DELETE /admin/api/sessions/:id
+ * Sign a session out immediately.
+ */
+app.delete('/admin/api/sessions/:id', requireAuth, requireSameOriginForAdminWrite, (req, res) => {
+  if (req.params.id === sessionStoreModule.getPublicId(req.sessionID)) {
+    return res.status(400).json({ success: false, error: 'Use Logout to end your own session' });
+  }
+
+  const result = sessionStore.destroyByPublicId(req.params.id);
+  if (!result.success) {
+    return res.status(404).json({ success: false, error: result.error });
+  }
+  logger.warning(logger.categories.SYSTEM, `Session ${req.params.id} revoked by ${req.adminUser.username}`);
+  res.json({ success: true });
+});
+
+// API to update config
+app.post('/admin/api/config', requireAuth, openapi.validateBody('AdminConfig'), (req, res) => {
+  try {
+    const newConfig = req.body;
     
     // Validate config structure
     if (!newConfig.server || !newConfig.server.admin) {
-      return res.status(400).json({ error: 'Invalid config structure' });
+      return sendError(res, 'CONFIG_INVALID', 'Invalid config structure');
     }
     
-    // Update config in memory first
-    config = newConfig;
+    // Update config in memory first; payloads from an older dashboard are
+    // brought up to the current schema like config.json is at startup
+    keepConfigCredentials(newConfig, config);
+    config = migrations.runMigrations('config.json', newConfig, CONFIG_MIGRATIONS).data;
     
     // Try to write to file if possible
     if (configWritable) {
-      if (createConfigFile(configPath, newConfig)) {
+      if (createConfigFile(configPath, config)) {
         res.json({ 
           success: true, 
           message: 'Configuration updated and saved to file successfully',
@@ -1499,11 +2455,7 @@ app.post('/admin/api/config', requireAuth, (req, res) => {
       configWritable
     });
     
-    res.status(500).json({ 
-      error: 'Failed to update configuration',
-      details: err.message,
-      solution: 'Verify the configuration structure is valid JSON. Check that the config directory is writable if persistence is required.'
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to update configuration', { solution: 'Verify the configuration structure is valid JSON. Check that the config directory is writable if persistence is required.' });
   }
 });
 
@@ -1512,7 +2464,7 @@ app.get('/admin/api/links', requireAuth, (req, res) => {
   res.json(config.usefulLinks || []);
 });
 
-app.post('/admin/api/links', requireAuth, (req, res) => {
+app.post('/admin/api/links', requireAuth, openapi.validateBody('UsefulLinkInput'), async (req, res, next) => {
   try {
     const { name, url } = req.body;
     
@@ -1520,59 +2472,27 @@ app.post('/admin/api/links', requireAuth, (req, res) => {
       return res.status(400).json({ error: 'URL is required' });
     }
     
-    // Initialize usefulLinks if it doesn't exist
-    if (!config.usefulLinks) {
-      config.usefulLinks = [];
-    }
-    
     // Use URL as name if name is empty or not provided
     const linkName = name && name.trim() ? name.trim() : url;
     
-    // Add the new link
-    config.usefulLinks.push({ name: linkName, url, id: Date.now() });
+    const links = await configStore.transaction('usefulLinks', usefulLinks => {
+      usefulLinks.push({ name: linkName, url, id: Date.now() });
+      return usefulLinks;
+    }, { defaultValue: [] });
     
-    // Try to persist to file
-    if (configWritable) {
-      if (createConfigFile(configPath, config)) {
-        res.json({ 
-          success: true, 
-          message: 'Link added successfully',
-          persistent: true,
-          links: config.usefulLinks
-        });
-      } else {
-        res.json({ 
-          success: true, 
-          message: 'Link added (in memory only - file save failed)',
-          persistent: false,
-          links: config.usefulLinks
-        });
-      }
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Link added (in memory only)',
-        persistent: false,
-        links: config.usefulLinks
-      });
-    }
-  } catch (err) {
-    logError(logger.categories.SYSTEM, err, {
-      operation: 'Add useful link',
-      linkName: req.body.name,
-      linkUrl: req.body.url
-    });
-    
-    res.status(500).json({ 
-      error: 'Failed to add link',
-      details: err.message,
-      solution: 'Verify the URL is valid. Check application logs if the issue persists.'
+    res.json({ 
+      success: true, 
+      message: 'Link added successfully',
+      persistent: true,
+      links
     });
+  } catch (err) {
+    next(err);
   }
 });
 
 // API endpoint for removing useful links
-app.delete('/admin/api/links/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/links/:id', requireAuth, async (req, res, next) => {
   try {
     const linkId = parseInt(req.params.id);
     
@@ -1580,49 +2500,24 @@ app.delete('/admin/api/links/:id', requireAuth, (req, res) => {
       return res.status(404).json({ error: 'No links found' });
     }
     
-    const initialLength = config.usefulLinks.length;
-    config.usefulLinks = config.usefulLinks.filter(link => link.id !== linkId);
-    
-    if (config.usefulLinks.length === initialLength) {
+    if (!config.usefulLinks.some(link => link.id === linkId)) {
       return res.status(404).json({ error: 'Link not found' });
     }
     
-    // Try to persist to file
-    if (configWritable) {
-      if (createConfigFile(configPath, config)) {
-        res.json({ 
-          success: true, 
-          message: 'Link removed successfully',
-          persistent: true,
-          links: config.usefulLinks
-        });
-      } else {
-        res.json({ 
-          success: true, 
-          message: 'Link removed (in memory only - file save failed)',
-          persistent: false,
-          links: config.usefulLinks
-        });
-      }
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Link removed (in memory only)',
-        persistent: false,
-        links: config.usefulLinks
-      });
-    }
-  } catch (err) {
-    logError(logger.categories.SYSTEM, err, {
-      operation: 'Remove useful link',
-      linkId: req.params.id
+    const links = await configStore.transaction('usefulLinks', usefulLinks => {
+      const index = usefulLinks.findIndex(link => link.id === linkId);
+      if (index !== -1) usefulLinks.splice(index, 1);
+      return usefulLinks;
     });
     
-    res.status(500).json({ 
-      error: 'Failed to remove link',
-      details: err.message,
-      solution: 'Verify the link ID is valid. Check application logs if the issue persists.'
+    res.json({ 
+      success: true, 
+      message: 'Link removed successfully',
+      persistent: true,
+      links
     });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -1668,51 +2563,11 @@ function parseDateStringLocal(dateStr) {
   return d;
 }
 
-// Helper function to migrate single party data to multiple parties format
-function migrateToMultiParty() {
-  // Check if we have old single-party data and no new multi-party data
-  if (config.partyScheduling && !config.parties) {
-    logger.info(logger.categories.SYSTEM, 'Migrating single party data to multi-party format');
-    
-    // Create parties array with the existing party data
-    config.parties = [{
-      id: generatePartyId(), // Generate unique ID
-      name: 'My Party',
-      status: 'scheduled', // draft, scheduled, archived
-      dateTime: config.partyScheduling.dateTime || { date: '', startTime: '', endTime: '' },
-      invitees: config.partyScheduling.invitees || [],
-      menu: config.partyScheduling.menu || [],
-      tasks: config.partyScheduling.tasks || [],
-      events: config.partyScheduling.events || [],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    }];
-    
-    // Keep the old data for backward compatibility temporarily
-    // It will be removed in future versions
-    
-    // Save the migrated config
-    if (configWritable) {
-      createConfigFile(configPath, config);
-    }
-    
-    logger.info(logger.categories.SYSTEM, 'Migration complete: 1 party migrated');
-  } else if (!config.parties) {
-    // Initialize empty parties array if nothing exists
-    config.parties = [];
-  }
-}
-
-// Ensure migration runs on server start
-migrateToMultiParty();
-
 // API endpoints for multi-party scheduling
 
 // List all parties
 app.get('/admin/api/parties', requireAuth, (req, res) => {
   try {
-    migrateToMultiParty(); // Ensure migration has run
-    
     const parties = config.parties || [];
     
     // Return basic info for each party (not full data)
@@ -1731,80 +2586,51 @@ app.get('/admin/api/parties', requireAuth, (req, res) => {
     logError(logger.categories.SYSTEM, err, {
       operation: 'List parties'
     });
-    res.status(500).json({ 
-      error: 'Failed to list parties',
-      details: err.message
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to list parties');
   }
 });
 
 // Create a new party
-app.post('/admin/api/parties', requireAuth, (req, res) => {
+app.post('/admin/api/parties', requireAuth, openapi.validateBody('PartyCreate'), async (req, res, next) => {
   try {
-    migrateToMultiParty(); // Ensure migration has run
-    
     const { name } = req.body;
     
     if (!name || typeof name !== 'string' || name.trim().length === 0) {
       return res.status(400).json({ error: 'Party name is required' });
     }
-    
-    const newParty = {
-      id: generatePartyId(),
-      name: name.trim(),
-      status: 'draft',
-      dateTime: { date: '', startTime: '', endTime: '' },
-      invitees: [],
-      menu: [],
-      tasks: [],
-      events: [],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    config.parties.push(newParty);
-    
-    // Try to persist to file
-    if (configWritable) {
-      if (createConfigFile(configPath, config)) {
-        res.json({ 
-          success: true, 
-          message: 'Party created successfully',
-          persistent: true,
-          party: newParty
-        });
-      } else {
-        res.json({ 
-          success: true, 
-          message: 'Party created (in memory only - file save failed)',
-          persistent: false,
-          party: newParty
-        });
-      }
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Party created (in memory only)',
-        persistent: false,
-        party: newParty
-      });
-    }
-  } catch (err) {
-    logError(logger.categories.SYSTEM, err, {
-      operation: 'Create party'
-    });
-    res.status(500).json({ 
-      error: 'Failed to create party',
-      details: err.message
+    
+    const newParty = {
+      id: generatePartyId(),
+      name: name.trim(),
+      status: 'draft',
+      dateTime: { date: '', startTime: '', endTime: '' },
+      invitees: [],
+      menu: [],
+      tasks: [],
+      events: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    await configStore.transaction('parties', parties => {
+      parties.push(newParty);
+    }, { defaultValue: [] });
+    eventBus.emit('party.updated', { partyId: newParty.id, name: newParty.name, status: newParty.status, action: 'created' });
+    
+    res.json({ 
+      success: true, 
+      message: 'Party created successfully',
+      persistent: true,
+      party: newParty
     });
+  } catch (err) {
+    next(err);
   }
 });
 
 // Get a specific party
 app.get('/admin/api/parties/:id', requireAuth, (req, res) => {
   try {
-    migrateToMultiParty(); // Ensure migration has run
-    
     const partyId = parseInt(req.params.id);
     const party = config.parties.find(p => p.id === partyId);
     
@@ -1818,134 +2644,87 @@ app.get('/admin/api/parties/:id', requireAuth, (req, res) => {
       operation: 'Get party',
       partyId: req.params.id
     });
-    res.status(500).json({ 
-      error: 'Failed to get party',
-      details: err.message
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to get party');
   }
 });
 
 // Update a specific party
-app.put('/admin/api/parties/:id', requireAuth, (req, res) => {
+app.put('/admin/api/parties/:id', requireAuth, openapi.validateBody('PartyUpdate'), async (req, res, next) => {
   try {
-    migrateToMultiParty(); // Ensure migration has run
-    
     const partyId = parseInt(req.params.id);
-    const partyIndex = config.parties.findIndex(p => p.id === partyId);
     
-    if (partyIndex === -1) {
+    if (!config.parties.some(p => p.id === partyId)) {
       return res.status(404).json({ error: 'Party not found' });
     }
     
     const { name, status, dateTime, invitees, menu, tasks, events } = req.body;
     
-    // Update party data
-    const party = config.parties[partyIndex];
-    
-    if (name !== undefined) party.name = name;
-    if (status !== undefined && ['draft', 'scheduled', 'archived'].includes(status)) {
-      party.status = status;
-    }
-    if (dateTime !== undefined) party.dateTime = dateTime;
-    if (invitees !== undefined) party.invitees = invitees;
-    if (menu !== undefined) party.menu = menu;
-    if (tasks !== undefined) party.tasks = tasks;
-    if (events !== undefined) party.events = events;
-    
-    party.updatedAt = new Date().toISOString();
-    
-    // Try to persist to file
-    if (configWritable) {
-      if (createConfigFile(configPath, config)) {
-        res.json({ 
-          success: true, 
-          message: 'Party updated successfully',
-          persistent: true,
-          party: party
-        });
-      } else {
-        res.json({ 
-          success: true, 
-          message: 'Party updated (in memory only - file save failed)',
-          persistent: false,
-          party: party
-        });
+    const party = await configStore.transaction('parties', parties => {
+      const party = parties.find(p => p.id === partyId);
+      if (!party) {
+        throw new Error('Party not found');
       }
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Party updated (in memory only)',
-        persistent: false,
-        party: party
-      });
-    }
-  } catch (err) {
-    logError(logger.categories.SYSTEM, err, {
-      operation: 'Update party',
-      partyId: req.params.id
+      
+      if (name !== undefined) party.name = name;
+      if (status !== undefined && ['draft', 'scheduled', 'archived'].includes(status)) {
+        party.status = status;
+      }
+      if (dateTime !== undefined) party.dateTime = dateTime;
+      if (invitees !== undefined) party.invitees = invitees;
+      if (menu !== undefined) party.menu = menu;
+      if (tasks !== undefined) party.tasks = tasks;
+      if (events !== undefined) party.events = events;
+      
+      party.updatedAt = new Date().toISOString();
+      return party;
     });
-    res.status(500).json({ 
-      error: 'Failed to update party',
-      details: err.message
+    eventBus.emit('party.updated', { partyId: party.id, name: party.name, status: party.status, action: 'updated' });
+    
+    res.json({ 
+      success: true, 
+      message: 'Party updated successfully',
+      persistent: true,
+      party: party
     });
+  } catch (err) {
+    next(err);
   }
 });
 
 // Archive/Delete a specific party
-app.delete('/admin/api/parties/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/parties/:id', requireAuth, async (req, res, next) => {
   try {
-    migrateToMultiParty(); // Ensure migration has run
-    
     const partyId = parseInt(req.params.id);
-    const partyIndex = config.parties.findIndex(p => p.id === partyId);
     
-    if (partyIndex === -1) {
+    if (!config.parties.some(p => p.id === partyId)) {
       return res.status(404).json({ error: 'Party not found' });
     }
     
     // Archive instead of delete (soft delete)
-    config.parties[partyIndex].status = 'archived';
-    config.parties[partyIndex].updatedAt = new Date().toISOString();
-    
-    // Try to persist to file
-    if (configWritable) {
-      if (createConfigFile(configPath, config)) {
-        res.json({ 
-          success: true, 
-          message: 'Party archived successfully',
-          persistent: true
-        });
-      } else {
-        res.json({ 
-          success: true, 
-          message: 'Party archived (in memory only - file save failed)',
-          persistent: false
-        });
+    const party = await configStore.transaction('parties', parties => {
+      const party = parties.find(p => p.id === partyId);
+      if (!party) {
+        throw new Error('Party not found');
       }
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Party archived (in memory only)',
-        persistent: false
-      });
-    }
-  } catch (err) {
-    logError(logger.categories.SYSTEM, err, {
-      operation: 'Archive party',
-      partyId: req.params.id
+      party.status = 'archived';
+      party.updatedAt = new Date().toISOString();
+      return party;
     });
-    res.status(500).json({ 
-      error: 'Failed to archive party',
-      details: err.message
+    eventBus.emit('party.updated', { partyId: party.id, name: party.name, status: party.status, action: 'archived' });
+    
+    res.json({ 
+      success: true, 
+      message: 'Party archived successfully',
+      persistent: true
     });
+  } catch (err) {
+    next(err);
   }
 });
 
 // Validate a specific party
 app.get('/admin/api/parties/:id/validate', requireAuth, (req, res) => {
   try {
-    migrateToMultiParty(); // Ensure migration has run
-    
     const partyId = parseInt(req.params.id);
     const party = config.parties.find(p => p.id === partyId);
     
@@ -2067,18 +2846,13 @@ app.get('/admin/api/parties/:id/validate', requireAuth, (req, res) => {
       operation: 'Validate party',
       partyId: req.params.id
     });
-    res.status(500).json({ 
-      error: 'Failed to validate party',
-      details: err.message
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to validate party');
   }
 });
 
 // Get weather for a specific party
 app.get('/admin/api/parties/:id/weather', requireAuth, async (req, res) => {
   try {
-    migrateToMultiParty(); // Ensure migration has run
-    
     const partyId = parseInt(req.params.id);
     const party = config.parties.find(p => p.id === partyId);
     
@@ -2124,20 +2898,14 @@ app.get('/admin/api/parties/:id/weather', requireAuth, async (req, res) => {
       });
     } catch (weatherErr) {
       logger.error(logger.categories.SMART_MIRROR, `Error fetching party weather: ${weatherErr.message}`);
-      res.status(500).json({ 
-        error: 'Failed to fetch weather data',
-        details: weatherErr.response?.data?.message || weatherErr.message
-      });
+      sendError(res, 'INTERNAL_ERROR', 'Failed to fetch weather data');
     }
   } catch (err) {
     logError(logger.categories.SYSTEM, err, {
       operation: 'Fetch party weather',
       partyId: req.params.id
     });
-    res.status(500).json({ 
-      error: 'Failed to fetch weather',
-      details: err.message
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to fetch weather');
   }
 });
 
@@ -2145,8 +2913,6 @@ app.get('/admin/api/parties/:id/weather', requireAuth, async (req, res) => {
 // These will proxy to the new multi-party API using the first scheduled party
 app.get('/admin/api/party/scheduling', requireAuth, (req, res) => {
   try {
-    migrateToMultiParty(); // Ensure migration has run
-    
     // For backward compatibility, return the first scheduled/draft party
     // or the old single party data if it still exists
     let schedulingData;
@@ -2192,17 +2958,12 @@ app.get('/admin/api/party/scheduling', requireAuth, (req, res) => {
     logError(logger.categories.SYSTEM, err, {
       operation: 'Get party scheduling data (legacy)'
     });
-    res.status(500).json({ 
-      error: 'Failed to load scheduling data',
-      details: err.message
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to load scheduling data');
   }
 });
 
-app.post('/admin/api/party/scheduling', requireAuth, (req, res) => {
+app.post('/admin/api/party/scheduling', requireAuth, openapi.validateBody('PartySchedule'), async (req, res, next) => {
   try {
-    migrateToMultiParty(); // Ensure migration has run
-    
     const { id, dateTime, invitees, menu, tasks, events } = req.body;
     
     // Validate required structure
@@ -2210,17 +2971,18 @@ app.post('/admin/api/party/scheduling', requireAuth, (req, res) => {
       return res.status(400).json({ error: 'Invalid dateTime structure' });
     }
     
+    if (id && !config.parties.some(p => p.id === id)) {
+      return res.status(404).json({ error: 'Party not found' });
+    }
+    
     // If ID is provided, update that specific party; otherwise update first active party
-    let party;
-    if (id) {
-      const partyIndex = config.parties.findIndex(p => p.id === id);
-      if (partyIndex === -1) {
-        return res.status(404).json({ error: 'Party not found' });
+    const party = await configStore.transaction('parties', parties => {
+      let party = id
+        ? parties.find(p => p.id === id)
+        : parties.find(p => p.status !== 'archived');
+      if (!party && id) {
+        throw new Error('Party not found');
       }
-      party = config.parties[partyIndex];
-    } else {
-      // Find first active party or create one if none exists
-      party = config.parties.find(p => p.status !== 'archived');
       if (!party) {
         // Create a new party
         party = {
@@ -2235,68 +2997,44 @@ app.post('/admin/api/party/scheduling', requireAuth, (req, res) => {
           createdAt: new Date().toISOString(),
           updatedAt: new Date().toISOString()
         };
-        config.parties.push(party);
+        parties.push(party);
       }
-    }
-    
-    // Update party data
-    party.dateTime = dateTime;
-    party.invitees = invitees || [];
-    party.menu = menu || [];
-    party.tasks = tasks || [];
-    party.events = events || [];
-    party.updatedAt = new Date().toISOString();
+      
+      // Update party data
+      party.dateTime = dateTime;
+      party.invitees = invitees || [];
+      party.menu = menu || [];
+      party.tasks = tasks || [];
+      party.events = events || [];
+      party.updatedAt = new Date().toISOString();
+      return party;
+    }, { defaultValue: [] });
     
     // Also keep updating the old single-party data for backward compatibility
-    config.partyScheduling = {
-      dateTime,
-      invitees: invitees || [],
-      menu: menu || [],
-      tasks: tasks || [],
-      events: events || []
-    };
-    
-    // Try to persist to file
-    if (configWritable) {
-      if (createConfigFile(configPath, config)) {
-        res.json({ 
-          success: true, 
-          message: 'Scheduling data saved successfully',
-          persistent: true,
-          data: party
-        });
-      } else {
-        res.json({ 
-          success: true, 
-          message: 'Scheduling data saved (in memory only - file save failed)',
-          persistent: false,
-          data: party
-        });
-      }
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Scheduling data saved (in memory only)',
-        persistent: false,
-        data: party
+    await configStore.transaction('partyScheduling', scheduling => {
+      Object.assign(scheduling, {
+        dateTime,
+        invitees: invitees || [],
+        menu: menu || [],
+        tasks: tasks || [],
+        events: events || []
       });
-    }
-  } catch (err) {
-    logError(logger.categories.SYSTEM, err, {
-      operation: 'Save party scheduling data (legacy)'
-    });
-    res.status(500).json({ 
-      error: 'Failed to save scheduling data',
-      details: err.message
+    }, { defaultValue: {} });
+    
+    res.json({ 
+      success: true, 
+      message: 'Scheduling data saved successfully',
+      persistent: true,
+      data: party
     });
+  } catch (err) {
+    next(err);
   }
 });
 
 // API endpoint for party scheduling validation (legacy)
 app.get('/admin/api/party/scheduling/validate', requireAuth, (req, res) => {
   try {
-    migrateToMultiParty(); // Ensure migration has run
-    
     // Get first active party or old single party data
     let schedulingData;
     if (config.parties && config.parties.length > 0) {
@@ -2435,18 +3173,13 @@ app.get('/admin/api/party/scheduling/validate', requireAuth, (req, res) => {
     logError(logger.categories.SYSTEM, err, {
       operation: 'Validate party scheduling data'
     });
-    res.status(500).json({ 
-      error: 'Failed to validate scheduling data',
-      details: err.message
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to validate scheduling data');
   }
 });
 
 // API endpoint to fetch weather for party date (legacy)
 app.get('/admin/api/party/weather', requireAuth, async (req, res) => {
   try {
-    migrateToMultiParty(); // Ensure migration has run
-    
     // Get first active party
     let schedulingData;
     if (config.parties && config.parties.length > 0) {
@@ -2456,10 +3189,7 @@ app.get('/admin/api/party/weather', requireAuth, async (req, res) => {
     }
     
     if (!schedulingData || !schedulingData.dateTime || !schedulingData.dateTime.date) {
-      return res.json({ 
-        success: false, 
-        error: 'No party date configured' 
-      });
+      return sendError(res, 'PARTY_NOT_SCHEDULED');
     }
     
     // Check for weather configuration in either weather or forecast widget
@@ -2472,9 +3202,7 @@ app.get('/admin/api/party/weather', requireAuth, async (req, res) => {
     const units = weatherConfig.units || forecastConfig.units || 'imperial';
     
     if (!apiKey || !location) {
-      return res.json({ 
-        success: false, 
-        error: 'Weather API not configured',
+      return sendError(res, 'WIDGET_NOT_CONFIGURED', 'Weather API not configured', {
         hint: 'Configure API key and location in Smart Mirror weather settings to see weather forecasts'
       });
     }
@@ -2509,50 +3237,133 @@ app.get('/admin/api/party/weather', requireAuth, async (req, res) => {
           }
         });
       } else {
-        res.json({
-          success: false,
-          error: weatherResult.error
-        });
+        sendError(res, 'UPSTREAM_ERROR', weatherResult.error);
       }
     } catch (err) {
       logger.error(logger.categories.SMART_MIRROR, `Error fetching party weather: ${err.message}`);
-      res.json({
-        success: false,
-        error: 'Failed to fetch weather data'
-      });
+      sendError(res, 'UPSTREAM_ERROR', 'Failed to fetch weather data');
     }
   } catch (err) {
     logError(logger.categories.SYSTEM, err, {
       operation: 'Fetch party weather'
     });
-    res.status(500).json({ 
-      error: 'Failed to fetch weather data',
-      details: err.message
+    sendError(res, 'INTERNAL_ERROR', 'Failed to fetch weather data');
+  }
+});
+
+/**
+ * GET /admin/api/logs
+ * Search the log files, newest first.
+ * Query: category, level (comma separated), search, from, to (ISO time or epoch ms),
+ *        page, pageSize (limit is accepted for pageSize)
+ */
+app.get('/admin/api/logs', requireAuth, (req, res, next) => {
+  const parsed = logStore.parseFilters(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  try {
+    const { entries, total } = logger.query(parsed.filters);
+    res.json({
+      success: true,
+      logs: entries,
+      total,
+      page: parsed.filters.page,
+      pageSize: parsed.filters.pageSize,
+      pages: Math.max(1, Math.ceil(total / parsed.filters.pageSize)),
+      categories: logger.getCategories(),
+      levels: logger.getLevels(),
+      storage: logger.getStorageStats()
     });
+  } catch (err) {
+    next(err);
   }
 });
 
-// API endpoint for system logs
-app.get('/admin/api/logs', requireAuth, (req, res) => {
-  const category = req.query.category || null;
-  const limit = req.query.limit ? parseInt(req.query.limit) : null;
-  
-  const logs = logger.getLogs(category, limit);
-  
-  res.json({
-    logs: logs,
-    categories: logger.getCategories()
-  });
+/**
+ * GET /admin/api/logs/download?format=ndjson|csv
+ * Every entry matching the same filters as /admin/api/logs (no paging).
+ */
+app.get('/admin/api/logs/download', requireAuth, (req, res) => {
+  const format = req.query.format || 'ndjson';
+  if (!['ndjson', 'csv'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'Format must be ndjson or csv' });
+  }
+  const parsed = logStore.parseFilters(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="logs-${stamp}.${format}"`);
+  if (format === 'csv') {
+    res.write(logStore.CSV_COLUMNS.join(',') + '\r\n');
+  }
+  try {
+    logger.forEachMatch(parsed.filters, entry => {
+      res.write(format === 'csv' ? logStore.toCsvRow(entry) : JSON.stringify(entry) + '\n');
+    });
+  } catch (err) {
+    logger.error(logger.categories.SYSTEM, `Log download failed: ${err.message}`);
+  }
+  res.end();
 });
 
-// Clear logs endpoint
+// Clear logs endpoint (memory and log files)
 app.post('/admin/api/logs/clear', requireAuth, (req, res) => {
   logger.clear();
   res.json({ success: true, message: 'All logs cleared' });
 });
 
+// Whether the session or API token that opened a live event stream may still use it
+function isEventStreamAuthorized(req) {
+  if (req.apiToken) {
+    const plainToken = req.get('Authorization').slice('Bearer '.length).trim();
+    const token = apiTokens.authenticate(plainToken, { ip: req.ip });
+    const issuer = token ? adminUsers.getUserById(token.createdBy?.id) : null;
+    return Boolean(token && issuer && apiTokens.hasScope(token, req.path, 'GET') &&
+      adminUsers.canAccess(issuer.role, req.path, 'GET'));
+  }
+  return new Promise(resolve => {
+    req.sessionStore.get(req.sessionID, (err, session) => {
+      const adminUser = !err && session ? resolveSessionAdminUser(session) : null;
+      resolve(Boolean(adminUser && adminUsers.canAccess(adminUser.role, req.path, 'GET')));
+    });
+  });
+}
+
+// Live log entries and operation progress as Server-Sent Events
+// Query: category (names or keys, comma-separated), type (see live-events.js EVENT_TYPES)
+app.get('/admin/api/events', requireAuth, (req, res) => {
+  const parsed = liveEvents.parseStreamFilters(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  const result = liveEvents.openStream(req, res, {
+    filters: parsed.filters,
+    isAuthorized: () => isEventStreamAuthorized(req)
+  });
+  if (!result.success) {
+    logger.warning(logger.categories.SYSTEM, `Live event stream refused for ${req.adminUser.username}: ${result.error}`);
+    res.status(503).json({ success: false, error: result.error });
+  }
+});
+
+// Module event types published on the event bus, with the most recent events
+app.get('/admin/api/events/types', requireAuth, (req, res) => {
+  res.json({ success: true, types: eventBus.getEventTypes(), recent: eventBus.getRecentEvents(50) });
+});
+
+// Schema migration status: version of each data file and the runs since startup
+app.get('/admin/api/migrations', requireAuth, (req, res) => {
+  res.json({ success: true, ...migrations.getStatus() });
+});
+
 // Public files regeneration endpoints
-app.post('/admin/api/regenerate-public', requireAuth, async (req, res) => {
+app.post('/admin/api/regenerate-public', requireAuth, openapi.validateBody('RegeneratePublic'), async (req, res, next) => {
   try {
     const force = req.body.force || false;
     logger.info(logger.categories.SYSTEM, `Manual public files regeneration triggered (force: ${force})`);
@@ -2565,15 +3376,11 @@ app.post('/admin/api/regenerate-public', requireAuth, async (req, res) => {
       result
     });
   } catch (error) {
-    logger.error(logger.categories.SYSTEM, `Public files regeneration failed: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
-app.get('/admin/api/regenerate-public/status', requireAuth, (req, res) => {
+app.get('/admin/api/regenerate-public/status', requireAuth, (req, res, next) => {
   try {
     const status = publicFilesRegenerator.getStatus();
     res.json({
@@ -2581,14 +3388,11 @@ app.get('/admin/api/regenerate-public/status', requireAuth, (req, res) => {
       status
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
-app.get('/admin/api/regenerate-public/logs', requireAuth, (req, res) => {
+app.get('/admin/api/regenerate-public/logs', requireAuth, (req, res, next) => {
   try {
     const logs = publicFilesRegenerator.getLogs();
     res.json({
@@ -2596,14 +3400,11 @@ app.get('/admin/api/regenerate-public/logs', requireAuth, (req, res) => {
       logs
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
-app.post('/admin/api/regenerate-public/logs/clear', requireAuth, (req, res) => {
+app.post('/admin/api/regenerate-public/logs/clear', requireAuth, (req, res, next) => {
   try {
     publicFilesRegenerator.clearLogs();
     res.json({
@@ -2611,15 +3412,13 @@ app.post('/admin/api/regenerate-public/logs/clear', requireAuth, (req, res) => {
       message: 'Regeneration logs cleared'
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // Status endpoint for Home Assistant and other tools
 app.get('/api/status', (req, res) => {
+  const memory = process.memoryUsage();
   const status = {
     timestamp: new Date().toISOString(),
     server: {
@@ -2627,34 +3426,260 @@ app.get('/api/status', (req, res) => {
       port: PORT,
       status: 'running'
     },
-    config: {
-      homeAssistant: config.homeAssistant,
-      cockpit: config.cockpit
+    memory: {
+      rss: memory.rss,
+      heapTotal: memory.heapTotal,
+      heapUsed: memory.heapUsed,
+      external: memory.external
     },
-    memory: process.memoryUsage(),
     version: require('./package.json').version
   };
   
   res.json(status);
 });
 
-// API endpoint for external POST requests
-app.post('/api/webhook', (req, res) => {
-  console.log('Received webhook:', req.body);
-  res.json({ 
-    received: true, 
-    timestamp: new Date().toISOString(),
-    data: req.body 
-  });
+// OpenAPI description of every route, generated from the router on first request
+let openApiDocument = null;
+app.get('/api/openapi.json', (req, res) => {
+  if (!openApiDocument) {
+    openApiDocument = openapi.buildDocument(app, {
+      title: 'Local Server Site Pusher API',
+      version: require('./package.json').version,
+      description: 'Admin, client, smart mirror, medication portal, device and public endpoints. Request bodies are validated against the schemas below.'
+    }, { sourceFiles: [__filename] });
+  }
+  res.json(openApiDocument);
+});
+
+// Gauges read when /metrics is scraped
+metrics.registerCollector(() => {
+  const memory = process.memoryUsage();
+  metrics.set('process_uptime_seconds', {}, Math.floor(process.uptime()));
+  for (const type of ['rss', 'heapTotal', 'heapUsed', 'external']) {
+    metrics.set('process_memory_bytes', { type }, memory[type]);
+  }
+  metrics.set('build_info', { version: require('./package.json').version, node: process.version }, 1);
+});
+metrics.registerCollector(() => {
+  const devices = remoteMgmt.listDevices();
+  const online = devices.filter(device => device.status === 'online').length;
+  metrics.set('remote_devices', { status: 'online' }, online);
+  metrics.set('remote_devices', { status: 'offline' }, devices.length - online);
+});
+metrics.registerCollector(() => {
+  const { lastSuccessAt } = backupScheduler.getStatus();
+  if (lastSuccessAt) {
+    const lastSuccessMs = new Date(lastSuccessAt).getTime();
+    metrics.set('backup_last_success_timestamp_seconds', {}, Math.floor(lastSuccessMs / 1000));
+    metrics.set('backup_age_seconds', {}, Math.floor((Date.now() - lastSuccessMs) / 1000));
+  }
+});
+
+// Prometheus metrics. When METRICS_TOKEN (or config.metrics.token) is set,
+// scrapers must send "Authorization: Bearer <token>".
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN || config.metrics?.token;
+  if (token) {
+    const match = String(req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    const expected = crypto.createHash('sha256').update(String(token)).digest();
+    const actual = crypto.createHash('sha256').update(match ? match[1].trim() : '').digest();
+    if (!match || !crypto.timingSafeEqual(expected, actual)) {
+      res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+      return res.status(401).type('text/plain').send('Unauthorized\n');
+    }
+  }
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
+// Readiness checks for /readyz (see modules/health.js)
+health.registerCheck('storage', () => {
+  const dirs = { config: health.checkWritableDirectory(configDir), uploads: health.checkWritableDirectory(uploadsDir) };
+  return { status: Object.values(dirs).some(dir => dir.status === 'fail') ? 'fail' : 'ok', ...dirs };
+});
+health.registerCheck('encryptedFiles', () => {
+  const unreadable = secrets.verifyStores().filter(store => !store.readable);
+  return unreadable.length > 0
+    ? { status: 'fail', unreadable: unreadable.map(({ file, error }) => ({ file, error })) }
+    : { status: 'ok' };
+});
+health.registerCheck('staticFiles', () => {
+  const { checked, missing } = publicFilesRegenerator.getStaticFileStatus();
+  return missing.length > 0 ? { status: 'fail', checked, missing } : { status: 'ok', checked };
+});
+health.registerCheck('schedulers', () => {
+  const schedulers = jobScheduler.getLiveness();
+  return { status: Object.values(schedulers).some(job => job.status === 'fail') ? 'fail' : 'ok', ...schedulers };
+});
+
+// Reachability of other services; problems are reported as "degraded"
+async function checkReachable(url, headers = {}) {
+  try {
+    const response = await axios.get(url, { headers, timeout: 3000, validateStatus: () => true });
+    return response.status < 500
+      ? { status: 'ok', statusCode: response.status }
+      : { status: 'degraded', statusCode: response.status };
+  } catch (error) {
+    return { status: 'degraded', error: error.code || error.message };
+  }
+}
+health.registerCheck('homeAssistant', () => {
+  const haConfig = config.homeAssistant || {};
+  if (!haConfig.enabled || !haConfig.url || !haConfig.token) {
+    return { status: 'ok', enabled: false };
+  }
+  return checkReachable(`${haConfig.url.replace(/\/$/, '')}/api/`, { Authorization: `Bearer ${haConfig.token}` });
+}, { downstream: true });
+health.registerCheck('github', () => {
+  const vidiotsPages = config.vidiots?.githubPages?.enabled && moduleRegistry.isEnabled('vidiots');
+  const espressoPages = config.espresso?.githubPages?.enabled && moduleRegistry.isEnabled('espresso');
+  if (!vidiotsPages && !espressoPages) {
+    return { status: 'ok', enabled: false };
+  }
+  return checkReachable('https://api.github.com');
+}, { downstream: true });
+
+// Liveness: the process answers. Used by the Docker HEALTHCHECK.
+app.get('/healthz', (req, res) => {
+  res.json(health.getLiveness());
+});
+
+// Readiness: storage, encrypted files, static files and schedulers.
+// ?downstream=1 (or config.health.checkDownstream) also checks Home Assistant and GitHub.
+app.get('/readyz', async (req, res) => {
+  const downstream = req.query.downstream === '1' || req.query.downstream === 'true' || config.health?.checkDownstream === true;
+  const readiness = await health.getReadiness({ downstream });
+  res.status(readiness.status === 'fail' ? 503 : 200).json(readiness);
+});
+
+// Scheduled jobs: registry with next and last run
+app.get('/admin/api/jobs', requireAuth, (req, res) => {
+  res.json({ success: true, jobs: jobScheduler.listJobs() });
+});
+
+app.get('/admin/api/jobs/:id/history', requireAuth, (req, res) => {
+  if (!jobScheduler.getJob(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 50);
+  res.json({ success: true, history: jobScheduler.getHistory(req.params.id, limit) });
+});
+
+app.post('/admin/api/jobs/:id/pause', requireAuth, (req, res) => {
+  const result = jobScheduler.pauseJob(req.params.id);
+  res.status(result.success ? 200 : (result.error === 'Job not found' ? 404 : 500)).json(result);
+});
+
+app.post('/admin/api/jobs/:id/resume', requireAuth, (req, res) => {
+  const result = jobScheduler.resumeJob(req.params.id);
+  res.status(result.success ? 200 : (result.error === 'Job not found' ? 404 : 500)).json(result);
+});
+
+// Run a job now and wait for it to finish; 409 while a run is in progress
+app.post('/admin/api/jobs/:id/run', requireAuth, async (req, res) => {
+  if (!jobScheduler.getJob(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  const result = await jobScheduler.runJob(req.params.id, 'manual');
+  if (!result.run) {
+    return res.status(result.running ? 409 : 400).json(result);
+  }
+  res.json({ success: result.success, run: result.run, job: jobScheduler.getJob(req.params.id) });
+});
+
+// Optional modules (vidiots, espresso, tournaments, ...) and whether they are switched on
+app.get('/admin/api/modules', requireAuth, (req, res) => {
+  res.json({ success: true, modules: moduleRegistry.listModules() });
+});
+
+// Switch a module on or off: opens or closes its routes and registers its jobs again
+app.put('/admin/api/modules/:id', requireAuth, requireSameOriginForAdminWrite, openapi.validateBody('ModuleToggle'), async (req, res) => {
+  const result = await moduleRegistry.setEnabled(req.params.id, req.body.enabled);
+  if (result.success) {
+    // The OpenAPI document lists the routes of enabled modules only
+    openApiDocument = null;
+  }
+  sendResult(res, result, 'INTERNAL_ERROR');
+});
+
+// Change a job's cron schedule ({ schedule: null } restores the default)
+app.put('/admin/api/jobs/:id/schedule', requireAuth, openapi.validateBody('JobSchedule'), (req, res) => {
+  if (!jobScheduler.getJob(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  const result = jobScheduler.updateSchedule(req.params.id, req.body?.schedule ?? null);
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+// Audit log of API changes, newest first
+// Filters: actor, type, entityId, action, changesOnly, from, to, q; paging: limit, offset
+app.get('/admin/api/audit', requireAuth, (req, res) => {
+  const { actor, type, entityId, action, from, to, q } = req.query;
+  const result = auditLog.listEvents(
+    { actor, type, entityId, action, from, to, q, changesOnly: req.query.changesOnly === 'true' },
+    { limit: parseInt(req.query.limit, 10) || 50, offset: parseInt(req.query.offset, 10) || 0 }
+  );
+  res.json({ success: true, ...result });
+});
+
+app.get('/admin/api/audit/:id', requireAuth, (req, res) => {
+  const event = auditLog.getEvent(req.params.id);
+  if (!event) {
+    return sendError(res, 'AUDIT_EVENT_NOT_FOUND');
+  }
+  res.json({ success: true, event });
+});
+
+// Undo the changes of an event; only while the changed items exist and have not been changed since
+app.post('/admin/api/audit/:id/revert', requireAuth, requireSameOriginForAdminWrite, async (req, res) => {
+  const result = await auditLog.revertEvent(req.params.id, req);
+  sendResult(res, result, 'INTERNAL_ERROR');
+});
+
+/**
+ * Rate limiter for inbound hooks; checked before the hook secret so guessing is slow.
+ */
+const inboundHookRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many requests – please wait and retry' },
+  handler: (req, res, next, options) => {
+    logger.warning(logger.categories.WEBHOOKS, `[Inbound Hooks] Rate limit exceeded for IP ${req.ip}`);
+    res.status(options.statusCode).json(options.message);
+  },
+});
+
+// Inbound automation hook: runs the hook's rules against the JSON body
+// Auth: "Authorization: Bearer <hook secret>"
+app.post('/api/hooks/:id', inboundHookRateLimit, async (req, res, next) => {
+  const match = String(req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const hook = match ? inboundHooks.authenticate(req.params.id, match[1].trim()) : null;
+  if (!hook) {
+    logger.warning(logger.categories.WEBHOOKS, `[Inbound Hooks] Rejected request for hook ${req.params.id} from ${req.ip}`);
+    return res.status(401).json({ success: false, error: 'Unknown hook or invalid secret' });
+  }
+  req.inboundHook = hook;
+  auditLog.snapshotBefore(req);
+
+  try {
+    const execution = await inboundHooks.execute(hook, req.body, { ip: req.ip });
+    res.status(execution.status === 'failed' ? 500 : 200).json({
+      success: execution.status !== 'failed',
+      executionId: execution.id,
+      status: execution.status,
+      results: execution.results.filter(result => result.matched)
+        .map(({ rule, action, success, detail, error }) => ({ rule, action, success, detail, error }))
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
-// API endpoint for external GET requests
-app.get('/api/data', (req, res) => {
-  res.json({
-    message: 'Data endpoint',
-    timestamp: new Date().toISOString(),
-    parameters: req.query
-  });
+// The echo-only /api/webhook and /api/data endpoints were replaced by inbound hooks
+app.all(['/api/webhook', '/api/data'], (req, res) => {
+  sendError(res, 'ENDPOINT_REMOVED',
+    'This endpoint was removed. Create an inbound hook under Admin → Webhooks → Inbound Hooks and POST to /api/hooks/<id>.');
 });
 
 // Home Assistant Media Streaming API endpoint
@@ -2664,17 +3689,13 @@ app.get('/api/media-streaming', async (req, res) => {
     const mediaConfig = haConfig.mediaPlayers || {};
 
     if (!haConfig.enabled) {
-      return res.json({
-        success: false,
-        error: 'Home Assistant integration is disabled',
+      return sendError(res, 'HOME_ASSISTANT_NOT_CONFIGURED', 'Home Assistant integration is disabled', {
         data: formatMediaStreamingData([])
       });
     }
 
     if (!mediaConfig.enabled) {
-      return res.json({
-        success: false,
-        error: 'Media player integration is disabled',
+      return sendError(res, 'HOME_ASSISTANT_NOT_CONFIGURED', 'Media player integration is disabled', {
         data: formatMediaStreamingData([])
       });
     }
@@ -2682,9 +3703,7 @@ app.get('/api/media-streaming', async (req, res) => {
     const result = await getHomeAssistantMediaPlayers();
     
     if (!result.success) {
-      return res.json({
-        success: false,
-        error: result.error,
+      return sendError(res, 'UPSTREAM_ERROR', result.error, {
         data: formatMediaStreamingData([])
       });
     }
@@ -2698,11 +3717,7 @@ app.get('/api/media-streaming', async (req, res) => {
     });
   } catch (error) {
     console.error('Error in media streaming API:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      data: formatMediaStreamingData([])
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error', { data: formatMediaStreamingData([]) });
   }
 });
 
@@ -2716,6 +3731,16 @@ app.get('/kiosk', (req, res) => {
   res.sendFile(path.join(__dirname, 'kiosk.html'));
 });
 
+// Serve the browser-side renderer of a widget plugin
+app.get('/smart-mirror/plugins/:id/widget.js', (req, res) => {
+  const rendererPath = smartMirrorPlugins.getRendererPath(req.params.id);
+  if (!rendererPath) {
+    return res.status(404).type('text/plain').send('Widget plugin not found');
+  }
+  res.setHeader('Cache-Control', 'no-cache');
+  res.sendFile(rendererPath);
+});
+
 // Smart Mirror dashboard route (no authentication required)
 app.get('/smart-mirror', (req, res) => {
   const requestContext = {
@@ -2998,6 +4023,28 @@ app.get('/smart-mirror-l', (req, res) => {
   res.sendFile(dashboardPath);
 });
 
+// Smart Mirror Dashboard - named mirror profiles (their own widgets, layouts and theme)
+// /smart-mirror/<profile> detects the orientation like /smart-mirror; /smart-mirror-l/<profile> is landscape
+app.get(['/smart-mirror/:profile', '/smart-mirror-l/:profile'], (req, res) => {
+  const ip = req.ip || req.connection.remoteAddress;
+  const profileConfig = smartMirror.getProfileConfig(req.params.profile);
+  
+  if (!profileConfig || !profileConfig.enabled) {
+    const reason = profileConfig ? 'the Smart Mirror dashboard is disabled' : 'no such profile';
+    logger.warning(logger.categories.SMART_MIRROR, `Dashboard access for profile ${req.params.profile} from ${ip} refused: ${reason}`);
+    return res.status(404).type('text/plain').send(profileConfig
+      ? 'The Smart Mirror dashboard is currently disabled. Enable it in the admin settings.'
+      : `Mirror profile not found: ${req.params.profile}`);
+  }
+  
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+  
+  logger.success(logger.categories.SMART_MIRROR, `Dashboard for profile ${req.params.profile} served to ${ip}`);
+  res.sendFile(path.join(__dirname, 'public', 'smart-mirror.html'));
+});
+
 // Client API endpoints
 app.get('/api/client/config', (req, res) => {
   // Ensure client config exists with defaults
@@ -3018,7 +4065,7 @@ app.get('/api/client/config', (req, res) => {
   });
 });
 
-app.post('/api/client/authenticate', (req, res) => {
+app.post('/api/client/authenticate', openapi.validateBody('ClientAuthenticate'), (req, res) => {
   const { password } = req.body;
   
   // Ensure client config exists
@@ -3046,7 +4093,7 @@ app.post('/api/client/authenticate', (req, res) => {
 });
 
 // Client password management endpoints
-app.post('/api/client/set-password', (req, res) => {
+app.post('/api/client/set-password', openapi.validateBody('ClientSetPassword'), (req, res) => {
   const { newPassword } = req.body;
   
   // Validate input
@@ -3105,7 +4152,7 @@ app.post('/api/client/set-password', (req, res) => {
         errorMessage = `Failed to save password: ${saveResult.error}`;
       }
       
-      res.status(500).json({ error: errorMessage });
+      sendError(res, NOT_WRITABLE_ERRNOS.includes(saveResult.code) ? 'CONFIG_NOT_WRITABLE' : 'INTERNAL_ERROR', errorMessage);
     }
   } catch (err) {
     logError(logger.categories.CLIENT, err, {
@@ -3113,15 +4160,11 @@ app.post('/api/client/set-password', (req, res) => {
       hasExistingPassword: !!loadClientPasswordHash()
     });
     
-    res.status(500).json({ 
-      error: 'Failed to set password',
-      details: err.message,
-      solution: 'Check that the config directory exists and is writable. Verify sufficient disk space is available.'
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to set password', { solution: 'Check that the config directory exists and is writable. Verify sufficient disk space is available.' });
   }
 });
 
-app.post('/api/client/change-password', (req, res) => {
+app.post('/api/client/change-password', openapi.validateBody('ChangePassword'), (req, res) => {
   const { currentPassword, newPassword } = req.body;
   
   // Validate input
@@ -3173,22 +4216,18 @@ app.post('/api/client/change-password', (req, res) => {
         errorMessage = `Failed to save new password: ${saveResult.error}`;
       }
       
-      res.status(500).json({ error: errorMessage });
+      sendError(res, NOT_WRITABLE_ERRNOS.includes(saveResult.code) ? 'CONFIG_NOT_WRITABLE' : 'INTERNAL_ERROR', errorMessage);
     }
   } catch (err) {
     logError(logger.categories.CLIENT, err, {
       operation: 'Change client password'
     });
     
-    res.status(500).json({ 
-      error: 'Failed to change password',
-      details: err.message,
-      solution: 'Verify your current password is correct. Check that the config directory is writable and has sufficient space.'
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to change password', { solution: 'Verify your current password is correct. Check that the config directory is writable and has sufficient space.' });
   }
 });
 
-app.post('/api/client/remove-password', (req, res) => {
+app.post('/api/client/remove-password', openapi.validateBody('ClientRemovePassword'), (req, res) => {
   const { currentPassword } = req.body;
   
   // Validate input
@@ -3228,22 +4267,18 @@ app.post('/api/client/remove-password', (req, res) => {
         message: 'Password protection removed successfully' 
       });
     } else {
-      res.status(500).json({ error: 'Failed to remove password' });
+      sendError(res, 'INTERNAL_ERROR', 'Failed to remove password');
     }
   } catch (err) {
     logError(logger.categories.CLIENT, err, {
       operation: 'Remove client password'
     });
     
-    res.status(500).json({ 
-      error: 'Failed to remove password',
-      details: err.message,
-      solution: 'Verify your current password is correct. Check that the config directory is writable.'
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to remove password', { solution: 'Verify your current password is correct. Check that the config directory is writable.' });
   }
 });
 
-app.get('/api/client/password-status', (req, res) => {
+app.get('/api/client/password-status', (req, res, next) => {
   try {
     const hasPassword = loadClientPasswordHash() !== null;
     const clientConfig = config.client || { requirePassword: false };
@@ -3254,11 +4289,11 @@ app.get('/api/client/password-status', (req, res) => {
       isProtected: hasPassword && clientConfig.requirePassword
     });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to check password status: ' + err.message });
+    next(err);
   }
 });
 
-app.post('/api/client/register', (req, res) => {
+app.post('/api/client/register', openapi.validateBody('ClientRegister'), async (req, res, next) => {
   try {
     // Check if client access is enabled (no device check needed for registration)
     if (!config.client?.enabled) {
@@ -3271,40 +4306,33 @@ app.post('/api/client/register', (req, res) => {
       return res.status(400).json({ error: 'Device ID is required' });
     }
     
-    // Initialize connectedDevices if it doesn't exist
-    if (!config.connectedDevices) {
-      config.connectedDevices = [];
-    }
-    
     // Find existing device or create new one
-    let device = config.connectedDevices.find(d => d.deviceId === deviceId);
-    
-    if (device) {
-      // Update existing device
-      device.lastSeen = new Date().toISOString();
-      device.deviceType = deviceType || device.deviceType;
-      device.browserInfo = browserInfo || device.browserInfo;
-      device.userAgent = userAgent || device.userAgent;
-      device.ip = req.ip || req.connection.remoteAddress;
-    } else {
-      // Create new device entry
-      device = {
-        deviceId: deviceId,
-        deviceType: deviceType || 'Unknown',
-        browserInfo: browserInfo || 'Unknown',
-        userAgent: userAgent || '',
-        name: '',
-        ip: req.ip || req.connection.remoteAddress,
-        firstSeen: new Date().toISOString(),
-        lastSeen: new Date().toISOString()
-      };
-      config.connectedDevices.push(device);
-    }
-    
-    // Try to persist to file
-    if (configWritable) {
-      createConfigFile(configPath, config);
-    }
+    const device = await configStore.transaction('connectedDevices', devices => {
+      let device = devices.find(d => d.deviceId === deviceId);
+      
+      if (device) {
+        // Update existing device
+        device.lastSeen = new Date().toISOString();
+        device.deviceType = deviceType || device.deviceType;
+        device.browserInfo = browserInfo || device.browserInfo;
+        device.userAgent = userAgent || device.userAgent;
+        device.ip = req.ip || req.connection.remoteAddress;
+      } else {
+        // Create new device entry
+        device = {
+          deviceId: deviceId,
+          deviceType: deviceType || 'Unknown',
+          browserInfo: browserInfo || 'Unknown',
+          userAgent: userAgent || '',
+          name: '',
+          ip: req.ip || req.connection.remoteAddress,
+          firstSeen: new Date().toISOString(),
+          lastSeen: new Date().toISOString()
+        };
+        devices.push(device);
+      }
+      return device;
+    }, { defaultValue: [] });
     
     res.json({ 
       success: true, 
@@ -3312,11 +4340,11 @@ app.post('/api/client/register', (req, res) => {
       deviceName: device.name
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to register device: ' + error.message });
+    next(error);
   }
 });
 
-app.post('/api/client/update-name', requireClientAuth, (req, res) => {
+app.post('/api/client/update-name', requireClientAuth, openapi.validateBody('ClientDeviceName'), async (req, res, next) => {
   try {
     const { deviceId, name } = req.body;
     
@@ -3324,27 +4352,23 @@ app.post('/api/client/update-name', requireClientAuth, (req, res) => {
       return res.status(400).json({ error: 'Device ID is required' });
     }
     
-    if (!config.connectedDevices) {
-      config.connectedDevices = [];
-    }
-    
-    const device = config.connectedDevices.find(d => d.deviceId === deviceId);
-    
-    if (device) {
+    const updated = await configStore.transaction('connectedDevices', devices => {
+      const device = devices.find(d => d.deviceId === deviceId);
+      if (!device) {
+        return false;
+      }
       device.name = name || '';
       device.lastSeen = new Date().toISOString();
-      
-      // Try to persist to file
-      if (configWritable) {
-        createConfigFile(configPath, config);
-      }
-      
+      return true;
+    }, { defaultValue: [] });
+    
+    if (updated) {
       res.json({ success: true, message: 'Device name updated successfully' });
     } else {
       res.status(404).json({ error: 'Device not found' });
     }
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update device name: ' + error.message });
+    next(error);
   }
 });
 
@@ -3359,7 +4383,7 @@ app.get('/api/client/ip', (req, res) => {
 });
 
 // Get visitor status endpoint (no authentication required)
-app.get('/api/visitor/status/:deviceId', (req, res) => {
+app.get('/api/visitor/status/:deviceId', (req, res, next) => {
   try {
     const deviceId = req.params.deviceId;
     
@@ -3378,12 +4402,12 @@ app.get('/api/visitor/status/:deviceId', (req, res) => {
       deviceType: device ? device.deviceType : null
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get visitor status: ' + error.message });
+    next(error);
   }
 });
 
 // Get server info for visitors (no authentication required)
-app.get('/api/visitor/server-info', (req, res) => {
+app.get('/api/visitor/server-info', (req, res, next) => {
   try {
     // Get server name from config or use default
     const serverName = config.server?.name || 'Local Server Site Pusher';
@@ -3418,12 +4442,12 @@ app.get('/api/visitor/server-info', (req, res) => {
       serverVersion: require('./package.json').version
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get server info: ' + error.message });
+    next(error);
   }
 });
 
 // Visitor registration endpoint (no authentication required)
-app.post('/api/visitor/register', (req, res) => {
+app.post('/api/visitor/register', openapi.validateBody('VisitorRegister'), async (req, res, next) => {
   try {
     const { name, deviceId, deviceType, userAgent, password } = req.body;
     
@@ -3431,44 +4455,35 @@ app.post('/api/visitor/register', (req, res) => {
       return res.status(400).json({ error: 'Name and device ID are required' });
     }
     
-    // Initialize connectedDevices if it doesn't exist
-    if (!config.connectedDevices) {
-      config.connectedDevices = [];
-    }
-    
-    // Check if device already exists
-    let device = config.connectedDevices.find(d => d.deviceId === deviceId);
-    
-    if (device) {
-      // Update existing device
-      device.name = name;
-      device.lastSeen = new Date().toISOString();
-      device.deviceType = deviceType || device.deviceType;
-      device.userAgent = userAgent || device.userAgent;
-      device.ip = req.ip || req.connection.remoteAddress;
-      if (password) {
-        device.password = password; // In production, this should be hashed
+    await configStore.transaction('connectedDevices', devices => {
+      // Check if device already exists
+      const device = devices.find(d => d.deviceId === deviceId);
+      
+      if (device) {
+        // Update existing device
+        device.name = name;
+        device.lastSeen = new Date().toISOString();
+        device.deviceType = deviceType || device.deviceType;
+        device.userAgent = userAgent || device.userAgent;
+        device.ip = req.ip || req.connection.remoteAddress;
+        if (password) {
+          device.password = password; // In production, this should be hashed
+        }
+      } else {
+        // Create new device entry
+        devices.push({
+          deviceId: deviceId,
+          name: name,
+          deviceType: deviceType || 'Visitor',
+          browserInfo: 'Unknown',
+          userAgent: userAgent || '',
+          password: password || null, // In production, this should be hashed
+          ip: req.ip || req.connection.remoteAddress,
+          firstSeen: new Date().toISOString(),
+          lastSeen: new Date().toISOString()
+        });
       }
-    } else {
-      // Create new device entry
-      device = {
-        deviceId: deviceId,
-        name: name,
-        deviceType: deviceType || 'Visitor',
-        browserInfo: 'Unknown',
-        userAgent: userAgent || '',
-        password: password || null, // In production, this should be hashed
-        ip: req.ip || req.connection.remoteAddress,
-        firstSeen: new Date().toISOString(),
-        lastSeen: new Date().toISOString()
-      };
-      config.connectedDevices.push(device);
-    }
-    
-    // Try to persist to file
-    if (configWritable) {
-      createConfigFile(configPath, config);
-    }
+    }, { defaultValue: [] });
     
     res.json({ 
       success: true, 
@@ -3480,7 +4495,7 @@ app.post('/api/visitor/register', (req, res) => {
     });
     
   } catch (error) {
-    res.status(500).json({ error: 'Failed to register visitor: ' + error.message });
+    next(error);
   }
 });
 
@@ -3511,7 +4526,7 @@ app.get('/admin/api/client', requireAuth, (req, res) => {
   });
 });
 
-app.post('/admin/api/client', requireAuth, (req, res) => {
+app.post('/admin/api/client', requireAuth, openapi.validateBody('ClientSettings'), (req, res, next) => {
   try {
     const { enabled, showServerStatus, showUsefulLinks, welcomeMessage } = req.body;
     
@@ -3558,11 +4573,11 @@ app.post('/admin/api/client', requireAuth, (req, res) => {
       });
     }
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update client configuration: ' + error.message });
+    next(error);
   }
 });
 
-app.delete('/admin/api/client/device/:deviceId', requireAuth, (req, res) => {
+app.delete('/admin/api/client/device/:deviceId', requireAuth, async (req, res, next) => {
   try {
     const deviceId = req.params.deviceId;
     
@@ -3570,30 +4585,31 @@ app.delete('/admin/api/client/device/:deviceId', requireAuth, (req, res) => {
       return res.status(404).json({ error: 'No devices found' });
     }
     
-    const initialLength = config.connectedDevices.length;
-    config.connectedDevices = config.connectedDevices.filter(device => device.deviceId !== deviceId);
-    
-    if (config.connectedDevices.length === initialLength) {
+    const removed = await removeConnectedDevice(deviceId);
+    if (!removed) {
       return res.status(404).json({ error: 'Device not found' });
     }
     
-    // Try to persist to file
-    if (configWritable) {
-      createConfigFile(configPath, config);
-    }
-    
     res.json({ 
       success: true, 
       message: 'Device removed successfully',
       devices: config.connectedDevices
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to remove device: ' + error.message });
+    next(error);
   }
 });
 
+// Remove a device record under the connectedDevices lock; resolves to the removed device or null
+function removeConnectedDevice(deviceId) {
+  return configStore.transaction('connectedDevices', devices => {
+    const index = devices.findIndex(device => device.deviceId === deviceId);
+    return index === -1 ? null : devices.splice(index, 1)[0];
+  }, { defaultValue: [] });
+}
+
 // Delete client and all their data (device record + files)
-app.delete('/admin/api/client/:deviceId', requireAuth, (req, res) => {
+app.delete('/admin/api/client/:deviceId', requireAuth, async (req, res, next) => {
   try {
     const deviceId = req.params.deviceId;
     
@@ -3601,16 +4617,12 @@ app.delete('/admin/api/client/:deviceId', requireAuth, (req, res) => {
       return res.status(404).json({ error: 'No devices found' });
     }
     
-    // Find the device to get its name for the response
-    const device = config.connectedDevices.find(d => d.deviceId === deviceId);
+    // Remove device from connected devices list (keeping it for the response)
+    const device = await removeConnectedDevice(deviceId);
     if (!device) {
       return res.status(404).json({ error: 'Device not found' });
     }
     
-    // Remove device from connected devices list
-    const initialLength = config.connectedDevices.length;
-    config.connectedDevices = config.connectedDevices.filter(device => device.deviceId !== deviceId);
-    
     // Check if this was the last client - if so, clear global password data
     const wasLastClient = config.connectedDevices.length === 0;
     let passwordCleared = false;
@@ -3623,7 +4635,9 @@ app.delete('/admin/api/client/:deviceId', requireAuth, (req, res) => {
         
         // Disable password protection in config
         if (config.client) {
-          config.client.requirePassword = false;
+          await configStore.transaction('client', client => {
+            client.requirePassword = false;
+          });
         }
       } else {
         console.warn('Failed to clear global client password on last client deletion');
@@ -3641,11 +4655,6 @@ app.delete('/admin/api/client/:deviceId', requireAuth, (req, res) => {
       }
     }
     
-    // Try to persist config changes to file
-    if (configWritable) {
-      createConfigFile(configPath, config);
-    }
-    
     let message = `Client "${device.name || 'Unnamed Device'}" and all associated data deleted successfully`;
     if (passwordCleared) {
       message += '. Global password protection has been cleared since no clients remain.';
@@ -3663,7 +4672,7 @@ app.delete('/admin/api/client/:deviceId', requireAuth, (req, res) => {
       passwordCleared: passwordCleared
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete client: ' + error.message });
+    next(error);
   }
 });
 
@@ -3775,13 +4784,13 @@ app.post('/api/client/files/upload', (req, res) => {
         console.warn('Failed to clean up temporary file:', cleanupErr.message);
       }
       
-      res.status(500).json({ error: 'Failed to process upload: ' + error.message });
+      sendError(res, 'INTERNAL_ERROR', 'Failed to process upload');
     }
   });
 });
 
 // List client files
-app.get('/api/client/files', requireClientAuth, (req, res) => {
+app.get('/api/client/files', requireClientAuth, (req, res, next) => {
   try {
     const metadata = getClientFilesMetadata(req.deviceId);
     const fileList = Object.entries(metadata.files).map(([filename, info]) => ({
@@ -3798,12 +4807,12 @@ app.get('/api/client/files', requireClientAuth, (req, res) => {
       files: fileList
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to list files: ' + error.message });
+    next(error);
   }
 });
 
 // Update file sharing permissions
-app.patch('/api/client/files/:filename/sharing', requireClientAuth, (req, res) => {
+app.patch('/api/client/files/:filename/sharing', requireClientAuth, openapi.validateBody('ClientFileSharing'), (req, res, next) => {
   try {
     const { filename } = req.params;
     const { sharing } = req.body;
@@ -3822,12 +4831,12 @@ app.patch('/api/client/files/:filename/sharing', requireClientAuth, (req, res) =
       message: 'File sharing updated successfully'
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update file sharing: ' + error.message });
+    next(error);
   }
 });
 
 // Delete client file
-app.delete('/api/client/files/:filename', requireClientAuth, (req, res) => {
+app.delete('/api/client/files/:filename', requireClientAuth, (req, res, next) => {
   try {
     const { filename } = req.params;
     const filePath = path.join(uploadsDir, req.deviceId, filename);
@@ -3848,12 +4857,12 @@ app.delete('/api/client/files/:filename', requireClientAuth, (req, res) => {
       message: 'File deleted successfully'
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete file: ' + error.message });
+    next(error);
   }
 });
 
 // Serve client files with permission checks
-app.get('/files/:deviceId/:filename', (req, res) => {
+app.get('/files/:deviceId/:filename', (req, res, next) => {
   try {
     const { deviceId, filename } = req.params;
     const filePath = path.join(uploadsDir, deviceId, filename);
@@ -3892,12 +4901,12 @@ app.get('/files/:deviceId/:filename', (req, res) => {
     // Serve the file
     res.sendFile(filePath);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to serve file: ' + error.message });
+    next(error);
   }
 });
 
 // Admin endpoint to view all client files
-app.get('/admin/api/client/files', requireAuth, (req, res) => {
+app.get('/admin/api/client/files', requireAuth, (req, res, next) => {
   try {
     const allFiles = [];
     
@@ -3933,12 +4942,12 @@ app.get('/admin/api/client/files', requireAuth, (req, res) => {
       files: allFiles
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to list client files: ' + error.message });
+    next(error);
   }
 });
 
 // Get system disk space information
-app.get('/admin/api/system/disk-space', requireAuth, (req, res) => {
+app.get('/admin/api/system/disk-space', requireAuth, (req, res, next) => {
   try {
     const stats = fs.statSync(uploadsDir);
     
@@ -3972,15 +4981,12 @@ app.get('/admin/api/system/disk-space', requireAuth, (req, res) => {
       });
     }
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to get disk space information: ' + error.message 
-    });
+    next(error);
   }
 });
 
 // Get client storage usage statistics by category
-app.get('/admin/api/client/storage-stats', requireAuth, (req, res) => {
+app.get('/admin/api/client/storage-stats', requireAuth, (req, res, next) => {
   try {
     const clientStats = {};
     
@@ -4025,12 +5031,12 @@ app.get('/admin/api/client/storage-stats', requireAuth, (req, res) => {
       clients: clientStats
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get storage statistics: ' + error.message });
+    next(error);
   }
 });
 
 // Home Assistant Media Streaming Admin API endpoints
-app.get('/admin/api/media-streaming/config', requireAuth, (req, res) => {
+app.get('/admin/api/media-streaming/config', requireAuth, (req, res, next) => {
   try {
     const haConfig = config.homeAssistant || {};
     const mediaConfig = haConfig.mediaPlayers || {};
@@ -4049,11 +5055,11 @@ app.get('/admin/api/media-streaming/config', requireAuth, (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get media streaming configuration: ' + error.message });
+    next(error);
   }
 });
 
-app.post('/admin/api/media-streaming/config', requireAuth, (req, res) => {
+app.post('/admin/api/media-streaming/config', requireAuth, openapi.validateBody('MediaStreamingConfig'), (req, res, next) => {
   try {
     const { homeAssistant } = req.body;
     
@@ -4122,7 +5128,7 @@ app.post('/admin/api/media-streaming/config', requireAuth, (req, res) => {
       });
     }
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update media streaming configuration: ' + error.message });
+    next(error);
   }
 });
 
@@ -4131,11 +5137,7 @@ app.get('/admin/api/media-streaming/test', requireAuth, async (req, res) => {
     const result = await getHomeAssistantMediaPlayers();
     
     if (!result.success) {
-      return res.json({
-        success: false,
-        error: result.error,
-        players: []
-      });
+      return sendError(res, 'UPSTREAM_ERROR', result.error, { players: [] });
     }
     
     const formattedData = formatMediaStreamingData(result.players);
@@ -4146,16 +5148,13 @@ app.get('/admin/api/media-streaming/test', requireAuth, async (req, res) => {
       data: formattedData
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to test Home Assistant connection: ' + error.message,
-      players: []
-    });
+    logError(logger.categories.HOME_ASSISTANT, error, { operation: 'Test Home Assistant media players' });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to test Home Assistant connection', { players: [] });
   }
 });
 
 // Vidiots API endpoints
-app.get('/admin/api/vidiots/status', requireAuth, (req, res) => {
+app.get('/admin/api/vidiots/status', requireAuth, (req, res, next) => {
   try {
     const status = vidiots.getStatus();
     res.json({
@@ -4163,14 +5162,11 @@ app.get('/admin/api/vidiots/status', requireAuth, (req, res) => {
       status
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to get vidiots status: ' + error.message 
-    });
+    next(error);
   }
 });
 
-app.get('/admin/api/vidiots/config', requireAuth, (req, res) => {
+app.get('/admin/api/vidiots/config', requireAuth, (req, res, next) => {
   try {
     const vidiotsConfig = config.vidiots || {};
     res.json({
@@ -4178,14 +5174,11 @@ app.get('/admin/api/vidiots/config', requireAuth, (req, res) => {
       config: vidiotsConfig
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to get vidiots configuration: ' + error.message 
-    });
+    next(error);
   }
 });
 
-app.post('/admin/api/vidiots/config', requireAuth, (req, res) => {
+app.post('/admin/api/vidiots/config', requireAuth, openapi.validateBody('VidiotsConfig'), (req, res, next) => {
   try {
     const { vidiots: newVidiotsConfig } = req.body;
     
@@ -4237,14 +5230,11 @@ app.post('/admin/api/vidiots/config', requireAuth, (req, res) => {
       });
     }
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to update vidiots configuration: ' + error.message 
-    });
+    next(error);
   }
 });
 
-app.post('/admin/api/vidiots/trigger', requireAuth, async (req, res) => {
+app.post('/admin/api/vidiots/trigger', requireAuth, async (req, res, next) => {
   try {
     console.log('🚀 Manual vidiots scrape triggered from admin interface');
     logger.info(logger.categories.BUILD, 'Vidiots scrape operation started');
@@ -4268,15 +5258,11 @@ app.post('/admin/api/vidiots/trigger', requireAuth, async (req, res) => {
       ...result
     });
   } catch (error) {
-    logger.error(logger.categories.BUILD, `Vidiots scrape error: ${error.message}`);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to trigger vidiots scrape: ' + error.message 
-    });
+    next(error);
   }
 });
 
-app.post('/admin/api/vidiots/github/test', requireAuth, async (req, res) => {
+app.post('/admin/api/vidiots/github/test', requireAuth, async (req, res, next) => {
   try {
     console.log('🧪 [GitHub] Testing GitHub connection from admin interface');
     const result = await vidiots.githubUpload.testConnection();
@@ -4287,14 +5273,11 @@ app.post('/admin/api/vidiots/github/test', requireAuth, async (req, res) => {
       ...result
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to test GitHub connection: ' + error.message 
-    });
+    next(error);
   }
 });
 
-app.post('/admin/api/vidiots/github/upload', requireAuth, async (req, res) => {
+app.post('/admin/api/vidiots/github/upload', requireAuth, async (req, res, next) => {
   try {
     console.log('📤 [GitHub] Manual GitHub Pages upload triggered from admin interface');
     logger.info(logger.categories.GITHUB, 'Manual GitHub Pages upload triggered');
@@ -4306,28 +5289,24 @@ app.post('/admin/api/vidiots/github/upload', requireAuth, async (req, res) => {
       logger.error(logger.categories.GITHUB, `GitHub Pages upload failed: ${result.error || 'Unknown error'}`);
     }
     
-    res.json({
+    res.status(result.success ? 200 : statusForCode(result.code || 'GITHUB_OPERATION_FAILED')).json({
       success: result.success,
       message: result.success ? 'Upload to GitHub Pages successful' : 'Upload to GitHub Pages failed',
       ...result
     });
   } catch (error) {
-    logger.error(logger.categories.GITHUB, `GitHub Pages upload error: ${error.message}`);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to upload to GitHub Pages: ' + error.message 
-    });
+    next(error);
   }
 });
 
 // Clone or pull GitHub.io repository
-app.post('/admin/api/vidiots/github/clone', requireAuth, async (req, res) => {
+app.post('/admin/api/vidiots/github/clone', requireAuth, async (req, res, next) => {
   try {
     console.log('📥 [GitHub] Clone/pull repository triggered from admin interface');
     logger.info(logger.categories.GITHUB, 'Clone/pull repository operation started');
     const result = await vidiots.githubUpload.cloneOrPullRepository();
     
-    res.json({
+    res.status(result.success ? 200 : statusForCode(result.code || 'GITHUB_OPERATION_FAILED')).json({
       success: result.success,
       message: result.success ? 
         `Repository ${result.action} successfully` : 
@@ -4335,15 +5314,12 @@ app.post('/admin/api/vidiots/github/clone', requireAuth, async (req, res) => {
       ...result
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to clone/pull repository: ' + error.message 
-    });
+    next(error);
   }
 });
 
 // Browse GitHub.io repository files
-app.get('/admin/api/vidiots/github/browse', requireAuth, (req, res) => {
+app.get('/admin/api/vidiots/github/browse', requireAuth, (req, res, next) => {
   try {
     const { path: browsePath = '' } = req.query;
     
@@ -4364,15 +5340,12 @@ app.get('/admin/api/vidiots/github/browse', requireAuth, (req, res) => {
       ...result
     });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to browse repository: ' + error.message 
-    });
+    next(error);
   }
 });
 
 // Download file from GitHub.io repository
-app.get('/admin/api/vidiots/github/download', requireAuth, (req, res) => {
+app.get('/admin/api/vidiots/github/download', requireAuth, (req, res, next) => {
   try {
     const { path: filePath } = req.query;
     
@@ -4399,15 +5372,12 @@ app.get('/admin/api/vidiots/github/download', requireAuth, (req, res) => {
     res.send(result.content);
     
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to download file: ' + error.message 
-    });
+    next(error);
   }
 });
 
 // Delete file from GitHub.io repository
-app.delete('/admin/api/vidiots/github/delete', requireAuth, (req, res) => {
+app.delete('/admin/api/vidiots/github/delete', requireAuth, (req, res, next) => {
   try {
     const { path: filePath } = req.query;
     
@@ -4429,15 +5399,12 @@ app.delete('/admin/api/vidiots/github/delete', requireAuth, (req, res) => {
     });
     
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to delete file: ' + error.message 
-    });
+    next(error);
   }
 });
 
 // Configure Git identity for GitHub operations  
-app.post('/admin/api/vidiots/github/git-config', requireAuth, async (req, res) => {
+app.post('/admin/api/vidiots/github/git-config', requireAuth, openapi.validateBody('GitIdentity'), async (req, res, next) => {
   try {
     const { userName, userEmail } = req.body;
     
@@ -4493,15 +5460,12 @@ app.post('/admin/api/vidiots/github/git-config', requireAuth, async (req, res) =
       ...result
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to configure git identity: ' + error.message
-    });
+    next(error);
   }
 });
 
 // Get current Git identity configuration
-app.get('/admin/api/vidiots/github/git-config', requireAuth, (req, res) => {
+app.get('/admin/api/vidiots/github/git-config', requireAuth, (req, res, next) => {
   try {
     console.log('📋 [GitHub] Retrieving current git identity configuration');
     const result = vidiots.githubUpload.getCurrentGitIdentity();
@@ -4511,10 +5475,7 @@ app.get('/admin/api/vidiots/github/git-config', requireAuth, (req, res) => {
       ...result
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve git identity: ' + error.message
-    });
+    next(error);
   }
 });
 
@@ -4544,19 +5505,18 @@ app.get('/vidiots', (req, res) => {
 // ================================================================
 
 // Get espresso data
-app.get('/get-text', (req, res) => {
+app.get('/get-text', (req, res, next) => {
   try {
     console.log('📊 [Espresso] GET /get-text - Fetching espresso data');
     const espressoData = espresso.getEspressoData();
     res.json(espressoData);
   } catch (error) {
-    console.error('❌ [Espresso] Error fetching data:', error.message);
-    res.status(500).json({ error: 'Failed to fetch espresso data' });
+    next(error);
   }
 });
 
 // Update espresso data
-app.post('/update-texts', express.json(), async (req, res) => {
+app.post('/update-texts', express.json(), openapi.validateBody('EspressoData'), async (req, res, next) => {
   try {
     console.log('📝 [Espresso] POST /update-texts - Updating espresso data');
     const updatedData = req.body;
@@ -4575,11 +5535,10 @@ app.post('/update-texts', express.json(), async (req, res) => {
         outputPath: result.outputPath
       });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (error) {
-    console.error('❌ [Espresso] Error updating data:', error.message);
-    res.status(500).json({ error: 'Failed to update espresso data' });
+    next(error);
   }
 });
 
@@ -4599,16 +5558,12 @@ app.get('/api/espresso', (req, res) => {
     });
   } catch (error) {
     console.error('❌ [Home Assistant] Error fetching espresso data:', error.message);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to fetch espresso data',
-      timestamp: new Date().toISOString()
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to fetch espresso data', { timestamp: new Date().toISOString() });
   }
 });
 
 // Home Assistant compatible POST endpoint for updating espresso data
-app.post('/api/espresso', express.json(), async (req, res) => {
+app.post('/api/espresso', express.json(), openapi.validateBody('EspressoData'), async (req, res) => {
   try {
     console.log('📝 [Home Assistant] POST /api/espresso - Updating espresso data');
     const updatedData = req.body;
@@ -4641,16 +5596,12 @@ app.post('/api/espresso', express.json(), async (req, res) => {
     }
   } catch (error) {
     console.error('❌ [Home Assistant] Error updating espresso data:', error.message);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to update espresso data',
-      timestamp: new Date().toISOString()
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to update espresso data', { timestamp: new Date().toISOString() });
   }
 });
 
 // Admin espresso status endpoint
-app.get('/admin/api/espresso/status', requireAuth, (req, res) => {
+app.get('/admin/api/espresso/status', requireAuth, (req, res, next) => {
   try {
     const status = espresso.getStatus();
     res.json({
@@ -4658,16 +5609,12 @@ app.get('/admin/api/espresso/status', requireAuth, (req, res) => {
       status
     });
   } catch (error) {
-    console.error('❌ [Espresso] Error getting status:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get espresso status: ' + error.message
-    });
+    next(error);
   }
 });
 
 // Admin espresso config endpoint  
-app.get('/admin/api/espresso/config', requireAuth, (req, res) => {
+app.get('/admin/api/espresso/config', requireAuth, (req, res, next) => {
   try {
     const espressoConfig = config.espresso || {};
     res.json({
@@ -4675,16 +5622,12 @@ app.get('/admin/api/espresso/config', requireAuth, (req, res) => {
       config: espressoConfig
     });
   } catch (error) {
-    console.error('❌ [Espresso] Error getting config:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get espresso config: ' + error.message
-    });
+    next(error);
   }
 });
 
 // Update espresso config
-app.post('/admin/api/espresso/config', requireAuth, (req, res) => {
+app.post('/admin/api/espresso/config', requireAuth, openapi.validateBody('EspressoConfig'), (req, res, next) => {
   try {
     const { espresso: newEspressoConfig } = req.body;
     
@@ -4740,11 +5683,7 @@ app.post('/admin/api/espresso/config', requireAuth, (req, res) => {
       });
     }
   } catch (error) {
-    console.error('❌ [Espresso] Error updating config:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update espresso configuration: ' + error.message
-    });
+    next(error);
   }
 });
 
@@ -4765,23 +5704,17 @@ app.post('/admin/api/espresso/generate', requireAuth, async (req, res) => {
       });
     } else {
       logger.error(logger.categories.BUILD, `Espresso HTML generation failed: ${result.error}`);
-      res.status(500).json({
-        success: false,
-        error: result.error
-      });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (error) {
     console.error('❌ [Espresso] Error generating HTML:', error.message);
     logger.error(logger.categories.BUILD, `Espresso HTML generation error: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate HTML: ' + error.message
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to generate HTML');
   }
 });
 
 // Admin espresso data endpoint - get espresso data for editing
-app.get('/admin/api/espresso/data', requireAuth, (req, res) => {
+app.get('/admin/api/espresso/data', requireAuth, (req, res, next) => {
   try {
     console.log('📊 [Espresso] GET /admin/api/espresso/data - Fetching espresso data for admin');
     const espressoData = espresso.getEspressoData();
@@ -4790,16 +5723,12 @@ app.get('/admin/api/espresso/data', requireAuth, (req, res) => {
       data: espressoData
     });
   } catch (error) {
-    console.error('❌ [Espresso] Error fetching data for admin:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch espresso data: ' + error.message
-    });
+    next(error);
   }
 });
 
 // Admin espresso data endpoint - update espresso data from admin interface
-app.post('/admin/api/espresso/data', requireAuth, async (req, res) => {
+app.post('/admin/api/espresso/data', requireAuth, openapi.validateBody('EspressoData'), async (req, res, next) => {
   try {
     console.log('📝 [Espresso] POST /admin/api/espresso/data - Updating espresso data from admin');
     const updatedData = req.body;
@@ -4822,17 +5751,10 @@ app.post('/admin/api/espresso/data', requireAuth, async (req, res) => {
         outputPath: result.outputPath
       });
     } else {
-      res.status(500).json({
-        success: false,
-        error: result.error
-      });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (error) {
-    console.error('❌ [Espresso] Error updating data from admin:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update espresso data: ' + error.message
-    });
+    next(error);
   }
 });
 
@@ -4893,7 +5815,7 @@ app.get('/espresso-editor', (req, res) => {
 });
 
 // Public espresso data API endpoint - get espresso data (no auth required)
-app.get('/api/espresso/data', (req, res) => {
+app.get('/api/espresso/data', (req, res, next) => {
   try {
     console.log('📊 [Espresso] GET /api/espresso/data - Fetching espresso data for public editor');
     const espressoData = espresso.getEspressoData();
@@ -4902,16 +5824,12 @@ app.get('/api/espresso/data', (req, res) => {
       data: espressoData
     });
   } catch (error) {
-    console.error('❌ [Espresso] Error fetching data for public editor:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch espresso data: ' + error.message
-    });
+    next(error);
   }
 });
 
 // Public espresso data API endpoint - update espresso data (no auth required)
-app.post('/api/espresso/data', express.json(), async (req, res) => {
+app.post('/api/espresso/data', express.json(), openapi.validateBody('EspressoData'), async (req, res, next) => {
   try {
     console.log('📝 [Espresso] POST /api/espresso/data - Updating espresso data from public editor');
     const updatedData = req.body;
@@ -4934,17 +5852,10 @@ app.post('/api/espresso/data', express.json(), async (req, res) => {
         outputPath: result.outputPath
       });
     } else {
-      res.status(500).json({
-        success: false,
-        error: result.error
-      });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (error) {
-    console.error('❌ [Espresso] Error updating data from public editor:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update espresso data: ' + error.message
-    });
+    next(error);
   }
 });
 
@@ -5013,13 +5924,13 @@ app.post('/admin/api/espresso/upload-template', requireAuth, (req, res) => {
       }
       
       console.error('❌ [Espresso] Template upload error:', error.message);
-      res.status(500).json({ error: 'Failed to upload template: ' + error.message });
+      sendError(res, 'INTERNAL_ERROR', 'Failed to upload template');
     }
   });
 });
 
 // Get uploaded template files list
-app.get('/admin/api/espresso/template-files', requireAuth, (req, res) => {
+app.get('/admin/api/espresso/template-files', requireAuth, (req, res, next) => {
   try {
     const files = espresso.getUploadedTemplateFiles();
     res.json({
@@ -5027,16 +5938,12 @@ app.get('/admin/api/espresso/template-files', requireAuth, (req, res) => {
       files
     });
   } catch (error) {
-    console.error('❌ [Espresso] Error getting template files:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get template files: ' + error.message
-    });
+    next(error);
   }
 });
 
 // Delete uploaded template file
-app.delete('/admin/api/espresso/template-files/:filename', requireAuth, (req, res) => {
+app.delete('/admin/api/espresso/template-files/:filename', requireAuth, (req, res, next) => {
   try {
     const { filename } = req.params;
     
@@ -5056,16 +5963,12 @@ app.delete('/admin/api/espresso/template-files/:filename', requireAuth, (req, re
       res.status(404).json({ error: 'Template file not found' });
     }
   } catch (error) {
-    console.error('❌ [Espresso] Error deleting template file:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to delete template file: ' + error.message
-    });
+    next(error);
   }
 });
 
 // Get available images for configuration UI
-app.get('/admin/api/espresso/available-images', requireAuth, (req, res) => {
+app.get('/admin/api/espresso/available-images', requireAuth, (req, res, next) => {
   try {
     const images = espresso.getAvailableImages();
     res.json({
@@ -5073,16 +5976,12 @@ app.get('/admin/api/espresso/available-images', requireAuth, (req, res) => {
       images
     });
   } catch (error) {
-    console.error('❌ [Espresso] Error getting available images:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get available images: ' + error.message
-    });
+    next(error);
   }
 });
 
 // Get current template path information
-app.get('/admin/api/espresso/template-path', requireAuth, (req, res) => {
+app.get('/admin/api/espresso/template-path', requireAuth, (req, res, next) => {
   try {
     const templatePathInfo = espresso.getCurrentTemplatePath();
     res.json({
@@ -5090,16 +5989,12 @@ app.get('/admin/api/espresso/template-path', requireAuth, (req, res) => {
       templatePath: templatePathInfo
     });
   } catch (error) {
-    console.error('❌ [Espresso] Error getting template path:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get template path: ' + error.message
-    });
+    next(error);
   }
 });
 
 // Manual GitHub Pages upload for espresso
-app.post('/admin/api/espresso/github/upload', requireAuth, async (req, res) => {
+app.post('/admin/api/espresso/github/upload', requireAuth, async (req, res, next) => {
   try {
     console.log('📤 [Espresso] Manual GitHub Pages upload triggered from admin interface');
     
@@ -5168,7 +6063,7 @@ app.post('/admin/api/espresso/github/upload', requireAuth, async (req, res) => {
       espressoConfig.githubPages
     );
     
-    res.json({
+    res.status(result.success ? 200 : statusForCode(result.code || 'GITHUB_OPERATION_FAILED')).json({
       success: result.success,
       message: result.success ? 'Upload to GitHub Pages successful' : 'Upload to GitHub Pages failed',
       filesUploaded: filesToUpload.length,
@@ -5177,16 +6072,12 @@ app.post('/admin/api/espresso/github/upload', requireAuth, async (req, res) => {
     });
     
   } catch (error) {
-    console.error('❌ [Espresso] Manual GitHub upload failed:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to upload to GitHub Pages: ' + error.message
-    });
+    next(error);
   }
 });
 
 // Clone espresso template from git repository
-app.post('/admin/api/espresso/clone-template', requireAuth, async (req, res) => {
+app.post('/admin/api/espresso/clone-template', requireAuth, openapi.validateBody('TemplateRepository'), async (req, res, next) => {
   try {
     console.log('📋 [Espresso] Template repository clone/pull triggered from admin interface');
     
@@ -5225,11 +6116,7 @@ app.post('/admin/api/espresso/clone-template', requireAuth, async (req, res) =>
     }
     
   } catch (error) {
-    console.error('❌ [Espresso] Error in template clone operation:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Template repository clone failed: ' + error.message
-    });
+    next(error);
   }
 });
 
@@ -5257,6 +6144,35 @@ app.get('/uploads/espresso/templates/:filename', (req, res) => {
 });
 
 // Drink Mixer API endpoints
+
+// Insert or replace (matched by name) an item in one drink mixer list, under the drinkMixer lock
+function saveDrinkMixerItem(listName, name, buildItem) {
+  return configStore.transaction('drinkMixer', drinkMixer => {
+    const list = drinkMixer[listName] || (drinkMixer[listName] = []);
+    const existingIndex = list.findIndex(item => item.name.toLowerCase() === name.toLowerCase());
+    const item = buildItem(existingIndex >= 0 ? list[existingIndex].id : Date.now());
+    if (existingIndex >= 0) {
+      list[existingIndex] = item;
+    } else {
+      list.push(item);
+    }
+    return item;
+  }, { defaultValue: { alcohols: [], mixers: [], recipes: [] } });
+}
+
+// Remove an item by id; resolves to false when it does not exist
+function removeDrinkMixerItem(listName, id) {
+  return configStore.transaction('drinkMixer', drinkMixer => {
+    const list = drinkMixer?.[listName] || [];
+    const remaining = list.filter(item => item.id !== id);
+    if (remaining.length === list.length) {
+      return false;
+    }
+    drinkMixer[listName] = remaining;
+    return true;
+  }, { defaultValue: { alcohols: [], mixers: [], recipes: [] } });
+}
+
 // Get all alcohols
 app.get('/admin/api/drink-mixer/alcohols', requireAuth, (req, res) => {
   const alcohols = config.drinkMixer?.alcohols || [];
@@ -5264,7 +6180,7 @@ app.get('/admin/api/drink-mixer/alcohols', requireAuth, (req, res) => {
 });
 
 // Add or update alcohol
-app.post('/admin/api/drink-mixer/alcohols', requireAuth, (req, res) => {
+app.post('/admin/api/drink-mixer/alcohols', requireAuth, openapi.validateBody('DrinkMixerItemInput'), async (req, res, next) => {
   try {
     const { name, available } = req.body;
     
@@ -5272,47 +6188,25 @@ app.post('/admin/api/drink-mixer/alcohols', requireAuth, (req, res) => {
       return res.status(400).json({ error: 'Name is required' });
     }
     
-    // Initialize drinkMixer if it doesn't exist
-    if (!config.drinkMixer) {
-      config.drinkMixer = { alcohols: [], mixers: [], recipes: [] };
-    }
-    
-    // Check if alcohol already exists
-    const existingIndex = config.drinkMixer.alcohols.findIndex(a => a.name.toLowerCase() === name.toLowerCase());
-    
-    const alcoholData = {
-      id: existingIndex >= 0 ? config.drinkMixer.alcohols[existingIndex].id : Date.now(),
+    // Existing alcohols (same name) keep their id
+    const alcoholData = await saveDrinkMixerItem('alcohols', name, id => ({
+      id,
       name: name.trim(),
       available: available !== false // default to true if not specified
-    };
-    
-    if (existingIndex >= 0) {
-      config.drinkMixer.alcohols[existingIndex] = alcoholData;
-    } else {
-      config.drinkMixer.alcohols.push(alcoholData);
-    }
+    }));
     
-    // Try to persist to file
-    if (configWritable && createConfigFile(configPath, config)) {
-      res.json({ 
-        success: true, 
-        message: 'Alcohol saved successfully',
-        alcohol: alcoholData
-      });
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Alcohol saved in memory (file save failed)',
-        alcohol: alcoholData
-      });
-    }
+    res.json({ 
+      success: true, 
+      message: 'Alcohol saved successfully',
+      alcohol: alcoholData
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to save alcohol: ' + err.message });
+    next(err);
   }
 });
 
 // Delete alcohol
-app.delete('/admin/api/drink-mixer/alcohols/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/drink-mixer/alcohols/:id', requireAuth, async (req, res, next) => {
   try {
     const alcoholId = parseInt(req.params.id);
     
@@ -5320,27 +6214,16 @@ app.delete('/admin/api/drink-mixer/alcohols/:id', requireAuth, (req, res) => {
       return res.status(404).json({ error: 'No alcohols found' });
     }
     
-    const initialLength = config.drinkMixer.alcohols.length;
-    config.drinkMixer.alcohols = config.drinkMixer.alcohols.filter(a => a.id !== alcoholId);
-    
-    if (config.drinkMixer.alcohols.length === initialLength) {
+    if (!await removeDrinkMixerItem('alcohols', alcoholId)) {
       return res.status(404).json({ error: 'Alcohol not found' });
     }
     
-    // Try to persist to file
-    if (configWritable && createConfigFile(configPath, config)) {
-      res.json({ 
-        success: true, 
-        message: 'Alcohol removed successfully'
-      });
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Alcohol removed (in memory only)'
-      });
-    }
+    res.json({ 
+      success: true, 
+      message: 'Alcohol removed successfully'
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to remove alcohol: ' + err.message });
+    next(err);
   }
 });
 
@@ -5351,7 +6234,7 @@ app.get('/admin/api/drink-mixer/mixers', requireAuth, (req, res) => {
 });
 
 // Add or update mixer
-app.post('/admin/api/drink-mixer/mixers', requireAuth, (req, res) => {
+app.post('/admin/api/drink-mixer/mixers', requireAuth, openapi.validateBody('DrinkMixerItemInput'), async (req, res, next) => {
   try {
     const { name, available } = req.body;
     
@@ -5359,47 +6242,25 @@ app.post('/admin/api/drink-mixer/mixers', requireAuth, (req, res) => {
       return res.status(400).json({ error: 'Name is required' });
     }
     
-    // Initialize drinkMixer if it doesn't exist
-    if (!config.drinkMixer) {
-      config.drinkMixer = { alcohols: [], mixers: [], recipes: [] };
-    }
-    
-    // Check if mixer already exists
-    const existingIndex = config.drinkMixer.mixers.findIndex(m => m.name.toLowerCase() === name.toLowerCase());
-    
-    const mixerData = {
-      id: existingIndex >= 0 ? config.drinkMixer.mixers[existingIndex].id : Date.now(),
+    // Existing mixers (same name) keep their id
+    const mixerData = await saveDrinkMixerItem('mixers', name, id => ({
+      id,
       name: name.trim(),
       available: available !== false // default to true if not specified
-    };
-    
-    if (existingIndex >= 0) {
-      config.drinkMixer.mixers[existingIndex] = mixerData;
-    } else {
-      config.drinkMixer.mixers.push(mixerData);
-    }
+    }));
     
-    // Try to persist to file
-    if (configWritable && createConfigFile(configPath, config)) {
-      res.json({ 
-        success: true, 
-        message: 'Mixer saved successfully',
-        mixer: mixerData
-      });
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Mixer saved in memory (file save failed)',
-        mixer: mixerData
-      });
-    }
+    res.json({ 
+      success: true, 
+      message: 'Mixer saved successfully',
+      mixer: mixerData
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to save mixer: ' + err.message });
+    next(err);
   }
 });
 
 // Delete mixer
-app.delete('/admin/api/drink-mixer/mixers/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/drink-mixer/mixers/:id', requireAuth, async (req, res, next) => {
   try {
     const mixerId = parseInt(req.params.id);
     
@@ -5407,27 +6268,16 @@ app.delete('/admin/api/drink-mixer/mixers/:id', requireAuth, (req, res) => {
       return res.status(404).json({ error: 'No mixers found' });
     }
     
-    const initialLength = config.drinkMixer.mixers.length;
-    config.drinkMixer.mixers = config.drinkMixer.mixers.filter(m => m.id !== mixerId);
-    
-    if (config.drinkMixer.mixers.length === initialLength) {
+    if (!await removeDrinkMixerItem('mixers', mixerId)) {
       return res.status(404).json({ error: 'Mixer not found' });
     }
     
-    // Try to persist to file
-    if (configWritable && createConfigFile(configPath, config)) {
-      res.json({ 
-        success: true, 
-        message: 'Mixer removed successfully'
-      });
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Mixer removed (in memory only)'
-      });
-    }
+    res.json({ 
+      success: true, 
+      message: 'Mixer removed successfully'
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to remove mixer: ' + err.message });
+    next(err);
   }
 });
 
@@ -5438,7 +6288,7 @@ app.get('/admin/api/drink-mixer/recipes', requireAuth, (req, res) => {
 });
 
 // Add or update recipe
-app.post('/admin/api/drink-mixer/recipes', requireAuth, (req, res) => {
+app.post('/admin/api/drink-mixer/recipes', requireAuth, openapi.validateBody('DrinkRecipeInput'), async (req, res, next) => {
   try {
     const { name, ingredients, directions } = req.body;
     
@@ -5458,16 +6308,9 @@ app.post('/admin/api/drink-mixer/recipes', requireAuth, (req, res) => {
       }
     }
     
-    // Initialize drinkMixer if it doesn't exist
-    if (!config.drinkMixer) {
-      config.drinkMixer = { alcohols: [], mixers: [], recipes: [] };
-    }
-    
-    // Check if recipe already exists
-    const existingIndex = config.drinkMixer.recipes.findIndex(r => r.name.toLowerCase() === name.toLowerCase());
-    
-    const recipeData = {
-      id: existingIndex >= 0 ? config.drinkMixer.recipes[existingIndex].id : Date.now(),
+    // Existing recipes (same name) keep their id
+    const recipeData = await saveDrinkMixerItem('recipes', name, id => ({
+      id,
       name: name.trim(),
       ingredients: ingredients.map(ing => ({
         name: ing.name.trim(),
@@ -5475,35 +6318,20 @@ app.post('/admin/api/drink-mixer/recipes', requireAuth, (req, res) => {
         unit: ing.unit
       })),
       directions: directions ? directions.trim() : ''
-    };
-    
-    if (existingIndex >= 0) {
-      config.drinkMixer.recipes[existingIndex] = recipeData;
-    } else {
-      config.drinkMixer.recipes.push(recipeData);
-    }
+    }));
     
-    // Try to persist to file
-    if (configWritable && createConfigFile(configPath, config)) {
-      res.json({ 
-        success: true, 
-        message: 'Recipe saved successfully',
-        recipe: recipeData
-      });
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Recipe saved in memory (file save failed)',
-        recipe: recipeData
-      });
-    }
+    res.json({ 
+      success: true, 
+      message: 'Recipe saved successfully',
+      recipe: recipeData
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to save recipe: ' + err.message });
+    next(err);
   }
 });
 
 // Delete recipe
-app.delete('/admin/api/drink-mixer/recipes/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/drink-mixer/recipes/:id', requireAuth, async (req, res, next) => {
   try {
     const recipeId = parseInt(req.params.id);
     
@@ -5511,27 +6339,16 @@ app.delete('/admin/api/drink-mixer/recipes/:id', requireAuth, (req, res) => {
       return res.status(404).json({ error: 'No recipes found' });
     }
     
-    const initialLength = config.drinkMixer.recipes.length;
-    config.drinkMixer.recipes = config.drinkMixer.recipes.filter(r => r.id !== recipeId);
-    
-    if (config.drinkMixer.recipes.length === initialLength) {
+    if (!await removeDrinkMixerItem('recipes', recipeId)) {
       return res.status(404).json({ error: 'Recipe not found' });
     }
     
-    // Try to persist to file
-    if (configWritable && createConfigFile(configPath, config)) {
-      res.json({ 
-        success: true, 
-        message: 'Recipe removed successfully'
-      });
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Recipe removed (in memory only)'
-      });
-    }
+    res.json({ 
+      success: true, 
+      message: 'Recipe removed successfully'
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to remove recipe: ' + err.message });
+    next(err);
   }
 });
 
@@ -5595,7 +6412,7 @@ function fuzzyMatchIngredient(ingredientName, availableIngredients) {
 }
 
 // Get available ingredients for dropdown (admin endpoint)
-app.get('/admin/api/drink-mixer/available-ingredients', requireAuth, (req, res) => {
+app.get('/admin/api/drink-mixer/available-ingredients', requireAuth, (req, res, next) => {
   try {
     const alcohols = config.drinkMixer?.alcohols || [];
     const mixers = config.drinkMixer?.mixers || [];
@@ -5607,12 +6424,12 @@ app.get('/admin/api/drink-mixer/available-ingredients', requireAuth, (req, res)
     
     res.json(ingredients);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get available ingredients: ' + err.message });
+    next(err);
   }
 });
 
 // Get available drinks (public endpoint for clients)
-app.get('/api/drink-mixer/available-drinks', (req, res) => {
+app.get('/api/drink-mixer/available-drinks', (req, res, next) => {
   try {
     const recipes = config.drinkMixer?.recipes || [];
     const alcohols = config.drinkMixer?.alcohols || [];
@@ -5636,7 +6453,7 @@ app.get('/api/drink-mixer/available-drinks', (req, res) => {
       availableCount: availableDrinks.length
     });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get available drinks: ' + err.message });
+    next(err);
   }
 });
 
@@ -5649,7 +6466,7 @@ app.get('/admin/api/tournaments', requireAuth, (req, res) => {
 });
 
 // Create a new tournament
-app.post('/admin/api/tournaments', requireAuth, (req, res) => {
+app.post('/admin/api/tournaments', requireAuth, openapi.validateBody('TournamentCreate'), async (req, res, next) => {
   try {
     const { name, description, tournamentType = 'single-elimination', maxParticipants = 8 } = req.body;
     
@@ -5657,11 +6474,6 @@ app.post('/admin/api/tournaments', requireAuth, (req, res) => {
       return res.status(400).json({ error: 'Tournament name is required' });
     }
     
-    // Initialize tournaments if it doesn't exist
-    if (!config.tournaments) {
-      config.tournaments = [];
-    }
-    
     const tournamentData = {
       id: Date.now(),
       name: name.trim(),
@@ -5677,29 +6489,40 @@ app.post('/admin/api/tournaments', requireAuth, (req, res) => {
       updatedAt: new Date().toISOString()
     };
     
-    config.tournaments.push(tournamentData);
+    await configStore.transaction('tournaments', tournaments => {
+      tournaments.push(tournamentData);
+    }, { defaultValue: [] });
     
-    // Try to persist to file
-    if (configWritable && createConfigFile(configPath, config)) {
-      res.json({ 
-        success: true, 
-        message: 'Tournament created successfully',
-        tournament: tournamentData
-      });
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Tournament created in memory (file save failed)',
-        tournament: tournamentData
-      });
-    }
+    res.json({ 
+      success: true, 
+      message: 'Tournament created successfully',
+      tournament: tournamentData
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to create tournament: ' + err.message });
+    next(err);
   }
 });
 
+// Change one tournament under the tournaments lock.  applyChange may throw an
+// error with a .status (e.g. 400) to reject the change without saving anything.
+function updateTournament(tournamentId, applyChange) {
+  return configStore.transaction('tournaments', tournaments => {
+    const tournament = tournaments.find(t => t.id === tournamentId);
+    if (!tournament) {
+      throw Object.assign(new Error('Tournament not found'), { status: 404 });
+    }
+    const result = applyChange(tournament);
+    tournament.updatedAt = new Date().toISOString();
+    return { ...result, tournament };
+  }, { defaultValue: [] });
+}
+
+function tournamentRequestError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
 // Get a specific tournament
-app.get('/admin/api/tournaments/:id', requireAuth, (req, res) => {
+app.get('/admin/api/tournaments/:id', requireAuth, (req, res, next) => {
   try {
     const tournamentId = parseInt(req.params.id);
     const tournament = config.tournaments?.find(t => t.id === tournamentId);
@@ -5710,12 +6533,12 @@ app.get('/admin/api/tournaments/:id', requireAuth, (req, res) => {
     
     res.json(tournament);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get tournament: ' + err.message });
+    next(err);
   }
 });
 
 // Add participant to tournament
-app.post('/admin/api/tournaments/:id/participants', requireAuth, (req, res) => {
+app.post('/admin/api/tournaments/:id/participants', requireAuth, openapi.validateBody('TournamentParticipantInput'), async (req, res, next) => {
   try {
     const tournamentId = parseInt(req.params.id);
     const { name, linkedClientId = null, teamMembers = [] } = req.body;
@@ -5724,186 +6547,149 @@ app.post('/admin/api/tournaments/:id/participants', requireAuth, (req, res) => {
       return res.status(400).json({ error: 'Participant name is required' });
     }
     
-    const tournament = config.tournaments?.find(t => t.id === tournamentId);
-    if (!tournament) {
-      return res.status(404).json({ error: 'Tournament not found' });
-    }
-    
-    if (tournament.status !== 'setup') {
-      return res.status(400).json({ error: 'Cannot add participants to active tournament' });
-    }
-    
-    if (tournament.participants.length >= tournament.maxParticipants) {
-      return res.status(400).json({ error: 'Tournament is full' });
-    }
-    
-    const participant = {
-      id: Date.now(),
-      name: name.trim(),
-      linkedClientId,
-      teamMembers: teamMembers.map(member => member.trim()).filter(member => member),
-      wins: 0,
-      losses: 0,
-      addedAt: new Date().toISOString()
-    };
-    
-    tournament.participants.push(participant);
-    tournament.updatedAt = new Date().toISOString();
+    const { participant, tournament } = await updateTournament(tournamentId, tournament => {
+      if (tournament.status !== 'setup') {
+        throw tournamentRequestError('Cannot add participants to active tournament');
+      }
+      
+      if (tournament.participants.length >= tournament.maxParticipants) {
+        throw tournamentRequestError('Tournament is full');
+      }
+      
+      const participant = {
+        id: Date.now(),
+        name: name.trim(),
+        linkedClientId,
+        teamMembers: teamMembers.map(member => member.trim()).filter(member => member),
+        wins: 0,
+        losses: 0,
+        addedAt: new Date().toISOString()
+      };
+      
+      tournament.participants.push(participant);
+      return { participant };
+    });
     
-    // Try to persist to file
-    if (configWritable && createConfigFile(configPath, config)) {
-      res.json({ 
-        success: true, 
-        message: 'Participant added successfully',
-        participant,
-        tournament
-      });
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Participant added in memory (file save failed)',
-        participant,
-        tournament
-      });
-    }
+    res.json({ 
+      success: true, 
+      message: 'Participant added successfully',
+      participant,
+      tournament
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add participant: ' + err.message });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
   }
 });
 
 // Generate tournament bracket
-app.post('/admin/api/tournaments/:id/generate-bracket', requireAuth, (req, res) => {
+app.post('/admin/api/tournaments/:id/generate-bracket', requireAuth, async (req, res, next) => {
   try {
     const tournamentId = parseInt(req.params.id);
-    const tournament = config.tournaments?.find(t => t.id === tournamentId);
-    
-    if (!tournament) {
-      return res.status(404).json({ error: 'Tournament not found' });
-    }
-    
-    if (tournament.status !== 'setup') {
-      return res.status(400).json({ error: 'Bracket already generated' });
-    }
-    
-    if (tournament.participants.length < 2) {
-      return res.status(400).json({ error: 'Need at least 2 participants' });
-    }
     
-    // Generate single-elimination bracket
-    const bracket = generateSingleEliminationBracket(tournament.participants);
-    tournament.bracket = bracket;
-    tournament.status = 'active';
-    tournament.currentRound = 1;
-    tournament.updatedAt = new Date().toISOString();
+    const { tournament } = await updateTournament(tournamentId, tournament => {
+      if (tournament.status !== 'setup') {
+        throw tournamentRequestError('Bracket already generated');
+      }
+      
+      if (tournament.participants.length < 2) {
+        throw tournamentRequestError('Need at least 2 participants');
+      }
+      
+      // Generate single-elimination bracket
+      tournament.bracket = generateSingleEliminationBracket(tournament.participants);
+      tournament.status = 'active';
+      tournament.currentRound = 1;
+    });
     
-    // Try to persist to file
-    if (configWritable && createConfigFile(configPath, config)) {
-      res.json({ 
-        success: true, 
-        message: 'Tournament bracket generated successfully',
-        tournament
-      });
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Tournament bracket generated in memory (file save failed)',
-        tournament
-      });
-    }
+    res.json({ 
+      success: true, 
+      message: 'Tournament bracket generated successfully',
+      tournament
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to generate bracket: ' + err.message });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
   }
 });
 
 // Update match result
-app.post('/admin/api/tournaments/:id/matches/:matchId/result', requireAuth, (req, res) => {
+app.post('/admin/api/tournaments/:id/matches/:matchId/result', requireAuth, openapi.validateBody('MatchResult'), async (req, res, next) => {
   try {
     const tournamentId = parseInt(req.params.id);
     const matchId = parseInt(req.params.matchId);
     const { winnerId, score = null } = req.body;
     
-    const tournament = config.tournaments?.find(t => t.id === tournamentId);
-    if (!tournament) {
-      return res.status(404).json({ error: 'Tournament not found' });
-    }
-    
-    if (tournament.status !== 'active') {
-      return res.status(400).json({ error: 'Tournament is not active' });
-    }
-    
-    // Find the match in the bracket
-    let match = null;
-    let matchFound = false;
-    
-    for (let round of tournament.bracket) {
-      match = round.matches.find(m => m.id === matchId);
-      if (match) {
-        matchFound = true;
-        break;
+    const { tournament, roundComplete } = await updateTournament(tournamentId, tournament => {
+      if (tournament.status !== 'active') {
+        throw tournamentRequestError('Tournament is not active');
       }
-    }
-    
-    if (!matchFound || !match) {
-      return res.status(404).json({ error: 'Match not found' });
-    }
-    
-    if (match.completed) {
-      return res.status(400).json({ error: 'Match already completed' });
-    }
-    
-    // Validate winner
-    if (winnerId !== match.participant1?.id && winnerId !== match.participant2?.id) {
-      return res.status(400).json({ error: 'Invalid winner ID' });
-    }
-    
-    // Update match result
-    match.winnerId = winnerId;
-    match.score = score;
-    match.completed = true;
-    match.completedAt = new Date().toISOString();
-    
-    // Update participant stats
-    const winner = tournament.participants.find(p => p.id === winnerId);
-    const loser = tournament.participants.find(p => 
-      p.id === (winnerId === match.participant1?.id ? match.participant2?.id : match.participant1?.id)
-    );
-    
-    if (winner) winner.wins++;
-    if (loser) loser.losses++;
-    
-    // Check if round is complete and advance tournament
-    const currentRound = tournament.bracket.find(r => r.round === tournament.currentRound);
-    const roundComplete = currentRound && currentRound.matches.every(m => m.completed);
-    
-    if (roundComplete) {
-      advanceTournament(tournament);
-    }
-    
-    tournament.updatedAt = new Date().toISOString();
+      
+      // Find the match in the bracket
+      let match = null;
+      for (let round of tournament.bracket) {
+        match = round.matches.find(m => m.id === matchId);
+        if (match) break;
+      }
+      
+      if (!match) {
+        throw tournamentRequestError('Match not found', 404);
+      }
+      
+      if (match.completed) {
+        throw tournamentRequestError('Match already completed');
+      }
+      
+      // Validate winner
+      if (winnerId !== match.participant1?.id && winnerId !== match.participant2?.id) {
+        throw tournamentRequestError('Invalid winner ID');
+      }
+      
+      // Update match result
+      match.winnerId = winnerId;
+      match.score = score;
+      match.completed = true;
+      match.completedAt = new Date().toISOString();
+      
+      // Update participant stats
+      const winner = tournament.participants.find(p => p.id === winnerId);
+      const loser = tournament.participants.find(p => 
+        p.id === (winnerId === match.participant1?.id ? match.participant2?.id : match.participant1?.id)
+      );
+      
+      if (winner) winner.wins++;
+      if (loser) loser.losses++;
+      
+      // Check if round is complete and advance tournament
+      const currentRound = tournament.bracket.find(r => r.round === tournament.currentRound);
+      const roundComplete = Boolean(currentRound && currentRound.matches.every(m => m.completed));
+      
+      if (roundComplete) {
+        advanceTournament(tournament);
+      }
+      return { roundComplete };
+    });
     
-    // Try to persist to file
-    if (configWritable && createConfigFile(configPath, config)) {
-      res.json({ 
-        success: true, 
-        message: 'Match result updated successfully',
-        tournament,
-        roundComplete
-      });
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Match result updated in memory (file save failed)',
-        tournament,
-        roundComplete
-      });
-    }
+    res.json({ 
+      success: true, 
+      message: 'Match result updated successfully',
+      tournament,
+      roundComplete
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update match result: ' + err.message });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
   }
 });
 
 // Client endpoints for viewing tournaments
-app.get('/api/tournaments', (req, res) => {
+app.get('/api/tournaments', (req, res, next) => {
   try {
     const tournaments = (config.tournaments || []).map(t => ({
       id: t.id,
@@ -5919,12 +6705,12 @@ app.get('/api/tournaments', (req, res) => {
     
     res.json(tournaments);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get tournaments: ' + err.message });
+    next(err);
   }
 });
 
 // Get tournament bracket for client view
-app.get('/api/tournaments/:id/bracket', (req, res) => {
+app.get('/api/tournaments/:id/bracket', (req, res, next) => {
   try {
     const tournamentId = parseInt(req.params.id);
     const tournament = config.tournaments?.find(t => t.id === tournamentId);
@@ -5950,7 +6736,7 @@ app.get('/api/tournaments/:id/bracket', (req, res) => {
       winner: tournament.winner
     });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get tournament bracket: ' + err.message });
+    next(err);
   }
 });
 
@@ -6089,27 +6875,27 @@ function advanceTournament(tournament) {
 
 // Finance Module API Endpoints
 // Get all account types with descriptions
-app.get('/admin/api/finance/account-types', requireAuth, (req, res) => {
+app.get('/admin/api/finance/account-types', requireAuth, (req, res, next) => {
   try {
     const accountTypes = finance.getAccountTypes();
     res.json(accountTypes);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get account types: ' + err.message });
+    next(err);
   }
 });
 
 // Get all accounts
-app.get('/admin/api/finance/accounts', requireAuth, (req, res) => {
+app.get('/admin/api/finance/accounts', requireAuth, (req, res, next) => {
   try {
     const accounts = finance.getAccounts();
     res.json(accounts);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get accounts: ' + err.message });
+    next(err);
   }
 });
 
 // Get merged accounts with merge audit info
-app.get('/admin/api/finance/accounts/merged', requireAuth, (req, res) => {
+app.get('/admin/api/finance/accounts/merged', requireAuth, (req, res, next) => {
   try {
     const accounts = finance.getAccounts();
     const history = finance.getHistory();
@@ -6151,12 +6937,12 @@ app.get('/admin/api/finance/accounts/merged', requireAuth, (req, res) => {
 
     res.json(result);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get merged accounts: ' + err.message });
+    next(err);
   }
 });
 
 // Create or update account
-app.post('/admin/api/finance/accounts', requireAuth, (req, res) => {
+app.post('/admin/api/finance/accounts', requireAuth, openapi.validateBody('FinanceAccountInput'), (req, res, next) => {
   try {
     const result = finance.saveAccount(req.body);
     if (result.success) {
@@ -6164,50 +6950,49 @@ app.post('/admin/api/finance/accounts', requireAuth, (req, res) => {
       res.json({ success: true, message: 'Account saved successfully' });
     } else {
       logger.error(logger.categories.FINANCE, `Failed to save account: ${result.error}`);
-      res.status(500).json({ success: false, error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    logger.error(logger.categories.FINANCE, `Account save error: ${err.message}`);
-    res.status(500).json({ error: 'Failed to save account: ' + err.message });
+    next(err);
   }
 });
 
 // Delete account
-app.delete('/admin/api/finance/accounts/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/finance/accounts/:id', requireAuth, (req, res, next) => {
   try {
     const result = finance.deleteAccount(req.params.id);
     if (result.success) {
       res.json({ success: true, message: 'Account deleted successfully' });
     } else {
-      res.status(404).json({ success: false, error: result.error });
+      sendResult(res, result, 'NOT_FOUND');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete account: ' + err.message });
+    next(err);
   }
 });
 
 // Get deleted account records (used by import flow to detect recreation attempts)
-app.get('/admin/api/finance/deleted-accounts', requireAuth, (req, res) => {
+app.get('/admin/api/finance/deleted-accounts', requireAuth, (req, res, next) => {
   try {
     const deletedAccounts = finance.getDeletedAccounts();
     res.json({ success: true, deletedAccounts });
   } catch (err) {
-    res.status(500).json({ success: false, error: 'Failed to retrieve deleted accounts: ' + err.message });
+    next(err);
   }
 });
 
 // Get admin-managed import rules/overrides summary
-app.get('/admin/api/finance/import-rules', requireAuth, (req, res) => {
+app.get('/admin/api/finance/import-rules', requireAuth, (req, res, next) => {
   try {
     const rules = finance.getImportRules();
     res.json({ success: true, rules });
   } catch (err) {
-    res.status(500).json({ success: false, error: 'Failed to retrieve import rules: ' + err.message });
+    next(err);
   }
 });
 
 // Remove a specific import rule/override
-app.delete('/admin/api/finance/import-rules/:ruleId', requireAuth, (req, res) => {
+app.delete('/admin/api/finance/import-rules/:ruleId', requireAuth, (req, res, next) => {
   try {
     const ruleId = decodeURIComponent(req.params.ruleId || '');
     const result = finance.removeImportRule(ruleId);
@@ -6216,27 +7001,27 @@ app.delete('/admin/api/finance/import-rules/:ruleId', requireAuth, (req, res) =>
     }
     res.status(400).json({ success: false, error: result.error || 'Failed to remove import rule' });
   } catch (err) {
-    res.status(500).json({ success: false, error: 'Failed to remove import rule: ' + err.message });
+    next(err);
   }
 });
 
 // Update account balance
-app.post('/admin/api/finance/accounts/:id/balance', requireAuth, (req, res) => {
+app.post('/admin/api/finance/accounts/:id/balance', requireAuth, openapi.validateBody('FinanceBalance'), (req, res, next) => {
   try {
     const { balance, balanceDate } = req.body;
     const result = finance.updateAccountBalance(req.params.id, balance, balanceDate);
     if (result.success) {
       res.json({ success: true, message: 'Account balance updated successfully' });
     } else {
-      res.status(404).json({ success: false, error: result.error });
+      sendResult(res, result, 'NOT_FOUND');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update account balance: ' + err.message });
+    next(err);
   }
 });
 
 // Update account display name
-app.post('/admin/api/finance/accounts/:id/display-name', requireAuth, (req, res) => {
+app.post('/admin/api/finance/accounts/:id/display-name', requireAuth, openapi.validateBody('FinanceDisplayName'), (req, res, next) => {
   try {
     const { displayName } = req.body;
     const result = finance.updateAccountDisplayName(req.params.id, displayName);
@@ -6245,16 +7030,15 @@ app.post('/admin/api/finance/accounts/:id/display-name', requireAuth, (req, res)
       res.json({ success: true, message: 'Display name updated successfully' });
     } else {
       logger.error(logger.categories.FINANCE, `Failed to update display name: ${result.error}`);
-      res.status(404).json({ success: false, error: result.error });
+      sendResult(res, result, 'NOT_FOUND');
     }
   } catch (err) {
-    logger.error(logger.categories.FINANCE, `Display name update error: ${err.message}`);
-    res.status(500).json({ error: 'Failed to update display name: ' + err.message });
+    next(err);
   }
 });
 
 // Merge accounts
-app.post('/admin/api/finance/accounts/merge', requireAuth, (req, res) => {
+app.post('/admin/api/finance/accounts/merge', requireAuth, openapi.validateBody('FinanceMerge'), (req, res, next) => {
   try {
     const { accountIds } = req.body;
     
@@ -6273,19 +7057,15 @@ app.post('/admin/api/finance/accounts/merge', requireAuth, (req, res) => {
       res.json(result);
     } else {
       logger.error(logger.categories.FINANCE, `Failed to merge accounts: ${result.error}`);
-      res.status(400).json(result);
+      sendResult(res, result);
     }
   } catch (err) {
-    logger.error(logger.categories.FINANCE, `Account merge error: ${err.message}`);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to merge accounts: ' + err.message 
-    });
+    next(err);
   }
 });
 
 // Unmerge a previously merged account
-app.post('/admin/api/finance/accounts/:id/unmerge', requireAuth, (req, res) => {
+app.post('/admin/api/finance/accounts/:id/unmerge', requireAuth, openapi.validateBody('FinanceUnmerge'), (req, res, next) => {
   try {
     const accountId = req.params.id;
     const { manualBalances } = req.body || {};
@@ -6298,19 +7078,15 @@ app.post('/admin/api/finance/accounts/:id/unmerge', requireAuth, (req, res) => {
       res.json(result);
     } else {
       logger.error(logger.categories.FINANCE, `Failed to unmerge account: ${result.error}`);
-      res.status(400).json(result);
+      sendResult(res, result);
     }
   } catch (err) {
-    logger.error(logger.categories.FINANCE, `Account unmerge error: ${err.message}`);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to unmerge account: ' + err.message 
-    });
+    next(err);
   }
 });
 
 // Clear the merge link from an account (keeps the account, just removes previousNames)
-app.post('/admin/api/finance/accounts/:id/clear-merge-link', requireAuth, (req, res) => {
+app.post('/admin/api/finance/accounts/:id/clear-merge-link', requireAuth, (req, res, next) => {
   try {
     const accountId = req.params.id;
     const result = finance.clearMergeLink(accountId);
@@ -6320,54 +7096,53 @@ app.post('/admin/api/finance/accounts/:id/clear-merge-link', requireAuth, (req,
       res.json(result);
     } else {
       logger.error(logger.categories.FINANCE, `Failed to clear merge link: ${result.error}`);
-      res.status(400).json(result);
+      sendResult(res, result);
     }
   } catch (err) {
-    logger.error(logger.categories.FINANCE, `Clear merge link error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to clear merge link: ' + err.message });
+    next(err);
   }
 });
 
 // Get demographics
-app.get('/admin/api/finance/demographics', requireAuth, (req, res) => {
+app.get('/admin/api/finance/demographics', requireAuth, (req, res, next) => {
   try {
     const demographics = finance.getDemographics();
     res.json(demographics);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get demographics: ' + err.message });
+    next(err);
   }
 });
 
 // Update demographics
-app.post('/admin/api/finance/demographics', requireAuth, (req, res) => {
+app.post('/admin/api/finance/demographics', requireAuth, openapi.validateBody('FinanceDemographics'), (req, res, next) => {
   try {
     const result = finance.updateDemographics(req.body);
     if (result.success) {
       res.json({ success: true, message: 'Demographics updated successfully' });
     } else {
-      res.status(500).json({ success: false, error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update demographics: ' + err.message });
+    next(err);
   }
 });
 
 // Add history entry
-app.post('/admin/api/finance/history', requireAuth, (req, res) => {
+app.post('/admin/api/finance/history', requireAuth, openapi.validateBody('FinanceHistoryEntry'), (req, res, next) => {
   try {
     const result = finance.addHistoryEntry(req.body);
     if (result.success) {
       res.json({ success: true, message: 'History entry added successfully' });
     } else {
-      res.status(500).json({ success: false, error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add history entry: ' + err.message });
+    next(err);
   }
 });
 
 // Update a specific history entry (by accountId + balanceDate + timestamp)
-app.put('/admin/api/finance/history/entry', requireAuth, (req, res) => {
+app.put('/admin/api/finance/history/entry', requireAuth, openapi.validateBody('FinanceHistoryEdit'), (req, res, next) => {
   try {
     const { accountId, balanceDate, timestamp, newBalanceDate, newBalance } = req.body;
     const data = finance.loadFinanceData();
@@ -6380,14 +7155,14 @@ app.put('/admin/api/finance/history/entry', requireAuth, (req, res) => {
     if (newBalanceDate) entry.balanceDate = new Date(newBalanceDate + 'T00:00:00.000Z').toISOString();
     if (newBalance !== undefined) entry.newBalance = parseFloat(newBalance);
     const result = finance.saveFinanceData(data);
-    res.json(result);
+    sendResult(res, result, 'INTERNAL_ERROR');
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
 // Delete a specific history entry (by accountId + balanceDate + timestamp)
-app.delete('/admin/api/finance/history/entry', requireAuth, (req, res) => {
+app.delete('/admin/api/finance/history/entry', requireAuth, (req, res, next) => {
   try {
     const { accountId, balanceDate, timestamp } = req.query;
     const data = finance.loadFinanceData();
@@ -6399,200 +7174,200 @@ app.delete('/admin/api/finance/history/entry', requireAuth, (req, res) => {
     if (idx < 0) return res.status(404).json({ success: false, error: 'Entry not found' });
     data.history.splice(idx, 1);
     const result = finance.saveFinanceData(data);
-    res.json(result);
+    sendResult(res, result, 'INTERNAL_ERROR');
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
 // Get history
-app.get('/admin/api/finance/history', requireAuth, (req, res) => {
+app.get('/admin/api/finance/history', requireAuth, (req, res, next) => {
   try {
     const { accountId, startDate, endDate } = req.query;
     const history = finance.getHistory(accountId, startDate, endDate);
     res.json(history);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get history: ' + err.message });
+    next(err);
   }
 });
 
 // Get history grouped by account type
-app.get('/admin/api/finance/history/by-type', requireAuth, (req, res) => {
+app.get('/admin/api/finance/history/by-type', requireAuth, (req, res, next) => {
   try {
     const { startDate, endDate } = req.query;
     const history = finance.getHistoryByAccountType(startDate, endDate);
     res.json(history);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get history by type: ' + err.message });
+    next(err);
   }
 });
 
 // Get net worth history
-app.get('/admin/api/finance/history/net-worth', requireAuth, (req, res) => {
+app.get('/admin/api/finance/history/net-worth', requireAuth, (req, res, next) => {
   try {
     const { startDate, endDate } = req.query;
     const history = finance.getNetWorthHistory(startDate, endDate);
     res.json(history);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get net worth history: ' + err.message });
+    next(err);
   }
 });
 
 // Get account balance history
-app.get('/admin/api/finance/history/account/:accountId', requireAuth, (req, res) => {
+app.get('/admin/api/finance/history/account/:accountId', requireAuth, (req, res, next) => {
   try {
     const { accountId } = req.params;
     const { startDate, endDate } = req.query;
     const history = finance.getAccountBalanceHistory(accountId, startDate, endDate);
     res.json(history);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get account balance history: ' + err.message });
+    next(err);
   }
 });
 
 // Get account performance metrics for selected date range
-app.get('/admin/api/finance/history/account-performance', requireAuth, (req, res) => {
+app.get('/admin/api/finance/history/account-performance', requireAuth, (req, res, next) => {
   try {
     const { startDate, endDate } = req.query;
     const performance = finance.getAccountPerformance(startDate || null, endDate || null);
     res.json(performance);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get account performance: ' + err.message });
+    next(err);
   }
 });
 
 // Get recommendations
-app.get('/admin/api/finance/recommendations', requireAuth, (req, res) => {
+app.get('/admin/api/finance/recommendations', requireAuth, (req, res, next) => {
   try {
     const recommendations = finance.getRecommendations();
     res.json(recommendations);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get recommendations: ' + err.message });
+    next(err);
   }
 });
 
 // Retirement planning evaluation endpoint
-app.get('/admin/api/finance/retirement-evaluation', requireAuth, (req, res) => {
+app.get('/admin/api/finance/retirement-evaluation', requireAuth, (req, res, next) => {
   try {
     const evaluation = finance.evaluateRetirementPlan();
     res.json(evaluation);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to evaluate retirement plan: ' + err.message });
+    next(err);
   }
 });
 
 // Demo Finance Data Endpoints
 // Get demo accounts
-app.get('/admin/api/finance/demo/accounts', requireAuth, (req, res) => {
+app.get('/admin/api/finance/demo/accounts', requireAuth, (req, res, next) => {
   try {
     const accounts = finance.getDemoAccounts();
     res.json(accounts);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get demo accounts: ' + err.message });
+    next(err);
   }
 });
 
 // Get demo demographics
-app.get('/admin/api/finance/demo/demographics', requireAuth, (req, res) => {
+app.get('/admin/api/finance/demo/demographics', requireAuth, (req, res, next) => {
   try {
     const demographics = finance.getDemoDemographics();
     res.json(demographics);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get demo demographics: ' + err.message });
+    next(err);
   }
 });
 
 // Get demo history
-app.get('/admin/api/finance/demo/history', requireAuth, (req, res) => {
+app.get('/admin/api/finance/demo/history', requireAuth, (req, res, next) => {
   try {
     const { accountId, startDate, endDate } = req.query;
     const history = finance.getDemoHistory(accountId, startDate, endDate);
     res.json(history);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get demo history: ' + err.message });
+    next(err);
   }
 });
 
 // Get demo recommendations
-app.get('/admin/api/finance/demo/recommendations', requireAuth, (req, res) => {
+app.get('/admin/api/finance/demo/recommendations', requireAuth, (req, res, next) => {
   try {
     const recommendations = finance.getDemoRecommendations();
     res.json(recommendations);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get demo recommendations: ' + err.message });
+    next(err);
   }
 });
 
 // Get demo retirement evaluation
-app.get('/admin/api/finance/demo/retirement-evaluation', requireAuth, (req, res) => {
+app.get('/admin/api/finance/demo/retirement-evaluation', requireAuth, (req, res, next) => {
   try {
     const evaluation = finance.evaluateDemoRetirementPlan();
     res.json(evaluation);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to evaluate demo retirement plan: ' + err.message });
+    next(err);
   }
 });
 
 // Update demo demographics
-app.post('/admin/api/finance/demo/demographics', requireAuth, (req, res) => {
+app.post('/admin/api/finance/demo/demographics', requireAuth, openapi.validateBody('FinanceDemographics'), (req, res, next) => {
   try {
     const updates = req.body;
     const result = finance.updateDemoDemographics(updates);
-    res.json(result);
+    sendResult(res, result, 'INTERNAL_ERROR');
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update demo demographics: ' + err.message });
+    next(err);
   }
 });
 
 // Update demo account balances
-app.post('/admin/api/finance/demo/accounts', requireAuth, (req, res) => {
+app.post('/admin/api/finance/demo/accounts', requireAuth, openapi.validateBody('FinanceNumberMap'), (req, res, next) => {
   try {
     const accountBalances = req.body;
     const result = finance.updateDemoAccounts(accountBalances);
-    res.json(result);
+    sendResult(res, result, 'INTERNAL_ERROR');
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update demo accounts: ' + err.message });
+    next(err);
   }
 });
 
 // Update demo forecasted increases
-app.post('/admin/api/finance/demo/forecasts', requireAuth, (req, res) => {
+app.post('/admin/api/finance/demo/forecasts', requireAuth, openapi.validateBody('FinanceNumberMap'), (req, res, next) => {
   try {
     const forecasts = req.body;
     const result = finance.updateDemoForecasts(forecasts);
-    res.json(result);
+    sendResult(res, result, 'INTERNAL_ERROR');
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update demo forecasts: ' + err.message });
+    next(err);
   }
 });
 
 // Update demo Social Security settings
-app.post('/admin/api/finance/demo/social-security', requireAuth, (req, res) => {
+app.post('/admin/api/finance/demo/social-security', requireAuth, openapi.validateBody('FinanceSocialSecurity'), (req, res, next) => {
   try {
     const { monthlyAmount, startAge } = req.body;
     const result = finance.updateDemoSocialSecurity(monthlyAmount, startAge);
-    res.json(result);
+    sendResult(res, result, 'INTERNAL_ERROR');
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update demo social security: ' + err.message });
+    next(err);
   }
 });
 
 // Advanced Settings API endpoints
-app.get('/admin/api/finance/advanced-settings', requireAuth, (req, res) => {
+app.get('/admin/api/finance/advanced-settings', requireAuth, (req, res, next) => {
   try {
     const settings = finance.getAdvancedSettings();
     res.json(settings);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get advanced settings: ' + err.message });
+    next(err);
   }
 });
 
-app.post('/admin/api/finance/advanced-settings', requireAuth, (req, res) => {
+app.post('/admin/api/finance/advanced-settings', requireAuth, openapi.validateBody('FinanceNumberMap'), (req, res, next) => {
   try {
     const result = finance.updateAdvancedSettings(req.body);
-    res.json(result);
+    sendResult(res, result, 'INTERNAL_ERROR');
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update advanced settings: ' + err.message });
+    next(err);
   }
 });
 
@@ -6629,7 +7404,7 @@ app.post('/admin/api/finance/upload-screenshot', requireAuth, upload.single('scr
     // Process the uploaded screenshot with the specified date
     const result = await finance.processAccountScreenshot(req.file.path, asOfDate);
     
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
     console.error('❌ [Finance] Screenshot upload error:', err.message);
     
@@ -6645,15 +7420,12 @@ app.post('/admin/api/finance/upload-screenshot', requireAuth, upload.single('scr
       }
     }
     
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to process screenshot: ' + err.message 
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to process screenshot');
   }
 });
 
 // Confirm and apply ambiguous screenshot import mappings
-app.post('/admin/api/finance/upload-screenshot/confirm', requireAuth, async (req, res) => {
+app.post('/admin/api/finance/upload-screenshot/confirm', requireAuth, openapi.validateBody('FinanceImportConfirm'), async (req, res, next) => {
   try {
     const { parsedAccounts, groups, netWorth, asOfDate, decisions } = req.body || {};
     
@@ -6666,31 +7438,26 @@ app.post('/admin/api/finance/upload-screenshot/confirm', requireAuth, async (req
     }
     
     const result = await finance.confirmScreenshotImport(parsedAccounts, groups || {}, netWorth, asOfDate, decisions || []);
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
-    console.error('❌ [Finance] Screenshot confirmation error:', err.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to confirm screenshot import: ' + err.message
-    });
+    next(err);
   }
 });
 
 // Apartment Investment Property Tracking API Endpoints
 
 // Get all apartments
-app.get('/admin/api/finance/apartments', requireAuth, (req, res) => {
+app.get('/admin/api/finance/apartments', requireAuth, (req, res, next) => {
   try {
     const apartments = finance.getApartments();
     res.json({ success: true, apartments });
   } catch (err) {
-    console.error('❌ [Finance] Get apartments error:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Get a single apartment
-app.get('/admin/api/finance/apartments/:id', requireAuth, (req, res) => {
+app.get('/admin/api/finance/apartments/:id', requireAuth, (req, res, next) => {
   try {
     const apartment = finance.getApartment(req.params.id);
     if (!apartment) {
@@ -6698,127 +7465,116 @@ app.get('/admin/api/finance/apartments/:id', requireAuth, (req, res) => {
     }
     res.json({ success: true, apartment });
   } catch (err) {
-    console.error('❌ [Finance] Get apartment error:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Create or update an apartment
-app.post('/admin/api/finance/apartments', requireAuth, (req, res) => {
+app.post('/admin/api/finance/apartments', requireAuth, openapi.validateBody('ApartmentInput'), (req, res, next) => {
   try {
     const result = finance.saveApartment(req.body);
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
-    console.error('❌ [Finance] Save apartment error:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Delete an apartment
-app.delete('/admin/api/finance/apartments/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/finance/apartments/:id', requireAuth, (req, res, next) => {
   try {
     const result = finance.deleteApartment(req.params.id);
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
-    console.error('❌ [Finance] Delete apartment error:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Add an expense to an apartment
-app.post('/admin/api/finance/apartments/:id/expenses', requireAuth, (req, res) => {
+app.post('/admin/api/finance/apartments/:id/expenses', requireAuth, openapi.validateBody('ApartmentExpense'), (req, res, next) => {
   try {
     const result = finance.addApartmentExpense(req.params.id, req.body);
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
-    console.error('❌ [Finance] Add expense error:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Delete an expense from an apartment
-app.delete('/admin/api/finance/apartments/:id/expenses/:expenseId', requireAuth, (req, res) => {
+app.delete('/admin/api/finance/apartments/:id/expenses/:expenseId', requireAuth, (req, res, next) => {
   try {
     const result = finance.deleteApartmentExpense(req.params.id, req.params.expenseId);
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
-    console.error('❌ [Finance] Delete expense error:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Add an income entry to an apartment
-app.post('/admin/api/finance/apartments/:id/income', requireAuth, (req, res) => {
+app.post('/admin/api/finance/apartments/:id/income', requireAuth, openapi.validateBody('ApartmentIncome'), (req, res, next) => {
   try {
     const result = finance.addApartmentIncome(req.params.id, req.body);
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
-    console.error('❌ [Finance] Add income error:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Delete an income entry from an apartment
-app.delete('/admin/api/finance/apartments/:id/income/:incomeId', requireAuth, (req, res) => {
+app.delete('/admin/api/finance/apartments/:id/income/:incomeId', requireAuth, (req, res, next) => {
   try {
     const result = finance.deleteApartmentIncome(req.params.id, req.params.incomeId);
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
-    console.error('❌ [Finance] Delete income error:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Update forecasted rent for an apartment
-app.post('/admin/api/finance/apartments/:id/forecasted-rent', requireAuth, (req, res) => {
+app.post('/admin/api/finance/apartments/:id/forecasted-rent', requireAuth, openapi.validateBody('ForecastedRent'), (req, res, next) => {
   try {
     // Handle both formats: direct array or wrapped in forecastedRent property
     const forecastedRent = Array.isArray(req.body) ? req.body : req.body.forecastedRent;
     const result = finance.updateForecastedRent(req.params.id, forecastedRent);
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
-    console.error('❌ [Finance] Update forecasted rent error:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Calculate suggested rent for an apartment
-app.get('/admin/api/finance/apartments/:id/suggested-rent', requireAuth, (req, res) => {
+app.get('/admin/api/finance/apartments/:id/suggested-rent', requireAuth, (req, res, next) => {
   try {
     const result = finance.calculateSuggestedRent(req.params.id);
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
-    console.error('❌ [Finance] Calculate suggested rent error:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Get profitability analysis for an apartment
-app.get('/admin/api/finance/apartments/:id/analysis', requireAuth, (req, res) => {
+app.get('/admin/api/finance/apartments/:id/analysis', requireAuth, (req, res, next) => {
   try {
     const { startDate, endDate } = req.query;
     const result = finance.getApartmentAnalysis(req.params.id, startDate, endDate);
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
-    console.error('❌ [Finance] Get apartment analysis error:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Get apartment equity overview
-app.get('/admin/api/finance/apartments/:id/equity', requireAuth, (req, res) => {
+app.get('/admin/api/finance/apartments/:id/equity', requireAuth, (req, res, next) => {
   try {
     const result = finance.getApartmentEquityOverview(req.params.id);
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
-    console.error('❌ [Finance] Get apartment equity overview error:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Backup and Export/Import API Endpoints
 // Export all site configurations and data
-app.get('/admin/api/backup/export', requireAuth, (req, res) => {
+app.get('/admin/api/backup/export', requireAuth, (req, res, next) => {
   try {
     const timestamp = new Date().toISOString();
     logger.info(logger.categories.SYSTEM, 'Admin initiated data export');
@@ -6836,16 +7592,15 @@ app.get('/admin/api/backup/export', requireAuth, (req, res) => {
       res.json(result.backup);
     } else {
       logger.error(logger.categories.SYSTEM, `Data export failed: ${result.error}`);
-      res.status(500).json({ success: false, error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    logger.error(logger.categories.SYSTEM, `Data export error: ${err.message}`);
-    res.status(500).json({ error: 'Failed to export data: ' + err.message });
+    next(err);
   }
 });
 
 // Get backup summary (preview) from uploaded file
-app.post('/admin/api/backup/preview', requireAuth, (req, res) => {
+app.post('/admin/api/backup/preview', requireAuth, openapi.validateBody('BackupFile'), (req, res, next) => {
   try {
     const backupData = req.body;
     
@@ -6864,15 +7619,17 @@ app.post('/admin/api/backup/preview', requireAuth, (req, res) => {
       valid: validation.valid,
       errors: validation.errors,
       warnings: validation.warnings,
-      summary: summary
+      summary: summary,
+      // What restoring each module would change on this server
+      diff: validation.valid ? backup.diffBackup(backupData, config) : []
     });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to preview backup: ' + err.message });
+    next(err);
   }
 });
 
 // Import all site configurations and data from backup
-app.post('/admin/api/backup/import', requireAuth, (req, res) => {
+app.post('/admin/api/backup/import', requireAuth, openapi.validateBody('BackupFile'), (req, res, next) => {
   try {
     const backupData = req.body;
     const timestamp = new Date().toISOString();
@@ -6884,62 +7641,140 @@ app.post('/admin/api/backup/import', requireAuth, (req, res) => {
     logger.info(logger.categories.SYSTEM, 'Admin initiated data import');
     
     // Perform the import
-    const result = backup.importAllData(backupData, config);
+    const result = backup.importAllData(backupData, config, { modules: parseBackupModules(req.query.modules) });
+    sendBackupImportResult(res, result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ?modules=finance,house.bills → ['finance', 'house.bills']; absent means restore everything in the backup
+function parseBackupModules(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return String(value).split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// Reload config.json and re-initialize modules after a restore, then report the result
+function sendBackupImportResult(res, result) {
+  if (result.success) {
+    logger.success(logger.categories.SYSTEM, `Data import completed: ${result.results.imported.join(', ') || 'nothing selected'}`);
     
-    if (result.success) {
-      logger.success(logger.categories.SYSTEM, `Data import completed: ${result.results.imported.join(', ')}`);
+    // Reload the configuration after import
+    try {
+      const newConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      // Update the in-memory config, upgrading configs restored from older releases
+      Object.assign(config, migrations.runMigrations('config.json', newConfig, CONFIG_MIGRATIONS).data);
       
-      // Reload the configuration after import
-      try {
-        const newConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        // Update the in-memory config
-        Object.assign(config, newConfig);
-        
-        // Re-initialize modules with new config
-        vidiots.init(config);
-        espresso.init(config);
-        finance.init(config);
-        
-        logger.info(logger.categories.SYSTEM, 'Configuration reloaded after import');
-      } catch (reloadErr) {
-        logger.warning(logger.categories.SYSTEM, `Config reload warning: ${reloadErr.message}`);
-      }
+      // Re-initialize modules with new config
+      vidiots.init(config);
+      espresso.init(config);
+      finance.init(config);
+      house.init(config);
       
-      res.json({
-        success: true,
-        message: result.message,
-        results: result.results,
-        warnings: result.warnings
-      });
-    } else {
-      logger.error(logger.categories.SYSTEM, `Data import failed: ${result.error}`);
-      res.status(400).json({
-        success: false,
-        error: result.error,
-        results: result.results,
-        warnings: result.warnings
-      });
+      logger.info(logger.categories.SYSTEM, 'Configuration reloaded after import');
+    } catch (reloadErr) {
+      logger.warning(logger.categories.SYSTEM, `Config reload warning: ${reloadErr.message}`);
+    }
+    
+    res.json({
+      success: true,
+      message: result.message,
+      results: result.results,
+      warnings: result.warnings
+    });
+  } else {
+    logger.error(logger.categories.SYSTEM, `Data import failed: ${result.error}`);
+    res.status(400).json({
+      success: false,
+      error: result.error,
+      results: result.results,
+      warnings: result.warnings
+    });
+  }
+}
+
+// Archives are uploaded as the raw file; the password travels in a header, never the URL
+const backupArchiveBody = express.raw({ type: () => true, limit: '200mb' });
+
+// Download a full .tar.gz archive (every module plus uploaded files), optionally password-encrypted
+app.post('/admin/api/backup/archive', requireAuth, openapi.validateBody('BackupArchiveRequest'), async (req, res, next) => {
+  // The archive is streamed to a temporary file and sent from there, so uploads are never held in memory
+  const tempPath = path.join(os.tmpdir(), `${process.pid}-backup-${crypto.randomUUID()}.tmp`);
+  try {
+    const password = typeof req.body?.password === 'string' ? req.body.password : '';
+    logger.info(logger.categories.SYSTEM, `Admin initiated archive export${password ? ' (encrypted)' : ''}`);
+    
+    const result = await backup.createArchive(config, { password, modules: parseBackupModules(req.body?.modules), filePath: tempPath });
+    if (!result.success) {
+      return sendResult(res, result, 'INTERNAL_ERROR');
+    }
+    
+    res.setHeader('Content-Type', password ? 'application/octet-stream' : 'application/gzip');
+    res.download(tempPath, result.filename, err => {
+      fs.rm(tempPath, { force: true }, () => {});
+      if (err && !res.headersSent) {
+        next(err);
+      }
+    });
+  } catch (err) {
+    fs.rm(tempPath, { force: true }, () => {});
+    next(err);
+  }
+});
+
+// Validate an uploaded archive, list the modules it can restore and what each would change
+app.post('/admin/api/backup/archive/preview', requireAuth, backupArchiveBody, (req, res, next) => {
+  try {
+    const opened = backup.readArchive(req.body, req.get('X-Backup-Password') || '');
+    if (!opened.success) {
+      return res.status(400).json({ success: false, error: opened.error, passwordRequired: Boolean(opened.passwordRequired) });
+    }
+    
+    const validation = backup.validateBackup(opened.backup);
+    res.json({
+      success: true,
+      valid: validation.valid,
+      errors: validation.errors,
+      warnings: validation.warnings,
+      summary: backup.getBackupSummary(opened.backup),
+      diff: validation.valid ? backup.diffBackup(opened.backup, config) : []
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Restore from an uploaded archive; ?modules= limits the restore to the listed modules
+app.post('/admin/api/backup/archive/import', requireAuth, backupArchiveBody, (req, res, next) => {
+  try {
+    const opened = backup.readArchive(req.body, req.get('X-Backup-Password') || '');
+    if (!opened.success) {
+      return res.status(400).json({ success: false, error: opened.error, passwordRequired: Boolean(opened.passwordRequired) });
     }
+    
+    logger.info(logger.categories.SYSTEM, 'Admin initiated archive import');
+    const result = backup.importAllData(opened.backup, config, { modules: parseBackupModules(req.query.modules) });
+    sendBackupImportResult(res, result);
   } catch (err) {
-    logger.error(logger.categories.SYSTEM, `Data import error: ${err.message}`);
-    res.status(500).json({ error: 'Failed to import data: ' + err.message });
+    next(err);
   }
 });
 
 // SFTP Backup Management API Endpoints
 // Get SFTP configuration (safe, without credentials)
-app.get('/admin/api/sftp/config', requireAuth, (req, res) => {
+app.get('/admin/api/sftp/config', requireAuth, (req, res, next) => {
   try {
     const config = sftp.getConfigSafe();
     res.json({ success: true, config: config });
   } catch (err) {
-    logger.error(logger.categories.SYSTEM, `Failed to get SFTP config: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to get SFTP configuration' });
+    next(err);
   }
 });
 
 // Save SFTP configuration
-app.post('/admin/api/sftp/config', requireAuth, (req, res) => {
+app.post('/admin/api/sftp/config', requireAuth, openapi.validateBody('SftpConfigInput'), (req, res, next) => {
   try {
     const sftpConfig = req.body;
     
@@ -6954,26 +7789,24 @@ app.post('/admin/api/sftp/config', requireAuth, (req, res) => {
       res.status(400).json(result);
     }
   } catch (err) {
-    logger.error(logger.categories.SYSTEM, `Failed to save SFTP config: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to save SFTP configuration: ' + err.message });
+    next(err);
   }
 });
 
 // Delete SFTP configuration
-app.delete('/admin/api/sftp/config', requireAuth, (req, res) => {
+app.delete('/admin/api/sftp/config', requireAuth, (req, res, next) => {
   try {
     logger.info(logger.categories.SYSTEM, 'Admin deleting SFTP configuration');
     
     const result = sftp.deleteConfig();
-    res.json(result);
+    sendResult(res, result, 'INTERNAL_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SYSTEM, `Failed to delete SFTP config: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to delete SFTP configuration: ' + err.message });
+    next(err);
   }
 });
 
 // Test SFTP connection
-app.post('/admin/api/sftp/test', requireAuth, async (req, res) => {
+app.post('/admin/api/sftp/test', requireAuth, openapi.validateBody('SftpTest'), async (req, res, next) => {
   try {
     logger.info(logger.categories.SYSTEM, 'Admin testing SFTP connection');
     
@@ -6981,29 +7814,21 @@ app.post('/admin/api/sftp/test', requireAuth, async (req, res) => {
     const testConfig = req.body.config || null;
     
     const result = await sftp.testConnection(testConfig);
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SYSTEM, `SFTP test error: ${err.message}`);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to test SFTP connection: ' + err.message 
-    });
+    next(err);
   }
 });
 
 // List backup files on SFTP server
-app.get('/admin/api/sftp/backups', requireAuth, async (req, res) => {
+app.get('/admin/api/sftp/backups', requireAuth, async (req, res, next) => {
   try {
     logger.info(logger.categories.SYSTEM, 'Admin listing SFTP backups');
     
     const result = await sftp.listBackups();
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SYSTEM, `Failed to list SFTP backups: ${err.message}`);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to list backups: ' + err.message 
-    });
+    next(err);
   }
 });
 
@@ -7042,7 +7867,7 @@ app.post('/admin/api/sftp/upload', requireAuth, async (req, res) => {
       logger.success(logger.categories.SYSTEM, `Backup uploaded to SFTP: ${filename}`);
     }
     
-    res.json(uploadResult);
+    sendResult(res, uploadResult, 'UPSTREAM_ERROR');
   } catch (err) {
     // Clean up temp file on error
     if (fs.existsSync(tempFilePath)) {
@@ -7054,15 +7879,12 @@ app.post('/admin/api/sftp/upload', requireAuth, async (req, res) => {
     }
     
     logger.error(logger.categories.SYSTEM, `Failed to upload backup to SFTP: ${err.message}`);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to upload backup: ' + err.message 
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to upload backup');
   }
 });
 
 // Download backup from SFTP server
-app.post('/admin/api/sftp/download', requireAuth, async (req, res) => {
+app.post('/admin/api/sftp/download', requireAuth, openapi.validateBody('SftpDownload'), async (req, res) => {
   const tempFilePath = path.join(uploadsDir, 'temp-backup-download.json');
   
   try {
@@ -7081,7 +7903,7 @@ app.post('/admin/api/sftp/download', requireAuth, async (req, res) => {
     const downloadResult = await sftp.downloadBackup(filename, tempFilePath);
     
     if (!downloadResult.success) {
-      return res.json(downloadResult);
+      return sendResult(res, downloadResult, 'UPSTREAM_ERROR');
     }
     
     // Read the backup file
@@ -7111,30 +7933,102 @@ app.post('/admin/api/sftp/download', requireAuth, async (req, res) => {
     }
     
     logger.error(logger.categories.SYSTEM, `Failed to download backup from SFTP: ${err.message}`);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to download backup: ' + err.message 
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to download backup');
+  }
+});
+
+// Restore a backup stored on the SFTP server without sending it through the browser
+// (archives can hold uploaded files); body: { filename, password?, modules? }
+app.post('/admin/api/sftp/restore', requireAuth, openapi.validateBody('SftpRestore'), async (req, res) => {
+  const { filename, password, modules } = req.body || {};
+  
+  if (!filename || path.basename(filename) !== filename) {
+    return res.status(400).json({ success: false, error: 'Invalid backup file name' });
+  }
+  
+  const tempFilePath = path.join(uploadsDir, `temp-backup-restore-${Date.now()}`);
+  try {
+    logger.info(logger.categories.SYSTEM, `Admin restoring backup from SFTP: ${filename}`);
+    
+    const downloadResult = await sftp.downloadBackup(filename, tempFilePath);
+    if (!downloadResult.success) {
+      return res.status(502).json(downloadResult);
+    }
+    
+    const contents = fs.readFileSync(tempFilePath);
+    let backupData;
+    if (filename.endsWith('.json')) {
+      backupData = JSON.parse(contents.toString('utf8'));
+    } else {
+      const opened = backup.readArchive(contents, password || '');
+      if (!opened.success) {
+        return res.status(400).json({ success: false, error: opened.error, passwordRequired: Boolean(opened.passwordRequired) });
+      }
+      backupData = opened.backup;
+    }
+    
+    const result = backup.importAllData(backupData, config, { modules: parseBackupModules(modules) });
+    sendBackupImportResult(res, result);
+  } catch (err) {
+    logger.error(logger.categories.SYSTEM, `Failed to restore backup from SFTP: ${err.message}`);
+    sendError(res, 'INTERNAL_ERROR', 'Failed to restore backup');
+  } finally {
+    fs.rmSync(tempFilePath, { force: true });
+  }
+});
+
+// Scheduled backup settings, last runs and retention policy
+app.get('/admin/api/sftp/schedule', requireAuth, (req, res, next) => {
+  try {
+    res.json({ success: true, ...backupScheduler.getStatus() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Save the backup schedule; body: { enabled, cronSchedule, retention: { daily, weekly, monthly }, archivePassword?, clearArchivePassword? }
+app.post('/admin/api/sftp/schedule', requireAuth, openapi.validateBody('BackupScheduleInput'), (req, res, next) => {
+  try {
+    const result = backupScheduler.updateSchedule(req.body || {});
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    
+    logger.success(logger.categories.SYSTEM,
+      `Backup schedule ${result.schedule.enabled ? `enabled (${result.schedule.cronSchedule})` : 'disabled'}`);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Run the scheduled backup now
+app.post('/admin/api/sftp/schedule/run', requireAuth, async (req, res, next) => {
+  try {
+    logger.info(logger.categories.SYSTEM, 'Admin started a backup run');
+    const run = await backupScheduler.runNow();
+    res.status(run.skipped ? 409 : 200).json({ success: run.success, run, error: run.error });
+  } catch (err) {
+    next(err);
   }
 });
 
 // Webhook Management API Endpoints
 // Get all webhooks
-app.get('/admin/api/webhooks', requireAuth, (req, res) => {
+app.get('/admin/api/webhooks', requireAuth, (req, res, next) => {
   try {
     const allWebhooks = webhooks.getAllWebhooks();
-    logger.log(`📡 Retrieved ${allWebhooks.length} webhooks`, 'WEBHOOKS');
-    res.json({ success: true, webhooks: allWebhooks });
+    logger.info(logger.categories.WEBHOOKS, `📡 Retrieved ${allWebhooks.length} webhooks`);
+    res.json({ success: true, webhooks: allWebhooks, events: webhooks.getSubscribableEvents() });
   } catch (err) {
-    logger.error(`Failed to get webhooks: ${err.message}`, 'WEBHOOKS');
-    res.status(500).json({ success: false, error: 'Failed to get webhooks: ' + err.message });
+    next(err);
   }
 });
 
 // Create or update a webhook
-app.post('/admin/api/webhooks', requireAuth, (req, res) => {
+app.post('/admin/api/webhooks', requireAuth, openapi.validateBody('WebhookInput'), (req, res, next) => {
   try {
-    const { id, name, url, highImpact } = req.body;
+    const { id, name, url, highImpact, events } = req.body;
     
     if (!name || !url) {
       return res.status(400).json({ 
@@ -7143,45 +8037,131 @@ app.post('/admin/api/webhooks', requireAuth, (req, res) => {
       });
     }
     
-    const result = webhooks.saveWebhook({ id, name, url, highImpact });
+    const result = webhooks.saveWebhook({ id, name, url, highImpact, events });
     
     if (result.success) {
-      logger.log(`📡 ${id ? 'Updated' : 'Created'} webhook: ${name}`, 'WEBHOOKS');
-      res.json({ success: true, message: `Webhook ${id ? 'updated' : 'created'} successfully` });
+      logger.info(logger.categories.WEBHOOKS, `📡 ${id ? 'Updated' : 'Created'} webhook: ${name}`);
+      res.json({
+        success: true,
+        message: `Webhook ${id ? 'updated' : 'created'} successfully`,
+        webhook: result.webhook,
+        secret: result.secret
+      });
     } else {
       res.status(400).json(result);
     }
   } catch (err) {
-    logger.error(`Failed to save webhook: ${err.message}`, 'WEBHOOKS');
-    res.status(500).json({ success: false, error: 'Failed to save webhook: ' + err.message });
+    next(err);
   }
 });
 
 // Delete a webhook
-app.delete('/admin/api/webhooks/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/webhooks/:id', requireAuth, (req, res, next) => {
   try {
     const { id } = req.params;
     const result = webhooks.deleteWebhook(id);
     
     if (result.success) {
-      logger.log(`📡 Deleted webhook: ${id}`, 'WEBHOOKS');
+      logger.info(logger.categories.WEBHOOKS, `📡 Deleted webhook: ${id}`);
       res.json({ success: true, message: 'Webhook deleted successfully' });
     } else {
       res.status(404).json(result);
     }
   } catch (err) {
-    logger.error(`Failed to delete webhook: ${err.message}`, 'WEBHOOKS');
-    res.status(500).json({ success: false, error: 'Failed to delete webhook: ' + err.message });
+    next(err);
+  }
+});
+
+// Replace a webhook's signing secret (the new secret is only shown in this response)
+app.post('/admin/api/webhooks/:id/secret', requireAuth, (req, res) => {
+  const result = webhooks.rotateWebhookSecret(req.params.id);
+  if (!result.success) {
+    return res.status(result.error === 'Webhook not found' ? 404 : 500).json(result);
+  }
+  res.json({ success: true, secret: result.secret });
+});
+
+// Delivery attempts and dead letters of a webhook
+app.get('/admin/api/webhooks/:id/deliveries', requireAuth, (req, res) => {
+  const { id } = req.params;
+  if (!webhooks.getWebhookById(id)) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  res.json({ success: true, deliveries: webhooks.getDeliveryLog(id), deadLetters: webhooks.getDeadLetters(id) });
+});
+
+// Deliver a dead letter again
+app.post('/admin/api/webhooks/dead-letters/:id/retry', requireAuth, async (req, res, next) => {
+  try {
+    const result = await webhooks.retryDeadLetter(req.params.id);
+    if (result.error === 'Dead letter not found') {
+      return res.status(404).json({ success: false, error: result.error });
+    }
+    res.json({ success: result.success, status: result.statusCode, error: result.error });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Drop a dead letter
+app.delete('/admin/api/webhooks/dead-letters/:id', requireAuth, (req, res) => {
+  const result = webhooks.discardDeadLetter(req.params.id);
+  res.status(result.success ? 200 : 404).json(result);
+});
+
+// Inbound hooks: list with the available actions
+app.get('/admin/api/inbound-hooks', requireAuth, (req, res) => {
+  res.json({ success: true, hooks: inboundHooks.listHooks(), actions: inboundHooks.getActions() });
+});
+
+// Recent inbound hook executions (optionally ?hookId=)
+app.get('/admin/api/inbound-hooks/history', requireAuth, (req, res) => {
+  res.json({ success: true, history: inboundHooks.getHistory(req.query.hookId || undefined, 100) });
+});
+
+// Create an inbound hook (the secret is only shown in this response)
+app.post('/admin/api/inbound-hooks', requireAuth, openapi.validateBody('InboundHookInput'), (req, res) => {
+  const { name, enabled, rules } = req.body || {};
+  const result = inboundHooks.createHook({ name, enabled, rules });
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+// Update an inbound hook's name, enabled flag or rules
+app.put('/admin/api/inbound-hooks/:id', requireAuth, openapi.validateBody('InboundHookInput'), (req, res) => {
+  const { name, enabled, rules } = req.body || {};
+  const result = inboundHooks.updateHook(req.params.id, { name, enabled, rules });
+  res.status(result.success ? 200 : (result.error === 'Hook not found' ? 404 : 400)).json(result);
+});
+
+// Delete an inbound hook
+app.delete('/admin/api/inbound-hooks/:id', requireAuth, (req, res) => {
+  const result = inboundHooks.deleteHook(req.params.id);
+  res.status(result.success ? 200 : (result.error === 'Hook not found' ? 404 : 500)).json(result);
+});
+
+// Replace an inbound hook's secret
+app.post('/admin/api/inbound-hooks/:id/secret', requireAuth, (req, res) => {
+  const result = inboundHooks.rotateSecret(req.params.id);
+  res.status(result.success ? 200 : (result.error === 'Hook not found' ? 404 : 500)).json(result);
+});
+
+// Test an inbound hook's rules against a sample payload without running the actions
+app.post('/admin/api/inbound-hooks/:id/test', requireAuth, openapi.validateBody('InboundHookTest'), async (req, res) => {
+  const hook = inboundHooks.getHook(req.params.id);
+  if (!hook) {
+    return res.status(404).json({ success: false, error: 'Hook not found' });
   }
+  const execution = await inboundHooks.execute(hook, req.body?.payload || {}, { ip: req.ip, dryRun: true });
+  res.json({ success: true, execution });
 });
 
 // Trigger a webhook
-app.post('/admin/api/webhooks/:id/trigger', requireAuth, async (req, res) => {
+app.post('/admin/api/webhooks/:id/trigger', requireAuth, openapi.validateBody('WebhookTrigger'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const payload = req.body.payload || {};
     
-    logger.log(`📡 Triggering webhook: ${id}`, 'WEBHOOKS');
+    logger.info(logger.categories.WEBHOOKS, `📡 Triggering webhook: ${id}`);
     const result = await webhooks.triggerWebhook(id, payload);
     
     if (result.success) {
@@ -7192,17 +8172,16 @@ app.post('/admin/api/webhooks/:id/trigger', requireAuth, async (req, res) => {
         data: result.data
       });
     } else {
-      res.status(500).json(result);
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    logger.error(`Failed to trigger webhook: ${err.message}`, 'WEBHOOKS');
-    res.status(500).json({ success: false, error: 'Failed to trigger webhook: ' + err.message });
+    next(err);
   }
 });
 
 // Ollama/Open WebUI Integration API Endpoints
 // Get Ollama configuration
-app.get('/admin/api/ollama/config', requireAuth, (req, res) => {
+app.get('/admin/api/ollama/config', requireAuth, (req, res, next) => {
   try {
     const config = ollama.loadConfig();
     // Don't send the API key to frontend, just indicate if it exists
@@ -7214,12 +8193,12 @@ app.get('/admin/api/ollama/config', requireAuth, (req, res) => {
     };
     res.json(sanitizedConfig);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get Ollama configuration: ' + err.message });
+    next(err);
   }
 });
 
 // Save Ollama configuration
-app.post('/admin/api/ollama/config', requireAuth, (req, res) => {
+app.post('/admin/api/ollama/config', requireAuth, openapi.validateBody('OllamaConfig'), (req, res, next) => {
   try {
     const { webUIUrl, apiKey, model, enabled } = req.body;
     
@@ -7237,10 +8216,10 @@ app.post('/admin/api/ollama/config', requireAuth, (req, res) => {
     if (result.success) {
       res.json({ success: true, message: result.message });
     } else {
-      res.status(500).json({ success: false, error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to save Ollama configuration: ' + err.message });
+    next(err);
   }
 });
 
@@ -7249,13 +8228,10 @@ app.post('/admin/api/ollama/test-connection', requireAuth, async (req, res) => {
   try {
     const config = ollama.loadConfig();
     const result = await ollama.testConnection(config);
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    res.status(500).json({ 
-      success: false, 
-      connected: false,
-      error: 'Failed to test connection: ' + err.message 
-    });
+    logError(logger.categories.OLLAMA, err, { operation: 'Test Open WebUI connection' });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to test connection', { connected: false });
   }
 });
 
@@ -7264,18 +8240,15 @@ app.get('/admin/api/ollama/models', requireAuth, async (req, res) => {
   try {
     const config = ollama.loadConfig();
     const result = await ollama.getModels(config);
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to get models: ' + err.message,
-      models: []
-    });
+    logError(logger.categories.OLLAMA, err, { operation: 'Get Open WebUI models' });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to get models', { models: [] });
   }
 });
 
 // Send chat prompt to Ollama
-app.post('/admin/api/ollama/chat', requireAuth, async (req, res) => {
+app.post('/admin/api/ollama/chat', requireAuth, openapi.validateBody('OllamaPrompt'), async (req, res, next) => {
   try {
     const { prompt, conversationHistory } = req.body;
     
@@ -7287,13 +8260,40 @@ app.post('/admin/api/ollama/chat', requireAuth, async (req, res) => {
     }
     
     const config = ollama.loadConfig();
-    const result = await ollama.sendPrompt(config, prompt, conversationHistory || []);
-    res.json(result);
+    const history = Array.isArray(conversationHistory) ? conversationHistory : [];
+    const result = await ollama.sendPrompt(config, prompt, history);
+
+    if (result.success) {
+      // Keep the conversation server-side so it survives browser changes and is included in backups
+      await ollama.saveConversationHistory([
+        ...history,
+        { type: 'user', content: prompt, timestamp: new Date().toISOString() },
+        { type: 'assistant', content: result.response, timestamp: result.timestamp, responseTime: result.responseTime }
+      ]);
+    }
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to send prompt: ' + err.message 
-    });
+    next(err);
+  }
+});
+
+// Get stored Ollama conversation history
+app.get('/admin/api/ollama/history', requireAuth, async (req, res, next) => {
+  try {
+    const history = await ollama.getConversationHistory();
+    res.json({ success: true, history });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Clear stored Ollama conversation history
+app.delete('/admin/api/ollama/history', requireAuth, async (req, res, next) => {
+  try {
+    const result = await ollama.saveConversationHistory([]);
+    sendResult(res, result, 'INTERNAL_ERROR');
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -7308,8 +8308,10 @@ app.get('/api/smart-mirror/config', (req, res) => {
   
   // Get optional orientation parameter
   const orientation = req.query.orientation; // 'portrait', 'landscape', or undefined
+  // Optional mirror profile (served at /smart-mirror/<profile>); the default profile if not given
+  const profile = req.query.profile;
   
-  logger.info(logger.categories.SMART_MIRROR, `Public config API requested from ${requestContext.ip} (orientation: ${orientation || 'all'})`);
+  logger.info(logger.categories.SMART_MIRROR, `Public config API requested from ${requestContext.ip} (orientation: ${orientation || 'all'}, profile: ${profile || 'default'})`);
   
   try {
     // Set cache-control headers to prevent browser caching
@@ -7319,7 +8321,10 @@ app.get('/api/smart-mirror/config', (req, res) => {
     
     logger.debug(logger.categories.SMART_MIRROR, 'Cache-control headers set for config API');
     
-    const config = smartMirror.getPublicConfig(orientation);
+    const config = smartMirror.getPublicConfig(orientation, profile);
+    if (!config) {
+      return sendError(res, 'SMART_MIRROR_PROFILE_NOT_FOUND', `Mirror profile not found: ${profile}`);
+    }
     console.log('📱 [Smart Mirror] Public config requested');
     logger.success(logger.categories.SMART_MIRROR, `Public config returned successfully (enabled: ${config.enabled}, orientation: ${orientation || 'all'})`);
     logger.logSmartMirrorDiagnostics('Public config API response', {
@@ -7334,12 +8339,13 @@ app.get('/api/smart-mirror/config', (req, res) => {
   } catch (err) {
     console.error('❌ [Smart Mirror] Error getting public config:', err.message);
     logger.error(logger.categories.SMART_MIRROR, `Public config API error: ${err.message} (stack: ${err.stack})`);
-    res.status(500).json({ success: false, error: 'Failed to get Smart Mirror configuration' });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to get Smart Mirror configuration');
   }
 });
 
 // Save Smart Mirror configuration (admin endpoint - auth required)
-app.post('/admin/api/smart-mirror/config', requireAuth, (req, res) => {
+// ?profile=<id> saves the widgets, layouts and theme to that mirror profile
+app.post('/admin/api/smart-mirror/config', requireAuth, openapi.validateBody('SmartMirrorConfig'), (req, res) => {
   const requestContext = {
     ip: req.ip || req.connection.remoteAddress,
     user: req.session?.user || 'unknown',
@@ -7366,7 +8372,13 @@ app.post('/admin/api/smart-mirror/config', requireAuth, (req, res) => {
       }
     });
     
-    const result = smartMirror.saveConfig(newConfig);
+    const pluginProblems = smartMirrorPlugins.validateWidgetConfigs(newConfig.widgets);
+    if (pluginProblems.length > 0) {
+      logger.warning(logger.categories.SMART_MIRROR, `Config save rejected: ${pluginProblems[0].path} ${pluginProblems[0].message}`);
+      return sendError(res, 'VALIDATION_ERROR', `Invalid request body: ${pluginProblems[0].path} ${pluginProblems[0].message}`, { details: pluginProblems });
+    }
+    
+    const result = smartMirror.saveConfig(newConfig, { profile: req.query.profile });
     
     if (result.success) {
       // Sync the AviationStack monthly limit whenever settings are saved
@@ -7377,16 +8389,68 @@ app.post('/admin/api/smart-mirror/config', requireAuth, (req, res) => {
     } else {
       console.error('❌ [Smart Mirror] Failed to save configuration:', result.error);
       logger.error(logger.categories.SMART_MIRROR, `Config save failed: ${result.error}`);
-      res.status(500).json({ success: false, error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
     console.error('❌ [Smart Mirror] Error saving config:', err.message);
     logger.error(logger.categories.SMART_MIRROR, `Config save error: ${err.message} (stack: ${err.stack})`);
-    res.status(500).json({ success: false, error: 'Failed to save Smart Mirror configuration' });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to save Smart Mirror configuration');
+  }
+});
+
+// List the widget plugins with their config schemas (admin endpoint - auth required)
+app.get('/admin/api/smart-mirror/plugins', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    plugins: smartMirrorPlugins.listPlugins(),
+    failed: smartMirrorPlugins.getLoadErrors()
+  });
+});
+
+// Mirror profiles (admin endpoints - auth required)
+// Each profile has its own widgets, layouts and theme and is served at /smart-mirror/<id>
+
+// Remote devices that show a profile (devices without one show the default profile)
+function getProfileDevices(profileId) {
+  return remoteMgmt.listDevices()
+    .filter(device => (device.mirrorProfile || smartMirror.DEFAULT_PROFILE_ID) === profileId)
+    .map(device => ({ id: device.id, name: device.name }));
+}
+
+app.get('/admin/api/smart-mirror/profiles', requireAuth, (req, res) => {
+  const profiles = smartMirror.listProfiles().map(profile => ({
+    ...profile,
+    url: profile.isDefault ? '/smart-mirror' : `/smart-mirror/${profile.id}`,
+    devices: getProfileDevices(profile.id)
+  }));
+  res.json({ success: true, profiles });
+});
+
+// Create a profile as a copy of another one (body: { id, name?, from? })
+app.post('/admin/api/smart-mirror/profiles', requireAuth, openapi.validateBody('SmartMirrorProfileCreate'), (req, res) => {
+  const result = smartMirror.createProfile(req.body);
+  if (!result.success) {
+    return sendResult(res, result, 'INTERNAL_ERROR');
+  }
+  res.status(201).json(result);
+});
+
+// Differences between two profiles (?a=<id>&b=<id>)
+app.get('/admin/api/smart-mirror/profiles/diff', requireAuth, (req, res) => {
+  sendResult(res, smartMirror.diffProfiles(req.query.a, req.query.b), 'INTERNAL_ERROR');
+});
+
+app.delete('/admin/api/smart-mirror/profiles/:id', requireAuth, (req, res) => {
+  const devices = getProfileDevices(req.params.id);
+  if (req.params.id !== smartMirror.DEFAULT_PROFILE_ID && devices.length > 0) {
+    return sendError(res, 'SMART_MIRROR_PROFILE_IN_USE',
+      `Mirror profile ${req.params.id} is shown by ${devices.map(device => device.name).join(', ')}`, { devices });
   }
+  sendResult(res, smartMirror.deleteProfile(req.params.id), 'INTERNAL_ERROR');
 });
 
 // Get full Smart Mirror configuration (admin endpoint - auth required)
+// ?profile=<id> returns the effective configuration of that mirror profile
 app.get('/admin/api/smart-mirror/config', requireAuth, (req, res) => {
   const requestContext = {
     ip: req.ip || req.connection.remoteAddress,
@@ -7397,7 +8461,10 @@ app.get('/admin/api/smart-mirror/config', requireAuth, (req, res) => {
   logger.info(logger.categories.SMART_MIRROR, `Admin config requested by ${requestContext.user} from ${requestContext.ip}`);
   
   try {
-    const config = smartMirror.loadConfig();
+    const config = smartMirror.getProfileConfig(req.query.profile);
+    if (!config) {
+      return sendError(res, 'SMART_MIRROR_PROFILE_NOT_FOUND', `Mirror profile not found: ${req.query.profile}`);
+    }
     console.log('📱 [Smart Mirror] Admin config requested');
     logger.success(logger.categories.SMART_MIRROR, `Admin config returned (enabled: ${config.enabled})`);
     logger.logSmartMirrorDiagnostics('Admin config API response', {
@@ -7410,7 +8477,7 @@ app.get('/admin/api/smart-mirror/config', requireAuth, (req, res) => {
   } catch (err) {
     console.error('❌ [Smart Mirror] Error getting admin config:', err.message);
     logger.error(logger.categories.SMART_MIRROR, `Admin config error: ${err.message} (stack: ${err.stack})`);
-    res.status(500).json({ success: false, error: 'Failed to get Smart Mirror configuration' });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to get Smart Mirror configuration');
   }
 });
 
@@ -7466,7 +8533,12 @@ app.get('/admin/api/smart-mirror/diagnostics', requireAuth, (req, res) => {
         theme: config.theme,
         widgetCount: Object.keys(config.widgets || {}).length,
         enabledWidgets: Object.keys(config.widgets || {}).filter(k => config.widgets[k]?.enabled),
-        hasCustomEncryptionKey: !!process.env.SMARTMIRROR_KEY
+        encryption: secrets.getStoreStatus('smartMirror')
+      },
+      push: smartMirrorPush.getStatus(),
+      plugins: {
+        loaded: smartMirrorPlugins.listPlugins().map(plugin => plugin.id),
+        failed: smartMirrorPlugins.getLoadErrors()
       },
       logs: {
         recent: logger.getLogs(logger.categories.SMART_MIRROR, 10)
@@ -7489,11 +8561,18 @@ app.get('/admin/api/smart-mirror/diagnostics', requireAuth, (req, res) => {
         solution: 'Enable it in the admin settings'
       });
     }
-    if (!diagnostics.configuration.hasCustomEncryptionKey) {
+    diagnostics.plugins.failed.forEach(failure => {
+      diagnostics.warnings.push({
+        level: 'WARNING',
+        message: `Widget plugin ${failure.id} could not be loaded: ${failure.error}`,
+        solution: 'Fix the plugin in plugins/ and restart the server'
+      });
+    });
+    if (diagnostics.configuration.encryption?.defaultKey) {
       diagnostics.warnings.push({
         level: 'WARNING',
-        message: 'Using default encryption key',
-        solution: 'Set SMARTMIRROR_KEY environment variable for production'
+        message: 'Configuration is encrypted with a publicly known default key',
+        solution: 'Rotate the master key in Settings → Secrets Vault'
       });
     }
     
@@ -7502,7 +8581,7 @@ app.get('/admin/api/smart-mirror/diagnostics', requireAuth, (req, res) => {
   } catch (err) {
     console.error('❌ [Smart Mirror] Error getting diagnostics:', err.message);
     logger.error(logger.categories.SMART_MIRROR, `Diagnostics error: ${err.message} (stack: ${err.stack})`);
-    res.status(500).json({ success: false, error: 'Failed to get Smart Mirror diagnostics' });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to get Smart Mirror diagnostics');
   }
 });
 
@@ -7536,14 +8615,14 @@ app.get('/admin/api/smart-mirror/logs/export', requireAuth, (req, res) => {
   } catch (err) {
     console.error('❌ [Smart Mirror] Error exporting logs:', err.message);
     logger.error(logger.categories.SMART_MIRROR, `Log export error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to export Smart Mirror logs' });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to export Smart Mirror logs');
   }
 });
 
 // Smart Mirror Widget Connection Test Endpoints (Admin - auth required)
 
 // Test weather widget connection
-app.post('/admin/api/smart-mirror/test/weather', requireAuth, async (req, res) => {
+app.post('/admin/api/smart-mirror/test/weather', requireAuth, openapi.validateBody('WeatherTest'), async (req, res) => {
   const requestContext = {
     ip: req.ip || req.connection.remoteAddress,
     user: req.session?.user || 'unknown',
@@ -7581,19 +8660,15 @@ app.post('/admin/api/smart-mirror/test/weather', requireAuth, async (req, res) =
       logger.warning(logger.categories.SMART_MIRROR, `Weather test failed: ${result.error}`);
     }
     
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
     logger.error(logger.categories.SMART_MIRROR, `Weather test error: ${err.message}`);
-    res.status(500).json({
-      success: false,
-      error: 'Test Failed',
-      message: 'An unexpected error occurred while testing the weather connection.'
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Test Failed', { message: 'An unexpected error occurred while testing the weather connection.' });
   }
 });
 
 // Test calendar widget connection
-app.post('/admin/api/smart-mirror/test/calendar', requireAuth, async (req, res) => {
+app.post('/admin/api/smart-mirror/test/calendar', requireAuth, openapi.validateBody('FeedTest'), async (req, res) => {
   const requestContext = {
     ip: req.ip || req.connection.remoteAddress,
     user: req.session?.user || 'unknown',
@@ -7621,19 +8696,15 @@ app.post('/admin/api/smart-mirror/test/calendar', requireAuth, async (req, res)
       logger.warning(logger.categories.SMART_MIRROR, `Calendar test completed with errors: ${result.summary.failed}/${result.summary.total} feeds failed`);
     }
     
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
     logger.error(logger.categories.SMART_MIRROR, `Calendar test error: ${err.message}`);
-    res.status(500).json({
-      success: false,
-      error: 'Test Failed',
-      message: 'An unexpected error occurred while testing the calendar connection.'
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Test Failed', { message: 'An unexpected error occurred while testing the calendar connection.' });
   }
 });
 
 // Test news widget connection
-app.post('/admin/api/smart-mirror/test/news', requireAuth, async (req, res) => {
+app.post('/admin/api/smart-mirror/test/news', requireAuth, openapi.validateBody('FeedTest'), async (req, res) => {
   const requestContext = {
     ip: req.ip || req.connection.remoteAddress,
     user: req.session?.user || 'unknown',
@@ -7661,19 +8732,15 @@ app.post('/admin/api/smart-mirror/test/news', requireAuth, async (req, res) => {
       logger.warning(logger.categories.SMART_MIRROR, `News test completed with errors: ${result.summary.failed}/${result.summary.total} feeds failed`);
     }
     
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
     logger.error(logger.categories.SMART_MIRROR, `News test error: ${err.message}`);
-    res.status(500).json({
-      success: false,
-      error: 'Test Failed',
-      message: 'An unexpected error occurred while testing the news connection.'
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Test Failed', { message: 'An unexpected error occurred while testing the news connection.' });
   }
 });
 
 // Test media widget (Home Assistant) connection
-app.post('/admin/api/smart-mirror/test/media', requireAuth, async (req, res) => {
+app.post('/admin/api/smart-mirror/test/media', requireAuth, openapi.validateBody('MediaTest'), async (req, res) => {
   const requestContext = {
     ip: req.ip || req.connection.remoteAddress,
     user: req.session?.user || 'unknown',
@@ -7705,29 +8772,22 @@ app.post('/admin/api/smart-mirror/test/media', requireAuth, async (req, res) =>
       logger.warning(logger.categories.SMART_MIRROR, `Home Assistant test failed: ${result.error}`);
     }
     
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
     logger.error(logger.categories.SMART_MIRROR, `Home Assistant test error: ${err.message}`);
-    res.status(500).json({
-      success: false,
-      error: 'Test Failed',
-      message: 'An unexpected error occurred while testing the Home Assistant connection.'
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Test Failed', { message: 'An unexpected error occurred while testing the Home Assistant connection.' });
   }
 });
 
 // Get recognition status for all configured smart widget media player entities (admin validation)
-app.get('/admin/api/smart-mirror/media-recognition-status', requireAuth, async (req, res) => {
+app.get('/admin/api/smart-mirror/media-recognition-status', requireAuth, async (req, res, next) => {
   try {
     const smConfig = smartMirror.loadConfig();
     const entityIds = smConfig.widgets?.smartWidget?.entityIds || [];
     const haConfig = config.homeAssistant || {};
 
     if (!haConfig.url || !haConfig.token) {
-      return res.json({
-        success: false,
-        error: 'Home Assistant URL and token are not configured in Settings.'
-      });
+      return sendError(res, 'HOME_ASSISTANT_NOT_CONFIGURED', 'Home Assistant URL and token are not configured in Settings.');
     }
 
     if (entityIds.length === 0) {
@@ -7739,15 +8799,14 @@ app.get('/admin/api/smart-mirror/media-recognition-status', requireAuth, async (
     }
 
     const result = await smartMirror.fetchAllMediaPlayerStates(haConfig.url, haConfig.token, entityIds);
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Media recognition status error: ${err.message}`);
-    res.status(500).json({ success: false, error: err.message });
+    next(err);
   }
 });
 
 // Test TomTom API connection (used by drive-time sub-widget)
-app.post('/admin/api/smart-mirror/test/tomtom', requireAuth, async (req, res) => {
+app.post('/admin/api/smart-mirror/test/tomtom', requireAuth, openapi.validateBody('ApiKeyTest'), async (req, res) => {
   const requestContext = {
     ip: req.ip || req.connection.remoteAddress,
     user: req.session?.user || 'unknown',
@@ -7777,21 +8836,17 @@ app.post('/admin/api/smart-mirror/test/tomtom', requireAuth, async (req, res) =>
       logger.warning(logger.categories.SMART_MIRROR, `TomTom API test failed: ${result.error}`);
     }
 
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
     logger.error(logger.categories.SMART_MIRROR, `TomTom API test error: ${err.message}`);
-    res.status(500).json({
-      success: false,
-      error: 'Test Failed',
-      message: 'An unexpected error occurred while testing the TomTom API connection.'
-    });
+    sendError(res, 'INTERNAL_ERROR', 'Test Failed', { message: 'An unexpected error occurred while testing the TomTom API connection.' });
   }
 });
 
 // Admin API endpoints for Flight API (AviationStack) management
 
 // Test Flight API connection
-app.post('/admin/api/flight-api/test-connection', requireAuth, async (req, res) => {
+app.post('/admin/api/flight-api/test-connection', requireAuth, openapi.validateBody('ApiKeyTest'), async (req, res, next) => {
   const requestContext = {
     ip: req.ip || req.connection.remoteAddress,
     user: req.session?.user || 'unknown',
@@ -7826,19 +8881,14 @@ app.post('/admin/api/flight-api/test-connection', requireAuth, async (req, res)
       logger.warning(logger.categories.SMART_MIRROR, `Flight API connection test failed: ${result.error}`);
     }
     
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Flight API connection test error: ${err.message}`);
-    res.status(500).json({
-      success: false,
-      error: 'Test failed',
-      message: err.message
-    });
+    next(err);
   }
 });
 
 // Get Flight API usage statistics
-app.get('/admin/api/flight-api/usage', requireAuth, (req, res) => {
+app.get('/admin/api/flight-api/usage', requireAuth, (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Flight API usage statistics requested');
   
   try {
@@ -7848,17 +8898,13 @@ app.get('/admin/api/flight-api/usage', requireAuth, (req, res) => {
       usage: stats
     });
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Flight API usage error: ${err.message}`);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get usage statistics'
-    });
+    next(err);
   }
 });
 
 // Get Flight API configuration diagnostic info (API key fingerprint)
 // This is a temporary diagnostic endpoint for troubleshooting API key issues
-app.get('/admin/api/flight-api/diagnostics', requireAuth, (req, res) => {
+app.get('/admin/api/flight-api/diagnostics', requireAuth, (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Flight API diagnostics requested');
   
   try {
@@ -7878,16 +8924,12 @@ app.get('/admin/api/flight-api/diagnostics', requireAuth, (req, res) => {
       }
     });
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Flight API diagnostics error: ${err.message}`);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get diagnostics'
-    });
+    next(err);
   }
 });
 
 // Get tracked flights and their update schedules
-app.get('/admin/api/flight-api/tracked-flights', requireAuth, (req, res) => {
+app.get('/admin/api/flight-api/tracked-flights', requireAuth, (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Tracked flights list requested');
   
   try {
@@ -7908,16 +8950,12 @@ app.get('/admin/api/flight-api/tracked-flights', requireAuth, (req, res) => {
       flights: enhancedFlights
     });
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Tracked flights error: ${err.message}`);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get tracked flights'
-    });
+    next(err);
   }
 });
 
 // Manually trigger flight data update
-app.post('/admin/api/flight-api/manual-update', requireAuth, async (req, res) => {
+app.post('/admin/api/flight-api/manual-update', requireAuth, async (req, res, next) => {
   const requestContext = {
     ip: req.ip || req.connection.remoteAddress,
     user: req.session?.user || 'unknown',
@@ -7933,54 +8971,59 @@ app.post('/admin/api/flight-api/manual-update', requireAuth, async (req, res) =>
       message: 'Flight data update completed'
     });
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Manual flight update error: ${err.message}`);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update flight data'
-    });
+    next(err);
   }
 });
 
 // Admin API endpoints for calendar cache management
 
 // Get calendar cache status
-app.get('/admin/api/smart-mirror/calendar/cache-status', requireAuth, (req, res) => {
+app.get('/admin/api/smart-mirror/calendar/cache-status', requireAuth, (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Calendar cache status requested');
   
   try {
     const status = smartMirror.getCalendarCacheStatus();
     res.json({ success: true, cache: status });
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Calendar cache status error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to get cache status' });
+    next(err);
   }
 });
 
 // Manually refresh calendar cache
-app.post('/admin/api/smart-mirror/calendar/refresh', requireAuth, async (req, res) => {
+app.post('/admin/api/smart-mirror/calendar/refresh', requireAuth, async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Manual calendar cache refresh requested');
   
   try {
     const result = await smartMirror.refreshCalendarCache();
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Calendar cache refresh error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to refresh calendar cache' });
+    next(err);
   }
 });
 
 // Smart Mirror Widget Data API Endpoints (Public - no auth required)
 
+// Config of the mirror profile a widget request is for (?profile=, the default
+// profile if not given); sends a 404 and returns null for an unknown profile
+function loadMirrorConfig(req, res) {
+  const mirrorConfig = smartMirror.getProfileConfig(req.query.profile);
+  if (!mirrorConfig) {
+    sendError(res, 'SMART_MIRROR_PROFILE_NOT_FOUND', `Mirror profile not found: ${req.query.profile}`);
+  }
+  return mirrorConfig;
+}
+
 // Fetch calendar events
 app.get('/api/smart-mirror/calendar', async (req, res) => {
   logger.info(logger.categories.SMART_MIRROR, 'Calendar data requested');
   
   try {
-    const config = smartMirror.loadConfig();
+    const config = loadMirrorConfig(req, res);
+    if (!config) return;
     const calendarConfig = config.widgets?.calendar;
     
     if (!calendarConfig || !calendarConfig.enabled) {
-      return res.json({ success: false, error: 'Calendar widget not enabled', events: [] });
+      return sendError(res, 'WIDGET_DISABLED', 'Calendar widget not enabled', { events: [] });
     }
     
     // Get cache TTL from config for HTTP headers (fetchCalendarEvents will also load config internally)
@@ -7991,10 +9034,10 @@ app.get('/api/smart-mirror/calendar', async (req, res) => {
     res.setHeader('Expires', new Date(Date.now() + cacheTTL * 1000).toUTCString());
     
     const result = await smartMirror.fetchCalendarEvents(calendarConfig.calendarUrls || []);
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
     logger.error(logger.categories.SMART_MIRROR, `Calendar API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch calendar events', events: [] });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to fetch calendar events', { events: [] });
   }
 });
 
@@ -8008,18 +9051,19 @@ app.get('/api/smart-mirror/news', async (req, res) => {
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
     
-    const config = smartMirror.loadConfig();
+    const config = loadMirrorConfig(req, res);
+    if (!config) return;
     const newsConfig = config.widgets?.news;
     
     if (!newsConfig || !newsConfig.enabled) {
-      return res.json({ success: false, error: 'News widget not enabled', items: [] });
+      return sendError(res, 'WIDGET_DISABLED', 'News widget not enabled', { items: [] });
     }
     
     const result = await smartMirror.fetchNews(newsConfig.feedUrls || []);
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
     logger.error(logger.categories.SMART_MIRROR, `News API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch news', items: [] });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to fetch news', { items: [] });
   }
 });
 
@@ -8032,23 +9076,24 @@ app.get('/api/smart-mirror/news/vacation', async (req, res) => {
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
 
-    const config = smartMirror.loadConfig();
+    const config = loadMirrorConfig(req, res);
+    if (!config) return;
     const newsConfig = config.widgets?.news;
 
     if (!newsConfig || !newsConfig.enabled) {
-      return res.json({ success: false, error: 'News widget not enabled', regions: [] });
+      return sendError(res, 'WIDGET_DISABLED', 'News widget not enabled', { regions: [] });
     }
 
     if (!newsConfig.vacationNewsEnabled) {
-      return res.json({ success: false, error: 'Vacation news not enabled', regions: [] });
+      return sendError(res, 'WIDGET_DISABLED', 'Vacation news not enabled', { regions: [] });
     }
 
     const vacationData = house.getVacationData();
     const result = await smartMirror.fetchVacationRegionNews(vacationData.dates || [], newsConfig);
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
     logger.error(logger.categories.SMART_MIRROR, `Vacation region news API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch vacation region news', regions: [] });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to fetch vacation region news', { regions: [] });
   }
 });
 
@@ -8061,29 +9106,30 @@ app.get('/api/smart-mirror/news/calendar', async (req, res) => {
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
 
-    const config = smartMirror.loadConfig();
+    const config = loadMirrorConfig(req, res);
+    if (!config) return;
     const newsConfig = config.widgets?.news;
 
     if (!newsConfig || !newsConfig.enabled) {
-      return res.json({ success: false, error: 'News widget not enabled', regions: [] });
+      return sendError(res, 'WIDGET_DISABLED', 'News widget not enabled', { regions: [] });
     }
 
     if (!newsConfig.calendarNewsEnabled) {
-      return res.json({ success: false, error: 'Calendar news not enabled', regions: [] });
+      return sendError(res, 'WIDGET_DISABLED', 'Calendar news not enabled', { regions: [] });
     }
 
     const calendarConfig = config.widgets?.calendar;
     const calendarUrls = calendarConfig?.calendarUrls || [];
     const result = await smartMirror.fetchCalendarRegionNews(calendarUrls, newsConfig);
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
     logger.error(logger.categories.SMART_MIRROR, `Calendar region news API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch calendar region news', regions: [] });
+    sendError(res, 'INTERNAL_ERROR', 'Failed to fetch calendar region news', { regions: [] });
   }
 });
 
 // Fetch current weather
-app.get('/api/smart-mirror/weather', async (req, res) => {
+app.get('/api/smart-mirror/weather', async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Weather data requested');
   
   try {
@@ -8092,15 +9138,16 @@ app.get('/api/smart-mirror/weather', async (req, res) => {
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
     
-    const config = smartMirror.loadConfig();
+    const config = loadMirrorConfig(req, res);
+    if (!config) return;
     const weatherConfig = config.widgets?.weather;
     
     if (!weatherConfig || !weatherConfig.enabled) {
-      return res.json({ success: false, error: 'Weather widget not enabled' });
+      return sendError(res, 'WIDGET_DISABLED', 'Weather widget not enabled');
     }
     
     if (!weatherConfig.apiKey || !weatherConfig.location) {
-      return res.json({ success: false, error: 'Weather API key and location must be configured' });
+      return sendError(res, 'WIDGET_NOT_CONFIGURED', 'Weather API key and location must be configured');
     }
     
     const result = await smartMirror.fetchWeather(
@@ -8108,15 +9155,14 @@ app.get('/api/smart-mirror/weather', async (req, res) => {
       weatherConfig.location,
       weatherConfig.units || 'imperial'
     );
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Weather API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch weather data' });
+    next(err);
   }
 });
 
 // Fetch weather forecast
-app.get('/api/smart-mirror/forecast', async (req, res) => {
+app.get('/api/smart-mirror/forecast', async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Forecast data requested');
   
   try {
@@ -8125,15 +9171,16 @@ app.get('/api/smart-mirror/forecast', async (req, res) => {
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
     
-    const config = smartMirror.loadConfig();
+    const config = loadMirrorConfig(req, res);
+    if (!config) return;
     const forecastConfig = config.widgets?.forecast;
     
     if (!forecastConfig || !forecastConfig.enabled) {
-      return res.json({ success: false, error: 'Forecast widget not enabled' });
+      return sendError(res, 'WIDGET_DISABLED', 'Forecast widget not enabled');
     }
     
     if (!forecastConfig.apiKey || !forecastConfig.location) {
-      return res.json({ success: false, error: 'Forecast API key and location must be configured' });
+      return sendError(res, 'WIDGET_NOT_CONFIGURED', 'Forecast API key and location must be configured');
     }
     
     const result = await smartMirror.fetchForecast(
@@ -8142,15 +9189,14 @@ app.get('/api/smart-mirror/forecast', async (req, res) => {
       forecastConfig.days || 5,
       forecastConfig.units || 'imperial'
     );
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Forecast API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch forecast data' });
+    next(err);
   }
 });
 
 // Rain forecast endpoint for Smart Widget
-app.get('/api/smart-mirror/rain-forecast', async (req, res) => {
+app.get('/api/smart-mirror/rain-forecast', async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Rain forecast data requested');
   
   try {
@@ -8159,15 +9205,16 @@ app.get('/api/smart-mirror/rain-forecast', async (req, res) => {
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
     
-    const config = smartMirror.loadConfig();
+    const config = loadMirrorConfig(req, res);
+    if (!config) return;
     const smartWidgetConfig = config.widgets?.smartWidget;
     
     if (!smartWidgetConfig || !smartWidgetConfig.enabled) {
-      return res.json({ success: false, error: 'Smart Widget not enabled' });
+      return sendError(res, 'WIDGET_DISABLED', 'Smart Widget not enabled');
     }
     
     if (!smartWidgetConfig.apiKey || !smartWidgetConfig.location) {
-      return res.json({ success: false, error: 'Weather API key and location must be configured' });
+      return sendError(res, 'WIDGET_NOT_CONFIGURED', 'Weather API key and location must be configured');
     }
     
     // Get 5-day forecast
@@ -8179,7 +9226,7 @@ app.get('/api/smart-mirror/rain-forecast', async (req, res) => {
     );
     
     if (!result.success) {
-      return res.json(result);
+      return sendResult(res, result, 'UPSTREAM_ERROR');
     }
     
     // Analyze forecast for rain
@@ -8215,13 +9262,12 @@ app.get('/api/smart-mirror/rain-forecast', async (req, res) => {
       location: smartWidgetConfig.location
     });
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Rain forecast API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch rain forecast data' });
+    next(err);
   }
 });
 
 // Fetch air quality data
-app.get('/api/smart-mirror/air-quality', async (req, res) => {
+app.get('/api/smart-mirror/air-quality', async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Air quality data requested');
   
   try {
@@ -8230,15 +9276,16 @@ app.get('/api/smart-mirror/air-quality', async (req, res) => {
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
     
-    const config = smartMirror.loadConfig();
+    const config = loadMirrorConfig(req, res);
+    if (!config) return;
     const airQualityConfig = config.widgets?.airQuality;
     
     if (!airQualityConfig || !airQualityConfig.enabled) {
-      return res.json({ success: false, error: 'Air Quality widget not enabled' });
+      return sendError(res, 'WIDGET_DISABLED', 'Air Quality widget not enabled');
     }
     
     if (!airQualityConfig.apiKey || !airQualityConfig.location) {
-      return res.json({ success: false, error: 'Air Quality API key and location must be configured' });
+      return sendError(res, 'WIDGET_NOT_CONFIGURED', 'Air Quality API key and location must be configured');
     }
     
     const result = await smartMirror.fetchAirQuality(
@@ -8252,10 +9299,34 @@ app.get('/api/smart-mirror/air-quality', async (req, res) => {
       result.data.highlightEnabled = airQualityConfig.highlightFavorableConditions !== false;
     }
     
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get a widget plugin's data (public endpoint for the smart mirror)
+app.get('/api/smart-mirror/plugins/:id/data', async (req, res, next) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+    
+    const plugin = smartMirrorPlugins.getPlugin(req.params.id);
+    if (!plugin) {
+      return sendError(res, 'WIDGET_PLUGIN_NOT_FOUND', `Widget plugin not found: ${req.params.id}`);
+    }
+    const smConfig = loadMirrorConfig(req, res);
+    if (!smConfig) return;
+    const widgetConfig = smConfig.widgets?.[plugin.widgetKey];
+    if (!widgetConfig || !widgetConfig.enabled) {
+      return sendError(res, 'WIDGET_DISABLED', `${plugin.definition.name} widget not enabled`);
+    }
+    
+    const result = await smartMirrorPlugins.fetchData(plugin.id, widgetConfig);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Air quality API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch air quality data' });
+    next(err);
   }
 });
 
@@ -8266,6 +9337,7 @@ app.get('/api/smart-mirror/media', (() => {
   const cache = {
     lastRequest: 0,
     lastResult: null,
+    entityKey: null, // Entities of the cached result (mirror profiles can show different players)
     minInterval: smartMirror.CACHE_MIN_INTERVAL_MS // Use constant from smartMirror module
   };
   
@@ -8278,21 +9350,22 @@ app.get('/api/smart-mirror/media', (() => {
       res.setHeader('Pragma', 'no-cache');
       res.setHeader('Expires', '0');
       
-      const smConfig = smartMirror.loadConfig(); // smart mirror config
+      const smConfig = loadMirrorConfig(req, res);
+      if (!smConfig) return;
       const mediaConfig = smConfig.widgets?.media;
       
       if (!mediaConfig || !mediaConfig.enabled) {
-        return res.json({ success: false, error: 'Media widget not enabled' });
+        return sendError(res, 'WIDGET_DISABLED', 'Media widget not enabled');
       }
       
       const haConfig = config.homeAssistant || {}; // global app config (module-level `config` variable)
       
       if (!haConfig.enabled || !haConfig.url || !haConfig.token) {
-        return res.json({ success: false, error: 'Home Assistant URL and token must be configured in Settings' });
+        return sendError(res, 'HOME_ASSISTANT_NOT_CONFIGURED', 'Home Assistant URL and token must be configured in Settings');
       }
       
       if (!mediaConfig.entityIds || mediaConfig.entityIds.length === 0) {
-        return res.json({ success: false, error: 'At least one media player entity ID must be configured' });
+        return sendError(res, 'WIDGET_NOT_CONFIGURED', 'At least one media player entity ID must be configured');
       }
       
       // Check if we have a recent cached result to prevent spamming HA
@@ -8300,13 +9373,15 @@ app.get('/api/smart-mirror/media', (() => {
       const timeSinceLastRequest = now - cache.lastRequest;
       
       // Cache both success and error responses to prevent repeated failed requests
-      if (timeSinceLastRequest < cache.minInterval && cache.lastResult !== null) {
+      const entityKey = mediaConfig.entityIds.join(',');
+      if (timeSinceLastRequest < cache.minInterval && cache.lastResult !== null && cache.entityKey === entityKey) {
         logger.debug(logger.categories.SMART_MIRROR, `Returning cached media data (${timeSinceLastRequest}ms since last request)`);
-        return res.json(cache.lastResult);
+        return sendResult(res, cache.lastResult, 'UPSTREAM_ERROR');
       }
       
       // Update cache timestamp before making request to prevent race conditions
       cache.lastRequest = now;
+      cache.entityKey = entityKey;
       
       const result = await smartMirror.fetchHomeAssistantMedia(
         haConfig.url,
@@ -8317,7 +9392,7 @@ app.get('/api/smart-mirror/media', (() => {
       // Cache the result (both success and error responses)
       cache.lastResult = result;
       
-      res.json(result);
+      sendResult(res, result, 'UPSTREAM_ERROR');
     } catch (err) {
       logger.error(logger.categories.SMART_MIRROR, `Media API error: ${err.message}`);
       const errorResult = { success: false, error: 'Failed to fetch media player data' };
@@ -8331,7 +9406,7 @@ app.get('/api/smart-mirror/media', (() => {
 })());
 
 // Fetch vacation data for smart mirror (public endpoint)
-app.get('/api/smart-mirror/vacation', async (req, res) => {
+app.get('/api/smart-mirror/vacation', async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Vacation data requested');
   
   try {
@@ -8340,11 +9415,12 @@ app.get('/api/smart-mirror/vacation', async (req, res) => {
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
     
-    const config = smartMirror.loadConfig();
+    const config = loadMirrorConfig(req, res);
+    if (!config) return;
     const vacationConfig = config.widgets?.vacation;
     
     if (!vacationConfig || !vacationConfig.enabled) {
-      return res.json({ success: false, error: 'Vacation widget not enabled' });
+      return sendError(res, 'WIDGET_DISABLED', 'Vacation widget not enabled');
     }
     
     // Get vacation data from house module
@@ -8367,13 +9443,12 @@ app.get('/api/smart-mirror/vacation', async (req, res) => {
       vacations: upcomingVacations 
     });
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Vacation API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch vacation data' });
+    next(err);
   }
 });
 
 // Search Home Assistant entities for battery/charging devices (admin endpoint)
-app.get('/admin/api/smart-mirror/ha-battery/search', requireAuth, async (req, res) => {
+app.get('/admin/api/smart-mirror/ha-battery/search', requireAuth, async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'HA battery device search requested');
 
   try {
@@ -8389,15 +9464,14 @@ app.get('/admin/api/smart-mirror/ha-battery/search', requireAuth, async (req, re
 
     const keyword = (req.query.keyword || '').trim();
     const result = await smartMirror.searchHomeAssistantBatteryEntities(haUrl, haToken, keyword);
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `HA battery search error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to search Home Assistant entities' });
+    next(err);
   }
 });
 
 // Get current battery/charging status for all tracked devices (admin endpoint)
-app.get('/admin/api/smart-mirror/ha-battery/status', requireAuth, async (req, res) => {
+app.get('/admin/api/smart-mirror/ha-battery/status', requireAuth, async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'HA battery status check requested');
 
   try {
@@ -8423,19 +9497,18 @@ app.get('/admin/api/smart-mirror/ha-battery/status', requireAuth, async (req, re
     const result = await smartMirror.fetchHomeAssistantBatteryDevices(haUrl, haToken, trackedDevices);
 
     if (!result.success) {
-      return res.json({ success: false, error: result.error, devices: [] });
+      return sendError(res, 'UPSTREAM_ERROR', result.error, { devices: [] });
     }
 
     // Return all devices so the admin can see unavailable/error states too
     res.json({ success: true, devices: result.devices, statusCheckedAt: new Date().toISOString() });
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `HA battery status error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch battery status' });
+    next(err);
   }
 });
 
 // Test location for weather availability (for admin validation)
-app.post('/admin/api/smart-mirror/test-location', requireAuth, async (req, res) => {
+app.post('/admin/api/smart-mirror/test-location', requireAuth, openapi.validateBody('LocationTest'), async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Testing location for weather availability');
   
   try {
@@ -8458,15 +9531,14 @@ app.post('/admin/api/smart-mirror/test-location', requireAuth, async (req, res)
     const units = config.widgets?.weather?.units || 'imperial';
     const result = await smartMirror.testWeatherConnection(apiKey, location, units);
     
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Location test error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to test location' });
+    next(err);
   }
 });
 
 // Fetch weather forecast for a specific location (used by vacation widget)
-app.get('/api/smart-mirror/vacation-weather', async (req, res) => {
+app.get('/api/smart-mirror/vacation-weather', async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Vacation weather requested');
   
   try {
@@ -8481,11 +9553,12 @@ app.get('/api/smart-mirror/vacation-weather', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Location parameter is required' });
     }
     
-    const config = smartMirror.loadConfig();
+    const config = loadMirrorConfig(req, res);
+    if (!config) return;
     const vacationConfig = config.widgets?.vacation;
     
     if (!vacationConfig || !vacationConfig.enabled) {
-      return res.json({ success: false, error: 'Vacation widget not enabled' });
+      return sendError(res, 'WIDGET_DISABLED', 'Vacation widget not enabled');
     }
     
     // Use weather API key from weather or forecast widget
@@ -8493,7 +9566,7 @@ app.get('/api/smart-mirror/vacation-weather', async (req, res) => {
     const units = config.widgets?.weather?.units || config.widgets?.forecast?.units || 'imperial';
     
     if (!apiKey) {
-      return res.json({ success: false, error: 'Weather API key not configured' });
+      return sendError(res, 'WIDGET_NOT_CONFIGURED', 'Weather API key not configured');
     }
     
     // Try to fetch full available forecast window; OpenWeatherMap free tier returns ~5–6 days
@@ -8523,15 +9596,14 @@ app.get('/api/smart-mirror/vacation-weather', async (req, res) => {
       // which is appropriate since that was the primary attempt
     }
     
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Vacation weather API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch vacation weather data' });
+    next(err);
   }
 });
 
 // Fetch timezone information for a location (used by vacation widget)
-app.get('/api/smart-mirror/vacation-timezone', async (req, res) => {
+app.get('/api/smart-mirror/vacation-timezone', async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Vacation timezone requested');
   
   try {
@@ -8546,31 +9618,31 @@ app.get('/api/smart-mirror/vacation-timezone', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Location parameter is required' });
     }
     
-    const config = smartMirror.loadConfig();
+    const config = loadMirrorConfig(req, res);
+    if (!config) return;
     const vacationConfig = config.widgets?.vacation;
     
     if (!vacationConfig || !vacationConfig.enabled) {
-      return res.json({ success: false, error: 'Vacation widget not enabled' });
+      return sendError(res, 'WIDGET_DISABLED', 'Vacation widget not enabled');
     }
     
     // Use weather API key from weather or forecast widget
     const apiKey = config.widgets?.weather?.apiKey || config.widgets?.forecast?.apiKey;
     
     if (!apiKey) {
-      return res.json({ success: false, error: 'Weather API key not configured' });
+      return sendError(res, 'WIDGET_NOT_CONFIGURED', 'Weather API key not configured');
     }
     
     const result = await smartMirror.fetchLocationTimezone(apiKey, location);
     
-    res.json(result);
+    sendResult(res, result, 'UPSTREAM_ERROR');
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Vacation timezone API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch vacation timezone data' });
+    next(err);
   }
 });
 
 // Admin endpoint to validate flight information
-app.post('/admin/api/vacation/validate-flight', requireAuth, async (req, res) => {
+app.post('/admin/api/vacation/validate-flight', requireAuth, openapi.validateBody('FlightLookup'), async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Validating flight information');
   
   try {
@@ -8596,10 +9668,7 @@ app.post('/admin/api/vacation/validate-flight', requireAuth, async (req, res) =>
       // Fall back to format validation if no API key configured
       const flightRegex = /^[A-Z]{2,3}\d{1,4}$/i;
       if (!flightRegex.test(flightNumber)) {
-        return res.json({
-          success: false,
-          error: 'Invalid flight number format. Expected format: AB123 or ABC1234'
-        });
+        return sendError(res, 'BAD_REQUEST', 'Invalid flight number format. Expected format: AB123 or ABC1234');
       }
       
       // Return basic validation success without API check
@@ -8620,15 +9689,14 @@ app.post('/admin/api/vacation/validate-flight', requireAuth, async (req, res) =>
     // Admin actions bypass the limit check but still count toward API usage
     logger.info(logger.categories.SMART_MIRROR, `Flight validation: Using AviationStack API to validate ${flightNumber} on ${date}`);
     const result = await aviationstack.validateFlight(apiKey, flightNumber, date, true);
-    res.json(result);
+    sendResult(res, result);
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Flight validation error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to validate flight' });
+    next(err);
   }
 });
 
 // Admin endpoint to toggle flight tracking for a vacation
-app.post('/admin/api/vacation/toggle-flight-tracking', requireAuth, async (req, res) => {
+app.post('/admin/api/vacation/toggle-flight-tracking', requireAuth, openapi.validateBody('FlightTrackingToggle'), async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Toggling flight tracking');
   
   try {
@@ -8651,15 +9719,14 @@ app.post('/admin/api/vacation/toggle-flight-tracking', requireAuth, async (req,
       flightTrackingEnabled: enabled === true
     });
     
-    res.json(result);
+    sendResult(res, result, 'NOT_FOUND');
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Toggle flight tracking error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to toggle flight tracking' });
+    next(err);
   }
 });
 
 // Public endpoint to fetch flight status for smart mirror display
-app.get('/api/smart-mirror/flight-status', async (req, res) => {
+app.get('/api/smart-mirror/flight-status', async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Flight status requested');
   
   try {
@@ -8677,11 +9744,12 @@ app.get('/api/smart-mirror/flight-status', async (req, res) => {
       });
     }
     
-    const config = smartMirror.loadConfig();
+    const config = loadMirrorConfig(req, res);
+    if (!config) return;
     const vacationConfig = config.widgets?.vacation;
     
     if (!vacationConfig || !vacationConfig.enabled) {
-      return res.json({ success: false, error: 'Vacation widget not enabled' });
+      return sendError(res, 'WIDGET_DISABLED', 'Vacation widget not enabled');
     }
     
     // First, try to get cached data from scheduler
@@ -8733,8 +9801,7 @@ app.get('/api/smart-mirror/flight-status', async (req, res) => {
       cached: false
     });
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Flight status API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch flight status' });
+    next(err);
   }
 });
 
@@ -8903,7 +9970,7 @@ async function fetchSpacexLaunchData() {
 }
 
 // SpaceX Launch API endpoint
-app.get('/api/smart-mirror/spacex-launch', async (req, res) => {
+app.get('/api/smart-mirror/spacex-launch', async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'SpaceX Launch data requested');
   try {
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
@@ -8916,13 +9983,12 @@ app.get('/api/smart-mirror/spacex-launch', async (req, res) => {
     }
     return res.json({ success: true, hasContent: true, data });
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `SpaceX Launch API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch SpaceX launch data' });
+    next(err);
   }
 });
 
 // Smart Widget data aggregation endpoint
-app.get('/api/smart-mirror/smart-widget', async (req, res) => {
+app.get('/api/smart-mirror/smart-widget', async (req, res, next) => {
   logger.info(logger.categories.SMART_MIRROR, 'Smart Widget data requested');
   
   try {
@@ -8931,11 +9997,12 @@ app.get('/api/smart-mirror/smart-widget', async (req, res) => {
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
     
-    const smartMirrorConfig = smartMirror.loadConfig();
+    const smartMirrorConfig = loadMirrorConfig(req, res);
+    if (!smartMirrorConfig) return;
     const smartWidgetConfig = smartMirrorConfig.widgets?.smartWidget;
     
     if (!smartWidgetConfig || !smartWidgetConfig.enabled) {
-      return res.json({ success: false, error: 'Smart Widget not enabled' });
+      return sendError(res, 'WIDGET_DISABLED', 'Smart Widget not enabled');
     }
     
     const subWidgets = smartWidgetConfig.subWidgets || [];
@@ -9535,8 +10602,6 @@ app.get('/api/smart-mirror/smart-widget', async (req, res) => {
 
           case 'party':
             // Get next active party from parties array
-            migrateToMultiParty(); // Ensure migration has run
-            
             // Find the next upcoming party (scheduled or draft status, not archived)
             let nextParty = null;
             if (config.parties && config.parties.length > 0) {
@@ -9901,8 +10966,7 @@ app.get('/api/smart-mirror/smart-widget', async (req, res) => {
       subWidgets: activeSubWidgets
     });
   } catch (err) {
-    logger.error(logger.categories.SMART_MIRROR, `Smart Widget API error: ${err.message}`);
-    res.status(500).json({ success: false, error: 'Failed to fetch Smart Widget data' });
+    next(err);
   }
 });
 
@@ -10040,37 +11104,37 @@ app.post('/admin/api/house/vacation/clock-sync', requireAuth, (req, res) => {
   if (result.success) {
     res.json(result);
   } else {
-    res.status(500).json(result);
+    sendResult(res, result, 'INTERNAL_ERROR');
   }
 });
 
 // House API Endpoints
 // Get vacation data
-app.get('/admin/api/house/vacation', requireAuth, (req, res) => {
+app.get('/admin/api/house/vacation', requireAuth, (req, res, next) => {
   try {
     const vacationData = house.getVacationData();
     res.json(vacationData);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get vacation data: ' + err.message });
+    next(err);
   }
 });
 
 // Save vacation data
-app.post('/admin/api/house/vacation', requireAuth, (req, res) => {
+app.post('/admin/api/house/vacation', requireAuth, openapi.validateBody('VacationData'), (req, res, next) => {
   try {
     const result = house.saveVacationData(req.body);
     if (result.success) {
       res.json({ success: true, message: 'Vacation data saved successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to save vacation data: ' + err.message });
+    next(err);
   }
 });
 
 // Add vacation date
-app.post('/admin/api/house/vacation/dates', requireAuth, (req, res) => {
+app.post('/admin/api/house/vacation/dates', requireAuth, openapi.validateBody('VacationDate'), (req, res, next) => {
   try {
     const result = house.addVacationDate(req.body);
     if (result.success) {
@@ -10081,15 +11145,15 @@ app.post('/admin/api/house/vacation/dates', requireAuth, (req, res) => {
         clockSync: syncResult
       });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add vacation date: ' + err.message });
+    next(err);
   }
 });
 
 // Update vacation date
-app.put('/admin/api/house/vacation/dates/:id', requireAuth, (req, res) => {
+app.put('/admin/api/house/vacation/dates/:id', requireAuth, openapi.validateBody('VacationDate'), (req, res, next) => {
   try {
     const result = house.updateVacationDate(req.params.id, req.body);
     if (result.success) {
@@ -10103,41 +11167,41 @@ app.put('/admin/api/house/vacation/dates/:id', requireAuth, (req, res) => {
       res.status(404).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update vacation date: ' + err.message });
+    next(err);
   }
 });
 
 // Delete vacation date
-app.delete('/admin/api/house/vacation/dates/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/house/vacation/dates/:id', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteVacationDate(req.params.id);
     if (result.success) {
       syncVacationClockTimezones();
       res.json({ success: true, message: 'Vacation date deleted successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete vacation date: ' + err.message });
+    next(err);
   }
 });
 
 // Add pet
-app.post('/admin/api/house/vacation/pets', requireAuth, (req, res) => {
+app.post('/admin/api/house/vacation/pets', requireAuth, openapi.validateBody('HousePet'), (req, res, next) => {
   try {
     const result = house.addPet(req.body);
     if (result.success) {
       res.json({ success: true, message: 'Pet added successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add pet: ' + err.message });
+    next(err);
   }
 });
 
 // Update pet
-app.put('/admin/api/house/vacation/pets/:id', requireAuth, (req, res) => {
+app.put('/admin/api/house/vacation/pets/:id', requireAuth, openapi.validateBody('HousePetUpdate'), (req, res, next) => {
   try {
     const result = house.updatePet(req.params.id, req.body);
     if (result.success) {
@@ -10146,64 +11210,64 @@ app.put('/admin/api/house/vacation/pets/:id', requireAuth, (req, res) => {
       res.status(404).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update pet: ' + err.message });
+    next(err);
   }
 });
 
 // Delete pet
-app.delete('/admin/api/house/vacation/pets/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/house/vacation/pets/:id', requireAuth, (req, res, next) => {
   try {
     const result = house.deletePet(req.params.id);
     if (result.success) {
       res.json({ success: true, message: 'Pet deleted successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete pet: ' + err.message });
+    next(err);
   }
 });
 
 // Get documentation data
-app.get('/admin/api/house/documentation', requireAuth, (req, res) => {
+app.get('/admin/api/house/documentation', requireAuth, (req, res, next) => {
   try {
     const documentationData = house.getDocumentationData();
     res.json(documentationData);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get documentation data: ' + err.message });
+    next(err);
   }
 });
 
 // Save documentation data
-app.post('/admin/api/house/documentation', requireAuth, (req, res) => {
+app.post('/admin/api/house/documentation', requireAuth, openapi.validateBody('HouseDocumentation'), (req, res, next) => {
   try {
     const result = house.saveDocumentationData(req.body);
     if (result.success) {
       res.json({ success: true, message: 'Documentation data saved successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to save documentation data: ' + err.message });
+    next(err);
   }
 });
 
 // Add document
-app.post('/admin/api/house/documentation/documents', requireAuth, (req, res) => {
+app.post('/admin/api/house/documentation/documents', requireAuth, openapi.validateBody('HouseDocument'), (req, res, next) => {
   try {
     const result = house.addDocument(req.body);
     if (result.success) {
       res.json({ success: true, message: 'Document added successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add document: ' + err.message });
+    next(err);
   }
 });
 
 // Update document
-app.put('/admin/api/house/documentation/documents/:id', requireAuth, (req, res) => {
+app.put('/admin/api/house/documentation/documents/:id', requireAuth, openapi.validateBody('HouseDocumentUpdate'), (req, res, next) => {
   try {
     const result = house.updateDocument(req.params.id, req.body);
     if (result.success) {
@@ -10212,40 +11276,40 @@ app.put('/admin/api/house/documentation/documents/:id', requireAuth, (req, res)
       res.status(404).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update document: ' + err.message });
+    next(err);
   }
 });
 
 // Delete document
-app.delete('/admin/api/house/documentation/documents/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/house/documentation/documents/:id', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteDocument(req.params.id);
     if (result.success) {
       res.json({ success: true, message: 'Document deleted successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete document: ' + err.message });
+    next(err);
   }
 });
 
 // Add instruction
-app.post('/admin/api/house/documentation/instructions', requireAuth, (req, res) => {
+app.post('/admin/api/house/documentation/instructions', requireAuth, openapi.validateBody('HouseInstruction'), (req, res, next) => {
   try {
     const result = house.addInstruction(req.body);
     if (result.success) {
       res.json({ success: true, message: 'Instruction added successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add instruction: ' + err.message });
+    next(err);
   }
 });
 
 // Update instruction
-app.put('/admin/api/house/documentation/instructions/:id', requireAuth, (req, res) => {
+app.put('/admin/api/house/documentation/instructions/:id', requireAuth, openapi.validateBody('HouseInstructionUpdate'), (req, res, next) => {
   try {
     const result = house.updateInstruction(req.params.id, req.body);
     if (result.success) {
@@ -10254,129 +11318,129 @@ app.put('/admin/api/house/documentation/instructions/:id', requireAuth, (req, re
       res.status(404).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update instruction: ' + err.message });
+    next(err);
   }
 });
 
 // Delete instruction
-app.delete('/admin/api/house/documentation/instructions/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/house/documentation/instructions/:id', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteInstruction(req.params.id);
     if (result.success) {
       res.json({ success: true, message: 'Instruction deleted successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete instruction: ' + err.message });
+    next(err);
   }
 });
 
 // Get media center data
-app.get('/admin/api/house/mediacenter', requireAuth, (req, res) => {
+app.get('/admin/api/house/mediacenter', requireAuth, (req, res, next) => {
   try {
     const mediaCenterData = house.getMediaCenterData();
     res.json(mediaCenterData);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get media center data: ' + err.message });
+    next(err);
   }
 });
 
 // Save media center data
-app.post('/admin/api/house/mediacenter', requireAuth, (req, res) => {
+app.post('/admin/api/house/mediacenter', requireAuth, openapi.validateBody('MediaCenter'), (req, res, next) => {
   try {
     const result = house.saveMediaCenterData(req.body);
     if (result.success) {
       res.json({ success: true, message: 'Media center data saved successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to save media center data: ' + err.message });
+    next(err);
   }
 });
 
 // Add device
-app.post('/admin/api/house/mediacenter/devices', requireAuth, (req, res) => {
+app.post('/admin/api/house/mediacenter/devices', requireAuth, openapi.validateBody('MediaCenterDevice'), (req, res, next) => {
   try {
     const result = house.addDevice(req.body);
     if (result.success) {
       res.json({ success: true, message: 'Device added successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add device: ' + err.message });
+    next(err);
   }
 });
 
 // Update device
-app.put('/admin/api/house/mediacenter/devices/:id', requireAuth, (req, res) => {
+app.put('/admin/api/house/mediacenter/devices/:id', requireAuth, openapi.validateBody('MediaCenterDeviceUpdate'), (req, res, next) => {
   try {
     const result = house.updateDevice(req.params.id, req.body);
     if (result.success) {
       res.json({ success: true, message: 'Device updated successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update device: ' + err.message });
+    next(err);
   }
 });
 
 // Delete device
-app.delete('/admin/api/house/mediacenter/devices/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/house/mediacenter/devices/:id', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteDevice(req.params.id);
     if (result.success) {
       res.json({ success: true, message: 'Device deleted successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete device: ' + err.message });
+    next(err);
   }
 });
 
 // Add connection
-app.post('/admin/api/house/mediacenter/connections', requireAuth, (req, res) => {
+app.post('/admin/api/house/mediacenter/connections', requireAuth, openapi.validateBody('MediaCenterConnection'), (req, res, next) => {
   try {
     const result = house.addConnection(req.body);
     if (result.success) {
       res.json({ success: true, message: 'Connection added successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add connection: ' + err.message });
+    next(err);
   }
 });
 
 // Update connection
-app.put('/admin/api/house/mediacenter/connections/:id', requireAuth, (req, res) => {
+app.put('/admin/api/house/mediacenter/connections/:id', requireAuth, openapi.validateBody('MediaCenterConnectionUpdate'), (req, res, next) => {
   try {
     const result = house.updateConnection(req.params.id, req.body);
     if (result.success) {
       res.json({ success: true, message: 'Connection updated successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update connection: ' + err.message });
+    next(err);
   }
 });
 
 // Delete connection
-app.delete('/admin/api/house/mediacenter/connections/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/house/mediacenter/connections/:id', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteConnection(req.params.id);
     if (result.success) {
       res.json({ success: true, message: 'Connection deleted successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete connection: ' + err.message });
+    next(err);
   }
 });
 
@@ -10397,17 +11461,17 @@ function getHouseCarsErrorStatus(error) {
 }
 
 // Get cars data
-app.get('/admin/api/house/cars', requireAuth, (req, res) => {
+app.get('/admin/api/house/cars', requireAuth, (req, res, next) => {
   try {
     const carsData = house.getCarsData();
     res.json(carsData);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get cars data: ' + err.message });
+    next(err);
   }
 });
 
 // Add a car
-app.post('/admin/api/house/cars', requireAuth, (req, res) => {
+app.post('/admin/api/house/cars', requireAuth, openapi.validateBody('HouseCar'), (req, res, next) => {
   try {
     const result = house.addCar(req.body);
     if (result.success) {
@@ -10416,12 +11480,12 @@ app.post('/admin/api/house/cars', requireAuth, (req, res) => {
       res.status(getHouseCarsErrorStatus(result.error)).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add car: ' + err.message });
+    next(err);
   }
 });
 
 // Update a car
-app.put('/admin/api/house/cars/:id', requireAuth, (req, res) => {
+app.put('/admin/api/house/cars/:id', requireAuth, openapi.validateBody('HouseCarUpdate'), (req, res, next) => {
   try {
     const result = house.updateCar(req.params.id, req.body);
     if (result.success) {
@@ -10430,12 +11494,12 @@ app.put('/admin/api/house/cars/:id', requireAuth, (req, res) => {
       res.status(getHouseCarsErrorStatus(result.error)).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update car: ' + err.message });
+    next(err);
   }
 });
 
 // Delete a car
-app.delete('/admin/api/house/cars/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/house/cars/:id', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteCar(req.params.id);
     if (result.success) {
@@ -10444,12 +11508,12 @@ app.delete('/admin/api/house/cars/:id', requireAuth, (req, res) => {
       res.status(getHouseCarsErrorStatus(result.error)).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete car: ' + err.message });
+    next(err);
   }
 });
 
 // Add a maintenance record
-app.post('/admin/api/house/cars/:carId/maintenance', requireAuth, (req, res) => {
+app.post('/admin/api/house/cars/:carId/maintenance', requireAuth, openapi.validateBody('CarMaintenanceRecord'), (req, res, next) => {
   try {
     const result = house.addMaintenanceRecord(req.params.carId, req.body);
     if (result.success) {
@@ -10458,12 +11522,12 @@ app.post('/admin/api/house/cars/:carId/maintenance', requireAuth, (req, res) =>
       res.status(getHouseCarsErrorStatus(result.error)).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add maintenance record: ' + err.message });
+    next(err);
   }
 });
 
 // Update a maintenance record
-app.put('/admin/api/house/cars/:carId/maintenance/:recordId', requireAuth, (req, res) => {
+app.put('/admin/api/house/cars/:carId/maintenance/:recordId', requireAuth, openapi.validateBody('CarMaintenanceRecordUpdate'), (req, res, next) => {
   try {
     const result = house.updateMaintenanceRecord(req.params.carId, req.params.recordId, req.body);
     if (result.success) {
@@ -10472,12 +11536,12 @@ app.put('/admin/api/house/cars/:carId/maintenance/:recordId', requireAuth, (req,
       res.status(getHouseCarsErrorStatus(result.error)).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update maintenance record: ' + err.message });
+    next(err);
   }
 });
 
 // Delete a maintenance record
-app.delete('/admin/api/house/cars/:carId/maintenance/:recordId', requireAuth, (req, res) => {
+app.delete('/admin/api/house/cars/:carId/maintenance/:recordId', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteMaintenanceRecord(req.params.carId, req.params.recordId);
     if (result.success) {
@@ -10486,12 +11550,12 @@ app.delete('/admin/api/house/cars/:carId/maintenance/:recordId', requireAuth, (r
       res.status(getHouseCarsErrorStatus(result.error)).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete maintenance record: ' + err.message });
+    next(err);
   }
 });
 
 // Add an odometer reading
-app.post('/admin/api/house/cars/:carId/odometer', requireAuth, (req, res) => {
+app.post('/admin/api/house/cars/:carId/odometer', requireAuth, openapi.validateBody('CarOdometerReading'), (req, res, next) => {
   try {
     const result = house.addOdometerReading(req.params.carId, req.body);
     if (result.success) {
@@ -10500,12 +11564,12 @@ app.post('/admin/api/house/cars/:carId/odometer', requireAuth, (req, res) => {
       res.status(getHouseCarsErrorStatus(result.error)).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add odometer reading: ' + err.message });
+    next(err);
   }
 });
 
 // Update an odometer reading
-app.put('/admin/api/house/cars/:carId/odometer/:readingId', requireAuth, (req, res) => {
+app.put('/admin/api/house/cars/:carId/odometer/:readingId', requireAuth, openapi.validateBody('CarOdometerReadingUpdate'), (req, res, next) => {
   try {
     const result = house.updateOdometerReading(req.params.carId, req.params.readingId, req.body);
     if (result.success) {
@@ -10514,12 +11578,12 @@ app.put('/admin/api/house/cars/:carId/odometer/:readingId', requireAuth, (req, r
       res.status(getHouseCarsErrorStatus(result.error)).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update odometer reading: ' + err.message });
+    next(err);
   }
 });
 
 // Delete an odometer reading
-app.delete('/admin/api/house/cars/:carId/odometer/:readingId', requireAuth, (req, res) => {
+app.delete('/admin/api/house/cars/:carId/odometer/:readingId', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteOdometerReading(req.params.carId, req.params.readingId);
     if (result.success) {
@@ -10528,12 +11592,12 @@ app.delete('/admin/api/house/cars/:carId/odometer/:readingId', requireAuth, (req
       res.status(getHouseCarsErrorStatus(result.error)).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete odometer reading: ' + err.message });
+    next(err);
   }
 });
 
 // Add an insurance policy
-app.post('/admin/api/house/cars/:carId/insurance', requireAuth, (req, res) => {
+app.post('/admin/api/house/cars/:carId/insurance', requireAuth, openapi.validateBody('CarInsurancePolicy'), (req, res, next) => {
   try {
     const result = house.addInsurancePolicy(req.params.carId, req.body);
     if (result.success) {
@@ -10542,12 +11606,12 @@ app.post('/admin/api/house/cars/:carId/insurance', requireAuth, (req, res) => {
       res.status(getHouseCarsErrorStatus(result.error)).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add insurance policy: ' + err.message });
+    next(err);
   }
 });
 
 // Update an insurance policy
-app.put('/admin/api/house/cars/:carId/insurance/:policyId', requireAuth, (req, res) => {
+app.put('/admin/api/house/cars/:carId/insurance/:policyId', requireAuth, openapi.validateBody('CarInsurancePolicyUpdate'), (req, res, next) => {
   try {
     const result = house.updateInsurancePolicy(req.params.carId, req.params.policyId, req.body);
     if (result.success) {
@@ -10556,12 +11620,12 @@ app.put('/admin/api/house/cars/:carId/insurance/:policyId', requireAuth, (req, r
       res.status(getHouseCarsErrorStatus(result.error)).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update insurance policy: ' + err.message });
+    next(err);
   }
 });
 
 // Delete an insurance policy
-app.delete('/admin/api/house/cars/:carId/insurance/:policyId', requireAuth, (req, res) => {
+app.delete('/admin/api/house/cars/:carId/insurance/:policyId', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteInsurancePolicy(req.params.carId, req.params.policyId);
     if (result.success) {
@@ -10570,7 +11634,7 @@ app.delete('/admin/api/house/cars/:carId/insurance/:policyId', requireAuth, (req
       res.status(getHouseCarsErrorStatus(result.error)).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete insurance policy: ' + err.message });
+    next(err);
   }
 });
 
@@ -10579,12 +11643,12 @@ app.delete('/admin/api/house/cars/:carId/insurance/:policyId', requireAuth, (req
 // =============================================================================
 
 // Get house utility bills
-app.get('/admin/api/house/bills', requireAuth, (req, res) => {
+app.get('/admin/api/house/bills', requireAuth, (req, res, next) => {
   try {
     const billsData = house.getBillsData();
     res.json(billsData);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to get bills data: ' + err.message });
+    next(err);
   }
 });
 
@@ -10656,13 +11720,13 @@ app.post('/admin/api/house/bills/upload', requireAuth, requireSameOriginForAdmin
           cleanupUploadedFiles(uploadedFiles);
           fs.rmSync(billDir, { recursive: true, force: true });
           console.error('❌ [House Bills] Upload error:', error.message);
-          res.status(500).json({ success: false, error: 'Failed to upload utility bill: ' + error.message });
+          sendError(res, 'INTERNAL_ERROR', 'Failed to upload utility bill');
         });
     } catch (syncError) {
       cleanupUploadedFiles(uploadedFiles);
       fs.rmSync(billDir, { recursive: true, force: true });
       console.error('❌ [House Bills] Upload error:', syncError.message);
-      res.status(500).json({ success: false, error: 'Failed to upload utility bill: ' + syncError.message });
+      sendError(res, 'INTERNAL_ERROR', 'Failed to upload utility bill');
     }
   });
 });
@@ -10757,13 +11821,13 @@ app.post('/admin/api/house/bills/upload-batch', requireAuth, requireSameOriginFo
       cleanupUploadedFiles(uploadedFiles);
       removeHouseBillsStagingDir(stagingDirId);
       console.error('❌ [House Bills] Batch staging error:', batchError.message);
-      res.status(500).json({ success: false, error: 'Failed to stage utility bills: ' + batchError.message });
+      sendError(res, 'INTERNAL_ERROR', 'Failed to stage utility bills');
     }
   });
 });
 
 // Confirm staged house utility bill upload decisions
-app.post('/admin/api/house/bills/upload-batch/confirm', requireAuth, requireSameOriginForAdminWrite, async (req, res) => {
+app.post('/admin/api/house/bills/upload-batch/confirm', requireAuth, requireSameOriginForAdminWrite, openapi.validateBody('HouseBillBatchConfirm'), async (req, res) => {
   const bills = Array.isArray(req.body?.bills) ? req.body.bills : null;
   if (!bills) {
     return res.status(400).json({ success: false, error: 'Request body must include a bills array' });
@@ -10917,7 +11981,7 @@ app.post('/admin/api/house/bills/upload-batch/confirm', requireAuth, requireSame
 });
 
 // Cancel staged house utility bill uploads
-app.post('/admin/api/house/bills/upload-batch/cancel', requireAuth, requireSameOriginForAdminWrite, (req, res) => {
+app.post('/admin/api/house/bills/upload-batch/cancel', requireAuth, requireSameOriginForAdminWrite, openapi.validateBody('HouseBillBatchCancel'), (req, res) => {
   const stagingDirs = Array.isArray(req.body?.stagingDirs) ? req.body.stagingDirs : null;
   if (!stagingDirs) {
     return res.status(400).json({ success: false, error: 'Request body must include a stagingDirs array' });
@@ -10931,7 +11995,7 @@ app.post('/admin/api/house/bills/upload-batch/cancel', requireAuth, requireSameO
 });
 
 // Download a stored house bill or attachment
-app.get('/admin/api/house/bills/:billId/files/:filename', requireAuth, (req, res) => {
+app.get('/admin/api/house/bills/:billId/files/:filename', requireAuth, (req, res, next) => {
   try {
     const bill = house.getBill(req.params.billId);
     if (!bill) {
@@ -10951,12 +12015,12 @@ app.get('/admin/api/house/bills/:billId/files/:filename', requireAuth, (req, res
 
     res.sendFile(path.resolve(filePath));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to serve bill file: ' + err.message });
+    next(err);
   }
 });
 
 // Delete a stored house bill and its attachments
-app.delete('/admin/api/house/bills/:id', requireAuth, requireSameOriginForAdminWrite, (req, res) => {
+app.delete('/admin/api/house/bills/:id', requireAuth, requireSameOriginForAdminWrite, (req, res, next) => {
   try {
     const bill = house.getBill(req.params.id);
     if (!bill) {
@@ -10972,32 +12036,32 @@ app.delete('/admin/api/house/bills/:id', requireAuth, requireSameOriginForAdminW
     fs.rmSync(billDir, { recursive: true, force: true });
     res.json({ success: true, message: 'Bill deleted successfully' });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete bill: ' + err.message });
+    next(err);
   }
 });
 
 // Get all lists (and categories)
-app.get('/admin/api/house/lists', requireAuth, (req, res) => {
+app.get('/admin/api/house/lists', requireAuth, (req, res, next) => {
   try {
     const data = house.getListsData();
     res.json(data);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to load lists: ' + err.message });
+    next(err);
   }
 });
 
 // Get categories
-app.get('/admin/api/house/lists/categories', requireAuth, (req, res) => {
+app.get('/admin/api/house/lists/categories', requireAuth, (req, res, next) => {
   try {
     const categories = house.getCategories();
     res.json({ categories });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to load categories: ' + err.message });
+    next(err);
   }
 });
 
 // Add a category
-app.post('/admin/api/house/lists/categories', requireAuth, (req, res) => {
+app.post('/admin/api/house/lists/categories', requireAuth, openapi.validateBody('HouseListCategory'), (req, res, next) => {
   try {
     const result = house.addCategory(req.body.name);
     if (result.success) {
@@ -11006,40 +12070,40 @@ app.post('/admin/api/house/lists/categories', requireAuth, (req, res) => {
       res.status(400).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add category: ' + err.message });
+    next(err);
   }
 });
 
 // Delete a category
-app.delete('/admin/api/house/lists/categories/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/house/lists/categories/:id', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteCategory(req.params.id);
     if (result.success) {
       res.json({ success: true, message: 'Category deleted successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete category: ' + err.message });
+    next(err);
   }
 });
 
 // Create a list
-app.post('/admin/api/house/lists', requireAuth, (req, res) => {
+app.post('/admin/api/house/lists', requireAuth, openapi.validateBody('HouseList'), (req, res, next) => {
   try {
     const result = house.addList(req.body);
     if (result.success) {
       res.json({ success: true, message: 'List created successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to create list: ' + err.message });
+    next(err);
   }
 });
 
 // Update a list
-app.put('/admin/api/house/lists/:id', requireAuth, (req, res) => {
+app.put('/admin/api/house/lists/:id', requireAuth, openapi.validateBody('HouseList'), (req, res, next) => {
   try {
     const result = house.updateList(req.params.id, req.body);
     if (result.success) {
@@ -11048,26 +12112,26 @@ app.put('/admin/api/house/lists/:id', requireAuth, (req, res) => {
       res.status(404).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update list: ' + err.message });
+    next(err);
   }
 });
 
 // Delete a list
-app.delete('/admin/api/house/lists/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/house/lists/:id', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteList(req.params.id);
     if (result.success) {
       res.json({ success: true, message: 'List deleted successfully' });
     } else {
-      res.status(500).json({ error: result.error });
+      sendResult(res, result, 'INTERNAL_ERROR');
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete list: ' + err.message });
+    next(err);
   }
 });
 
 // Add item to a list
-app.post('/admin/api/house/lists/:id/items', requireAuth, (req, res) => {
+app.post('/admin/api/house/lists/:id/items', requireAuth, openapi.validateBody('HouseListItem'), (req, res, next) => {
   try {
     const result = house.addListItem(req.params.id, req.body);
     if (result.success) {
@@ -11076,12 +12140,12 @@ app.post('/admin/api/house/lists/:id/items', requireAuth, (req, res) => {
       res.status(404).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add item: ' + err.message });
+    next(err);
   }
 });
 
 // Update item in a list
-app.put('/admin/api/house/lists/:id/items/:itemId', requireAuth, (req, res) => {
+app.put('/admin/api/house/lists/:id/items/:itemId', requireAuth, openapi.validateBody('HouseListItem'), (req, res, next) => {
   try {
     const result = house.updateListItem(req.params.id, req.params.itemId, req.body);
     if (result.success) {
@@ -11090,12 +12154,12 @@ app.put('/admin/api/house/lists/:id/items/:itemId', requireAuth, (req, res) => {
       res.status(404).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update item: ' + err.message });
+    next(err);
   }
 });
 
 // Delete item from a list
-app.delete('/admin/api/house/lists/:id/items/:itemId', requireAuth, (req, res) => {
+app.delete('/admin/api/house/lists/:id/items/:itemId', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteListItem(req.params.id, req.params.itemId);
     if (result.success) {
@@ -11104,7 +12168,7 @@ app.delete('/admin/api/house/lists/:id/items/:itemId', requireAuth, (req, res) =
       res.status(404).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete item: ' + err.message });
+    next(err);
   }
 });
 
@@ -11113,16 +12177,16 @@ app.delete('/admin/api/house/lists/:id/items/:itemId', requireAuth, (req, res) =
 // =============================================================================
 
 // Get all medications (with computed forecast fields)
-app.get('/admin/api/house/medications', requireAuth, (req, res) => {
+app.get('/admin/api/house/medications', requireAuth, (req, res, next) => {
   try {
     res.json(buildMedicationAdminPayload());
   } catch (err) {
-    res.status(500).json({ error: 'Failed to load medications: ' + err.message });
+    next(err);
   }
 });
 
 // Add a medication
-app.post('/admin/api/house/medications', requireAuth, (req, res) => {
+app.post('/admin/api/house/medications', requireAuth, openapi.validateBody('Medication'), (req, res, next) => {
   try {
     const result = house.addMedication(req.body);
     if (result.success) {
@@ -11131,12 +12195,12 @@ app.post('/admin/api/house/medications', requireAuth, (req, res) => {
       res.status(400).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add medication: ' + err.message });
+    next(err);
   }
 });
 
 // Update a medication
-app.put('/admin/api/house/medications/:id', requireAuth, (req, res) => {
+app.put('/admin/api/house/medications/:id', requireAuth, openapi.validateBody('Medication'), (req, res, next) => {
   try {
     const result = house.updateMedication(req.params.id, req.body);
     if (result.success) {
@@ -11145,12 +12209,12 @@ app.put('/admin/api/house/medications/:id', requireAuth, (req, res) => {
       res.status(404).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update medication: ' + err.message });
+    next(err);
   }
 });
 
 // Delete a medication
-app.delete('/admin/api/house/medications/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/house/medications/:id', requireAuth, (req, res, next) => {
   try {
     const result = house.deleteMedication(req.params.id);
     if (result.success) {
@@ -11159,12 +12223,12 @@ app.delete('/admin/api/house/medications/:id', requireAuth, (req, res) => {
       res.status(404).json({ error: result.error });
     }
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete medication: ' + err.message });
+    next(err);
   }
 });
 
 // Update medication portal assignments for a medication
-app.put('/admin/api/house/medications/:id/assignments', requireAuth, (req, res) => {
+app.put('/admin/api/house/medications/:id/assignments', requireAuth, openapi.validateBody('MedicationAssignments'), (req, res, next) => {
   try {
     const result = house.setMedicationAssignments(req.params.id, req.body?.userIds);
     if (!result.success) {
@@ -11174,7 +12238,23 @@ app.put('/admin/api/house/medications/:id/assignments', requireAuth, (req, res)
 
     res.json({ success: true, message: 'Medication assignments updated successfully' });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update medication assignments: ' + err.message });
+    next(err);
+  }
+});
+
+// Reset two-factor for a medication portal user who lost their authenticator
+app.delete('/admin/api/house/medications/portal-users/:id/two-factor', requireAuth, (req, res, next) => {
+  try {
+    const result = house.setMedicationPortalUserTwoFactor(req.params.id, null);
+    if (!result.success) {
+      const statusCode = /not found/i.test(result.error || '') ? 404 : 400;
+      return res.status(statusCode).json({ error: result.error });
+    }
+
+    logger.warning(logger.categories.SYSTEM, `Admin ${req.adminUser.username} reset two-factor for medication portal user ${req.params.id}`);
+    res.json({ success: true, message: 'Two-factor authentication reset' });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -11186,13 +12266,12 @@ app.put('/admin/api/house/medications/:id/assignments', requireAuth, (req, res)
  * GET /admin/api/remote-devices
  * List all registered Pi devices (no secrets returned).
  */
-app.get('/admin/api/remote-devices', requireAuth, (req, res) => {
+app.get('/admin/api/remote-devices', requireAuth, (req, res, next) => {
   try {
     const devices = remoteMgmt.listDevices();
     res.json({ devices });
   } catch (err) {
-    logger.error('REMOTE_MGMT', `List devices error: ${err.message}`);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -11202,17 +12281,17 @@ app.get('/admin/api/remote-devices', requireAuth, (req, res) => {
  * Body: { name: string }
  * Returns the device record and the ONE-TIME plain bearer token.
  */
-app.post('/admin/api/remote-devices', requireAuth, (req, res) => {
+app.post('/admin/api/remote-devices', requireAuth, openapi.validateBody('RemoteDeviceCreate'), (req, res) => {
   try {
     const { name } = req.body || {};
     if (!name) {
       return res.status(400).json({ error: 'name is required' });
     }
     const result = remoteMgmt.registerDevice({ name });
-    logger.info('REMOTE_MGMT', `Admin registered new device: ${name}`);
+    logger.info(logger.categories.REMOTE_MGMT, `Admin registered new device: ${name}`);
     res.status(201).json(result);
   } catch (err) {
-    logger.error('REMOTE_MGMT', `Register device error: ${err.message}`);
+    logger.error(logger.categories.REMOTE_MGMT, `Register device error: ${err.message}`);
     res.status(400).json({ error: err.message });
   }
 });
@@ -11221,7 +12300,7 @@ app.post('/admin/api/remote-devices', requireAuth, (req, res) => {
  * DELETE /admin/api/remote-devices/:id
  * Remove a device and its command history.
  */
-app.delete('/admin/api/remote-devices/:id', requireAuth, (req, res) => {
+app.delete('/admin/api/remote-devices/:id', requireAuth, (req, res, next) => {
   try {
     const result = remoteMgmt.deleteDevice(req.params.id);
     if (!result.success) {
@@ -11229,8 +12308,7 @@ app.delete('/admin/api/remote-devices/:id', requireAuth, (req, res) => {
     }
     res.json({ success: true });
   } catch (err) {
-    logger.error('REMOTE_MGMT', `Delete device error: ${err.message}`);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -11239,17 +12317,16 @@ app.delete('/admin/api/remote-devices/:id', requireAuth, (req, res) => {
  * Generate a new bearer token for a device (old one is invalidated immediately).
  * Returns the new plain token – store it somewhere safe, it will not be shown again.
  */
-app.post('/admin/api/remote-devices/:id/rotate-token', requireAuth, (req, res) => {
+app.post('/admin/api/remote-devices/:id/rotate-token', requireAuth, (req, res, next) => {
   try {
     const result = remoteMgmt.rotateDeviceToken(req.params.id);
     if (!result.success) {
       return res.status(404).json({ error: result.error });
     }
-    logger.info('REMOTE_MGMT', `Admin rotated token for device ${req.params.id}`);
+    logger.info(logger.categories.REMOTE_MGMT, `Admin rotated token for device ${req.params.id}`);
     res.json(result);
   } catch (err) {
-    logger.error('REMOTE_MGMT', `Rotate token error: ${err.message}`);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -11260,17 +12337,17 @@ app.post('/admin/api/remote-devices/:id/rotate-token', requireAuth, (req, res) =
  * Supported types: display_on, display_off, browser_restart, dashboard_restart,
  *                  pi_reboot, pi_shutdown, config_update, daemon_ping
  */
-app.post('/admin/api/remote-devices/:id/command', requireAuth, async (req, res) => {
+app.post('/admin/api/remote-devices/:id/command', requireAuth, openapi.validateBody('RemoteCommand'), async (req, res) => {
   try {
     const { type, payload } = req.body || {};
     if (!type) {
       return res.status(400).json({ error: 'command type is required' });
     }
     const result = await remoteMgmt.issueCommand(req.params.id, type, payload);
-    logger.info('REMOTE_MGMT', `Admin issued command "${type}" for device ${req.params.id} via ${result.executedVia}`);
+    logger.info(logger.categories.REMOTE_MGMT, `Admin issued command "${type}" for device ${req.params.id} via ${result.executedVia}`);
     res.status(201).json(result);
   } catch (err) {
-    logger.error('REMOTE_MGMT', `Issue command error: ${err.message}`);
+    logger.error(logger.categories.REMOTE_MGMT, `Issue command error: ${err.message}`);
     res.status(400).json({ error: err.message });
   }
 });
@@ -11280,14 +12357,13 @@ app.post('/admin/api/remote-devices/:id/command', requireAuth, async (req, res)
  * Get command history for a device.
  * Query params: limit (default 50)
  */
-app.get('/admin/api/remote-devices/:id/history', requireAuth, (req, res) => {
+app.get('/admin/api/remote-devices/:id/history', requireAuth, (req, res, next) => {
   try {
     const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 50), 200);
     const history = remoteMgmt.getCommandHistory(req.params.id, limit);
     res.json({ commands: history });
   } catch (err) {
-    logger.error('REMOTE_MGMT', `Get history error: ${err.message}`);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -11303,7 +12379,7 @@ app.get('/admin/api/remote-devices/supported-commands', requireAuth, (req, res)
  * GET /admin/api/remote-devices/:id/ssh-config
  * Return SSH configuration status for a device (credentials are never returned).
  */
-app.get('/admin/api/remote-devices/:id/ssh-config', requireAuth, (req, res) => {
+app.get('/admin/api/remote-devices/:id/ssh-config', requireAuth, (req, res, next) => {
   try {
     const result = remoteMgmt.getDeviceSshConfigStatus(req.params.id);
     if (!result.success) {
@@ -11311,8 +12387,7 @@ app.get('/admin/api/remote-devices/:id/ssh-config', requireAuth, (req, res) => {
     }
     res.json(result);
   } catch (err) {
-    logger.error('REMOTE_MGMT', `Get SSH config error: ${err.message}`);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -11321,7 +12396,7 @@ app.get('/admin/api/remote-devices/:id/ssh-config', requireAuth, (req, res) => {
  * Store SSH credentials for a device.
  * Body: { host, port?, username, privateKey, daemonConfigPath? }
  */
-app.put('/admin/api/remote-devices/:id/ssh-config', requireAuth, (req, res) => {
+app.put('/admin/api/remote-devices/:id/ssh-config', requireAuth, openapi.validateBody('RemoteSshConfig'), (req, res) => {
   try {
     const { host, port, username, privateKey, daemonConfigPath } = req.body || {};
     const result = remoteMgmt.setDeviceSshConfig(req.params.id, {
@@ -11334,10 +12409,10 @@ app.put('/admin/api/remote-devices/:id/ssh-config', requireAuth, (req, res) => {
     if (!result.success) {
       return res.status(404).json({ error: result.error });
     }
-    logger.info('REMOTE_MGMT', `Admin saved SSH config for device ${req.params.id}`);
+    logger.info(logger.categories.REMOTE_MGMT, `Admin saved SSH config for device ${req.params.id}`);
     res.json({ success: true });
   } catch (err) {
-    logger.error('REMOTE_MGMT', `Save SSH config error: ${err.message}`);
+    logger.error(logger.categories.REMOTE_MGMT, `Save SSH config error: ${err.message}`);
     res.status(400).json({ error: err.message });
   }
 });
@@ -11346,17 +12421,59 @@ app.put('/admin/api/remote-devices/:id/ssh-config', requireAuth, (req, res) => {
  * DELETE /admin/api/remote-devices/:id/ssh-config
  * Remove SSH credentials from a device.
  */
-app.delete('/admin/api/remote-devices/:id/ssh-config', requireAuth, (req, res) => {
+app.delete('/admin/api/remote-devices/:id/ssh-config', requireAuth, (req, res, next) => {
   try {
     const result = remoteMgmt.clearDeviceSshConfig(req.params.id);
     if (!result.success) {
       return res.status(404).json({ error: result.error });
     }
-    logger.info('REMOTE_MGMT', `Admin cleared SSH config for device ${req.params.id}`);
+    logger.info(logger.categories.REMOTE_MGMT, `Admin cleared SSH config for device ${req.params.id}`);
     res.json({ success: true });
   } catch (err) {
-    logger.error('REMOTE_MGMT', `Clear SSH config error: ${err.message}`);
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * Base URL devices on the network reach this server at: config.server.publicUrl
+ * when set, otherwise the first external IPv4 address and the listening port.
+ * The request's Host header is not used because any client can set it.
+ */
+function getServerBaseUrl() {
+  const publicUrl = config.server?.publicUrl;
+  if (publicUrl) {
+    return publicUrl.replace(/\/+$/, '');
+  }
+  const addresses = Object.values(os.networkInterfaces()).flat();
+  const external = addresses.find(iface => iface && iface.family === 'IPv4' && !iface.internal);
+  return `http://${external ? external.address : '127.0.0.1'}:${PORT}`;
+}
+
+/**
+ * PUT /admin/api/remote-devices/:id/mirror-profile
+ * Show a smart mirror profile on a device: stores the assignment, points the
+ * daemon's browserUrl at /smart-mirror/<profile> and restarts the browser.
+ * Body: { profile: string|null } – null for the default profile
+ */
+app.put('/admin/api/remote-devices/:id/mirror-profile', requireAuth, openapi.validateBody('RemoteMirrorProfile'), async (req, res) => {
+  try {
+    const profile = req.body.profile || null;
+    if (profile && profile !== smartMirror.DEFAULT_PROFILE_ID && !smartMirror.getProfileConfig(profile)) {
+      return sendError(res, 'SMART_MIRROR_PROFILE_NOT_FOUND', `Mirror profile not found: ${profile}`);
+    }
+    const assigned = profile === smartMirror.DEFAULT_PROFILE_ID ? null : profile;
+    const result = remoteMgmt.setDeviceMirrorProfile(req.params.id, assigned);
+    if (!result.success) {
+      return sendResult(res, result, 'NOT_FOUND');
+    }
+    const browserUrl = `${getServerBaseUrl()}/smart-mirror${assigned ? `/${assigned}` : ''}`;
+    const update = await remoteMgmt.issueCommand(req.params.id, 'config_update', { browserUrl });
+    const restart = await remoteMgmt.issueCommand(req.params.id, 'browser_restart');
+    logger.info(logger.categories.REMOTE_MGMT, `Admin assigned mirror profile ${assigned || 'default'} to device ${req.params.id} via ${restart.executedVia}`);
+    res.json({ success: true, profile: assigned, browserUrl, commands: [update.command, restart.command] });
+  } catch (err) {
+    logger.error(logger.categories.REMOTE_MGMT, `Assign mirror profile error: ${err.message}`);
+    res.status(400).json({ error: err.message });
   }
 });
 
@@ -11375,7 +12492,7 @@ const deviceApiRateLimit = rateLimit({
   legacyHeaders: false,
   message: { error: 'Too many requests – please wait and retry' },
   handler: (req, res, next, options) => {
-    logger.warning('REMOTE_MGMT', `Rate limit exceeded for IP ${req.ip}`);
+    logger.warning(logger.categories.REMOTE_MGMT, `Rate limit exceeded for IP ${req.ip}`);
     res.status(options.statusCode).json(options.message);
   },
 });
@@ -11392,7 +12509,7 @@ function requireDeviceAuth(req, res, next) {
   }
   const device = remoteMgmt.authenticateDevice(match[1]);
   if (!device) {
-    logger.warning('REMOTE_MGMT', `Failed device auth attempt from ${req.ip}`);
+    logger.warning(logger.categories.REMOTE_MGMT, `Failed device auth attempt from ${req.ip}`);
     return res.status(401).json({ error: 'Invalid device token' });
   }
   req.remoteDevice = device;
@@ -11404,7 +12521,7 @@ function requireDeviceAuth(req, res, next) {
  * The Pi daemon calls this periodically to report that it is alive.
  * Body: { platform?: string, version?: string }
  */
-app.post('/api/device/heartbeat', deviceApiRateLimit, requireDeviceAuth, (req, res) => {
+app.post('/api/device/heartbeat', deviceApiRateLimit, requireDeviceAuth, openapi.validateBody('DeviceHeartbeat'), (req, res) => {
   const { platform, version } = req.body || {};
   remoteMgmt.devicePoll(req.remoteDevice.id, { platform, version });
   res.json({ ok: true, serverTime: new Date().toISOString() });
@@ -11427,7 +12544,7 @@ app.get('/api/device/poll', deviceApiRateLimit, requireDeviceAuth, (req, res) =>
  * The Pi daemon calls this after executing a command to report its result.
  * Body: { commandId: string, success: boolean, output?: string, error?: string }
  */
-app.post('/api/device/result', deviceApiRateLimit, requireDeviceAuth, (req, res) => {
+app.post('/api/device/result', deviceApiRateLimit, requireDeviceAuth, openapi.validateBody('DeviceCommandResult'), (req, res) => {
   const { commandId, success, output, error: errMsg } = req.body || {};
   if (!commandId) {
     return res.status(400).json({ error: 'commandId is required' });
@@ -11459,8 +12576,13 @@ app.get('/', (req, res) => {
   }
 });
 
+// Unknown API endpoints and errors thrown in routes get the standard error
+// response (see modules/error-codes.js); keep these after all routes
+app.use(['/api', '/admin/api', '/medications/api'], apiNotFoundHandler);
+app.use(errorHandler);
+
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
+const httpServer = app.listen(PORT, '0.0.0.0', () => {
   const startTime = new Date().toLocaleString();
   console.log(`\n${'='.repeat(80)}`);
   console.log(`[${startTime}] Local Server Site Pusher v${require('./package.json').version} running on port ${PORT}`);
@@ -11530,38 +12652,87 @@ app.listen(PORT, '0.0.0.0', () => {
     logger.info(logger.categories.SYSTEM, 'Auto-regeneration disabled');
   }
   
-  // Schedule annual expense increases for January 1st at midnight
+  // Apply annual expense increases at 00:00:00 on January 1st
   // Cron format: second minute hour day month day-of-week
-  // '0 0 0 1 1 *' = At 00:00:00 on January 1st
-  cron.schedule('0 0 0 1 1 *', () => {
-    console.log('\n💰 Running annual expense increase job...');
-    logger.info(logger.categories.FINANCE, 'Starting annual expense increase job');
-    
-    const result = finance.applyAnnualExpenseIncreases();
-    
-    if (result.success) {
-      console.log(`✅ ${result.message}`);
-      logger.success(logger.categories.FINANCE, result.message);
-    } else {
-      console.error(`❌ Error applying annual expense increases: ${result.error}`);
-      logger.error(logger.categories.FINANCE, `Error applying annual expense increases: ${result.error}`);
+  jobScheduler.registerJob({
+    id: 'finance-annual-expenses',
+    name: 'Annual expense increases',
+    category: logger.categories.FINANCE,
+    description: 'Applies the yearly increase configured on each recurring expense',
+    schedule: '0 0 0 1 1 *',
+    timezone: 'America/New_York',
+    run: () => {
+      console.log('\n💰 Running annual expense increase job...');
+      const result = finance.applyAnnualExpenseIncreases();
+      if (result.success) {
+        logger.success(logger.categories.FINANCE, result.message);
+      }
+      return result;
+    }
+  });
+
+  // Mark remote devices that stopped polling as offline (emits remote.device.offline)
+  jobScheduler.registerJob({
+    id: 'remote-device-status',
+    name: 'Remote device status check',
+    category: logger.categories.REMOTE_MGMT,
+    description: 'Marks devices that stopped polling as offline',
+    schedule: '* * * * *',
+    run: () => {
+      const wentOffline = remoteMgmt.checkDeviceStatus();
+      return { success: true, message: `${wentOffline.length} device(s) went offline` };
+    }
+  });
+
+  // Announce medications that reached their refill alert date (emits medication.refill.due)
+  jobScheduler.registerJob({
+    id: 'medication-refills',
+    name: 'Medication refill check',
+    category: logger.categories.HOUSE,
+    description: 'Announces medications that reached their refill alert date',
+    schedule: '15 * * * *',
+    run: () => {
+      const due = house.checkMedicationRefills();
+      return { success: true, message: `${due.length} refill(s) due` };
     }
-  }, {
-    timezone: "America/New_York" // Adjust timezone as needed
   });
-  
-  console.log('📅 Annual expense increase job scheduled for January 1st at midnight');
-  logger.info(logger.categories.FINANCE, 'Annual expense increase job scheduled for January 1st');
 
-  // Schedule hourly sync of vacation destinations → clock widget additional timezones
-  cron.schedule('0 * * * *', () => {
-    logger.info(logger.categories.SMART_MIRROR, 'Running scheduled vacation clock timezone sync');
-    syncVacationClockTimezones();
+  // Sync vacation destinations → clock widget additional timezones
+  jobScheduler.registerJob({
+    id: 'vacation-timezones',
+    name: 'Vacation clock timezone sync',
+    category: logger.categories.SMART_MIRROR,
+    description: 'Adds upcoming vacation destinations to the clock widget and removes past ones',
+    schedule: '0 * * * *',
+    run: () => {
+      const result = syncVacationClockTimezones();
+      if (result.success) {
+        result.message = `${result.added} added, ${result.removed} removed, ${result.skipped} skipped`;
+      }
+      return result;
+    }
   });
 
-  // Run an initial sync shortly after startup so the clock widget is up-to-date
-  setTimeout(() => {
-    syncVacationClockTimezones();
-    logger.info(logger.categories.SMART_MIRROR, 'Initial vacation clock timezone sync complete');
-  }, 5000);
+  // Catch up shortly after startup so the clock widget and refill alerts are up-to-date
+  setTimeout(() => jobScheduler.runJob('vacation-timezones', 'startup'), 5000);
+  setTimeout(() => jobScheduler.runJob('medication-refills', 'startup'), 10000);
 });
+
+// Smart mirrors connect to /api/smart-mirror/ws for pushed updates
+smartMirrorPush.attach(httpServer);
+
+// `docker stop`, systemd and Ctrl+C send SIGTERM/SIGINT, which skip the 'exit'
+// handlers unless the process ends itself: stop background work, save pending
+// sessions and exit normally (the logger flushes its store on 'exit')
+function shutdown(signal) {
+  logger.info(logger.categories.SYSTEM, `${signal} received – shutting down`);
+  webhooks.stopRetries();
+  httpServer.close();
+  const flushed = sessionStoreModule.flushAll();
+  if (!flushed.success) {
+    logger.error(logger.categories.SYSTEM, `Sessions could not be saved before exit: ${flushed.error}`);
+  }
+  process.exit(0);
+}
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));